@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const DatabaseManager = require('./src/main/database');
 const FolderWatcher = require('./src/main/folderWatcher');
+const RosterWatcher = require('./src/main/rosterWatcher');
 const ImageManager = require('./src/main/imageManager');
 const RepositoryMirror = require('./src/main/repositoryMirror');
 const MenuBuilder = require('./src/main/menu/menuBuilder');
@@ -11,6 +12,7 @@ const CameraWindowManager = require('./src/main/window/cameraWindow');
 const ImageGridWindowManager = require('./src/main/window/imageGridWindow');
 const RepositoryGridWindowManager = require('./src/main/window/repositoryGridWindow');
 const PrintedCardsWindowManager = require('./src/main/window/printedCardsWindow');
+const ImportReportWindowManager = require('./src/main/window/importReportWindow');
 const { getLogger } = require('./src/main/logger');
 const {
   loadGlobalConfig,
@@ -24,6 +26,17 @@ const {
   addRecentProject: addRecentProjectUtil
 } = require('./src/main/utils/recentProjects');
 const { RepositoryCacheManager } = require('./src/main/utils/repositoryCache');
+const { AuditLogger } = require('./src/main/utils/auditLog');
+const { isSpreadsheetRoster } = require('./src/main/rosterParser');
+const { analyzeRosterUpdate } = require('./src/main/rosterUpdate');
+const { summarizeRosterDiff } = require('./src/main/utils/rosterDiff');
+const { processNewImport } = require('./src/main/imageQuality');
+const {
+  hashFile,
+  findNewestRosterFile,
+  loadRosterSource,
+  saveRosterSource
+} = require('./src/main/utils/rosterSource');
 
 // IPC handler modules
 const { registerProjectHandlers } = require('./src/main/ipc/projectHandlers');
@@ -50,9 +63,13 @@ const cameraWindowManager = new CameraWindowManager();
 const imageGridWindowManager = new ImageGridWindowManager();
 const repositoryGridWindowManager = new RepositoryGridWindowManager();
 const printedCardsWindowManager = new PrintedCardsWindowManager();
+const importReportWindowManager = new ImportReportWindowManager();
 
 let dbManager;
 let folderWatcher;
+let rosterWatcher = null;
+let rosterCheck = Promise.resolve(); // Roster checks run one after another
+let proposedRosterHash = null; // Roster file already proposed in this session
 let imageManager;
 let projectPath = null;
 let logger = getLogger();
@@ -63,12 +80,14 @@ let recentProjects = [];
 let showDuplicatesOnly = false;
 let showCardPrintRequestsOnly = false;
 let showPublicationRequestsOnly = false;
+let showQualityIssuesOnly = false; // Not saved: photos are retaken in the same session
 let showCapturedPhotos = true;
 let showRepositoryPhotos = false;
 let showRepositoryIndicators = false;
 let showAdditionalActions = true;
 let availableCameras = [];
 let selectedCameraId = null;
+let captureTarget = null; // User selected in the main window, shown in the camera window
 let repositoryMirror = null; // Repository mirror manager
 let menuBuilder = null; // Menu builder instance
 
@@ -89,6 +108,7 @@ function createMenu() {
     showDuplicatesOnly,
     showCardPrintRequestsOnly,
     showPublicationRequestsOnly,
+    showQualityIssuesOnly,
     showCapturedPhotos,
     showRepositoryPhotos,
     showRepositoryIndicators,
@@ -139,6 +159,7 @@ function createMenu() {
         if (checked) {
           showCardPrintRequestsOnly = false;
           showPublicationRequestsOnly = false;
+          showQualityIssuesOnly = false;
         }
         saveDisplayPreferences({
           showDuplicatesOnly,
@@ -153,6 +174,7 @@ function createMenu() {
         menuBuilder.showDuplicatesOnly = showDuplicatesOnly;
         menuBuilder.showCardPrintRequestsOnly = showCardPrintRequestsOnly;
         menuBuilder.showPublicationRequestsOnly = showPublicationRequestsOnly;
+        menuBuilder.showQualityIssuesOnly = showQualityIssuesOnly;
         menuBuilder.build();
         const mainWindow = mainWindowManager.getWindow();
         if (mainWindow) {
@@ -165,6 +187,7 @@ function createMenu() {
         if (checked) {
           showDuplicatesOnly = false;
           showPublicationRequestsOnly = false;
+          showQualityIssuesOnly = false;
         }
         saveDisplayPreferences({
           showDuplicatesOnly,
@@ -179,6 +202,7 @@ function createMenu() {
         menuBuilder.showDuplicatesOnly = showDuplicatesOnly;
         menuBuilder.showCardPrintRequestsOnly = showCardPrintRequestsOnly;
         menuBuilder.showPublicationRequestsOnly = showPublicationRequestsOnly;
+        menuBuilder.showQualityIssuesOnly = showQualityIssuesOnly;
         menuBuilder.build();
         const mainWindow = mainWindowManager.getWindow();
         if (mainWindow) {
@@ -191,6 +215,7 @@ function createMenu() {
         if (checked) {
           showDuplicatesOnly = false;
           showCardPrintRequestsOnly = false;
+          showQualityIssuesOnly = false;
         }
         saveDisplayPreferences({
           showDuplicatesOnly,
@@ -205,12 +230,41 @@ function createMenu() {
         menuBuilder.showDuplicatesOnly = showDuplicatesOnly;
         menuBuilder.showCardPrintRequestsOnly = showCardPrintRequestsOnly;
         menuBuilder.showPublicationRequestsOnly = showPublicationRequestsOnly;
+        menuBuilder.showQualityIssuesOnly = showQualityIssuesOnly;
         menuBuilder.build();
         const mainWindow = mainWindowManager.getWindow();
         if (mainWindow) {
           mainWindow.webContents.send('menu-toggle-publication-requests', showPublicationRequestsOnly);
         }
       },
+      toggleQualityIssues: (checked) => {
+        showQualityIssuesOnly = checked;
+        // Exclusive filter: disable others when this is enabled
+        if (checked) {
+          showDuplicatesOnly = false;
+          showCardPrintRequestsOnly = false;
+          showPublicationRequestsOnly = false;
+        }
+        saveDisplayPreferences({
+          showDuplicatesOnly,
+          showCardPrintRequestsOnly,
+          showPublicationRequestsOnly,
+          showCapturedPhotos,
+          showRepositoryPhotos,
+          showRepositoryIndicators,
+          showAdditionalActions
+        });
+        // Update menuBuilder properties and rebuild menu to update all checkboxes
+        menuBuilder.showDuplicatesOnly = showDuplicatesOnly;
+        menuBuilder.showCardPrintRequestsOnly = showCardPrintRequestsOnly;
+        menuBuilder.showPublicationRequestsOnly = showPublicationRequestsOnly;
+        menuBuilder.showQualityIssuesOnly = showQualityIssuesOnly;
+        menuBuilder.build();
+        const mainWindow = mainWindowManager.getWindow();
+        if (mainWindow) {
+          mainWindow.webContents.send('menu-toggle-quality-issues', showQualityIssuesOnly);
+        }
+      },
       toggleCapturedPhotos: (checked) => {
         showCapturedPhotos = checked;
         saveDisplayPreferences({
@@ -305,6 +359,8 @@ function createMenu() {
       openImageGridWindow,
       openRepositoryGridWindow,
       openPrintedCardsWindow,
+      openImportReportWindow,
+      selectRosterFolder,
       openPOC: () => {
         const { shell } = require('electron');
         const pocPath = path.join(__dirname, 'src', 'renderer', '_poc', 'poc-test.html');
@@ -377,6 +433,26 @@ function openPrintedCardsWindow() {
   printedCardsWindowManager.open({ isDev });
 }
 
+/**
+ * Open the import report window
+ * @param {number|null} [reportId] - Report to show (the newest one if not given)
+ */
+function openImportReportWindow(reportId = null) {
+  if (!dbManager) {
+    const mainWindow = mainWindowManager.getWindow();
+    dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Proyecto no abierto',
+      message: 'Debes abrir o crear un proyecto primero',
+      buttons: ['Aceptar']
+    });
+    return;
+  }
+
+  const isDev = process.argv.includes('--dev');
+  importReportWindowManager.open({ isDev, reportId });
+}
+
 function openImageGridWindow() {
   if (!dbManager) {
     const mainWindow = mainWindowManager.getWindow();
@@ -452,6 +528,163 @@ async function ensureDeletedGroup() {
   return deletedGroup;
 }
 
+// Source roster watching
+
+/**
+ * Watch the source roster of the open project (file or drop folder) and
+ * propose an update when it changes
+ */
+async function startRosterWatcher() {
+  stopRosterWatcher();
+  if (!dbManager) {
+    return;
+  }
+
+  try {
+    const source = await loadRosterSource(dbManager);
+    if (!source || !fs.existsSync(source.path)) {
+      return;
+    }
+
+    rosterWatcher = new RosterWatcher(source.path, source.folder);
+    rosterWatcher.on('roster-changed', (filePath) => checkRosterUpdate(filePath));
+    rosterWatcher.start();
+    logger.success('Roster watcher started', { sourcePath: source.path, folder: source.folder });
+
+    // The file may have changed while the project was closed
+    const filePath = source.folder ? findNewestRosterFile(source.path) : source.path;
+    if (filePath) {
+      checkRosterUpdate(filePath);
+    }
+  } catch (error) {
+    logger.error('Error starting roster watcher', error);
+  }
+}
+
+function stopRosterWatcher() {
+  if (rosterWatcher) {
+    rosterWatcher.stop();
+    rosterWatcher = null;
+  }
+  proposedRosterHash = null;
+}
+
+/**
+ * Analyze a changed roster file in the background and tell the renderer
+ * @param {string} filePath - Roster file
+ * @returns {Promise<void>}
+ */
+function checkRosterUpdate(filePath) {
+  rosterCheck = rosterCheck.then(async () => {
+    const checkedDbManager = dbManager;
+    try {
+      if (!checkedDbManager || !fs.existsSync(filePath)) {
+        return;
+      }
+
+      // Files already applied or proposed are not analyzed again
+      const source = await loadRosterSource(checkedDbManager);
+      const hash = await hashFile(filePath);
+      if (!source || hash === source.hash || hash === proposedRosterHash) {
+        return;
+      }
+
+      logger.info(`Roster file changed: ${filePath}`);
+
+      // Spreadsheets are read with the column mapping of the last update
+      const isSpreadsheet = isSpreadsheetRoster(filePath);
+      let changes = null;
+      let invalidCount = 0;
+      let error = null;
+      if (isSpreadsheet && !source.mapping) {
+        error = 'Hay que indicar las columnas del archivo para analizarlo';
+      } else {
+        try {
+          const analysis = await analyzeRosterUpdate(checkedDbManager, filePath, {
+            mapping: isSpreadsheet ? source.mapping : null,
+            validOnly: !isSpreadsheet
+          });
+          changes = summarizeRosterDiff(analysis.diff);
+          invalidCount = analysis.validation ? analysis.validation.invalidCount : 0;
+        } catch (analysisError) {
+          logger.error('Error analyzing changed roster file', analysisError);
+          error = analysisError.message;
+        }
+      }
+
+      // The project was closed during the analysis
+      if (dbManager !== checkedDbManager) {
+        return;
+      }
+
+      if (changes && changes.toAdd + changes.toUpdate + changes.toRestore + changes.toDelete === 0 && invalidCount === 0) {
+        // Same users as the project: nothing to propose
+        logger.info('Changed roster file has no changes for the project');
+        await saveRosterSource(checkedDbManager, { ...source, hash });
+        return;
+      }
+
+      proposedRosterHash = hash;
+      logger.info('Roster update available', { filePath, changes, invalidCount, error });
+      const mainWindow = mainWindowManager.getWindow();
+      if (mainWindow) {
+        mainWindow.webContents.send('roster-update-available', {
+          filePath,
+          fileName: path.basename(filePath),
+          changes,
+          invalidCount,
+          error
+        });
+      }
+    } catch (error) {
+      logger.error('Error checking roster file', error);
+    }
+  });
+  return rosterCheck;
+}
+
+/**
+ * Choose a drop folder where new roster exports are saved
+ */
+async function selectRosterFolder() {
+  const mainWindow = mainWindowManager.getWindow();
+  if (!dbManager) {
+    dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Proyecto no abierto',
+      message: 'Debes abrir o crear un proyecto primero',
+      buttons: ['Aceptar']
+    });
+    return;
+  }
+
+  try {
+    const source = await loadRosterSource(dbManager);
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Seleccionar carpeta de archivos de usuarios',
+      buttonLabel: 'Vigilar carpeta',
+      properties: ['openDirectory'],
+      ...(source ? { defaultPath: source.folder ? source.path : path.dirname(source.path) } : {})
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return;
+    }
+
+    await saveRosterSource(dbManager, {
+      path: result.filePaths[0],
+      folder: true,
+      mapping: source ? source.mapping : null,
+      hash: source ? source.hash : null
+    });
+    logger.info(`Roster drop folder set: ${result.filePaths[0]}`);
+    await startRosterWatcher();
+  } catch (error) {
+    logger.error('Error setting roster drop folder', error);
+    dialog.showErrorBox('Error', 'Error al configurar la carpeta de archivos de usuarios: ' + error.message);
+  }
+}
+
 // Repository mirror management
 async function reinitializeRepositoryMirror() {
   // Stop existing mirror if running
@@ -603,6 +836,13 @@ async function ensureRepositoryMirrorStarted() {
   });
 }
 
+// Helper function to log schema migrations applied when opening a database
+function logMigrationResult(result) {
+  if (result && result.applied.length > 0) {
+    logger.info(`Database schema migrated from v${result.from} to v${result.to}`, { applied: result.applied });
+  }
+}
+
 // Helper function to update window title with project name
 function updateWindowTitle() {
   mainWindowManager.updateTitle(projectPath);
@@ -644,8 +884,10 @@ async function openRecentProject(folderPath) {
     // Initialize database
     logger.section('LOADING DATABASE');
     logger.info(`Database path: ${dbPath}`);
-    dbManager = new DatabaseManager(dbPath);
-    await dbManager.initialize();
+    const openedDbManager = new DatabaseManager(dbPath);
+    await openedDbManager.initialize();
+    dbManager = openedDbManager;
+    logMigrationResult(dbManager.migrationResult);
     logger.success('Database loaded successfully');
 
     // Initialize paths
@@ -666,10 +908,14 @@ async function openRecentProject(folderPath) {
         mainWindow.webContents.send('image-detecting', filename);
       }
     });
-    folderWatcher.on('image-added', (filename) => {
+    folderWatcher.on('image-added', async (filename) => {
       logger.info(`New image detected: ${filename}`);
       // Invalidate image cache when new image is added
       imageManager.invalidateCache();
+
+      // Propose the 3:4 crop and check the quality
+      await processNewImport(dbManager, path.join(importsPath, filename), folderWatcher, logger);
+
       const mainWindow = mainWindowManager.getWindow();
       if (mainWindow) {
         mainWindow.webContents.send('new-image-detected', filename);
@@ -678,6 +924,9 @@ async function openRecentProject(folderPath) {
     folderWatcher.start();
     logger.success('Folder watcher started', { watchPath: ingestPath });
 
+    // Propose an update when the source roster changes
+    startRosterWatcher();
+
     logger.section('PROJECT OPENED SUCCESSFULLY');
     logger.success('Project loaded', { projectPath: folderPath });
 
@@ -726,6 +975,8 @@ function registerIPCHandlers() {
     set availableCameras(value) { availableCameras = value; },
     get selectedCameraId() { return selectedCameraId; },
     set selectedCameraId(value) { selectedCameraId = value; },
+    get captureTarget() { return captureTarget; },
+    set captureTarget(value) { captureTarget = value; },
     invalidateRepositoryCache: () => repositoryCacheManager.invalidateCache()
   };
 
@@ -734,16 +985,23 @@ function registerIPCHandlers() {
     mainWindow: () => mainWindowManager.getWindow(),
     logger,
     state,
+    audit: new AuditLogger(state, logger),
     repositoryCacheManager,
     repositoryMirror: () => repositoryMirror,
+    cameraWindow: () => cameraWindowManager.getWindow(),
     imageGridWindow: () => imageGridWindowManager.getWindow(),
     repositoryGridWindow: () => repositoryGridWindowManager.getWindow(),
     createMenu,
     addRecentProject,
     updateWindowTitle,
+    logMigrationResult,
     ensureDeletedGroup,
+    startRosterWatcher,
+    stopRosterWatcher,
     ensureRepositoryMirrorStarted,
-    reinitializeRepositoryMirror
+    reinitializeRepositoryMirror,
+    openImportReportWindow,
+    closeImportReportWindow: () => importReportWindowManager.close()
   };
 
   // Register all handler modules
@@ -773,6 +1031,13 @@ function registerIPCHandlers() {
       menu(enabled);
     }
   });
+
+  ipcMain.on('menu-toggle-quality-issues-from-renderer', (event, enabled) => {
+    const menu = menuBuilder.callbacks?.toggleQualityIssues;
+    if (menu) {
+      menu(enabled);
+    }
+  });
 }
 
 app.whenReady().then(() => {
@@ -809,6 +1074,7 @@ app.on('window-all-closed', () => {
   if (repositoryMirror) {
     repositoryMirror.stopWatch();
   }
+  stopRosterWatcher();
 
   if (process.platform !== 'darwin') {
     app.quit();
@@ -1,10 +1,102 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const SchemaMigrator = require('./schemaMigrator');
+const { buildSearchMatch, SEARCH_RANK_WEIGHTS } = require('./utils/userSearch');
+const { deriveGroupMetadata } = require('./utils/groupMetadata');
+
+// Records inserted per transaction by importUserRecords()
+const IMPORT_BATCH_SIZE = 500;
+
+const SECTION_USER_TYPES = {
+  students: 'student',
+  teachers: 'teacher',
+  nonTeachingStaff: 'non_teaching_staff'
+};
+
+const USER_TYPE_LABELS = {
+  student: 'Estudiante',
+  teacher: 'Docente',
+  non_teaching_staff: 'No Docente'
+};
+
+// Group of teachers and staff without one in the roster
+const DEFAULT_GROUPS = {
+  teacher: 'DOCENTES',
+  non_teaching_staff: 'NO_DOCENTES'
+};
+
+/**
+ * Statement adding a group with the metadata derived from its code
+ * (kept as is if the group already exists)
+ * @param {string} code - Group code
+ * @param {string} name - Group name
+ * @returns {[string, Array]}
+ */
+function insertGroupStatement(code, name) {
+  const { level, display_order, display_name } = deriveGroupMetadata(code, name);
+  return [
+    'INSERT OR IGNORE INTO groups (code, name, level, display_order, display_name) VALUES (?, ?, ?, ?, ?)',
+    [code, name, level, display_order, display_name]
+  ];
+}
+
+/**
+ * Turn an image_crops row into { image_path, crop, image_width, image_height, face, source, updated_at }
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function parseImageCropRow(row) {
+  let face = null;
+  try {
+    face = row.face ? JSON.parse(row.face) : null;
+  } catch (error) {
+    // Unreadable face box: the crop is still valid
+  }
+
+  return {
+    image_path: row.image_path,
+    crop: { left: row.crop_left, top: row.crop_top, width: row.crop_width, height: row.crop_height },
+    image_width: row.image_width,
+    image_height: row.image_height,
+    face,
+    source: row.source,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Turn an image_quality row into { image_path, sharpness, brightness, ..., issues }
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function parseImageQualityRow(row) {
+  let issues = [];
+  try {
+    issues = JSON.parse(row.issues || '[]');
+  } catch (error) {
+    // Unreadable issue list: keep the measures
+  }
+
+  return { ...row, issues };
+}
+
+/**
+ * Records of a parsed roster, in the order records() yields them
+ * @param {Object} users - { groups, students, teachers, nonTeachingStaff }
+ */
+function* rosterRecords(users) {
+  for (const section of ['groups', 'students', 'teachers', 'nonTeachingStaff']) {
+    for (const data of users[section] || []) {
+      yield { section, data };
+    }
+  }
+}
 
 class DatabaseManager {
   constructor(dbPath) {
     this.db = null;
     this.dbPath = dbPath;
+    this.transactionQueue = Promise.resolve();
   }
 
   async initialize() {
@@ -15,9 +107,12 @@ class DatabaseManager {
         } else {
           this.db.run('PRAGMA journal_mode = WAL');
           try {
-            await this.createTables();
+            this.migrationResult = await this.migrate();
             resolve();
           } catch (error) {
+            // Release the file so the project can be opened again after fixing the cause
+            this.close();
+            this.db = null;
             reject(error);
           }
         }
@@ -25,324 +120,278 @@ class DatabaseManager {
     });
   }
 
-  async createTables() {
-    return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        // Groups table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS groups (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            code TEXT NOT NULL UNIQUE,
-            name TEXT NOT NULL
-          )
-        `);
-
-        // Users table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            type TEXT NOT NULL,
-            first_name TEXT NOT NULL,
-            last_name1 TEXT NOT NULL,
-            last_name2 TEXT,
-            birth_date TEXT,
-            document TEXT,
-            nia TEXT,
-            group_code TEXT,
-            image_path TEXT,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (group_code) REFERENCES groups(code)
-          )
-        `);
-
-        // Image tags table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS image_tags (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            image_path TEXT NOT NULL,
-            tag TEXT NOT NULL,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-
-        // Project settings table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS project_settings (
-            key TEXT PRIMARY KEY,
-            value TEXT,
-            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-
-        // Create indexes for performance optimization
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_users_group ON users(group_code)');
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_users_type ON users(type)');
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_users_nia ON users(nia)');
-
-        // Composite index for search operations (optimizes LIKE queries on multiple fields)
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_users_search ON users(first_name, last_name1, last_name2, nia)');
-
-        // Index for image path lookups (optimizes linking and unlinking operations)
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_users_image ON users(image_path)');
-
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_image_tags_path ON image_tags(image_path)');
-
-        // Add orla_paid column if it doesn't exist (for backward compatibility)
-        this.db.run(`
-          ALTER TABLE users ADD COLUMN orla_paid INTEGER DEFAULT 0
-        `, (err) => {
-          // Ignore error if column already exists
-          if (err && !err.message.includes('duplicate column')) {
-            reject(err);
-            return;
-          }
+  /**
+   * Apply pending schema migrations
+   * @returns {Promise<{from: number, to: number, applied: string[]}>}
+   */
+  async migrate() {
+    const migrator = new SchemaMigrator(this.db);
+    return migrator.migrate();
+  }
 
-          // Add receipt_printed column if it doesn't exist (for backward compatibility)
-          this.db.run(`
-            ALTER TABLE users ADD COLUMN receipt_printed INTEGER DEFAULT 0
-          `, (err) => {
-            // Ignore error if column already exists
-            if (err && !err.message.includes('duplicate column')) {
-              reject(err);
-            } else {
-              resolve();
-            }
-          });
-        });
-      });
-    });
+  async getSchemaVersion() {
+    const migrator = new SchemaMigrator(this.db);
+    return migrator.getCurrentVersion();
   }
 
-  async importUsers(users) {
-    return new Promise((resolve, reject) => {
-      // Track issues during import
-      const report = {
-        imported: 0,
-        withoutIdentifier: [],
-        withoutGroup: [],
-        duplicates: []
-      };
+  /**
+   * Write a consistent copy of the open database to a new file
+   * Queued after pending transactions so the copy never contains half of one.
+   * @param {string} filePath - Destination file (must not exist)
+   */
+  async createSnapshot(filePath) {
+    const task = this.transactionQueue.then(() => new Promise((resolve, reject) => {
+      this.db.run('VACUUM INTO ?', [filePath], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    }));
 
-      // Pre-process all users and resolve duplicates
-      // Map: identifier -> { user: userData, fullName: string }
-      const usersToImport = new Map();
-
-      // Helper function to collect all occurrences of each identifier
-      const userOccurrences = new Map(); // identifier -> array of occurrences
-
-      const collectUser = (user, type, defaultGroup) => {
-        const fullName = `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim();
-
-        // Determine identifier based on type
-        let identifier, identifierLabel;
-        if (type === 'student') {
-          if (!user.nia) {
-            report.withoutIdentifier.push({
-              type: 'Estudiante',
-              name: fullName,
-              group: user.group_code || 'Sin grupo',
-              document: user.document || 'Sin documento',
-              reason: 'Sin NIA'
-            });
-            return; // Skip this user
-          }
-          identifier = `student_${user.nia}`;
-          identifierLabel = `NIA: ${user.nia}`;
-        } else {
-          if (!user.document) {
-            report.withoutIdentifier.push({
-              type: type === 'teacher' ? 'Docente' : 'No Docente',
-              name: fullName,
-              group: defaultGroup,
-              document: 'Sin documento',
-              reason: 'Sin documento'
-            });
-            return; // Skip this user
-          }
-          identifier = `${type}_${user.document}`;
-          identifierLabel = `Documento: ${user.document}`;
-        }
+    this.transactionQueue = task.catch(() => {});
+    return task;
+  }
 
-        // Assign default group for teachers/staff, keep as-is for students
-        const groupCode = type === 'student' ? user.group_code : (user.group_code || defaultGroup);
+  /**
+   * Import groups and users into the database
+   * @param {Object} users - { groups, students, teachers, nonTeachingStaff }, as returned by parse()
+   * @returns {Promise<Object>} Import report (see importUserRecords)
+   */
+  async importUsers(users) {
+    return this.importUserRecords(rosterRecords(users));
+  }
 
-        // Collect this occurrence
-        if (!userOccurrences.has(identifier)) {
-          userOccurrences.set(identifier, []);
-        }
-        userOccurrences.get(identifier).push({
-          user: { ...user, group_code: groupCode },
-          fullName: fullName,
-          type: type,
-          identifierLabel: identifierLabel
-        });
-      };
+  /**
+   * Import groups and users read one by one from a roster
+   *
+   * Records are inserted in batches, each in its own transaction, so the
+   * roster never has to be held in memory. Students are identified by NIA
+   * and teachers and staff by document; when an identifier appears more
+   * than once, the first occurrence with a group is kept.
+   * @param {AsyncIterable|Iterable} records - {section, data} records, as yielded by records()
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Records per transaction
+   * @param {Function} [options.onProgress] - Called after each batch with the number of users imported
+   * @returns {Promise<Object>} { imported, counts, withoutIdentifier, withoutGroup, duplicates }
+   */
+  async importUserRecords(records, { batchSize = IMPORT_BATCH_SIZE, onProgress = null } = {}) {
+    // Track issues during import
+    const report = {
+      imported: 0,
+      counts: { groups: 0, students: 0, teachers: 0, nonTeachingStaff: 0 },
+      withoutIdentifier: [],
+      withoutGroup: [],
+      duplicates: []
+    };
+
+    // Identifier -> occurrence kept and names/groups of every occurrence
+    // (only what the report needs, not the users themselves)
+    const occurrences = new Map();
+
+    let statements = [];
+    let pending = 0;
+
+    const flush = async () => {
+      if (statements.length > 0) {
+        await this.runInTransaction(statements);
+      }
+      statements = [];
+      pending = 0;
+      if (onProgress) {
+        onProgress(report.imported);
+      }
+    };
 
-      // Collect all students
-      users.students.forEach(student => {
-        collectUser(student, 'student', student.group_code);
+    // Attribute rows are linked through the identifier: the new user's ID is not known yet
+    const saveAttributes = (user, match, replace) => {
+      const target = `(SELECT id FROM users WHERE ${match.sql} ORDER BY id DESC LIMIT 1)`;
+      if (replace) {
+        statements.push([`DELETE FROM user_attributes WHERE user_id = ${target}`, match.params]);
+      }
+      Object.entries(user.attributes || {}).forEach(([name, value]) => {
+        statements.push([
+          `INSERT INTO user_attributes (user_id, name, value) VALUES (${target}, ?, ?)`,
+          [...match.params, name, value]
+        ]);
       });
+    };
+
+    const addUser = (user, type) => {
+      const fullName = `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim();
+
+      // Determine identifier based on type
+      let identifier, identifierLabel, match;
+      if (type === 'student') {
+        if (!user.nia) {
+          report.withoutIdentifier.push({
+            type: 'Estudiante',
+            name: fullName,
+            group: user.group_code || 'Sin grupo',
+            document: user.document || 'Sin documento',
+            reason: 'Sin NIA'
+          });
+          return; // Skip this user
+        }
+        identifier = `student_${user.nia}`;
+        identifierLabel = `NIA: ${user.nia}`;
+        match = { sql: 'type = ? AND nia = ?', params: [type, user.nia] };
+      } else {
+        if (!user.document) {
+          report.withoutIdentifier.push({
+            type: USER_TYPE_LABELS[type],
+            name: fullName,
+            group: DEFAULT_GROUPS[type],
+            document: 'Sin documento',
+            reason: 'Sin documento'
+          });
+          return; // Skip this user
+        }
+        identifier = `${type}_${user.document}`;
+        identifierLabel = `Documento: ${user.document}`;
+        match = { sql: 'type = ? AND document = ?', params: [type, user.document] };
+      }
 
-      // Collect all teachers
-      users.teachers.forEach(teacher => {
-        collectUser(teacher, 'teacher', 'DOCENTES');
-      });
+      // Assign default group for teachers/staff, keep as-is for students
+      const groupCode = (type === 'student' ? user.group_code : (user.group_code || DEFAULT_GROUPS[type])) || null;
+      const values = [
+        user.first_name,
+        user.last_name1,
+        user.last_name2,
+        user.birth_date,
+        user.document,
+        type === 'student' ? user.nia : null,
+        groupCode || 'SIN_GRUPO'
+      ];
+
+      const occurrence = occurrences.get(identifier);
+      if (!occurrence) {
+        occurrences.set(identifier, {
+          type,
+          identifierLabel,
+          fullName,
+          document: user.document,
+          group: groupCode,
+          names: [fullName],
+          groups: [groupCode]
+        });
 
-      // Collect all non-teaching staff
-      users.nonTeachingStaff.forEach(staff => {
-        collectUser(staff, 'non_teaching_staff', 'NO_DOCENTES');
-      });
+        statements.push([
+          'INSERT INTO users (type, first_name, last_name1, last_name2, birth_date, document, nia, group_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [type, ...values]
+        ]);
+        saveAttributes(user, match, false);
+        report.imported++;
+        return;
+      }
 
-      // Now process all collected occurrences and decide which to import
-      for (const [identifier, occurrences] of userOccurrences) {
-        if (occurrences.length === 1) {
-          // Single occurrence - check if it has a group
-          const occurrence = occurrences[0];
-          const hasGroup = occurrence.user.group_code && occurrence.user.group_code !== '';
+      occurrence.names.push(fullName);
+      occurrence.groups.push(groupCode);
+
+      if (!occurrence.group && groupCode) {
+        // The first occurrence with a group replaces the ones without
+        statements.push([
+          `UPDATE users SET first_name = ?, last_name1 = ?, last_name2 = ?, birth_date = ?, document = ?, nia = ?, group_code = ?
+           WHERE id = (SELECT id FROM users WHERE ${match.sql} ORDER BY id DESC LIMIT 1)`,
+          [...values, ...match.params]
+        ]);
+        saveAttributes(user, match, true);
+        Object.assign(occurrence, { fullName, document: user.document, group: groupCode });
+      }
+    };
 
-          // If no group, assign to SIN_GRUPO
-          if (!hasGroup) {
-            occurrence.user.group_code = 'SIN_GRUPO';
-          }
+    for await (const { section, data } of records) {
+      report.counts[section]++;
 
-          usersToImport.set(identifier, occurrence);
-
-          if (!hasGroup && occurrence.type === 'student') {
-            // Student without group and no duplicates
-            report.withoutGroup.push({
-              type: 'Estudiante',
-              name: occurrence.fullName,
-              identifier: occurrence.identifierLabel,
-              document: occurrence.user.document || 'Sin documento',
-              note: 'No existen grupos asignados'
-            });
-          }
-        } else {
-          // Multiple occurrences - duplicates detected
-          const userType = occurrences[0].type === 'student' ? 'Estudiante' :
-                          (occurrences[0].type === 'teacher' ? 'Docente' : 'No Docente');
-
-          // Analyze groups in all occurrences
-          const withGroup = occurrences.filter(occ => occ.user.group_code && occ.user.group_code !== '');
-          const withoutGroup = occurrences.filter(occ => !occ.user.group_code || occ.user.group_code === '');
-
-          let selectedOccurrence;
-          let duplicateNote;
-
-          if (withGroup.length === 0) {
-            // No occurrence has a group - assign to SIN_GRUPO
-            selectedOccurrence = occurrences[0];
-            selectedOccurrence.user.group_code = 'SIN_GRUPO';
-            duplicateNote = 'No existen grupos asignados';
-
-            // Add to withoutGroup report
-            report.withoutGroup.push({
-              type: userType,
-              name: selectedOccurrence.fullName,
-              identifier: selectedOccurrence.identifierLabel,
-              document: selectedOccurrence.user.document || 'Sin documento',
-              note: 'No existen grupos asignados'
-            });
-          } else if (withGroup.length === 1) {
-            // One occurrence has group, others don't
-            selectedOccurrence = withGroup[0];
-            duplicateNote = `Importado en el grupo ${selectedOccurrence.user.group_code}`;
-          } else {
-            // Multiple occurrences with different groups
-            selectedOccurrence = withGroup[0];
-            const groups = withGroup.map(occ => occ.user.group_code).filter((v, i, a) => a.indexOf(v) === i);
-            if (groups.length > 1) {
-              duplicateNote = `Usuario asignado a más de un grupo. Importado en el grupo ${selectedOccurrence.user.group_code}`;
-            } else {
-              duplicateNote = `Importado en el grupo ${selectedOccurrence.user.group_code}`;
-            }
-          }
+      if (section === 'groups') {
+        statements.push(insertGroupStatement(data.code, data.name));
+      } else {
+        addUser(data, SECTION_USER_TYPES[section]);
+      }
 
-          // Import the selected occurrence
-          usersToImport.set(identifier, selectedOccurrence);
-
-          // Collect all unique group codes found in occurrences
-          const allGroups = occurrences
-            .map(occ => occ.user.group_code || 'Sin grupo')
-            .filter((v, i, a) => a.indexOf(v) === i) // unique values
-            .join(', ');
-
-          // Report all duplicates in one consolidated entry
-          report.duplicates.push({
-            type: userType,
-            identifier: selectedOccurrence.identifierLabel,
-            allNames: occurrences.map(o => o.fullName).join(', '),
-            allGroups: allGroups,
-            group: selectedOccurrence.user.group_code || 'Sin grupo',
-            note: duplicateNote,
-            occurrencesCount: occurrences.length,
-            processed: true
-          });
-        }
+      pending++;
+      if (pending >= batchSize) {
+        await flush();
       }
+    }
 
-      // Now import the selected users
-      this.db.serialize(() => {
-        this.db.run('BEGIN TRANSACTION');
+    // Special groups go last so that roster groups with the same code keep their name
+    statements.push(insertGroupStatement('DOCENTES', 'Docentes'));
+    statements.push(insertGroupStatement('NO_DOCENTES', 'No Docentes'));
+    statements.push(insertGroupStatement('SIN_GRUPO', '⚠ Sin grupo'));
+    await flush();
+
+    for (const [key, occurrence] of occurrences) {
+      const userType = USER_TYPE_LABELS[occurrence.type];
+      const withoutGroupEntry = {
+        key,
+        type: userType,
+        name: occurrence.fullName,
+        identifier: occurrence.identifierLabel,
+        document: occurrence.document || 'Sin documento',
+        note: 'No existen grupos asignados'
+      };
 
-        // Insert groups
-        const insertGroup = this.db.prepare('INSERT OR IGNORE INTO groups (code, name) VALUES (?, ?)');
-        users.groups.forEach(group => {
-          insertGroup.run(group.code, group.name);
-        });
-        insertGroup.finalize();
-
-        // Insert special groups
-        this.db.run('INSERT OR IGNORE INTO groups (code, name) VALUES (?, ?)', ['DOCENTES', 'Docentes']);
-        this.db.run('INSERT OR IGNORE INTO groups (code, name) VALUES (?, ?)', ['NO_DOCENTES', 'No Docentes']);
-        this.db.run('INSERT OR IGNORE INTO groups (code, name) VALUES (?, ?)', ['SIN_GRUPO', '⚠ Sin grupo']);
-
-        // Insert users
-        const insertUser = this.db.prepare(
-          'INSERT INTO users (type, first_name, last_name1, last_name2, birth_date, document, nia, group_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
-        );
-
-        for (const [identifier, userData] of usersToImport) {
-          const user = userData.user;
-          const type = userData.type;
-
-          insertUser.run(
-            type,
-            user.first_name,
-            user.last_name1,
-            user.last_name2,
-            user.birth_date,
-            user.document,
-            type === 'student' ? user.nia : null,
-            user.group_code
-          );
-          report.imported++;
+      if (occurrence.names.length === 1) {
+        if (!occurrence.group && occurrence.type === 'student') {
+          // Student without group and no duplicates
+          report.withoutGroup.push(withoutGroupEntry);
         }
+        continue;
+      }
 
-        insertUser.finalize();
+      // Multiple occurrences - duplicates detected
+      const unique = (values) => values.filter((v, i, a) => a.indexOf(v) === i);
+      const foundGroups = unique(occurrence.groups.filter(Boolean));
+
+      let duplicateNote;
+      if (!occurrence.group) {
+        // No occurrence has a group - imported to SIN_GRUPO
+        duplicateNote = 'No existen grupos asignados';
+        report.withoutGroup.push(withoutGroupEntry);
+      } else if (foundGroups.length > 1) {
+        duplicateNote = `Usuario asignado a más de un grupo. Importado en el grupo ${occurrence.group}`;
+      } else {
+        duplicateNote = `Importado en el grupo ${occurrence.group}`;
+      }
 
-        this.db.run('COMMIT', (err) => {
-          if (err) reject(err);
-          else resolve(report);
-        });
+      // Report all duplicates in one consolidated entry
+      report.duplicates.push({
+        key,
+        type: userType,
+        identifier: occurrence.identifierLabel,
+        allNames: occurrence.names.join(', '),
+        allGroups: unique(occurrence.groups.map(group => group || 'Sin grupo')).join(', '),
+        group: occurrence.group || 'SIN_GRUPO',
+        note: duplicateNote,
+        occurrencesCount: occurrence.names.length,
+        processed: true
       });
-    });
+    }
+
+    return report;
   }
 
   async getUsers(filters = {}) {
     return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM users WHERE 1=1';
+      const searchMatch = filters.search ? buildSearchMatch(filters.search) : null;
+      let query = 'SELECT users.* FROM users';
       const params = [];
 
+      // Full-text search: accent/case-insensitive, word prefixes, ranked by relevance
+      if (searchMatch) {
+        query += ' JOIN users_fts ON users_fts.rowid = users.id WHERE users_fts MATCH ?';
+        params.push(searchMatch);
+      } else {
+        query += ' WHERE 1=1';
+      }
+
       if (filters.groupCode) {
         query += ' AND group_code = ?';
         params.push(filters.groupCode);
       }
 
-      if (filters.search) {
-        query += ' AND (first_name LIKE ? OR last_name1 LIKE ? OR last_name2 LIKE ? OR nia LIKE ?)';
-        const searchTerm = `%${filters.search}%`;
-        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+      if (filters.level) {
+        query += ' AND group_code IN (SELECT code FROM groups WHERE level = ?)';
+        params.push(filters.level);
       }
 
       if (filters.type) {
@@ -350,7 +399,9 @@ class DatabaseManager {
         params.push(filters.type);
       }
 
-      query += ' ORDER BY last_name1, last_name2, first_name';
+      query += searchMatch
+        ? ` ORDER BY bm25(users_fts, ${SEARCH_RANK_WEIGHTS.join(', ')}), last_name1, last_name2, first_name`
+        : ' ORDER BY last_name1, last_name2, first_name';
 
       this.db.all(query, params, (err, rows) => {
         if (err) reject(err);
@@ -415,15 +466,37 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Get the groups in display order, with the name of their tutor
+   * @returns {Promise<Object[]>}
+   */
   async getGroups() {
     return new Promise((resolve, reject) => {
-      this.db.all('SELECT * FROM groups ORDER BY code', [], (err, rows) => {
+      const query = `
+        SELECT g.*,
+          TRIM(t.first_name || ' ' || t.last_name1 || ' ' || COALESCE(t.last_name2, '')) AS tutor_name
+        FROM groups g
+        LEFT JOIN users t ON t.id = g.tutor_id
+        ORDER BY g.display_order IS NULL, g.display_order, g.code
+      `;
+      this.db.all(query, [], (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
     });
   }
 
+  /**
+   * Save the metadata edited in the group manager
+   * @param {Array<{code: string, level: string|null, display_order: number, display_name: string|null, tutor_id: number|null}>} groups
+   */
+  async updateGroups(groups) {
+    return this.runInTransaction(groups.map(group => [
+      'UPDATE groups SET level = ?, display_order = ?, display_name = ?, tutor_id = ? WHERE code = ?',
+      [group.level || null, group.display_order, group.display_name || null, group.tutor_id || null, group.code]
+    ]));
+  }
+
   async getUsersByImagePath(imagePath) {
     return new Promise((resolve, reject) => {
       this.db.all('SELECT * FROM users WHERE image_path = ?', [imagePath], (err, rows) => {
@@ -433,24 +506,153 @@ class DatabaseManager {
     });
   }
 
-  async linkImageToUser(userId, imagePath) {
-    return new Promise((resolve, reject) => {
-      this.db.run('UPDATE users SET image_path = ? WHERE id = ?', [imagePath, userId], (err) => {
+  /**
+   * Run several statements in a single transaction
+   * Transactions are queued so concurrent calls never nest BEGIN statements.
+   * @param {Array<[string, Array]>} statements - SQL and parameters of each statement
+   */
+  async runInTransaction(statements) {
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => {
         if (err) reject(err);
         else resolve();
       });
     });
+
+    const task = this.transactionQueue.then(async () => {
+      await run('BEGIN TRANSACTION');
+      try {
+        for (const [sql, params] of statements) {
+          await run(sql, params);
+        }
+        await run('COMMIT');
+      } catch (error) {
+        await run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+
+    this.transactionQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Make an image the user's current photo, keeping the previous one in the history
+   * @param {number} userId - User ID
+   * @param {string} imagePath - Image file name in imports
+   * @param {Object} [details] - Only used the first time the image is linked to the user
+   * @param {string} [details.source] - 'camera', 'ingest', 'import_with_id' or 'previous_year'
+   * @param {string} [details.capturedAt] - Capture date (ISO string)
+   */
+  async linkImageToUser(userId, imagePath, details = {}) {
+    const now = new Date().toISOString();
+
+    return this.runInTransaction([
+      [
+        "UPDATE user_images SET status = 'archived' WHERE user_id = ? AND status = 'current' AND image_path != ?",
+        [userId, imagePath]
+      ],
+      [
+        "UPDATE user_images SET status = 'current', linked_at = ? WHERE user_id = ? AND image_path = ?",
+        [now, userId, imagePath]
+      ],
+      [
+        `INSERT OR IGNORE INTO user_images (user_id, image_path, source, status, captured_at, linked_at)
+         VALUES (?, ?, ?, 'current', ?, ?)`,
+        [userId, imagePath, details.source || null, details.capturedAt || null, now]
+      ],
+      ['UPDATE users SET image_path = ? WHERE id = ?', [imagePath, userId]]
+    ]);
   }
 
+  /**
+   * Remove the user's current photo (it stays archived in the history)
+   * @param {number} userId - User ID
+   */
   async unlinkImageFromUser(userId) {
+    return this.runInTransaction([
+      ["UPDATE user_images SET status = 'archived' WHERE user_id = ? AND status = 'current'", [userId]],
+      ['UPDATE users SET image_path = NULL WHERE id = ?', [userId]]
+    ]);
+  }
+
+  /**
+   * Get every photo linked to a user, most recently linked first
+   * @param {number} userId - User ID
+   */
+  async getUserImages(userId) {
     return new Promise((resolve, reject) => {
-      this.db.run('UPDATE users SET image_path = NULL WHERE id = ?', [userId], (err) => {
+      this.db.all(
+        'SELECT * FROM user_images WHERE user_id = ? ORDER BY linked_at DESC, id DESC',
+        [userId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get every image filename kept in the photo history of any user
+   * @returns {Promise<string[]>}
+   */
+  async getAllUserImagePaths() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT DISTINCT image_path FROM user_images', [], (err, rows) => {
         if (err) reject(err);
-        else resolve();
+        else resolve((rows || []).map(row => row.image_path));
       });
     });
   }
 
+  async getUserImageById(imageId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM user_images WHERE id = ?', [imageId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Change the status or note of a photo in the history
+   *
+   * Archiving or rejecting the current photo leaves the user without photo.
+   * To make a photo current use linkImageToUser().
+   *
+   * @param {number} imageId - user_images ID
+   * @param {Object} updates
+   * @param {string} [updates.status] - 'archived' or 'rejected'
+   * @param {string|null} [updates.note] - Free text note
+   */
+  async updateUserImage(imageId, updates) {
+    const image = await this.getUserImageById(imageId);
+    if (!image) {
+      throw new Error('La foto no existe en el historial');
+    }
+
+    const statements = [];
+
+    if (updates.status !== undefined && updates.status !== image.status) {
+      if (!['archived', 'rejected'].includes(updates.status)) {
+        throw new Error(`Estado de foto no válido: ${updates.status}`);
+      }
+      statements.push(['UPDATE user_images SET status = ? WHERE id = ?', [updates.status, imageId]]);
+      if (image.status === 'current') {
+        statements.push(['UPDATE users SET image_path = NULL WHERE id = ? AND image_path = ?', [image.user_id, image.image_path]]);
+      }
+    }
+
+    if (updates.note !== undefined) {
+      statements.push(['UPDATE user_images SET note = ? WHERE id = ?', [updates.note || null, imageId]]);
+    }
+
+    if (statements.length > 0) {
+      await this.runInTransaction(statements);
+    }
+  }
+
   async updateUser(userId, updates) {
     return new Promise((resolve, reject) => {
       const fields = [];
@@ -485,6 +687,14 @@ class DatabaseManager {
         fields.push('nia = ?');
         values.push(updates.nia);
       }
+      if (updates.type !== undefined) {
+        fields.push('type = ?');
+        values.push(updates.type);
+      }
+      if (updates.manually_managed !== undefined) {
+        fields.push('manually_managed = ?');
+        values.push(updates.manually_managed ? 1 : 0);
+      }
 
       if (fields.length === 0) {
         resolve(); // Nothing to update
@@ -501,11 +711,143 @@ class DatabaseManager {
     });
   }
 
+  async createUser(user) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO users (type, first_name, last_name1, last_name2, birth_date, document, nia, group_code, manually_managed)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          user.type,
+          user.first_name,
+          user.last_name1,
+          user.last_name2 || null,
+          user.birth_date || null,
+          user.document || null,
+          user.type === 'student' ? user.nia : null,
+          user.group_code,
+          user.manually_managed ? 1 : 0
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  // Users sharing the given NIA or document (optionally ignoring one user)
+  async findIdentifierConflicts({ nia, document }, excludeUserId = null) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+
+      if (nia) {
+        conditions.push("(type = 'student' AND nia = ?)");
+        params.push(nia);
+      }
+      if (document) {
+        conditions.push('UPPER(document) = ?');
+        params.push(String(document).toUpperCase());
+      }
+
+      if (conditions.length === 0) {
+        resolve([]);
+        return;
+      }
+
+      let query = `SELECT * FROM users WHERE (${conditions.join(' OR ')})`;
+      if (excludeUserId !== null && excludeUserId !== undefined) {
+        query += ' AND id != ?';
+        params.push(excludeUserId);
+      }
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async groupExists(groupCode) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT 1 FROM groups WHERE code = ?', [groupCode], (err, row) => {
+        if (err) reject(err);
+        else resolve(!!row);
+      });
+    });
+  }
+
   async deleteUser(userId) {
+    return this.runInTransaction([
+      ['UPDATE groups SET tutor_id = NULL WHERE tutor_id = ?', [userId]],
+      ['DELETE FROM user_images WHERE user_id = ?', [userId]],
+      ['DELETE FROM user_attributes WHERE user_id = ?', [userId]],
+      ['DELETE FROM users WHERE id = ?', [userId]]
+    ]);
+  }
+
+  // Extra XML attributes methods
+
+  /**
+   * Replace all extra attributes of a user
+   * @param {number} userId - User ID
+   * @param {Object} attributes - Attribute name -> value
+   */
+  async setUserAttributes(userId, attributes = {}) {
+    const statements = [['DELETE FROM user_attributes WHERE user_id = ?', [userId]]];
+    Object.entries(attributes).forEach(([name, value]) => {
+      statements.push(['INSERT INTO user_attributes (user_id, name, value) VALUES (?, ?, ?)', [userId, name, value]]);
+    });
+
+    return this.runInTransaction(statements);
+  }
+
+  /**
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Attribute name -> value
+   */
+  async getUserAttributes(userId) {
     return new Promise((resolve, reject) => {
-      this.db.run('DELETE FROM users WHERE id = ?', [userId], (err) => {
+      this.db.all('SELECT name, value FROM user_attributes WHERE user_id = ? ORDER BY name', [userId], (err, rows) => {
         if (err) reject(err);
-        else resolve();
+        else resolve(Object.fromEntries((rows || []).map(row => [row.name, row.value])));
+      });
+    });
+  }
+
+  /**
+   * Attributes of every user, for exports
+   * @returns {Promise<Map<number, Object>>} User ID -> (attribute name -> value)
+   */
+  async getAllUserAttributes() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT user_id, name, value FROM user_attributes', [], (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const attributesByUser = new Map();
+        (rows || []).forEach(row => {
+          if (!attributesByUser.has(row.user_id)) {
+            attributesByUser.set(row.user_id, {});
+          }
+          attributesByUser.get(row.user_id)[row.name] = row.value;
+        });
+        resolve(attributesByUser);
+      });
+    });
+  }
+
+  /**
+   * Names of all attributes present in the project
+   * @returns {Promise<string[]>}
+   */
+  async getUserAttributeNames() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT DISTINCT name FROM user_attributes ORDER BY name', [], (err, rows) => {
+        if (err) reject(err);
+        else resolve((rows || []).map(row => row.name));
       });
     });
   }
@@ -528,6 +870,15 @@ class DatabaseManager {
     });
   }
 
+  async getImageTagById(tagId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM image_tags WHERE id = ?', [tagId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
   async deleteImageTag(tagId) {
     return new Promise((resolve, reject) => {
       this.db.run('DELETE FROM image_tags WHERE id = ?', [tagId], (err) => {
@@ -550,6 +901,165 @@ class DatabaseManager {
     });
   }
 
+  async getAllImageTags() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM image_tags ORDER BY image_path, created_at', [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Delete every tag of an image
+   * @param {string} imagePath - Image filename
+   * @returns {Promise<number>} Number of deleted tags
+   */
+  async deleteImageTagsByPath(imagePath) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM image_tags WHERE image_path = ?', [imagePath], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Get the crop of an image
+   * @param {string} imagePath - Image filename
+   * @returns {Promise<Object|null>} { image_path, crop, image_width, image_height, face, source, updated_at }
+   */
+  async getImageCrop(imagePath) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM image_crops WHERE image_path = ?', [imagePath], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? parseImageCropRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * Get the crops of several images
+   * @param {string[]} imagePaths - Image filenames
+   * @returns {Promise<Map<string, Object>>} Image filename -> crop row
+   */
+  async getImageCrops(imagePaths) {
+    if (imagePaths.length === 0) return new Map();
+
+    return new Promise((resolve, reject) => {
+      const placeholders = imagePaths.map(() => '?').join(', ');
+      this.db.all(`SELECT * FROM image_crops WHERE image_path IN (${placeholders})`, imagePaths, (err, rows) => {
+        if (err) reject(err);
+        else resolve(new Map((rows || []).map(row => [row.image_path, parseImageCropRow(row)])));
+      });
+    });
+  }
+
+  /**
+   * Save the crop of an image
+   * @param {string} imagePath - Image filename
+   * @param {Object} data
+   * @param {Object} data.crop - { left, top, width, height } in image pixels
+   * @param {Object} data.image - Image size: { width, height }
+   * @param {Object|null} [data.face] - Face box the crop was proposed from
+   * @param {string} data.source - 'face', 'center' or 'manual'
+   */
+  async setImageCrop(imagePath, { crop, image, face = null, source }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT OR REPLACE INTO image_crops
+          (image_path, crop_left, crop_top, crop_width, crop_height, image_width, image_height, face, source, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `, [
+        imagePath, crop.left, crop.top, crop.width, crop.height,
+        image.width, image.height, face ? JSON.stringify(face) : null, source
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Delete the crop of an image
+   * @param {string} imagePath - Image filename
+   */
+  async deleteImageCrop(imagePath) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM image_crops WHERE image_path = ?', [imagePath], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Get the quality analysis of an image
+   * @param {string} imagePath - Image filename
+   * @returns {Promise<Object|null>}
+   */
+  async getImageQuality(imagePath) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM image_quality WHERE image_path = ?', [imagePath], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? parseImageQualityRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * Get the quality analysis of several images
+   * @param {string[]} imagePaths - Image filenames
+   * @returns {Promise<Map<string, Object>>} Image filename -> analysis
+   */
+  async getImageQualities(imagePaths) {
+    if (imagePaths.length === 0) return new Map();
+
+    return new Promise((resolve, reject) => {
+      const placeholders = imagePaths.map(() => '?').join(', ');
+      this.db.all(`SELECT * FROM image_quality WHERE image_path IN (${placeholders})`, imagePaths, (err, rows) => {
+        if (err) reject(err);
+        else resolve(new Map((rows || []).map(row => [row.image_path, parseImageQualityRow(row)])));
+      });
+    });
+  }
+
+  /**
+   * Save the quality analysis of an image
+   * @param {string} imagePath - Image filename
+   * @param {Object} analysis - { metrics, issues } as returned by analyzeImage
+   */
+  async setImageQuality(imagePath, { metrics, issues }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT OR REPLACE INTO image_quality
+          (image_path, sharpness, brightness, dark_ratio, bright_ratio, image_width, image_height,
+           face_count, face_ratio, eye_openness, issues, analyzed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `, [
+        imagePath, metrics.sharpness, metrics.brightness, metrics.darkRatio, metrics.brightRatio,
+        metrics.width, metrics.height, metrics.faceCount, metrics.faceRatio,
+        metrics.eyeOpenness, JSON.stringify(issues)
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Delete the quality analysis of an image
+   * @param {string} imagePath - Image filename
+   */
+  async deleteImageQuality(imagePath) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM image_quality WHERE image_path = ?', [imagePath], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
   // Project settings methods
   async getProjectSetting(key) {
     return new Promise((resolve, reject) => {
@@ -623,6 +1133,160 @@ class DatabaseManager {
     });
   }
 
+  // Audit log methods
+  async addAuditEntry(entry) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO audit_log (action, user_id, user_identifier, user_name, before_value, after_value, details, actor, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        entry.action,
+        entry.user_id ?? null,
+        entry.user_identifier ?? null,
+        entry.user_name ?? null,
+        entry.before_value ?? null,
+        entry.after_value ?? null,
+        entry.details ?? null,
+        entry.actor ?? null,
+        entry.created_at || new Date().toISOString()
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  /**
+   * Get audit log entries, newest first
+   * @param {Object} filters
+   * @param {number} [filters.userId] - Only entries for this user
+   * @param {number} [filters.limit] - Maximum number of entries
+   */
+  async getAuditLog({ userId = null, limit = null } = {}) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM audit_log';
+      const params = [];
+
+      if (userId !== null && userId !== undefined) {
+        query += ' WHERE user_id = ?';
+        params.push(userId);
+      }
+
+      query += ' ORDER BY id DESC';
+
+      if (limit) {
+        query += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // Import report methods
+
+  /**
+   * Save the report of an import or XML update
+   * @param {Object} report
+   * @param {string} report.kind - 'import' or 'update'
+   * @param {string} [report.sourceFile] - Roster file
+   * @param {Array<{label: string, value: number}>} report.summary - Totals shown above the sections
+   * @param {Object<string, Object[]>} report.sections - Section id -> rows (with optional user_id)
+   * @returns {Promise<number>} Report ID
+   */
+  async saveImportReport({ kind, sourceFile = null, summary = [], sections = {} }) {
+    const reportId = await new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT INTO import_reports (kind, source_file, summary, created_at) VALUES (?, ?, ?, ?)',
+        [kind, sourceFile, JSON.stringify(summary), new Date().toISOString()],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    const statements = [];
+    Object.entries(sections).forEach(([section, rows]) => {
+      rows.forEach(({ user_id = null, ...data }) => {
+        statements.push([
+          'INSERT INTO import_report_entries (report_id, section, user_id, data) VALUES (?, ?, ?, ?)',
+          [reportId, section, user_id, JSON.stringify(data)]
+        ]);
+      });
+    });
+
+    try {
+      for (let start = 0; start < statements.length; start += IMPORT_BATCH_SIZE) {
+        await this.runInTransaction(statements.slice(start, start + IMPORT_BATCH_SIZE));
+      }
+    } catch (error) {
+      await this.deleteImportReport(reportId).catch(() => {});
+      throw error;
+    }
+
+    return reportId;
+  }
+
+  /**
+   * Get the saved reports, newest first, without their rows
+   * @returns {Promise<Array>} Reports with their parsed summary
+   */
+  async getImportReports() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM import_reports ORDER BY id DESC', [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({ ...row, summary: JSON.parse(row.summary || '[]') })));
+      });
+    });
+  }
+
+  /**
+   * Get a report with its rows grouped by section
+   * @param {number} reportId - Report ID
+   * @returns {Promise<Object|null>} Report with `sections` (section id -> rows), or null if it does not exist
+   */
+  async getImportReport(reportId) {
+    const report = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM import_reports WHERE id = ?', [reportId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!report) return null;
+
+    const entries = await new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM import_report_entries WHERE report_id = ? ORDER BY id', [reportId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    const sections = {};
+    entries.forEach(entry => {
+      if (!sections[entry.section]) {
+        sections[entry.section] = [];
+      }
+      sections[entry.section].push({ ...JSON.parse(entry.data), user_id: entry.user_id });
+    });
+
+    return { ...report, summary: JSON.parse(report.summary || '[]'), sections };
+  }
+
+  /**
+   * Delete a report and its rows
+   * @param {number} reportId - Report ID
+   */
+  async deleteImportReport(reportId) {
+    return this.runInTransaction([
+      ['DELETE FROM import_report_entries WHERE report_id = ?', [reportId]],
+      ['DELETE FROM import_reports WHERE id = ?', [reportId]]
+    ]);
+  }
+
   close() {
     if (this.db) {
       this.db.close();
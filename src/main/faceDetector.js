@@ -0,0 +1,148 @@
+/**
+ * Face detection in the main process
+ *
+ * Finds the faces of an image and their eyes with the models bundled in
+ * @vladmandic/face-api (SSD MobileNet V1 and the 68-point landmarks), run by
+ * TensorFlow.js on its WebAssembly backend: no GPU, browser feature or
+ * network is needed, so captured and ingested images are measured the same
+ * way. The models are loaded the first time a face is searched.
+ */
+const path = require('path');
+const sharp = require('sharp');
+
+// Images are reduced to this size (longest side) before the search
+const DETECTION_SIZE = 640;
+
+// Lowest confidence of the detector taken as a face
+const MIN_FACE_CONFIDENCE = 0.5;
+
+let modelsReady = null;
+
+/**
+ * Load TensorFlow.js and the face models once
+ * @returns {Promise<{tf: Object, faceapi: Object}>}
+ * @private
+ */
+function loadModels() {
+  if (!modelsReady) {
+    modelsReady = (async () => {
+      const tf = require('@tensorflow/tfjs');
+      const wasm = require('@tensorflow/tfjs-backend-wasm');
+      const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+
+      wasm.setWasmPaths(path.dirname(require.resolve('@tensorflow/tfjs-backend-wasm')) + path.sep);
+      // The plain JavaScript backend is slower but always available
+      if (!(await tf.setBackend('wasm'))) {
+        await tf.setBackend('cpu');
+      }
+      await tf.ready();
+
+      const modelPath = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+      await faceapi.nets.ssdMobilenetv1.loadFromDisk(modelPath);
+      await faceapi.nets.faceLandmark68Net.loadFromDisk(modelPath);
+
+      return { tf, faceapi };
+    })();
+
+    // Try again on the next image instead of keeping the failure
+    modelsReady.catch(() => {
+      modelsReady = null;
+    });
+  }
+  return modelsReady;
+}
+
+/**
+ * Eye aspect ratio: height of the eye / width of the eye
+ * (about 0.3 for an open eye, close to 0 for a closed one)
+ * @param {Array<{x: number, y: number}>} points - The 6 landmarks of an eye, from the outer corner clockwise
+ * @returns {number}
+ */
+function eyeAspectRatio(points) {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const width = distance(points[0], points[3]);
+  if (width === 0) return 0;
+  return (distance(points[1], points[5]) + distance(points[2], points[4])) / (2 * width);
+}
+
+/**
+ * Find the faces of an image
+ * @param {string|Buffer} input - Image file or data
+ * @returns {Promise<Object[]>} Face boxes in image pixels (after the EXIF rotation), largest first:
+ *   { x, y, width, height, eyeY, eyeOpenness, score }
+ */
+async function detectFaces(input) {
+  const { tf, faceapi } = await loadModels();
+  // Width as displayed: orientations 5 to 8 swap width and height
+  const metadata = await sharp(input).metadata();
+  const imageWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize({ width: DETECTION_SIZE, height: DETECTION_SIZE, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const scale = imageWidth / info.width;
+  const round = value => Math.round(value * scale * 10) / 10;
+  const tensor = tf.tensor3d(new Uint8Array(data), [info.height, info.width, info.channels]);
+
+  try {
+    const results = await faceapi
+      .detectAllFaces(tensor, new faceapi.SsdMobilenetv1Options({ minConfidence: MIN_FACE_CONFIDENCE }))
+      .withFaceLandmarks();
+
+    return results.map(({ detection, landmarks }) => {
+      const leftEye = landmarks.getLeftEye();
+      const rightEye = landmarks.getRightEye();
+      const eyes = [...leftEye, ...rightEye];
+      const openness = (eyeAspectRatio(leftEye) + eyeAspectRatio(rightEye)) / 2;
+
+      return {
+        x: round(detection.box.x),
+        y: round(detection.box.y),
+        width: round(detection.box.width),
+        height: round(detection.box.height),
+        eyeY: round(eyes.reduce((sum, point) => sum + point.y, 0) / eyes.length),
+        eyeOpenness: Math.round(openness * 1000) / 1000,
+        score: Math.round(detection.score * 1000) / 1000
+      };
+    }).sort((a, b) => b.width * b.height - a.width * a.height);
+  } finally {
+    tensor.dispose();
+  }
+}
+
+/**
+ * Faces of an image in the form used for crops and quality checks
+ * @param {string|Buffer} input - Image file or data
+ * @returns {Promise<{face: Object|null, faceCount: number}>} Largest face and number of faces
+ */
+async function detectImageFaces(input) {
+  const faces = await detectFaces(input);
+  return { face: faces[0] || null, faceCount: faces.length };
+}
+
+/**
+ * Same as detectImageFaces, but an image that cannot be searched gets no
+ * detection (nulls) instead of an error, so it can still be cropped and measured
+ * @param {string|Buffer} input - Image file or data
+ * @returns {Promise<{face: Object|null, faceCount: number|null}>}
+ */
+async function tryDetectImageFaces(input) {
+  try {
+    return await detectImageFaces(input);
+  } catch (error) {
+    console.error('Error detecting faces:', error);
+    return { face: null, faceCount: null };
+  }
+}
+
+module.exports = {
+  eyeAspectRatio,
+  detectFaces,
+  detectImageFaces,
+  tryDetectImageFaces
+};
@@ -20,6 +20,10 @@ class FolderWatcher extends EventEmitter {
     this.importsPath = importsPath;
     this.watcher = null;
     this.isProcessing = new Set();
+    this.importedNames = new Map(); // ingest filename -> filename given in imports
+    this.cameraCaptures = new Map(); // ingest filename written by the camera window -> { face, faceCount }
+    this.imageSources = new Map(); // imports filename -> 'camera' or 'ingest'
+    this.captureDetections = new Map(); // imports filename -> { face, faceCount } found when it was captured
   }
 
   start() {
@@ -93,6 +97,14 @@ class FolderWatcher extends EventEmitter {
       fs.renameSync(filePath, finalDestination);
 
       console.log('Image moved to imports:', path.basename(finalDestination));
+      const ingestFilename = path.basename(filePath);
+      this.importedNames.set(ingestFilename, path.basename(finalDestination));
+      const isCameraCapture = this.cameraCaptures.has(ingestFilename);
+      this.imageSources.set(path.basename(finalDestination), isCameraCapture ? 'camera' : 'ingest');
+      if (isCameraCapture) {
+        this.captureDetections.set(path.basename(finalDestination), this.cameraCaptures.get(ingestFilename));
+      }
+      this.cameraCaptures.delete(ingestFilename);
 
       // Emit event
       this.emit('image-added', path.basename(finalDestination));
@@ -145,6 +157,58 @@ class FolderWatcher extends EventEmitter {
     });
   }
 
+  /**
+   * Get the name an ingested file was given when moved to imports
+   * (only for files imported during this session)
+   * @param {string} ingestFilename - File name in the ingest folder
+   * @returns {string|null} File name in the imports folder
+   */
+  getImportedName(ingestFilename) {
+    return this.importedNames.get(ingestFilename) || null;
+  }
+
+  /**
+   * Flag a file about to be written to ingest as a camera capture
+   * @param {string} ingestFilename - File name in the ingest folder
+   * @param {Object} [detection] - Faces found when it was captured
+   * @param {Object|null} [detection.face] - Face box
+   * @param {number|null} [detection.faceCount] - Faces found, or null without a detector
+   */
+  expectCameraCapture(ingestFilename, { face = null, faceCount = null } = {}) {
+    this.cameraCaptures.set(ingestFilename, { face, faceCount });
+  }
+
+  /**
+   * Take the faces found in an imported capture when it was captured
+   * (only for files imported during this session; each one is given once)
+   * @param {string} importedFilename - File name in the imports folder
+   * @returns {{face: Object|null, faceCount: number|null}|null} null for unknown or ingested files
+   */
+  getCaptureDetection(importedFilename) {
+    const detection = this.captureDetections.get(importedFilename) || null;
+    this.captureDetections.delete(importedFilename);
+    return detection;
+  }
+
+  /**
+   * Get where an imported image came from
+   * (only for files imported during this session)
+   * @param {string} importedFilename - File name in the imports folder
+   * @returns {string|null} 'camera', 'ingest' or null if unknown
+   */
+  getImageSource(importedFilename) {
+    return this.imageSources.get(importedFilename) || null;
+  }
+
+  /**
+   * Check if a file in the ingest folder is still being moved to imports
+   * @param {string} filePath - Full path in the ingest folder
+   * @returns {boolean}
+   */
+  isFileProcessing(filePath) {
+    return this.isProcessing.has(filePath);
+  }
+
   formatTimestamp(date) {
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -165,3 +229,4 @@ class FolderWatcher extends EventEmitter {
 }
 
 module.exports = FolderWatcher;
+module.exports.IGNORE_RE = IGNORE_RE;
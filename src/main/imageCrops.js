@@ -0,0 +1,88 @@
+/**
+ * Crops of the images in imports
+ *
+ * Proposes the 3:4 crop of new images (captured or ingested), reads the
+ * stored crops and applies them when an image is exported. The image files
+ * are never modified.
+ */
+const path = require('path');
+const sharp = require('sharp');
+const { proposeCrop, isValidFace, loadCropSettings } = require('./utils/faceCrop');
+const { tryDetectImageFaces } = require('./faceDetector');
+
+/**
+ * Size of an image as displayed (after the EXIF rotation)
+ * @param {string|Buffer} input - Image file or data
+ * @returns {Promise<{width: number, height: number}>}
+ */
+async function readImageSize(input) {
+  const metadata = await sharp(input).metadata();
+  // Orientations 5 to 8 swap width and height
+  return metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Propose and store the crop of a new image
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {string} filePath - Image file in imports
+ * @param {Object|null} [detection] - { face, faceCount } already found in the image;
+ *   the faces are searched when omitted
+ * @returns {Promise<Object>} Stored crop row
+ */
+async function storeProposedCrop(dbManager, filePath, detection = null) {
+  const { face } = detection || await tryDetectImageFaces(filePath);
+  const image = await readImageSize(filePath);
+  const settings = await loadCropSettings(dbManager);
+  const { crop, source } = proposeCrop(image, face, settings);
+  const imagePath = path.basename(filePath);
+
+  await dbManager.setImageCrop(imagePath, { crop, image, face: isValidFace(face) ? face : null, source });
+  return dbManager.getImageCrop(imagePath);
+}
+
+/**
+ * Crop of an image: the stored one, or a proposal (not stored) for images
+ * imported before crops existed
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {string} filePath - Image file in imports
+ * @returns {Promise<Object>} { crop, image_width, image_height, face, source, stored }
+ */
+async function getImageCropInfo(dbManager, filePath) {
+  const stored = await dbManager.getImageCrop(path.basename(filePath));
+  if (stored) {
+    return { ...stored, stored: true };
+  }
+
+  const image = await readImageSize(filePath);
+  const { face } = await tryDetectImageFaces(filePath);
+  const { crop, source } = proposeCrop(image, face, await loadCropSettings(dbManager));
+  return {
+    image_path: path.basename(filePath),
+    crop,
+    image_width: image.width,
+    image_height: image.height,
+    face: isValidFace(face) ? face : null,
+    source,
+    stored: false
+  };
+}
+
+/**
+ * Open an image for export with its crop applied
+ * @param {string} filePath - Image file
+ * @param {Object|null} cropRow - Stored crop (as returned by getImageCrop), or null for the whole image
+ * @returns {sharp.Sharp} Auto-rotated (EXIF) image, cropped when there is a crop
+ */
+function openCroppedImage(filePath, cropRow) {
+  const image = sharp(filePath).rotate();
+  return cropRow ? image.extract(cropRow.crop) : image;
+}
+
+module.exports = {
+  readImageSize,
+  storeProposedCrop,
+  getImageCropInfo,
+  openCroppedImage
+};
@@ -0,0 +1,119 @@
+/**
+ * Quality analysis of the images in imports
+ *
+ * Measures sharpness and exposure with sharp on the face (or the centre of
+ * the frame), checks the resolution, the faces and their eyes, and stores the
+ * result so it can be shown and filtered in the main window.
+ */
+const path = require('path');
+const sharp = require('sharp');
+const { centerCrop, isValidFace } = require('./utils/faceCrop');
+const { laplacianVariance, measureExposure, evaluatePhotoQuality } = require('./utils/photoQuality');
+const { readImageSize, storeProposedCrop } = require('./imageCrops');
+const { tryDetectImageFaces } = require('./faceDetector');
+
+// The measured area is resized to this width so sharpness values are comparable
+const ANALYSIS_WIDTH = 320;
+
+/**
+ * Area measured for sharpness and exposure: the face, or the 3:4 centre
+ * of the frame where the subject stands
+ * @private
+ */
+function getAnalysisRegion(image, face) {
+  if (!isValidFace(face)) {
+    return centerCrop(image);
+  }
+
+  const left = Math.min(Math.max(Math.round(face.x), 0), image.width - 1);
+  const top = Math.min(Math.max(Math.round(face.y), 0), image.height - 1);
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(Math.round(face.width), image.width - left)),
+    height: Math.max(1, Math.min(Math.round(face.height), image.height - top))
+  };
+}
+
+/**
+ * Measure an image and find its quality problems
+ * @param {string|Buffer} input - Image file or JPEG data
+ * @param {Object} [detection] - Result of the face detector (see detectImageFaces)
+ * @param {Object|null} [detection.face] - Face box in image pixels, with its eyeOpenness when known
+ * @param {number|null} [detection.faceCount] - Faces found, or null if no detector was used
+ * @returns {Promise<{metrics: Object, issues: string[]}>}
+ */
+async function analyzeImage(input, { face = null, faceCount = null } = {}) {
+  const image = await readImageSize(input);
+  const region = getAnalysisRegion(image, face);
+
+  const { data, info } = await sharp(input)
+    .rotate()
+    .extract(region)
+    .resize({ width: ANALYSIS_WIDTH })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const exposure = measureExposure(data);
+  const metrics = {
+    sharpness: Math.round(laplacianVariance(data, info.width, info.height) * 10) / 10,
+    brightness: Math.round(exposure.brightness * 10) / 10,
+    darkRatio: Math.round(exposure.darkRatio * 1000) / 1000,
+    brightRatio: Math.round(exposure.brightRatio * 1000) / 1000,
+    width: image.width,
+    height: image.height,
+    faceCount: Number.isInteger(faceCount) ? faceCount : null,
+    faceRatio: isValidFace(face) ? Math.round((face.height / image.height) * 1000) / 1000 : null,
+    eyeOpenness: isValidFace(face) && Number.isFinite(face.eyeOpenness) ? face.eyeOpenness : null
+  };
+
+  return { metrics, issues: evaluatePhotoQuality(metrics) };
+}
+
+/**
+ * Analyse and store the quality of a new image
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {string} filePath - Image file in imports
+ * @param {Object} [detection] - { face, faceCount } already found in the image;
+ *   without it the faces are searched in the file
+ * @returns {Promise<{metrics: Object, issues: string[]}>}
+ */
+async function storeImageQuality(dbManager, filePath, detection = null) {
+  const analysis = await analyzeImage(filePath, detection || await tryDetectImageFaces(filePath));
+  await dbManager.setImageQuality(path.basename(filePath), analysis);
+  return analysis;
+}
+
+/**
+ * Propose the 3:4 crop and check the quality of an image added to imports
+ *
+ * Captures bring the faces found when they were saved; other images are
+ * searched once for both steps. A failed step is logged and does not stop
+ * the other one.
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {string} filePath - Image file in imports
+ * @param {FolderWatcher} folderWatcher - Watcher that added the image
+ * @param {Object} logger - Logger instance
+ */
+async function processNewImport(dbManager, filePath, folderWatcher, logger) {
+  const filename = path.basename(filePath);
+  const detection = folderWatcher.getCaptureDetection(filename) || await tryDetectImageFaces(filePath);
+
+  try {
+    await storeProposedCrop(dbManager, filePath, detection);
+  } catch (error) {
+    logger.error(`Error proposing crop for ${filename}`, error);
+  }
+  try {
+    await storeImageQuality(dbManager, filePath, detection);
+  } catch (error) {
+    logger.error(`Error analysing quality of ${filename}`, error);
+  }
+}
+
+module.exports = {
+  analyzeImage,
+  storeImageQuality,
+  processNewImport
+};
@@ -8,6 +8,16 @@ const sharp = require('sharp');
 const archiver = require('archiver');
 const { getImageRepositoryPath } = require('../utils/config');
 const { capitalizeWords } = require('../utils/formatting');
+const { buildAuditCSV } = require('../utils/auditLog');
+const { buildRosterDiffCSV } = require('../utils/rosterDiff');
+const { REPORT_KIND_LABELS, describeReportSections, buildReportSectionCSV } = require('../utils/importReports');
+const { getUserAttribute, fillUserTemplate } = require('../utils/userAttributes');
+const { getGroupDisplayName, getGroupPlaceholders, sortGroupCodes } = require('../utils/groupMetadata');
+const { openCroppedImage } = require('../imageCrops');
+
+// Default texts of the orla PDF (see fillUserTemplate for placeholders)
+const ORLA_TITLE_TEMPLATE = 'Orla - {nombre_grupo}';
+const ORLA_LABEL_TEMPLATE = '{apellido1} {apellido2}, {nombre}';
 
 /**
  * Helper function to check if a file exists in the repository
@@ -22,6 +32,85 @@ function checkRepositoryFile(filePath) {
   }
 }
 
+/**
+ * File name of an exported import report section, without extension
+ * e.g. Informe_Importacion_2025-09-01_Sin_grupo
+ * @param {Object} report - Saved report
+ * @param {Object} section - Item of describeReportSections()
+ * @returns {string}
+ */
+function getReportSectionFileName(report, section) {
+  const plain = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9]+/g, '_');
+  return `Informe_${plain(REPORT_KIND_LABELS[report.kind] || report.kind)}_${report.created_at.slice(0, 10)}_${plain(section.title)}`;
+}
+
+/**
+ * Write a report section as a table in a PDF file
+ * @param {string} filePath - PDF file
+ * @param {Object} report - Saved report
+ * @param {Object} section - Item of describeReportSections()
+ */
+async function writeReportSectionPDF(filePath, report, section) {
+  const PDFDocument = require('pdfkit');
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margins: { top: 40, bottom: 40, left: 40, right: 40 }
+  });
+  const stream = fs.createWriteStream(filePath);
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columnWidth = tableWidth / section.columns.length;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const padding = 4;
+
+  doc.fontSize(16)
+     .font('Helvetica-Bold')
+     .text(`Informe de ${(REPORT_KIND_LABELS[report.kind] || report.kind).toLowerCase()}: ${section.title}`);
+  doc.fontSize(9)
+     .font('Helvetica')
+     .fillColor('#555555')
+     .text(`${new Date(report.created_at).toLocaleString('es-ES')}${report.source_file ? ` - ${report.source_file}` : ''}`)
+     .text(section.description);
+  doc.fillColor('#000000');
+  doc.moveDown();
+
+  // Each row is as tall as its longest cell
+  const drawRow = (values, bold) => {
+    doc.fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    const texts = values.map(value => (value === null || value === undefined ? '' : String(value)));
+    const height = Math.max(...texts.map(text => doc.heightOfString(text, { width: columnWidth - padding * 2 }))) + padding * 2;
+
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    texts.forEach((text, index) => {
+      doc.text(text, left + index * columnWidth + padding, top + padding, { width: columnWidth - padding * 2 });
+    });
+    doc.moveTo(left, top + height).lineTo(left + tableWidth, top + height).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(section.columns.map(column => column.label), true);
+  section.rows.forEach(row => {
+    drawRow(section.columns.map(column => row[column.key]), false);
+  });
+
+  doc.end();
+
+  // Wait for write stream to finish
+  await new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
 /**
  * Helper function to calculate age from birth date
  * @param {string|Date} birthDate - Birth date
@@ -132,6 +221,9 @@ function registerExportHandlers(context) {
       // Use the filtered list for export
       users = usersWithRepositoryImages;
 
+      // Extra XML attributes fill direccion, telefono and departamento
+      const attributesByUser = await state.dbManager.getAllUserAttributes();
+
       // Create CSV content with exact field order from claude.md
       const csvHeader = 'id;password;userlevel;nombre;apellido1;apellido2;apellidos;centro;foto;grupo;direccion;telefono;departamento;DNI;edad;fechaNacimiento;nombreApellidos\n';
       const csvRows = users.map(user => {
@@ -171,9 +263,10 @@ function registerExportHandlers(context) {
         const centro = '1';
         // grupo: group code from user
         const grupo = user.group_code || '';
-        const direccion = '';
-        const telefono = '';
-        const departamento = '1';
+        const attributes = attributesByUser.get(user.id) || {};
+        const direccion = getUserAttribute(attributes, 'direccion');
+        const telefono = getUserAttribute(attributes, 'telefono') || getUserAttribute(attributes, 'telefono2');
+        const departamento = getUserAttribute(attributes, 'departamento', '1');
         const DNI = documento;
 
         return `${id};${password};${userlevel};${nombre};${apellido1};${apellido2};${apellidos};${centro};${foto};${grupo};${direccion};${telefono};${departamento};${DNI};${edad};${fechaNacimiento};${nombreApellidos}`;
@@ -222,7 +315,8 @@ function registerExportHandlers(context) {
         copyOriginal: options?.copyOriginal ?? true,
         resizeEnabled: options?.resizeEnabled ?? false,
         boxSize: options?.boxSize ?? 800,
-        maxSizeKB: options?.maxSizeKB ?? 500
+        maxSizeKB: options?.maxSizeKB ?? 500,
+        applyCrop: options?.applyCrop ?? false
       };
 
       logger.section('EXPORTING IMAGES');
@@ -307,6 +401,11 @@ function registerExportHandlers(context) {
                 continue;
               }
 
+              // Stored 3:4 crop (face-centred or adjusted by hand)
+              const cropRow = exportOptions.applyCrop
+                ? await state.dbManager.getImageCrop(path.basename(sourceImagePath))
+                : null;
+
               // Create destination filename with user ID in group folder
               const ext = path.extname(sourceImagePath);
               const destFileName = `${userId}${ext}`;
@@ -314,14 +413,12 @@ function registerExportHandlers(context) {
 
               // Process image based on options
               if (exportOptions.copyOriginal && !exportOptions.resizeEnabled) {
-                // Copy original but correct orientation using sharp
-                await sharp(sourceImagePath)
-                  .rotate() // Auto-rotate based on EXIF orientation
+                // Copy original but correct orientation (and apply the crop) using sharp
+                await openCroppedImage(sourceImagePath, cropRow)
                   .toFile(destPath);
               } else if (exportOptions.resizeEnabled) {
                 // Use sharp to process the image
-                let sharpInstance = sharp(sourceImagePath)
-                  .rotate(); // Auto-rotate based on EXIF orientation
+                let sharpInstance = openCroppedImage(sourceImagePath, cropRow); // Auto-rotated based on EXIF orientation
 
                 // Get image metadata (after rotation)
                 const metadata = await sharpInstance.metadata();
@@ -352,8 +449,7 @@ function registerExportHandlers(context) {
 
                   // Reduce quality and retry
                   quality -= 10;
-                  sharpInstance = sharp(sourceImagePath)
-                    .rotate(); // Auto-rotate based on EXIF orientation
+                  sharpInstance = openCroppedImage(sourceImagePath, cropRow); // Auto-rotated based on EXIF orientation
                   if (metadata.width > exportOptions.boxSize || metadata.height > exportOptions.boxSize) {
                     sharpInstance = sharpInstance.resize(exportOptions.boxSize, exportOptions.boxSize, {
                       fit: 'inside',
@@ -432,7 +528,8 @@ function registerExportHandlers(context) {
         copyOriginal: options?.copyOriginal ?? true,
         resizeEnabled: options?.resizeEnabled ?? false,
         boxSize: options?.boxSize ?? 800,
-        maxSizeKB: options?.maxSizeKB ?? 500
+        maxSizeKB: options?.maxSizeKB ?? 500,
+        applyCrop: options?.applyCrop ?? false
       };
 
       logger.section('EXPORTING IMAGES TO REPOSITORY');
@@ -491,20 +588,23 @@ function registerExportHandlers(context) {
             continue;
           }
 
+          // Stored 3:4 crop (face-centred or adjusted by hand)
+          const cropRow = exportOptions.applyCrop
+            ? await state.dbManager.getImageCrop(path.basename(sourceImagePath))
+            : null;
+
           // Create destination filename with user ID in repository
           const destFileName = `${userId}.jpg`;
           const destPath = path.join(repositoryPath, destFileName);
 
           // Process image based on options
           if (exportOptions.copyOriginal && !exportOptions.resizeEnabled) {
-            // Copy original but correct orientation using sharp
-            await sharp(sourceImagePath)
-              .rotate() // Auto-rotate based on EXIF orientation
+            // Copy original but correct orientation (and apply the crop) using sharp
+            await openCroppedImage(sourceImagePath, cropRow)
               .toFile(destPath);
           } else if (exportOptions.resizeEnabled) {
             // Use sharp to process the image
-            let sharpInstance = sharp(sourceImagePath)
-              .rotate(); // Auto-rotate based on EXIF orientation
+            let sharpInstance = openCroppedImage(sourceImagePath, cropRow); // Auto-rotated based on EXIF orientation
 
             // Get image metadata (after rotation)
             const metadata = await sharpInstance.metadata();
@@ -535,8 +635,7 @@ function registerExportHandlers(context) {
 
               // Reduce quality and retry
               quality -= 10;
-              sharpInstance = sharp(sourceImagePath)
-                .rotate(); // Auto-rotate based on EXIF orientation
+              sharpInstance = openCroppedImage(sourceImagePath, cropRow); // Auto-rotated based on EXIF orientation
               if (metadata.width > exportOptions.boxSize || metadata.height > exportOptions.boxSize) {
                 sharpInstance = sharpInstance.resize(exportOptions.boxSize, exportOptions.boxSize, {
                   fit: 'inside',
@@ -865,6 +964,8 @@ function registerExportHandlers(context) {
       logger.section('INVENTORY EXPORT');
       logger.info(`Exporting inventory CSVs for ${users.length} users`);
 
+      const attributesByUser = await state.dbManager.getAllUserAttributes();
+
       const results = {
         totalUsers: users.length,
         filesCreated: 0,
@@ -934,9 +1035,10 @@ function registerExportHandlers(context) {
           const apellido1 = user.last_name1 || '';
           const apellido2 = user.last_name2 || '';
           const fechaNacimiento = user.birth_date || '';
-          const telefono1 = '';
-          const telefono2 = '';
-          const email = '';
+          const attributes = attributesByUser.get(user.id) || {};
+          const telefono1 = getUserAttribute(attributes, 'telefono');
+          const telefono2 = getUserAttribute(attributes, 'telefono2');
+          const email = getUserAttribute(attributes, 'email');
 
           // Escape fields that might contain commas
           const escapeCSV = (field) => {
@@ -1034,7 +1136,8 @@ function registerExportHandlers(context) {
         copyOriginal: options?.copyOriginal ?? true,
         resizeEnabled: options?.resizeEnabled ?? false,
         boxSize: options?.boxSize ?? 800,
-        maxSizeKB: options?.maxSizeKB ?? 500
+        maxSizeKB: options?.maxSizeKB ?? 500,
+        applyCrop: options?.applyCrop ?? false
       };
 
       logger.section('EXPORTING IMAGES BY NAME');
@@ -1127,6 +1230,11 @@ function registerExportHandlers(context) {
                 continue;
               }
 
+              // Stored 3:4 crop (face-centred or adjusted by hand)
+              const cropRow = exportOptions.applyCrop
+                ? await state.dbManager.getImageCrop(path.basename(sourceImagePath))
+                : null;
+
               // Create destination filename with full name in group folder
               const ext = path.extname(sourceImagePath);
               const destFileName = `${fullName}${ext}`;
@@ -1134,14 +1242,12 @@ function registerExportHandlers(context) {
 
               // Process image based on options
               if (exportOptions.copyOriginal && !exportOptions.resizeEnabled) {
-                // Copy original but correct orientation using sharp
-                await sharp(sourceImagePath)
-                  .rotate() // Auto-rotate based on EXIF orientation
+                // Copy original but correct orientation (and apply the crop) using sharp
+                await openCroppedImage(sourceImagePath, cropRow)
                   .toFile(destPath);
               } else if (exportOptions.resizeEnabled) {
                 // Use sharp to process the image
-                let sharpInstance = sharp(sourceImagePath)
-                  .rotate(); // Auto-rotate based on EXIF orientation
+                let sharpInstance = openCroppedImage(sourceImagePath, cropRow); // Auto-rotated based on EXIF orientation
 
                 // Get image metadata (after rotation)
                 const metadata = await sharpInstance.metadata();
@@ -1172,8 +1278,7 @@ function registerExportHandlers(context) {
 
                   // Reduce quality and retry
                   quality -= 10;
-                  sharpInstance = sharp(sourceImagePath)
-                    .rotate(); // Auto-rotate based on EXIF orientation
+                  sharpInstance = openCroppedImage(sourceImagePath, cropRow); // Auto-rotated based on EXIF orientation
                   if (metadata.width > exportOptions.boxSize || metadata.height > exportOptions.boxSize) {
                     sharpInstance = sharpInstance.resize(exportOptions.boxSize, exportOptions.boxSize, {
                       fit: 'inside',
@@ -1230,7 +1335,7 @@ function registerExportHandlers(context) {
   });
 
   // Export Orla PDF
-  ipcMain.handle('export-orla-pdf', async (event, { exportPath, photoSource, imageQuality, usersByGroup }) => {
+  ipcMain.handle('export-orla-pdf', async (event, { exportPath, photoSource, imageQuality, usersByGroup, titleTemplate, labelTemplate }) => {
     const PDFDocument = require('pdfkit');
 
     try {
@@ -1244,8 +1349,19 @@ function registerExportHandlers(context) {
       const totalGroups = Object.keys(usersByGroup).length;
       let processedGroups = 0;
 
+      // Title and name label accept {placeholders}, including extra XML attributes
+      const attributesByUser = await state.dbManager.getAllUserAttributes();
+      const orlaTitleTemplate = titleTemplate || ORLA_TITLE_TEMPLATE;
+      const orlaLabelTemplate = labelTemplate || ORLA_LABEL_TEMPLATE;
+
+      // Groups in display order, with their name, level and tutor for the texts
+      const groups = await state.dbManager.getGroups();
+      const groupsByCode = new Map(groups.map(group => [group.code, group]));
+
       // Generate one PDF per group
-      for (const [groupCode, users] of Object.entries(usersByGroup)) {
+      for (const groupCode of sortGroupCodes(Object.keys(usersByGroup), groups)) {
+        const users = usersByGroup[groupCode];
+        const groupPlaceholders = getGroupPlaceholders(groupsByCode.get(groupCode), groupCode);
         logger.info(`Generating PDF for group: ${groupCode} (${users.length} users)`);
 
         // Send progress update
@@ -1269,7 +1385,7 @@ function registerExportHandlers(context) {
         // Add title
         doc.fontSize(20)
            .font('Helvetica-Bold')
-           .text(`Orla - ${groupCode}`, { align: 'center' });
+           .text(fillUserTemplate(orlaTitleTemplate, { group_code: groupCode }, groupPlaceholders), { align: 'center' });
 
         doc.moveDown(2);
 
@@ -1355,8 +1471,11 @@ function registerExportHandlers(context) {
               // Process at higher resolution (3x display size) for better quality in PDF
               const processingWidth = imageWidth * 3; // 315px for 105pt display
               const processingHeight = imageHeight * 3; // 420px for 140pt display
-              const imageBuffer = await sharp(imagePath)
-                .rotate()
+              // Captured photos use their stored 3:4 crop (face-centred or adjusted by hand)
+              const cropRow = photoSource === 'captured'
+                ? await state.dbManager.getImageCrop(path.basename(imagePath))
+                : null;
+              const imageBuffer = await openCroppedImage(imagePath, cropRow)
                 .resize(processingWidth, processingHeight, { fit: 'cover' })
                 .jpeg({ quality: imageQuality })
                 .toBuffer();
@@ -1393,9 +1512,8 @@ function registerExportHandlers(context) {
           }
 
           // Draw user name below image (always in black)
-          // Format: Apellido1 Apellido2, Nombre
-          const lastName2 = user.last_name2 ? ` ${user.last_name2}` : '';
-          const fullName = `${user.last_name1}${lastName2}, ${user.first_name}`;
+          // Default format: Apellido1 Apellido2, Nombre
+          const fullName = fillUserTemplate(orlaLabelTemplate, user, { ...groupPlaceholders, ...attributesByUser.get(user.id) });
           doc.fillColor('#000000')
              .fontSize(8)
              .font('Helvetica')
@@ -1454,7 +1572,9 @@ function registerExportHandlers(context) {
       logger.info(`Export path: ${exportPath}`);
       logger.info(`Groups with users: ${Object.keys(usersByGroup).length}`);
 
-      const groupCodes = Object.keys(usersByGroup).sort();
+      const groups = await state.dbManager.getGroups();
+      const groupsByCode = new Map(groups.map(group => [group.code, group]));
+      const groupCodes = sortGroupCodes(Object.keys(usersByGroup), groups);
 
       // Create single PDF for all groups
       const doc = new PDFDocument({
@@ -1505,7 +1625,7 @@ function registerExportHandlers(context) {
         // Group title
         doc.fontSize(14)
            .font('Helvetica-Bold')
-           .text(`Grupo ${groupCode}`, { underline: true });
+           .text(`Grupo ${groupsByCode.has(groupCode) ? getGroupDisplayName(groupsByCode.get(groupCode)) : groupCode}`, { underline: true });
 
         doc.moveDown(0.5);
 
@@ -1592,11 +1712,25 @@ function registerExportHandlers(context) {
         return firstNameA.localeCompare(firstNameB);
       });
 
+      // Extra XML attributes of the exported users are added as columns
+      const attributesByUser = state.dbManager ? await state.dbManager.getAllUserAttributes() : new Map();
+      const attributeColumns = [...new Set(
+        users.flatMap(user => Object.keys(attributesByUser.get(user.id) || {}))
+      )].sort();
+
       // Build CSV content
       const csvRows = [];
 
+      // Escape fields that contain commas or quotes
+      const escapeField = (field) => {
+        if (field.includes(',') || field.includes('"') || field.includes('\n')) {
+          return `"${field.replace(/"/g, '""')}"`;
+        }
+        return field;
+      };
+
       // Header
-      csvRows.push('Grupo,Apellido1,Apellido2,Nombre');
+      csvRows.push(['Grupo', 'Apellido1', 'Apellido2', 'Nombre', ...attributeColumns].map(escapeField).join(','));
 
       // Data rows
       users.forEach(user => {
@@ -1604,16 +1738,15 @@ function registerExportHandlers(context) {
         const lastName1 = user.last_name1 || '';
         const lastName2 = user.last_name2 || '';
         const firstName = user.first_name || '';
-
-        // Escape fields that contain commas or quotes
-        const escapeField = (field) => {
-          if (field.includes(',') || field.includes('"') || field.includes('\n')) {
-            return `"${field.replace(/"/g, '""')}"`;
-          }
-          return field;
-        };
-
-        csvRows.push(`${escapeField(group)},${escapeField(lastName1)},${escapeField(lastName2)},${escapeField(firstName)}`);
+        const attributes = attributesByUser.get(user.id) || {};
+
+        csvRows.push([
+          group,
+          lastName1,
+          lastName2,
+          firstName,
+          ...attributeColumns.map(name => attributes[name] || '')
+        ].map(escapeField).join(','));
       });
 
       const csvContent = csvRows.join('\n');
@@ -1632,6 +1765,93 @@ function registerExportHandlers(context) {
       return { success: false, error: error.message };
     }
   });
+
+  // Export audit log CSV
+  ipcMain.handle('export-audit-log', async (event, { exportPath, userId = null }) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      logger.section('AUDIT LOG CSV EXPORT');
+      logger.info(`Export path: ${exportPath}`);
+
+      const rows = await state.dbManager.getAuditLog({ userId });
+      logger.info(`Total entries: ${rows.length}`);
+
+      const fileName = userId ? `Historial_usuario_${userId}.csv` : 'Historial_auditoria.csv';
+      const filePath = path.join(exportPath, fileName);
+
+      // Write CSV file
+      fs.writeFileSync(filePath, buildAuditCSV(rows), 'utf8');
+
+      logger.section('AUDIT LOG CSV EXPORT COMPLETED');
+      logger.success(`Generated CSV: ${fileName}`);
+
+      return { success: true, fileName, count: rows.length };
+    } catch (error) {
+      logger.error('Error exporting audit log CSV', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Export a section of an import or update report as CSV or PDF
+  ipcMain.handle('export-import-report-section', async (event, { exportPath, reportId, sectionId, format = 'csv' }) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const report = await state.dbManager.getImportReport(reportId);
+      const section = report && describeReportSections(report).find(candidate => candidate.id === sectionId);
+      if (!section) {
+        throw new Error('La sección del informe no existe');
+      }
+
+      logger.section('IMPORT REPORT EXPORT');
+      logger.info(`Export path: ${exportPath}`);
+      logger.info(`Report ${reportId}, section ${sectionId} (${section.rows.length} rows) as ${format}`);
+
+      const fileName = `${getReportSectionFileName(report, section)}.${format === 'pdf' ? 'pdf' : 'csv'}`;
+      const filePath = path.join(exportPath, fileName);
+
+      if (format === 'pdf') {
+        await writeReportSectionPDF(filePath, report, section);
+      } else {
+        fs.writeFileSync(filePath, buildReportSectionCSV(section), 'utf8');
+      }
+
+      logger.success(`Generated report file: ${fileName}`);
+
+      return { success: true, fileName };
+    } catch (error) {
+      logger.error('Error exporting import report section', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Export the changes of an XML update for review before applying them
+  ipcMain.handle('export-update-diff', async (event, { exportPath, entries, approvedKeys = null }) => {
+    try {
+      logger.section('XML UPDATE DIFF CSV EXPORT');
+      logger.info(`Export path: ${exportPath}`);
+      logger.info(`Total changes: ${entries.length}`);
+
+      const fileName = 'Cambios_actualizacion.csv';
+      const filePath = path.join(exportPath, fileName);
+
+      // Write CSV file
+      fs.writeFileSync(filePath, buildRosterDiffCSV(entries, approvedKeys), 'utf8');
+
+      logger.section('XML UPDATE DIFF CSV EXPORT COMPLETED');
+      logger.success(`Generated CSV: ${fileName}`);
+
+      return { success: true, fileName };
+    } catch (error) {
+      logger.error('Error exporting XML update diff CSV', error);
+      return { success: false, error: error.message };
+    }
+  });
 }
 
 module.exports = { registerExportHandlers };
\ No newline at end of file
@@ -3,7 +3,29 @@
  */
 const { ipcMain, dialog } = require('electron');
 const path = require('path');
-const { getImageRepositoryPath, setImageRepositoryPath, getSelectedGroupFilter, setSelectedGroupFilter } = require('../utils/config');
+const {
+  getImageRepositoryPath,
+  setImageRepositoryPath,
+  getSelectedGroupFilter,
+  setSelectedGroupFilter,
+  getRosterMappingProfiles,
+  saveRosterMappingProfile,
+  deleteRosterMappingProfile,
+  getXmlMappingProfiles,
+  saveXmlMappingProfile,
+  deleteXmlMappingProfile,
+  getCameraOverlaySettings,
+  saveCameraOverlaySettings
+} = require('../utils/config');
+const { describeAuditEntry } = require('../utils/auditLog');
+const { getBuiltInProfiles, validateXmlProfile } = require('../xmlProfiles');
+const {
+  OVERLAY_PRESETS,
+  validateOverlaySettings,
+  computeOverlayLayout,
+  checkFaceLevel
+} = require('../utils/cameraOverlays');
+const { isValidFace } = require('../utils/faceCrop');
 
 // Card print requests cache
 let cardPrintRequestsCache = null;
@@ -16,12 +38,14 @@ const CARD_PRINT_CACHE_TTL = 30000; // 30 seconds
  * @param {BrowserWindow} context.mainWindow - Main window instance
  * @param {Object} context.logger - Logger instance
  * @param {Object} context.state - Application state
+ * @param {Object} context.audit - Audit logger
+ * @param {BrowserWindow} context.cameraWindow - Camera window instance
  * @param {BrowserWindow} context.imageGridWindow - Image grid window instance
  * @param {BrowserWindow} context.repositoryGridWindow - Repository grid window instance
  * @param {Function} context.createMenu - Create menu function
  */
 function registerMiscHandlers(context) {
-  const { mainWindow: getMainWindow, logger, state, imageGridWindow, repositoryGridWindow, createMenu, reinitializeRepositoryMirror } = context;
+  const { mainWindow: getMainWindow, logger, state, audit, cameraWindow, imageGridWindow, repositoryGridWindow, createMenu, reinitializeRepositoryMirror } = context;
 
   // ============================================================================
   // Dialog Handlers
@@ -67,6 +91,63 @@ function registerMiscHandlers(context) {
     return { success: true, selectedCameraId: state.selectedCameraId };
   });
 
+  // Get the composition guides of a camera and the available presets
+  ipcMain.handle('get-camera-overlay', async (event, cameraId) => {
+    try {
+      let settings;
+      try {
+        settings = validateOverlaySettings(getCameraOverlaySettings(cameraId || 'default') || {});
+      } catch (error) {
+        settings = validateOverlaySettings();
+      }
+
+      const presets = Object.entries(OVERLAY_PRESETS).map(([id, { label }]) => ({ id, label }));
+      return { success: true, settings, presets };
+    } catch (error) {
+      console.error('Error getting camera overlay:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save the composition guides of a camera
+  ipcMain.handle('save-camera-overlay', async (event, cameraId, settings) => {
+    try {
+      const validated = validateOverlaySettings(settings);
+      if (!saveCameraOverlaySettings(cameraId || 'default', validated)) {
+        throw new Error('No se pudo guardar la configuración');
+      }
+      return { success: true, settings: validated };
+    } catch (error) {
+      console.error('Error saving camera overlay:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Position of the guides in a frame, and whether the face is centred on them
+  ipcMain.handle('get-overlay-layout', async (event, frame, preset, face) => {
+    try {
+      const layout = computeOverlayLayout(frame, preset);
+      return { success: true, layout, level: isValidFace(face) ? checkFaceLevel(face, layout) : null };
+    } catch (error) {
+      console.error('Error computing overlay layout:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Set the user selected in the main window (capture for selected user)
+  ipcMain.handle('set-capture-target', async (event, target) => {
+    state.captureTarget = target || null;
+    if (cameraWindow && cameraWindow()) {
+      cameraWindow().webContents.send('capture-target-changed', state.captureTarget);
+    }
+    return { success: true };
+  });
+
+  // Get the user selected in the main window
+  ipcMain.handle('get-capture-target', async () => {
+    return { success: true, target: state.captureTarget };
+  });
+
   // ============================================================================
   // Repository Configuration Handlers
   // ============================================================================
@@ -146,6 +227,145 @@ function registerMiscHandlers(context) {
     }
   });
 
+  // Select a user in the main window (links of the import report window)
+  ipcMain.handle('show-user-in-main-window', async (event, userId) => {
+    const mainWindow = getMainWindow();
+    if (!mainWindow) {
+      return { success: false, error: 'La ventana principal no está disponible' };
+    }
+
+    if (mainWindow.isMinimized()) {
+      mainWindow.restore();
+    }
+    mainWindow.focus();
+    mainWindow.webContents.send('show-user', userId);
+    return { success: true };
+  });
+
+  // ============================================================================
+  // Roster Column Mapping Profiles
+  // ============================================================================
+
+  // Get saved column mappings for CSV/XLSX rosters
+  ipcMain.handle('get-roster-profiles', async () => {
+    try {
+      return { success: true, profiles: getRosterMappingProfiles() };
+    } catch (error) {
+      console.error('Error getting roster profiles:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save a column mapping as a named profile
+  ipcMain.handle('save-roster-profile', async (event, name, mapping) => {
+    try {
+      const profileName = String(name || '').trim();
+      if (!profileName) {
+        return { success: false, error: 'El perfil necesita un nombre' };
+      }
+      if (saveRosterMappingProfile(profileName, mapping)) {
+        return { success: true, profiles: getRosterMappingProfiles() };
+      }
+      return { success: false, error: 'No se pudo guardar el perfil' };
+    } catch (error) {
+      console.error('Error saving roster profile:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete a saved column mapping
+  ipcMain.handle('delete-roster-profile', async (event, name) => {
+    try {
+      if (deleteRosterMappingProfile(name)) {
+        return { success: true, profiles: getRosterMappingProfiles() };
+      }
+      return { success: false, error: 'No se pudo eliminar el perfil' };
+    } catch (error) {
+      console.error('Error deleting roster profile:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ============================================================================
+  // XML Mapping Profiles
+  // ============================================================================
+
+  // Get the built-in and user-defined XML mapping profiles
+  ipcMain.handle('get-xml-profiles', async () => {
+    try {
+      return { success: true, builtIn: getBuiltInProfiles(), custom: getXmlMappingProfiles() };
+    } catch (error) {
+      console.error('Error getting XML profiles:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Add a user-defined XML mapping profile from a JSON file
+  ipcMain.handle('import-xml-profile', async (event, filePath) => {
+    try {
+      const fs = require('fs').promises;
+
+      let profile;
+      try {
+        profile = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (parseError) {
+        return { success: false, error: 'El archivo no es un JSON válido: ' + parseError.message };
+      }
+
+      const validationError = validateXmlProfile(profile);
+      if (validationError) {
+        return { success: false, error: validationError };
+      }
+      if (getBuiltInProfiles().some(builtIn => builtIn.id === profile.id)) {
+        return { success: false, error: `Ya hay un perfil incluido con el identificador "${profile.id}"` };
+      }
+
+      const { builtIn, ...customProfile } = profile;
+      if (saveXmlMappingProfile(customProfile)) {
+        return { success: true, profile: customProfile, custom: getXmlMappingProfiles() };
+      }
+      return { success: false, error: 'No se pudo guardar el perfil' };
+    } catch (error) {
+      console.error('Error importing XML profile:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete a user-defined XML mapping profile
+  ipcMain.handle('delete-xml-profile', async (event, id) => {
+    try {
+      if (deleteXmlMappingProfile(id)) {
+        return { success: true, custom: getXmlMappingProfiles() };
+      }
+      return { success: false, error: 'No se pudo eliminar el perfil' };
+    } catch (error) {
+      console.error('Error deleting XML profile:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save an XML mapping profile as JSON, to use it as the template of a new one
+  ipcMain.handle('export-xml-profile', async (event, data) => {
+    try {
+      const fs = require('fs').promises;
+      const { exportPath, id } = data;
+
+      const profile = [...getXmlMappingProfiles(), ...getBuiltInProfiles()].find(existing => existing.id === id);
+      if (!profile) {
+        return { success: false, error: 'No se encuentra el perfil' };
+      }
+
+      const { builtIn, ...content } = profile;
+      const fileName = `${id}.json`;
+      await fs.writeFile(path.join(exportPath, fileName), JSON.stringify(content, null, 2), 'utf8');
+
+      return { success: true, fileName };
+    } catch (error) {
+      console.error('Error exporting XML profile:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // ============================================================================
   // Image Tag Handlers
   // ============================================================================
@@ -167,6 +387,9 @@ function registerMiscHandlers(context) {
       await state.dbManager.addImageTag(relativeImagePath, tag);
       logger.info(`Tag added to image: ${relativeImagePath} - "${tag}"`);
 
+      const [user] = await state.dbManager.getUsersByImagePath(relativeImagePath);
+      await audit.record('add_image_tag', { user, after: tag, details: relativeImagePath });
+
       return { success: true };
     } catch (error) {
       console.error('Error adding image tag:', error);
@@ -201,9 +424,15 @@ function registerMiscHandlers(context) {
         throw new Error('No hay ningún proyecto abierto');
       }
 
+      const imageTag = await state.dbManager.getImageTagById(tagId);
       await state.dbManager.deleteImageTag(tagId);
       logger.info(`Tag deleted: ${tagId}`);
 
+      if (imageTag) {
+        const [user] = await state.dbManager.getUsersByImagePath(imageTag.image_path);
+        await audit.record('delete_image_tag', { user, before: imageTag.tag, details: imageTag.image_path });
+      }
+
       return { success: true };
     } catch (error) {
       console.error('Error deleting image tag:', error);
@@ -245,6 +474,25 @@ function registerMiscHandlers(context) {
     }
   });
 
+  // ============================================================================
+  // Audit Log Handlers
+  // ============================================================================
+
+  // Get audit log entries (all, or only those of one user)
+  ipcMain.handle('get-audit-log', async (event, userId = null) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const rows = await state.dbManager.getAuditLog({ userId });
+      return { success: true, entries: rows.map(describeAuditEntry) };
+    } catch (error) {
+      console.error('Error getting audit log:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // ============================================================================
   // Repository Mirror Handlers
   // ============================================================================
@@ -441,6 +689,7 @@ function registerMiscHandlers(context) {
         await fs.writeFile(filePath, '', 'utf8');
         count++;
         logger.info(`Created card print request for user ${user.id}: ${filePath}`);
+        await audit.record('request_card_print', { user, details: filePath });
       }
 
       // Invalidate cache after creating new requests
@@ -591,6 +840,7 @@ function registerMiscHandlers(context) {
         await fs.copyFile(repositoryImagePath, destPath);
         count++;
         logger.info(`Created publication request for user ${user.id}: ${destPath}`);
+        await audit.record('request_publication', { user, details: destPath });
       }
 
       // Invalidate cache after creating new requests
@@ -685,6 +935,10 @@ function registerMiscHandlers(context) {
           await fs.rename(sourcePath, destPath);
           movedCount++;
           logger.info(`Moved card print request from To-Print-ID to Printed-ID: ${userId}`);
+
+          // Card requests are named by NIA (students) or document (staff)
+          const user = await state.dbManager.getUserByNIA(userId) || await state.dbManager.getUserByDocument(userId);
+          await audit.record('mark_card_printed', { user, identifier: userId, details: destPath });
         } catch (error) {
           // File doesn't exist or couldn't be moved, skip
           logger.warning(`Could not move card print request for user ${userId}: ${error.message}`);
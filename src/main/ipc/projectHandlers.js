@@ -1,13 +1,60 @@
 /**
  * Project-related IPC handlers
  */
-const { ipcMain, dialog } = require('electron');
+const { ipcMain } = require('electron');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const DatabaseManager = require('../database');
-const XMLParser = require('../xmlParser');
+const { ROSTER_FIELDS, suggestColumnMapping } = require('../rosterParser');
+const { readRoster, analyzeRosterUpdate } = require('../rosterUpdate');
+const { validateRosterXMLFile } = require('../xmlValidator');
+const { readSpreadsheet } = require('../spreadsheetReader');
 const ImageManager = require('../imageManager');
 const FolderWatcher = require('../folderWatcher');
+const { processNewImport } = require('../imageQuality');
+const { diffUserFields } = require('../utils/auditLog');
+const { attributesEqual } = require('../utils/userAttributes');
+const { buildRosterDiff, summarizeRosterDiff, getRosterKey, getFinalGroupCode } = require('../utils/rosterDiff');
+const { rememberRosterFile } = require('../utils/rosterSource');
+const { getBackupFileName, createProjectBackup, restoreProjectBackup } = require('../utils/projectBackup');
+const { readPreviousProject, matchUsers, countCarryOver, carryOverFromPreviousProject } = require('../utils/previousYear');
+const { checkProjectIntegrity, repairIntegrityIssues } = require('../utils/integrityCheck');
+const {
+  findRosterDuplicates,
+  prepareResolutions,
+  applyDuplicateResolutions,
+  loadDuplicateResolutions,
+  saveDuplicateResolutions,
+  attachSavedResolutions
+} = require('../utils/rosterDuplicates');
+const {
+  REPORT_KIND_LABELS,
+  buildImportReport,
+  buildUpdateReport,
+  linkReportUsers,
+  hasReportIssues,
+  describeReportSections
+} = require('../utils/importReports');
+const VersionManager = require('../utils/version');
+const { getImageRepositoryPath, getXmlMappingProfiles } = require('../utils/config');
+
+/**
+ * Check the decisions taken on the duplicate identifiers of a roster
+ * against the duplicates of the file
+ * @param {Object[]} resolutions - Decisions sent by the renderer
+ * @param {string} filePath - Roster file
+ * @param {Object|null} mapping - Column mapping of CSV/XLSX rosters
+ * @param {boolean} validOnly - Whether only the valid elements are read
+ * @returns {Promise<Object[]>} Decisions with the merged users rebuilt in the main process
+ * @throws {Error} If a decision is not valid
+ */
+async function checkDuplicateResolutions(resolutions, filePath, mapping, validOnly) {
+  if (resolutions.length === 0) return [];
+
+  const duplicates = await findRosterDuplicates(async () => (await readRoster(filePath, mapping, validOnly)).records);
+  return prepareResolutions(resolutions, duplicates);
+}
 
 /**
  * Register project-related IPC handlers
@@ -15,21 +62,45 @@ const FolderWatcher = require('../folderWatcher');
  * @param {BrowserWindow} context.mainWindow - Main window instance
  * @param {Object} context.logger - Logger instance
  * @param {Object} context.state - Application state (projectPath, dbManager, etc.)
+ * @param {Object} context.audit - Audit logger
  * @param {Function} context.addRecentProject - Function to add recent project
  * @param {Function} context.updateWindowTitle - Function to update window title
+ * @param {Function} context.logMigrationResult - Function to log the schema migrations applied to a database
+ * @param {Function} context.repositoryMirror - Getter of the repository mirror instance
+ * @param {Function} context.startRosterWatcher - Function to watch the source roster of the open project
+ * @param {Function} context.stopRosterWatcher - Function to stop watching the source roster
+ * @param {Function} context.openImportReportWindow - Function to show an import report
+ * @param {Function} context.closeImportReportWindow - Function to close the import report window
  */
 function registerProjectHandlers(context) {
-  const { mainWindow: getMainWindow, logger, state, addRecentProject, updateWindowTitle } = context;
+  const {
+    mainWindow: getMainWindow,
+    logger,
+    state,
+    audit,
+    addRecentProject,
+    updateWindowTitle,
+    logMigrationResult,
+    repositoryMirror,
+    startRosterWatcher,
+    stopRosterWatcher,
+    openImportReportWindow,
+    closeImportReportWindow
+  } = context;
+
+  // XML update analyses waiting for confirmation, by session id. The users
+  // read from the file stay here instead of travelling to the renderer.
+  const updateSessions = new Map();
 
   // Create new project
   ipcMain.handle('create-project', async (event, data) => {
     try {
-      const { folderPath, xmlPath } = data;
+      const { folderPath, xmlPath, mapping = null, validOnly = false } = data;
 
       // Initialize logger for this project
       logger.initialize(folderPath);
       logger.section('CREATING NEW PROJECT');
-      logger.info('Project folder selected', { folderPath, xmlPath });
+      logger.info('Project folder selected', { folderPath, xmlPath, mapping, validOnly, duplicateResolutions: (data.duplicateResolutions || []).length });
 
       // Validate paths
       logger.info('Validating paths...');
@@ -37,9 +108,10 @@ function registerProjectHandlers(context) {
         throw new Error('La carpeta seleccionada no existe');
       }
       if (!fs.existsSync(xmlPath)) {
-        throw new Error('El archivo XML no existe');
+        throw new Error('El archivo de usuarios no existe');
       }
       logger.success('Paths validated successfully');
+      const duplicateResolutions = await checkDuplicateResolutions(data.duplicateResolutions || [], xmlPath, mapping, validOnly);
 
       // Progress: 10%
       getMainWindow()?.webContents.send('progress', {
@@ -84,132 +156,68 @@ function registerProjectHandlers(context) {
       // Progress: 40%
       getMainWindow()?.webContents.send('progress', {
         percentage: 40,
-        message: 'Leyendo archivo XML...',
+        message: 'Leyendo archivo de usuarios...',
         details: xmlPath
       });
 
-      // Parse XML and import users
-      logger.section('PARSING XML FILE');
-      logger.info(`Reading XML file: ${xmlPath}`);
-      const xmlParser = new XMLParser(xmlPath);
-      const users = await xmlParser.parse();
+      // Read the roster (XML, CSV or XLSX) and import users in batches as they are read
+      logger.section('IMPORTING USERS TO DATABASE');
+      logger.info(`Reading roster file: ${xmlPath}`);
+      let fractionRead = 0;
+      const { records, validation } = await readRoster(xmlPath, mapping, validOnly, (fraction) => {
+        fractionRead = fraction;
+      });
+      const skippedElements = validation ? validation.invalidCount : 0;
+      if (skippedElements > 0) {
+        logger.warning(`Skipped ${skippedElements} invalid XML elements`);
+      }
+
+      // Progress: 40% - 80%
+      const importReport = await state.dbManager.importUserRecords(applyDuplicateResolutions(records, duplicateResolutions), {
+        onProgress: (imported) => {
+          getMainWindow()?.webContents.send('progress', {
+            percentage: 40 + Math.round(fractionRead * 40),
+            message: 'Importando usuarios...',
+            details: `${imported} usuarios importados`
+          });
+        }
+      });
+
+      // Remember the decisions for the next XML update
+      await saveDuplicateResolutions(state.dbManager, duplicateResolutions);
 
-      const totalUsers = users.students.length + users.teachers.length + users.nonTeachingStaff.length;
-      const totalGroups = users.groups.length;
+      const { counts } = importReport;
+      const totalUsers = counts.students + counts.teachers + counts.nonTeachingStaff;
+      const totalGroups = counts.groups;
 
-      logger.success('XML parsed successfully', {
+      logger.success('Users imported successfully', {
         groups: totalGroups,
-        students: users.students.length,
-        teachers: users.teachers.length,
-        nonTeachingStaff: users.nonTeachingStaff.length,
+        students: counts.students,
+        teachers: counts.teachers,
+        nonTeachingStaff: counts.nonTeachingStaff,
         totalUsers: totalUsers
       });
 
-      // Progress: 60%
-      getMainWindow()?.webContents.send('progress', {
-        percentage: 60,
-        message: 'Importando usuarios...',
-        details: `${totalGroups} grupos, ${totalUsers} usuarios encontrados`
-      });
-
-      logger.section('IMPORTING USERS TO DATABASE');
-      logger.info(`Importing ${totalGroups} groups and ${totalUsers} users...`);
-      const importReport = await state.dbManager.importUsers(users);
-      logger.success('Users imported successfully');
-
       // Log import report summary
       logger.info('Import report summary', {
         imported: importReport.imported,
         withoutIdentifier: importReport.withoutIdentifier.length,
         withoutGroup: importReport.withoutGroup.length,
-        duplicates: importReport.duplicates.length
-      });
-
-      // Generate detailed import report log if there are issues
-      if (importReport.withoutIdentifier.length > 0 || importReport.withoutGroup.length > 0 || importReport.duplicates.length > 0) {
-        const reportLogPath = path.join(folderPath, 'import-report.log');
-        let reportContent = '='.repeat(80) + '\n';
-        reportContent += 'INFORME DE IMPORTACIÓN DE USUARIOS\n';
-        reportContent += '='.repeat(80) + '\n\n';
-        reportContent += `Fecha: ${new Date().toLocaleString('es-ES')}\n`;
-        reportContent += `Total de usuarios importados: ${importReport.imported}\n\n`;
-
-        // Users without identifier
-        if (importReport.withoutIdentifier.length > 0) {
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += `USUARIOS SIN IDENTIFICADOR (${importReport.withoutIdentifier.length})\n`;
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += 'Estos usuarios NO se han importado porque no tienen identificador válido.\n';
-          reportContent += 'Los estudiantes requieren NIA y los docentes/no docentes requieren documento.\n\n';
-
-          importReport.withoutIdentifier.forEach((user, index) => {
-            reportContent += `${index + 1}. ${user.name}\n`;
-            reportContent += `   Tipo: ${user.type}\n`;
-            reportContent += `   Grupo: ${user.group}\n`;
-            reportContent += `   Documento: ${user.document}\n`;
-            reportContent += `   Razón: ${user.reason}\n\n`;
-          });
-        }
-
-        // Users without group
-        if (importReport.withoutGroup.length > 0) {
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += `USUARIOS SIN GRUPO (${importReport.withoutGroup.length})\n`;
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += 'Estos usuarios se han importado pero no tienen grupo asignado.\n\n';
-
-          importReport.withoutGroup.forEach((user, index) => {
-            reportContent += `${index + 1}. ${user.name}\n`;
-            reportContent += `   Tipo: ${user.type}\n`;
-            reportContent += `   Identificador: ${user.identifier}\n`;
-            reportContent += `   Documento: ${user.document}\n`;
-            if (user.note) {
-              reportContent += `   Nota: ${user.note}\n`;
-            }
-            reportContent += '\n';
-          });
-        }
-
-        // Duplicate users
-        if (importReport.duplicates.length > 0) {
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += `USUARIOS DUPLICADOS (${importReport.duplicates.length})\n`;
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += 'Estos usuarios tienen el mismo identificador (NIA o documento).\n';
-          reportContent += 'Se prioriza la importación del usuario que tiene grupo asignado.\n\n';
-
-          importReport.duplicates.forEach((dup, index) => {
-            reportContent += `${index + 1}. ${dup.identifier}\n`;
-            reportContent += `   Tipo: ${dup.type}\n`;
-            if (dup.allNames) {
-              reportContent += `   Nombres encontrados: ${dup.allNames}\n`;
-              if (dup.occurrencesCount) {
-                reportContent += `   Ocurrencias: ${dup.occurrencesCount}\n`;
-              }
-            } else {
-              reportContent += `   Primer usuario: ${dup.firstUser}\n`;
-              if (dup.duplicateUser) {
-                reportContent += `   Usuario duplicado: ${dup.duplicateUser}\n`;
-              }
-            }
-            if (dup.allGroups) {
-              reportContent += `   Grupos encontrados: ${dup.allGroups}\n`;
-            }
-            reportContent += `   Grupo importado: ${dup.group}\n`;
-            if (dup.note) {
-              reportContent += `   Nota: ${dup.note}\n`;
-            }
-            reportContent += '\n';
-          });
-        }
+        duplicates: importReport.duplicates.length,
+        resolvedDuplicates: duplicateResolutions.length,
+        skippedElements
+      });
 
-        reportContent += '='.repeat(80) + '\n';
-        reportContent += 'FIN DEL INFORME\n';
-        reportContent += '='.repeat(80) + '\n';
+      // Save the import report in the project
+      const report = linkReportUsers(
+        buildImportReport({ sourceFile: xmlPath, importReport, duplicateResolutions, validation }),
+        await state.dbManager.getUsers({})
+      );
+      const reportId = await state.dbManager.saveImportReport(report);
+      logger.success(`Import report saved (ID: ${reportId})`);
 
-        fs.writeFileSync(reportLogPath, reportContent, 'utf8');
-        logger.success(`Import report saved: ${reportLogPath}`);
-      }
+      // Remember the roster file to propose updates when it changes
+      await rememberRosterFile(state.dbManager, xmlPath, mapping);
 
       // Progress: 80%
       getMainWindow()?.webContents.send('progress', {
@@ -229,15 +237,22 @@ function registerProjectHandlers(context) {
         logger.info(`Image being processed: ${filename}`);
         getMainWindow()?.webContents.send('image-detecting', filename);
       });
-      state.folderWatcher.on('image-added', (filename) => {
+      state.folderWatcher.on('image-added', async (filename) => {
         logger.info(`New image detected: ${filename}`);
         // Invalidate image cache when new image is added
         state.imageManager.invalidateCache();
+
+        // Propose the 3:4 crop and check the quality
+        await processNewImport(state.dbManager, path.join(importsPath, filename), state.folderWatcher, logger);
+
         getMainWindow()?.webContents.send('new-image-detected', filename);
       });
       state.folderWatcher.start();
       logger.success('Folder watcher started', { watchPath: ingestPath });
 
+      // Propose an update when the roster file changes
+      startRosterWatcher();
+
       // Progress: 100%
       getMainWindow()?.webContents.send('progress', {
         percentage: 100,
@@ -258,35 +273,16 @@ function registerProjectHandlers(context) {
       // Update window title
       updateWindowTitle();
 
-      // Show import report dialog if there are issues
-      if (importReport.withoutIdentifier.length > 0 || importReport.withoutGroup.length > 0 || importReport.duplicates.length > 0) {
-        let reportMessage = `Se han importado ${importReport.imported} usuarios correctamente.\n\n`;
-
-        if (importReport.withoutIdentifier.length > 0) {
-          reportMessage += `⚠ ${importReport.withoutIdentifier.length} usuarios sin identificador (NO importados)\n`;
-        }
-        if (importReport.withoutGroup.length > 0) {
-          reportMessage += `⚠ ${importReport.withoutGroup.length} usuarios sin grupo\n`;
-        }
-        if (importReport.duplicates.length > 0) {
-          reportMessage += `⚠ ${importReport.duplicates.length} usuarios duplicados (solo se importó el primero)\n`;
-        }
-
-        reportMessage += `\nConsulte el archivo 'import-report.log' en la carpeta del proyecto para más detalles.`;
-
-        dialog.showMessageBox(mainWindow, {
-          type: 'warning',
-          title: 'Informe de Importación',
-          message: 'Proyecto creado con advertencias',
-          detail: reportMessage,
-          buttons: ['Aceptar']
-        });
+      // Show the import report if there are issues
+      if (hasReportIssues(report)) {
+        openImportReportWindow(reportId);
       }
 
       return {
         success: true,
         message: 'Proyecto creado exitosamente',
         importReport: {
+          id: reportId,
           imported: importReport.imported,
           withoutIdentifier: importReport.withoutIdentifier.length,
           withoutGroup: importReport.withoutGroup.length,
@@ -324,8 +320,10 @@ function registerProjectHandlers(context) {
       // Initialize database
       logger.section('LOADING DATABASE');
       logger.info(`Database path: ${dbPath}`);
-      state.dbManager = new DatabaseManager(dbPath);
-      await state.dbManager.initialize();
+      const dbManager = new DatabaseManager(dbPath);
+      await dbManager.initialize();
+      state.dbManager = dbManager;
+      logMigrationResult(dbManager.migrationResult);
       logger.success('Database loaded successfully');
 
       // Initialize paths
@@ -343,15 +341,22 @@ function registerProjectHandlers(context) {
         logger.info(`Image being processed: ${filename}`);
         getMainWindow()?.webContents.send('image-detecting', filename);
       });
-      state.folderWatcher.on('image-added', (filename) => {
+      state.folderWatcher.on('image-added', async (filename) => {
         logger.info(`New image detected: ${filename}`);
         // Invalidate image cache when new image is added
         state.imageManager.invalidateCache();
+
+        // Propose the 3:4 crop and check the quality
+        await processNewImport(state.dbManager, path.join(importsPath, filename), state.folderWatcher, logger);
+
         getMainWindow()?.webContents.send('new-image-detected', filename);
       });
       state.folderWatcher.start();
       logger.success('Folder watcher started', { watchPath: ingestPath });
 
+      // Propose an update when the source roster changes
+      startRosterWatcher();
+
       logger.section('PROJECT OPENED SUCCESSFULLY');
       logger.success('Project loaded', { projectPath: folderPath });
 
@@ -369,7 +374,7 @@ function registerProjectHandlers(context) {
   });
 
   // Update XML file
-  ipcMain.handle('update-xml', async (event, xmlPath) => {
+  ipcMain.handle('update-xml', async (event, xmlPath, mapping = null, validOnly = false, requestedResolutions = []) => {
     try {
       if (!state.dbManager) {
         throw new Error('No hay ningún proyecto abierto');
@@ -378,150 +383,79 @@ function registerProjectHandlers(context) {
       logger.section('UPDATING XML FILE');
       logger.info(`New XML file: ${xmlPath}`);
 
-      // Validate XML path
+      // Validate roster path
       if (!fs.existsSync(xmlPath)) {
-        throw new Error('El archivo XML no existe');
+        throw new Error('El archivo de usuarios no existe');
       }
+      const duplicateResolutions = await checkDuplicateResolutions(requestedResolutions, xmlPath, mapping, validOnly);
 
       // Progress: 10%
       getMainWindow()?.webContents.send('progress', {
         percentage: 10,
-        message: 'Leyendo archivo XML...',
+        message: 'Leyendo archivo de usuarios...',
         details: xmlPath
       });
 
-      // Parse new XML file
-      const xmlParser = new XMLParser(xmlPath);
-      const newData = await xmlParser.parse();
-
-      const totalNewUsers = newData.students.length + newData.teachers.length + newData.nonTeachingStaff.length;
-      logger.success('XML parsed successfully', {
-        groups: newData.groups.length,
-        students: newData.students.length,
-        teachers: newData.teachers.length,
-        nonTeachingStaff: newData.nonTeachingStaff.length,
-        totalUsers: totalNewUsers
-      });
-
-      // Progress: 30%
-      getMainWindow()?.webContents.send('progress', {
-        percentage: 30,
-        message: 'Comparando usuarios actuales...',
-        details: ''
-      });
-
-      // Get current users from database
-      const currentUsers = await state.dbManager.getUsers({});
-      logger.info(`Current users in database: ${currentUsers.length}`);
-
-      // Prepare new users map by identifier (NIA for students, document for others)
-      const newUsersMap = new Map();
-
-      // Add students (identified by NIA)
-      newData.students.forEach(student => {
-        if (student.nia) {
-          newUsersMap.set(`student_${student.nia}`, {
-            type: 'student',
-            identifier: student.nia,
-            ...student
-          });
-        }
-      });
-
-      // Add teachers (identified by document)
-      newData.teachers.forEach(teacher => {
-        if (teacher.document) {
-          newUsersMap.set(`teacher_${teacher.document}`, {
-            type: 'teacher',
-            identifier: teacher.document,
-            ...teacher
+      // Read the new roster file (XML, CSV or XLSX) and compare it with the
+      // current users field by field (name spelling, group moves, new NIA...)
+      const { groups, newUsersMap, repeated, counts, validation, currentUsers, diff } = await analyzeRosterUpdate(state.dbManager, xmlPath, {
+        mapping,
+        validOnly,
+        duplicateResolutions,
+        onProgress: (fraction, usersRead) => {
+          // Progress: 10% - 50%
+          getMainWindow()?.webContents.send('progress', {
+            percentage: 10 + Math.round(fraction * 40),
+            message: 'Leyendo archivo de usuarios...',
+            details: `${usersRead} usuarios leídos`
           });
         }
       });
 
-      // Add non-teaching staff (identified by document)
-      newData.nonTeachingStaff.forEach(staff => {
-        if (staff.document) {
-          newUsersMap.set(`non_teaching_staff_${staff.document}`, {
-            type: 'non_teaching_staff',
-            identifier: staff.document,
-            ...staff
-          });
-        }
+      logger.success('XML parsed successfully', {
+        ...counts,
+        totalUsers: counts.students + counts.teachers + counts.nonTeachingStaff
       });
+      logger.info(`Current users in database: ${currentUsers.length}`);
 
-      // Compare and categorize changes
-      const changes = {
-        toAdd: [],
-        toUpdate: [],
-        toDelete: []
-      };
-
-      // Check for users to add or update
-      for (const [key, newUser] of newUsersMap) {
-        const existingUser = currentUsers.find(u => {
-          if (u.type === 'student' && newUser.type === 'student') {
-            // Use == instead of === to handle number vs string comparison
-            return u.nia == newUser.nia;
-          } else if (u.type !== 'student' && newUser.type !== 'student') {
-            // Use == instead of === to handle number vs string comparison
-            return u.document == newUser.document;
-          }
-          return false;
-        });
-
-        if (existingUser) {
-          // User exists - always add to toUpdate (will be marked as updated or skipped in application phase)
-          changes.toUpdate.push({
-            id: existingUser.id,
-            old: existingUser,
-            new: newUser
-          });
-        } else {
-          // New user
-          changes.toAdd.push(newUser);
-        }
-      }
-
-      // Check for users to delete (not in new XML)
-      for (const currentUser of currentUsers) {
-        const key = currentUser.type === 'student'
-          ? `student_${currentUser.nia}`
-          : `${currentUser.type}_${currentUser.document}`;
-
-        if (!newUsersMap.has(key)) {
-          changes.toDelete.push(currentUser);
-        }
-      }
-
-      logger.info('Changes summary', {
-        toAdd: changes.toAdd.length,
-        toUpdate: changes.toUpdate.length,
-        toDelete: changes.toDelete.length
-      });
+      const changes = summarizeRosterDiff(diff);
+      logger.info('Changes summary', changes);
 
       // Progress: 50%
       getMainWindow()?.webContents.send('progress', {
         percentage: 50,
         message: 'Análisis completado',
-        details: `${changes.toAdd.length} nuevos, ${changes.toUpdate.length} actualizados, ${changes.toDelete.length} eliminados`
+        details: `${changes.toAdd} nuevos, ${changes.toUpdate} actualizados, ${changes.toRestore} recuperados, ${changes.toDelete} eliminados`
+      });
+
+      // Keep the analysis until it is confirmed or discarded
+      const deletedIds = new Set(diff.entries.filter(entry => entry.change === 'delete').map(entry => entry.userId));
+      const sessionId = crypto.randomUUID();
+      updateSessions.set(sessionId, {
+        projectPath: state.projectPath,
+        xmlPath,
+        mapping,
+        validation,
+        duplicateResolutions,
+        duplicates: [...repeated].map(([key, users]) => ({
+          key,
+          type: newUsersMap.get(key).type,
+          users,
+          group: getFinalGroupCode(newUsersMap.get(key))
+        })),
+        groups,
+        newUsersMap,
+        deletedUsers: currentUsers.filter(user => deletedIds.has(user.id)),
+        currentUsers
       });
 
       // Return summary for confirmation
       return {
         success: true,
         needsConfirmation: true,
-        changes: {
-          toAdd: changes.toAdd.length,
-          toUpdate: changes.toUpdate.length,
-          toDelete: changes.toDelete.length,
-          toDeleteWithImage: changes.toDelete.filter(u => u.image_path).length,
-          toDeleteWithoutImage: changes.toDelete.filter(u => !u.image_path).length
-        },
-        groups: newData.groups,
-        newUsersMap: Array.from(newUsersMap.entries()),
-        deletedUsers: changes.toDelete,
-        currentUsers: currentUsers // Pass current users to avoid reloading
+        sessionId,
+        changes,
+        diff: diff.entries
       };
     } catch (error) {
       logger.error('Error analyzing XML update', error);
@@ -529,6 +463,12 @@ function registerProjectHandlers(context) {
     }
   });
 
+  // Discard an XML update analysis that was not confirmed
+  ipcMain.handle('discard-update-xml', async (event, sessionId) => {
+    updateSessions.delete(sessionId);
+    return { success: true };
+  });
+
   // Confirm and apply XML update
   ipcMain.handle('confirm-update-xml', async (event, data) => {
     try {
@@ -536,9 +476,24 @@ function registerProjectHandlers(context) {
         throw new Error('No hay ningún proyecto abierto');
       }
 
-      const { groups, newUsersMap, deletedUsers, currentUsers } = data;
+      const { sessionId, approvedKeys = null } = data;
+
+      const session = updateSessions.get(sessionId);
+      if (!session || session.projectPath !== state.projectPath) {
+        throw new Error('El análisis de la actualización ya no está disponible. Vuelve a seleccionar el archivo de usuarios');
+      }
+      updateSessions.delete(sessionId);
+
+      const { xmlPath, mapping, validation, groups, newUsersMap: usersToProcess, deletedUsers, currentUsers, duplicates, duplicateResolutions } = session;
+
+      // Only the changes approved in the review are applied (all of them without review)
+      const approved = approvedKeys ? new Set(approvedKeys) : null;
+      const isApproved = (key) => !approved || approved.has(key);
 
       logger.section('APPLYING XML UPDATE');
+      if (approved) {
+        logger.info(`Approved changes: ${approved.size}`);
+      }
 
       // Progress: 60%
       getMainWindow()?.webContents.send('progress', {
@@ -547,6 +502,9 @@ function registerProjectHandlers(context) {
         details: ''
       });
 
+      // Remember the decisions on duplicates for the next update
+      await saveDuplicateResolutions(state.dbManager, duplicateResolutions);
+
       // Update groups
       logger.info('Updating groups...');
       await state.dbManager.importUsers({ groups, students: [], teachers: [], nonTeachingStaff: [] });
@@ -563,18 +521,33 @@ function registerProjectHandlers(context) {
       const deletedGroup = await context.ensureDeletedGroup();
       let movedToDeleted = 0;
       let permanentlyDeleted = 0;
+      const movedUsers = [];
+      const removedUsers = [];
 
       for (const user of deletedUsers) {
+        if (user.manually_managed || !isApproved(getRosterKey(user))) {
+          // Never remove users managed from the app or kept in the review
+          continue;
+        }
+
         if (user.image_path) {
           // Move to Eliminados group
           await state.dbManager.updateUser(user.id, { group_code: deletedGroup.code });
           movedToDeleted++;
+          movedUsers.push(user);
           logger.info(`Moved user ${user.first_name} ${user.last_name1} to Eliminados group`);
+          await audit.record('xml_move_to_deleted', {
+            user,
+            before: { group_code: user.group_code },
+            after: { group_code: deletedGroup.code }
+          });
         } else {
           // Delete from database
           await state.dbManager.deleteUser(user.id);
           permanentlyDeleted++;
+          removedUsers.push(user);
           logger.info(`Deleted user ${user.first_name} ${user.last_name1} from database`);
+          await audit.record('xml_delete_user', { user, before: diffUserFields({}, user).after });
         }
       }
 
@@ -589,105 +562,109 @@ function registerProjectHandlers(context) {
 
       // Process updates and additions
       // Note: We use the original currentUsers from the update-xml handler analysis
-      logger.info(`Converting newUsersMap array to Map...`);
-      const usersToProcess = new Map(newUsersMap);
       let updated = 0;
+      let restored = 0;
       let added = 0;
-      let skipped = 0;
 
       logger.info(`Processing ${usersToProcess.size} users from XML`);
       logger.info(`Current users in database (from snapshot): ${currentUsers.length}`);
 
-      for (const [key, newUser] of usersToProcess) {
-        // Find if user existed in original database (before deletions)
-        const existingUser = currentUsers.find(u => {
-          if (newUser.type === 'student') {
-            // Compare with type coercion (== instead of ===) to handle number vs string
-            return u.type === 'student' && u.nia == newUser.nia;
-          } else {
-            // For teachers and non_teaching_staff, match by document and type
-            return u.type === newUser.type && u.document == newUser.document;
-          }
-        });
+      // Same comparison as the analysis shown to the user
+      const diff = buildRosterDiff({
+        currentUsers,
+        newUsersMap: usersToProcess,
+        currentAttributes: await state.dbManager.getAllUserAttributes(),
+        attributesEqual
+      });
+      const skipped = diff.unchanged;
+      const manuallyManaged = diff.manuallyManaged.length;
+      const notApplied = diff.entries.filter(entry => !isApproved(entry.key)).length;
+
+      const entriesToApply = diff.entries.filter(entry => entry.change !== 'delete' && isApproved(entry.key));
+      const currentUsersById = new Map(currentUsers.map(user => [user.id, user]));
+      // New users are imported together after the changes, in batches
+      const usersToAdd = [];
+
+      for (const [index, entry] of entriesToApply.entries()) {
+        if (index > 0 && index % 100 === 0) {
+          // Progress: 80% - 99%
+          getMainWindow()?.webContents.send('progress', {
+            percentage: 80 + Math.floor((index / entriesToApply.length) * 19),
+            message: 'Actualizando y agregando usuarios...',
+            details: `${index} de ${entriesToApply.length} cambios aplicados`
+          });
+        }
 
-        if (existingUser) {
-          // Check if this user actually needs updating
-          const needsUpdate =
-            existingUser.first_name !== newUser.first_name ||
-            existingUser.last_name1 !== newUser.last_name1 ||
-            existingUser.last_name2 !== newUser.last_name2 ||
-            existingUser.birth_date !== newUser.birth_date ||
-            existingUser.document !== newUser.document ||
-            existingUser.group_code !== newUser.group_code;
-
-          if (needsUpdate) {
-            // Determine final group_code based on user type
-            let finalGroupCode;
-            if (newUser.group_code && newUser.group_code !== '') {
-              // User has a group in the XML
-              finalGroupCode = newUser.group_code;
-            } else {
-              // No group in XML - assign default based on type
-              if (newUser.type === 'student') {
-                finalGroupCode = 'SIN_GRUPO';
-              } else if (newUser.type === 'teacher') {
-                finalGroupCode = 'DOCENTES';
-              } else if (newUser.type === 'non_teaching_staff') {
-                finalGroupCode = 'NO_DOCENTES';
-              } else {
-                finalGroupCode = 'SIN_GRUPO'; // Fallback
-              }
-            }
+        const newUser = usersToProcess.get(entry.key);
 
-            // Update existing user (including those moved to Eliminados)
-            await state.dbManager.updateUser(existingUser.id, {
+        if (entry.change === 'update' || entry.change === 'restore') {
+          const existingUser = currentUsersById.get(entry.userId);
+
+          if (entry.fields.length > 0) {
+            // Update the existing user; users back from Eliminados keep their
+            // record, so photo, tags and payments stay linked
+            const userUpdates = {
               first_name: newUser.first_name,
               last_name1: newUser.last_name1,
               last_name2: newUser.last_name2,
               birth_date: newUser.birth_date,
               document: newUser.document,
-              group_code: finalGroupCode,
+              group_code: getFinalGroupCode(newUser),
               nia: newUser.nia
-            });
-            updated++;
+            };
+            await state.dbManager.updateUser(existingUser.id, userUpdates);
             logger.info(`Updated user ${newUser.first_name} ${newUser.last_name1} (ID: ${existingUser.id})`);
+
+            const changes = diffUserFields(existingUser, userUpdates);
+            if (changes) {
+              await audit.record(entry.change === 'restore' ? 'xml_restore_user' : 'xml_update_user', {
+                user: { ...existingUser, ...userUpdates },
+                before: changes.before,
+                after: changes.after
+              });
+            }
+          }
+
+          if (entry.attributesChanged) {
+            // Extra XML data (email, phone, tutor...) is not audited field by field
+            await state.dbManager.setUserAttributes(existingUser.id, newUser.attributes || {});
+            logger.info(`Updated extra attributes of ${newUser.first_name} ${newUser.last_name1} (ID: ${existingUser.id})`);
+          }
+
+          if (entry.change === 'restore') {
+            restored++;
+            logger.info(`Restored user ${newUser.first_name} ${newUser.last_name1} from Eliminados to ${entry.groupAfter}`);
           } else {
-            // User exists but no changes needed
-            skipped++;
+            updated++;
           }
         } else {
           // This is a completely new user - add them
           logger.info(`Adding new user: ${newUser.first_name} ${newUser.last_name1} (type: ${newUser.type})`);
+          usersToAdd.push(newUser);
+        }
+      }
 
-          // Add new user - convert to format expected by importUsers
-          if (newUser.type === 'student') {
-            await state.dbManager.importUsers({
-              groups: [],
-              students: [newUser],
-              teachers: [],
-              nonTeachingStaff: []
-            });
-          } else if (newUser.type === 'teacher') {
-            await state.dbManager.importUsers({
-              groups: [],
-              students: [],
-              teachers: [newUser],
-              nonTeachingStaff: []
-            });
-          } else if (newUser.type === 'non_teaching_staff') {
-            await state.dbManager.importUsers({
-              groups: [],
-              students: [],
-              teachers: [],
-              nonTeachingStaff: [newUser]
-            });
+      if (usersToAdd.length > 0) {
+        // One import for all the new users (see importUserRecords)
+        await state.dbManager.importUsers({
+          groups: [],
+          students: usersToAdd.filter(user => user.type === 'student'),
+          teachers: usersToAdd.filter(user => user.type === 'teacher'),
+          nonTeachingStaff: usersToAdd.filter(user => user.type === 'non_teaching_staff')
+        });
+        added = usersToAdd.length;
+        logger.info(`Added ${added} new users`);
+
+        const usersByKey = new Map((await state.dbManager.getUsers({})).map(user => [getRosterKey(user), user]));
+        for (const newUser of usersToAdd) {
+          const addedUser = usersByKey.get(getRosterKey(newUser));
+          if (addedUser) {
+            await audit.record('xml_add_user', { user: addedUser, after: diffUserFields({}, addedUser).after });
           }
-          added++;
-          logger.info(`Added new user ${newUser.first_name} ${newUser.last_name1}`);
         }
       }
 
-      logger.success(`Users processed: ${updated} updated, ${added} added, ${skipped} skipped (no changes)`);
+      logger.success(`Users processed: ${updated} updated, ${restored} restored, ${added} added, ${skipped} skipped (no changes), ${manuallyManaged} manually managed, ${notApplied} not approved`);
 
       // Calculate total processed (updated + skipped)
       const totalProcessed = updated + skipped;
@@ -696,124 +673,415 @@ function registerProjectHandlers(context) {
       getMainWindow()?.webContents.send('progress', {
         percentage: 100,
         message: 'Actualización completada',
-        details: `${added} añadidos, ${totalProcessed} actualizados, ${movedToDeleted} movidos a Eliminados, ${permanentlyDeleted} eliminados`
+        details: `${added} añadidos, ${totalProcessed} actualizados, ${restored} recuperados, ${movedToDeleted} movidos a Eliminados, ${permanentlyDeleted} eliminados`
       });
 
       logger.section('XML UPDATE COMPLETED');
       logger.success('XML update completed successfully');
 
-      // Generate updated import report
+      const results = {
+        added,
+        updated: totalProcessed,
+        restored,
+        movedToDeleted,
+        permanentlyDeleted,
+        manuallyManaged,
+        notApplied
+      };
+
+      // Save the update report in the project
+      let reportId = null;
       try {
         const allUsers = await state.dbManager.getUsers({});
-        const reportLogPath = path.join(state.projectPath, 'import-report.log');
-
-        // Analyze current users for report
-        const usersWithoutGroup = allUsers.filter(u =>
-          u.type === 'student' && (!u.group_code || u.group_code === 'SIN_GRUPO')
-        );
-
-        // Find duplicates by checking the newUsersMap
-        const duplicatesInfo = [];
-        const niaMap = new Map();
-        const docMap = new Map();
-
-        // Collect all identifiers from newUsersMap to detect duplicates
-        for (const [key, user] of usersToProcess) {
-          if (user.type === 'student') {
-            if (!niaMap.has(user.nia)) {
-              niaMap.set(user.nia, []);
-            }
-            niaMap.get(user.nia).push(user);
-          } else {
-            if (!docMap.has(user.document)) {
-              docMap.set(user.document, []);
-            }
-            docMap.get(user.document).push(user);
-          }
-        }
+        const report = linkReportUsers(buildUpdateReport({
+          sourceFile: xmlPath,
+          results,
+          added: entriesToApply.filter(entry => entry.change === 'add'),
+          updated: entriesToApply.filter(entry => entry.change === 'update'),
+          restored: entriesToApply.filter(entry => entry.change === 'restore'),
+          movedToDeleted: movedUsers,
+          deleted: removedUsers,
+          usersWithoutGroup: allUsers.filter(u =>
+            u.type === 'student' && (!u.group_code || u.group_code === 'SIN_GRUPO')
+          ),
+          duplicates,
+          duplicateResolutions,
+          validation
+        }), allUsers);
+        reportId = await state.dbManager.saveImportReport(report);
+        logger.success(`Update report saved (ID: ${reportId})`);
+      } catch (reportError) {
+        logger.error('Error saving update report', reportError);
+        // Don't fail the whole operation if report generation fails
+      }
 
-        // Build duplicates info from maps
-        for (const [nia, users] of niaMap) {
-          if (users.length > 1) {
-            const dbUser = allUsers.find(u => u.type === 'student' && u.nia == nia);
-            const groups = users.map(u => u.group_code || 'Sin grupo').filter((v, i, a) => a.indexOf(v) === i).join(', ');
-            duplicatesInfo.push({
-              type: 'Estudiante',
-              identifier: `NIA: ${nia}`,
-              allNames: users.map(u => `${u.first_name} ${u.last_name1} ${u.last_name2 || ''}`).join(', '),
-              allGroups: groups,
-              group: dbUser ? dbUser.group_code : users[0].group_code,
-              occurrencesCount: users.length
-            });
-          }
-        }
+      // The applied file becomes the source roster (or the latest file of the drop folder)
+      try {
+        await rememberRosterFile(state.dbManager, xmlPath, mapping);
+        await startRosterWatcher();
+      } catch (sourceError) {
+        logger.error('Error saving roster source', sourceError);
+      }
 
-        let reportContent = '='.repeat(80) + '\n';
-        reportContent += 'INFORME DE IMPORTACIÓN DE USUARIOS\n';
-        reportContent += '='.repeat(80) + '\n\n';
-        reportContent += `Fecha: ${new Date().toLocaleString('es-ES')}\n`;
-        reportContent += `Total de usuarios importados: ${allUsers.length}\n\n`;
-
-        // Users without group
-        if (usersWithoutGroup.length > 0) {
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += `USUARIOS SIN GRUPO (${usersWithoutGroup.length})\n`;
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += 'Estos usuarios se han importado pero no tienen grupo asignado.\n\n';
-
-          usersWithoutGroup.forEach((user, index) => {
-            reportContent += `${index + 1}. ${user.first_name} ${user.last_name1} ${user.last_name2 || ''}\n`;
-            reportContent += `   Tipo: Estudiante\n`;
-            reportContent += `   Identificador: NIA: ${user.nia}\n`;
-            reportContent += `   Documento: ${user.document || 'Sin documento'}\n`;
-            reportContent += `   Nota: No existen grupos asignados\n\n`;
-          });
-        }
+      return {
+        success: true,
+        results: { ...results, reportId }
+      };
+    } catch (error) {
+      logger.error('Error applying XML update', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Create a .ucbackup file of the open project
+  ipcMain.handle('backup-project', async (event, data) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const { exportPath, includeImages = false } = data;
+      if (!fs.existsSync(exportPath)) {
+        throw new Error('La carpeta seleccionada no existe');
+      }
+
+      const fileName = getBackupFileName(state.projectPath);
+      const outputPath = path.join(exportPath, fileName);
 
-        // Duplicates
-        if (duplicatesInfo.length > 0) {
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += `USUARIOS DUPLICADOS (${duplicatesInfo.length})\n`;
-          reportContent += '-'.repeat(80) + '\n';
-          reportContent += 'Estos usuarios tienen el mismo identificador (NIA o documento).\n';
-          reportContent += 'Se prioriza la importación del usuario que tiene grupo asignado.\n\n';
-
-          duplicatesInfo.forEach((dup, index) => {
-            reportContent += `${index + 1}. ${dup.identifier}\n`;
-            reportContent += `   Tipo: ${dup.type}\n`;
-            reportContent += `   Nombres encontrados: ${dup.allNames}\n`;
-            reportContent += `   Ocurrencias: ${dup.occurrencesCount}\n`;
-            reportContent += `   Grupos encontrados: ${dup.allGroups}\n`;
-            reportContent += `   Grupo importado: ${dup.group}\n`;
-            const noteText = dup.occurrencesCount > 1 && dup.allGroups.split(', ').length > 1
-              ? `Usuario asignado a más de un grupo. Importado en el grupo ${dup.group}`
-              : `Importado en el grupo ${dup.group}`;
-            reportContent += `   Nota: ${noteText}\n\n`;
+      logger.section('CREATING PROJECT BACKUP');
+      logger.info('Backup options', { outputPath, includeImages });
+
+      getMainWindow()?.webContents.send('progress', {
+        percentage: 5,
+        message: 'Copiando la base de datos...',
+        details: ''
+      });
+
+      const manifest = await createProjectBackup({
+        projectPath: state.projectPath,
+        dbManager: state.dbManager,
+        outputPath,
+        includeImages,
+        appVersion: VersionManager.getVersion(),
+        repositoryPath: await getImageRepositoryPath(state.dbManager),
+        onProgress: (processed, total) => {
+          getMainWindow()?.webContents.send('progress', {
+            percentage: total > 0 ? Math.round(10 + (processed / total) * 90) : 10,
+            message: 'Creando copia de seguridad...',
+            details: `${processed} de ${total} archivos`
           });
         }
+      });
 
-        reportContent += '='.repeat(80) + '\n';
-        reportContent += 'FIN DEL INFORME\n';
-        reportContent += '='.repeat(80) + '\n';
+      logger.success(`Backup created: ${outputPath}`, { files: manifest.files.length });
 
-        fs.writeFileSync(reportLogPath, reportContent, 'utf8');
-        logger.success(`Import report updated: ${reportLogPath}`);
-      } catch (reportError) {
-        logger.error('Error generating import report', reportError);
-        // Don't fail the whole operation if report generation fails
+      return {
+        success: true,
+        fileName,
+        filePath: outputPath,
+        fileCount: manifest.files.length,
+        size: fs.statSync(outputPath).size
+      };
+    } catch (error) {
+      logger.error('Error creating backup', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Restore a .ucbackup file into a project folder
+  ipcMain.handle('restore-backup', async (event, data) => {
+    try {
+      const { backupPath, targetPath, overwrite = false } = data;
+      const resolvedTarget = path.resolve(targetPath);
+
+      if (state.projectPath && path.resolve(state.projectPath) === resolvedTarget) {
+        throw new Error('No se puede restaurar sobre el proyecto abierto. Ciérralo antes de restaurar la copia');
+      }
+
+      // Only empty folders or existing projects (after confirmation) can be used
+      const isProject = fs.existsSync(path.join(resolvedTarget, 'data', 'users.db'));
+      const isEmpty = !fs.existsSync(resolvedTarget) || fs.readdirSync(resolvedTarget).length === 0;
+      if (!isProject && !isEmpty) {
+        throw new Error('La carpeta de destino no está vacía');
+      }
+      if (isProject && !overwrite) {
+        return { success: false, needsConfirmation: true, error: 'La carpeta de destino ya contiene un proyecto' };
+      }
+
+      logger.info('Restoring project backup', { backupPath, targetPath: resolvedTarget, overwrite });
+
+      getMainWindow()?.webContents.send('progress', {
+        percentage: 20,
+        message: 'Extrayendo y verificando la copia...',
+        details: path.basename(backupPath)
+      });
+
+      const manifest = await restoreProjectBackup({ backupPath, targetPath: resolvedTarget });
+
+      getMainWindow()?.webContents.send('progress', {
+        percentage: 100,
+        message: 'Copia restaurada',
+        details: ''
+      });
+
+      logger.success(`Backup restored into ${resolvedTarget}`, { files: manifest.files.length });
+
+      return {
+        success: true,
+        projectPath: resolvedTarget,
+        createdAt: manifest.createdAt,
+        includeImages: manifest.includeImages,
+        repositoryPath: manifest.repositoryPath
+      };
+    } catch (error) {
+      logger.error('Error restoring backup', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List the import and update reports of the open project, newest first
+  ipcMain.handle('get-import-reports', async () => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const reports = await state.dbManager.getImportReports();
+      return {
+        success: true,
+        reports: reports.map(report => ({ ...report, kindLabel: REPORT_KIND_LABELS[report.kind] || report.kind }))
+      };
+    } catch (error) {
+      logger.error('Error loading import reports', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get an import or update report with its sections
+  ipcMain.handle('get-import-report', async (event, reportId) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const report = await state.dbManager.getImportReport(reportId);
+      if (!report) {
+        throw new Error('El informe no existe');
       }
 
       return {
         success: true,
-        results: {
-          added,
-          updated: totalProcessed,
-          movedToDeleted,
-          permanentlyDeleted
+        report: {
+          id: report.id,
+          kind: report.kind,
+          kindLabel: REPORT_KIND_LABELS[report.kind] || report.kind,
+          source_file: report.source_file,
+          created_at: report.created_at,
+          summary: report.summary,
+          sections: describeReportSections(report)
         }
       };
     } catch (error) {
-      logger.error('Error applying XML update', error);
+      logger.error('Error loading import report', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List the identifiers repeated in a roster, with the decisions already saved for them
+  ipcMain.handle('find-roster-duplicates', async (event, data) => {
+    try {
+      const { filePath, mapping = null, validOnly = false, useSaved = false } = data;
+      if (!fs.existsSync(filePath)) {
+        throw new Error('El archivo de usuarios no existe');
+      }
+
+      let duplicates = await findRosterDuplicates(async () => (await readRoster(filePath, mapping, validOnly)).records);
+      if (useSaved && state.dbManager) {
+        duplicates = attachSavedResolutions(duplicates, await loadDuplicateResolutions(state.dbManager));
+      }
+
+      logger.info('Roster duplicates found', {
+        filePath,
+        duplicates: duplicates.length,
+        alreadyDecided: duplicates.filter(duplicate => duplicate.resolution).length
+      });
+
+      return { success: true, duplicates };
+    } catch (error) {
+      logger.error('Error finding roster duplicates', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Check an XML roster before importing it
+  ipcMain.handle('validate-roster-xml', async (event, xmlPath) => {
+    try {
+      if (!fs.existsSync(xmlPath)) {
+        throw new Error('El archivo de usuarios no existe');
+      }
+
+      const report = await validateRosterXMLFile(xmlPath, getXmlMappingProfiles());
+      logger.info('XML roster validated', {
+        xmlPath,
+        profile: report.profile ? report.profile.id : null,
+        fatal: report.fatal ? report.fatal.message : null,
+        issues: report.issues.length,
+        invalidElements: report.invalidCount
+      });
+
+      return { success: true, report };
+    } catch (error) {
+      logger.error('Error validating XML roster', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Read the headers and first rows of a CSV/XLSX roster for the column mapping step
+  ipcMain.handle('read-roster-file', async (event, filePath) => {
+    try {
+      const { headers, rows } = await readSpreadsheet(filePath);
+      return {
+        success: true,
+        headers,
+        preview: rows.slice(0, 5),
+        rowCount: rows.length,
+        fields: ROSTER_FIELDS.map(({ key, label, required }) => ({ key, label, required: Boolean(required) })),
+        suggestedMapping: suggestColumnMapping(headers)
+      };
+    } catch (error) {
+      logger.error('Error reading roster file', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Compare the open project with the project of the previous academic year
+  ipcMain.handle('analyze-previous-project', async (event, previousProjectPath) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+      if (path.resolve(previousProjectPath) === path.resolve(state.projectPath)) {
+        throw new Error('El proyecto anterior no puede ser el proyecto abierto');
+      }
+
+      const { users: previousUsers, tagsByImage } = await readPreviousProject(previousProjectPath);
+      const { matches, newUsers, leftUsers } = matchUsers(await state.dbManager.getUsers(), previousUsers);
+
+      return {
+        success: true,
+        matched: matches.length,
+        newUsers: newUsers.length,
+        leftUsers: leftUsers.length,
+        counts: countCarryOver(previousProjectPath, matches, tagsByImage)
+      };
+    } catch (error) {
+      logger.error('Error analyzing previous project', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Copy photos, tags and flags of matched users from the previous academic year
+  ipcMain.handle('carry-over-previous-project', async (event, data) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const { previousProjectPath, categories } = data;
+      if (path.resolve(previousProjectPath) === path.resolve(state.projectPath)) {
+        throw new Error('El proyecto anterior no puede ser el proyecto abierto');
+      }
+
+      logger.section('CARRYING OVER PREVIOUS YEAR');
+      logger.info('Carry-over options', { previousProjectPath, categories });
+
+      getMainWindow()?.webContents.send('progress', {
+        percentage: 30,
+        message: 'Trayendo datos del curso anterior...',
+        details: path.basename(previousProjectPath)
+      });
+
+      const report = await carryOverFromPreviousProject({
+        dbManager: state.dbManager,
+        projectPath: state.projectPath,
+        previousProjectPath,
+        categories,
+        audit
+      });
+
+      getMainWindow()?.webContents.send('progress', {
+        percentage: 100,
+        message: 'Datos del curso anterior copiados',
+        details: ''
+      });
+
+      logger.success('Previous year data carried over', {
+        carried: report.carried.length,
+        newUsers: report.newUsers.length,
+        leftUsers: report.leftUsers.length,
+        missingPhotos: report.missingPhotos.length
+      });
+
+      return { success: true, report };
+    } catch (error) {
+      logger.error('Error carrying over previous year', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Report inconsistencies between the database, the project folders and the repository
+  ipcMain.handle('check-project-integrity', async () => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      logger.info('Checking project integrity');
+
+      const report = await checkProjectIntegrity({
+        dbManager: state.dbManager,
+        projectPath: state.projectPath,
+        repositoryPath: await getImageRepositoryPath(state.dbManager),
+        mirror: repositoryMirror ? repositoryMirror() : null,
+        folderWatcher: state.folderWatcher
+      });
+
+      logger.info('Project integrity checked', {
+        total: report.total,
+        categories: Object.fromEntries(report.categories.map(category => [category.id, category.items.length]))
+      });
+
+      return { success: true, report };
+    } catch (error) {
+      logger.error('Error checking project integrity', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Apply the safe repair of one integrity category
+  ipcMain.handle('repair-project-integrity', async (event, category) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const repaired = await repairIntegrityIssues({
+        dbManager: state.dbManager,
+        projectPath: state.projectPath,
+        folderWatcher: state.folderWatcher,
+        category,
+        audit
+      });
+
+      if (state.imageManager) {
+        state.imageManager.invalidateCache();
+      }
+
+      logger.success(`Integrity repair applied: ${category}`, { repaired });
+
+      return { success: true, repaired };
+    } catch (error) {
+      logger.error('Error repairing project integrity', error);
       return { success: false, error: error.message };
     }
   });
@@ -834,6 +1102,16 @@ function registerProjectHandlers(context) {
         state.folderWatcher.stop();
         state.folderWatcher = null;
       }
+      stopRosterWatcher();
+
+      // Images kept for redo are only valid during the session
+      if (state.projectPath) {
+        fs.rmSync(path.join(state.projectPath, '.undo'), { recursive: true, force: true });
+      }
+
+      // Update analyses and reports belong to the closed project
+      updateSessions.clear();
+      closeImportReportWindow();
 
       // Clear project path
       state.projectPath = null;
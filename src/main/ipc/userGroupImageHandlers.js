@@ -6,6 +6,25 @@ const fs = require('fs');
 const path = require('path');
 const { formatTimestamp } = require('../utils/formatting');
 const { getImageRepositoryPath } = require('../utils/config');
+const {
+  normalizeUserData,
+  validateUserData,
+  describeIdentifierConflict
+} = require('../utils/userValidation');
+const { diffUserFields } = require('../utils/auditLog');
+const { deriveGroupMetadata, buildGroupUpdates } = require('../utils/groupMetadata');
+const { proposeCrop, normalizeCrop, loadCropSettings, saveCropSettings, DEFAULT_CROP_SETTINGS } = require('../utils/faceCrop');
+const { readImageSize, storeProposedCrop, getImageCropInfo } = require('../imageCrops');
+const { describeQualityIssues } = require('../utils/photoQuality');
+const { analyzeImage } = require('../imageQuality');
+const { tryDetectImageFaces } = require('../faceDetector');
+const { scoreBurstFrames, pickBestFrame, loadBurstSettings, saveBurstSettings, DEFAULT_BURST_SETTINGS } = require('../utils/burstCapture');
+
+const USER_IMAGE_STATUS_LABELS = {
+  current: 'Actual',
+  archived: 'Archivada',
+  rejected: 'Descartada'
+};
 
 /**
  * Register user, group, and image-related IPC handlers
@@ -13,11 +32,12 @@ const { getImageRepositoryPath } = require('../utils/config');
  * @param {BrowserWindow} context.mainWindow - Main window instance
  * @param {Object} context.logger - Logger instance
  * @param {Object} context.state - Application state
+ * @param {Object} context.audit - Audit logger
  * @param {Object} context.repositoryCacheManager - Repository cache manager
  * @param {Object} context.repositoryMirror - Repository mirror instance
  */
 function registerUserGroupImageHandlers(context) {
-  const { mainWindow, logger, state, repositoryCacheManager, repositoryMirror } = context;
+  const { mainWindow: getMainWindow, logger, state, audit, repositoryCacheManager, repositoryMirror } = context;
 
   // Get all users
   ipcMain.handle('get-users', async (event, filters, options = {}) => {
@@ -41,6 +61,9 @@ function registerUserGroupImageHandlers(context) {
       if (filters.group) {
         dbFilters.groupCode = filters.group;
       }
+      if (filters.level) {
+        dbFilters.level = filters.level;
+      }
       if (filters.type) {
         dbFilters.type = filters.type;
       }
@@ -50,8 +73,14 @@ function registerUserGroupImageHandlers(context) {
       // Only process captured images if needed
       if (loadOptions.loadCapturedImages) {
         const importsPath = path.join(state.projectPath, 'imports');
+        const imageNames = [...new Set(users.filter(user => user.image_path).map(user => path.basename(user.image_path)))];
+        const qualities = await state.dbManager.getImageQualities(imageNames);
         users.forEach(user => {
           if (user.image_path) {
+            // Problems found when the photo arrived (empty if fine or never analysed)
+            const quality = qualities.get(path.basename(user.image_path));
+            user.image_quality_issues = quality ? describeQualityIssues(quality.issues) : [];
+
             // If it's a relative path (just filename), convert to absolute
             if (!path.isAbsolute(user.image_path)) {
               user.image_path = path.join(importsPath, user.image_path);
@@ -130,6 +159,185 @@ function registerUserGroupImageHandlers(context) {
     }
   });
 
+  // Save the level, order, display name and tutor edited in the group manager
+  ipcMain.handle('update-groups', async (event, groups) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const currentGroups = await state.dbManager.getGroups();
+      const teachers = await state.dbManager.getUsers({ type: 'teacher' });
+      const updates = buildGroupUpdates(groups, currentGroups, teachers.map(teacher => teacher.id));
+
+      await state.dbManager.updateGroups(updates);
+      logger.info(`Group metadata updated: ${updates.length} groups`);
+
+      return { success: true, groups: await state.dbManager.getGroups() };
+    } catch (error) {
+      console.error('Error updating groups:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Level, order and display name derived from the group codes
+  ipcMain.handle('derive-group-metadata', async (event, groups) => {
+    try {
+      return {
+        success: true,
+        groups: groups.map(group => ({ code: group.code, ...deriveGroupMetadata(group.code, group.name) }))
+      };
+    } catch (error) {
+      console.error('Error deriving group metadata:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Validate manual user data against the project database
+   * @param {Object} user - Normalized user data
+   * @param {number|null} excludeUserId - User being edited (ignored in uniqueness checks)
+   */
+  async function assertUserCanBeSaved(user, excludeUserId = null) {
+    const validationError = validateUserData(user);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    if (!(await state.dbManager.groupExists(user.group_code))) {
+      throw new Error(`El grupo ${user.group_code} no existe en el proyecto`);
+    }
+
+    const conflicts = await state.dbManager.findIdentifierConflicts(
+      { nia: user.nia, document: user.document },
+      excludeUserId
+    );
+    const conflictError = describeIdentifierConflict(user, conflicts);
+    if (conflictError) {
+      throw new Error(conflictError);
+    }
+  }
+
+  /**
+   * Readable status and note of a photo in the history (for the audit log)
+   * @param {Object} image - user_images row
+   */
+  function describeUserImage(image) {
+    const label = USER_IMAGE_STATUS_LABELS[image.status] || image.status;
+    return image.note ? `${label} (${image.note})` : label;
+  }
+
+  /**
+   * Source and capture date recorded in the photo history when linking an image
+   * @param {string} relativeImagePath - File name in imports
+   * @param {string} [defaultSource] - Source when the watcher does not know the file
+   */
+  function getImageLinkDetails(relativeImagePath, defaultSource = 'ingest') {
+    const source = (state.folderWatcher && state.folderWatcher.getImageSource(relativeImagePath)) || defaultSource;
+
+    let capturedAt = null;
+    try {
+      const stats = fs.statSync(path.join(state.projectPath, 'imports', relativeImagePath));
+      capturedAt = stats.mtime.toISOString();
+    } catch (error) {
+      // File not available: leave the capture date empty
+    }
+
+    return { source, capturedAt };
+  }
+
+  // Create user manually
+  ipcMain.handle('create-user', async (event, userData) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const user = normalizeUserData(userData);
+      await assertUserCanBeSaved(user);
+
+      const userId = await state.dbManager.createUser(user);
+      logger.info(`User created manually: ${user.first_name} ${user.last_name1} (ID: ${userId})`);
+
+      const created = await state.dbManager.getUserById(userId);
+      await audit.record('create_user', { user: created, after: diffUserFields({}, created).after });
+
+      return { success: true, user: created };
+    } catch (error) {
+      console.error('Error creating user:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Update user manually
+  ipcMain.handle('update-user', async (event, userId, userData) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const existing = await state.dbManager.getUserById(userId);
+      if (!existing) {
+        throw new Error('El usuario no existe');
+      }
+
+      const user = normalizeUserData(userData);
+      await assertUserCanBeSaved(user, userId);
+
+      await state.dbManager.updateUser(userId, user);
+      logger.info(`User updated manually: ${user.first_name} ${user.last_name1} (ID: ${userId})`);
+
+      const updated = await state.dbManager.getUserById(userId);
+      const changes = diffUserFields(existing, updated);
+      if (changes) {
+        await audit.record('update_user', { user: updated, before: changes.before, after: changes.after });
+      }
+
+      return { success: true, user: updated };
+    } catch (error) {
+      console.error('Error updating user:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete user manually
+  ipcMain.handle('delete-user', async (event, userId) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const existing = await state.dbManager.getUserById(userId);
+      if (!existing) {
+        throw new Error('El usuario no existe');
+      }
+
+      await state.dbManager.deleteUser(userId);
+      logger.info(`User deleted manually: ${existing.first_name} ${existing.last_name1} (ID: ${userId})`);
+      await audit.record('delete_user', { user: existing, before: diffUserFields({}, existing).after });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get extra XML attributes of a user (email, phone, tutor...)
+  ipcMain.handle('get-user-attributes', async (event, userId) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const attributes = await state.dbManager.getUserAttributes(userId);
+      return { success: true, attributes };
+    } catch (error) {
+      console.error('Error getting user attributes:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Load repository images data in background (non-blocking)
   ipcMain.handle('load-repository-images', async (event, users) => {
     try {
@@ -230,8 +438,10 @@ function registerUserGroupImageHandlers(context) {
         return { success: false, needsConfirmation: true, currentImage: absolutePath };
       }
 
-      await state.dbManager.linkImageToUser(userId, relativeImagePath);
-      return { success: true };
+      await state.dbManager.linkImageToUser(userId, relativeImagePath, getImageLinkDetails(relativeImagePath));
+      await audit.record('link_image', { user, before: null, after: relativeImagePath });
+
+      return { success: true, previousImagePath: null };
     } catch (error) {
       console.error('Error linking image:', error);
       return { success: false, error: error.message };
@@ -252,8 +462,17 @@ function registerUserGroupImageHandlers(context) {
         ? path.basename(imagePath)
         : imagePath;
 
-      await state.dbManager.linkImageToUser(userId, relativeImagePath);
-      return { success: true };
+      const user = await state.dbManager.getUserById(userId);
+      await state.dbManager.linkImageToUser(userId, relativeImagePath, getImageLinkDetails(relativeImagePath));
+      await audit.record('link_image', {
+        user,
+        before: user ? user.image_path : null,
+        after: relativeImagePath,
+        details: 'Sustituye la foto anterior'
+      });
+
+      // Previous image is returned so the renderer can undo the change
+      return { success: true, previousImagePath: user ? user.image_path : null };
     } catch (error) {
       console.error('Error confirming link:', error);
       return { success: false, error: error.message };
@@ -267,14 +486,106 @@ function registerUserGroupImageHandlers(context) {
         throw new Error('No hay ningún proyecto abierto');
       }
 
+      const user = await state.dbManager.getUserById(userId);
       await state.dbManager.unlinkImageFromUser(userId);
-      return { success: true };
+      await audit.record('unlink_image', { user, before: user ? user.image_path : null, after: null });
+
+      return { success: true, previousImagePath: user ? user.image_path : null };
     } catch (error) {
       console.error('Error unlinking image:', error);
       return { success: false, error: error.message };
     }
   });
 
+  // Get photo history of a user
+  ipcMain.handle('get-user-images', async (event, userId) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const importsPath = path.join(state.projectPath, 'imports');
+      const images = await state.dbManager.getUserImages(userId);
+
+      // Convert to absolute paths for display and flag files removed from imports
+      images.forEach(image => {
+        image.relative_path = image.image_path;
+        image.image_path = path.isAbsolute(image.image_path)
+          ? image.image_path
+          : path.join(importsPath, image.image_path);
+        image.exists = fs.existsSync(image.image_path);
+      });
+
+      return { success: true, images };
+    } catch (error) {
+      console.error('Error getting user images:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Make a photo from the history the current one
+  ipcMain.handle('set-current-user-image', async (event, imageId) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const image = await state.dbManager.getUserImageById(imageId);
+      if (!image) {
+        throw new Error('La foto no existe en el historial');
+      }
+      if (!fs.existsSync(path.join(state.projectPath, 'imports', image.image_path))) {
+        throw new Error(`El archivo ${image.image_path} ya no está en la carpeta de imágenes`);
+      }
+
+      const user = await state.dbManager.getUserById(image.user_id);
+      await state.dbManager.linkImageToUser(image.user_id, image.image_path);
+      await audit.record('link_image', {
+        user,
+        before: user ? user.image_path : null,
+        after: image.image_path,
+        details: 'Recuperada del historial de fotos'
+      });
+
+      return { success: true, previousImagePath: user ? user.image_path : null };
+    } catch (error) {
+      console.error('Error setting current user image:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Archive or reject a photo of the history, or change its note
+  ipcMain.handle('update-user-image', async (event, imageId, updates) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const image = await state.dbManager.getUserImageById(imageId);
+      if (!image) {
+        throw new Error('La foto no existe en el historial');
+      }
+
+      await state.dbManager.updateUserImage(imageId, updates);
+
+      const updated = await state.dbManager.getUserImageById(imageId);
+      if (updated.status !== image.status || updated.note !== image.note) {
+        const user = await state.dbManager.getUserById(image.user_id);
+        await audit.record('update_user_image', {
+          user,
+          before: describeUserImage(image),
+          after: describeUserImage(updated),
+          details: image.image_path
+        });
+      }
+
+      return { success: true, image: updated };
+    } catch (error) {
+      console.error('Error updating user image:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Move image to ingest folder
   ipcMain.handle('move-image-to-ingest', async (event, sourceImagePath) => {
     try {
@@ -306,6 +617,94 @@ function registerUserGroupImageHandlers(context) {
     }
   });
 
+  // Undo a drop into ingest: move the copy out of ingest (or imports, if the
+  // watcher already processed it) into the project's .undo folder
+  ipcMain.handle('remove-image-from-ingest', async (event, filename) => {
+    try {
+      if (!state.projectPath || !state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const ingestFilePath = path.join(state.projectPath, 'ingest', filename);
+      let sourcePath;
+
+      if (fs.existsSync(ingestFilePath)) {
+        if (state.folderWatcher && state.folderWatcher.isFileProcessing(ingestFilePath)) {
+          throw new Error('La imagen se está importando. Inténtalo de nuevo en unos segundos');
+        }
+        sourcePath = ingestFilePath;
+      } else {
+        const importedName = state.folderWatcher ? state.folderWatcher.getImportedName(filename) : null;
+        if (!importedName || !fs.existsSync(path.join(state.projectPath, 'imports', importedName))) {
+          throw new Error(`No se encuentra la imagen ${filename} en las carpetas ingest ni imports`);
+        }
+
+        const linkedUsers = await state.dbManager.getUsersByImagePath(importedName);
+        if (linkedUsers.length > 0) {
+          const names = linkedUsers.map(u => `${u.first_name} ${u.last_name1}`).join(', ');
+          throw new Error(`La imagen está vinculada a ${names}. Desvincúlala antes de deshacer`);
+        }
+        sourcePath = path.join(state.projectPath, 'imports', importedName);
+      }
+
+      const undoFolder = path.join(state.projectPath, '.undo');
+      if (!fs.existsSync(undoFolder)) {
+        fs.mkdirSync(undoFolder, { recursive: true });
+      }
+      const undoPath = path.join(undoFolder, `${Date.now()}_${filename}`);
+
+      fs.renameSync(sourcePath, undoPath);
+      if (sourcePath !== ingestFilePath) {
+        // A redo imports the file again under a new name, with a new crop and analysis
+        const importedName = path.basename(sourcePath);
+        await state.dbManager.deleteImageCrop(importedName);
+        await state.dbManager.deleteImageQuality(importedName);
+      }
+      if (state.imageManager) {
+        state.imageManager.invalidateCache();
+      }
+      logger.info(`Image removed from project (undo): ${path.basename(sourcePath)}`);
+
+      return { success: true, undoPath };
+    } catch (error) {
+      console.error('Error removing image from ingest:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Redo a drop into ingest: move a file kept by remove-image-from-ingest back to ingest
+  ipcMain.handle('restore-image-to-ingest', async (event, undoPath) => {
+    try {
+      if (!state.projectPath) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const undoFolder = path.join(state.projectPath, '.undo');
+      if (path.dirname(undoPath) !== undoFolder || !fs.existsSync(undoPath)) {
+        throw new Error('La imagen ya no está disponible para rehacer');
+      }
+
+      // Strip the timestamp prefix added when the file was removed
+      const fileName = path.basename(undoPath).replace(/^\d+_/, '');
+      const ingestPath = path.join(state.projectPath, 'ingest');
+      let destPath = path.join(ingestPath, fileName);
+
+      if (fs.existsSync(destPath)) {
+        const ext = path.extname(fileName);
+        const name = path.basename(fileName, ext);
+        destPath = path.join(ingestPath, `${name}_${Date.now()}${ext}`);
+      }
+
+      fs.renameSync(undoPath, destPath);
+      logger.info(`Image restored to ingest (redo): ${path.basename(destPath)}`);
+
+      return { success: true, filename: path.basename(destPath) };
+    } catch (error) {
+      console.error('Error restoring image to ingest:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Import images with ID
   ipcMain.handle('import-images-with-id', async (event, folderPath) => {
     try {
@@ -362,7 +761,16 @@ function registerUserGroupImageHandlers(context) {
 
             // Link image to user
             const relativeImagePath = path.basename(finalDestPath);
-            await state.dbManager.linkImageToUser(user.id, relativeImagePath);
+            await state.dbManager.linkImageToUser(user.id, relativeImagePath, {
+              source: 'import_with_id',
+              capturedAt: fs.statSync(sourcePath).mtime.toISOString()
+            });
+            await audit.record('import_image_with_id', {
+              user,
+              before: user.image_path || null,
+              after: relativeImagePath,
+              details: sourcePath
+            });
 
             results.linked++;
             logger.info(`Linked ${file} to user ${user.first_name} ${user.last_name1} (ID: ${fileName})`);
@@ -407,37 +815,268 @@ function registerUserGroupImageHandlers(context) {
   });
 
   // Save captured image
-  ipcMain.handle('save-captured-image', async (event, imageData) => {
+  ipcMain.handle('save-captured-image', async (event, imageData, options = {}) => {
     try {
       if (!state.projectPath) {
         throw new Error('No hay ningún proyecto abierto');
       }
 
-      const ingestPath = path.join(state.projectPath, 'ingest');
+      // Captures for the selected user skip ingest and are linked right away
+      const userId = options.userId || null;
+      let user = null;
+      if (userId) {
+        if (!state.dbManager) {
+          throw new Error('No hay ningún proyecto abierto');
+        }
+        user = await state.dbManager.getUserById(userId);
+        if (!user) {
+          throw new Error('El usuario seleccionado ya no existe en el proyecto');
+        }
+      }
+
+      // Convert base64 to buffer
+      const base64Data = imageData.replace(/^data:image\/jpeg;base64,/, '');
+      const buffer = Buffer.from(base64Data, 'base64');
+
+      // Faces are searched with the bundled detector; the camera window's, if any, is the fallback
+      const found = await tryDetectImageFaces(buffer);
+      const detection = found.faceCount !== null ? found : {
+        face: options.face || null,
+        faceCount: Number.isInteger(options.faceCount) ? options.faceCount : null
+      };
+
+      const targetPath = path.join(state.projectPath, userId ? 'imports' : 'ingest');
       const timestamp = new Date();
       let filename = formatTimestamp(timestamp) + '.jpg';
-      let filePath = path.join(ingestPath, filename);
+      let filePath = path.join(targetPath, filename);
 
       // Check for duplicate filenames (same second)
       let counter = 1;
       while (fs.existsSync(filePath)) {
         filename = formatTimestamp(timestamp) + '_' + counter + '.jpg';
-        filePath = path.join(ingestPath, filename);
+        filePath = path.join(targetPath, filename);
         counter++;
       }
 
-      // Convert base64 to buffer and save
-      const base64Data = imageData.replace(/^data:image\/jpeg;base64,/, '');
-      const buffer = Buffer.from(base64Data, 'base64');
+      // Let the watcher know this file comes from the camera (photo history source)
+      if (!userId && state.folderWatcher) {
+        state.folderWatcher.expectCameraCapture(filename, detection);
+      }
+
       fs.writeFileSync(filePath, buffer);
 
-      return { success: true, filename };
+      // Warn the camera window at once; ingested captures are stored by the watcher
+      let quality = null;
+      try {
+        quality = await analyzeImage(buffer, detection);
+      } catch (error) {
+        logger.error(`Error analysing quality of ${filename}`, error);
+      }
+      const qualityIssues = quality ? describeQualityIssues(quality.issues) : [];
+
+      if (!userId) {
+        return { success: true, filename, qualityIssues };
+      }
+
+      try {
+        await storeProposedCrop(state.dbManager, filePath, detection);
+      } catch (error) {
+        logger.error(`Error proposing crop for ${filename}`, error);
+      }
+      if (quality) {
+        await state.dbManager.setImageQuality(filename, quality);
+      }
+
+      await state.dbManager.linkImageToUser(userId, filename, {
+        source: 'camera',
+        capturedAt: timestamp.toISOString()
+      });
+      await audit.record('link_image', {
+        user,
+        before: user.image_path || null,
+        after: filename,
+        details: 'Captura para el usuario seleccionado'
+      });
+
+      // The main window refreshes the list and moves on to the next user
+      const linked = {
+        userId,
+        imagePath: path.join(targetPath, filename),
+        previousImagePath: user.image_path || null
+      };
+      const mainWindow = getMainWindow();
+      if (mainWindow) {
+        mainWindow.webContents.send('camera-capture-linked', linked);
+      }
+
+      return { success: true, filename, qualityIssues, ...linked };
     } catch (error) {
       console.error('Error saving captured image:', error);
       return { success: false, error: error.message };
     }
   });
 
+  // Get the burst capture settings of the project
+  ipcMain.handle('get-burst-settings', async () => {
+    try {
+      const settings = state.dbManager ? await loadBurstSettings(state.dbManager) : { ...DEFAULT_BURST_SETTINGS };
+      return { success: true, settings };
+    } catch (error) {
+      console.error('Error getting burst settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save the burst capture settings of the project
+  ipcMain.handle('save-burst-settings', async (event, settings) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      return { success: true, settings: await saveBurstSettings(state.dbManager, settings) };
+    } catch (error) {
+      console.error('Error saving burst settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Score the frames of a burst taken by the camera window (nothing is saved)
+  ipcMain.handle('score-burst-frames', async (event, frames, criterion) => {
+    try {
+      if (!Array.isArray(frames) || frames.length === 0) {
+        throw new Error('La ráfaga no tiene fotogramas');
+      }
+
+      const analyses = [];
+      for (const frame of frames) {
+        const base64Data = frame.imageData.replace(/^data:image\/jpeg;base64,/, '');
+        const buffer = Buffer.from(base64Data, 'base64');
+
+        // Same detector as the saved photos; the camera window's, if any, is the fallback
+        const found = await tryDetectImageFaces(buffer);
+        const analysis = await analyzeImage(buffer, found.faceCount !== null ? found : {
+          face: frame.face || null,
+          faceCount: Number.isInteger(frame.faceCount) ? frame.faceCount : null
+        });
+        analyses.push({ ...analysis, eyesFound: Boolean(frame.eyesFound) });
+      }
+
+      const scores = scoreBurstFrames(analyses, criterion);
+      return {
+        success: true,
+        frames: analyses.map((analysis, index) => ({
+          score: scores[index],
+          qualityIssues: describeQualityIssues(analysis.issues)
+        })),
+        bestIndex: pickBestFrame(scores),
+        // false when no frame could be searched for faces: the choice is by sharpness alone
+        faceScored: analyses.some(analysis => analysis.metrics.faceCount !== null)
+      };
+    } catch (error) {
+      console.error('Error scoring burst frames:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Propose a 3:4 crop for a face (camera preview)
+  ipcMain.handle('propose-face-crop', async (event, image, face) => {
+    try {
+      const settings = state.dbManager ? await loadCropSettings(state.dbManager) : DEFAULT_CROP_SETTINGS;
+      return { success: true, ...proposeCrop(image, face, settings) };
+    } catch (error) {
+      console.error('Error proposing crop:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get the crop of an image (stored or proposed) and the crop settings
+  ipcMain.handle('get-image-crop', async (event, imagePath) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const filePath = path.join(state.projectPath, 'imports', path.basename(imagePath));
+      if (!fs.existsSync(filePath)) {
+        throw new Error('La imagen no existe en la carpeta imports');
+      }
+
+      const cropInfo = await getImageCropInfo(state.dbManager, filePath);
+      return { success: true, ...cropInfo, settings: await loadCropSettings(state.dbManager) };
+    } catch (error) {
+      console.error('Error getting image crop:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get the quality problems found in an image when it arrived
+  ipcMain.handle('get-image-quality', async (event, imagePath) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const quality = await state.dbManager.getImageQuality(path.basename(imagePath));
+      return {
+        success: true,
+        quality: quality ? { ...quality, issues: describeQualityIssues(quality.issues) } : null
+      };
+    } catch (error) {
+      console.error('Error getting image quality:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save a crop adjusted by hand
+  ipcMain.handle('save-image-crop', async (event, imagePath, crop) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      const relativeImagePath = path.basename(imagePath);
+      const filePath = path.join(state.projectPath, 'imports', relativeImagePath);
+      const image = await readImageSize(filePath);
+      const normalized = normalizeCrop(crop, image);
+      const previous = await state.dbManager.getImageCrop(relativeImagePath);
+
+      await state.dbManager.setImageCrop(relativeImagePath, {
+        crop: normalized,
+        image,
+        face: previous ? previous.face : null,
+        source: 'manual'
+      });
+
+      const [user] = await state.dbManager.getUsersByImagePath(relativeImagePath);
+      await audit.record('crop_image', {
+        user,
+        before: previous ? previous.crop : null,
+        after: normalized,
+        details: relativeImagePath
+      });
+
+      return { success: true, crop: normalized };
+    } catch (error) {
+      console.error('Error saving image crop:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save the ratios used to propose crops
+  ipcMain.handle('save-crop-settings', async (event, settings) => {
+    try {
+      if (!state.dbManager) {
+        throw new Error('No hay ningún proyecto abierto');
+      }
+
+      return { success: true, settings: await saveCropSettings(state.dbManager, settings) };
+    } catch (error) {
+      console.error('Error saving crop settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Mark orla as paid
   ipcMain.handle('mark-orla-paid', async (event, userId, isPaid) => {
     try {
@@ -445,7 +1084,10 @@ function registerUserGroupImageHandlers(context) {
         throw new Error('No hay ningún proyecto abierto');
       }
 
+      const user = await state.dbManager.getUserById(userId);
       await state.dbManager.markOrlaPaid(userId, isPaid);
+      await audit.record('mark_orla_paid', { user, before: user ? user.orla_paid === 1 : null, after: !!isPaid });
+
       return { success: true };
     } catch (error) {
       console.error('Error marking orla as paid:', error);
@@ -475,7 +1117,14 @@ function registerUserGroupImageHandlers(context) {
         throw new Error('No hay ningún proyecto abierto');
       }
 
+      const user = await state.dbManager.getUserById(userId);
       await state.dbManager.markReceiptPrinted(userId, isPrinted);
+      await audit.record('mark_receipt_printed', {
+        user,
+        before: user ? user.receipt_printed === 1 : null,
+        after: !!isPrinted
+      });
+
       return { success: true };
     } catch (error) {
       console.error('Error marking receipt as printed:', error);
@@ -18,6 +18,7 @@ class MenuBuilder {
     this.showDuplicatesOnly = context.showDuplicatesOnly;
     this.showCardPrintRequestsOnly = context.showCardPrintRequestsOnly;
     this.showPublicationRequestsOnly = context.showPublicationRequestsOnly;
+    this.showQualityIssuesOnly = context.showQualityIssuesOnly;
     this.showCapturedPhotos = context.showCapturedPhotos;
     this.showRepositoryPhotos = context.showRepositoryPhotos;
     this.showRepositoryIndicators = context.showRepositoryIndicators;
@@ -161,10 +162,30 @@ class MenuBuilder {
               click: () => {
                 this.mainWindow.webContents.send('menu-export-paid-users-csv');
               }
+            },
+            { type: 'separator' },
+            {
+              label: 'Historial de cambios en CSV',
+              click: () => {
+                this.mainWindow.webContents.send('menu-export-audit-log');
+              }
             }
           ]
         },
         { type: 'separator' },
+        {
+          label: 'Copia de seguridad...',
+          click: () => {
+            this.mainWindow.webContents.send('menu-backup-project');
+          }
+        },
+        {
+          label: 'Restaurar copia...',
+          click: () => {
+            this.mainWindow.webContents.send('menu-restore-backup');
+          }
+        },
+        { type: 'separator' },
         {
           label: 'Salir',
           accelerator: 'CmdOrCtrl+Q',
@@ -195,6 +216,34 @@ class MenuBuilder {
             this.mainWindow.webContents.send('menu-delete-photo');
           }
         },
+        {
+          label: 'Ajustar recorte de la foto...',
+          click: () => {
+            this.mainWindow.webContents.send('menu-adjust-photo-crop');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Nuevo usuario...',
+          accelerator: 'CmdOrCtrl+Shift+N',
+          click: () => {
+            this.mainWindow.webContents.send('menu-new-user');
+          }
+        },
+        {
+          label: 'Editar usuario...',
+          accelerator: 'CmdOrCtrl+Shift+E',
+          click: () => {
+            this.mainWindow.webContents.send('menu-edit-user');
+          }
+        },
+        {
+          label: 'Historial del usuario...',
+          accelerator: 'CmdOrCtrl+Shift+H',
+          click: () => {
+            this.mainWindow.webContents.send('menu-show-user-history');
+          }
+        },
         { type: 'separator' },
         {
           label: 'Agregar etiqueta a imagen',
@@ -220,6 +269,36 @@ class MenuBuilder {
             this.mainWindow.webContents.send('menu-update-xml');
           }
         },
+        {
+          label: 'Carpeta de archivos de usuarios...',
+          click: () => {
+            this.callbacks.selectRosterFolder();
+          }
+        },
+        {
+          label: 'Grupos...',
+          click: () => {
+            this.mainWindow.webContents.send('menu-manage-groups');
+          }
+        },
+        {
+          label: 'Perfiles de XML...',
+          click: () => {
+            this.mainWindow.webContents.send('menu-xml-profiles');
+          }
+        },
+        {
+          label: 'Informes de importación...',
+          click: () => {
+            this.callbacks.openImportReportWindow();
+          }
+        },
+        {
+          label: 'Verificar integridad...',
+          click: () => {
+            this.mainWindow.webContents.send('menu-check-integrity');
+          }
+        },
         { type: 'separator' },
         {
           label: 'Configurar depósito de imágenes',
@@ -349,6 +428,14 @@ class MenuBuilder {
             this.callbacks.togglePublicationRequests(menuItem.checked);
           }
         },
+        {
+          label: 'Fotos con problemas de calidad',
+          type: 'checkbox',
+          checked: this.showQualityIssuesOnly,
+          click: (menuItem) => {
+            this.callbacks.toggleQualityIssues(menuItem.checked);
+          }
+        },
         { type: 'separator' },
         {
           label: 'Fotografías capturadas',
@@ -0,0 +1,67 @@
+/**
+ * Migration 001 - Initial schema
+ *
+ * Creates the tables and indexes that every project database had before
+ * schema versioning existed. Uses IF NOT EXISTS so legacy databases
+ * (created without a schema_version record) are adopted as-is.
+ */
+module.exports = {
+  version: 1,
+  name: 'initial_schema',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL
+      )
+    `);
+
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        first_name TEXT NOT NULL,
+        last_name1 TEXT NOT NULL,
+        last_name2 TEXT,
+        birth_date TEXT,
+        document TEXT,
+        nia TEXT,
+        group_code TEXT,
+        image_path TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (group_code) REFERENCES groups(code)
+      )
+    `);
+
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS image_tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        image_path TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS project_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_users_group ON users(group_code)');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_users_type ON users(type)');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_users_nia ON users(nia)');
+
+    // Composite index for search operations (optimizes LIKE queries on multiple fields)
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_users_search ON users(first_name, last_name1, last_name2, nia)');
+
+    // Index for image path lookups (optimizes linking and unlinking operations)
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_users_image ON users(image_path)');
+
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_image_tags_path ON image_tags(image_path)');
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 002 - Orla payment flag on users
+ *
+ * Legacy databases may already have the column (it used to be added with an
+ * ALTER TABLE whose "duplicate column" error was ignored), so it is only
+ * added when missing.
+ */
+module.exports = {
+  version: 2,
+  name: 'users_orla_paid',
+
+  async up(schema) {
+    await schema.addColumnIfMissing('users', 'orla_paid', 'INTEGER DEFAULT 0');
+  }
+};
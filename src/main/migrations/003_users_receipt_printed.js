@@ -0,0 +1,13 @@
+/**
+ * Migration 003 - Receipt printed flag on users
+ *
+ * Same legacy caveat as migration 002: the column may already exist.
+ */
+module.exports = {
+  version: 3,
+  name: 'users_receipt_printed',
+
+  async up(schema) {
+    await schema.addColumnIfMissing('users', 'receipt_printed', 'INTEGER DEFAULT 0');
+  }
+};
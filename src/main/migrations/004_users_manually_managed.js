@@ -0,0 +1,14 @@
+/**
+ * Migration 004 - "Manually managed" flag on users
+ *
+ * Users created or edited from the app are flagged so that a later XML
+ * update neither overwrites their data nor deletes them.
+ */
+module.exports = {
+  version: 4,
+  name: 'users_manually_managed',
+
+  async up(schema) {
+    await schema.addColumnIfMissing('users', 'manually_managed', 'INTEGER DEFAULT 0');
+  }
+};
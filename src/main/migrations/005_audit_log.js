@@ -0,0 +1,32 @@
+/**
+ * Migration 005 - Audit log
+ *
+ * Records every change made to users and images from the app (photo links,
+ * payments, print requests, XML updates...) with the values before and after.
+ * Rows keep a copy of the user's identifier and name so the history stays
+ * readable after the user is deleted.
+ */
+module.exports = {
+  version: 5,
+  name: 'audit_log',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        user_id INTEGER,
+        user_identifier TEXT,
+        user_name TEXT,
+        before_value TEXT,
+        after_value TEXT,
+        details TEXT,
+        actor TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id)');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+  }
+};
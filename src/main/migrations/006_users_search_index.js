@@ -0,0 +1,60 @@
+/**
+ * Migration 006 - Full-text search index for users
+ *
+ * Adds an FTS5 table over names, NIA and document so the search box can
+ * match accent- and case-insensitively and by word prefix. Triggers keep the
+ * index in sync with every insert, edit and delete on users (XML import,
+ * manual edits...). Documents are indexed without separators so "12345678-Z"
+ * is found when typing "12345678Z".
+ */
+
+// Document without the separators people usually type or omit
+const COMPACT_DOCUMENT = (column) =>
+  `REPLACE(REPLACE(REPLACE(UPPER(${column}), '-', ''), ' ', ''), '.', '')`;
+
+module.exports = {
+  version: 6,
+  name: 'users_search_index',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS users_fts USING fts5(
+        first_name,
+        last_name1,
+        last_name2,
+        nia,
+        document,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+
+    await schema.run(`
+      CREATE TRIGGER IF NOT EXISTS users_fts_insert AFTER INSERT ON users BEGIN
+        INSERT INTO users_fts (rowid, first_name, last_name1, last_name2, nia, document)
+        VALUES (new.id, new.first_name, new.last_name1, new.last_name2, new.nia, ${COMPACT_DOCUMENT('new.document')});
+      END
+    `);
+
+    await schema.run(`
+      CREATE TRIGGER IF NOT EXISTS users_fts_delete AFTER DELETE ON users BEGIN
+        DELETE FROM users_fts WHERE rowid = old.id;
+      END
+    `);
+
+    await schema.run(`
+      CREATE TRIGGER IF NOT EXISTS users_fts_update
+      AFTER UPDATE OF first_name, last_name1, last_name2, nia, document ON users BEGIN
+        DELETE FROM users_fts WHERE rowid = old.id;
+        INSERT INTO users_fts (rowid, first_name, last_name1, last_name2, nia, document)
+        VALUES (new.id, new.first_name, new.last_name1, new.last_name2, new.nia, ${COMPACT_DOCUMENT('new.document')});
+      END
+    `);
+
+    // Index users that already exist
+    await schema.run('DELETE FROM users_fts');
+    await schema.run(`
+      INSERT INTO users_fts (rowid, first_name, last_name1, last_name2, nia, document)
+      SELECT id, first_name, last_name1, last_name2, nia, ${COMPACT_DOCUMENT('document')} FROM users
+    `);
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 007 - Photo history per user
+ *
+ * `users.image_path` keeps pointing at the current photo (exports and the
+ * orla read it), while `user_images` records every photo ever linked to the
+ * user with where it came from and whether it is current, archived or
+ * rejected. Photos linked before this migration are added as current with
+ * unknown source and dates.
+ */
+module.exports = {
+  version: 7,
+  name: 'user_images',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS user_images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        image_path TEXT NOT NULL,
+        source TEXT,
+        status TEXT NOT NULL DEFAULT 'current',
+        note TEXT,
+        captured_at TEXT,
+        linked_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, image_path)
+      )
+    `);
+
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_user_images_user ON user_images(user_id)');
+
+    await schema.run(`
+      INSERT OR IGNORE INTO user_images (user_id, image_path, status, linked_at)
+      SELECT id, image_path, 'current', NULL FROM users WHERE image_path IS NOT NULL
+    `);
+  }
+};
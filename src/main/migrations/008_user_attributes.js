@@ -0,0 +1,22 @@
+/**
+ * Migration 008 - Extra XML attributes per user
+ *
+ * Attributes of <alumno>, <docente> and <no_docente> that are not mapped to
+ * a users column (email, teléfono, dirección, tutores...) are kept as
+ * name/value pairs so exports and PDF templates can use them.
+ */
+module.exports = {
+  version: 8,
+  name: 'user_attributes',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS user_attributes (
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        value TEXT,
+        PRIMARY KEY (user_id, name)
+      )
+    `);
+  }
+};
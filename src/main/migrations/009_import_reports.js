@@ -0,0 +1,36 @@
+/**
+ * Migration 009 - Import reports
+ *
+ * Every project creation and XML update stores its report (users without
+ * identifier or group, duplicates, skipped elements, applied changes...) so
+ * it can be browsed later from the report window. Each row keeps the id of
+ * the user it refers to, when the user was imported, to jump to it.
+ */
+module.exports = {
+  version: 9,
+  name: 'import_reports',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS import_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        source_file TEXT,
+        summary TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS import_report_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL,
+        section TEXT NOT NULL,
+        user_id INTEGER,
+        data TEXT NOT NULL
+      )
+    `);
+
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_import_report_entries_report ON import_report_entries(report_id)');
+  }
+};
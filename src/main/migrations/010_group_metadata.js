@@ -0,0 +1,29 @@
+/**
+ * Migration 010 - Group metadata
+ *
+ * Groups get a level (ESO, Bachillerato, FP...), a display order, a display
+ * name used in PDFs and a tutor (a teacher of the project). Existing groups
+ * are filled from their codes, as new groups are when they are imported.
+ */
+const { deriveGroupMetadata } = require('../utils/groupMetadata');
+
+module.exports = {
+  version: 10,
+  name: 'group_metadata',
+
+  async up(schema) {
+    await schema.addColumnIfMissing('groups', 'level', 'TEXT');
+    await schema.addColumnIfMissing('groups', 'display_order', 'INTEGER');
+    await schema.addColumnIfMissing('groups', 'display_name', 'TEXT');
+    await schema.addColumnIfMissing('groups', 'tutor_id', 'INTEGER');
+
+    const groups = await schema.all('SELECT code, name FROM groups');
+    for (const group of groups) {
+      const { level, display_order, display_name } = deriveGroupMetadata(group.code, group.name);
+      await schema.run(
+        'UPDATE groups SET level = ?, display_order = ?, display_name = ? WHERE code = ?',
+        [level, display_order, display_name, group.code]
+      );
+    }
+  }
+};
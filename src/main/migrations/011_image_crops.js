@@ -0,0 +1,28 @@
+/**
+ * Migration 011 - Image crops
+ *
+ * Every image in imports can have a 3:4 crop, proposed from the face found
+ * when it was captured (or centred on the frame) and adjustable by hand.
+ * Crops are applied by the exports; the image files are never modified.
+ */
+module.exports = {
+  version: 11,
+  name: 'image_crops',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS image_crops (
+        image_path TEXT PRIMARY KEY,
+        crop_left INTEGER NOT NULL,
+        crop_top INTEGER NOT NULL,
+        crop_width INTEGER NOT NULL,
+        crop_height INTEGER NOT NULL,
+        image_width INTEGER NOT NULL,
+        image_height INTEGER NOT NULL,
+        face TEXT,
+        source TEXT NOT NULL,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
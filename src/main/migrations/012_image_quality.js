@@ -0,0 +1,29 @@
+/**
+ * Migration 012 - Image quality
+ *
+ * Every image in imports is analysed when it arrives (sharpness, exposure,
+ * resolution and, for camera captures, the faces found). The measures and
+ * the problems found are kept so photos can be retaken in time.
+ */
+module.exports = {
+  version: 12,
+  name: 'image_quality',
+
+  async up(schema) {
+    await schema.run(`
+      CREATE TABLE IF NOT EXISTS image_quality (
+        image_path TEXT PRIMARY KEY,
+        sharpness REAL NOT NULL,
+        brightness REAL NOT NULL,
+        dark_ratio REAL NOT NULL,
+        bright_ratio REAL NOT NULL,
+        image_width INTEGER NOT NULL,
+        image_height INTEGER NOT NULL,
+        face_count INTEGER,
+        face_ratio REAL,
+        issues TEXT NOT NULL DEFAULT '[]',
+        analyzed_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 013 - Eye openness in the image quality
+ *
+ * The faces of every image are now found in the main process, with their
+ * eyes: how open they are is kept with the other measures so photos with
+ * closed eyes can be retaken.
+ */
+module.exports = {
+  version: 13,
+  name: 'image_quality_eye_openness',
+
+  async up(schema) {
+    await schema.addColumnIfMissing('image_quality', 'eye_openness', 'REAL');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Ordered list of schema migrations
+ *
+ * To change the database schema, add a new file named
+ * `NNN_short_description.js` exporting `{ version, name, up(schema) }` and
+ * append it here. Versions must be consecutive and never reused; a migration
+ * that has shipped must not be edited afterwards.
+ */
+module.exports = [
+  require('./001_initial_schema'),
+  require('./002_users_orla_paid'),
+  require('./003_users_receipt_printed'),
+  require('./004_users_manually_managed'),
+  require('./005_audit_log'),
+  require('./006_users_search_index'),
+  require('./007_user_images'),
+  require('./008_user_attributes'),
+  require('./009_import_reports'),
+  require('./010_group_metadata'),
+  require('./011_image_crops'),
+  require('./012_image_quality'),
+  require('./013_image_quality_eye_openness')
+];
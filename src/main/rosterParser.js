@@ -0,0 +1,265 @@
+const path = require('path');
+const XMLUserParser = require('./xmlParser');
+const { SPREADSHEET_EXTENSIONS, readSpreadsheet } = require('./spreadsheetReader');
+
+/**
+ * Roster import
+ *
+ * A roster is any file with the users of a centre. The <centro> XML export
+ * is read by XMLUserParser; CSV and XLSX spreadsheets need a column
+ * mapping (which column holds the name, NIA, group...). Every parser
+ * returns the same {groups, students, teachers, nonTeachingStaff} shape
+ * from parse(), and yields the same {section, data} records from records(),
+ * so importUserRecords() and the update flow do not depend on the file format.
+ */
+
+const ROSTER_EXTENSIONS = ['.xml', ...SPREADSHEET_EXTENSIONS];
+
+// User fields a spreadsheet column can be mapped to, with the header
+// names recognised automatically (compared without accents or case)
+const ROSTER_FIELDS = [
+  { key: 'first_name', label: 'Nombre', required: true, aliases: ['nombre', 'name'] },
+  { key: 'last_name1', label: 'Primer apellido', required: true, aliases: ['apellido1', 'primer apellido', 'apellido 1', 'apellido'] },
+  { key: 'last_name2', label: 'Segundo apellido', aliases: ['apellido2', 'segundo apellido', 'apellido 2'] },
+  { key: 'birth_date', label: 'Fecha de nacimiento', aliases: ['fecha_nac', 'fecha nac', 'fecha de nacimiento', 'fecha nacimiento', 'nacimiento'] },
+  { key: 'document', label: 'Documento', aliases: ['documento', 'dni', 'nie', 'nif', 'dni/nie', 'pasaporte'] },
+  { key: 'nia', label: 'NIA', aliases: ['nia', 'numero de identificacion del alumno'] },
+  { key: 'group_code', label: 'Grupo', aliases: ['grupo', 'codigo grupo', 'curso', 'clase', 'unidad'] },
+  { key: 'group_name', label: 'Nombre del grupo', aliases: ['nombre grupo', 'nombre del grupo', 'descripcion grupo'] },
+  { key: 'type', label: 'Tipo de usuario', aliases: ['tipo', 'tipo de usuario', 'perfil'] }
+];
+
+const USER_TYPES = ['student', 'teacher', 'non_teaching_staff'];
+
+// Rows yielded between progress reports
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * Lowercase text without accents, for comparing header names
+ * @private
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[_\s]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a file needs a column mapping to be imported
+ * @param {string} filePath - Roster file
+ * @returns {boolean}
+ */
+function isSpreadsheetRoster(filePath) {
+  return SPREADSHEET_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Propose a column mapping from the header names
+ * @param {string[]} headers - Spreadsheet headers
+ * @returns {{columns: Object, defaultType: string}} Mapping with recognised columns
+ */
+function suggestColumnMapping(headers) {
+  const columns = {};
+  const used = new Set();
+
+  ROSTER_FIELDS.forEach(field => {
+    const header = headers.find(candidate =>
+      !used.has(candidate) && field.aliases.includes(normalizeText(candidate))
+    );
+    if (header) {
+      columns[field.key] = header;
+      used.add(header);
+    }
+  });
+
+  return { columns, defaultType: 'student' };
+}
+
+/**
+ * Check that a mapping can produce valid users
+ * @param {Object} mapping - Column mapping
+ * @param {string[]} headers - Spreadsheet headers
+ * @throws {Error} If required columns are missing
+ */
+function validateColumnMapping(mapping, headers) {
+  const columns = (mapping && mapping.columns) || {};
+
+  Object.entries(columns).forEach(([key, header]) => {
+    if (header && !headers.includes(header)) {
+      const field = ROSTER_FIELDS.find(item => item.key === key);
+      throw new Error(`El archivo no tiene la columna "${header}" (${field ? field.label : key})`);
+    }
+  });
+
+  ROSTER_FIELDS.filter(field => field.required).forEach(field => {
+    if (!columns[field.key]) {
+      throw new Error(`Falta asignar la columna de ${field.label.toLowerCase()}`);
+    }
+  });
+
+  if (!columns.nia && !columns.document) {
+    throw new Error('Falta asignar la columna de NIA o la de documento');
+  }
+
+  if (mapping.defaultType && !USER_TYPES.includes(mapping.defaultType)) {
+    throw new Error(`Tipo de usuario no válido: ${mapping.defaultType}`);
+  }
+}
+
+/**
+ * User type of a row from the text of the type column
+ * @private
+ */
+function getRowType(value, defaultType) {
+  const text = normalizeText(value);
+  if (!text) return defaultType;
+  if (/no docente|personal no docente|^pas$|administraci|conserj/.test(text)) return 'non_teaching_staff';
+  if (/docente|profesor|maestr/.test(text)) return 'teacher';
+  if (/alumn|estudiante/.test(text)) return 'student';
+  return defaultType;
+}
+
+class SpreadsheetRosterParser {
+  /**
+   * @param {string} filePath - CSV or XLSX file
+   * @param {Object} mapping - Column mapping
+   * @param {Object} mapping.columns - User field -> header name
+   * @param {string} [mapping.defaultType] - Type of rows without a type column value
+   */
+  constructor(filePath, mapping) {
+    this.filePath = filePath;
+    this.mapping = mapping;
+  }
+
+  async parse() {
+    try {
+      const { headers, rows } = await readSpreadsheet(this.filePath);
+      validateColumnMapping(this.mapping, headers);
+
+      const columns = this.mapping.columns;
+      const defaultType = this.mapping.defaultType || 'student';
+      const indexes = {};
+      Object.entries(columns).forEach(([key, header]) => {
+        if (header) indexes[key] = headers.indexOf(header);
+      });
+      const mappedIndexes = new Set(Object.values(indexes));
+
+      const result = {
+        groups: [],
+        students: [],
+        teachers: [],
+        nonTeachingStaff: []
+      };
+      const groups = new Map();
+
+      rows.forEach(row => {
+        const get = (key) => (indexes[key] === undefined ? '' : row[indexes[key]]);
+        const type = getRowType(get('type'), defaultType);
+
+        // Unmapped columns are kept as extra attributes, like unknown XML attributes
+        const attributes = {};
+        headers.forEach((header, index) => {
+          if (header && !mappedIndexes.has(index) && row[index] !== '') {
+            attributes[header] = row[index];
+          }
+        });
+
+        const user = {
+          first_name: get('first_name'),
+          last_name1: get('last_name1'),
+          last_name2: get('last_name2'),
+          birth_date: get('birth_date') || null,
+          document: get('document'),
+          attributes
+        };
+
+        if (type === 'student') {
+          const groupCode = get('group_code') || null;
+          if (groupCode && !groups.has(groupCode)) {
+            groups.set(groupCode, get('group_name') || groupCode);
+          }
+          result.students.push({ ...user, nia: get('nia') || null, group_code: groupCode });
+        } else if (type === 'teacher') {
+          result.teachers.push(user);
+        } else {
+          result.nonTeachingStaff.push(user);
+        }
+      });
+
+      result.groups = Array.from(groups, ([code, name]) => ({ code, name }));
+
+      return result;
+    } catch (error) {
+      console.error('Error parsing roster:', error);
+      throw new Error('No se pudo procesar el archivo de usuarios: ' + error.message);
+    }
+  }
+
+  /**
+   * Groups and users one by one, like XMLUserParser.records()
+   *
+   * Spreadsheets are read at once (an XLSX file is a zip archive), so the
+   * progress reported is the fraction of rows already yielded.
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with the fraction of the rows yielded (0-1)
+   * @yields {{section: string, data: Object}}
+   */
+  async *records(options = {}) {
+    const roster = await this.parse();
+    const sections = ['groups', 'students', 'teachers', 'nonTeachingStaff'];
+    const total = sections.reduce((sum, section) => sum + roster[section].length, 0);
+    let count = 0;
+
+    for (const section of sections) {
+      for (const data of roster[section]) {
+        yield { section, data };
+        count++;
+        if (options.onProgress && count % PROGRESS_INTERVAL === 0) {
+          options.onProgress(count / total);
+        }
+      }
+    }
+
+    if (options.onProgress) {
+      options.onProgress(1);
+    }
+  }
+}
+
+/**
+ * Create the parser for a roster file
+ * @param {string} filePath - XML, CSV or XLSX file
+ * @param {Object} [mapping] - Column mapping, required for spreadsheets
+ * @param {Object[]} [xmlProfiles] - User-defined XML mapping profiles
+ * @returns {XMLUserParser|SpreadsheetRosterParser}
+ */
+function createRosterParser(filePath, mapping = null, xmlProfiles = []) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (!ROSTER_EXTENSIONS.includes(ext)) {
+    throw new Error(`Formato de archivo de usuarios no soportado: ${ext || path.basename(filePath)}`);
+  }
+
+  if (ext === '.xml') {
+    return new XMLUserParser(filePath, xmlProfiles);
+  }
+
+  if (!mapping) {
+    throw new Error('Falta la asignación de columnas del archivo de usuarios');
+  }
+
+  return new SpreadsheetRosterParser(filePath, mapping);
+}
+
+module.exports = {
+  ROSTER_EXTENSIONS,
+  ROSTER_FIELDS,
+  SpreadsheetRosterParser,
+  isSpreadsheetRoster,
+  suggestColumnMapping,
+  validateColumnMapping,
+  createRosterParser
+};
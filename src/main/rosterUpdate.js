@@ -0,0 +1,115 @@
+/**
+ * Roster update analysis
+ *
+ * Reads a roster file (XML, CSV or XLSX) and compares it with the users of
+ * the project. Used by the "Actualizar archivo XML" flow and by the
+ * background check run when the source roster of the project changes.
+ */
+const { createRosterParser, isSpreadsheetRoster } = require('./rosterParser');
+const { validateRosterXMLFile } = require('./xmlValidator');
+const { attributesEqual } = require('./utils/userAttributes');
+const { buildRosterDiff } = require('./utils/rosterDiff');
+const { SECTION_TYPES, getRecordKey, applyDuplicateResolutions } = require('./utils/rosterDuplicates');
+const { getXmlMappingProfiles } = require('./utils/config');
+
+/**
+ * Read a roster file (XML, CSV or XLSX) group by group and user by user
+ *
+ * XML rosters are read with the profile found by their validation, whose
+ * report is reused while the file does not change. With validOnly, the
+ * elements that do not pass the validation are left out and the report is
+ * returned with the records, so the caller can report them.
+ * @param {string} filePath - Roster file
+ * @param {Object|null} mapping - Column mapping of CSV/XLSX rosters
+ * @param {boolean} validOnly - Import only the valid elements
+ * @param {Function} [onProgress] - Called with the fraction of the file read (0-1)
+ * @returns {Promise<{records: AsyncIterable<{section: string, data: Object}>, validation: Object|null}>}
+ */
+async function readRoster(filePath, mapping, validOnly, onProgress = null) {
+  const xmlProfiles = getXmlMappingProfiles();
+  const options = onProgress ? { onProgress } : {};
+  let validation = null;
+  if (!isSpreadsheetRoster(filePath)) {
+    const report = await validateRosterXMLFile(filePath, xmlProfiles);
+    if (report.fatal) {
+      throw new Error(report.fatal.message);
+    }
+    options.profileId = report.profile.id;
+    if (validOnly) {
+      options.exclude = report.exclude;
+      validation = report;
+    }
+  }
+
+  const records = createRosterParser(filePath, mapping, xmlProfiles).records(options);
+  return { records, validation };
+}
+
+/**
+ * Compare a roster file with the users of the project
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {string} filePath - Roster file
+ * @param {Object} [options]
+ * @param {Object|null} [options.mapping] - Column mapping of CSV/XLSX rosters
+ * @param {boolean} [options.validOnly] - Read only the valid elements of an XML roster
+ * @param {Object[]} [options.duplicateResolutions] - Decisions on repeated identifiers
+ * @param {Function} [options.onProgress] - Called with the fraction read (0-1) and the users read
+ * @returns {Promise<Object>} { groups, newUsersMap, repeated, counts, validation, currentUsers, diff }
+ */
+async function analyzeRosterUpdate(dbManager, filePath, { mapping = null, validOnly = false, duplicateResolutions = [], onProgress = null } = {}) {
+  // Users by identifier (NIA for students, document for others)
+  const groups = [];
+  const newUsersMap = new Map();
+  // Key -> every occurrence of the identifiers repeated in the file (the last one is kept)
+  const repeated = new Map();
+  const counts = { groups: 0, students: 0, teachers: 0, nonTeachingStaff: 0 };
+  const { records, validation } = await readRoster(filePath, mapping, validOnly, onProgress
+    ? (fraction) => onProgress(fraction, newUsersMap.size)
+    : null);
+
+  for await (const record of applyDuplicateResolutions(records, duplicateResolutions)) {
+    const { section, data } = record;
+    counts[section]++;
+    if (section === 'groups') {
+      groups.push(data);
+      continue;
+    }
+
+    const key = getRecordKey(record);
+    if (key) {
+      const type = SECTION_TYPES[section];
+      if (newUsersMap.has(key)) {
+        if (!repeated.has(key)) {
+          repeated.set(key, [newUsersMap.get(key)]);
+        }
+        repeated.get(key).push(data);
+      }
+      newUsersMap.set(key, {
+        type,
+        identifier: type === 'student' ? data.nia : data.document,
+        ...data
+      });
+    }
+  }
+
+  // Compare field by field (name spelling, group moves, new NIA...)
+  const currentUsers = await dbManager.getUsers({});
+  const diff = buildRosterDiff({
+    currentUsers,
+    newUsersMap,
+    currentAttributes: await dbManager.getAllUserAttributes(),
+    attributesEqual
+  });
+  if (validation) {
+    // Users left out as invalid are still in the file: they are not removals
+    const skippedKeys = new Set(validation.skippedKeys);
+    diff.entries = diff.entries.filter(entry => entry.change !== 'delete' || !skippedKeys.has(entry.key));
+  }
+
+  return { groups, newUsersMap, repeated, counts, validation, currentUsers, diff };
+}
+
+module.exports = {
+  readRoster,
+  analyzeRosterUpdate
+};
@@ -0,0 +1,74 @@
+const chokidar = require('chokidar');
+const { EventEmitter } = require('events');
+const { isRosterFile } = require('./utils/rosterSource');
+// Temporary files from Google Drive, Office, and partial downloads, as in the image folder
+const { IGNORE_RE } = require('./folderWatcher');
+
+// Exports are often saved in several writes: wait for them to settle
+const CHANGE_DELAY = 2000;
+
+/**
+ * Watches the source roster of a project (a file, or a drop folder where
+ * new exports are saved) and emits 'roster-changed' with the file path
+ * when it is written.
+ */
+class RosterWatcher extends EventEmitter {
+  /**
+   * @param {string} sourcePath - Roster file or drop folder
+   * @param {boolean} [folder] - Whether sourcePath is a drop folder
+   */
+  constructor(sourcePath, folder = false) {
+    super();
+    this.sourcePath = sourcePath;
+    this.folder = folder;
+    this.watcher = null;
+    this.timer = null;
+    this.changedPath = null;
+  }
+
+  start() {
+    this.watcher = chokidar.watch(this.sourcePath, {
+      ignored: IGNORE_RE,
+      persistent: true,
+      ignoreInitial: true,
+      depth: 0,
+      awaitWriteFinish: {
+        stabilityThreshold: 1000,
+        pollInterval: 100
+      }
+    });
+
+    this.watcher
+      .on('add', (filePath) => this.handleChange(filePath))
+      .on('change', (filePath) => this.handleChange(filePath))
+      .on('error', (error) => console.error('Roster watcher error:', error));
+
+    console.log('Roster watcher started on:', this.sourcePath);
+  }
+
+  handleChange(filePath) {
+    if (this.folder && !isRosterFile(filePath)) {
+      return;
+    }
+
+    // Only the last file written is reported
+    this.changedPath = filePath;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.emit('roster-changed', this.changedPath);
+    }, CHANGE_DELAY);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+      console.log('Roster watcher stopped');
+    }
+  }
+}
+
+module.exports = RosterWatcher;
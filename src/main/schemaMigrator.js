@@ -0,0 +1,169 @@
+const defaultMigrations = require('./migrations');
+
+/**
+ * Schema Migrator
+ *
+ * Brings a project database up to the schema version expected by this build
+ * of the app. Applied migrations are recorded in the `schema_version` table;
+ * each pending migration runs inside its own transaction so a failure leaves
+ * the database at the last fully applied version.
+ *
+ * Opening a database whose version is newer than the latest known migration
+ * is refused, since an older app could silently corrupt data it does not
+ * understand.
+ */
+class SchemaMigrator {
+  /**
+   * @param {Object} db - Open sqlite3 Database instance
+   * @param {Array<{version: number, name: string, up: Function}>} [migrations] - Ordered migrations
+   */
+  constructor(db, migrations = defaultMigrations) {
+    this.db = db;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    this.validateMigrations();
+  }
+
+  /**
+   * Ensure migration versions are consecutive and start at 1
+   */
+  validateMigrations() {
+    this.migrations.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new Error(`Migraciones mal definidas: se esperaba la versión ${index + 1} y se encontró ${migration.version}`);
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`La migración ${migration.version} (${migration.name}) no define up()`);
+      }
+    });
+  }
+
+  /**
+   * Latest schema version this build knows about
+   * @returns {number}
+   */
+  getLatestVersion() {
+    return this.migrations.length > 0
+      ? this.migrations[this.migrations.length - 1].version
+      : 0;
+  }
+
+  /**
+   * Current schema version stored in the database (0 if never migrated)
+   * @returns {Promise<number>}
+   */
+  async getCurrentVersion() {
+    await this.ensureVersionTable();
+    const row = await this.get('SELECT MAX(version) AS version FROM schema_version');
+    return row && row.version ? row.version : 0;
+  }
+
+  /**
+   * Apply all pending migrations
+   * @returns {Promise<{from: number, to: number, applied: string[]}>}
+   */
+  async migrate() {
+    const from = await this.getCurrentVersion();
+    const latest = this.getLatestVersion();
+
+    if (from > latest) {
+      const error = new Error(
+        `La base de datos del proyecto usa el esquema v${from}, pero esta versión de la aplicación solo admite hasta v${latest}. ` +
+        'Actualiza User Capture para abrir este proyecto.'
+      );
+      error.code = 'SCHEMA_TOO_NEW';
+      throw error;
+    }
+
+    const applied = [];
+    for (const migration of this.migrations) {
+      if (migration.version <= from) continue;
+
+      await this.applyMigration(migration);
+      applied.push(`${migration.version}_${migration.name}`);
+    }
+
+    return { from, to: latest, applied };
+  }
+
+  /**
+   * Run a single migration inside a transaction and record it
+   * @param {Object} migration - Migration definition
+   */
+  async applyMigration(migration) {
+    await this.run('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      await migration.up(this.createSchemaHelper());
+      await this.run(
+        "INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, datetime('now'))",
+        [migration.version, migration.name]
+      );
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK').catch(() => {});
+      throw new Error(`Error al aplicar la migración ${migration.version} (${migration.name}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Helper object handed to each migration's up()
+   * @returns {Object}
+   */
+  createSchemaHelper() {
+    return {
+      run: (sql, params) => this.run(sql, params),
+      get: (sql, params) => this.get(sql, params),
+      all: (sql, params) => this.all(sql, params),
+      columnExists: (table, column) => this.columnExists(table, column),
+      addColumnIfMissing: async (table, column, definition) => {
+        if (!(await this.columnExists(table, column))) {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+      }
+    };
+  }
+
+  async ensureVersionTable() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  async columnExists(table, column) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+}
+
+module.exports = SchemaMigrator;
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Spreadsheet reader for CSV and XLSX roster files
+ *
+ * Returns the first sheet as a header row plus data rows of trimmed
+ * strings. XLSX files are read with yauzl and fast-xml-parser: they are zip
+ * archives of XML parts, and only the parts needed for cell values are read.
+ */
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Candidate CSV delimiters; the most frequent one in the header line wins
+const CSV_DELIMITERS = [';', ',', '\t'];
+
+// Built-in Excel number formats that display dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+
+// Largest XML part and XML parts in all of an XLSX workbook, once inflated
+const MAX_XLSX_PART_SIZE = 50 * 1024 * 1024;
+const MAX_XLSX_TOTAL_SIZE = 200 * 1024 * 1024;
+
+/**
+ * Pick the delimiter used in the first line of a CSV file
+ * @private
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = CSV_DELIMITERS[0];
+  let bestCount = 0;
+
+  CSV_DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parse CSV text (quoted fields, doubled quotes and line breaks inside quotes)
+ * @param {string} text - CSV content
+ * @param {string} [delimiter] - Field delimiter (detected if omitted)
+ * @returns {string[][]} Rows of fields
+ */
+function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Decode a CSV file: UTF-8 (with or without BOM) or, if that fails,
+ * Windows-1252/Latin-1 as saved by Excel
+ * @private
+ */
+function decodeCSV(buffer) {
+  const text = buffer.toString('utf8');
+  const decoded = text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+  return decoded.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Read the XML parts of a zip archive
+ * Other parts (images and the like) are skipped. Parts over the size limits
+ * are refused before they are inflated, and the sizes they declare are
+ * checked while they are read.
+ * @param {Buffer} buffer - Zip file content
+ * @returns {Promise<Map<string, Buffer>>} Part name -> content
+ * @private
+ */
+function readZipParts(buffer) {
+  const invalid = () => new Error('El archivo no es un libro de Excel (.xlsx) válido');
+
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        reject(invalid());
+        return;
+      }
+
+      const parts = new Map();
+      let totalSize = 0;
+      const fail = (error) => {
+        zipfile.close();
+        reject(error);
+      };
+
+      zipfile.on('error', () => fail(invalid()));
+      zipfile.on('end', () => resolve(parts));
+      zipfile.on('entry', (entry) => {
+        if (!/\.(xml|rels)$/i.test(entry.fileName)) {
+          zipfile.readEntry();
+          return;
+        }
+
+        totalSize += entry.uncompressedSize;
+        if (entry.uncompressedSize > MAX_XLSX_PART_SIZE || totalSize > MAX_XLSX_TOTAL_SIZE) {
+          fail(new Error('El libro de Excel es demasiado grande'));
+          return;
+        }
+
+        zipfile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) {
+            fail(invalid());
+            return;
+          }
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('error', () => fail(invalid()));
+          stream.on('end', () => {
+            parts.set(entry.fileName, Buffer.concat(chunks));
+            zipfile.readEntry();
+          });
+        });
+      });
+
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Text of a string item (<si> or <is>), joining rich text runs
+ * @private
+ */
+function getItemText(item) {
+  if (item === undefined || item === null) return '';
+  if (typeof item !== 'object') return String(item);
+  if (item.t !== undefined) return getItemText(item.t);
+  if (item['#text'] !== undefined) return String(item['#text']);
+  if (item.r) return item.r.map(run => getItemText(run.t)).join('');
+  return '';
+}
+
+/**
+ * Convert column letters of a cell reference (A1, AB12...) to an index
+ * @private
+ */
+function getColumnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Format an Excel date serial as DD/MM/YYYY (same format as the XML export)
+ * @private
+ */
+function formatExcelDate(serial) {
+  const date = new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * 86400000));
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Indexes of the cell styles that display dates
+ * @private
+ */
+function getDateStyles(stylesXml, parser) {
+  const dateStyles = new Set();
+  if (!stylesXml) return dateStyles;
+
+  const styleSheet = parser.parse(stylesXml).styleSheet || {};
+  const customDateFormats = new Set();
+  ((styleSheet.numFmts && styleSheet.numFmts.numFmt) || []).forEach(format => {
+    // Ignore quoted literals and [color]/[locale] sections before looking for date tokens
+    const code = String(format['@_formatCode'] || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmy]/i.test(code)) {
+      customDateFormats.add(Number(format['@_numFmtId']));
+    }
+  });
+
+  ((styleSheet.cellXfs && styleSheet.cellXfs.xf) || []).forEach((xf, index) => {
+    const formatId = Number(xf['@_numFmtId']);
+    if (DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) {
+      dateStyles.add(index);
+    }
+  });
+
+  return dateStyles;
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - XLSX file content
+ * @returns {Promise<string[][]>} Rows of cell texts
+ */
+async function readXLSX(buffer) {
+  const parts = await readZipParts(buffer);
+  const readPart = (name) => (parts.has(name) ? parts.get(name).toString('utf8') : null);
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    isArray: (name) => ['sheet', 'Relationship', 'si', 'r', 'row', 'c', 'numFmt', 'xf'].includes(name)
+  });
+
+  // First sheet of the workbook, through its relationship
+  const workbook = parser.parse(readPart('xl/workbook.xml') || '').workbook;
+  const firstSheet = workbook && workbook.sheets && workbook.sheets.sheet && workbook.sheets.sheet[0];
+  if (!firstSheet) {
+    throw new Error('El libro de Excel no tiene hojas');
+  }
+
+  const relationships = parser.parse(readPart('xl/_rels/workbook.xml.rels') || '').Relationships;
+  const relationship = ((relationships && relationships.Relationship) || [])
+    .find(item => item['@_Id'] === firstSheet['@_r:id']);
+  const target = relationship ? relationship['@_Target'] : 'worksheets/sheet1.xml';
+  const sheetPath = target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+
+  const sheetXml = readPart(sheetPath);
+  if (!sheetXml) {
+    throw new Error('No se encuentra la primera hoja del libro de Excel');
+  }
+
+  const sharedStringsXml = readPart('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? ((parser.parse(sharedStringsXml).sst || {}).si || []).map(getItemText)
+    : [];
+  const dateStyles = getDateStyles(readPart('xl/styles.xml'), parser);
+
+  const sheetData = (parser.parse(sheetXml).worksheet || {}).sheetData || {};
+  return (sheetData.row || []).map(row => {
+    const cells = [];
+    (row.c || []).forEach((cell, position) => {
+      const index = cell['@_r'] ? getColumnIndex(cell['@_r']) : position;
+      const type = cell['@_t'];
+      const value = cell.v === undefined ? '' : getItemText(cell.v);
+      let text;
+
+      if (type === 's') {
+        text = sharedStrings[Number(value)] || '';
+      } else if (type === 'inlineStr') {
+        text = getItemText(cell.is);
+      } else if (type === 'b') {
+        text = value === '1' ? 'VERDADERO' : 'FALSO';
+      } else if (value !== '' && !type && dateStyles.has(Number(cell['@_s']))) {
+        text = formatExcelDate(Number(value));
+      } else {
+        text = value;
+      }
+
+      cells[index] = text;
+    });
+    return Array.from(cells, text => text || '');
+  });
+}
+
+/**
+ * Read a CSV or XLSX file as a header row plus data rows
+ * @param {string} filePath - Spreadsheet file
+ * @returns {Promise<{headers: string[], rows: string[][]}>}
+ */
+async function readSpreadsheet(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!SPREADSHEET_EXTENSIONS.includes(ext)) {
+    throw new Error(`Formato de archivo no soportado: ${ext || path.basename(filePath)}`);
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  const table = ext === '.csv' ? parseCSV(decodeCSV(buffer)) : await readXLSX(buffer);
+
+  // Skip empty rows, including those at the top of the sheet
+  const rows = table
+    .map(row => row.map(cell => String(cell).trim()))
+    .filter(row => row.some(cell => cell !== ''));
+
+  if (rows.length === 0) {
+    throw new Error('El archivo no contiene datos');
+  }
+
+  const headers = rows[0];
+  return {
+    headers,
+    rows: rows.slice(1).map(row => headers.map((header, index) => row[index] || ''))
+  };
+}
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  parseCSV,
+  readXLSX,
+  readSpreadsheet
+};
@@ -0,0 +1,214 @@
+/**
+ * Audit log of changes made to users and images
+ */
+const os = require('os');
+const { toCSVField } = require('./formatting');
+
+// Labels shown in the history view and in the CSV export
+const AUDIT_ACTION_LABELS = {
+  create_user: 'Usuario creado',
+  update_user: 'Usuario modificado',
+  delete_user: 'Usuario eliminado',
+  link_image: 'Foto vinculada',
+  unlink_image: 'Foto desvinculada',
+  import_image_with_id: 'Foto importada con ID',
+  update_user_image: 'Historial de fotos modificado',
+  crop_image: 'Recorte de foto modificado',
+  mark_orla_paid: 'Orla pagada',
+  mark_receipt_printed: 'Recibo impreso',
+  request_card_print: 'Impresión de carnet solicitada',
+  mark_card_printed: 'Carnet impreso',
+  request_publication: 'Publicación oficial solicitada',
+  add_image_tag: 'Etiqueta añadida',
+  delete_image_tag: 'Etiqueta eliminada',
+  xml_add_user: 'Alta por XML',
+  xml_update_user: 'Cambio por XML',
+  xml_restore_user: 'Recuperado de Eliminados por XML',
+  xml_move_to_deleted: 'Movido a Eliminados por XML',
+  xml_delete_user: 'Baja por XML'
+};
+
+// Labels for user fields stored in before/after values
+const FIELD_LABELS = {
+  type: 'Tipo',
+  first_name: 'Nombre',
+  last_name1: 'Apellido1',
+  last_name2: 'Apellido2',
+  birth_date: 'Fecha de nacimiento',
+  document: 'Documento',
+  nia: 'NIA',
+  group_code: 'Grupo',
+  image_path: 'Foto',
+  manually_managed: 'Gestión manual'
+};
+
+/**
+ * Fields compared when recording changes to a user
+ */
+const USER_AUDIT_FIELDS = Object.keys(FIELD_LABELS);
+
+/**
+ * Get the fields that differ between two versions of a user
+ * @param {Object} before - User before the change
+ * @param {Object} after - New values (only the fields present are compared)
+ * @returns {{before: Object, after: Object}|null} Changed fields, or null if nothing changed
+ */
+function diffUserFields(before = {}, after = {}) {
+  const changes = { before: {}, after: {} };
+  let changed = false;
+
+  USER_AUDIT_FIELDS.forEach(field => {
+    if (!(field in after)) return;
+
+    const oldValue = before[field] ?? null;
+    const newValue = after[field] ?? null;
+    // Compare as text: the XML gives NIAs as strings, the database may return numbers
+    if (String(oldValue ?? '') !== String(newValue ?? '')) {
+      changes.before[field] = oldValue;
+      changes.after[field] = newValue;
+      changed = true;
+    }
+  });
+
+  return changed ? changes : null;
+}
+
+/**
+ * Convert a stored before/after value to readable text
+ * @param {string|null} storedValue - JSON text from the database
+ * @returns {string} Readable value
+ */
+function formatAuditValue(storedValue) {
+  if (storedValue === null || storedValue === undefined) return '';
+
+  let value;
+  try {
+    value = JSON.parse(storedValue);
+  } catch {
+    return String(storedValue);
+  }
+
+  const formatScalar = (v) => {
+    if (v === true) return 'Sí';
+    if (v === false) return 'No';
+    if (v === null || v === undefined) return '';
+    return String(v);
+  };
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, v]) => `${FIELD_LABELS[key] || key}: ${formatScalar(v) || '-'}`)
+      .join('; ');
+  }
+
+  return formatScalar(value);
+}
+
+/**
+ * Add readable fields to an audit log row
+ * @param {Object} row - Row from the audit_log table
+ * @returns {Object} Row with action_label, before_text and after_text
+ */
+function describeAuditEntry(row) {
+  return {
+    ...row,
+    action_label: AUDIT_ACTION_LABELS[row.action] || row.action,
+    before_text: formatAuditValue(row.before_value),
+    after_text: formatAuditValue(row.after_value)
+  };
+}
+
+/**
+ * Build CSV content for a list of audit log rows
+ * @param {Array<Object>} rows - Rows from the audit_log table
+ * @returns {string} CSV content
+ */
+function buildAuditCSV(rows) {
+  const csvRows = ['Fecha,Acción,ID usuario,Identificador,Nombre,Valor anterior,Valor nuevo,Detalles,Equipo'];
+
+  rows.forEach(row => {
+    const entry = describeAuditEntry(row);
+    csvRows.push([
+      entry.created_at,
+      entry.action_label,
+      entry.user_id,
+      entry.user_identifier,
+      entry.user_name,
+      entry.before_text,
+      entry.after_text,
+      entry.details,
+      entry.actor
+    ].map(toCSVField).join(','));
+  });
+
+  return csvRows.join('\n');
+}
+
+/**
+ * Writes audit entries to the project database of the open project
+ */
+class AuditLogger {
+  /**
+   * @param {Object} state - Application state (provides dbManager)
+   * @param {Object} logger - Logger instance
+   */
+  constructor(state, logger) {
+    this.state = state;
+    this.logger = logger;
+    this.actor = AuditLogger.getActor();
+  }
+
+  /**
+   * Identify the person and computer making the changes
+   * @returns {string} "user@host"
+   */
+  static getActor() {
+    try {
+      return `${os.userInfo().username}@${os.hostname()}`;
+    } catch {
+      return os.hostname();
+    }
+  }
+
+  /**
+   * Record an audit entry. Never throws: a failure to audit must not undo
+   * or block the change that was already made.
+   * @param {string} action - Action key (see AUDIT_ACTION_LABELS)
+   * @param {Object} data
+   * @param {Object} [data.user] - Affected user (id, identifier and name are copied)
+   * @param {string} [data.identifier] - Identifier when no user row is available
+   * @param {*} [data.before] - Value before the change
+   * @param {*} [data.after] - Value after the change
+   * @param {string} [data.details] - Free text (file names, folders...)
+   */
+  async record(action, { user = null, identifier = null, before, after, details = null } = {}) {
+    const dbManager = this.state.dbManager;
+    if (!dbManager) return;
+
+    try {
+      await dbManager.addAuditEntry({
+        action,
+        user_id: user ? user.id : null,
+        user_identifier: user ? (user.type === 'student' ? user.nia : user.document) : identifier,
+        user_name: user ? `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim() : null,
+        before_value: before === undefined ? null : JSON.stringify(before),
+        after_value: after === undefined ? null : JSON.stringify(after),
+        details,
+        actor: this.actor,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error(`Error writing audit entry (${action})`, error);
+    }
+  }
+}
+
+module.exports = {
+  AuditLogger,
+  AUDIT_ACTION_LABELS,
+  USER_AUDIT_FIELDS,
+  diffUserFields,
+  formatAuditValue,
+  describeAuditEntry,
+  buildAuditCSV
+};
@@ -0,0 +1,148 @@
+/**
+ * Burst capture
+ *
+ * Kids blink and move. The camera window can take a short burst of frames
+ * instead of a single one; every frame is scored for sharpness and for the
+ * face, the best one is saved and the rest stay in a strip of the camera
+ * window so the operator can pick another one before they are discarded.
+ */
+const { QUALITY_THRESHOLDS } = require('./photoQuality');
+
+// Project setting with the burst options
+const BURST_SETTINGS_SETTING = 'burstCaptureSettings';
+
+const BURST_CRITERIA = {
+  balanced: 'Equilibrado (nitidez y cara)',
+  sharpness: 'Nitidez',
+  face: 'Cara y ojos visibles'
+};
+
+const DEFAULT_BURST_SETTINGS = {
+  enabled: false,
+  frameCount: 5,
+  criterion: 'balanced'
+};
+
+const MIN_BURST_FRAMES = 2;
+const MAX_BURST_FRAMES = 10;
+
+/**
+ * Check and complete the burst settings
+ * @param {Object} settings - { enabled, frameCount, criterion } (missing values use the defaults)
+ * @returns {{enabled: boolean, frameCount: number, criterion: string}}
+ */
+function validateBurstSettings(settings = {}) {
+  const result = { ...DEFAULT_BURST_SETTINGS };
+
+  if (settings.enabled !== undefined && settings.enabled !== null) {
+    result.enabled = Boolean(settings.enabled);
+  }
+
+  if (settings.frameCount !== undefined && settings.frameCount !== null && settings.frameCount !== '') {
+    const frameCount = Number(settings.frameCount);
+    if (!Number.isInteger(frameCount) || frameCount < MIN_BURST_FRAMES || frameCount > MAX_BURST_FRAMES) {
+      throw new Error(`La ráfaga debe tener entre ${MIN_BURST_FRAMES} y ${MAX_BURST_FRAMES} fotogramas`);
+    }
+    result.frameCount = frameCount;
+  }
+
+  if (settings.criterion !== undefined && settings.criterion !== null) {
+    if (!BURST_CRITERIA[settings.criterion]) {
+      throw new Error(`Criterio de selección desconocido: ${settings.criterion}`);
+    }
+    result.criterion = settings.criterion;
+  }
+
+  return result;
+}
+
+/**
+ * Face score of a frame, from 0 to 1
+ * One face with its eyes open scores 1 (when the eyes were not measured, with
+ * its eyes found); without a detector every frame scores 1
+ * @private
+ */
+function scoreFace(metrics, eyesFound) {
+  if (metrics.faceCount === null || metrics.faceCount === undefined) return 1;
+  if (metrics.faceCount !== 1) return 0;
+  if (metrics.eyeOpenness !== null && metrics.eyeOpenness !== undefined) {
+    return metrics.eyeOpenness >= QUALITY_THRESHOLDS.minEyeOpenness ? 1 : 0.5;
+  }
+  return eyesFound ? 1 : 0.5;
+}
+
+/**
+ * Score the frames of a burst
+ * Sharpness is relative to the sharpest frame of the same burst, so the
+ * scores only compare frames of one burst.
+ * @param {Array<{metrics: Object, eyesFound: boolean}>} frames - Measures of each frame (see analyzeImage);
+ *   eyesFound is only used when the eyes were not measured
+ * @param {string} criterion - Key of BURST_CRITERIA
+ * @returns {number[]} Score of each frame
+ */
+function scoreBurstFrames(frames, criterion = DEFAULT_BURST_SETTINGS.criterion) {
+  const maxSharpness = Math.max(0, ...frames.map(frame => frame.metrics.sharpness));
+
+  return frames.map(({ metrics, eyesFound }) => {
+    const sharpness = maxSharpness > 0 ? metrics.sharpness / maxSharpness : 0;
+    const face = scoreFace(metrics, eyesFound);
+
+    let score;
+    if (criterion === 'sharpness') {
+      score = sharpness;
+    } else if (criterion === 'face') {
+      // Sharpness only breaks the ties between frames with the same face score
+      score = face + sharpness / 100;
+    } else {
+      score = (sharpness + face) / 2;
+    }
+    return Math.round(score * 1000) / 1000;
+  });
+}
+
+/**
+ * Index of the best frame (the first one on ties)
+ * @param {number[]} scores
+ * @returns {number} -1 for an empty burst
+ */
+function pickBestFrame(scores) {
+  return scores.reduce((best, score, index) => (best === -1 || score > scores[best] ? index : best), -1);
+}
+
+/**
+ * Get the burst settings of a project
+ * @param {DatabaseManager} dbManager - Project database
+ * @returns {Promise<{enabled: boolean, frameCount: number, criterion: string}>}
+ */
+async function loadBurstSettings(dbManager) {
+  const value = await dbManager.getProjectSetting(BURST_SETTINGS_SETTING);
+  if (!value) return { ...DEFAULT_BURST_SETTINGS };
+
+  try {
+    return validateBurstSettings(JSON.parse(value));
+  } catch (error) {
+    return { ...DEFAULT_BURST_SETTINGS };
+  }
+}
+
+/**
+ * Save the burst settings of a project
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {Object} settings - { enabled, frameCount, criterion }
+ * @returns {Promise<{enabled: boolean, frameCount: number, criterion: string}>} Saved settings
+ */
+async function saveBurstSettings(dbManager, settings) {
+  const validated = validateBurstSettings(settings);
+  await dbManager.setProjectSetting(BURST_SETTINGS_SETTING, JSON.stringify(validated));
+  return validated;
+}
+
+module.exports = {
+  BURST_CRITERIA,
+  DEFAULT_BURST_SETTINGS,
+  validateBurstSettings,
+  scoreBurstFrames,
+  pickBestFrame,
+  loadBurstSettings,
+  saveBurstSettings
+};
@@ -0,0 +1,137 @@
+/**
+ * Composition guides of the camera preview
+ *
+ * The camera window draws guides over the preview so every photo is framed
+ * the same way: a face oval, the eye line, the marks of the 3:4 crop and a
+ * centre cross. The proportions come from presets for the usual kinds of
+ * photo, and the guides shown are saved for each camera (they depend on
+ * where the camera stands more than on the project).
+ */
+const { centerCrop, EYES_IN_FACE_BOX } = require('./faceCrop');
+
+// headRatio: height of the face / height of the 3:4 box
+// eyeLineRatio: distance from the top of the box to the eyes / height of the box
+const OVERLAY_PRESETS = {
+  dni: { label: 'DNI', headRatio: 0.65, eyeLineRatio: 0.45 },
+  school_card: { label: 'Carnet escolar', headRatio: 0.55, eyeLineRatio: 0.42 },
+  orla: { label: 'Orla', headRatio: 0.42, eyeLineRatio: 0.38 }
+};
+
+const OVERLAY_GUIDES = {
+  faceOval: 'Óvalo de la cara',
+  eyeLine: 'Línea de los ojos',
+  cropMarks: 'Marcas del recorte 3:4',
+  centerCross: 'Cruz central'
+};
+
+const DEFAULT_OVERLAY_SETTINGS = {
+  preset: 'school_card',
+  guides: { faceOval: true, eyeLine: true, cropMarks: true, centerCross: false },
+  level: false
+};
+
+// Width / height of the face oval
+const FACE_OVAL_ASPECT = 0.75;
+
+// Offset of the face, as a share of the 3:4 box, still taken as centred
+const LEVEL_TOLERANCE = 0.06;
+
+/**
+ * Check and complete the guide settings of a camera
+ * @param {Object} settings - { preset, guides, level } (missing values use the defaults)
+ * @returns {{preset: string, guides: Object, level: boolean}}
+ */
+function validateOverlaySettings(settings = {}) {
+  const result = {
+    ...DEFAULT_OVERLAY_SETTINGS,
+    guides: { ...DEFAULT_OVERLAY_SETTINGS.guides }
+  };
+
+  if (settings.preset !== undefined && settings.preset !== null) {
+    if (!OVERLAY_PRESETS[settings.preset]) {
+      throw new Error(`Plantilla de guías desconocida: ${settings.preset}`);
+    }
+    result.preset = settings.preset;
+  }
+
+  Object.keys(OVERLAY_GUIDES).forEach((guide) => {
+    if (settings.guides && settings.guides[guide] !== undefined) {
+      result.guides[guide] = Boolean(settings.guides[guide]);
+    }
+  });
+
+  if (settings.level !== undefined && settings.level !== null) {
+    result.level = Boolean(settings.level);
+  }
+
+  return result;
+}
+
+/**
+ * Position of the guides of a preset in a frame
+ * @param {{width: number, height: number}} frame - Frame size, as it is saved (after rotation)
+ * @param {string} preset - Key of OVERLAY_PRESETS
+ * @returns {{box: Object, eyeLineY: number, oval: Object, center: Object}} In frame pixels;
+ *   box is the 3:4 crop, oval is { cx, cy, rx, ry }
+ */
+function computeOverlayLayout(frame, preset) {
+  const { headRatio, eyeLineRatio } = OVERLAY_PRESETS[preset] || OVERLAY_PRESETS[DEFAULT_OVERLAY_SETTINGS.preset];
+  const box = centerCrop(frame);
+
+  const eyeLineY = box.top + box.height * eyeLineRatio;
+  const ovalHeight = box.height * headRatio;
+
+  return {
+    box,
+    eyeLineY,
+    oval: {
+      cx: box.left + box.width / 2,
+      // The eyes sit in the face oval as they do in the face box of the detector
+      cy: eyeLineY + ovalHeight * (0.5 - EYES_IN_FACE_BOX),
+      rx: (ovalHeight * FACE_OVAL_ASPECT) / 2,
+      ry: ovalHeight / 2
+    },
+    center: { x: frame.width / 2, y: frame.height / 2 }
+  };
+}
+
+/**
+ * Check whether a face is centred on the guides
+ * @param {Object} face - Face box in frame pixels: { x, y, width, height, eyeY? }
+ * @param {Object} layout - Result of computeOverlayLayout
+ * @returns {{centred: boolean, offsetX: number, offsetY: number, hints: string[]}}
+ *   Offsets as a share of the 3:4 box (positive: right / down of the guides)
+ */
+function checkFaceLevel(face, layout) {
+  const eyeY = Number.isFinite(face.eyeY) ? face.eyeY : face.y + face.height * EYES_IN_FACE_BOX;
+  const offsetX = (face.x + face.width / 2 - layout.oval.cx) / layout.box.width;
+  const offsetY = (eyeY - layout.eyeLineY) / layout.box.height;
+
+  const hints = [];
+  if (offsetX < -LEVEL_TOLERANCE) {
+    hints.push('Cara desplazada a la izquierda');
+  } else if (offsetX > LEVEL_TOLERANCE) {
+    hints.push('Cara desplazada a la derecha');
+  }
+  if (offsetY < -LEVEL_TOLERANCE) {
+    hints.push('Ojos por encima de la línea');
+  } else if (offsetY > LEVEL_TOLERANCE) {
+    hints.push('Ojos por debajo de la línea');
+  }
+
+  return {
+    centred: hints.length === 0,
+    offsetX: Math.round(offsetX * 1000) / 1000,
+    offsetY: Math.round(offsetY * 1000) / 1000,
+    hints
+  };
+}
+
+module.exports = {
+  OVERLAY_PRESETS,
+  OVERLAY_GUIDES,
+  DEFAULT_OVERLAY_SETTINGS,
+  validateOverlaySettings,
+  computeOverlayLayout,
+  checkFaceLevel
+};
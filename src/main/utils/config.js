@@ -118,6 +118,94 @@ function saveDisplayPreferences(preferences) {
   return saveGlobalConfig(config);
 }
 
+/**
+ * Get the saved column mappings for spreadsheet rosters
+ * @returns {Object} Profile name -> column mapping
+ */
+function getRosterMappingProfiles() {
+  const config = loadGlobalConfig();
+  return config.rosterMappingProfiles || {};
+}
+
+/**
+ * Save a column mapping under a name, replacing any profile with that name
+ * @param {string} name - Profile name
+ * @param {Object} mapping - Column mapping
+ * @returns {boolean} Success status
+ */
+function saveRosterMappingProfile(name, mapping) {
+  const config = loadGlobalConfig();
+  config.rosterMappingProfiles = { ...(config.rosterMappingProfiles || {}), [name]: mapping };
+  return saveGlobalConfig(config);
+}
+
+/**
+ * Delete a saved column mapping
+ * @param {string} name - Profile name
+ * @returns {boolean} Success status
+ */
+function deleteRosterMappingProfile(name) {
+  const config = loadGlobalConfig();
+  const profiles = { ...(config.rosterMappingProfiles || {}) };
+  delete profiles[name];
+  config.rosterMappingProfiles = profiles;
+  return saveGlobalConfig(config);
+}
+
+/**
+ * Get the user-defined XML mapping profiles
+ * @returns {Object[]} Profiles (see xmlProfiles.js)
+ */
+function getXmlMappingProfiles() {
+  const config = loadGlobalConfig();
+  return config.xmlMappingProfiles || [];
+}
+
+/**
+ * Save an XML mapping profile, replacing any profile with the same id
+ * @param {Object} profile - Mapping profile
+ * @returns {boolean} Success status
+ */
+function saveXmlMappingProfile(profile) {
+  const config = loadGlobalConfig();
+  const profiles = (config.xmlMappingProfiles || []).filter(existing => existing.id !== profile.id);
+  config.xmlMappingProfiles = [...profiles, profile];
+  return saveGlobalConfig(config);
+}
+
+/**
+ * Delete a user-defined XML mapping profile
+ * @param {string} id - Profile id
+ * @returns {boolean} Success status
+ */
+function deleteXmlMappingProfile(id) {
+  const config = loadGlobalConfig();
+  config.xmlMappingProfiles = (config.xmlMappingProfiles || []).filter(profile => profile.id !== id);
+  return saveGlobalConfig(config);
+}
+
+/**
+ * Get the composition guides saved for a camera
+ * @param {string} cameraId - Camera device id
+ * @returns {Object|null} Guide settings, or null if none were saved
+ */
+function getCameraOverlaySettings(cameraId) {
+  const config = loadGlobalConfig();
+  return (config.cameraOverlays || {})[cameraId] || null;
+}
+
+/**
+ * Save the composition guides of a camera
+ * @param {string} cameraId - Camera device id
+ * @param {Object} settings - Guide settings
+ * @returns {boolean} Success status
+ */
+function saveCameraOverlaySettings(cameraId, settings) {
+  const config = loadGlobalConfig();
+  config.cameraOverlays = { ...(config.cameraOverlays || {}), [cameraId]: settings };
+  return saveGlobalConfig(config);
+}
+
 module.exports = {
   getConfigPath,
   loadGlobalConfig,
@@ -126,5 +214,13 @@ module.exports = {
   setImageRepositoryPath,
   getSelectedGroupFilter,
   setSelectedGroupFilter,
-  saveDisplayPreferences
-};
\ No newline at end of file
+  saveDisplayPreferences,
+  getRosterMappingProfiles,
+  saveRosterMappingProfile,
+  deleteRosterMappingProfile,
+  getXmlMappingProfiles,
+  saveXmlMappingProfile,
+  deleteXmlMappingProfile,
+  getCameraOverlaySettings,
+  saveCameraOverlaySettings
+};
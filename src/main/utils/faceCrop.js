@@ -0,0 +1,206 @@
+/**
+ * Face-centred crops in ID-photo proportions (3:4)
+ *
+ * Captures are wider than the 3:4 box of the orla and the card exports. A
+ * crop is proposed for every image from the face found in the main process
+ * by faceDetector.js, or centred on the frame when there is no face. Crops
+ * are stored apart from the image file, so the original is never modified
+ * and the crop can be adjusted afterwards.
+ */
+
+// Width / height of the crop
+const CROP_ASPECT = 3 / 4;
+
+// Project setting with the ratios used to propose crops
+const CROP_SETTINGS_SETTING = 'faceCropSettings';
+
+// headRatio: height of the face box / height of the crop
+// eyeLineRatio: distance from the top of the crop to the eyes / height of the crop
+const DEFAULT_CROP_SETTINGS = {
+  headRatio: 0.5,
+  eyeLineRatio: 0.42
+};
+
+const CROP_SETTING_LIMITS = {
+  headRatio: { min: 0.3, max: 0.8, label: 'La proporción de la cara' },
+  eyeLineRatio: { min: 0.25, max: 0.6, label: 'La línea de los ojos' }
+};
+
+// Eyes sit at about 40% of the face box when the detector gives no landmarks
+const EYES_IN_FACE_BOX = 0.4;
+
+/**
+ * Check and complete the crop settings
+ * @param {Object} settings - { headRatio, eyeLineRatio } (missing values use the defaults)
+ * @returns {{headRatio: number, eyeLineRatio: number}}
+ */
+function validateCropSettings(settings = {}) {
+  const result = { ...DEFAULT_CROP_SETTINGS };
+
+  Object.entries(CROP_SETTING_LIMITS).forEach(([key, { min, max, label }]) => {
+    if (settings[key] === undefined || settings[key] === null || settings[key] === '') return;
+
+    const value = Number(settings[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${label} debe estar entre el ${Math.round(min * 100)}% y el ${Math.round(max * 100)}%`);
+    }
+    result[key] = value;
+  });
+
+  return result;
+}
+
+/**
+ * Largest 3:4 crop centred on the image
+ * @param {{width: number, height: number}} image - Image size (after EXIF rotation)
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function centerCrop(image) {
+  let width = image.width;
+  let height = width / CROP_ASPECT;
+  if (height > image.height) {
+    height = image.height;
+    width = height * CROP_ASPECT;
+  }
+
+  return clampCrop({
+    left: (image.width - width) / 2,
+    top: (image.height - height) / 2,
+    width,
+    height
+  }, image);
+}
+
+/**
+ * 3:4 crop around a face
+ *
+ * The crop is sized so the face box takes headRatio of its height and placed
+ * so the eyes are at eyeLineRatio from the top. When the face is too big for
+ * the image the crop is reduced, and it is always kept inside the image.
+ * @param {Object} face - Face box in image pixels: { x, y, width, height, eyeY? }
+ * @param {{width: number, height: number}} image - Image size
+ * @param {Object} [settings] - { headRatio, eyeLineRatio }
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function computeFaceCrop(face, image, settings = DEFAULT_CROP_SETTINGS) {
+  const { headRatio, eyeLineRatio } = validateCropSettings(settings);
+
+  let height = face.height / headRatio;
+  let width = height * CROP_ASPECT;
+  const scale = Math.min(1, image.width / width, image.height / height);
+  width *= scale;
+  height *= scale;
+
+  const eyeY = Number.isFinite(face.eyeY) ? face.eyeY : face.y + face.height * EYES_IN_FACE_BOX;
+
+  return clampCrop({
+    left: face.x + face.width / 2 - width / 2,
+    top: eyeY - height * eyeLineRatio,
+    width,
+    height
+  }, image);
+}
+
+/**
+ * Propose the crop of an image
+ * @param {{width: number, height: number}} image - Image size
+ * @param {Object|null} face - Face box, or null if no face was found
+ * @param {Object} [settings] - { headRatio, eyeLineRatio }
+ * @returns {{crop: Object, source: string}} source is 'face' or 'center'
+ */
+function proposeCrop(image, face, settings = DEFAULT_CROP_SETTINGS) {
+  if (isValidFace(face)) {
+    return { crop: computeFaceCrop(face, image, settings), source: 'face' };
+  }
+  return { crop: centerCrop(image), source: 'center' };
+}
+
+/**
+ * Check a crop set by hand and fit it to 3:4 inside the image
+ * (the height follows the width)
+ * @param {Object} crop - { left, top, width }
+ * @param {{width: number, height: number}} image - Image size
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function normalizeCrop(crop, image) {
+  const left = Number(crop && crop.left);
+  const top = Number(crop && crop.top);
+  let width = Number(crop && crop.width);
+  if (![left, top, width].every(Number.isFinite) || width <= 0) {
+    throw new Error('El recorte no es válido');
+  }
+
+  let height = width / CROP_ASPECT;
+  const scale = Math.min(1, image.width / width, image.height / height);
+  width *= scale;
+  height *= scale;
+
+  return clampCrop({ left, top, width, height }, image);
+}
+
+/**
+ * Check if a face box can be used to propose a crop
+ * @param {Object|null} face
+ * @returns {boolean}
+ */
+function isValidFace(face) {
+  return !!face && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(face[key])) &&
+    face.width > 0 && face.height > 0;
+}
+
+/**
+ * Round a crop and move it inside the image
+ * @private
+ */
+function clampCrop(crop, image) {
+  const width = Math.max(1, Math.min(Math.round(crop.width), image.width));
+  const height = Math.max(1, Math.min(Math.round(crop.height), image.height));
+  return {
+    left: Math.min(Math.max(Math.round(crop.left), 0), image.width - width),
+    top: Math.min(Math.max(Math.round(crop.top), 0), image.height - height),
+    width,
+    height
+  };
+}
+
+/**
+ * Get the crop settings of a project
+ * @param {DatabaseManager} dbManager - Project database
+ * @returns {Promise<{headRatio: number, eyeLineRatio: number}>}
+ */
+async function loadCropSettings(dbManager) {
+  const value = await dbManager.getProjectSetting(CROP_SETTINGS_SETTING);
+  if (!value) return { ...DEFAULT_CROP_SETTINGS };
+
+  try {
+    return validateCropSettings(JSON.parse(value));
+  } catch (error) {
+    return { ...DEFAULT_CROP_SETTINGS };
+  }
+}
+
+/**
+ * Save the crop settings of a project
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {Object} settings - { headRatio, eyeLineRatio }
+ * @returns {Promise<{headRatio: number, eyeLineRatio: number}>} Saved settings
+ */
+async function saveCropSettings(dbManager, settings) {
+  const validated = validateCropSettings(settings);
+  await dbManager.setProjectSetting(CROP_SETTINGS_SETTING, JSON.stringify(validated));
+  return validated;
+}
+
+module.exports = {
+  CROP_ASPECT,
+  EYES_IN_FACE_BOX,
+  DEFAULT_CROP_SETTINGS,
+  validateCropSettings,
+  centerCrop,
+  computeFaceCrop,
+  proposeCrop,
+  normalizeCrop,
+  isValidFace,
+  loadCropSettings,
+  saveCropSettings
+};
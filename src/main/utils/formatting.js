@@ -30,7 +30,22 @@ function capitalizeWords(str) {
   }).join(' ');
 }
 
+/**
+ * Format a value as a CSV field, quoting it when it contains commas,
+ * quotes or line breaks
+ * @param {*} value - Field value (null and undefined give an empty field)
+ * @returns {string} CSV field
+ */
+function toCSVField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (text.includes(',') || text.includes('"') || text.includes('\n')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
 module.exports = {
   formatTimestamp,
-  capitalizeWords
+  capitalizeWords,
+  toCSVField
 };
\ No newline at end of file
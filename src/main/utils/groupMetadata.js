@@ -0,0 +1,199 @@
+/**
+ * Group metadata derived from the group codes
+ *
+ * Roster codes such as "1ESO-A", "2BACH-B" or "1CFGM-SMR" carry the course,
+ * the stage and the class letter. They are used to fill the level, the
+ * display order and the display name (used in PDFs) of new groups; all of
+ * them can be edited afterwards in the group manager.
+ */
+
+// Levels in display order, with the stage tokens found in group codes
+const GROUP_LEVELS = [
+  { level: 'Infantil', tokens: ['INFANTIL', 'INF', 'EI'] },
+  { level: 'Primaria', tokens: ['PRIMARIA', 'PRI', 'EP'] },
+  { level: 'ESO', tokens: ['ESO'] },
+  { level: 'Bachillerato', tokens: ['BACHILLERATO', 'BACH', 'BAC'] },
+  { level: 'FP', tokens: ['CFGM', 'CFGS', 'FPB', 'FPGB', 'GM', 'GS', 'FP'] }
+];
+
+// Groups created by the app go after every roster group
+const SPECIAL_GROUP_ORDER = {
+  DOCENTES: 9001,
+  NO_DOCENTES: 9002,
+  SIN_GRUPO: 9003,
+  ELIMINADOS: 9004
+};
+
+// Groups whose code does not match any pattern
+const UNKNOWN_GROUP_ORDER = 8000;
+
+const STAGE_TOKENS = GROUP_LEVELS
+  .flatMap(({ tokens }) => tokens)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+// "1ESO-A", "1º ESO A", "2BACH_CT" (course first) and "ESO1A" (stage first)
+const COURSE_FIRST_RE = new RegExp(`^(\\d{1,2})\\s*[ºª°]?\\s*[-_ .]?\\s*(${STAGE_TOKENS})(?:\\s*[-_ .]?\\s*([A-Z0-9]+))?$`);
+const STAGE_FIRST_RE = new RegExp(`^(${STAGE_TOKENS})\\s*[-_ .]?\\s*(\\d{1,2})(?:\\s*[-_ .]?\\s*([A-Z]+))?$`);
+
+/**
+ * Split a group code into course, stage and class
+ * @param {string} code - Group code
+ * @returns {Object|null} { course, token, level, levelIndex, suffix }, or null if it does not match
+ */
+function parseGroupCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+
+  let course;
+  let token;
+  let suffix;
+  let match = normalized.match(COURSE_FIRST_RE);
+  if (match) {
+    [, course, token, suffix] = match;
+  } else {
+    match = normalized.match(STAGE_FIRST_RE);
+    if (!match) return null;
+    [, token, course, suffix] = match;
+  }
+
+  const levelIndex = GROUP_LEVELS.findIndex(({ tokens }) => tokens.includes(token));
+  return {
+    course: parseInt(course, 10),
+    token,
+    level: GROUP_LEVELS[levelIndex].level,
+    levelIndex,
+    suffix: suffix || ''
+  };
+}
+
+/**
+ * Derive the metadata of a group from its code and roster name
+ *
+ * The order sorts by level, course and class letter: 3101 for "1ESO-A",
+ * 3102 for "1ESO-B", 4101 for "1BACH-A"...
+ * @param {string} code - Group code
+ * @param {string} [name] - Group name from the roster
+ * @returns {{level: string|null, display_order: number, display_name: string}}
+ */
+function deriveGroupMetadata(code, name = '') {
+  if (code in SPECIAL_GROUP_ORDER) {
+    return { level: null, display_order: SPECIAL_GROUP_ORDER[code], display_name: name || code };
+  }
+
+  const parsed = parseGroupCode(code);
+  if (!parsed) {
+    return { level: null, display_order: UNKNOWN_GROUP_ORDER, display_name: name || code };
+  }
+
+  const { course, token, level, levelIndex, suffix } = parsed;
+  const letter = /^[A-Z]$/.test(suffix) ? suffix.charCodeAt(0) - 64 : 0;
+  // FP keeps the cycle (CFGM, CFGS...) since the level alone is ambiguous
+  const stage = level === 'FP' ? token : level;
+
+  return {
+    level,
+    display_order: (levelIndex + 1) * 1000 + Math.min(course, 9) * 100 + letter,
+    display_name: `${course}º ${stage}${suffix ? ` ${suffix}` : ''}`
+  };
+}
+
+/**
+ * Display orders for the groups in a new order
+ *
+ * Reuses the current values so groups added later by a roster update are
+ * still placed next to their level; values are bumped only when needed to
+ * keep the new order strictly increasing.
+ * @param {Array<number|null>} currentOrders - Current display_order of the groups
+ * @returns {number[]} Orders to assign, in the new order of the groups
+ */
+function spreadDisplayOrders(currentOrders) {
+  const sorted = currentOrders
+    .map(order => (Number.isFinite(order) ? order : UNKNOWN_GROUP_ORDER))
+    .sort((a, b) => a - b);
+
+  const orders = [];
+  sorted.forEach((order, index) => {
+    orders.push(index > 0 ? Math.max(order, orders[index - 1] + 1) : order);
+  });
+  return orders;
+}
+
+/**
+ * Check and complete the groups edited in the group manager
+ * @param {Object[]} edited - Every group in the new order: { code, level, display_name, tutor_id }
+ * @param {Object[]} currentGroups - Groups of the project
+ * @param {number[]} teacherIds - Ids of the teachers of the project
+ * @returns {Object[]} Groups to save, with their display_order
+ */
+function buildGroupUpdates(edited, currentGroups, teacherIds) {
+  const currentCodes = new Set(currentGroups.map(group => group.code));
+  const editedCodes = new Set(edited.map(group => group.code));
+  if (editedCodes.size !== edited.length || editedCodes.size !== currentCodes.size ||
+      [...editedCodes].some(code => !currentCodes.has(code))) {
+    throw new Error('Los grupos del proyecto han cambiado; vuelve a abrir el gestor de grupos');
+  }
+
+  const teachers = new Set(teacherIds);
+  const orders = spreadDisplayOrders(currentGroups.map(group => group.display_order));
+
+  return edited.map((group, index) => {
+    const tutorId = group.tutor_id ? Number(group.tutor_id) : null;
+    if (tutorId && !teachers.has(tutorId)) {
+      throw new Error(`El tutor del grupo ${group.code} no es un docente del proyecto`);
+    }
+
+    return {
+      code: group.code,
+      level: String(group.level || '').trim() || null,
+      display_order: orders[index],
+      display_name: String(group.display_name || '').trim() || null,
+      tutor_id: tutorId
+    };
+  });
+}
+
+/**
+ * Name of a group in exports and PDFs
+ * @param {Object} group - Group row
+ * @returns {string}
+ */
+function getGroupDisplayName(group) {
+  return group.display_name || group.name || group.code;
+}
+
+/**
+ * Group placeholders of the PDF texts: {nombre_grupo}, {nivel}, {tutor_grupo}
+ * @param {Object|undefined} group - Group row (as returned by getGroups)
+ * @param {string} code - Group code, used when the group does not exist
+ * @returns {Object} Placeholder name -> value
+ */
+function getGroupPlaceholders(group, code) {
+  return {
+    nombre_grupo: group ? getGroupDisplayName(group) : code,
+    nivel: group ? group.level || '' : '',
+    tutor_grupo: group ? group.tutor_name || '' : ''
+  };
+}
+
+/**
+ * Sort group codes in the display order of the groups
+ * @param {string[]} codes - Group codes
+ * @param {Object[]} groups - Groups in display order (as returned by getGroups)
+ * @returns {string[]} Codes of unknown groups go last, by code
+ */
+function sortGroupCodes(codes, groups) {
+  const positions = new Map(groups.map((group, index) => [group.code, index]));
+  const position = (code) => (positions.has(code) ? positions.get(code) : groups.length);
+  return [...codes].sort((a, b) => position(a) - position(b) || String(a).localeCompare(String(b)));
+}
+
+module.exports = {
+  GROUP_LEVELS,
+  parseGroupCode,
+  deriveGroupMetadata,
+  spreadDisplayOrders,
+  buildGroupUpdates,
+  getGroupDisplayName,
+  getGroupPlaceholders,
+  sortGroupCodes
+};
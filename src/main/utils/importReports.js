@@ -0,0 +1,353 @@
+/**
+ * Import reports
+ *
+ * Builds the report of a project creation or XML update as sections of
+ * rows (users without identifier or group, duplicates, applied changes...)
+ * that are saved in the project database and shown in the report window.
+ * Rows that refer to a user in the project keep its id, so the window can
+ * jump to it in the main list.
+ */
+
+const { getRosterKey, TYPE_LABELS } = require('./rosterDiff');
+const { getIdentifierLabel, describeResolution } = require('./rosterDuplicates');
+const { toCSVField } = require('./formatting');
+
+// Columns shared by the sections that list users
+const USER_COLUMNS = [
+  { key: 'name', label: 'Nombre' },
+  { key: 'type', label: 'Tipo' },
+  { key: 'identifier', label: 'Identificador' },
+  { key: 'group', label: 'Grupo' }
+];
+
+// Every section a report can have, in display order
+const REPORT_SECTIONS = {
+  added: {
+    title: 'Añadidos',
+    description: 'Usuarios nuevos en el archivo.',
+    columns: USER_COLUMNS
+  },
+  updated: {
+    title: 'Actualizados',
+    description: 'Usuarios con datos distintos en el archivo.',
+    columns: [...USER_COLUMNS, { key: 'fields', label: 'Campos cambiados' }]
+  },
+  restored: {
+    title: 'Recuperados de Eliminados',
+    description: 'Usuarios que estaban en Eliminados y vuelven a estar en el archivo. Conservan su fotografía, etiquetas y pagos.',
+    columns: [...USER_COLUMNS, { key: 'fields', label: 'Campos cambiados' }]
+  },
+  moved_to_deleted: {
+    title: 'Movidos a Eliminados',
+    description: 'Usuarios con fotografía que ya no están en el archivo.',
+    columns: USER_COLUMNS
+  },
+  deleted: {
+    title: 'Eliminados',
+    description: 'Usuarios sin fotografía que ya no están en el archivo.',
+    columns: USER_COLUMNS
+  },
+  without_identifier: {
+    title: 'Sin identificador',
+    description: 'No se han importado porque no tienen identificador: los alumnos requieren NIA y los docentes y no docentes, documento.',
+    columns: [
+      { key: 'name', label: 'Nombre' },
+      { key: 'type', label: 'Tipo' },
+      { key: 'group', label: 'Grupo' },
+      { key: 'document', label: 'Documento' },
+      { key: 'reason', label: 'Razón' }
+    ]
+  },
+  without_group: {
+    title: 'Sin grupo',
+    description: 'Se han importado pero no tienen grupo asignado.',
+    columns: [
+      { key: 'name', label: 'Nombre' },
+      { key: 'type', label: 'Tipo' },
+      { key: 'identifier', label: 'Identificador' },
+      { key: 'document', label: 'Documento' },
+      { key: 'note', label: 'Nota' }
+    ]
+  },
+  duplicates: {
+    title: 'Duplicados',
+    description: 'Tienen el mismo identificador (NIA o documento). Se importa la aparición que tiene grupo asignado.',
+    columns: [
+      { key: 'identifier', label: 'Identificador' },
+      { key: 'type', label: 'Tipo' },
+      { key: 'names', label: 'Nombres encontrados' },
+      { key: 'occurrences', label: 'Apariciones' },
+      { key: 'groups', label: 'Grupos encontrados' },
+      { key: 'group', label: 'Grupo importado' },
+      { key: 'note', label: 'Nota' }
+    ]
+  },
+  resolved_duplicates: {
+    title: 'Duplicados resueltos',
+    description: 'Identificadores repetidos que se han importado según la decisión tomada.',
+    columns: [
+      { key: 'identifier', label: 'Identificador' },
+      { key: 'decision', label: 'Decisión' }
+    ]
+  },
+  skipped: {
+    title: 'Elementos no válidos',
+    description: 'No se han importado porque no han pasado la validación del XML.',
+    columns: [
+      { key: 'line', label: 'Línea' },
+      { key: 'element', label: 'Elemento' },
+      { key: 'message', label: 'Problema' }
+    ]
+  }
+};
+
+// Sections that are worth opening the report for after an import
+const ISSUE_SECTIONS = ['without_identifier', 'without_group', 'duplicates', 'resolved_duplicates', 'skipped'];
+
+const REPORT_KIND_LABELS = {
+  import: 'Importación',
+  update: 'Actualización'
+};
+
+/**
+ * Rows of the validation problems that left elements out
+ * @param {Object|null} validation - Validation report of an XML roster imported with validOnly
+ * @returns {Object[]}
+ */
+function buildSkippedRows(validation) {
+  if (!validation || validation.invalidCount === 0) {
+    return [];
+  }
+
+  return validation.issues.map(issue => {
+    const element = issue.element ? `<${issue.element}>` : '';
+    return {
+      line: issue.line || null,
+      element: issue.name ? `${element} ${issue.name}` : element,
+      message: issue.message
+    };
+  });
+}
+
+/**
+ * Rows of the duplicates decided by the operator
+ * @param {Object[]} duplicateResolutions - Decisions applied to the roster
+ * @returns {Object[]}
+ */
+function buildResolutionRows(duplicateResolutions) {
+  return duplicateResolutions.map(resolution => ({
+    key: resolution.key,
+    identifier: getIdentifierLabel(resolution.key),
+    decision: describeResolution(resolution)
+  }));
+}
+
+/**
+ * Report of a project creation
+ * @param {Object} options
+ * @param {string} options.sourceFile - Roster file
+ * @param {Object} options.importReport - Result of importUserRecords()
+ * @param {Object[]} [options.duplicateResolutions] - Decisions applied to the roster
+ * @param {Object|null} [options.validation] - Validation report, when only valid elements were imported
+ * @returns {Object} { kind, sourceFile, summary, sections }
+ */
+function buildImportReport({ sourceFile, importReport, duplicateResolutions = [], validation = null }) {
+  const sections = {
+    without_identifier: importReport.withoutIdentifier.map(({ name, type, group, document, reason }) => ({
+      name, type, group, document, reason
+    })),
+    without_group: importReport.withoutGroup.map(({ key, name, type, identifier, document, note }) => ({
+      key, name, type, identifier, document, note
+    })),
+    duplicates: importReport.duplicates.map(duplicate => ({
+      key: duplicate.key,
+      identifier: duplicate.identifier,
+      type: duplicate.type,
+      names: duplicate.allNames,
+      occurrences: duplicate.occurrencesCount,
+      groups: duplicate.allGroups,
+      group: duplicate.group,
+      note: duplicate.note
+    })),
+    resolved_duplicates: buildResolutionRows(duplicateResolutions),
+    skipped: buildSkippedRows(validation)
+  };
+
+  return {
+    kind: 'import',
+    sourceFile,
+    summary: [
+      { label: 'Usuarios importados', value: importReport.imported },
+      { label: 'Grupos', value: importReport.counts.groups }
+    ],
+    sections
+  };
+}
+
+/**
+ * Report of an applied XML update
+ * @param {Object} options
+ * @param {string} options.sourceFile - Roster file
+ * @param {Object} options.results - Totals returned to the renderer
+ * @param {Object[]} options.added - Diff entries of the users added
+ * @param {Object[]} options.updated - Diff entries of the users updated
+ * @param {Object[]} [options.restored] - Diff entries of the users restored from Eliminados
+ * @param {Object[]} options.movedToDeleted - Users moved to Eliminados
+ * @param {Object[]} options.deleted - Users deleted from the project
+ * @param {Object[]} options.usersWithoutGroup - Students left in SIN_GRUPO
+ * @param {Object[]} [options.duplicates] - Identifiers repeated in the roster: {key, type, users, group}
+ * @param {Object[]} [options.duplicateResolutions] - Decisions applied to the roster
+ * @param {Object|null} [options.validation] - Validation report, when only valid elements were read
+ * @returns {Object} { kind, sourceFile, summary, sections }
+ */
+function buildUpdateReport({
+  sourceFile,
+  results,
+  added,
+  updated,
+  restored = [],
+  movedToDeleted,
+  deleted,
+  usersWithoutGroup,
+  duplicates = [],
+  duplicateResolutions = [],
+  validation = null
+}) {
+  const entryRow = (entry) => ({
+    key: entry.key,
+    name: entry.name,
+    type: TYPE_LABELS[entry.type] || entry.type,
+    identifier: entry.identifier,
+    group: entry.groupAfter || entry.groupBefore
+  });
+  const userRow = (user) => ({
+    user_id: user.id,
+    name: `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim(),
+    type: TYPE_LABELS[user.type] || user.type,
+    identifier: user.type === 'student' ? user.nia : user.document,
+    group: user.group_code
+  });
+  const userNames = (users) => users.map(user => `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim());
+  const fieldsRow = (entry) => ({
+    ...entryRow(entry),
+    fields: [
+      ...entry.fields.map(field => field.label),
+      ...(entry.attributesChanged ? ['Datos adicionales'] : [])
+    ].join(', ')
+  });
+  const unique = (values) => values.filter((value, index) => values.indexOf(value) === index);
+
+  const sections = {
+    added: added.map(entryRow),
+    updated: updated.map(fieldsRow),
+    restored: restored.map(fieldsRow),
+    moved_to_deleted: movedToDeleted.map(user => ({ ...userRow(user), group: 'ELIMINADOS' })),
+    // Deleted users no longer exist: nothing to jump to
+    deleted: deleted.map(user => ({ ...userRow(user), user_id: null })),
+    without_group: usersWithoutGroup.map(user => ({
+      user_id: user.id,
+      name: userRow(user).name,
+      type: TYPE_LABELS[user.type],
+      identifier: `NIA: ${user.nia}`,
+      document: user.document || 'Sin documento',
+      note: 'No existen grupos asignados'
+    })),
+    duplicates: duplicates.map(({ key, type, users, group }) => {
+      const groups = unique(users.map(user => user.group_code || 'Sin grupo'));
+      return {
+        key,
+        identifier: getIdentifierLabel(key),
+        type: TYPE_LABELS[type],
+        names: userNames(users).join(', '),
+        occurrences: users.length,
+        groups: groups.join(', '),
+        group,
+        note: groups.length > 1 ? `Usuario asignado a más de un grupo. Importado en el grupo ${group}` : `Importado en el grupo ${group}`
+      };
+    }),
+    resolved_duplicates: buildResolutionRows(duplicateResolutions),
+    skipped: buildSkippedRows(validation)
+  };
+
+  return {
+    kind: 'update',
+    sourceFile,
+    summary: [
+      { label: 'Añadidos', value: results.added },
+      { label: 'Actualizados', value: results.updated },
+      { label: 'Recuperados de Eliminados', value: results.restored },
+      { label: 'Movidos a Eliminados', value: results.movedToDeleted },
+      { label: 'Eliminados', value: results.permanentlyDeleted },
+      { label: 'Gestionados manualmente', value: results.manuallyManaged },
+      { label: 'Cambios no aprobados', value: results.notApplied }
+    ],
+    sections
+  };
+}
+
+/**
+ * Replace the roster keys of the rows with the id of the user in the project
+ * @param {Object} report - Result of buildImportReport() or buildUpdateReport()
+ * @param {Object[]} users - Users of the project
+ * @returns {Object} Same report
+ */
+function linkReportUsers(report, users) {
+  const ids = new Map(users.map(user => [getRosterKey(user), user.id]));
+
+  Object.values(report.sections).forEach(rows => {
+    rows.forEach(row => {
+      if (row.key !== undefined) {
+        row.user_id = ids.get(row.key) ?? null;
+        delete row.key;
+      }
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Whether an import report has anything the operator should look at
+ * @param {Object} report - Result of buildImportReport()
+ * @returns {boolean}
+ */
+function hasReportIssues(report) {
+  return ISSUE_SECTIONS.some(section => (report.sections[section] || []).length > 0);
+}
+
+/**
+ * Sections of a saved report with their titles and columns, in display order
+ * (empty sections are left out)
+ * @param {Object} report - Result of DatabaseManager.getImportReport()
+ * @returns {Object[]} [{id, title, description, columns, rows}]
+ */
+function describeReportSections(report) {
+  return Object.entries(REPORT_SECTIONS)
+    .filter(([id]) => (report.sections[id] || []).length > 0)
+    .map(([id, section]) => ({ id, ...section, rows: report.sections[id] }));
+}
+
+/**
+ * Build the CSV of a report section
+ * @param {Object} section - Item of describeReportSections()
+ * @returns {string}
+ */
+function buildReportSectionCSV(section) {
+  const csvRows = [section.columns.map(column => toCSVField(column.label)).join(',')];
+  section.rows.forEach(row => {
+    csvRows.push(section.columns.map(column => toCSVField(row[column.key])).join(','));
+  });
+
+  return csvRows.join('\n');
+}
+
+module.exports = {
+  REPORT_SECTIONS,
+  REPORT_KIND_LABELS,
+  buildImportReport,
+  buildUpdateReport,
+  linkReportUsers,
+  hasReportIssues,
+  describeReportSections,
+  buildReportSectionCSV
+};
@@ -0,0 +1,315 @@
+/**
+ * Project integrity check and repair
+ *
+ * Cross-checks the database with the imports and ingest folders and with
+ * the image repository (and its local mirror), grouping every
+ * inconsistency by category. Only the categories whose fix cannot lose
+ * data have a repair.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Order in which categories are reported
+const INTEGRITY_CATEGORIES = [
+  {
+    id: 'missing_images',
+    label: 'Fotos vinculadas que no están en imports',
+    repairLabel: 'Desvincular'
+  },
+  {
+    id: 'orphan_images',
+    label: 'Fotos de imports sin usuario',
+    repairLabel: 'Mover a ingest'
+  },
+  {
+    id: 'dangling_tags',
+    label: 'Etiquetas de fotos que ya no existen',
+    repairLabel: 'Eliminar etiquetas'
+  },
+  {
+    id: 'shared_images',
+    label: 'Fotos vinculadas a varios usuarios',
+    repairLabel: null
+  },
+  {
+    id: 'pending_ingest',
+    label: 'Fotos sin procesar en ingest',
+    repairLabel: null
+  },
+  {
+    id: 'repository_unknown',
+    label: 'Fotos del depósito que no corresponden a ningún usuario',
+    repairLabel: null
+  },
+  {
+    id: 'repository_unsynced',
+    label: 'Fotos del depósito que faltan en la copia local',
+    repairLabel: null
+  },
+  {
+    id: 'repository_stale',
+    label: 'Fotos de la copia local borradas del depósito',
+    repairLabel: null
+  }
+];
+
+// Larger photos are left in ingest by the folder watcher
+const MAX_INGEST_SIZE = 5 * 1024 * 1024;
+
+const isJpeg = (fileName) => ['.jpg', '.jpeg'].includes(path.extname(fileName).toLowerCase());
+
+const getUserName = (user) => `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim();
+
+/**
+ * Absolute path of an image stored in the database
+ * @private
+ */
+function resolveImportPath(importsPath, imagePath) {
+  return path.isAbsolute(imagePath) ? imagePath : path.join(importsPath, imagePath);
+}
+
+/**
+ * List the JPG files of a folder (empty if the folder does not exist)
+ * @private
+ */
+async function listImages(folderPath) {
+  if (!fs.existsSync(folderPath)) {
+    return [];
+  }
+  const files = await fs.promises.readdir(folderPath);
+  return files.filter(file => isJpeg(file) && !file.startsWith('.')).sort();
+}
+
+/**
+ * Find a file name that is free in a folder, adding _1, _2... if needed
+ * @private
+ */
+function getFreeFileName(folderPath, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = fileName;
+  let counter = 1;
+
+  while (fs.existsSync(path.join(folderPath, candidate))) {
+    candidate = `${base}_${counter}${ext}`;
+    counter++;
+  }
+
+  return candidate;
+}
+
+/**
+ * Compare the image repository with the users and with the local mirror
+ * @private
+ */
+async function checkRepository(users, repositoryPath, mirror, issues, warnings) {
+  if (!fs.existsSync(repositoryPath)) {
+    warnings.push(`No se encuentra la carpeta del depósito de imágenes: ${repositoryPath}`);
+    return;
+  }
+
+  let repositoryFiles;
+  try {
+    repositoryFiles = await listImages(repositoryPath);
+  } catch (error) {
+    warnings.push(`No se puede acceder al depósito de imágenes: ${error.message}`);
+    return;
+  }
+
+  const identifiers = new Set();
+  users.forEach(user => {
+    const identifier = user.type === 'student' ? user.nia : user.document;
+    if (identifier) {
+      identifiers.add(String(identifier).toLowerCase());
+    }
+  });
+
+  repositoryFiles.forEach(file => {
+    const identifier = path.basename(file, path.extname(file)).toLowerCase();
+    if (!identifiers.has(identifier)) {
+      issues.repository_unknown.push({ imagePath: file, description: file });
+    }
+  });
+
+  if (!mirror) {
+    return;
+  }
+
+  if (mirror.getStats().isSyncing) {
+    warnings.push('La copia local del depósito se está sincronizando; su comprobación puede no ser exacta');
+  }
+
+  const repositorySet = new Set(repositoryFiles.map(file => file.toLowerCase()));
+  const mirrorSet = new Set(mirror.getAllFiles());
+
+  repositoryFiles.forEach(file => {
+    if (!mirrorSet.has(file.toLowerCase())) {
+      issues.repository_unsynced.push({ imagePath: file, description: file });
+    }
+  });
+
+  Array.from(mirrorSet).sort().forEach(file => {
+    if (!repositorySet.has(file)) {
+      issues.repository_stale.push({ imagePath: file, description: file });
+    }
+  });
+}
+
+/**
+ * Scan the project and report every inconsistency by category
+ * @param {Object} options
+ * @param {DatabaseManager} options.dbManager - Project database
+ * @param {string} options.projectPath - Project folder
+ * @param {string} [options.repositoryPath] - Image repository folder, if configured
+ * @param {RepositoryMirror} [options.mirror] - Local mirror of the repository
+ * @param {FolderWatcher} [options.folderWatcher] - Watcher of the ingest folder
+ * @returns {Promise<{checkedAt: string, categories: Object[], warnings: string[], total: number}>}
+ */
+async function checkProjectIntegrity({ dbManager, projectPath, repositoryPath = null, mirror = null, folderWatcher = null }) {
+  const importsPath = path.join(projectPath, 'imports');
+  const ingestPath = path.join(projectPath, 'ingest');
+  const issues = {};
+  const warnings = [];
+  INTEGRITY_CATEGORIES.forEach(category => {
+    issues[category.id] = [];
+  });
+
+  const users = await dbManager.getUsers();
+  const importFiles = await listImages(importsPath);
+  const importSet = new Set(importFiles);
+
+  // Linked photos: missing files and photos shared by several users
+  const usersByImage = new Map();
+  users.filter(user => user.image_path).forEach(user => {
+    if (!usersByImage.has(user.image_path)) {
+      usersByImage.set(user.image_path, []);
+    }
+    usersByImage.get(user.image_path).push(user);
+
+    if (!fs.existsSync(resolveImportPath(importsPath, user.image_path))) {
+      issues.missing_images.push({
+        userId: user.id,
+        imagePath: user.image_path,
+        description: `${getUserName(user)} (${user.group_code || 'sin grupo'}): ${user.image_path}`
+      });
+    }
+  });
+
+  usersByImage.forEach((sharingUsers, imagePath) => {
+    if (sharingUsers.length > 1) {
+      issues.shared_images.push({
+        imagePath,
+        userIds: sharingUsers.map(user => user.id),
+        description: `${imagePath}: ${sharingUsers.map(getUserName).join(', ')}`
+      });
+    }
+  });
+
+  // Photos in imports that no user has, not even in the photo history
+  const historyPaths = new Set(await dbManager.getAllUserImagePaths());
+  importFiles.forEach(file => {
+    if (!usersByImage.has(file) && !historyPaths.has(file)) {
+      issues.orphan_images.push({ imagePath: file, description: file });
+    }
+  });
+
+  // Tags of images that are no longer in imports
+  const tagsByImage = new Map();
+  (await dbManager.getAllImageTags()).forEach(({ image_path: imagePath, tag }) => {
+    if (!tagsByImage.has(imagePath)) {
+      tagsByImage.set(imagePath, []);
+    }
+    tagsByImage.get(imagePath).push(tag);
+  });
+  tagsByImage.forEach((tags, imagePath) => {
+    const exists = path.isAbsolute(imagePath) ? fs.existsSync(imagePath) : importSet.has(imagePath);
+    if (!exists) {
+      issues.dangling_tags.push({ imagePath, description: `${imagePath}: ${tags.join(', ')}` });
+    }
+  });
+
+  // Photos the folder watcher should already have moved to imports
+  (await listImages(ingestPath)).forEach(file => {
+    const filePath = path.join(ingestPath, file);
+    if (folderWatcher && folderWatcher.isFileProcessing(filePath)) {
+      return;
+    }
+    const tooLarge = fs.statSync(filePath).size > MAX_INGEST_SIZE;
+    issues.pending_ingest.push({
+      imagePath: file,
+      description: tooLarge ? `${file} (ocupa más de 5 MB)` : file
+    });
+  });
+
+  if (repositoryPath) {
+    await checkRepository(users, repositoryPath, mirror, issues, warnings);
+  }
+
+  const categories = INTEGRITY_CATEGORIES.map(category => ({
+    ...category,
+    items: issues[category.id]
+  }));
+
+  return {
+    checkedAt: new Date().toISOString(),
+    categories,
+    warnings,
+    total: categories.reduce((sum, category) => sum + category.items.length, 0)
+  };
+}
+
+/**
+ * Apply the safe repair of a category
+ *
+ * The project is checked again first, so only issues that still exist
+ * are repaired.
+ *
+ * @param {Object} options - Same options as checkProjectIntegrity()
+ * @param {string} options.category - Category to repair
+ * @param {Object} [options.audit] - Audit logger
+ * @returns {Promise<number>} Number of repaired items
+ */
+async function repairIntegrityIssues({ category, audit = null, ...options }) {
+  const definition = INTEGRITY_CATEGORIES.find(item => item.id === category);
+  if (!definition || !definition.repairLabel) {
+    throw new Error(`No hay una reparación automática para la categoría ${category}`);
+  }
+
+  const { dbManager, projectPath } = options;
+  const report = await checkProjectIntegrity({ dbManager, projectPath, folderWatcher: options.folderWatcher });
+  const items = report.categories.find(item => item.id === category).items;
+  let repaired = 0;
+
+  for (const item of items) {
+    if (category === 'missing_images') {
+      const user = await dbManager.getUserById(item.userId);
+      await dbManager.unlinkImageFromUser(item.userId);
+      if (audit) {
+        await audit.record('unlink_image', {
+          user,
+          before: item.imagePath,
+          after: null,
+          details: 'El archivo no está en imports'
+        });
+      }
+    } else if (category === 'orphan_images') {
+      const ingestPath = path.join(projectPath, 'ingest');
+      fs.mkdirSync(ingestPath, { recursive: true });
+      fs.renameSync(
+        path.join(projectPath, 'imports', item.imagePath),
+        path.join(ingestPath, getFreeFileName(ingestPath, item.imagePath))
+      );
+    } else if (category === 'dangling_tags') {
+      await dbManager.deleteImageTagsByPath(item.imagePath);
+    }
+    repaired++;
+  }
+
+  return repaired;
+}
+
+module.exports = {
+  INTEGRITY_CATEGORIES,
+  checkProjectIntegrity,
+  repairIntegrityIssues
+};
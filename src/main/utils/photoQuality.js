@@ -0,0 +1,153 @@
+/**
+ * Photo quality checks
+ *
+ * Blurry, dark or badly framed photos are usually found when the orla is
+ * printed, when the class is long gone. Every new image is measured when it
+ * arrives and the problems found are shown as warnings, so the photo can be
+ * retaken at once. Faces and eyes are found with the bundled face detector
+ * (see faceDetector), for captures and ingested images alike; the face
+ * checks are skipped when no detector could be used.
+ */
+const { centerCrop } = require('./faceCrop');
+
+// Limits of an acceptable photo
+const QUALITY_THRESHOLDS = {
+  // Variance of the Laplacian of the face (or the centre of the frame) resized to 320 px wide
+  minSharpness: 60,
+  // Mean luminance, 0-255
+  minBrightness: 70,
+  maxBrightness: 200,
+  // Share of nearly black / nearly white pixels
+  maxDarkRatio: 0.35,
+  maxBrightRatio: 0.15,
+  // Largest 3:4 crop of the image, in pixels
+  minCropWidth: 480,
+  minCropHeight: 640,
+  // Height of the face / height of the image
+  minFaceRatio: 0.2,
+  // Mean eye aspect ratio of the face (about 0.3 for open eyes)
+  minEyeOpenness: 0.2
+};
+
+// Luminance below / above which a pixel counts as nearly black / white
+const DARK_PIXEL = 40;
+const BRIGHT_PIXEL = 240;
+
+const QUALITY_ISSUES = {
+  blurry: 'Foto desenfocada',
+  dark: 'Foto oscura',
+  overexposed: 'Foto sobreexpuesta',
+  low_resolution: 'Resolución insuficiente para el recorte 3:4',
+  no_face: 'No se detecta ninguna cara',
+  multiple_faces: 'Hay más de una cara',
+  small_face: 'Cara demasiado pequeña',
+  eyes_closed: 'Ojos cerrados'
+};
+
+/**
+ * Sharpness of a greyscale image: variance of its Laplacian
+ * (low values mean few edges, that is, a blurry image)
+ * @param {Uint8Array|Buffer} pixels - One byte per pixel, row by row
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+function laplacianVariance(pixels, width, height) {
+  if (width < 3 || height < 3) return 0;
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+    }
+  }
+
+  const count = (width - 2) * (height - 2);
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+/**
+ * Exposure of a greyscale image
+ * @param {Uint8Array|Buffer} pixels - One byte per pixel
+ * @returns {{brightness: number, darkRatio: number, brightRatio: number}}
+ */
+function measureExposure(pixels) {
+  if (pixels.length === 0) return { brightness: 0, darkRatio: 0, brightRatio: 0 };
+
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    sum += pixels[i];
+    if (pixels[i] < DARK_PIXEL) dark++;
+    else if (pixels[i] > BRIGHT_PIXEL) bright++;
+  }
+
+  return {
+    brightness: sum / pixels.length,
+    darkRatio: dark / pixels.length,
+    brightRatio: bright / pixels.length
+  };
+}
+
+/**
+ * Problems of a photo from its measures
+ * @param {Object} metrics - { sharpness, brightness, darkRatio, brightRatio, width, height, faceCount,
+ *   faceRatio, eyeOpenness } (the face measures are null when no face detector was used)
+ * @returns {string[]} Issue codes (keys of QUALITY_ISSUES), in display order
+ */
+function evaluatePhotoQuality(metrics) {
+  const issues = [];
+  const limits = QUALITY_THRESHOLDS;
+
+  if (metrics.sharpness < limits.minSharpness) {
+    issues.push('blurry');
+  }
+  if (metrics.brightness < limits.minBrightness || metrics.darkRatio > limits.maxDarkRatio) {
+    issues.push('dark');
+  } else if (metrics.brightness > limits.maxBrightness || metrics.brightRatio > limits.maxBrightRatio) {
+    issues.push('overexposed');
+  }
+
+  const crop = centerCrop({ width: metrics.width, height: metrics.height });
+  if (crop.width < limits.minCropWidth || crop.height < limits.minCropHeight) {
+    issues.push('low_resolution');
+  }
+
+  if (metrics.faceCount === 0) {
+    issues.push('no_face');
+  } else if (metrics.faceCount > 1) {
+    issues.push('multiple_faces');
+  }
+  if (metrics.faceRatio !== null && metrics.faceRatio !== undefined && metrics.faceRatio < limits.minFaceRatio) {
+    issues.push('small_face');
+  }
+  if (metrics.eyeOpenness !== null && metrics.eyeOpenness !== undefined && metrics.eyeOpenness < limits.minEyeOpenness) {
+    issues.push('eyes_closed');
+  }
+
+  return issues;
+}
+
+/**
+ * Messages of the problems of a photo
+ * @param {string[]} issues - Issue codes
+ * @returns {string[]}
+ */
+function describeQualityIssues(issues) {
+  return (issues || []).map(issue => QUALITY_ISSUES[issue] || issue);
+}
+
+module.exports = {
+  QUALITY_THRESHOLDS,
+  QUALITY_ISSUES,
+  laplacianVariance,
+  measureExposure,
+  evaluatePhotoQuality,
+  describeQualityIssues
+};
@@ -0,0 +1,264 @@
+/**
+ * Seed a new academic year project with data from the previous year's project
+ *
+ * Users are matched by NIA (students) or document (staff), the same
+ * identifiers used by XML imports. The previous project is only read.
+ */
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+// Data that can be carried over, in the order shown to the user
+const CARRY_OVER_CATEGORIES = ['photos', 'tags', 'orla_paid', 'receipt_printed'];
+
+/**
+ * Build the key used to match users between projects
+ * @param {Object} user - User row
+ * @returns {string|null} Key, or null if the user has no identifier
+ */
+function getUserKey(user) {
+  const identifier = user.type === 'student' ? user.nia : user.document;
+  if (identifier === null || identifier === undefined || String(identifier).trim() === '') {
+    return null;
+  }
+  return `${user.type}_${String(identifier).trim().toUpperCase()}`;
+}
+
+/**
+ * Read users and image tags of a project without modifying it
+ * Works with any schema version: missing columns are read as empty.
+ * @param {string} projectPath - Project folder
+ * @returns {Promise<{users: Object[], tagsByImage: Map<string, string[]>}>}
+ */
+function readPreviousProject(projectPath) {
+  const dbPath = path.join(projectPath, 'data', 'users.db');
+  if (!fs.existsSync(dbPath)) {
+    return Promise.reject(new Error('No se encontró la base de datos del proyecto anterior'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      db.all('SELECT * FROM users', [], (usersErr, users) => {
+        if (usersErr) {
+          db.close();
+          reject(usersErr);
+          return;
+        }
+
+        db.all('SELECT image_path, tag FROM image_tags ORDER BY created_at', [], (tagsErr, tags) => {
+          db.close();
+          if (tagsErr) {
+            reject(tagsErr);
+            return;
+          }
+
+          const tagsByImage = new Map();
+          (tags || []).forEach(({ image_path: imagePath, tag }) => {
+            if (!tagsByImage.has(imagePath)) {
+              tagsByImage.set(imagePath, []);
+            }
+            tagsByImage.get(imagePath).push(tag);
+          });
+
+          resolve({ users: users || [], tagsByImage });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Match the users of the new project with those of the previous one
+ * @param {Object[]} currentUsers - Users of the new project
+ * @param {Object[]} previousUsers - Users of the previous project
+ * @returns {{matches: Array<{user: Object, previous: Object}>, newUsers: Object[], leftUsers: Object[]}}
+ */
+function matchUsers(currentUsers, previousUsers) {
+  const previousByKey = new Map();
+  previousUsers.forEach(previous => {
+    const key = getUserKey(previous);
+    if (key && !previousByKey.has(key)) {
+      previousByKey.set(key, previous);
+    }
+  });
+
+  const matches = [];
+  const newUsers = [];
+  const matchedKeys = new Set();
+
+  currentUsers.forEach(user => {
+    const key = getUserKey(user);
+    const previous = key ? previousByKey.get(key) : null;
+    if (previous) {
+      matches.push({ user, previous });
+      matchedKeys.add(key);
+    } else {
+      newUsers.push(user);
+    }
+  });
+
+  const leftUsers = previousUsers.filter(previous => {
+    const key = getUserKey(previous);
+    return !key || !matchedKeys.has(key);
+  });
+
+  return { matches, newUsers, leftUsers };
+}
+
+/**
+ * Absolute path of a user's photo in the previous project
+ * @private
+ */
+function getPreviousImagePath(previousProjectPath, imagePath) {
+  return path.isAbsolute(imagePath)
+    ? imagePath
+    : path.join(previousProjectPath, 'imports', imagePath);
+}
+
+/**
+ * Count what could be carried over for each category
+ * @param {string} previousProjectPath - Previous project folder
+ * @param {Array<{user: Object, previous: Object}>} matches - Result of matchUsers()
+ * @param {Map<string, string[]>} tagsByImage - Tags of the previous project
+ * @returns {Object} Category -> number of users
+ */
+function countCarryOver(previousProjectPath, matches, tagsByImage) {
+  const counts = { photos: 0, tags: 0, orla_paid: 0, receipt_printed: 0 };
+
+  matches.forEach(({ previous }) => {
+    if (previous.image_path && fs.existsSync(getPreviousImagePath(previousProjectPath, previous.image_path))) {
+      counts.photos++;
+      if (tagsByImage.has(path.basename(previous.image_path))) {
+        counts.tags++;
+      }
+    }
+    if (previous.orla_paid === 1) counts.orla_paid++;
+    if (previous.receipt_printed === 1) counts.receipt_printed++;
+  });
+
+  return counts;
+}
+
+/**
+ * Find a file name that is free in a folder, adding _1, _2... if needed
+ * @private
+ */
+function getFreeFileName(folderPath, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = fileName;
+  let counter = 1;
+
+  while (fs.existsSync(path.join(folderPath, candidate))) {
+    candidate = `${base}_${counter}${ext}`;
+    counter++;
+  }
+
+  return candidate;
+}
+
+/**
+ * Copy the chosen data of matched users into the new project
+ * @param {Object} options
+ * @param {DatabaseManager} options.dbManager - Database of the new project
+ * @param {string} options.projectPath - New project folder
+ * @param {string} options.previousProjectPath - Previous project folder
+ * @param {Object} options.categories - Category -> true to carry it over
+ * @param {Object} [options.audit] - Audit logger of the new project
+ * @returns {Promise<Object>} Report with carried, new and left users
+ */
+async function carryOverFromPreviousProject({ dbManager, projectPath, previousProjectPath, categories = {}, audit = null }) {
+  const importsPath = path.join(projectPath, 'imports');
+  const { users: previousUsers, tagsByImage } = await readPreviousProject(previousProjectPath);
+  const currentUsers = await dbManager.getUsers();
+  const { matches, newUsers, leftUsers } = matchUsers(currentUsers, previousUsers);
+
+  const describe = (user) => ({
+    name: [user.first_name, user.last_name1, user.last_name2].filter(Boolean).join(' '),
+    group: user.group_code || ''
+  });
+
+  const report = {
+    carried: [],
+    unchanged: 0,
+    missingPhotos: [],
+    newUsers: newUsers.map(describe),
+    leftUsers: leftUsers.map(describe),
+    counts: { photos: 0, tags: 0, orla_paid: 0, receipt_printed: 0 }
+  };
+
+  fs.mkdirSync(importsPath, { recursive: true });
+
+  for (const { user, previous } of matches) {
+    const items = [];
+
+    if (categories.photos && previous.image_path && !user.image_path) {
+      const sourcePath = getPreviousImagePath(previousProjectPath, previous.image_path);
+
+      if (fs.existsSync(sourcePath)) {
+        const fileName = getFreeFileName(importsPath, path.basename(previous.image_path));
+        fs.copyFileSync(sourcePath, path.join(importsPath, fileName));
+        await dbManager.linkImageToUser(user.id, fileName, {
+          source: 'previous_year',
+          capturedAt: fs.statSync(sourcePath).mtime.toISOString()
+        });
+        items.push('foto');
+        report.counts.photos++;
+        if (audit) {
+          await audit.record('link_image', { user, before: null, after: fileName, details: 'Traída del curso anterior' });
+        }
+
+        const tags = categories.tags ? tagsByImage.get(path.basename(previous.image_path)) : null;
+        if (tags && tags.length > 0) {
+          for (const tag of tags) {
+            await dbManager.addImageTag(fileName, tag);
+          }
+          items.push(`${tags.length} etiqueta${tags.length !== 1 ? 's' : ''}`);
+          report.counts.tags++;
+        }
+      } else {
+        report.missingPhotos.push({ ...describe(user), imagePath: previous.image_path });
+      }
+    }
+
+    if (categories.orla_paid && previous.orla_paid === 1 && user.orla_paid !== 1) {
+      await dbManager.markOrlaPaid(user.id, true);
+      items.push('orla pagada');
+      report.counts.orla_paid++;
+      if (audit) {
+        await audit.record('mark_orla_paid', { user, before: false, after: true, details: 'Traído del curso anterior' });
+      }
+    }
+
+    if (categories.receipt_printed && previous.receipt_printed === 1 && user.receipt_printed !== 1) {
+      await dbManager.markReceiptPrinted(user.id, true);
+      items.push('recibo impreso');
+      report.counts.receipt_printed++;
+      if (audit) {
+        await audit.record('mark_receipt_printed', { user, before: false, after: true, details: 'Traído del curso anterior' });
+      }
+    }
+
+    if (items.length > 0) {
+      report.carried.push({ ...describe(user), items });
+    } else {
+      report.unchanged++;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  CARRY_OVER_CATEGORIES,
+  getUserKey,
+  readPreviousProject,
+  matchUsers,
+  countCarryOver,
+  carryOverFromPreviousProject
+};
@@ -0,0 +1,368 @@
+/**
+ * Project backup and restore (.ucbackup files)
+ *
+ * A .ucbackup file is a gzipped tar archive with:
+ * - manifest.json: versions, options and SHA-256 checksum of every file
+ * - data/users.db: snapshot of the database taken while the project is open
+ * - app.log and import-report.log, when present
+ * - imports/ and ingest/, only if images are included
+ */
+const archiver = require('archiver');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+
+const BACKUP_EXTENSION = '.ucbackup';
+const BACKUP_FORMAT = 'ucbackup';
+const BACKUP_FORMAT_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const DATABASE_ENTRY = 'data/users.db';
+const PROJECT_LOG_FILES = ['app.log', 'import-report.log'];
+const IMAGE_FOLDERS = ['imports', 'ingest'];
+
+// Top-level entries of a project that a restore replaces
+const RESTORED_ENTRIES = ['data', ...PROJECT_LOG_FILES, ...IMAGE_FOLDERS];
+
+/**
+ * Calculate the SHA-256 checksum of a file
+ * @param {string} filePath - File to read
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * List files inside a folder recursively
+ * @param {string} folderPath - Folder on disk
+ * @param {string} entryPrefix - Archive path of the folder
+ * @returns {Array<{name: string, source: string}>}
+ */
+function listFolderFiles(folderPath, entryPrefix) {
+  if (!fs.existsSync(folderPath)) {
+    return [];
+  }
+
+  return fs.readdirSync(folderPath, { withFileTypes: true }).flatMap(entry => {
+    const source = path.join(folderPath, entry.name);
+    const name = `${entryPrefix}/${entry.name}`;
+
+    if (entry.isDirectory()) {
+      return listFolderFiles(source, name);
+    }
+    return entry.isFile() ? [{ name, source }] : [];
+  });
+}
+
+/**
+ * Build the default file name of a backup
+ * @param {string} projectPath - Project folder
+ * @param {Date} [date] - Backup date
+ * @returns {string} e.g. "Curso2425_20250110_0930.ucbackup"
+ */
+function getBackupFileName(projectPath, date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `_${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+  return `${path.basename(projectPath)}_${stamp}${BACKUP_EXTENSION}`;
+}
+
+/**
+ * Create a backup of an open project
+ * @param {Object} options
+ * @param {string} options.projectPath - Project folder
+ * @param {DatabaseManager} options.dbManager - Open database of the project
+ * @param {string} options.outputPath - Backup file to create
+ * @param {boolean} [options.includeImages] - Include imports/ and ingest/
+ * @param {string} [options.appVersion] - Application version stored in the manifest
+ * @param {string} [options.repositoryPath] - Image repository of the project, for reference
+ * @param {Function} [options.onProgress] - Called with (processed, total) files
+ * @returns {Promise<Object>} Manifest of the backup
+ */
+async function createProjectBackup({
+  projectPath,
+  dbManager,
+  outputPath,
+  includeImages = false,
+  appVersion = null,
+  repositoryPath = null,
+  onProgress = () => {}
+}) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucbackup-'));
+  const partialPath = `${outputPath}.part`;
+
+  try {
+    const snapshotPath = path.join(tempDir, 'users.db');
+    await dbManager.createSnapshot(snapshotPath);
+
+    const files = [{ name: DATABASE_ENTRY, source: snapshotPath }];
+    // Logs keep growing while the app runs: archive a copy so checksums match
+    PROJECT_LOG_FILES.forEach(name => {
+      const source = path.join(projectPath, name);
+      if (fs.existsSync(source)) {
+        fs.copyFileSync(source, path.join(tempDir, name));
+        files.push({ name, source: path.join(tempDir, name) });
+      }
+    });
+    if (includeImages) {
+      IMAGE_FOLDERS.forEach(folder => {
+        files.push(...listFolderFiles(path.join(projectPath, folder), folder));
+      });
+    }
+
+    const manifestFiles = [];
+    for (const file of files) {
+      manifestFiles.push({
+        path: file.name,
+        size: fs.statSync(file.source).size,
+        sha256: await hashFile(file.source)
+      });
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      appVersion,
+      schemaVersion: await dbManager.getSchemaVersion(),
+      projectName: path.basename(projectPath),
+      repositoryPath,
+      createdAt: new Date().toISOString(),
+      includeImages,
+      files: manifestFiles
+    };
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(partialPath);
+      const archive = archiver('tar', { gzip: true, gzipOptions: { level: 6 } });
+
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.on('progress', (progress) => {
+        onProgress(progress.entries.processed, progress.entries.total);
+      });
+
+      archive.pipe(output);
+
+      // The manifest goes first so restores can reject foreign files early
+      archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+      files.forEach(file => archive.file(file.source, { name: file.name }));
+
+      archive.finalize();
+    });
+
+    fs.renameSync(partialPath, outputPath);
+    return manifest;
+  } finally {
+    fs.rmSync(partialPath, { force: true });
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Whether a path of the archive stays inside a folder: no absolute paths
+ * and no ".." segments that leave it
+ * @private
+ */
+function isInsideFolder(root, name) {
+  return typeof name === 'string' &&
+    !path.isAbsolute(name) &&
+    path.resolve(root, name).startsWith(path.resolve(root) + path.sep);
+}
+
+/**
+ * Extract a gzipped tar archive into a folder
+ * Only regular files and folders are extracted: links and devices are left
+ * out. Entries that would end up outside the target folder make the whole
+ * extraction fail.
+ * @param {string} archivePath - Archive to read
+ * @param {string} targetDir - Folder to extract into (created if needed)
+ * @returns {Promise<string[]>} Extracted file names
+ */
+async function extractTarGz(archivePath, targetDir) {
+  const root = path.resolve(targetDir);
+  const extracted = [];
+  let invalidPath = null;
+
+  fs.mkdirSync(root, { recursive: true });
+
+  try {
+    await tar.x({
+      file: archivePath,
+      cwd: root,
+      strict: true,
+      filter: (name, entry) => {
+        if (!isInsideFolder(root, name)) {
+          invalidPath = invalidPath || name;
+          return false;
+        }
+        if (entry.type === 'File' || entry.type === 'OldFile') {
+          extracted.push(name);
+          return true;
+        }
+        return entry.type === 'Directory';
+      }
+    });
+  } catch (error) {
+    if (['Z_DATA_ERROR', 'Z_BUF_ERROR', 'TAR_BAD_ARCHIVE', 'TAR_ENTRY_INVALID'].includes(error.code)) {
+      throw new Error(/Truncated/.test(error.message)
+        ? 'La copia de seguridad está incompleta'
+        : 'El archivo no es una copia de seguridad válida');
+    }
+    throw error;
+  }
+
+  if (invalidPath) {
+    throw new Error(`La copia de seguridad contiene una ruta no válida: ${invalidPath}`);
+  }
+
+  return extracted;
+}
+
+/**
+ * Check the extracted files against the manifest
+ * @param {string} folderPath - Folder with the extracted backup
+ * @param {string[]} extracted - Files found in the archive
+ * @returns {Promise<Object>} Manifest
+ */
+async function verifyExtractedBackup(folderPath, extracted) {
+  const manifestPath = path.join(folderPath, MANIFEST_NAME);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    manifest = null;
+  }
+
+  if (!manifest || manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+    throw new Error('El archivo no es una copia de seguridad válida');
+  }
+  if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error('La copia de seguridad se creó con una versión más reciente de la aplicación');
+  }
+  if (!manifest.files.some(file => file.path === DATABASE_ENTRY)) {
+    throw new Error('La copia de seguridad no contiene la base de datos del proyecto');
+  }
+  // The manifest is read before its files are checked: its paths are not trusted either
+  const outside = manifest.files.find(file => !isInsideFolder(folderPath, file.path));
+  if (outside) {
+    throw new Error(`La copia de seguridad contiene una ruta no válida: ${outside.path}`);
+  }
+
+  const listed = new Set(manifest.files.map(file => file.path));
+  const damaged = extracted.filter(name => name !== MANIFEST_NAME && !listed.has(name));
+
+  for (const file of manifest.files) {
+    const filePath = path.join(folderPath, file.path);
+    if (!fs.existsSync(filePath) ||
+        fs.statSync(filePath).size !== file.size ||
+        await hashFile(filePath) !== file.sha256) {
+      damaged.push(file.path);
+    }
+  }
+
+  if (damaged.length > 0) {
+    const count = damaged.length;
+    throw new Error(
+      `La copia de seguridad está dañada: ${count} archivo${count !== 1 ? 's' : ''} ` +
+      `no coincide${count !== 1 ? 'n' : ''} con el manifiesto (${damaged[0]})`
+    );
+  }
+
+  return manifest;
+}
+
+/**
+ * Replace entries of a project with those of a staging folder
+ * The current entries are moved aside first and only deleted once every
+ * restored entry is in place; if a rename fails the project is put back.
+ * @param {string} stagingPath - Folder with the restored entries
+ * @param {string} targetPath - Project folder
+ * @param {string[]} entries - Top-level entries to replace
+ * @private
+ */
+function swapProjectEntries(stagingPath, targetPath, entries) {
+  const asidePath = fs.mkdtempSync(path.join(targetPath, '.ucreplaced-'));
+  const movedAside = [];
+  const placed = [];
+
+  try {
+    entries.forEach(entry => {
+      if (fs.existsSync(path.join(targetPath, entry))) {
+        fs.renameSync(path.join(targetPath, entry), path.join(asidePath, entry));
+        movedAside.push(entry);
+      }
+    });
+    entries.forEach(entry => {
+      if (fs.existsSync(path.join(stagingPath, entry))) {
+        fs.renameSync(path.join(stagingPath, entry), path.join(targetPath, entry));
+        placed.push(entry);
+      }
+    });
+  } catch (error) {
+    placed.forEach(entry => fs.rmSync(path.join(targetPath, entry), { recursive: true, force: true }));
+    movedAside.forEach(entry => fs.renameSync(path.join(asidePath, entry), path.join(targetPath, entry)));
+    fs.rmSync(asidePath, { recursive: true, force: true });
+    throw error;
+  }
+
+  fs.rmSync(asidePath, { recursive: true, force: true });
+}
+
+/**
+ * Restore a backup into a project folder
+ *
+ * Files are extracted and verified in a staging folder first, so the target
+ * is only touched when the whole backup is valid. Existing project data
+ * (database and logs) is replaced; the image folders are only replaced when
+ * the backup includes images, otherwise the photos of the project are kept.
+ *
+ * @param {Object} options
+ * @param {string} options.backupPath - .ucbackup file
+ * @param {string} options.targetPath - Project folder to restore into
+ * @returns {Promise<Object>} Manifest of the restored backup
+ */
+async function restoreProjectBackup({ backupPath, targetPath }) {
+  if (!fs.existsSync(backupPath)) {
+    throw new Error('El archivo de copia de seguridad no existe');
+  }
+
+  fs.mkdirSync(targetPath, { recursive: true });
+  const stagingPath = fs.mkdtempSync(path.join(targetPath, '.ucrestore-'));
+
+  try {
+    const extracted = await extractTarGz(backupPath, stagingPath);
+    const manifest = await verifyExtractedBackup(stagingPath, extracted);
+
+    const entries = manifest.includeImages
+      ? RESTORED_ENTRIES
+      : RESTORED_ENTRIES.filter(entry => !IMAGE_FOLDERS.includes(entry));
+    swapProjectEntries(stagingPath, targetPath, entries);
+
+    // Backups without images still need the project folders
+    IMAGE_FOLDERS.forEach(folder => {
+      fs.mkdirSync(path.join(targetPath, folder), { recursive: true });
+    });
+
+    return manifest;
+  } finally {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  BACKUP_EXTENSION,
+  getBackupFileName,
+  createProjectBackup,
+  restoreProjectBackup,
+  extractTarGz
+};
@@ -0,0 +1,334 @@
+/**
+ * Roster update diff
+ *
+ * Compares the users of the project with the users of a new roster file
+ * (XML, CSV or XLSX) and lists every addition, removal and change with the
+ * fields that differ. Each change has a key (type + NIA or document), so
+ * the update can be applied only for the changes approved by the user.
+ * Users that were moved to Eliminados and are back in the roster are listed
+ * as restorations: the same record goes back to its group with its photo,
+ * tags and payments.
+ */
+
+const { toCSVField } = require('./formatting');
+
+// User fields compared on update, with the change category used to filter them
+const DIFF_FIELDS = [
+  { key: 'first_name', label: 'Nombre', category: 'name' },
+  { key: 'last_name1', label: 'Primer apellido', category: 'name' },
+  { key: 'last_name2', label: 'Segundo apellido', category: 'name' },
+  { key: 'birth_date', label: 'Fecha de nacimiento', category: 'birth_date' },
+  { key: 'document', label: 'Documento', category: 'identifier' },
+  { key: 'nia', label: 'NIA', category: 'identifier' },
+  { key: 'group_code', label: 'Grupo', category: 'group' }
+];
+
+const CHANGE_LABELS = {
+  add: 'Alta',
+  update: 'Cambio',
+  restore: 'Recuperación',
+  delete: 'Baja'
+};
+
+const TYPE_LABELS = {
+  student: 'Alumno',
+  teacher: 'Docente',
+  non_teaching_staff: 'No docente'
+};
+
+// Group of imported users without a group, per type
+const DEFAULT_GROUPS = {
+  student: 'SIN_GRUPO',
+  teacher: 'DOCENTES',
+  non_teaching_staff: 'NO_DOCENTES'
+};
+
+// Group of the users with photo that are no longer in the roster
+const DELETED_GROUP = 'ELIMINADOS';
+
+/**
+ * Key of a user in a roster update (same keys as the newUsersMap of update-xml)
+ * @param {Object} user - User with type, nia and document
+ * @returns {string}
+ */
+function getRosterKey(user) {
+  return user.type === 'student' ? `student_${user.nia}` : `${user.type}_${user.document}`;
+}
+
+/**
+ * Group a roster user ends up in (users without group go to the default group of their type)
+ * @param {Object} user - User from the roster file
+ * @returns {string}
+ */
+function getFinalGroupCode(user) {
+  if (user.group_code && user.group_code !== '') {
+    return user.group_code;
+  }
+  return DEFAULT_GROUPS[user.type] || 'SIN_GRUPO';
+}
+
+const getUserName = (user) => `${user.first_name || ''} ${user.last_name1 || ''} ${user.last_name2 || ''}`.replace(/\s+/g, ' ').trim();
+
+// Empty values and numbers read from the file compare as text
+const normalizeValue = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Index the project users by the values roster users are matched on
+ * (the first user with a value keeps it, as in the order of the list)
+ * @private
+ */
+function indexCurrentUsers(currentUsers) {
+  const index = {
+    studentsByNia: new Map(),
+    // Teachers and staff share the document as identifier
+    staffByDocument: new Map(),
+    // Every student with each document, for the students whose NIA changed
+    studentsByDocument: new Map()
+  };
+
+  for (const user of currentUsers) {
+    if (user.type === 'student') {
+      const nia = normalizeValue(user.nia);
+      if (!index.studentsByNia.has(nia)) {
+        index.studentsByNia.set(nia, user);
+      }
+      const document = normalizeValue(user.document);
+      if (!index.studentsByDocument.has(document)) {
+        index.studentsByDocument.set(document, []);
+      }
+      index.studentsByDocument.get(document).push(user);
+    } else {
+      const document = normalizeValue(user.document);
+      if (!index.staffByDocument.has(document)) {
+        index.staffByDocument.set(document, user);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Find the project user that corresponds to a roster user
+ *
+ * Students are matched by NIA; a student whose NIA is no longer in the
+ * roster is also matched by document, so a new NIA shows as a change
+ * instead of a removal plus an addition.
+ * @param {Object} index - Result of indexCurrentUsers()
+ * @private
+ */
+function findExistingUser(index, newUser, newUsersMap) {
+  if (newUser.type !== 'student') {
+    return index.staffByDocument.get(normalizeValue(newUser.document));
+  }
+
+  const existingUser = index.studentsByNia.get(normalizeValue(newUser.nia));
+  if (existingUser || !newUser.document) {
+    return existingUser;
+  }
+
+  return (index.studentsByDocument.get(normalizeValue(newUser.document)) || [])
+    .find(user => !newUsersMap.has(getRosterKey(user)));
+}
+
+/**
+ * Fields that change between a project user and a roster user
+ * @private
+ */
+function diffFields(existingUser, newUser) {
+  const target = { ...newUser, group_code: getFinalGroupCode(newUser) };
+
+  return DIFF_FIELDS
+    .filter(field => field.key !== 'nia' || existingUser.type === 'student')
+    .filter(field => normalizeValue(existingUser[field.key]) !== normalizeValue(target[field.key]))
+    .map(field => ({
+      key: field.key,
+      label: field.label,
+      category: field.category,
+      before: existingUser[field.key] ?? null,
+      after: target[field.key] ?? null
+    }));
+}
+
+/**
+ * Compare the project users with the users of a new roster file
+ * @param {Object} options
+ * @param {Object[]} options.currentUsers - Users in the project database
+ * @param {Map<string, Object>} options.newUsersMap - Roster users by key (see getRosterKey)
+ * @param {Map<number, Object>} [options.currentAttributes] - Extra attributes by user id
+ * @param {Function} [options.attributesEqual] - Comparison of two attribute objects
+ * @returns {{entries: Object[], unchanged: number, manuallyManaged: Object[]}}
+ */
+function buildRosterDiff({ currentUsers, newUsersMap, currentAttributes = new Map(), attributesEqual = null }) {
+  const entries = [];
+  const manuallyManaged = [];
+  const matchedIds = new Set();
+  let unchanged = 0;
+  const index = indexCurrentUsers(currentUsers);
+
+  for (const [key, newUser] of newUsersMap) {
+    const existingUser = findExistingUser(index, newUser, newUsersMap);
+    if (existingUser) {
+      matchedIds.add(existingUser.id);
+    }
+
+    if (existingUser && existingUser.manually_managed) {
+      // Manually managed users keep the data entered in the app
+      manuallyManaged.push(existingUser);
+      continue;
+    }
+
+    if (!existingUser) {
+      entries.push({
+        key,
+        change: 'add',
+        type: newUser.type,
+        userId: null,
+        name: getUserName(newUser),
+        identifier: newUser.type === 'student' ? newUser.nia : newUser.document,
+        groupBefore: null,
+        groupAfter: getFinalGroupCode(newUser),
+        hasImage: false,
+        fields: [],
+        categories: [],
+        attributesChanged: false
+      });
+      continue;
+    }
+
+    const fields = diffFields(existingUser, newUser);
+    const attributesChanged = attributesEqual
+      ? !attributesEqual(currentAttributes.get(existingUser.id), newUser.attributes)
+      : false;
+
+    if (fields.length === 0 && !attributesChanged) {
+      unchanged++;
+      continue;
+    }
+
+    const categories = [...new Set(fields.map(field => field.category))];
+    if (attributesChanged) {
+      categories.push('attributes');
+    }
+
+    entries.push({
+      key,
+      // Back in the roster after being moved to Eliminados
+      change: existingUser.group_code === DELETED_GROUP ? 'restore' : 'update',
+      type: existingUser.type,
+      userId: existingUser.id,
+      name: getUserName(existingUser),
+      identifier: existingUser.type === 'student' ? existingUser.nia : existingUser.document,
+      groupBefore: existingUser.group_code || null,
+      groupAfter: getFinalGroupCode(newUser),
+      hasImage: Boolean(existingUser.image_path),
+      fields,
+      categories,
+      attributesChanged
+    });
+  }
+
+  // Users that are no longer in the roster
+  for (const currentUser of currentUsers) {
+    const key = getRosterKey(currentUser);
+    if (newUsersMap.has(key) || matchedIds.has(currentUser.id)) {
+      continue;
+    }
+    if (currentUser.manually_managed) {
+      // Not in the roster, but created or edited by hand: keep it
+      manuallyManaged.push(currentUser);
+      continue;
+    }
+
+    entries.push({
+      key,
+      change: 'delete',
+      type: currentUser.type,
+      userId: currentUser.id,
+      name: getUserName(currentUser),
+      identifier: currentUser.type === 'student' ? currentUser.nia : currentUser.document,
+      groupBefore: currentUser.group_code || null,
+      groupAfter: null,
+      hasImage: Boolean(currentUser.image_path),
+      fields: [],
+      categories: [],
+      attributesChanged: false
+    });
+  }
+
+  return { entries, unchanged, manuallyManaged };
+}
+
+/**
+ * Counts of a roster diff shown before applying the update
+ * @param {Object} diff - Result of buildRosterDiff()
+ * @returns {Object} { toAdd, toUpdate, toRestore, toDelete, toDeleteWithImage, toDeleteWithoutImage, unchanged, manuallyManaged }
+ */
+function summarizeRosterDiff(diff) {
+  const entriesOf = (change) => diff.entries.filter(entry => entry.change === change);
+  const toDelete = entriesOf('delete');
+
+  return {
+    toAdd: entriesOf('add').length,
+    toUpdate: entriesOf('update').length,
+    toRestore: entriesOf('restore').length,
+    toDelete: toDelete.length,
+    toDeleteWithImage: toDelete.filter(entry => entry.hasImage).length,
+    toDeleteWithoutImage: toDelete.filter(entry => !entry.hasImage).length,
+    unchanged: diff.unchanged,
+    manuallyManaged: diff.manuallyManaged.length
+  };
+}
+
+/**
+ * Build the CSV of a roster diff for review outside the app
+ * @param {Object[]} entries - Diff entries
+ * @param {string[]} [approvedKeys] - Keys of the approved changes (all if omitted)
+ * @returns {string} CSV content (one row per changed field)
+ */
+function buildRosterDiffCSV(entries, approvedKeys = null) {
+  const approved = approvedKeys ? new Set(approvedKeys) : null;
+
+  const csvRows = ['Cambio,Tipo,Identificador,Nombre,Grupo actual,Grupo nuevo,Campo,Valor actual,Valor nuevo,Aprobado'];
+
+  entries.forEach(entry => {
+    const common = [
+      CHANGE_LABELS[entry.change],
+      TYPE_LABELS[entry.type] || entry.type,
+      entry.identifier,
+      entry.name,
+      entry.groupBefore,
+      entry.groupAfter
+    ];
+    const approvedText = !approved || approved.has(entry.key) ? 'Sí' : 'No';
+
+    let rows;
+    if (entry.change === 'update' || entry.change === 'restore') {
+      rows = entry.fields.map(field => [field.label, field.before, field.after]);
+      if (entry.attributesChanged) {
+        rows.push(['Datos adicionales', '', '']);
+      }
+    } else if (entry.change === 'delete') {
+      rows = [['', entry.hasImage ? 'Con foto: se mueve a ¡Eliminados!' : 'Sin foto: se elimina', '']];
+    } else {
+      rows = [['', '', '']];
+    }
+
+    rows.forEach(row => {
+      csvRows.push([...common, ...row, approvedText].map(toCSVField).join(','));
+    });
+  });
+
+  return csvRows.join('\n');
+}
+
+module.exports = {
+  DIFF_FIELDS,
+  TYPE_LABELS,
+  DELETED_GROUP,
+  getRosterKey,
+  getFinalGroupCode,
+  buildRosterDiff,
+  summarizeRosterDiff,
+  buildRosterDiffCSV
+};
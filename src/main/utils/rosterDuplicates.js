@@ -0,0 +1,358 @@
+/**
+ * Duplicate identifiers in a roster
+ *
+ * A roster may list the same NIA (students) or document (teachers and
+ * staff) more than once: a student in two groups, a typo in the school
+ * system... Before importing, the operator decides what to do with each
+ * duplicate identifier:
+ *
+ * - keep:  import only one of the occurrences
+ * - merge: import one user with each field taken from a chosen occurrence
+ * - split: import every occurrence, each one as a different type of user
+ *
+ * Decisions are applied to the {section, data} records of a roster parser
+ * before they reach the import or the update diff, and are saved in the
+ * project with a signature of the occurrences, so the next update with the
+ * same occurrences does not ask again.
+ */
+
+const { getRosterKey, TYPE_LABELS } = require('./rosterDiff');
+
+// Project setting where the decisions are saved
+const RESOLUTIONS_SETTING = 'duplicate_resolutions';
+
+// Roster section of each user type
+const TYPE_SECTIONS = {
+  student: 'students',
+  teacher: 'teachers',
+  non_teaching_staff: 'nonTeachingStaff'
+};
+
+// User type of each roster section
+const SECTION_TYPES = {
+  students: 'student',
+  teachers: 'teacher',
+  nonTeachingStaff: 'non_teaching_staff'
+};
+
+// Fields that identify an occurrence; other data (email, phone...) can change without asking again
+const SIGNATURE_FIELDS = ['first_name', 'last_name1', 'last_name2', 'birth_date', 'document', 'nia', 'group_code'];
+
+// Fields that can be combined in a merge
+const MERGE_FIELDS = ['first_name', 'last_name1', 'last_name2', 'birth_date', 'document', 'group_code', 'attributes'];
+
+/**
+ * Key of a roster record (same keys as the update diff), or null for groups
+ * and users without identifier
+ * @param {{section: string, data: Object}} record - Record yielded by a roster parser
+ * @returns {string|null}
+ */
+function getRecordKey({ section, data }) {
+  const type = SECTION_TYPES[section];
+  if (!type) return null;
+
+  const identifier = type === 'student' ? data.nia : data.document;
+  return identifier ? getRosterKey({ ...data, type }) : null;
+}
+
+/**
+ * Text that changes when any occurrence of a duplicate changes
+ * @param {Object[]} occurrences - Occurrences in document order
+ * @returns {string}
+ */
+function getOccurrencesSignature(occurrences) {
+  return JSON.stringify(occurrences.map(occurrence =>
+    SIGNATURE_FIELDS.map(field => {
+      const value = occurrence[field];
+      return value === undefined || value === null || value === '' ? null : String(value);
+    })
+  ));
+}
+
+/**
+ * User made of the fields chosen in a merge
+ * @param {Object[]} occurrences - Occurrences in document order
+ * @param {Object<string, number>} fields - Field -> index of the occurrence it is taken from
+ * @returns {Object}
+ */
+function mergeOccurrences(occurrences, fields) {
+  const user = {};
+  MERGE_FIELDS.forEach(field => {
+    const source = occurrences[fields[field] || 0] || occurrences[0];
+    user[field] = source[field];
+  });
+  return user;
+}
+
+/**
+ * Find the identifiers that appear more than once in a roster
+ *
+ * The roster is read twice: first only the keys are kept, then the
+ * occurrences of the repeated ones, so the data of the other users is not
+ * held in memory.
+ * @param {Function} openRecords - Returns (or resolves to) new records of a roster parser each time it is called
+ * @returns {Promise<Object[]>} [{key, type, signature, occurrences}] in order of first appearance
+ */
+async function findRosterDuplicates(openRecords) {
+  const seen = new Set();
+  const repeated = new Set();
+
+  for await (const record of await openRecords()) {
+    const key = getRecordKey(record);
+    if (!key) continue;
+
+    if (seen.has(key)) {
+      repeated.add(key);
+    }
+    seen.add(key);
+  }
+  seen.clear();
+
+  if (repeated.size === 0) return [];
+
+  // Key -> {section, occurrences}, in order of first appearance
+  const found = new Map();
+  for await (const record of await openRecords()) {
+    const key = getRecordKey(record);
+    if (!repeated.has(key)) continue;
+
+    if (!found.has(key)) {
+      found.set(key, { section: record.section, occurrences: [] });
+    }
+    found.get(key).occurrences.push(record.data);
+  }
+
+  return [...found].map(([key, { section, occurrences }]) => ({
+    key,
+    type: SECTION_TYPES[section],
+    signature: getOccurrencesSignature(occurrences),
+    occurrences
+  }));
+}
+
+/**
+ * Check a decision sent by the renderer against the duplicate of the roster it decides on
+ * @param {Object} resolution - Decision for a duplicate identifier
+ * @param {Object} [duplicate] - Duplicate with the same key, as found by findRosterDuplicates()
+ * @returns {string|null} Error message or null if valid
+ */
+function validateResolution(resolution, duplicate) {
+  if (!resolution || !resolution.key || !resolution.signature) {
+    return 'Decisión sobre un duplicado sin identificador';
+  }
+  if (!duplicate || duplicate.signature !== resolution.signature) {
+    return `Las apariciones de ${resolution.key} han cambiado en el archivo. Vuelve a revisar los duplicados`;
+  }
+
+  const { occurrences } = duplicate;
+  const isOccurrence = (index) => Number.isInteger(index) && index >= 0 && index < occurrences.length;
+
+  switch (resolution.action) {
+    case 'keep':
+      return isOccurrence(resolution.occurrence) ? null : `Falta la aparición a conservar de ${resolution.key}`;
+    case 'merge': {
+      const fields = resolution.fields;
+      if (!fields || typeof fields !== 'object') {
+        return `Faltan los campos a combinar de ${resolution.key}`;
+      }
+      if (Object.keys(fields).some(field => !MERGE_FIELDS.includes(field) || !isOccurrence(fields[field]))) {
+        return `Campos a combinar no válidos en ${resolution.key}`;
+      }
+      return null;
+    }
+    case 'split': {
+      const types = resolution.types || [];
+      if (types.some(type => !TYPE_SECTIONS[type])) {
+        return `Tipo de usuario no válido en ${resolution.key}`;
+      }
+      if (types.length !== occurrences.length) {
+        return `Falta el tipo de alguna aparición de ${resolution.key}`;
+      }
+      if (new Set(types).size !== types.length) {
+        return `Las apariciones de ${resolution.key} tienen que importarse con tipos distintos`;
+      }
+      // Students are identified by their NIA, teachers and staff by their document
+      const missing = types.findIndex((type, index) => !(type === 'student' ? occurrences[index].nia : occurrences[index].document));
+      if (missing !== -1) {
+        return `La aparición ${missing + 1} de ${resolution.key} no tiene ${types[missing] === 'student' ? 'NIA' : 'documento'} para importarse como ${TYPE_LABELS[types[missing]].toLowerCase()}`;
+      }
+      return null;
+    }
+    default:
+      return `Decisión desconocida para ${resolution.key}: ${resolution.action}`;
+  }
+}
+
+/**
+ * Check the decisions sent by the renderer and rebuild the merged users
+ * from the occurrences of the roster, as attachSavedResolutions() does
+ * @param {Object[]} resolutions - Decisions sent by the renderer
+ * @param {Object[]} duplicates - Result of findRosterDuplicates() for the same roster
+ * @returns {Object[]} Decisions ready for applyDuplicateResolutions()
+ * @throws {Error} If a decision is not valid
+ */
+function prepareResolutions(resolutions, duplicates) {
+  const duplicatesByKey = new Map(duplicates.map(duplicate => [duplicate.key, duplicate]));
+
+  return resolutions.map(resolution => {
+    const duplicate = resolution ? duplicatesByKey.get(resolution.key) : null;
+    const error = validateResolution(resolution, duplicate);
+    if (error) {
+      throw new Error(error);
+    }
+
+    // Only the decision is taken from the renderer, never the merged user
+    const { key, signature, action, occurrence, fields, types } = resolution;
+    const prepared = { key, signature, action, occurrence, fields, types };
+    if (action === 'merge') {
+      prepared.user = mergeOccurrences(duplicate.occurrences, fields);
+    }
+    return prepared;
+  });
+}
+
+/**
+ * Apply the decisions to the records of a roster
+ *
+ * Records of identifiers without a decision pass through unchanged, so the
+ * import keeps its automatic rule (the first occurrence with a group).
+ * @param {AsyncIterable<{section: string, data: Object}>} records - Records of a roster parser
+ * @param {Object[]} resolutions - Decisions, one per duplicate identifier
+ * @yields {{section: string, data: Object}}
+ */
+async function* applyDuplicateResolutions(records, resolutions = []) {
+  const resolutionsByKey = new Map(resolutions.map(resolution => [resolution.key, resolution]));
+  const seen = new Map();
+
+  for await (const record of records) {
+    const key = resolutionsByKey.size > 0 ? getRecordKey(record) : null;
+    const resolution = key ? resolutionsByKey.get(key) : null;
+    if (!resolution) {
+      yield record;
+      continue;
+    }
+
+    const index = seen.get(key) || 0;
+    seen.set(key, index + 1);
+
+    if (resolution.action === 'keep') {
+      if (index === resolution.occurrence) {
+        yield record;
+      }
+    } else if (resolution.action === 'merge') {
+      // The merged user takes the place of the first occurrence
+      if (index === 0) {
+        yield { section: record.section, data: { ...record.data, ...resolution.user } };
+      }
+    } else if (resolution.action === 'split') {
+      const type = resolution.types[index] || SECTION_TYPES[record.section];
+      let data = record.data;
+      if (type !== 'student') {
+        // Teachers and staff go to their default group and have no NIA
+        const { nia, group_code, ...rest } = data;
+        data = rest;
+      }
+      yield { section: TYPE_SECTIONS[type], data };
+    }
+  }
+}
+
+/**
+ * Decisions saved in a project
+ * @param {DatabaseManager} dbManager - Project database
+ * @returns {Promise<Object<string, Object>>} Key -> decision
+ */
+async function loadDuplicateResolutions(dbManager) {
+  const value = await dbManager.getProjectSetting(RESOLUTIONS_SETTING);
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save decisions in a project, replacing earlier decisions for the same identifiers
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {Object[]} resolutions - New decisions
+ */
+async function saveDuplicateResolutions(dbManager, resolutions) {
+  if (!resolutions || resolutions.length === 0) return;
+
+  const saved = await loadDuplicateResolutions(dbManager);
+  resolutions.forEach(({ key, signature, action, occurrence, fields, types }) => {
+    // Merged values are rebuilt from the occurrences of each file
+    saved[key] = { key, signature, action, occurrence, fields, types };
+  });
+  await dbManager.setProjectSetting(RESOLUTIONS_SETTING, JSON.stringify(saved));
+}
+
+/**
+ * Attach the saved decisions that still apply (same occurrences) to the duplicates of a roster
+ * @param {Object[]} duplicates - Result of findRosterDuplicates()
+ * @param {Object<string, Object>} saved - Result of loadDuplicateResolutions()
+ * @returns {Object[]} Same duplicates, with `resolution` set on the ones already decided
+ */
+function attachSavedResolutions(duplicates, saved) {
+  return duplicates.map(duplicate => {
+    const resolution = saved[duplicate.key];
+    if (!resolution || resolution.signature !== duplicate.signature) {
+      return duplicate;
+    }
+
+    return {
+      ...duplicate,
+      resolution: resolution.action === 'merge'
+        ? { ...resolution, user: mergeOccurrences(duplicate.occurrences, resolution.fields) }
+        : resolution
+    };
+  });
+}
+
+/**
+ * Identifier of a duplicate as shown to the user
+ * @param {string} key - Key of the duplicate (type + NIA or document)
+ * @returns {string}
+ */
+function getIdentifierLabel(key) {
+  const type = Object.keys(TYPE_SECTIONS).find(candidate => key.startsWith(`${candidate}_`));
+  const identifier = key.slice(type.length + 1);
+  return type === 'student' ? `NIA: ${identifier}` : `Documento: ${identifier}`;
+}
+
+/**
+ * Text of a decision for the import report
+ * @param {Object} resolution - Decision for a duplicate identifier
+ * @returns {string}
+ */
+function describeResolution(resolution) {
+  switch (resolution.action) {
+    case 'keep':
+      return `Importada solo la aparición ${resolution.occurrence + 1}`;
+    case 'merge':
+      return 'Importado un usuario con los datos combinados de las apariciones';
+    case 'split':
+      return `Importadas todas las apariciones como ${resolution.types.map(type => TYPE_LABELS[type].toLowerCase()).join(', ')}`;
+    default:
+      return resolution.action;
+  }
+}
+
+module.exports = {
+  SECTION_TYPES,
+  MERGE_FIELDS,
+  getRecordKey,
+  getOccurrencesSignature,
+  mergeOccurrences,
+  findRosterDuplicates,
+  validateResolution,
+  prepareResolutions,
+  applyDuplicateResolutions,
+  loadDuplicateResolutions,
+  saveDuplicateResolutions,
+  attachSavedResolutions,
+  getIdentifierLabel,
+  describeResolution
+};
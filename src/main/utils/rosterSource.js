@@ -0,0 +1,121 @@
+/**
+ * Source roster of a project
+ *
+ * The project remembers where its roster comes from (the file imported or
+ * applied last, or a drop folder where new exports are saved) with the hash
+ * of the last file applied, so a file that did not change is not proposed
+ * again as an update.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROSTER_EXTENSIONS } = require('../rosterParser');
+
+// Project setting with the source of the roster
+const SOURCE_SETTING = 'roster_source';
+
+/**
+ * Hash of a file, read as a stream
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} SHA-1 in hex
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Whether a file name is a roster file (XML, CSV or XLSX)
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isRosterFile(filePath) {
+  return ROSTER_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Most recently modified roster file of a folder
+ * @param {string} folderPath - Drop folder
+ * @returns {string|null} File path, or null if there is none
+ */
+function findNewestRosterFile(folderPath) {
+  if (!fs.existsSync(folderPath)) return null;
+
+  let newest = null;
+  fs.readdirSync(folderPath, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.') && isRosterFile(entry.name))
+    .forEach(entry => {
+      const filePath = path.join(folderPath, entry.name);
+      const modified = fs.statSync(filePath).mtimeMs;
+      if (!newest || modified > newest.modified) {
+        newest = { filePath, modified };
+      }
+    });
+
+  return newest ? newest.filePath : null;
+}
+
+/**
+ * Get the roster source of a project
+ * @param {DatabaseManager} dbManager - Project database
+ * @returns {Promise<Object|null>} { path, folder, mapping, hash }, or null if not set
+ */
+async function loadRosterSource(dbManager) {
+  const value = await dbManager.getProjectSetting(SOURCE_SETTING);
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save the roster source of a project
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {Object} source
+ * @param {string} source.path - Roster file, or drop folder when `folder` is set
+ * @param {boolean} [source.folder] - Whether new exports are saved in a drop folder
+ * @param {Object|null} [source.mapping] - Column mapping of CSV/XLSX rosters
+ * @param {string|null} [source.hash] - Hash of the last file applied
+ */
+async function saveRosterSource(dbManager, { path: sourcePath, folder = false, mapping = null, hash = null }) {
+  await dbManager.setProjectSetting(SOURCE_SETTING, JSON.stringify({ path: sourcePath, folder, mapping, hash }));
+}
+
+/**
+ * Remember a roster file that has just been imported or applied
+ *
+ * A drop folder is kept as the source when the file is inside it;
+ * otherwise the file becomes the source.
+ * @param {DatabaseManager} dbManager - Project database
+ * @param {string} filePath - Roster file
+ * @param {Object|null} mapping - Column mapping of CSV/XLSX rosters
+ */
+async function rememberRosterFile(dbManager, filePath, mapping) {
+  const source = await loadRosterSource(dbManager);
+  const hash = await hashFile(filePath);
+  const inFolder = source && source.folder && path.dirname(path.resolve(filePath)) === path.resolve(source.path);
+
+  await saveRosterSource(dbManager, {
+    path: inFolder ? source.path : filePath,
+    folder: Boolean(inFolder),
+    mapping,
+    hash
+  });
+}
+
+module.exports = {
+  hashFile,
+  isRosterFile,
+  findNewestRosterFile,
+  loadRosterSource,
+  saveRosterSource,
+  rememberRosterFile
+};
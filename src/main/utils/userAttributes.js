@@ -0,0 +1,79 @@
+/**
+ * Helpers to use the extra XML attributes of users in exports
+ */
+
+// XML attribute names accepted for the columns the exports know about
+const ATTRIBUTE_ALIASES = {
+  direccion: ['direccion', 'domicilio'],
+  telefono: ['telefono', 'telefono1'],
+  telefono2: ['telefono2', 'movil'],
+  email: ['email', 'correo', 'correo_electronico'],
+  departamento: ['departamento']
+};
+
+/**
+ * Get the first non-empty attribute among the known aliases of a column
+ * @param {Object} attributes - Attribute name -> value
+ * @param {string} column - Key of ATTRIBUTE_ALIASES
+ * @param {string} [defaultValue] - Value when none of the aliases is present
+ * @returns {string}
+ */
+function getUserAttribute(attributes, column, defaultValue = '') {
+  const names = ATTRIBUTE_ALIASES[column] || [column];
+  const name = names.find(candidate => attributes && attributes[candidate]);
+  return name ? attributes[name] : defaultValue;
+}
+
+/**
+ * Compare two attribute sets ignoring the order of the names
+ * @param {Object} a - Attribute name -> value
+ * @param {Object} b - Attribute name -> value
+ * @returns {boolean}
+ */
+function attributesEqual(a = {}, b = {}) {
+  const namesA = Object.keys(a || {});
+  const namesB = Object.keys(b || {});
+  return namesA.length === namesB.length &&
+    namesA.every(name => String(a[name]) === String((b || {})[name]));
+}
+
+/**
+ * Replace {placeholders} in a text with user data
+ *
+ * Known placeholders: {nombre}, {apellido1}, {apellido2}, {grupo}, {nia},
+ * {documento}, {fecha_nac}. Any other name is looked up in the user's extra
+ * XML attributes ({email}, {tutor}...). Missing values become empty and the
+ * spaces left behind are removed.
+ *
+ * @param {string} template - Text with placeholders
+ * @param {Object} user - User row
+ * @param {Object} [attributes] - Extra attributes of the user
+ * @returns {string}
+ */
+function fillUserTemplate(template, user, attributes = {}) {
+  const fields = {
+    nombre: user.first_name,
+    apellido1: user.last_name1,
+    apellido2: user.last_name2,
+    grupo: user.group_code,
+    nia: user.nia,
+    documento: user.document,
+    fecha_nac: user.birth_date
+  };
+
+  return String(template || '')
+    .replace(/\{([^{}\s]+)\}/g, (match, name) => {
+      const value = name in fields ? fields[name] : attributes[name];
+      return value === null || value === undefined ? '' : String(value);
+    })
+    .replace(/\s+([,.;:)])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  ATTRIBUTE_ALIASES,
+  getUserAttribute,
+  attributesEqual,
+  fillUserTemplate
+};
@@ -0,0 +1,36 @@
+/**
+ * Helpers for the full-text user search (users_fts table)
+ */
+
+/**
+ * Build an FTS5 MATCH expression from what the operator typed
+ *
+ * Every word becomes a prefix term and all of them must match, in any
+ * column and any order: "garcia lop" finds "Lucía García López", "1000"
+ * finds NIA 10000001. Accents and case are handled by the index tokenizer.
+ *
+ * @param {string} searchTerm - Raw text from the search box
+ * @returns {string|null} MATCH expression, or null if there is nothing to search
+ */
+function buildSearchMatch(searchTerm) {
+  // Identifiers are indexed without separators ("12345678-Z" -> "12345678Z")
+  const text = String(searchTerm || '')
+    .split(/\s+/)
+    .map(chunk => (/\d/.test(chunk) ? chunk.replace(/[-.]/g, '') : chunk))
+    .join(' ');
+
+  const words = text.match(/[\p{L}\p{N}]+/gu);
+  if (!words) {
+    return null;
+  }
+
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+// Column weights for bm25(): NIA and document hits rank above name hits
+const SEARCH_RANK_WEIGHTS = [1.0, 1.0, 1.0, 5.0, 5.0];
+
+module.exports = {
+  buildSearchMatch,
+  SEARCH_RANK_WEIGHTS
+};
@@ -0,0 +1,113 @@
+/**
+ * Validation helpers for users created or edited by hand
+ */
+
+// Same checks as the user form of the renderer
+const validators = require('../../renderer/utils/validators');
+
+const USER_TYPES = ['student', 'teacher', 'non_teaching_staff'];
+
+// Only documents with the DNI format can be checked; NIE and passports are accepted as written
+const DNI_PATTERN = /^[0-9]{8}[A-Z]$/;
+
+/**
+ * Default group for a user type when no group is given
+ * (same rule used when importing from XML)
+ * @param {string} type - User type
+ * @returns {string} Group code
+ */
+function getDefaultGroupCode(type) {
+  if (type === 'teacher') return 'DOCENTES';
+  if (type === 'non_teaching_staff') return 'NO_DOCENTES';
+  return 'SIN_GRUPO';
+}
+
+/**
+ * Trim text fields and turn empty values into null
+ * @param {Object} data - Raw user data from the renderer
+ * @returns {Object} Normalized user data
+ */
+function normalizeUserData(data = {}) {
+  const clean = (value) => {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+  };
+
+  const type = clean(data.type) || 'student';
+  const document = clean(data.document);
+
+  return {
+    type,
+    first_name: clean(data.first_name),
+    last_name1: clean(data.last_name1),
+    last_name2: clean(data.last_name2),
+    birth_date: clean(data.birth_date),
+    document: document ? document.toUpperCase() : null,
+    nia: type === 'student' ? clean(data.nia) : null,
+    group_code: clean(data.group_code) || getDefaultGroupCode(type),
+    manually_managed: data.manually_managed === false ? 0 : 1
+  };
+}
+
+/**
+ * Check required fields of a normalized user
+ * @param {Object} user - Normalized user data
+ * @returns {string|null} Error message or null if valid
+ */
+function validateUserData(user) {
+  if (!USER_TYPES.includes(user.type)) {
+    return `Tipo de usuario no válido: ${user.type}`;
+  }
+  if (!user.first_name) {
+    return 'El nombre es obligatorio';
+  }
+  if (!user.last_name1) {
+    return 'El primer apellido es obligatorio';
+  }
+  if (user.type === 'student' && !user.nia) {
+    return 'El NIA es obligatorio para los alumnos';
+  }
+  if (user.type !== 'student' && !user.document) {
+    return 'El documento es obligatorio para docentes y no docentes';
+  }
+  if (user.nia && !validators.isValidNIA(user.nia)) {
+    return 'El NIA debe tener entre 8 y 10 dígitos';
+  }
+  if (user.document && DNI_PATTERN.test(user.document) && !validators.isValidDNI(user.document)) {
+    return 'La letra del DNI no es correcta';
+  }
+  if (user.birth_date && !validators.isValidSpanishDate(user.birth_date)) {
+    return 'La fecha de nacimiento debe tener el formato DD/MM/AAAA';
+  }
+  return null;
+}
+
+/**
+ * Describe an identifier clash with an existing user
+ * @param {Object} user - Normalized user data
+ * @param {Array<Object>} conflicts - Users sharing the NIA or document
+ * @returns {string|null} Error message or null if there is no clash
+ */
+function describeIdentifierConflict(user, conflicts) {
+  for (const other of conflicts) {
+    const otherName = `${other.first_name} ${other.last_name1} ${other.last_name2 || ''}`.trim();
+
+    if (user.nia && other.nia && String(other.nia) === user.nia) {
+      return `El NIA ${user.nia} ya está asignado a ${otherName}`;
+    }
+    if (user.document && other.document && String(other.document).toUpperCase() === user.document) {
+      return `El documento ${user.document} ya está asignado a ${otherName}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  USER_TYPES,
+  DNI_PATTERN,
+  getDefaultGroupCode,
+  normalizeUserData,
+  validateUserData,
+  describeIdentifierConflict
+};
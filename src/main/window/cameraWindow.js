@@ -26,7 +26,9 @@ class CameraWindowManager {
       webPreferences: {
         preload: path.join(__dirname, '../../preload/preload.js'),
         contextIsolation: true,
-        nodeIntegration: false
+        nodeIntegration: false,
+        // Shape Detection API (FaceDetector) used to propose face-centred crops
+        experimentalFeatures: true
       },
       backgroundColor: '#1a1f2e',
       show: false,
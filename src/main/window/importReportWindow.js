@@ -0,0 +1,110 @@
+const { BrowserWindow } = require('electron');
+const path = require('path');
+
+/**
+ * Import Report Window Manager
+ */
+class ImportReportWindowManager {
+  constructor() {
+    this.window = null;
+    this.pendingReportId = null;
+  }
+
+  /**
+   * Create the import report window
+   * @param {Object} options - Window creation options
+   * @param {boolean} options.isDev - Whether running in development mode
+   * @returns {BrowserWindow} The created window
+   */
+  create(options = {}) {
+    const { isDev = false } = options;
+
+    this.window = new BrowserWindow({
+      width: 1200,
+      height: 800,
+      title: 'Informes de Importación',
+      icon: path.join(__dirname, '../../../assets/icons/icon.png'),
+      webPreferences: {
+        preload: path.join(__dirname, '../../preload/preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false
+      },
+      backgroundColor: '#1a1f2e',
+      show: false,
+      autoHideMenuBar: true
+    });
+
+    this.window.loadFile('src/renderer/import-report.html');
+
+    this.window.once('ready-to-show', () => {
+      this.window.setMenuBarVisibility(false);
+      this.window.show();
+    });
+
+    // The report to show is sent once the page can listen for it
+    this.window.webContents.on('did-finish-load', () => {
+      if (this.pendingReportId !== null) {
+        this.window.webContents.send('import-report-selected', this.pendingReportId);
+        this.pendingReportId = null;
+      }
+    });
+
+    this.window.on('closed', () => {
+      this.window = null;
+    });
+
+    // Open DevTools in development
+    if (isDev) {
+      this.window.webContents.openDevTools();
+    }
+
+    return this.window;
+  }
+
+  /**
+   * Open the import report window (create if doesn't exist)
+   * @param {Object} options - Window creation options
+   * @param {number} [options.reportId] - Report to show (the newest one if not given)
+   * @returns {BrowserWindow} The window instance
+   */
+  open(options = {}) {
+    const { reportId = null } = options;
+
+    if (!this.window) {
+      this.pendingReportId = reportId;
+      this.create(options);
+    } else {
+      this.window.webContents.send('import-report-selected', reportId);
+      this.window.show();
+      this.window.focus();
+    }
+    return this.window;
+  }
+
+  /**
+   * Close the window (the reports belong to the project that was open)
+   */
+  close() {
+    if (this.isValid()) {
+      this.window.close();
+    }
+  }
+
+  /**
+   * Get the window instance
+   * @returns {BrowserWindow|null}
+   */
+  getWindow() {
+    return this.window;
+  }
+
+  /**
+   * Check if window exists and is not destroyed
+   * @returns {boolean}
+   */
+  isValid() {
+    return this.window && !this.window.isDestroyed();
+  }
+}
+
+module.exports = ImportReportWindowManager;
@@ -1,139 +1,386 @@
 const fs = require('fs');
 const { XMLParser } = require('fast-xml-parser');
+const { PROFILE_SECTIONS, getBuiltInProfiles, detectXmlProfile, getMappedAttributes } = require('./xmlProfiles');
+
+// Bytes read from the start of the file to detect its profile
+const PROFILE_SAMPLE_SIZE = 256 * 1024;
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+const START_TAG_PATTERN = /^<([A-Za-z_][\w:.-]*)((?:\s+[^\s=<>/"']+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>$/;
+const END_TAG_PATTERN = /^<\/([A-Za-z_][\w:.-]*)\s*>$/;
+
+// Markup without elements: comment, CDATA, processing instruction and doctype
+const SPECIAL_MARKUP = [
+  { start: '<!--', end: '-->' },
+  { start: '<![CDATA[', end: ']]>' },
+  { start: '<?', end: '?>' },
+  { start: '<!DOCTYPE', end: '>' }
+];
+
+/**
+ * Index of the ">" that closes the tag starting at `start` (ignoring quoted values)
+ * @private
+ */
+function findTagEnd(text, start) {
+  let quote = null;
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+const countLines = (text, from, to) => {
+  let lines = 0;
+  for (let i = text.indexOf('\n', from); i !== -1 && i < to; i = text.indexOf('\n', i + 1)) {
+    lines++;
+  }
+  return lines;
+};
 
 class XMLUserParser {
-  constructor(xmlPath) {
+  /**
+   * @param {string} xmlPath - XML file
+   * @param {Object[]} [customProfiles] - User-defined mapping profiles, tried before the built-in ones
+   */
+  constructor(xmlPath, customProfiles = []) {
     this.xmlPath = xmlPath;
-    this.parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: '@_',
-      parseAttributeValue: true
-    });
+    this.profiles = [...customProfiles, ...getBuiltInProfiles()];
+    this.profile = null;
+  }
+
+  /**
+   * Parse the whole roster with the mapping profile that matches the file
+   * @param {Object} [options] - Same options as records()
+   * @returns {Promise<Object>} { groups, students, teachers, nonTeachingStaff }
+   */
+  async parse(options = {}) {
+    const result = {
+      groups: [],
+      students: [],
+      teachers: [],
+      nonTeachingStaff: []
+    };
+
+    for await (const { section, data } of this.records(options)) {
+      result[section].push(data);
+    }
+
+    return result;
   }
 
-  async parse() {
+  /**
+   * Read the roster element by element, without loading the file in memory
+   *
+   * Groups and users are yielded in document order as soon as their element
+   * has been read, so they can be imported in batches.
+   * @param {Object} [options]
+   * @param {Object<string, number[]>} [options.exclude] - Indexes of the elements to leave
+   *   out, per section (groups, students, teachers, nonTeachingStaff), as reported by xmlValidator
+   * @param {Function} [options.onProgress] - Called after each chunk with the fraction of the file read (0-1)
+   * @param {string} [options.profileId] - Profile found by xmlValidator, used instead of detecting it again
+   * @yields {{section: string, data: Object}} Section of the profile and parsed group or user
+   */
+  async *records(options = {}) {
     try {
-      const xmlData = fs.readFileSync(this.xmlPath, 'utf8');
-      const jsonData = this.parser.parse(xmlData);
-
-      const result = {
-        groups: [],
-        students: [],
-        teachers: [],
-        nonTeachingStaff: []
-      };
-
-      // NOTE: XML tags are in Spanish as per source file specification
-      // Tags: grupos, alumnos, docentes, no_docentes
-      // Fields are XML attributes, not child nodes
-
-      if (!jsonData.centro) {
-        throw new Error('Invalid XML structure: missing <centro> root element');
+      const profile = await this.detectProfile(options.profileId);
+      const parser = this.createParser(profile);
+      const exclude = options.exclude || {};
+      const excluded = {};
+      Object.keys(PROFILE_SECTIONS).forEach(section => {
+        excluded[section] = new Set(exclude[section] || []);
+      });
+
+      for await (const { section, index, name, attributes } of this.elements(profile, options)) {
+        if (excluded[section].has(index)) continue;
+
+        // Fields are XML attributes, not child nodes
+        const element = parser.parse(`<${name}${attributes}/>`)[name];
+        const data = section === 'groups'
+          ? this.parseGroup(element, profile.groups)
+          : this.parseUser(element, profile[section], section === 'students');
+        if (data) {
+          yield { section, data };
+        }
       }
+    } catch (error) {
+      console.error('Error parsing XML:', error);
+      throw new Error('No se pudo procesar el archivo XML: ' + error.message);
+    }
+  }
 
-      const centro = jsonData.centro;
+  /**
+   * Read the group and user elements of the roster as written, checking
+   * that the tags are well formed and nested
+   *
+   * Elements are counted per section in document order; these are the
+   * indexes records() takes in options.exclude. Errors carry the line where
+   * they were found in error.line.
+   * @param {Object} profile - Mapping profile of the file
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called after each chunk with the fraction of the file read (0-1)
+   * @param {Function} [options.onInvalidText] - Called with the number of each line that has
+   *   bytes that are not valid UTF-8, before the element on that line is yielded
+   * @yields {{section: string, index: number, name: string, attributes: string, line: number, endLine: number}}
+   *   Element with its attribute text and the lines where its tag starts and ends
+   */
+  async *elements(profile, options = {}) {
+    const { size } = await fs.promises.stat(this.xmlPath);
 
-      // Parse groups (grupos)
-      if (centro.grupos && centro.grupos.grupo) {
-        result.groups = this.parseGroups(centro.grupos.grupo);
+    // Full path of each section's elements -> section
+    const sections = new Map();
+    Object.keys(PROFILE_SECTIONS).forEach(section => {
+      if (profile[section]) {
+        sections.set(`${profile.root}/${profile[section].path}`, section);
       }
+    });
+    const counters = {};
+    sections.forEach(section => {
+      counters[section] = 0;
+    });
 
-      // Parse students (alumnos)
-      if (centro.alumnos && centro.alumnos.alumno) {
-        result.students = this.parseStudents(centro.alumnos.alumno);
+    const stack = [];
+    let rootFound = false;
+    let line = 1;
+    let lastInvalidLine = 0;
+    let buffer = '';
+
+    const malformed = (message, atLine = line) => {
+      const error = new Error(`XML mal formado en la línea ${atLine}: ${message}`);
+      error.line = atLine;
+      return error;
+    };
+
+    // Move the line count over buffer[from, to), reporting the lines with invalid UTF-8
+    const advance = (from, to) => {
+      if (options.onInvalidText) {
+        for (let i = buffer.indexOf('\uFFFD', from); i !== -1 && i < to; i = buffer.indexOf('\uFFFD', i + 1)) {
+          const invalidLine = line + countLines(buffer, from, i);
+          if (invalidLine !== lastInvalidLine) {
+            lastInvalidLine = invalidLine;
+            options.onInvalidText(invalidLine);
+          }
+        }
       }
+      line += countLines(buffer, from, to);
+    };
 
-      // Parse teachers (docentes)
-      if (centro.docentes && centro.docentes.docente) {
-        result.teachers = this.parseTeachers(centro.docentes.docente);
+    // Element of a section read from a tag, or null
+    const readElement = (tag, tagLine) => {
+      const endMatch = END_TAG_PATTERN.exec(tag);
+      if (endMatch) {
+        if (stack[stack.length - 1] !== endMatch[1]) {
+          throw malformed(`se esperaba </${stack[stack.length - 1] || profile.root}> y se ha encontrado </${endMatch[1]}>`, tagLine);
+        }
+        stack.pop();
+        return null;
       }
 
-      // Parse non-teaching staff (no_docentes)
-      if (centro.no_docentes && centro.no_docentes.no_docente) {
-        result.nonTeachingStaff = this.parseNonTeachingStaff(centro.no_docentes.no_docente);
+      const startMatch = START_TAG_PATTERN.exec(tag);
+      if (!startMatch) {
+        throw malformed(`etiqueta no válida ${tag.slice(0, 40)}`, tagLine);
       }
 
-      return result;
-    } catch (error) {
-      console.error('Error parsing XML:', error);
-      throw new Error('No se pudo procesar el archivo XML: ' + error.message);
+      const [, name, attributes, selfClosing] = startMatch;
+      if (stack.length === 0) {
+        if (rootFound) {
+          throw malformed('hay más de un elemento raíz', tagLine);
+        }
+        if (name !== profile.root) {
+          throw new Error(`Invalid XML structure: missing <${profile.root}> root element`);
+        }
+        rootFound = true;
+      }
+
+      stack.push(name);
+      const section = sections.get(stack.join('/'));
+      if (selfClosing) {
+        stack.pop();
+      }
+      if (!section) return null;
+
+      return { section, index: counters[section]++, name, attributes };
+    };
+
+    const stream = fs.createReadStream(this.xmlPath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE });
+
+    for await (const chunk of stream) {
+      buffer += chunk;
+      let position = 0;
+
+      while (true) {
+        const start = buffer.indexOf('<', position);
+        if (start === -1) {
+          advance(position, buffer.length);
+          position = buffer.length;
+          break;
+        }
+        advance(position, start);
+        position = start;
+
+        const special = SPECIAL_MARKUP.find(markup => buffer.startsWith(markup.start, start));
+        const end = special
+          ? buffer.indexOf(special.end, start + special.start.length)
+          : findTagEnd(buffer, start);
+        if (end === -1) {
+          break;
+        }
+
+        const next = special ? end + special.end.length : end + 1;
+        const tagLine = line;
+        advance(start, next);
+        position = next;
+
+        if (!special) {
+          const element = readElement(buffer.slice(start, next), tagLine);
+          if (element) {
+            yield { ...element, line: tagLine, endLine: line };
+          }
+        }
+      }
+
+      buffer = buffer.slice(position);
+      if (options.onProgress) {
+        options.onProgress(size > 0 ? Math.min(stream.bytesRead / size, 1) : 1);
+      }
+    }
+
+    if (buffer.includes('<')) {
+      throw malformed('el archivo termina en mitad de una etiqueta');
+    }
+    if (!rootFound) {
+      throw new Error(`Invalid XML structure: missing <${profile.root}> root element`);
+    }
+    if (stack.length > 0) {
+      throw malformed(`falta cerrar <${stack[stack.length - 1]}>`);
     }
   }
 
-  parseGroups(groupsData) {
-    const groups = [];
-    const groupArray = Array.isArray(groupsData) ? groupsData : [groupsData];
-
-    groupArray.forEach(group => {
-      // XML attributes are prefixed with @_
-      if (group && group['@_codigo'] && group['@_nombre']) {
-        groups.push({
-          code: group['@_codigo'],
-          name: group['@_nombre']
-        });
-      }
-    });
+  /**
+   * Detect the mapping profile of the file from its first bytes
+   * @param {string} [profileId] - Profile already detected for the file
+   * @returns {Promise<Object>} Profile, also kept in this.profile
+   */
+  async detectProfile(profileId = null) {
+    this.profile = profileId
+      ? this.profiles.find(profile => profile.id === profileId) || null
+      : detectXmlProfile((await this.readSample()).toString('utf8'), this.profiles);
+    if (!this.profile) {
+      throw new Error('No hay ningún perfil de XML para este formato de archivo');
+    }
+    return this.profile;
+  }
 
-    return groups;
+  /**
+   * Start of the file, enough to detect its mapping profile
+   * @returns {Promise<Buffer>}
+   */
+  async readSample() {
+    const handle = await fs.promises.open(this.xmlPath, 'r');
+    try {
+      const buffer = Buffer.alloc(PROFILE_SAMPLE_SIZE);
+      const { bytesRead } = await handle.read(buffer, 0, PROFILE_SAMPLE_SIZE, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
   }
 
-  parseStudents(studentsData) {
-    const students = [];
-    const studentArray = Array.isArray(studentsData) ? studentsData : [studentsData];
-
-    studentArray.forEach(student => {
-      if (student) {
-        students.push({
-          first_name: student['@_nombre'] || '',
-          last_name1: student['@_apellido1'] || '',
-          last_name2: student['@_apellido2'] || '',
-          birth_date: student['@_fecha_nac'] || null,
-          document: student['@_documento'] || '',
-          nia: student['@_NIA'] || null,
-          group_code: student['@_grupo'] || null
-        });
-      }
+  /**
+   * XML parser for the elements of a profile
+   *
+   * Only mapped attributes are converted to numbers; the rest keep their text
+   * as written (leading zeros in phone numbers, postal codes...)
+   * @param {Object} profile - Mapping profile
+   * @returns {XMLParser}
+   */
+  createParser(profile) {
+    const parsedAttributes = getMappedAttributes(profile);
+
+    return new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      parseAttributeValue: true,
+      // Returning null leaves the value unparsed
+      attributeValueProcessor: (name, value) => (parsedAttributes.has(name) ? value : null)
     });
+  }
 
-    return students;
+  /**
+   * @param {Object} element - Parsed group element
+   * @param {Object} groupsProfile - Groups section of the profile
+   * @returns {Object|null} Group, or null if it lacks code or name
+   */
+  parseGroup(element, groupsProfile) {
+    const { code, name } = groupsProfile.fields;
+
+    // XML attributes are prefixed with @_
+    if (!element || !element[`@_${code}`] || !element[`@_${name}`]) {
+      return null;
+    }
+
+    return {
+      code: element[`@_${code}`],
+      name: element[`@_${name}`]
+    };
   }
 
-  parseTeachers(teachersData) {
-    const teachers = [];
-    const teacherArray = Array.isArray(teachersData) ? teachersData : [teachersData];
-
-    teacherArray.forEach(teacher => {
-      if (teacher) {
-        teachers.push({
-          first_name: teacher['@_nombre'] || '',
-          last_name1: teacher['@_apellido1'] || '',
-          last_name2: teacher['@_apellido2'] || '',
-          birth_date: teacher['@_fecha_nac'] || null,
-          document: teacher['@_documento'] || ''
-        });
-      }
-    });
+  /**
+   * @param {Object} element - Parsed user element
+   * @param {Object} usersProfile - Section of the profile
+   * @param {boolean} isStudent - Whether the element is a student
+   * @returns {Object|null} User, or null for elements without attributes
+   */
+  parseUser(element, usersProfile, isStudent) {
+    if (!element) return null;
+
+    const fields = usersProfile.fields;
+    const read = (field) => (fields[field] ? element[`@_${fields[field]}`] : undefined);
 
-    return teachers;
+    const user = {
+      first_name: read('first_name') || '',
+      last_name1: read('last_name1') || '',
+      last_name2: read('last_name2') || '',
+      birth_date: read('birth_date') || null,
+      document: read('document') || ''
+    };
+    if (isStudent) {
+      user.nia = read('nia') || null;
+      user.group_code = read('group_code') || null;
+    }
+    user.attributes = this.extractAttributes(element, Object.values(fields));
+
+    return user;
   }
 
-  parseNonTeachingStaff(staffData) {
-    const staff = [];
-    const staffArray = Array.isArray(staffData) ? staffData : [staffData];
-
-    staffArray.forEach(person => {
-      if (person) {
-        staff.push({
-          first_name: person['@_nombre'] || '',
-          last_name1: person['@_apellido1'] || '',
-          last_name2: person['@_apellido2'] || '',
-          birth_date: person['@_fecha_nac'] || null,
-          document: person['@_documento'] || ''
-        });
+  /**
+   * Collect the attributes of an element that are not mapped to user fields
+   * (email, teléfono, dirección, tutores...)
+   * @param {Object} element - Parsed XML element
+   * @param {Array<string>} mappedFields - Attributes already stored as user fields
+   * @returns {Object} Attribute name -> text value (empty values are skipped)
+   */
+  extractAttributes(element, mappedFields) {
+    const attributes = {};
+
+    Object.keys(element).forEach(key => {
+      if (!key.startsWith('@_')) return;
+
+      const name = key.slice(2);
+      const value = String(element[key]).trim();
+      if (!mappedFields.includes(name) && value !== '') {
+        attributes[name] = value;
       }
     });
 
-    return staff;
+    return attributes;
   }
 }
 
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * XML mapping profiles
+ *
+ * A profile describes where the users and groups are in the XML export of
+ * a school management system: the root element, the path of each kind of
+ * element under the root and the attribute that holds each user field.
+ * Built-in profiles are the JSON files of src/main/profiles; users can add
+ * their own (stored in the global config).
+ *
+ * {
+ *   "id": "centro",
+ *   "name": "Formato estándar (<centro>)",
+ *   "root": "centro",
+ *   "groups": { "path": "grupos/grupo", "fields": { "code": "codigo", "name": "nombre" } },
+ *   "students": { "path": "alumnos/alumno", "fields": { "first_name": "nombre", "nia": "NIA", ... } },
+ *   "teachers": { ... },
+ *   "nonTeachingStaff": { ... }
+ * }
+ */
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+
+// Sections of a profile: fields that can be mapped, and fields the profile must map
+const PROFILE_SECTIONS = {
+  groups: {
+    fields: ['code', 'name'],
+    required: ['code', 'name']
+  },
+  students: {
+    fields: ['first_name', 'last_name1', 'last_name2', 'birth_date', 'document', 'nia', 'group_code'],
+    required: ['first_name', 'nia']
+  },
+  teachers: {
+    fields: ['first_name', 'last_name1', 'last_name2', 'birth_date', 'document'],
+    required: ['first_name', 'document']
+  },
+  nonTeachingStaff: {
+    fields: ['first_name', 'last_name1', 'last_name2', 'birth_date', 'document'],
+    required: ['first_name', 'document']
+  }
+};
+
+const USER_SECTIONS = ['students', 'teachers', 'nonTeachingStaff'];
+
+const NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+let builtInProfiles = null;
+
+/**
+ * Profiles that ship with the app
+ * @returns {Object[]}
+ */
+function getBuiltInProfiles() {
+  if (!builtInProfiles) {
+    builtInProfiles = fs.readdirSync(PROFILES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => ({
+        ...JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8')),
+        builtIn: true
+      }));
+  }
+  return builtInProfiles;
+}
+
+/**
+ * Check that a profile can be used to read an XML file
+ * @param {Object} profile - Mapping profile
+ * @returns {string|null} Error message or null if valid
+ */
+function validateXmlProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return 'El perfil no es un objeto JSON';
+  }
+  if (!profile.id || typeof profile.id !== 'string') {
+    return 'El perfil necesita un identificador ("id")';
+  }
+  if (!profile.name || typeof profile.name !== 'string') {
+    return 'El perfil necesita un nombre ("name")';
+  }
+  if (!profile.root || !NAME_PATTERN.test(profile.root)) {
+    return 'El perfil necesita el nombre del elemento raíz ("root")';
+  }
+  if (!USER_SECTIONS.some(section => profile[section])) {
+    return 'El perfil no define alumnos, docentes ni no docentes';
+  }
+
+  for (const [section, definition] of Object.entries(PROFILE_SECTIONS)) {
+    const sectionProfile = profile[section];
+    if (!sectionProfile) continue;
+
+    const segments = typeof sectionProfile.path === 'string' ? sectionProfile.path.split('/') : [];
+    if (segments.length === 0 || !segments.every(segment => NAME_PATTERN.test(segment))) {
+      return `La ruta de "${section}" no es válida`;
+    }
+
+    const fields = sectionProfile.fields || {};
+    const unknown = Object.keys(fields).find(field => !definition.fields.includes(field));
+    if (unknown) {
+      return `Campo desconocido en "${section}": ${unknown}`;
+    }
+    const invalid = Object.values(fields).find(name => typeof name !== 'string' || !NAME_PATTERN.test(name));
+    if (invalid !== undefined) {
+      return `Nombre de atributo no válido en "${section}": ${invalid}`;
+    }
+    const missing = definition.required.find(field => !fields[field]);
+    if (missing) {
+      return `Falta el atributo de "${missing}" en "${section}"`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Name of the root element of an XML document
+ * @param {string} xmlText - XML content
+ * @returns {string|null}
+ */
+function getRootElementName(xmlText) {
+  const content = xmlText.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<![^>]*>/g, '');
+  const match = /<([A-Za-z_][\w:.-]*)/.exec(content);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the profile of an XML document
+ *
+ * Only profiles with the same root element are considered; among them, the
+ * one whose elements and attributes appear the most in the document wins.
+ * On a tie the first profile of the list is used, so custom profiles should
+ * go before the built-in ones.
+ * @param {string} xmlText - XML content
+ * @param {Object[]} profiles - Candidate profiles
+ * @returns {Object|null} Detected profile or null if none matches
+ */
+function detectXmlProfile(xmlText, profiles) {
+  const root = getRootElementName(xmlText);
+  if (!root) return null;
+
+  let best = null;
+  let bestScore = -1;
+
+  profiles.filter(profile => profile.root === root).forEach(profile => {
+    let score = 0;
+
+    Object.keys(PROFILE_SECTIONS).forEach(section => {
+      const sectionProfile = profile[section];
+      if (!sectionProfile) return;
+
+      const tag = sectionProfile.path.split('/').pop();
+      if (new RegExp(`<${escapeRegExp(tag)}[\\s/>]`).test(xmlText)) {
+        score += 2;
+      }
+      Object.values(sectionProfile.fields).forEach(name => {
+        if (new RegExp(`\\s${escapeRegExp(name)}\\s*=`).test(xmlText)) {
+          score += 1;
+        }
+      });
+    });
+
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Attribute names mapped to user or group fields by a profile
+ * @param {Object} profile - Mapping profile
+ * @returns {Set<string>}
+ */
+function getMappedAttributes(profile) {
+  const names = new Set();
+  Object.keys(PROFILE_SECTIONS).forEach(section => {
+    if (profile[section]) {
+      Object.values(profile[section].fields).forEach(name => names.add(name));
+    }
+  });
+  return names;
+}
+
+module.exports = {
+  PROFILE_SECTIONS,
+  USER_SECTIONS,
+  getBuiltInProfiles,
+  validateXmlProfile,
+  getRootElementName,
+  detectXmlProfile,
+  getMappedAttributes
+};
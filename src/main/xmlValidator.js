@@ -0,0 +1,268 @@
+const fs = require('fs');
+const { XMLValidator } = require('fast-xml-parser');
+const validators = require('../renderer/utils/validators');
+const XMLUserParser = require('./xmlParser');
+const { DNI_PATTERN } = require('./utils/userValidation');
+const { getBuiltInProfiles, detectXmlProfile, getRootElementName } = require('./xmlProfiles');
+
+/**
+ * Validation of XML rosters before they are imported
+ *
+ * Reports every problem with the line and element where it is found, and
+ * the elements that have to be left out to import only the valid ones.
+ * The file is read in chunks with XMLUserParser.elements(), so the elements
+ * are counted in the same order XMLUserParser reads them and the indexes
+ * can be passed to XMLUserParser.parse() and records().
+ */
+
+// Fields that have to be filled in, per profile section (when the profile maps them)
+const REQUIRED_FIELDS = {
+  groups: ['code', 'name'],
+  students: ['first_name', 'last_name1', 'nia'],
+  teachers: ['first_name', 'last_name1', 'document'],
+  nonTeachingStaff: ['first_name', 'last_name1', 'document']
+};
+
+const USER_TYPES = {
+  students: 'student',
+  teachers: 'teacher',
+  nonTeachingStaff: 'non_teaching_staff'
+};
+
+// Any attribute name (teléfono, dirección...), like XMLUserParser
+const ATTRIBUTE_PATTERN = /([^\s=<>/"']+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+const decodeEntities = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => ENTITIES[name]);
+
+// Last report, reused while the file does not change (validation, duplicates and import read the same file)
+let lastValidation = null;
+
+/**
+ * Attribute values of a tag, by attribute name
+ * @private
+ */
+function readAttributes(attributeText) {
+  const attributes = {};
+  let attribute;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((attribute = ATTRIBUTE_PATTERN.exec(attributeText)) !== null) {
+    attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]).trim();
+  }
+  return attributes;
+}
+
+/**
+ * Problems of a group or user element, except the group check of users,
+ * which needs every group of the file
+ * @private
+ */
+function checkElement(section, fields, attributes) {
+  const value = (field) => (fields[field] ? attributes[fields[field]] : undefined);
+  const problems = [];
+
+  REQUIRED_FIELDS[section].forEach(field => {
+    if (fields[field] && !attributes[fields[field]]) {
+      problems.push(`Falta el atributo obligatorio "${fields[field]}"`);
+    }
+  });
+
+  if (section !== 'groups') {
+    const nia = value('nia');
+    if (nia && !validators.isValidNIA(nia)) {
+      problems.push(`NIA no válido "${nia}": debe tener entre 8 y 10 dígitos`);
+    }
+
+    const document = value('document');
+    if (document && DNI_PATTERN.test(document.toUpperCase()) && !validators.isValidDNI(document.toUpperCase())) {
+      problems.push(`La letra del DNI "${document}" no es correcta`);
+    }
+
+    const birthDate = value('birth_date');
+    if (birthDate && !validators.isValidSpanishDate(birthDate)) {
+      problems.push(`Fecha de nacimiento no válida "${birthDate}": debe ser una fecha DD/MM/AAAA`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate an XML roster file
+ *
+ * The file is read once, in chunks. The report is kept and returned again
+ * for the same file while its size and modification time do not change.
+ * @param {string} filePath - Path of the XML file
+ * @param {Object[]} [customProfiles] - User-defined mapping profiles, tried before the built-in ones
+ * @returns {Promise<{
+ *   fatal: {line: number|null, message: string}|null,
+ *   profile: {id: string, name: string}|null,
+ *   issues: Array<{line: number|null, element: string|null, name: string|null, message: string}>,
+ *   elementCount: number,
+ *   invalidCount: number,
+ *   exclude: Object<string, number[]>,
+ *   skippedKeys: string[]
+ * }>}
+ * fatal is set when nothing can be imported; exclude lists the indexes of
+ * the invalid elements per profile section and skippedKeys their user
+ * keys, so an update does not take them as removed users.
+ */
+async function validateRosterXMLFile(filePath, customProfiles = []) {
+  const { size, mtimeMs } = await fs.promises.stat(filePath);
+  const key = JSON.stringify([filePath, size, mtimeMs, customProfiles]);
+  if (lastValidation && lastValidation.key === key) {
+    return lastValidation.report;
+  }
+
+  const report = await validateRoster(new XMLUserParser(filePath, customProfiles));
+  lastValidation = { key, report };
+  return report;
+}
+
+/**
+ * Read the roster of a parser and build its validation report
+ * @private
+ */
+async function validateRoster(parser) {
+  const report = {
+    fatal: null,
+    profile: null,
+    issues: [],
+    elementCount: 0,
+    invalidCount: 0,
+    exclude: { groups: [], students: [], teachers: [], nonTeachingStaff: [] },
+    skippedKeys: []
+  };
+
+  const sample = await parser.readSample();
+  if ((sample[0] === 0xFF && sample[1] === 0xFE) || (sample[0] === 0xFE && sample[1] === 0xFF)) {
+    report.fatal = { line: null, message: 'El archivo está codificado en UTF-16. Guárdalo como UTF-8 e inténtalo de nuevo' };
+    return report;
+  }
+
+  const sampleText = sample.toString('utf8');
+  const profile = detectXmlProfile(sampleText, parser.profiles);
+  if (!profile) {
+    const root = getRootElementName(sampleText);
+    report.fatal = {
+      line: null,
+      message: root
+        ? `No hay ningún perfil de XML para archivos con el elemento raíz <${root}>. Añade un perfil para este formato en Proyecto > Perfiles de XML`
+        : 'El XML no está bien formado: no tiene elemento raíz'
+    };
+    return report;
+  }
+  report.profile = { id: profile.id, name: profile.name };
+
+  // Encoding problems are reported per line and invalidate the elements on them
+  const declared = /<\?xml[^>]*encoding\s*=\s*["']([^"']+)["']/i.exec(sampleText);
+  const encodingHint = declared && !/^utf-?8$/i.test(declared[1])
+    ? ` (el archivo declara la codificación ${declared[1]}; guárdalo como UTF-8)`
+    : ' (¿archivo guardado como ISO-8859-1? Guárdalo como UTF-8)';
+  const encodingMessage = `Caracteres que no son UTF-8 válido${encodingHint}`;
+  const badLines = new Set();
+  const elementBadLines = new Set();
+
+  const groupCodes = new Set();
+  const codeAttribute = profile.groups ? profile.groups.fields.code : null;
+  // Users whose group had not been read yet when they were checked
+  const pending = [];
+  // Elements with problems, reported in document order at the end
+  const invalid = [];
+
+  const reject = (element, problems) => {
+    const { section, name: tag, line, index, attributes } = element;
+    const fields = profile[section].fields;
+    const value = (field) => (fields[field] ? attributes[fields[field]] : undefined);
+    const name = section === 'groups'
+      ? (value('code') || value('name') || null)
+      : [value('first_name'), value('last_name1'), value('last_name2')].filter(Boolean).join(' ') || null;
+
+    problems.forEach(message => {
+      report.issues.push({ line, element: tag, name, message });
+    });
+
+    report.invalidCount++;
+    report.exclude[section].push(index);
+
+    if (section !== 'groups') {
+      const identifier = section === 'students' ? value('nia') : value('document');
+      if (identifier) {
+        report.skippedKeys.push(`${USER_TYPES[section]}_${identifier}`);
+      }
+    }
+  };
+
+  try {
+    for await (const element of parser.elements(profile, { onInvalidText: line => badLines.add(line) })) {
+      const { section, name: tag, attributes: attributeText, line, endLine } = element;
+      report.elementCount++;
+
+      const wellFormed = XMLValidator.validate(`<${tag}${attributeText}/>`);
+      if (wellFormed !== true) {
+        report.fatal = { line, message: `El XML no está bien formado (línea ${line}): ${wellFormed.err.msg}` };
+        return report;
+      }
+
+      const attributes = readAttributes(attributeText);
+      let badEncoding = false;
+      for (let badLine = line; badLine <= endLine; badLine++) {
+        if (badLines.has(badLine)) {
+          elementBadLines.add(badLine);
+          badEncoding = true;
+        }
+      }
+      const checked = {
+        element: { ...element, attributes },
+        problems: checkElement(section, profile[section].fields, attributes),
+        badEncoding
+      };
+
+      if (section === 'groups' && attributes[codeAttribute]) {
+        groupCodes.add(attributes[codeAttribute]);
+      }
+
+      const groupField = section === 'groups' ? null : profile[section].fields.group_code;
+      checked.groupCode = groupField ? attributes[groupField] : null;
+      if (checked.groupCode && !groupCodes.has(checked.groupCode)) {
+        pending.push(checked);
+      } else if (checked.problems.length > 0 || badEncoding) {
+        invalid.push(checked);
+      }
+    }
+  } catch (error) {
+    report.fatal = { line: error.line || null, message: error.message };
+    return report;
+  }
+
+  // Groups defined after their users are known now
+  pending.forEach(checked => {
+    if (!groupCodes.has(checked.groupCode)) {
+      checked.problems.push(`El grupo "${checked.groupCode}" no está definido en el archivo`);
+    }
+    if (checked.problems.length > 0 || checked.badEncoding) {
+      invalid.push(checked);
+    }
+  });
+
+  invalid
+    .sort((a, b) => a.element.line - b.element.line)
+    .forEach(({ element, problems, badEncoding }) => reject(element, badEncoding ? [...problems, encodingMessage] : problems));
+
+  // Encoding problems outside the user and group elements
+  badLines.forEach(badLine => {
+    if (!elementBadLines.has(badLine)) {
+      report.issues.push({ line: badLine, element: null, name: null, message: encodingMessage });
+    }
+  });
+
+  report.issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+  return report;
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  validateRosterXMLFile
+};
@@ -7,17 +7,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
   createProject: (data) => ipcRenderer.invoke('create-project', data),
   openProject: (folderPath) => ipcRenderer.invoke('open-project', folderPath),
   closeProject: () => ipcRenderer.invoke('close-project'),
+  analyzePreviousProject: (previousProjectPath) => ipcRenderer.invoke('analyze-previous-project', previousProjectPath),
+  carryOverPreviousProject: (data) => ipcRenderer.invoke('carry-over-previous-project', data),
 
   // User management
   getUsers: (filters, options) => ipcRenderer.invoke('get-users', filters, options),
   getGroups: () => ipcRenderer.invoke('get-groups'),
+  updateGroups: (groups) => ipcRenderer.invoke('update-groups', groups),
+  deriveGroupMetadata: (groups) => ipcRenderer.invoke('derive-group-metadata', groups),
+  createUser: (userData) => ipcRenderer.invoke('create-user', userData),
+  updateUser: (userId, userData) => ipcRenderer.invoke('update-user', userId, userData),
+  deleteUser: (userId) => ipcRenderer.invoke('delete-user', userId),
+  getUserAttributes: (userId) => ipcRenderer.invoke('get-user-attributes', userId),
   loadRepositoryImages: (users) => ipcRenderer.invoke('load-repository-images', users),
   getSyncStatus: () => ipcRenderer.invoke('get-sync-status'),
   getProjectInfo: () => ipcRenderer.invoke('get-project-info'),
 
   // Image management
   getImages: () => ipcRenderer.invoke('get-images'),
-  saveCapturedImage: (imageData) => ipcRenderer.invoke('save-captured-image', imageData),
+  saveCapturedImage: (imageData, options) => ipcRenderer.invoke('save-captured-image', imageData, options),
   linkImageToUser: (data) => ipcRenderer.invoke('link-image-user', data),
   confirmLinkImage: (data) => ipcRenderer.invoke('confirm-link-image', data),
 
@@ -29,6 +37,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   markReceiptPrinted: (userId, isPrinted) => ipcRenderer.invoke('mark-receipt-printed', userId, isPrinted),
   getReceiptPrintedStatus: (userId) => ipcRenderer.invoke('get-receipt-printed-status', userId),
 
+  // Audit log
+  getAuditLog: (userId) => ipcRenderer.invoke('get-audit-log', userId),
+
   // Dialog
   showOpenDialog: (options) => ipcRenderer.invoke('show-open-dialog', options),
   focusWindow: () => ipcRenderer.invoke('focus-window'),
@@ -90,6 +101,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('menu-delete-photo', callback);
   },
 
+  onMenuNewUser: (callback) => {
+    ipcRenderer.on('menu-new-user', callback);
+  },
+
+  onMenuEditUser: (callback) => {
+    ipcRenderer.on('menu-edit-user', callback);
+  },
+
+  onMenuShowUserHistory: (callback) => {
+    ipcRenderer.on('menu-show-user-history', callback);
+  },
+
+  onMenuAdjustPhotoCrop: (callback) => {
+    ipcRenderer.on('menu-adjust-photo-crop', callback);
+  },
+
   onMenuToggleDuplicates: (callback) => {
     ipcRenderer.on('menu-toggle-duplicates', (event, enabled) => callback(enabled));
   },
@@ -102,6 +129,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('menu-toggle-publication-requests', (event, enabled) => callback(enabled));
   },
 
+  onMenuToggleQualityIssues: (callback) => {
+    ipcRenderer.on('menu-toggle-quality-issues', (event, enabled) => callback(enabled));
+  },
+
   onMenuToggleCapturedPhotos: (callback) => {
     ipcRenderer.on('menu-toggle-captured-photos', (event, enabled) => callback(enabled));
   },
@@ -154,6 +185,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('menu-export-paid-users-csv', callback);
   },
 
+  onMenuExportAuditLog: (callback) => {
+    ipcRenderer.on('menu-export-audit-log', callback);
+  },
+
+  onMenuBackupProject: (callback) => {
+    ipcRenderer.on('menu-backup-project', callback);
+  },
+
+  onMenuRestoreBackup: (callback) => {
+    ipcRenderer.on('menu-restore-backup', callback);
+  },
+
   importImagesWithId: (folderPath) => ipcRenderer.invoke('import-images-with-id', folderPath),
   exportCSV: (folderPath, users) => ipcRenderer.invoke('export-csv', folderPath, users),
   exportInventoryCSV: (folderPath, users) => ipcRenderer.invoke('export-inventory-csv', folderPath, users),
@@ -164,10 +207,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
   exportOrlaPDF: (data) => ipcRenderer.invoke('export-orla-pdf', data),
   exportPaidUsersListPDF: (data) => ipcRenderer.invoke('export-paid-users-list-pdf', data),
   exportPaidUsersCSV: (data) => ipcRenderer.invoke('export-paid-users-csv', data),
+  exportAuditLog: (data) => ipcRenderer.invoke('export-audit-log', data),
+  exportUpdateDiff: (data) => ipcRenderer.invoke('export-update-diff', data),
+  exportImportReportSection: (data) => ipcRenderer.invoke('export-import-report-section', data),
+  backupProject: (data) => ipcRenderer.invoke('backup-project', data),
+  restoreBackup: (data) => ipcRenderer.invoke('restore-backup', data),
 
   unlinkImageFromUser: (userId) => ipcRenderer.invoke('unlink-image-user', userId),
+  getUserImages: (userId) => ipcRenderer.invoke('get-user-images', userId),
+  setCurrentUserImage: (imageId) => ipcRenderer.invoke('set-current-user-image', imageId),
+  updateUserImage: (imageId, updates) => ipcRenderer.invoke('update-user-image', imageId, updates),
+  getImageCrop: (imagePath) => ipcRenderer.invoke('get-image-crop', imagePath),
+  getImageQuality: (imagePath) => ipcRenderer.invoke('get-image-quality', imagePath),
+  saveImageCrop: (imagePath, crop) => ipcRenderer.invoke('save-image-crop', imagePath, crop),
+  saveCropSettings: (settings) => ipcRenderer.invoke('save-crop-settings', settings),
 
   moveImageToIngest: (imagePath) => ipcRenderer.invoke('move-image-to-ingest', imagePath),
+  removeImageFromIngest: (filename) => ipcRenderer.invoke('remove-image-from-ingest', filename),
+  restoreImageToIngest: (undoPath) => ipcRenderer.invoke('restore-image-to-ingest', undoPath),
 
   // Camera
   updateAvailableCameras: (cameras) => ipcRenderer.invoke('update-available-cameras', cameras),
@@ -175,13 +232,57 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onChangeCamera: (callback) => {
     ipcRenderer.on('change-camera', (event, cameraId) => callback(cameraId));
   },
+  proposeFaceCrop: (image, face) => ipcRenderer.invoke('propose-face-crop', image, face),
+  getCameraOverlay: (cameraId) => ipcRenderer.invoke('get-camera-overlay', cameraId),
+  saveCameraOverlay: (cameraId, settings) => ipcRenderer.invoke('save-camera-overlay', cameraId, settings),
+  getOverlayLayout: (frame, preset, face) => ipcRenderer.invoke('get-overlay-layout', frame, preset, face),
+  setCaptureTarget: (target) => ipcRenderer.invoke('set-capture-target', target),
+  getCaptureTarget: () => ipcRenderer.invoke('get-capture-target'),
+  getBurstSettings: () => ipcRenderer.invoke('get-burst-settings'),
+  saveBurstSettings: (settings) => ipcRenderer.invoke('save-burst-settings', settings),
+  scoreBurstFrames: (frames, criterion) => ipcRenderer.invoke('score-burst-frames', frames, criterion),
+  onCaptureTargetChanged: (callback) => {
+    ipcRenderer.on('capture-target-changed', (event, target) => callback(target));
+  },
+  onCameraCaptureLinked: (callback) => {
+    ipcRenderer.on('camera-capture-linked', (event, data) => callback(data));
+  },
 
   // XML update
-  updateXML: (xmlPath) => ipcRenderer.invoke('update-xml', xmlPath),
+  updateXML: (xmlPath, mapping, validOnly, duplicateResolutions) => ipcRenderer.invoke('update-xml', xmlPath, mapping, validOnly, duplicateResolutions),
+  findRosterDuplicates: (data) => ipcRenderer.invoke('find-roster-duplicates', data),
+  validateRosterXML: (xmlPath) => ipcRenderer.invoke('validate-roster-xml', xmlPath),
+  readRosterFile: (filePath) => ipcRenderer.invoke('read-roster-file', filePath),
   confirmUpdateXML: (data) => ipcRenderer.invoke('confirm-update-xml', data),
+  discardUpdateXML: (sessionId) => ipcRenderer.invoke('discard-update-xml', sessionId),
   onMenuUpdateXML: (callback) => {
     ipcRenderer.on('menu-update-xml', callback);
   },
+  onRosterUpdateAvailable: (callback) => {
+    ipcRenderer.on('roster-update-available', (event, data) => callback(data));
+  },
+  checkProjectIntegrity: () => ipcRenderer.invoke('check-project-integrity'),
+  repairProjectIntegrity: (category) => ipcRenderer.invoke('repair-project-integrity', category),
+  onMenuCheckIntegrity: (callback) => {
+    ipcRenderer.on('menu-check-integrity', callback);
+  },
+  onMenuXmlProfiles: (callback) => {
+    ipcRenderer.on('menu-xml-profiles', callback);
+  },
+  onMenuManageGroups: (callback) => {
+    ipcRenderer.on('menu-manage-groups', callback);
+  },
+
+  // Import reports
+  getImportReports: () => ipcRenderer.invoke('get-import-reports'),
+  getImportReport: (reportId) => ipcRenderer.invoke('get-import-report', reportId),
+  onImportReportSelected: (callback) => {
+    ipcRenderer.on('import-report-selected', (event, reportId) => callback(reportId));
+  },
+  showUserInMainWindow: (userId) => ipcRenderer.invoke('show-user-in-main-window', userId),
+  onShowUser: (callback) => {
+    ipcRenderer.on('show-user', (event, userId) => callback(userId));
+  },
 
   // Global configuration
   getImageRepositoryPath: () => ipcRenderer.invoke('get-image-repository-path'),
@@ -189,6 +290,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   updateWindowTitle: () => ipcRenderer.invoke('update-window-title'),
   getSelectedGroupFilter: () => ipcRenderer.invoke('get-selected-group-filter'),
   setSelectedGroupFilter: (groupCode) => ipcRenderer.invoke('set-selected-group-filter', groupCode),
+  getRosterProfiles: () => ipcRenderer.invoke('get-roster-profiles'),
+  saveRosterProfile: (name, mapping) => ipcRenderer.invoke('save-roster-profile', name, mapping),
+  deleteRosterProfile: (name) => ipcRenderer.invoke('delete-roster-profile', name),
+  getXmlProfiles: () => ipcRenderer.invoke('get-xml-profiles'),
+  importXmlProfile: (filePath) => ipcRenderer.invoke('import-xml-profile', filePath),
+  deleteXmlProfile: (id) => ipcRenderer.invoke('delete-xml-profile', id),
+  exportXmlProfile: (data) => ipcRenderer.invoke('export-xml-profile', data),
   onGroupFilterChanged: (callback) => {
     ipcRenderer.on('group-filter-changed', (event, groupCode) => callback(groupCode));
   },
@@ -228,5 +336,6 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Filter toggle methods (for badge clicks)
   toggleDuplicatesFilter: (enabled) => ipcRenderer.send('menu-toggle-duplicates-from-renderer', enabled),
   toggleCardPrintRequestsFilter: (enabled) => ipcRenderer.send('menu-toggle-card-print-requests-from-renderer', enabled),
-  togglePublicationRequestsFilter: (enabled) => ipcRenderer.send('menu-toggle-publication-requests-from-renderer', enabled)
+  togglePublicationRequestsFilter: (enabled) => ipcRenderer.send('menu-toggle-publication-requests-from-renderer', enabled),
+  toggleQualityIssuesFilter: (enabled) => ipcRenderer.send('menu-toggle-quality-issues-from-renderer', enabled)
 });
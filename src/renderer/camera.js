@@ -3,10 +3,57 @@ let cameraStream = null;
 let currentCameraId = null;
 let rotationDegrees = 0;
 
+// Capture for selected user: the shot is linked to the user selected in the main window
+let captureForUser = false;
+let captureTarget = null;
+
+// Face-centred 3:4 crop shown on the preview (Shape Detection API, runs offline)
+const CROP_PREVIEW_INTERVAL = 500;
+const faceDetector = 'FaceDetector' in window
+  ? new window.FaceDetector({ fastMode: true, maxDetectedFaces: 5 })
+  : null;
+let cropPreviewTimer = null;
+let cropPreviewBusy = false;
+
+// Composition guides drawn over the preview, saved for each camera
+let overlaySettings = null;
+let faceLevel = null;
+
+// Quality problems of the last capture stay on screen for a while
+const QUALITY_STATUS_DURATION = 6000;
+let qualityStatusTimer = null;
+
+// Burst capture: several frames over about a second, the best one is saved
+// and the others stay in a strip until the next capture
+const BURST_DURATION = 1000;
+let burstSettings = { enabled: false, frameCount: 5, criterion: 'balanced' };
+let burstFrames = [];
+let burstTarget = null;
+let capturing = false;
+
 // DOM Elements
 const cameraPreview = document.getElementById('camera-preview');
 const captureBtn = document.getElementById('capture-btn');
 const rotateBtn = document.getElementById('rotate-btn');
+const captureForUserToggle = document.getElementById('capture-for-user-toggle');
+const captureTargetInfo = document.getElementById('capture-target-info');
+const captureTargetName = document.getElementById('capture-target-name');
+const captureTargetStatus = document.getElementById('capture-target-status');
+const cropOverlay = document.getElementById('crop-overlay');
+const cropStatus = document.getElementById('crop-status');
+const qualityStatus = document.getElementById('quality-status');
+const guideOverlay = document.getElementById('guide-overlay');
+const levelStatus = document.getElementById('level-status');
+const overlayPresetSelect = document.getElementById('overlay-preset');
+const overlayGuideToggles = document.querySelectorAll('[data-guide]');
+const overlayLevelToggle = document.getElementById('overlay-level');
+const burstToggle = document.getElementById('burst-toggle');
+const burstFrameCountInput = document.getElementById('burst-frame-count');
+const burstCriterionSelect = document.getElementById('burst-criterion');
+const burstStrip = document.getElementById('burst-strip');
+const burstStripStatus = document.getElementById('burst-strip-status');
+const burstFramesContainer = document.getElementById('burst-frames');
+const burstDiscardBtn = document.getElementById('burst-discard-btn');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
@@ -14,13 +61,321 @@ document.addEventListener('DOMContentLoaded', async () => {
   await initializeCamera();
   captureBtn.addEventListener('click', handleCapture);
   rotateBtn.addEventListener('click', handleRotate);
+  captureForUserToggle.addEventListener('change', () => {
+    captureForUser = captureForUserToggle.checked;
+    renderCaptureTarget();
+  });
+  [burstToggle, burstFrameCountInput, burstCriterionSelect].forEach((control) => {
+    control.addEventListener('change', handleBurstSettingsChange);
+  });
+  burstDiscardBtn.addEventListener('click', discardBurst);
+  [overlayPresetSelect, overlayLevelToggle, ...overlayGuideToggles].forEach((control) => {
+    control.addEventListener('change', handleOverlaySettingsChange);
+  });
+  cameraPreview.addEventListener('loadedmetadata', () => drawGuideOverlay());
+  window.addEventListener('resize', () => drawGuideOverlay());
+  await loadOverlaySettings();
+
+  // Burst settings belong to the project, which may change while the window is open
+  window.addEventListener('focus', refreshBurstSettings);
+  await refreshBurstSettings();
 
   // Listen for camera changes from menu
   window.electronAPI.onChangeCamera(async (cameraId) => {
     await switchCamera(cameraId);
   });
+
+  // Listen for selection changes in the main window
+  window.electronAPI.onCaptureTargetChanged((target) => {
+    captureTarget = target;
+    renderCaptureTarget();
+  });
+
+  const result = await window.electronAPI.getCaptureTarget();
+  captureTarget = result.success ? result.target : null;
+  renderCaptureTarget();
+
+  cropPreviewTimer = setInterval(updateCropPreview, CROP_PREVIEW_INTERVAL);
 });
 
+// Find the faces in a video frame or canvas
+// Returns the boxes { x, y, width, height, eyeY? } in source pixels, largest first,
+// or null when there is no detector (nothing is known about the faces)
+async function detectFaces(source) {
+  if (!faceDetector) return null;
+
+  try {
+    const faces = await faceDetector.detect(source);
+
+    return faces.map((face) => {
+      const { x, y, width, height } = face.boundingBox;
+      const eyes = (face.landmarks || [])
+        .filter(landmark => landmark.type === 'eye')
+        .flatMap(landmark => landmark.locations);
+
+      return {
+        x, y, width, height,
+        ...(eyes.length > 0 ? { eyeY: eyes.reduce((sum, point) => sum + point.y, 0) / eyes.length } : {})
+      };
+    }).sort((a, b) => b.width * b.height - a.width * a.height);
+  } catch (error) {
+    console.error('Error detecting face:', error);
+    return null;
+  }
+}
+
+// Draw the crop that would be proposed for the current frame
+async function updateCropPreview() {
+  const videoWidth = cameraPreview.videoWidth;
+  const videoHeight = cameraPreview.videoHeight;
+  if (cropPreviewBusy || !cameraStream || !videoWidth || !videoHeight) return;
+
+  cropPreviewBusy = true;
+  try {
+    await drawCropPreview(videoWidth, videoHeight);
+  } finally {
+    cropPreviewBusy = false;
+  }
+}
+
+async function drawCropPreview(videoWidth, videoHeight) {
+  const faces = await detectFaces(cameraPreview);
+  const face = faces && faces.length > 0 ? faces[0] : null;
+  await drawGuideOverlay(face);
+
+  const result = await window.electronAPI.proposeFaceCrop({ width: videoWidth, height: videoHeight }, face);
+  if (!result.success) return;
+
+  // Match the overlay to the area where object-fit: contain draws the video
+  const { clientWidth, clientHeight } = cameraPreview;
+  cropOverlay.width = clientWidth;
+  cropOverlay.height = clientHeight;
+  cropOverlay.style.transform = cameraPreview.style.transform;
+  const scale = Math.min(clientWidth / videoWidth, clientHeight / videoHeight);
+  const offsetX = (clientWidth - videoWidth * scale) / 2;
+  const offsetY = (clientHeight - videoHeight * scale) / 2;
+
+  const context = cropOverlay.getContext('2d');
+  context.clearRect(0, 0, cropOverlay.width, cropOverlay.height);
+  context.strokeStyle = result.source === 'face' ? '#5ad17a' : '#e0b040';
+  context.lineWidth = 2;
+  context.setLineDash(result.source === 'face' ? [] : [8, 6]);
+  context.strokeRect(
+    offsetX + result.crop.left * scale,
+    offsetY + result.crop.top * scale,
+    result.crop.width * scale,
+    result.crop.height * scale
+  );
+
+  if (result.source === 'face') {
+    cropStatus.style.display = 'none';
+  } else {
+    cropStatus.textContent = faceDetector
+      ? 'No se detecta ninguna cara: recorte centrado'
+      : 'Vista previa sin detector de caras: la cara se buscará al guardar la foto';
+    cropStatus.style.display = 'block';
+  }
+}
+
+// Size of the frame as it is saved (after rotation)
+function getFrameSize() {
+  const { videoWidth, videoHeight } = cameraPreview;
+  return rotationDegrees === 90 || rotationDegrees === 270
+    ? { width: videoHeight, height: videoWidth }
+    : { width: videoWidth, height: videoHeight };
+}
+
+// Move a face box found in the video frame to the saved (rotated) frame
+function rotateFaceBox(face) {
+  const { videoWidth, videoHeight } = cameraPreview;
+  const { x, y, width, height } = face;
+
+  if (rotationDegrees === 90) {
+    return { x: videoHeight - y - height, y: x, width: height, height: width };
+  } else if (rotationDegrees === 180) {
+    return { x: videoWidth - x - width, y: videoHeight - y - height, width, height };
+  } else if (rotationDegrees === 270) {
+    return { x: y, y: videoWidth - x - width, width: height, height: width };
+  }
+  return face;
+}
+
+// Draw the composition guides of the camera over the preview
+// face: face found in the last video frame, null if none, undefined to keep the last level
+async function drawGuideOverlay(face) {
+  const frame = getFrameSize();
+  if (!overlaySettings || !cameraStream || !frame.width || !frame.height) {
+    guideOverlay.getContext('2d').clearRect(0, 0, guideOverlay.width, guideOverlay.height);
+    return;
+  }
+
+  const levelFace = overlaySettings.level && face ? rotateFaceBox(face) : null;
+  const result = await window.electronAPI.getOverlayLayout(frame, overlaySettings.preset, levelFace);
+  if (!result.success) return;
+
+  if (face !== undefined) {
+    faceLevel = result.level;
+    renderLevelStatus();
+  }
+
+  // The guides are not rotated with the preview: they follow the frame as it is saved
+  const { clientWidth, clientHeight, videoWidth, videoHeight } = cameraPreview;
+  guideOverlay.width = clientWidth;
+  guideOverlay.height = clientHeight;
+  const scale = Math.min(clientWidth / videoWidth, clientHeight / videoHeight);
+  const toX = x => (clientWidth - frame.width * scale) / 2 + x * scale;
+  const toY = y => (clientHeight - frame.height * scale) / 2 + y * scale;
+
+  const { box, eyeLineY, oval, center } = result.layout;
+  const { guides } = overlaySettings;
+  const context = guideOverlay.getContext('2d');
+  context.lineWidth = 1.5;
+  context.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+
+  if (guides.cropMarks) {
+    const mark = box.width * 0.08 * scale;
+    const left = toX(box.left);
+    const right = toX(box.left + box.width);
+    const top = toY(box.top);
+    const bottom = toY(box.top + box.height);
+    context.beginPath();
+    [[left, top, 1, 1], [right, top, -1, 1], [left, bottom, 1, -1], [right, bottom, -1, -1]].forEach(([x, y, dx, dy]) => {
+      context.moveTo(x + dx * mark, y);
+      context.lineTo(x, y);
+      context.lineTo(x, y + dy * mark);
+    });
+    context.stroke();
+  }
+
+  if (guides.eyeLine) {
+    context.setLineDash([6, 6]);
+    context.beginPath();
+    context.moveTo(toX(box.left), toY(eyeLineY));
+    context.lineTo(toX(box.left + box.width), toY(eyeLineY));
+    context.stroke();
+    context.setLineDash([]);
+  }
+
+  if (guides.faceOval) {
+    context.save();
+    if (faceLevel) {
+      context.strokeStyle = faceLevel.centred ? '#5ad17a' : '#e0b040';
+      context.lineWidth = 2;
+    }
+    context.beginPath();
+    context.ellipse(toX(oval.cx), toY(oval.cy), oval.rx * scale, oval.ry * scale, 0, 0, 2 * Math.PI);
+    context.stroke();
+    context.restore();
+  }
+
+  if (guides.centerCross) {
+    const size = 10;
+    context.beginPath();
+    context.moveTo(toX(center.x) - size, toY(center.y));
+    context.lineTo(toX(center.x) + size, toY(center.y));
+    context.moveTo(toX(center.x), toY(center.y) - size);
+    context.lineTo(toX(center.x), toY(center.y) + size);
+    context.stroke();
+  }
+}
+
+// Warn when the face is not centred on the guides
+function renderLevelStatus() {
+  levelStatus.classList.remove('centred', 'unavailable');
+
+  if (!overlaySettings || !overlaySettings.level) {
+    levelStatus.style.display = 'none';
+  } else if (!faceDetector) {
+    levelStatus.textContent = 'Nivel no disponible: detector de caras no disponible';
+    levelStatus.classList.add('unavailable');
+    levelStatus.style.display = 'block';
+  } else if (!faceLevel) {
+    // Without a face the crop status already tells
+    levelStatus.style.display = 'none';
+  } else {
+    levelStatus.textContent = faceLevel.centred ? 'Cara centrada' : faceLevel.hints.join(' · ');
+    levelStatus.classList.toggle('centred', faceLevel.centred);
+    levelStatus.style.display = 'block';
+  }
+}
+
+// Load the guides of the current camera into the controls
+async function loadOverlaySettings() {
+  const result = await window.electronAPI.getCameraOverlay(currentCameraId);
+  if (!result.success) return;
+
+  overlayPresetSelect.innerHTML = '';
+  result.presets.forEach(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    overlayPresetSelect.appendChild(option);
+  });
+
+  overlaySettings = result.settings;
+  faceLevel = null;
+  renderOverlaySettings();
+  renderLevelStatus();
+  await drawGuideOverlay();
+}
+
+function renderOverlaySettings() {
+  overlayPresetSelect.value = overlaySettings.preset;
+  overlayGuideToggles.forEach((toggle) => {
+    toggle.checked = overlaySettings.guides[toggle.dataset.guide];
+  });
+  overlayLevelToggle.checked = overlaySettings.level;
+}
+
+// Save the guides of the current camera
+async function handleOverlaySettingsChange() {
+  const guides = {};
+  overlayGuideToggles.forEach((toggle) => {
+    guides[toggle.dataset.guide] = toggle.checked;
+  });
+
+  const result = await window.electronAPI.saveCameraOverlay(currentCameraId, {
+    preset: overlayPresetSelect.value,
+    guides,
+    level: overlayLevelToggle.checked
+  });
+
+  if (result.success) {
+    overlaySettings = result.settings;
+  } else {
+    alert('Error al guardar las guías de la cámara: ' + result.error);
+  }
+  if (!overlaySettings.level) {
+    faceLevel = null;
+  }
+  renderOverlaySettings();
+  renderLevelStatus();
+  await drawGuideOverlay();
+}
+
+// Show the selected user and its photo status
+function renderCaptureTarget() {
+  captureTargetInfo.classList.toggle('disabled', !captureForUser);
+  captureTargetStatus.classList.remove('missing', 'linked');
+
+  if (!captureTarget) {
+    captureTargetName.textContent = 'Ningún usuario seleccionado';
+    captureTargetStatus.textContent = '';
+    captureTargetStatus.style.display = 'none';
+  } else {
+    captureTargetName.textContent = captureTarget.group_code
+      ? `${captureTarget.name} (${captureTarget.group_code})`
+      : captureTarget.name;
+    captureTargetStatus.textContent = captureTarget.has_image ? 'Ya tiene foto' : 'Sin foto';
+    captureTargetStatus.classList.add(captureTarget.has_image ? 'linked' : 'missing');
+    captureTargetStatus.style.display = '';
+  }
+
+  // In this mode there is nothing to capture without a selected user
+  captureBtn.disabled = captureForUser && !captureTarget;
+  captureBtn.title = captureBtn.disabled ? 'Selecciona un usuario en la ventana principal' : '';
+}
+
 // Detect available cameras
 async function detectAvailableCameras() {
   try {
@@ -81,6 +436,9 @@ async function switchCamera(cameraId) {
   // Start new camera
   currentCameraId = cameraId;
   await initializeCamera(cameraId);
+
+  // Every camera keeps its own guides
+  await loadOverlaySettings();
 }
 
 function showCameraPlaceholder(message = 'No se pudo acceder a la cámara') {
@@ -103,6 +461,7 @@ function showCameraPlaceholder(message = 'No se pudo acceder a la cámara') {
 function handleRotate() {
   rotationDegrees = (rotationDegrees + 90) % 360;
   cameraPreview.style.transform = `rotate(${rotationDegrees}deg)`;
+  drawGuideOverlay();
 }
 
 // Capture image
@@ -111,7 +470,35 @@ async function handleCapture() {
     alert('La cámara no está disponible');
     return;
   }
+  if (capturing) return;
 
+  // In capture for selected user mode the image is linked right away
+  const target = captureForUser ? captureTarget : null;
+  if (captureForUser && !target) {
+    alert('Selecciona un usuario en la ventana principal');
+    return;
+  }
+  if (target && target.has_image && !confirm(`${target.name} ya tiene una foto. ¿Deseas reemplazarla?`)) {
+    return;
+  }
+
+  capturing = true;
+  try {
+    // Frames of the previous burst are not offered any more
+    discardBurst();
+
+    if (burstSettings.enabled) {
+      await captureBurst(target);
+    } else {
+      await saveFrame(await grabFrame(), target);
+    }
+  } finally {
+    capturing = false;
+  }
+}
+
+// Draw the current video frame, rotated as shown, and find its faces
+async function grabFrame() {
   const canvas = document.getElementById('capture-canvas');
   const context = canvas.getContext('2d');
 
@@ -151,8 +538,26 @@ async function handleCapture() {
   // Convert to JPEG blob
   const imageData = canvas.toDataURL('image/jpeg', 0.9);
 
-  // Save image
-  const result = await window.electronAPI.saveCapturedImage(imageData);
+  // The faces are searched in the rotated frame, as it is saved
+  const faces = await detectFaces(canvas);
+  const face = faces && faces.length > 0 ? faces[0] : null;
+
+  return {
+    imageData,
+    face,
+    faceCount: faces ? faces.length : null,
+    // Eye landmarks are only given by some detectors, and not for closed eyes
+    eyesFound: Boolean(face && face.eyeY !== undefined)
+  };
+}
+
+// Save a frame to ingest, or link it to the target user
+async function saveFrame(frame, target) {
+  const result = await window.electronAPI.saveCapturedImage(frame.imageData, {
+    face: frame.face,
+    faceCount: frame.faceCount,
+    ...(target ? { userId: target.id } : {})
+  });
 
   if (result.success) {
     // Show visual feedback
@@ -160,13 +565,167 @@ async function handleCapture() {
     setTimeout(() => {
       cameraPreview.style.filter = 'brightness(1)';
     }, 100);
+    showQualityStatus(result.qualityIssues || []);
   } else {
     alert('Error al capturar la imagen: ' + result.error);
   }
+  return result.success;
+}
+
+// Take a burst, save its best frame and offer the others in the strip
+async function captureBurst(target) {
+  const frameCount = burstSettings.frameCount;
+  const interval = BURST_DURATION / (frameCount - 1);
+  const start = performance.now();
+  const frames = [];
+
+  for (let i = 0; i < frameCount; i++) {
+    const delay = start + i * interval - performance.now();
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    frames.push(await grabFrame());
+  }
+
+  const result = await window.electronAPI.scoreBurstFrames(frames, burstSettings.criterion);
+  burstFrames = frames.map((frame, index) => ({
+    ...frame,
+    score: result.success ? result.frames[index].score : null,
+    qualityIssues: result.success ? result.frames[index].qualityIssues : [],
+    saved: false
+  }));
+  burstTarget = target;
+
+  if (!result.success) {
+    renderBurstStrip(`No se pudo elegir el mejor fotograma (${result.error}): elige uno`);
+    return;
+  }
+
+  const best = burstFrames[result.bestIndex];
+  best.saved = await saveFrame(best, target);
+  // Without faces the criterion cannot be followed: say so
+  const sharpnessOnly = !result.faceScored && burstSettings.criterion !== 'sharpness'
+    ? ' Sin detector de caras: elegido solo por nitidez.'
+    : '';
+  renderBurstStrip(best.saved
+    ? `Guardado el fotograma ${result.bestIndex + 1} de ${frameCount}.${sharpnessOnly} ` +
+      (target ? 'Elige otro para usarlo en su lugar.' : 'Elige otro para guardarlo también.')
+    : 'No se pudo guardar el mejor fotograma: elige uno');
+}
+
+// Save a frame picked by the operator from the strip
+async function pickBurstFrame(index) {
+  const frame = burstFrames[index];
+  if (!frame || frame.saved || capturing) return;
+
+  capturing = true;
+  try {
+    frame.saved = await saveFrame(frame, burstTarget);
+    if (frame.saved) {
+      renderBurstStrip(burstTarget
+        ? `Fotograma ${index + 1} vinculado a ${burstTarget.name}.`
+        : `Fotograma ${index + 1} guardado.`);
+    }
+  } finally {
+    capturing = false;
+  }
+}
+
+// Show the frames of the last burst, the saved ones marked
+function renderBurstStrip(status) {
+  burstStripStatus.textContent = status;
+  burstFramesContainer.innerHTML = '';
+
+  burstFrames.forEach((frame, index) => {
+    const button = document.createElement('button');
+    button.className = 'burst-frame';
+    button.classList.toggle('saved', frame.saved);
+    button.classList.toggle('warning', frame.qualityIssues.length > 0);
+    button.title = frame.saved
+      ? 'Fotograma guardado'
+      : [`Usar el fotograma ${index + 1}`, ...frame.qualityIssues].join('\n');
+
+    const image = document.createElement('img');
+    image.src = frame.imageData;
+    image.alt = `Fotograma ${index + 1}`;
+
+    const label = document.createElement('span');
+    label.className = 'burst-frame-label';
+    label.textContent = frame.saved
+      ? 'Guardado'
+      : frame.score === null ? `${index + 1}` : `${index + 1} · ${Math.round(frame.score * 100)}`;
+
+    button.append(image, label);
+    button.addEventListener('click', () => pickBurstFrame(index));
+    burstFramesContainer.appendChild(button);
+  });
+
+  burstStrip.style.display = burstFrames.length > 0 ? 'block' : 'none';
+}
+
+// Forget the frames of the last burst
+function discardBurst() {
+  burstFrames = [];
+  burstTarget = null;
+  renderBurstStrip('');
+}
+
+// Load the burst settings of the open project into the controls
+async function refreshBurstSettings() {
+  const result = await window.electronAPI.getBurstSettings();
+  if (result.success) {
+    burstSettings = result.settings;
+  }
+  renderBurstSettings();
+}
+
+function renderBurstSettings() {
+  burstToggle.checked = burstSettings.enabled;
+  burstFrameCountInput.value = burstSettings.frameCount;
+  burstCriterionSelect.value = burstSettings.criterion;
+  burstFrameCountInput.disabled = !burstSettings.enabled;
+  burstCriterionSelect.disabled = !burstSettings.enabled;
+}
+
+// Save the burst settings in the project
+async function handleBurstSettingsChange() {
+  const result = await window.electronAPI.saveBurstSettings({
+    enabled: burstToggle.checked,
+    frameCount: burstFrameCountInput.value,
+    criterion: burstCriterionSelect.value
+  });
+
+  if (result.success) {
+    burstSettings = result.settings;
+  } else {
+    alert('Error al guardar la configuración de la ráfaga: ' + result.error);
+  }
+  if (!burstSettings.enabled) {
+    discardBurst();
+  }
+  renderBurstSettings();
+}
+
+// Warn about the quality problems of the last capture, so it can be retaken
+function showQualityStatus(issues) {
+  clearTimeout(qualityStatusTimer);
+
+  if (issues.length === 0) {
+    qualityStatus.style.display = 'none';
+    return;
+  }
+
+  qualityStatus.textContent = `Revisa la foto: ${issues.join(' · ')}`;
+  qualityStatus.style.display = 'block';
+  qualityStatusTimer = setTimeout(() => {
+    qualityStatus.style.display = 'none';
+  }, QUALITY_STATUS_DURATION);
 }
 
 // Stop camera when window closes
 window.addEventListener('beforeunload', () => {
+  clearInterval(cropPreviewTimer);
+  clearTimeout(qualityStatusTimer);
   if (cameraStream) {
     cameraStream.getTracks().forEach(track => track.stop());
   }
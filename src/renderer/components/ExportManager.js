@@ -475,7 +475,8 @@
         copyOriginal: options.mode === 'copy',
         resizeEnabled: options.mode === 'resize',
         boxSize: options.resize ? options.resize.boxSize : null,
-        maxSizeKB: options.resize ? options.resize.maxSize : null
+        maxSizeKB: options.resize ? options.resize.maxSize : null,
+        applyCrop: !!options.applyCrop
       };
     }
   }
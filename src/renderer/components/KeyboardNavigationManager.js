@@ -7,6 +7,7 @@
  * Features:
  * - Arrow keys for user navigation (up/down)
  * - Arrow keys for image navigation (left/right)
+ * - Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) for undo / redo
  * - Modal-aware (disabled when modals are open)
  * - Input-aware (disabled when typing in inputs)
  * - Configurable callbacks for navigation actions
@@ -22,6 +23,8 @@
       this.onNavigateUserNext = config.onNavigateUserNext || (() => {});
       this.onNavigateImagePrev = config.onNavigateImagePrev || (() => {});
       this.onNavigateImageNext = config.onNavigateImageNext || (() => {});
+      this.onUndo = config.onUndo || (() => {});
+      this.onRedo = config.onRedo || (() => {});
 
       // State getters
       this.isModalOpen = config.isModalOpen || (() => false);
@@ -71,6 +74,11 @@
         return;
       }
 
+      // Handle undo/redo shortcuts
+      if (this.handleUndoRedo(event)) {
+        return;
+      }
+
       // Handle arrow keys
       switch (event.key) {
         case 'ArrowLeft':
@@ -107,6 +115,33 @@
       return tagName === 'INPUT' || tagName === 'TEXTAREA';
     }
 
+    /**
+     * Handle Ctrl+Z (undo) and Ctrl+Y / Ctrl+Shift+Z (redo)
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} True if the event was an undo/redo shortcut
+     */
+    handleUndoRedo(event) {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || !event.key) {
+        return false;
+      }
+
+      const key = event.key.toLowerCase();
+
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.onUndo();
+        return true;
+      }
+
+      if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        this.onRedo();
+        return true;
+      }
+
+      return false;
+    }
+
     /**
      * Handle left arrow key (previous image)
      * @param {KeyboardEvent} event - Keyboard event
@@ -164,6 +199,12 @@
       if (callbacks.onNavigateImageNext) {
         this.onNavigateImageNext = callbacks.onNavigateImageNext;
       }
+      if (callbacks.onUndo) {
+        this.onUndo = callbacks.onUndo;
+      }
+      if (callbacks.onRedo) {
+        this.onRedo = callbacks.onRedo;
+      }
     }
 
     /**
@@ -22,6 +22,7 @@
       this.setShowDuplicatesOnly = config.setShowDuplicatesOnly || ((value) => {});
       this.setShowCardPrintRequestsOnly = config.setShowCardPrintRequestsOnly || ((value) => {});
       this.setShowPublicationRequestsOnly = config.setShowPublicationRequestsOnly || ((value) => {});
+      this.setShowQualityIssuesOnly = config.setShowQualityIssuesOnly || ((value) => {});
       this.setShowCapturedPhotos = config.setShowCapturedPhotos || ((value) => {});
       this.setShowRepositoryPhotos = config.setShowRepositoryPhotos || ((value) => {});
       this.setShowRepositoryIndicators = config.setShowRepositoryIndicators || ((value) => {});
@@ -38,9 +39,15 @@
       this.onNewProject = config.onNewProject || (() => {});
       this.onOpenProject = config.onOpenProject || (() => {});
       this.onCloseProject = config.onCloseProject || (() => {});
+      this.onBackupProject = config.onBackupProject || (() => {});
+      this.onRestoreBackup = config.onRestoreBackup || (() => {});
       this.onProjectLoaded = config.onProjectLoaded || (() => {});
       this.onLinkImage = config.onLinkImage || (() => {});
       this.onDeletePhoto = config.onDeletePhoto || (() => {});
+      this.onNewUser = config.onNewUser || (() => {});
+      this.onEditUser = config.onEditUser || (() => {});
+      this.onShowUserHistory = config.onShowUserHistory || (() => {});
+      this.onAdjustPhotoCrop = config.onAdjustPhotoCrop || (() => {});
       this.onImportImagesId = config.onImportImagesId || (() => {});
       this.onExportCSV = config.onExportCSV || (() => {});
       this.onExportInventoryCSV = config.onExportInventoryCSV || (() => {});
@@ -50,7 +57,11 @@
       this.onExportOrlaPDF = config.onExportOrlaPDF || (() => {});
       this.onExportPaidOrlaPDF = config.onExportPaidOrlaPDF || (() => {});
       this.onExportPaidUsersCSV = config.onExportPaidUsersCSV || (() => {});
+      this.onExportAuditLog = config.onExportAuditLog || (() => {});
       this.onUpdateXML = config.onUpdateXML || (() => {});
+      this.onCheckIntegrity = config.onCheckIntegrity || (() => {});
+      this.onXmlProfiles = config.onXmlProfiles || (() => {});
+      this.onManageGroups = config.onManageGroups || (() => {});
       this.onAddImageTag = config.onAddImageTag || (() => {});
       this.onShowTaggedImages = config.onShowTaggedImages || (() => {});
 
@@ -158,6 +169,14 @@
         this.onCloseProject();
       });
 
+      this.electronAPI.onMenuBackupProject(() => {
+        this.onBackupProject();
+      });
+
+      this.electronAPI.onMenuRestoreBackup(() => {
+        this.onRestoreBackup();
+      });
+
       this.electronAPI.onProjectOpened((data) => {
         if (data.success) {
           this.setProjectOpen(true);
@@ -181,7 +200,7 @@
     }
 
     /**
-     * Setup action listeners (link, delete)
+     * Setup action listeners (link, delete, user editing)
      */
     setupActionListeners() {
       this.electronAPI.onMenuLinkImage(() => {
@@ -192,9 +211,37 @@
         this.onDeletePhoto();
       });
 
+      this.electronAPI.onMenuNewUser(() => {
+        this.onNewUser();
+      });
+
+      this.electronAPI.onMenuEditUser(() => {
+        this.onEditUser();
+      });
+
+      this.electronAPI.onMenuShowUserHistory(() => {
+        this.onShowUserHistory();
+      });
+
+      this.electronAPI.onMenuAdjustPhotoCrop(() => {
+        this.onAdjustPhotoCrop();
+      });
+
       this.electronAPI.onMenuUpdateXML(() => {
         this.onUpdateXML();
       });
+
+      this.electronAPI.onMenuCheckIntegrity(() => {
+        this.onCheckIntegrity();
+      });
+
+      this.electronAPI.onMenuXmlProfiles(() => {
+        this.onXmlProfiles();
+      });
+
+      this.electronAPI.onMenuManageGroups(() => {
+        this.onManageGroups();
+      });
     }
 
     /**
@@ -208,6 +255,7 @@
         if (enabled) {
           this.setShowCardPrintRequestsOnly(false);
           this.setShowPublicationRequestsOnly(false);
+          this.setShowQualityIssuesOnly(false);
         }
         if (this.duplicatesFilter) {
           this.duplicatesFilter.checked = enabled;
@@ -342,6 +390,10 @@
       this.electronAPI.onMenuExportPaidUsersCSV(() => {
         this.onExportPaidUsersCSV();
       });
+
+      this.electronAPI.onMenuExportAuditLog(() => {
+        this.onExportAuditLog();
+      });
     }
 
     /**
@@ -405,6 +457,16 @@
         this.electronAPI.togglePublicationRequestsFilter(enabled);
       }
     }
+
+    /**
+     * Trigger quality issues filter from badge click
+     * @param {boolean} enabled - Filter state
+     */
+    triggerQualityIssuesFilter(enabled) {
+      if (this.electronAPI && this.electronAPI.toggleQualityIssuesFilter) {
+        this.electronAPI.toggleQualityIssuesFilter(enabled);
+      }
+    }
   }
 
   // Export (for tests and browser)
@@ -4,6 +4,7 @@
  * Handles export functionality including:
  * - Display modal to select photo source (captured vs repository)
  * - Generate one PDF per group containing users with selected photo type
+ *   (every group, or only the groups of a level)
  * - Display photos in grid layout with user names
  * - Show placeholder for users without photos
  *
@@ -56,18 +57,19 @@
       if (!this.checkProjectOpen()) return;
 
       try {
+        // Get all users and groups
+        const allUsers = this.getAllUsers();
+        const allGroups = this.getAllGroups() || [];
+        const levels = [...new Set(allGroups.map(group => group.level).filter(Boolean))];
+
         // Show modal to select photo source
-        const options = await this.orlaExportModal.show();
+        const options = await this.orlaExportModal.show({ levels });
 
         if (!options) {
           return; // User cancelled
         }
 
-        const { photoSource, imageQuality } = options; // 'captured' or 'repository', quality 0-100
-
-        // Get all users and groups
-        const allUsers = this.getAllUsers();
-        const allGroups = this.getAllGroups();
+        const { photoSource, imageQuality, titleTemplate, labelTemplate, level } = options; // 'captured' or 'repository', quality 0-100
 
         if (!allUsers || allUsers.length === 0) {
           this.showInfoModal('Aviso', 'No hay usuarios en el proyecto');
@@ -79,9 +81,17 @@
           return;
         }
 
+        // Only the groups of the selected level
+        const levelGroupCodes = level
+          ? new Set(allGroups.filter(group => group.level === level).map(group => group.code))
+          : null;
+
         // Group ALL users by group_code (including those without photos)
         const usersByGroup = {};
         allUsers.forEach(user => {
+          if (levelGroupCodes && !levelGroupCodes.has(user.group_code)) {
+            return;
+          }
           const groupCode = user.group_code;
           if (!usersByGroup[groupCode]) {
             usersByGroup[groupCode] = [];
@@ -91,7 +101,7 @@
 
         // Check if there are any users at all
         if (Object.keys(usersByGroup).length === 0) {
-          this.showInfoModal('Aviso', 'No hay usuarios en el proyecto');
+          this.showInfoModal('Aviso', level ? `No hay usuarios en los grupos de ${level}` : 'No hay usuarios en el proyecto');
           return;
         }
 
@@ -116,7 +126,9 @@
           exportPath,
           photoSource,
           imageQuality,
-          usersByGroup
+          usersByGroup,
+          titleTemplate,
+          labelTemplate
         });
 
         // Close progress modal
@@ -12,7 +12,7 @@
  * - Handles project opening via folder selection
  * - Loads and restores user preferences (group filter)
  * - Updates project placeholder visibility
- * - Manages XML update flow with confirmation
+ * - Manages XML update flow with confirmation (also from CSV/XLSX rosters)
  * - Configurable callbacks for state updates
  */
 
@@ -51,6 +51,13 @@
 
       // Modal instances
       this.newProjectModal = config.newProjectModal;
+      this.columnMappingModal = config.columnMappingModal;
+      this.xmlValidationModal = config.xmlValidationModal;
+      this.duplicateResolutionModal = config.duplicateResolutionModal;
+      this.updateReviewModal = config.updateReviewModal;
+
+      // Notice of a changed source roster
+      this.rosterUpdateBanner = config.rosterUpdateBanner;
 
       // IPC API
       this.electronAPI = config.electronAPI || window.electronAPI;
@@ -86,14 +93,23 @@
       });
 
       if (!result.canceled && result.filePaths.length > 0) {
-        const openResult = await this.electronAPI.openProject(result.filePaths[0]);
+        await this.openProjectFolder(result.filePaths[0]);
+      }
+    }
 
-        if (openResult.success) {
-          this.setProjectOpen(true);
-          await this.loadProjectData();
-        } else {
-          this.onShowInfoModal('Error', 'Error al abrir el proyecto: ' + openResult.error);
-        }
+    /**
+     * Open the project stored in a folder
+     * @param {string} folderPath - Project folder
+     * @returns {Promise<void>}
+     */
+    async openProjectFolder(folderPath) {
+      const openResult = await this.electronAPI.openProject(folderPath);
+
+      if (openResult.success) {
+        this.setProjectOpen(true);
+        await this.loadProjectData();
+      } else {
+        this.onShowInfoModal('Error', 'Error al abrir el proyecto: ' + openResult.error);
       }
     }
 
@@ -119,6 +135,11 @@
       // Clear images
       this.onClearImages();
 
+      // Changes of the source roster belong to the closed project
+      if (this.rosterUpdateBanner) {
+        this.rosterUpdateBanner.hide();
+      }
+
       // Reset filters
       if (this.searchInput) {
         this.searchInput.value = '';
@@ -189,32 +210,70 @@
 
     /**
      * Handle XML update flow
+     * @param {string|null} [filePath] - Roster file to apply (asked to the user if not given)
      * @returns {Promise<void>}
      */
-    async handleUpdateXML() {
+    async handleUpdateXML(filePath = null) {
       if (!this.getProjectOpen()) {
         this.onShowInfoModal('Aviso', 'Debes abrir o crear un proyecto primero');
         return;
       }
 
-      // Select new XML file
-      const result = await this.electronAPI.showOpenDialog({
-        properties: ['openFile'],
-        filters: [{ name: 'XML Files', extensions: ['xml'] }],
-        title: 'Seleccionar nuevo archivo XML'
-      });
+      let xmlPath = filePath;
+      if (!xmlPath) {
+        // Select new users file (XML, CSV or XLSX)
+        const result = await this.electronAPI.showOpenDialog({
+          properties: ['openFile'],
+          filters: [
+            { name: 'Archivos de usuarios', extensions: ['xml', 'csv', 'xlsx'] },
+            { name: 'XML Files', extensions: ['xml'] },
+            { name: 'CSV / Excel', extensions: ['csv', 'xlsx'] }
+          ],
+          title: 'Seleccionar nuevo archivo de usuarios'
+        });
 
-      if (result.canceled || result.filePaths.length === 0) {
-        return;
+        if (result.canceled || result.filePaths.length === 0) {
+          return;
+        }
+
+        xmlPath = result.filePaths[0];
       }
 
-      const xmlPath = result.filePaths[0];
+      // Spreadsheets need the column mapping before they can be compared,
+      // XML files are validated first
+      let mapping = null;
+      let validOnly = false;
+      if (/\.(csv|xlsx)$/i.test(xmlPath)) {
+        if (!this.columnMappingModal) {
+          this.onShowInfoModal('Error', 'No se pueden importar archivos CSV o Excel');
+          return;
+        }
+        mapping = await this.columnMappingModal.show(xmlPath);
+        if (!mapping) {
+          return;
+        }
+      } else if (this.xmlValidationModal) {
+        const validation = await this.xmlValidationModal.show(xmlPath);
+        if (!validation) {
+          return;
+        }
+        validOnly = validation.validOnly;
+      }
+
+      // Repeated identifiers already decided in earlier updates are not asked again
+      let duplicateResolutions = [];
+      if (this.duplicateResolutionModal) {
+        duplicateResolutions = await this.duplicateResolutionModal.show({ filePath: xmlPath, mapping, validOnly, useSaved: true });
+        if (!duplicateResolutions) {
+          return;
+        }
+      }
 
       // Show progress modal
       this.onShowProgressModal('Actualizando XML', 'Analizando cambios...');
 
       // Call update-xml to analyze changes
-      const updateResult = await this.electronAPI.updateXML(xmlPath);
+      const updateResult = await this.electronAPI.updateXML(xmlPath, mapping, validOnly, duplicateResolutions);
 
       if (!updateResult.success) {
         // Wait a moment to show 100% progress
@@ -228,34 +287,27 @@
       await new Promise(resolve => setTimeout(resolve, 500));
       this.onCloseProgressModal();
 
-      // Show confirmation dialog with summary
-      const changes = updateResult.changes;
-      let message = 'Se han detectado los siguientes cambios:\n\n';
-      message += `Usuarios nuevos: ${changes.toAdd}\n`;
-      message += `Usuarios actualizados: ${changes.toUpdate}\n`;
-      message += `Usuarios eliminados: ${changes.toDelete}\n\n`;
-
-      if (changes.toDeleteWithImage > 0) {
-        message += `- ${changes.toDeleteWithImage} usuario(s) con imagen serán movidos al grupo "¡Eliminados!"\n`;
-      }
-      if (changes.toDeleteWithoutImage > 0) {
-        message += `- ${changes.toDeleteWithoutImage} usuario(s) sin imagen serán eliminados permanentemente\n`;
+      // Review the changes one by one, or confirm them all at once
+      let approvedKeys = null;
+      let confirmed;
+      if (this.updateReviewModal) {
+        approvedKeys = await this.updateReviewModal.show(updateResult);
+        confirmed = approvedKeys !== null;
+      } else {
+        confirmed = await this.onShowConfirmModal(this._buildUpdateSummary(updateResult.changes));
       }
 
-      message += '\n¿Deseas continuar con la actualización?';
-
-      const confirmed = await this.onShowConfirmModal(message);
-
-      if (confirmed) {
+      if (!confirmed) {
+        // The analysis is kept in the main process until it is applied or discarded
+        await this.electronAPI.discardUpdateXML(updateResult.sessionId);
+      } else {
         // Show progress modal
         this.onShowProgressModal('Actualizando XML', 'Aplicando cambios...');
 
         // Apply the update
         const confirmResult = await this.electronAPI.confirmUpdateXML({
-          groups: updateResult.groups,
-          newUsersMap: updateResult.newUsersMap,
-          deletedUsers: updateResult.deletedUsers,
-          currentUsers: updateResult.currentUsers
+          sessionId: updateResult.sessionId,
+          ...(approvedKeys ? { approvedKeys } : {})
         });
 
         // Wait a moment to show 100% progress
@@ -267,8 +319,25 @@
           let successMessage = 'Actualización completada exitosamente:\n\n';
           successMessage += `Usuarios añadidos: ${results.added}\n`;
           successMessage += `Usuarios actualizados: ${results.updated}\n`;
+          if (results.restored > 0) {
+            successMessage += `Usuarios recuperados de Eliminados: ${results.restored}\n`;
+          }
           successMessage += `Usuarios movidos a Eliminados: ${results.movedToDeleted}\n`;
           successMessage += `Usuarios eliminados permanentemente: ${results.permanentlyDeleted}`;
+          if (results.manuallyManaged > 0) {
+            successMessage += `\nUsuarios gestionados manualmente (sin cambios): ${results.manuallyManaged}`;
+          }
+          if (results.notApplied > 0) {
+            successMessage += `\nCambios no aprobados (sin aplicar): ${results.notApplied}`;
+          }
+          if (results.reportId) {
+            successMessage += '\n\nEl informe completo está disponible en Proyecto > Informes de importación.';
+          }
+
+          // The applied file is no longer pending
+          if (this.rosterUpdateBanner) {
+            this.rosterUpdateBanner.hide();
+          }
 
           // Reload project data first
           await this.loadProjectData();
@@ -281,6 +350,35 @@
       }
     }
 
+    /**
+     * Build the confirmation message of an XML update
+     * @param {Object} changes - Change counts returned by updateXML()
+     * @returns {string}
+     * @private
+     */
+    _buildUpdateSummary(changes) {
+      let message = 'Se han detectado los siguientes cambios:\n\n';
+      message += `Usuarios nuevos: ${changes.toAdd}\n`;
+      message += `Usuarios actualizados: ${changes.toUpdate}\n`;
+      if (changes.toRestore > 0) {
+        message += `Usuarios recuperados de Eliminados: ${changes.toRestore}\n`;
+      }
+      message += `Usuarios eliminados: ${changes.toDelete}\n\n`;
+
+      if (changes.toDeleteWithImage > 0) {
+        message += `- ${changes.toDeleteWithImage} usuario(s) con imagen serán movidos al grupo "¡Eliminados!"\n`;
+      }
+      if (changes.toDeleteWithoutImage > 0) {
+        message += `- ${changes.toDeleteWithoutImage} usuario(s) sin imagen serán eliminados permanentemente\n`;
+      }
+      if (changes.manuallyManaged > 0) {
+        message += `- ${changes.manuallyManaged} usuario(s) gestionados manualmente no se modificarán\n`;
+      }
+
+      message += '\n¿Deseas continuar con la actualización?';
+      return message;
+    }
+
     /**
      * Update callbacks
      * @param {Object} callbacks - New callbacks
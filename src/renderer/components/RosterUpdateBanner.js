@@ -0,0 +1,131 @@
+/**
+ * RosterUpdateBanner - Non-modal notice of a changed source roster
+ *
+ * The main process watches the roster file (or drop folder) of the project
+ * and analyzes it in the background when it changes. This banner shows the
+ * counts of that analysis and opens the usual update flow (validation,
+ * duplicates and change review) for the new file.
+ */
+
+(function(global) {
+  'use strict';
+
+  class RosterUpdateBanner {
+    constructor(config = {}) {
+      // DOM elements
+      this.banner = config.banner || document.getElementById('roster-update-banner');
+      this.messageElement = config.messageElement || document.getElementById('roster-update-message');
+      this.reviewBtn = config.reviewBtn || document.getElementById('roster-update-review-btn');
+      this.dismissBtn = config.dismissBtn || document.getElementById('roster-update-dismiss-btn');
+
+      // Electron API
+      this.electronAPI = config.electronAPI || (typeof window !== 'undefined' ? window.electronAPI : null);
+
+      // Callbacks
+      this.onReview = config.onReview || (async (filePath) => {});
+
+      // State
+      this.update = null;
+    }
+
+    /**
+     * Initialize buttons and the listener of the main process
+     */
+    init() {
+      if (this.reviewBtn) {
+        this.reviewBtn.addEventListener('click', () => this.handleReview());
+      }
+      if (this.dismissBtn) {
+        this.dismissBtn.addEventListener('click', () => this.hide());
+      }
+
+      if (!this.electronAPI || !this.electronAPI.onRosterUpdateAvailable) {
+        console.warn('[RosterUpdateBanner] electronAPI.onRosterUpdateAvailable not available');
+        return;
+      }
+
+      this.electronAPI.onRosterUpdateAvailable((update) => this.show(update));
+    }
+
+    /**
+     * Show the banner for a changed roster file
+     * @param {Object} update - { filePath, fileName, changes, invalidCount, error }
+     */
+    show(update) {
+      this.update = update;
+      if (this.messageElement) {
+        this.messageElement.textContent = this.buildMessage(update);
+      }
+      if (this.banner) {
+        this.banner.style.display = 'flex';
+      }
+    }
+
+    /**
+     * Hide the banner
+     */
+    hide() {
+      this.update = null;
+      if (this.banner) {
+        this.banner.style.display = 'none';
+      }
+    }
+
+    /**
+     * Check if the banner is visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.update !== null;
+    }
+
+    /**
+     * Text of the banner
+     * @param {Object} update - { fileName, changes, invalidCount, error }
+     * @returns {string}
+     */
+    buildMessage(update) {
+      if (update.error) {
+        return `Ha cambiado ${update.fileName}, pero no se ha podido analizar: ${update.error}`;
+      }
+
+      const { changes } = update;
+      const parts = [
+        [changes.toAdd, 'alta', 'altas'],
+        [changes.toUpdate, 'cambio', 'cambios'],
+        [changes.toRestore, 'recuperación', 'recuperaciones'],
+        [changes.toDelete, 'baja', 'bajas']
+      ]
+        .filter(([count]) => count > 0)
+        .map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`);
+
+      let message = `Ha cambiado ${update.fileName}`;
+      if (parts.length > 0) {
+        const last = parts.pop();
+        message += `: ${parts.length > 0 ? `${parts.join(', ')} y ${last}` : last}`;
+      }
+      if (update.invalidCount > 0) {
+        message += ` (${update.invalidCount} elemento${update.invalidCount !== 1 ? 's' : ''} no válido${update.invalidCount !== 1 ? 's' : ''})`;
+      }
+      return message;
+    }
+
+    /**
+     * Open the update flow for the changed file
+     */
+    async handleReview() {
+      if (!this.update) return;
+
+      const { filePath } = this.update;
+      this.hide();
+      await this.onReview(filePath);
+    }
+  }
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RosterUpdateBanner };
+  } else if (typeof window !== 'undefined') {
+    global.RosterUpdateBanner = RosterUpdateBanner;
+  }
+})(typeof window !== 'undefined' ? window : global);
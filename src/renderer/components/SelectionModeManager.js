@@ -29,6 +29,8 @@
       this.onRequestPublication = config.onRequestPublication || (() => {}); // Called when requesting publication
       this.onUnpayOrla = config.onUnpayOrla || (() => {}); // Called when unpaying orla from context menu
       this.onUnprintReceipt = config.onUnprintReceipt || (() => {}); // Called when unprinting receipt from context menu
+      this.onEditUser = config.onEditUser || (() => {}); // Called when editing a user from context menu
+      this.onShowHistory = config.onShowHistory || (() => {}); // Called when showing a user's history from context menu
 
       // DOM elements
       this.selectedUserInfo = config.selectedUserInfo; // Element to display selection info
@@ -86,6 +88,30 @@
         });
         menu.appendChild(selectOption);
 
+        // Option: Editar usuario
+        const editOption = document.createElement('div');
+        editOption.className = 'context-menu-item';
+        editOption.textContent = 'Editar usuario...';
+        editOption.addEventListener('click', async () => {
+          menu.remove();
+          if (this.onEditUser) {
+            await this.onEditUser(user);
+          }
+        });
+        menu.appendChild(editOption);
+
+        // Option: Historial
+        const historyOption = document.createElement('div');
+        historyOption.className = 'context-menu-item';
+        historyOption.textContent = 'Historial...';
+        historyOption.addEventListener('click', async () => {
+          menu.remove();
+          if (this.onShowHistory) {
+            await this.onShowHistory(user);
+          }
+        });
+        menu.appendChild(historyOption);
+
         // Add separator if there are payment/printing options
         if (user.orla_paid === 1 || user.receipt_printed === 1) {
           const separator = document.createElement('div');
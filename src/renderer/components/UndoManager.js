@@ -0,0 +1,204 @@
+/**
+ * UndoManager - Session undo/redo stack for quick capture operations
+ *
+ * Records reversible operations and replays them through the main process:
+ * - Linking, replacing and unlinking a user's photo
+ * - Marking orla as paid / unpaid
+ * - Marking receipt as printed / not printed
+ * - Dropping an image into the ingest folder
+ *
+ * Features:
+ * - Each entry stores the value before and after the change
+ * - Redo stack is cleared when a new operation is recorded
+ * - Failed undo/redo keeps the entry so it can be retried
+ * - Stacks are cleared when a project is opened or closed
+ */
+
+(function(global) {
+  'use strict';
+
+  const DEFAULT_MAX_ENTRIES = 50;
+
+  class UndoManager {
+    constructor(config = {}) {
+      this.electronAPI = config.electronAPI || (typeof window !== 'undefined' ? window.electronAPI : null);
+      this.maxEntries = config.maxEntries || DEFAULT_MAX_ENTRIES;
+
+      // Callbacks
+      this.onChange = config.onChange || (async (entry, direction) => {}); // Called after a successful undo/redo
+
+      // State
+      this.undoStack = [];
+      this.redoStack = [];
+      this.isBusy = false;
+    }
+
+    /**
+     * Record an operation that has just been performed
+     * @param {Object} entry - Operation data
+     * @param {string} entry.type - 'image', 'orla_paid', 'receipt_printed' or 'ingest'
+     * @param {number} [entry.userId] - Affected user (all types except 'ingest')
+     * @param {string} [entry.userName] - User name for messages
+     * @param {*} [entry.before] - Value before the operation
+     * @param {*} [entry.after] - Value after the operation
+     * @param {string} [entry.filename] - File name in ingest ('ingest' only)
+     */
+    record(entry) {
+      this.undoStack.push(entry);
+      if (this.undoStack.length > this.maxEntries) {
+        this.undoStack.shift();
+      }
+      this.redoStack = [];
+    }
+
+    /**
+     * Undo the last operation
+     * @returns {Promise<{success: boolean, entry: Object, error?: string}|null>} Null if there is nothing to undo
+     */
+    async undo() {
+      return this._replay(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Redo the last undone operation
+     * @returns {Promise<{success: boolean, entry: Object, error?: string}|null>} Null if there is nothing to redo
+     */
+    async redo() {
+      return this._replay(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * @returns {boolean} True if there is something to undo
+     */
+    canUndo() {
+      return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is something to redo
+     */
+    canRedo() {
+      return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all recorded operations
+     */
+    clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+    }
+
+    /**
+     * Describe an entry for user messages
+     * @param {Object} entry - Operation data
+     * @returns {string} Description in Spanish
+     */
+    describe(entry) {
+      const name = entry.userName ? ` de ${entry.userName}` : '';
+
+      switch (entry.type) {
+        case 'image':
+          if (!entry.before) return `vincular la foto${name}`;
+          if (!entry.after) return `eliminar la foto vinculada${name}`;
+          return `reemplazar la foto${name}`;
+        case 'orla_paid':
+          return entry.after ? `marcar la orla${name} como pagada` : `desmarcar la orla${name} como pagada`;
+        case 'receipt_printed':
+          return entry.after ? `marcar el recibo${name} como impreso` : `desmarcar el recibo${name} como impreso`;
+        case 'ingest':
+          return `añadir la imagen ${entry.filename}`;
+        default:
+          return entry.type;
+      }
+    }
+
+    /**
+     * Move the top entry of one stack to the other after applying it
+     * @private
+     */
+    async _replay(fromStack, toStack, direction) {
+      if (this.isBusy || fromStack.length === 0) {
+        return null;
+      }
+
+      const entry = fromStack[fromStack.length - 1];
+      this.isBusy = true;
+
+      try {
+        await this._apply(entry, direction);
+
+        fromStack.pop();
+        toStack.push(entry);
+        await this.onChange(entry, direction);
+
+        console.log(`[UndoManager] ${direction}: ${this.describe(entry)}`);
+        return { success: true, entry };
+      } catch (error) {
+        console.error(`[UndoManager] Error on ${direction}:`, error);
+        return { success: false, entry, error: error.message };
+      } finally {
+        this.isBusy = false;
+      }
+    }
+
+    /**
+     * Apply an entry through the main process
+     * @private
+     */
+    async _apply(entry, direction) {
+      const value = direction === 'undo' ? entry.before : entry.after;
+
+      switch (entry.type) {
+        case 'image':
+          if (value) {
+            await this._call(this.electronAPI.confirmLinkImage({ userId: entry.userId, imagePath: value }));
+          } else {
+            await this._call(this.electronAPI.unlinkImageFromUser(entry.userId));
+          }
+          break;
+
+        case 'orla_paid':
+          await this._call(this.electronAPI.markOrlaPaid(entry.userId, value));
+          break;
+
+        case 'receipt_printed':
+          await this._call(this.electronAPI.markReceiptPrinted(entry.userId, value));
+          break;
+
+        case 'ingest':
+          if (direction === 'undo') {
+            const result = await this._call(this.electronAPI.removeImageFromIngest(entry.filename));
+            entry.undoPath = result.undoPath;
+          } else {
+            const result = await this._call(this.electronAPI.restoreImageToIngest(entry.undoPath));
+            entry.filename = result.filename;
+            entry.undoPath = null;
+          }
+          break;
+
+        default:
+          throw new Error(`Operación desconocida: ${entry.type}`);
+      }
+    }
+
+    /**
+     * Await an IPC call and throw if it did not succeed
+     * @private
+     */
+    async _call(promise) {
+      const result = await promise;
+      if (!result || !result.success) {
+        throw new Error((result && result.error) || 'Error desconocido');
+      }
+      return result;
+    }
+  }
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UndoManager };
+  } else if (typeof window !== 'undefined') {
+    global.UndoManager = UndoManager;
+  }
+})(typeof window !== 'undefined' ? window : global);
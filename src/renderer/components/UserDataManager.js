@@ -5,7 +5,7 @@
  * Handles initial load, filtering, and repository data loading.
  *
  * Features:
- * - Load groups and populate filter dropdown
+ * - Load groups and populate filter dropdown (groups and levels)
  * - Load users with filtering options
  * - Load repository data in background (non-blocking)
  * - Loading state management (spinners)
@@ -16,6 +16,9 @@
 (function(global) {
   'use strict';
 
+  // Value of the level options in the group filter ("level:ESO")
+  const LEVEL_FILTER_PREFIX = 'level:';
+
   class UserDataManager {
     constructor(config = {}) {
       // State setters
@@ -74,13 +77,72 @@
     populateGroupFilter(groups) {
       if (!this.groupFilter) return;
 
+      const previousValue = this.groupFilter.value;
       this.groupFilter.innerHTML = '<option value="">Todos los grupos</option>';
+
+      // Levels first, so a whole level can be shown at once
+      const levels = [...new Set(groups.map(group => group.level).filter(Boolean))];
+      let groupParent = this.groupFilter;
+      if (levels.length > 0) {
+        const levelGroup = document.createElement('optgroup');
+        levelGroup.label = 'Niveles';
+        levels.forEach(level => {
+          const option = document.createElement('option');
+          option.value = `${LEVEL_FILTER_PREFIX}${level}`;
+          option.textContent = `Todo ${level}`;
+          levelGroup.appendChild(option);
+        });
+        this.groupFilter.appendChild(levelGroup);
+
+        groupParent = document.createElement('optgroup');
+        groupParent.label = 'Grupos';
+        this.groupFilter.appendChild(groupParent);
+      }
+
       groups.forEach(group => {
         const option = document.createElement('option');
         option.value = group.code;
-        option.textContent = `${group.code} - ${group.name}`;
-        this.groupFilter.appendChild(option);
+        option.textContent = `${group.code} - ${group.display_name || group.name}`;
+        groupParent.appendChild(option);
       });
+
+      // Keep the selection when the groups are reloaded
+      if (previousValue && Array.from(this.groupFilter.options).some(option => option.value === previousValue)) {
+        this.groupFilter.value = previousValue;
+      }
+    }
+
+    /**
+     * Filters of a value of the group filter (a group code or a level)
+     * @param {string} value - Selected value
+     * @returns {Object} { group } or { level }, empty for all groups
+     */
+    static getGroupFilterCriteria(value) {
+      if (!value) return {};
+      return value.startsWith(LEVEL_FILTER_PREFIX)
+        ? { level: value.slice(LEVEL_FILTER_PREFIX.length) }
+        : { group: value };
+    }
+
+    /**
+     * Next user of the same group without a photo, in list order
+     * (wraps around to the start of the list)
+     * @param {Object[]} users - Users in display order
+     * @param {number} userId - Current user
+     * @returns {Object|null} null when every other user of the group has a photo
+     */
+    static findNextUserWithoutPhoto(users, userId) {
+      const index = users.findIndex(user => user.id === userId);
+      if (index === -1) return null;
+
+      const groupCode = users[index].group_code;
+      for (let offset = 1; offset < users.length; offset++) {
+        const user = users[(index + offset) % users.length];
+        if (user.group_code === groupCode && !user.image_path) {
+          return user;
+        }
+      }
+      return null;
     }
 
     /**
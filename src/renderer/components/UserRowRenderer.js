@@ -7,6 +7,7 @@
  * - Context menus
  * - Double-click image preview
  * - Duplicate image indicators
+ * - Photo quality warnings
  *
  * @module components/UserRowRenderer
  */
@@ -61,6 +62,7 @@ class UserRowRenderer {
 
     // Build row HTML
     const photoIndicator = this._buildPhotoIndicator(user, duplicateClass);
+    const qualityIndicator = this._buildQualityIndicator(user);
     const repositoryIndicator = this._buildRepositoryIndicator(user);
     const repositoryCheckIndicator = this._buildRepositoryCheckIndicator(user);
     const cardPrintIndicator = this._buildCardPrintIndicator(user);
@@ -75,7 +77,7 @@ class UserRowRenderer {
       <td>${user.last_name1} ${user.last_name2 || ''}</td>
       <td>${user.nia || '-'}</td>
       <td>${user.group_code}</td>
-      <td style="display: flex; align-items: center; gap: 4px;">${photoIndicator}${repositoryIndicator}${repositoryCheckIndicator}${cardPrintIndicator}${publicationIndicator}${orlaPaidIndicator}${receiptPrintedIndicator}</td>
+      <td style="display: flex; align-items: center; gap: 4px;">${photoIndicator}${qualityIndicator}${repositoryIndicator}${repositoryCheckIndicator}${cardPrintIndicator}${publicationIndicator}${orlaPaidIndicator}${receiptPrintedIndicator}</td>
     `;
 
     // Attach event listeners
@@ -111,6 +113,28 @@ class UserRowRenderer {
     </div>`;
   }
 
+  /**
+   * Build photo quality warning HTML (problems found when the photo arrived)
+   * @private
+   */
+  _buildQualityIndicator(user) {
+    if (!this.config.showCapturedPhotos || !user.image_path) {
+      return '';
+    }
+
+    const issues = user.image_quality_issues || [];
+    if (issues.length === 0) {
+      return '';
+    }
+
+    return `<svg class="quality-indicator" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <title>${issues.join('\n')}</title>
+        <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path>
+        <line x1="12" y1="9" x2="12" y2="13"></line>
+        <line x1="12" y1="17" x2="12.01" y2="17"></line>
+      </svg>`;
+  }
+
   /**
    * Build repository indicator HTML
    * @private
@@ -356,6 +380,7 @@ class UserRowRenderer {
 
       // Rebuild indicators HTML
       const photoIndicator = this._buildPhotoIndicator(user, duplicateClass);
+      const qualityIndicator = this._buildQualityIndicator(user);
       const repositoryIndicator = this._buildRepositoryIndicator(user);
       const repositoryCheckIndicator = this._buildRepositoryCheckIndicator(user);
       const cardPrintIndicator = this._buildCardPrintIndicator(user);
@@ -363,7 +388,7 @@ class UserRowRenderer {
       const orlaPaidIndicator = this._buildOrlaPaidIndicator(user);
       const receiptPrintedIndicator = this._buildReceiptPrintedIndicator(user);
 
-      lastCell.innerHTML = `${photoIndicator}${repositoryIndicator}${repositoryCheckIndicator}${cardPrintIndicator}${publicationIndicator}${orlaPaidIndicator}${receiptPrintedIndicator}`;
+      lastCell.innerHTML = `${photoIndicator}${qualityIndicator}${repositoryIndicator}${repositoryCheckIndicator}${cardPrintIndicator}${publicationIndicator}${orlaPaidIndicator}${receiptPrintedIndicator}`;
 
       // Reattach event listeners for double-click on images (use wrappers)
       if (user.image_path) {
@@ -0,0 +1,224 @@
+/**
+ * AuditHistoryModal - Modal showing the change history (audit log) of a user
+ *
+ * Lists the recorded actions newest first and lets the user export
+ * the history to CSV.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  class AuditHistoryModal extends BaseModal {
+  constructor() {
+    super('audit-history-modal', {
+      defaultButtonSelector: '#audit-history-close-btn'
+    });
+
+    this.titleElement = null;
+    this.container = null;
+    this.statusElement = null;
+    this.exportBtn = null;
+    this.closeBtn = null;
+
+    this.user = null;
+    this.entries = [];
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.titleElement = this.modal.querySelector('#audit-history-title');
+    this.container = this.modal.querySelector('#audit-history-container');
+    this.statusElement = this.modal.querySelector('#audit-history-status');
+    this.exportBtn = this.modal.querySelector('#audit-history-export-btn');
+    this.closeBtn = this.modal.querySelector('#audit-history-close-btn');
+
+    this.addEventListener(this.exportBtn, 'click', () => this.handleExport());
+    this.addEventListener(this.closeBtn, 'click', () => this.close());
+
+    this._log('AuditHistoryModal initialized');
+  }
+
+  /**
+   * Show the history of a user
+   * @param {Object} user - User object
+   */
+  async show(user) {
+    this.user = user;
+    this.entries = [];
+
+    if (this.titleElement) {
+      const fullName = `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim();
+      this.titleElement.textContent = `Historial - ${fullName}`;
+    }
+
+    this._setStatus('');
+    this._renderMessage('Cargando historial...');
+    this.open();
+
+    try {
+      const result = await window.electronAPI.getAuditLog(user.id);
+
+      if (!result.success) {
+        this._renderMessage(result.error || 'Error al cargar el historial');
+        return;
+      }
+
+      this.entries = result.entries || [];
+      this.render();
+    } catch (error) {
+      console.error('[AuditHistoryModal] Error loading history:', error);
+      this._renderMessage('Error al cargar el historial: ' + error.message);
+    }
+  }
+
+  /**
+   * Render history entries as a table
+   */
+  render() {
+    if (!this.container) return;
+
+    if (this.entries.length === 0) {
+      this._renderMessage('No hay cambios registrados para este usuario');
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'audit-history-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Fecha</th>
+          <th>Acción</th>
+          <th>Antes</th>
+          <th>Después</th>
+          <th>Equipo</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    this.entries.forEach(entry => {
+      const row = document.createElement('tr');
+      [
+        this._formatDate(entry.created_at),
+        entry.details ? `${entry.action_label} (${entry.details})` : entry.action_label,
+        entry.before_text,
+        entry.after_text,
+        entry.actor
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text || '';
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    this.container.innerHTML = '';
+    this.container.appendChild(table);
+  }
+
+  /**
+   * Export the history of the current user to CSV
+   */
+  async handleExport() {
+    if (!this.user) return;
+
+    try {
+      const dialogResult = await window.electronAPI.showOpenDialog({
+        title: 'Seleccionar carpeta de exportación',
+        buttonLabel: 'Exportar',
+        properties: ['openDirectory', 'createDirectory']
+      });
+
+      if (!dialogResult || dialogResult.canceled || !dialogResult.filePaths || dialogResult.filePaths.length === 0) {
+        return; // User cancelled
+      }
+
+      const result = await window.electronAPI.exportAuditLog({
+        exportPath: dialogResult.filePaths[0],
+        userId: this.user.id
+      });
+
+      if (result.success) {
+        this._setStatus(`Se ha generado el archivo ${result.fileName}`);
+      } else {
+        this._setStatus(result.error || 'Error al exportar el historial');
+      }
+    } catch (error) {
+      console.error('[AuditHistoryModal] Error exporting history:', error);
+      this._setStatus('Error al exportar el historial: ' + error.message);
+    }
+  }
+
+  /**
+   * Format an ISO timestamp for display
+   * @private
+   */
+  _formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? (value || '') : date.toLocaleString('es-ES');
+  }
+
+  /**
+   * Show a message instead of the table
+   * @private
+   */
+  _renderMessage(message) {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    const empty = document.createElement('p');
+    empty.className = 'audit-history-empty';
+    empty.textContent = message;
+    this.container.appendChild(empty);
+  }
+
+  /**
+   * Show a status line under the table
+   * @private
+   */
+  _setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[AuditHistoryModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuditHistoryModal };
+  } else if (typeof window !== 'undefined') {
+    global.AuditHistoryModal = AuditHistoryModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
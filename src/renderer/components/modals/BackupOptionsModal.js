@@ -0,0 +1,130 @@
+/**
+ * BackupOptionsModal - Modal for choosing what goes into a project backup
+ *
+ * The database and logs are always included; images are optional because
+ * they make the backup much bigger.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Dependencies: BaseModal (loaded from core in browser, or via require in Node.js)
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  class BackupOptionsModal extends BaseModal {
+  constructor() {
+    super('backup-options-modal', {
+      defaultButtonSelector: '#backup-confirm-btn'
+    });
+
+    // Form elements
+    this.includeImagesCheckbox = null;
+    this.confirmBtn = null;
+    this.cancelBtn = null;
+
+    // State
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    // Find elements
+    this.includeImagesCheckbox = this.modal.querySelector('#backup-include-images');
+    this.confirmBtn = this.modal.querySelector('#backup-confirm-btn');
+    this.cancelBtn = this.modal.querySelector('#backup-cancel-btn');
+
+    // Setup event listeners
+    this.addEventListener(this.confirmBtn, 'click', () => this.handleConfirm());
+    this.addEventListener(this.cancelBtn, 'click', () => this.handleCancel());
+
+    this._log('BackupOptionsModal initialized');
+  }
+
+  /**
+   * Show backup options dialog
+   * @returns {Promise<{includeImages: boolean}|null>} Chosen options or null if cancelled
+   */
+  show() {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+
+      if (this.includeImagesCheckbox) {
+        this.includeImagesCheckbox.checked = true;
+      }
+
+      this.open();
+    });
+  }
+
+  /**
+   * Handle confirm button
+   */
+  handleConfirm() {
+    const options = {
+      includeImages: this.includeImagesCheckbox ? this.includeImagesCheckbox.checked : true
+    };
+    this._log('Backup options confirmed: ' + JSON.stringify(options));
+
+    const resolve = this.resolvePromise;
+    this.resolvePromise = null;
+    this.close();
+    if (resolve) {
+      resolve(options);
+    }
+  }
+
+  /**
+   * Handle cancel button
+   */
+  handleCancel() {
+    this._log('Backup cancelled');
+    this.close();
+  }
+
+  /**
+   * Override close to handle cancellation
+   */
+  close() {
+    super.close();
+
+    // If closed without choosing, resolve as null (cancelled)
+    if (this.resolvePromise) {
+      this.resolvePromise(null);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[BackupOptionsModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BackupOptionsModal };
+  } else if (typeof window !== 'undefined') {
+    global.BackupOptionsModal = BackupOptionsModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
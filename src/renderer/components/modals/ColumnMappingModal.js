@@ -0,0 +1,359 @@
+/**
+ * ColumnMappingModal - Modal for mapping the columns of a CSV/XLSX roster
+ *
+ * Shows the first rows of the file and one selector per user field
+ * (nombre, apellidos, NIA, grupo...), prefilled from the header names.
+ * The mapping can be saved as a named profile and reused with the next
+ * export of the same school management system.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  class ColumnMappingModal extends BaseModal {
+  constructor() {
+    super('column-mapping-modal', {
+      defaultButtonSelector: '#column-mapping-confirm-btn'
+    });
+
+    this.summaryElement = null;
+    this.profileSelect = null;
+    this.deleteProfileBtn = null;
+    this.fieldsContainer = null;
+    this.defaultTypeSelect = null;
+    this.previewTable = null;
+    this.profileNameInput = null;
+    this.saveProfileBtn = null;
+    this.errorElement = null;
+    this.confirmBtn = null;
+    this.cancelBtn = null;
+
+    this.headers = [];
+    this.fields = [];
+    this.profiles = {};
+    this.fieldSelects = new Map();
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.summaryElement = this.modal.querySelector('#column-mapping-summary');
+    this.profileSelect = this.modal.querySelector('#column-mapping-profile');
+    this.deleteProfileBtn = this.modal.querySelector('#column-mapping-delete-profile-btn');
+    this.fieldsContainer = this.modal.querySelector('#column-mapping-fields');
+    this.defaultTypeSelect = this.modal.querySelector('#column-mapping-default-type');
+    this.previewTable = this.modal.querySelector('#column-mapping-preview');
+    this.profileNameInput = this.modal.querySelector('#column-mapping-profile-name');
+    this.saveProfileBtn = this.modal.querySelector('#column-mapping-save-profile-btn');
+    this.errorElement = this.modal.querySelector('#column-mapping-error');
+    this.confirmBtn = this.modal.querySelector('#column-mapping-confirm-btn');
+    this.cancelBtn = this.modal.querySelector('#column-mapping-cancel-btn');
+
+    this.addEventListener(this.profileSelect, 'change', () => this.handleProfileChange());
+    this.addEventListener(this.deleteProfileBtn, 'click', () => this.handleDeleteProfile());
+    this.addEventListener(this.saveProfileBtn, 'click', () => this.handleSaveProfile());
+    this.addEventListener(this.confirmBtn, 'click', () => this.handleConfirm());
+    this.addEventListener(this.cancelBtn, 'click', () => this.close());
+
+    this._log('ColumnMappingModal initialized');
+  }
+
+  /**
+   * Read a roster file and ask for its column mapping
+   * @param {string} filePath - CSV or XLSX file
+   * @returns {Promise<Object|null>} Column mapping or null if cancelled
+   */
+  async show(filePath) {
+    const [fileResult, profilesResult] = await Promise.all([
+      window.electronAPI.readRosterFile(filePath),
+      window.electronAPI.getRosterProfiles()
+    ]);
+
+    if (!fileResult.success) {
+      this._showError('No se pudo leer el archivo: ' + fileResult.error);
+      return null;
+    }
+
+    this.headers = fileResult.headers;
+    this.fields = fileResult.fields;
+    this.profiles = profilesResult.success ? profilesResult.profiles : {};
+
+    if (this.summaryElement) {
+      this.summaryElement.textContent = `${fileResult.rowCount} filas y ${this.headers.length} columnas. Indica qué columna contiene cada dato.`;
+    }
+    if (this.profileNameInput) this.profileNameInput.value = '';
+    this._setError('');
+    this._renderFields();
+    this._renderPreview(fileResult.preview);
+    this._renderProfiles('');
+    this._applyMapping(fileResult.suggestedMapping);
+
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+
+  /**
+   * Mapping currently selected in the form
+   * @returns {{columns: Object, defaultType: string}}
+   */
+  getMapping() {
+    const columns = {};
+    this.fieldSelects.forEach((select, key) => {
+      if (select.value) {
+        columns[key] = select.value;
+      }
+    });
+
+    return {
+      columns,
+      defaultType: this.defaultTypeSelect ? this.defaultTypeSelect.value : 'student'
+    };
+  }
+
+  /**
+   * Check that the mapping identifies every user
+   * @param {Object} mapping - Column mapping
+   * @returns {string|null} Error message or null if valid
+   */
+  validateMapping(mapping) {
+    const missing = this.fields.find(field => field.required && !mapping.columns[field.key]);
+    if (missing) {
+      return `Falta asignar la columna de ${missing.label.toLowerCase()}`;
+    }
+    if (!mapping.columns.nia && !mapping.columns.document) {
+      return 'Falta asignar la columna de NIA o la de documento';
+    }
+    return null;
+  }
+
+  /**
+   * Resolve with the selected mapping
+   */
+  handleConfirm() {
+    const mapping = this.getMapping();
+    const error = this.validateMapping(mapping);
+    if (error) {
+      this._setError(error);
+      return;
+    }
+
+    const resolve = this.resolvePromise;
+    this.resolvePromise = null;
+    this.close();
+    if (resolve) {
+      resolve(mapping);
+    }
+  }
+
+  /**
+   * Apply the selected saved profile
+   */
+  handleProfileChange() {
+    const name = this.profileSelect.value;
+    if (!name || !this.profiles[name]) return;
+
+    this._applyMapping(this.profiles[name]);
+    if (this.profileNameInput) this.profileNameInput.value = name;
+
+    const missing = Object.values(this.profiles[name].columns || {})
+      .filter(header => header && !this.headers.includes(header));
+    this._setError(missing.length > 0
+      ? `El archivo no tiene estas columnas del perfil: ${missing.join(', ')}`
+      : '');
+  }
+
+  /**
+   * Save the current mapping as a named profile
+   */
+  async handleSaveProfile() {
+    const name = this.profileNameInput ? this.profileNameInput.value.trim() : '';
+    if (!name) {
+      this._setError('Escribe un nombre para el perfil');
+      return;
+    }
+
+    const result = await window.electronAPI.saveRosterProfile(name, this.getMapping());
+    if (!result.success) {
+      this._setError(result.error || 'No se pudo guardar el perfil');
+      return;
+    }
+
+    this.profiles = result.profiles;
+    this._renderProfiles(name);
+    this._setError('');
+  }
+
+  /**
+   * Delete the selected saved profile
+   */
+  async handleDeleteProfile() {
+    const name = this.profileSelect ? this.profileSelect.value : '';
+    if (!name) return;
+
+    const result = await window.electronAPI.deleteRosterProfile(name);
+    if (!result.success) {
+      this._setError(result.error || 'No se pudo eliminar el perfil');
+      return;
+    }
+
+    this.profiles = result.profiles;
+    this._renderProfiles('');
+  }
+
+  /**
+   * Override close to resolve as cancelled
+   */
+  close() {
+    super.close();
+
+    if (this.resolvePromise) {
+      this.resolvePromise(null);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * One selector per user field, with the file headers as options
+   * @private
+   */
+  _renderFields() {
+    if (!this.fieldsContainer) return;
+
+    this.fieldsContainer.innerHTML = '';
+    this.fieldSelects.clear();
+
+    this.fields.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+
+      const label = document.createElement('label');
+      label.textContent = field.required ? `${field.label} *` : field.label;
+      group.appendChild(label);
+
+      const select = document.createElement('select');
+      select.dataset.field = field.key;
+      select.appendChild(new Option('— Sin asignar —', ''));
+      this.headers.forEach(header => select.appendChild(new Option(header, header)));
+      group.appendChild(select);
+
+      this.fieldSelects.set(field.key, select);
+      this.fieldsContainer.appendChild(group);
+    });
+  }
+
+  /**
+   * Table with the headers and first rows of the file
+   * @private
+   */
+  _renderPreview(rows) {
+    if (!this.previewTable) return;
+
+    this.previewTable.innerHTML = '';
+
+    const headRow = this.previewTable.createTHead().insertRow();
+    this.headers.forEach(header => {
+      const cell = document.createElement('th');
+      cell.textContent = header;
+      headRow.appendChild(cell);
+    });
+
+    const body = this.previewTable.createTBody();
+    rows.forEach(row => {
+      const tableRow = body.insertRow();
+      row.forEach(value => {
+        tableRow.insertCell().textContent = value;
+      });
+    });
+  }
+
+  /**
+   * Fill the profile selector
+   * @private
+   */
+  _renderProfiles(selectedName) {
+    if (!this.profileSelect) return;
+
+    this.profileSelect.innerHTML = '';
+    this.profileSelect.appendChild(new Option('— Ninguno —', ''));
+    Object.keys(this.profiles).sort().forEach(name => {
+      this.profileSelect.appendChild(new Option(name, name));
+    });
+    this.profileSelect.value = selectedName;
+  }
+
+  /**
+   * Select the columns of a mapping (headers not in the file are left unassigned)
+   * @private
+   */
+  _applyMapping(mapping) {
+    const columns = (mapping && mapping.columns) || {};
+
+    this.fieldSelects.forEach((select, key) => {
+      const header = columns[key];
+      select.value = header && this.headers.includes(header) ? header : '';
+    });
+
+    if (this.defaultTypeSelect) {
+      this.defaultTypeSelect.value = (mapping && mapping.defaultType) || 'student';
+    }
+  }
+
+  /**
+   * Show a validation message in the modal
+   * @private
+   */
+  _setError(message) {
+    if (this.errorElement) {
+      this.errorElement.textContent = message;
+      this.errorElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError(message) {
+    console.error('[ColumnMappingModal]', message);
+    alert(message);
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[ColumnMappingModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ColumnMappingModal };
+  } else if (typeof window !== 'undefined') {
+    global.ColumnMappingModal = ColumnMappingModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
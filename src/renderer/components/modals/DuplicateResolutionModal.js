@@ -0,0 +1,439 @@
+/**
+ * DuplicateResolutionModal - Modal for the repeated identifiers of a roster
+ *
+ * Before importing or updating, lists every NIA or document that appears
+ * more than once in the file, with all its occurrences side by side. For
+ * each one the operator keeps one occurrence, merges fields from several,
+ * or imports them all as different types of user. Decisions already taken
+ * in earlier updates for the same occurrences are applied without asking.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  // Rows of the comparison table (attributes are the extra data: email, phone...)
+  const FIELDS = [
+    { key: 'first_name', label: 'Nombre' },
+    { key: 'last_name1', label: 'Primer apellido' },
+    { key: 'last_name2', label: 'Segundo apellido' },
+    { key: 'birth_date', label: 'Fecha de nacimiento' },
+    { key: 'document', label: 'Documento' },
+    { key: 'group_code', label: 'Grupo' },
+    { key: 'attributes', label: 'Otros datos' }
+  ];
+
+  const ACTIONS = [
+    { value: 'keep', label: 'Conservar una aparición' },
+    { value: 'merge', label: 'Combinar campos' },
+    { value: 'split', label: 'Importar todas con tipos distintos' }
+  ];
+
+  const TYPE_LABELS = {
+    student: 'Alumno',
+    teacher: 'Docente',
+    non_teaching_staff: 'No docente'
+  };
+
+  class DuplicateResolutionModal extends BaseModal {
+  constructor() {
+    // No default button: Enter must not accept decisions that were not reviewed
+    super('duplicate-resolution-modal');
+
+    this.summaryElement = null;
+    this.container = null;
+    this.statusElement = null;
+    this.applyBtn = null;
+    this.cancelBtn = null;
+
+    this.pending = [];
+    this.remembered = [];
+    this.decisions = new Map();
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.summaryElement = this.modal.querySelector('#duplicate-resolution-summary');
+    this.container = this.modal.querySelector('#duplicate-resolution-container');
+    this.statusElement = this.modal.querySelector('#duplicate-resolution-status');
+    this.applyBtn = this.modal.querySelector('#duplicate-resolution-apply-btn');
+    this.cancelBtn = this.modal.querySelector('#duplicate-resolution-cancel-btn');
+
+    this.addEventListener(this.applyBtn, 'click', () => this.handleApply());
+    this.addEventListener(this.cancelBtn, 'click', () => this.close());
+
+    this._log('DuplicateResolutionModal initialized');
+  }
+
+  /**
+   * Find the repeated identifiers of a roster and ask what to do with them
+   * @param {Object} options
+   * @param {string} options.filePath - Roster file
+   * @param {Object|null} [options.mapping] - Column mapping of CSV/XLSX rosters
+   * @param {boolean} [options.validOnly] - Only the valid elements are imported
+   * @param {boolean} [options.useSaved] - Apply the decisions saved in the open project
+   * @returns {Promise<Object[]|null>} Decisions (empty without duplicates), or null if cancelled
+   */
+  async show({ filePath, mapping = null, validOnly = false, useSaved = false }) {
+    const result = await window.electronAPI.findRosterDuplicates({ filePath, mapping, validOnly, useSaved });
+
+    if (!result.success) {
+      this._showError('No se pudieron buscar los usuarios duplicados: ' + result.error);
+      return null;
+    }
+
+    this.remembered = result.duplicates.filter(duplicate => duplicate.resolution);
+    this.pending = result.duplicates.filter(duplicate => !duplicate.resolution);
+    if (this.pending.length === 0) {
+      return this.remembered.map(duplicate => duplicate.resolution);
+    }
+
+    this.decisions = new Map(this.pending.map(duplicate => [duplicate.key, this._defaultDecision(duplicate)]));
+
+    if (this.summaryElement) {
+      let summary = `${this.pending.length} identificadores aparecen más de una vez en el archivo. Elige qué importar de cada uno.`;
+      if (this.remembered.length > 0) {
+        summary += ` Otros ${this.remembered.length} se resolverán como en actualizaciones anteriores.`;
+      }
+      this.summaryElement.textContent = summary;
+    }
+    this._setStatus('');
+    this.render();
+
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+
+  /**
+   * Render every pending duplicate
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    this.pending.forEach(duplicate => {
+      this.container.appendChild(this._renderDuplicate(duplicate));
+    });
+  }
+
+  /**
+   * Resolve with the decisions, if they can be applied
+   */
+  handleApply() {
+    const resolutions = [];
+
+    for (const duplicate of this.pending) {
+      const decision = this.decisions.get(duplicate.key);
+      const error = this._checkDecision(duplicate, decision);
+      if (error) {
+        this._setStatus(error);
+        return;
+      }
+      resolutions.push(this._buildResolution(duplicate, decision));
+    }
+
+    const resolve = this.resolvePromise;
+    this.resolvePromise = null;
+    this.close();
+    if (resolve) {
+      resolve([...this.remembered.map(duplicate => duplicate.resolution), ...resolutions]);
+    }
+  }
+
+  /**
+   * Override close to resolve as cancelled
+   */
+  close() {
+    super.close();
+
+    if (this.resolvePromise) {
+      this.resolvePromise(null);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * Decision proposed for a duplicate: the automatic rule of the import
+   * (the first occurrence with a group)
+   * @private
+   */
+  _defaultDecision(duplicate) {
+    const withGroup = duplicate.occurrences.findIndex(occurrence => occurrence.group_code);
+    const occurrence = withGroup === -1 ? 0 : withGroup;
+
+    // Merged fields start from the kept occurrence, filling its empty values
+    const fields = {};
+    FIELDS.forEach(({ key }) => {
+      const isEmpty = (value) => value === undefined || value === null || value === '' ||
+        (typeof value === 'object' && Object.keys(value).length === 0);
+      const filled = duplicate.occurrences.findIndex(candidate => !isEmpty(candidate[key]));
+      fields[key] = isEmpty(duplicate.occurrences[occurrence][key]) && filled !== -1 ? filled : occurrence;
+    });
+
+    return {
+      action: 'keep',
+      occurrence,
+      fields,
+      types: duplicate.occurrences.map(() => duplicate.type)
+    };
+  }
+
+  /**
+   * @returns {string|null} Why a decision cannot be applied
+   * @private
+   */
+  _checkDecision(duplicate, decision) {
+    if (decision.action !== 'split') return null;
+
+    const identifier = this._formatIdentifier(duplicate);
+    if (new Set(decision.types).size !== decision.types.length) {
+      return `${identifier}: cada aparición tiene que importarse con un tipo distinto`;
+    }
+    const withoutDocument = decision.types.findIndex((type, index) =>
+      type !== 'student' && !duplicate.occurrences[index].document
+    );
+    if (withoutDocument !== -1) {
+      return `${identifier}: la aparición ${withoutDocument + 1} no tiene documento y solo puede importarse como alumno`;
+    }
+    return null;
+  }
+
+  /**
+   * Decision in the format expected by the import
+   * @private
+   */
+  _buildResolution(duplicate, decision) {
+    const resolution = { key: duplicate.key, signature: duplicate.signature, action: decision.action };
+
+    if (decision.action === 'keep') {
+      resolution.occurrence = decision.occurrence;
+    } else if (decision.action === 'merge') {
+      resolution.fields = { ...decision.fields };
+      resolution.user = {};
+      FIELDS.forEach(({ key }) => {
+        resolution.user[key] = duplicate.occurrences[decision.fields[key]][key];
+      });
+    } else {
+      resolution.types = [...decision.types];
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Occurrences of a duplicate side by side, with the controls of its decision
+   * @private
+   */
+  _renderDuplicate(duplicate) {
+    const decision = this.decisions.get(duplicate.key);
+    const item = document.createElement('div');
+    item.className = 'duplicate-resolution-item';
+    item.dataset.key = duplicate.key;
+
+    const header = document.createElement('div');
+    header.className = 'duplicate-resolution-header';
+    const title = document.createElement('strong');
+    title.textContent = `${TYPE_LABELS[duplicate.type]} · ${this._formatIdentifier(duplicate)} · ${duplicate.occurrences.length} apariciones`;
+    header.appendChild(title);
+
+    const actionSelect = document.createElement('select');
+    actionSelect.className = 'duplicate-resolution-action';
+    ACTIONS.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      actionSelect.appendChild(option);
+    });
+    actionSelect.value = decision.action;
+    actionSelect.addEventListener('change', () => {
+      decision.action = actionSelect.value;
+      this._setStatus('');
+      item.replaceWith(this._renderDuplicate(duplicate));
+    });
+    header.appendChild(actionSelect);
+    item.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'update-review-table';
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    duplicate.occurrences.forEach((occurrence, index) => {
+      const th = document.createElement('th');
+      th.textContent = `Aparición ${index + 1}`;
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    FIELDS.forEach(({ key, label }) => {
+      const values = duplicate.occurrences.map(occurrence => this._formatValue(occurrence[key]));
+      const differs = values.some(value => value !== values[0]);
+
+      const row = document.createElement('tr');
+      const labelCell = document.createElement('td');
+      labelCell.textContent = label;
+      row.appendChild(labelCell);
+
+      values.forEach((value, index) => {
+        const cell = document.createElement('td');
+        if (differs) {
+          cell.className = 'duplicate-resolution-diff';
+        }
+        if (decision.action === 'merge') {
+          const radio = this._createRadio(`${duplicate.key}:${key}`, decision.fields[key] === index, () => {
+            decision.fields[key] = index;
+          });
+          radio.dataset.field = key;
+          cell.appendChild(radio);
+        }
+        cell.appendChild(document.createTextNode(value));
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+
+    if (decision.action === 'keep') {
+      const row = document.createElement('tr');
+      const labelCell = document.createElement('td');
+      labelCell.textContent = 'Conservar';
+      row.appendChild(labelCell);
+      duplicate.occurrences.forEach((occurrence, index) => {
+        const cell = document.createElement('td');
+        const radio = this._createRadio(`${duplicate.key}:keep`, decision.occurrence === index, () => {
+          decision.occurrence = index;
+        });
+        radio.dataset.occurrence = index;
+        cell.appendChild(radio);
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    } else if (decision.action === 'split') {
+      const row = document.createElement('tr');
+      const labelCell = document.createElement('td');
+      labelCell.textContent = 'Importar como';
+      row.appendChild(labelCell);
+      duplicate.occurrences.forEach((occurrence, index) => {
+        const cell = document.createElement('td');
+        const typeSelect = document.createElement('select');
+        typeSelect.dataset.occurrence = index;
+        Object.entries(TYPE_LABELS).forEach(([type, typeLabel]) => {
+          // Students are identified by NIA: only occurrences read as students have one
+          if (type === 'student' && duplicate.type !== 'student') return;
+          const option = document.createElement('option');
+          option.value = type;
+          option.textContent = typeLabel;
+          typeSelect.appendChild(option);
+        });
+        typeSelect.value = decision.types[index];
+        typeSelect.addEventListener('change', () => {
+          decision.types[index] = typeSelect.value;
+          this._setStatus('');
+        });
+        cell.appendChild(typeSelect);
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    }
+
+    table.appendChild(tbody);
+    item.appendChild(table);
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  _createRadio(name, checked, onSelect) {
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = name;
+    radio.checked = checked;
+    radio.addEventListener('change', () => {
+      if (radio.checked) onSelect();
+    });
+    return radio;
+  }
+
+  /**
+   * @private
+   */
+  _formatIdentifier(duplicate) {
+    const occurrence = duplicate.occurrences[0];
+    return duplicate.type === 'student' ? `NIA ${occurrence.nia}` : `Documento ${occurrence.document}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatValue(value) {
+    if (value === undefined || value === null || value === '') {
+      return '—';
+    }
+    if (typeof value === 'object') {
+      const names = Object.keys(value);
+      return names.length > 0 ? names.join(', ') : '—';
+    }
+    return String(value);
+  }
+
+  /**
+   * Show a status line under the list
+   * @private
+   */
+  _setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError(message) {
+    console.error('[DuplicateResolutionModal]', message);
+    alert(message);
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[DuplicateResolutionModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DuplicateResolutionModal };
+  } else if (typeof window !== 'undefined') {
+    global.DuplicateResolutionModal = DuplicateResolutionModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
@@ -4,6 +4,7 @@
  * Allows user to choose between:
  * - Copy original images
  * - Resize images with custom dimensions and file size
+ * - Apply the stored 3:4 crop of each photo (in both modes)
  *
  * @extends BaseModal
  */
@@ -31,6 +32,7 @@
     this.resizeOptionsContainer = null;
     this.boxSizeInput = null;
     this.maxSizeInput = null;
+    this.applyCropCheckbox = null;
     this.confirmBtn = null;
     this.cancelBtn = null;
 
@@ -53,6 +55,7 @@
     this.resizeOptionsContainer = this.modal.querySelector('#resize-options');
     this.boxSizeInput = this.modal.querySelector('#export-box-size');
     this.maxSizeInput = this.modal.querySelector('#export-max-size');
+    this.applyCropCheckbox = this.modal.querySelector('#export-apply-crop');
     this.confirmBtn = this.modal.querySelector('#export-confirm-btn');
     this.cancelBtn = this.modal.querySelector('#export-cancel-btn');
 
@@ -154,7 +157,8 @@
       resize: isResizeMode ? {
         boxSize: parseInt(this.boxSizeInput.value, 10) || 800,
         maxSize: parseInt(this.maxSizeInput.value, 10) || 500
-      } : null
+      } : null,
+      applyCrop: !!(this.applyCropCheckbox && this.applyCropCheckbox.checked)
     };
   }
 
@@ -174,6 +178,10 @@
       this.maxSizeInput.value = '500';
     }
 
+    if (this.applyCropCheckbox) {
+      this.applyCropCheckbox.checked = false;
+    }
+
     this.handleModeChange();
   }
 
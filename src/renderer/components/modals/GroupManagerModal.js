@@ -0,0 +1,322 @@
+/**
+ * GroupManagerModal - Modal for editing the metadata of the groups
+ *
+ * Lists the groups of the project in display order and lets the user
+ * change the order, the display name used in PDFs, the level (ESO,
+ * Bachillerato, FP...) and the tutor of each group. The values filled
+ * from the group codes can be recalculated at any time.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  class GroupManagerModal extends BaseModal {
+  constructor() {
+    super('group-manager-modal');
+
+    this.container = null;
+    this.statusElement = null;
+    this.deriveBtn = null;
+    this.cancelBtn = null;
+    this.saveBtn = null;
+
+    this.groups = [];
+    this.teachers = [];
+    this.isSaving = false;
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.container = this.modal.querySelector('#group-manager-container');
+    this.statusElement = this.modal.querySelector('#group-manager-status');
+    this.deriveBtn = this.modal.querySelector('#group-manager-derive-btn');
+    this.cancelBtn = this.modal.querySelector('#group-manager-cancel-btn');
+    this.saveBtn = this.modal.querySelector('#group-manager-save-btn');
+
+    this.addEventListener(this.deriveBtn, 'click', () => this.handleDerive());
+    this.addEventListener(this.cancelBtn, 'click', () => this.close());
+    this.addEventListener(this.saveBtn, 'click', () => this.handleSave());
+
+    this._log('GroupManagerModal initialized');
+  }
+
+  /**
+   * Load the groups and the teachers and open the modal
+   * @returns {Promise<boolean>} Whether the changes were saved
+   */
+  async show() {
+    const [groupsResult, teachersResult] = await Promise.all([
+      window.electronAPI.getGroups(),
+      window.electronAPI.getUsers({ type: 'teacher' }, { loadCapturedImages: false, loadRepositoryImages: false })
+    ]);
+
+    if (!groupsResult.success) {
+      this._showError('No se pudieron cargar los grupos: ' + groupsResult.error);
+      return false;
+    }
+
+    this.groups = groupsResult.groups.map(group => ({
+      code: group.code,
+      name: group.name,
+      level: group.level || '',
+      display_name: group.display_name || '',
+      tutor_id: group.tutor_id || null
+    }));
+    this.teachers = teachersResult.success ? teachersResult.users : [];
+
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this._setStatus('');
+      this.render();
+      this.open();
+    });
+  }
+
+  /**
+   * Render the table of groups
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'update-review-table group-manager-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Orden</th>
+          <th>Código</th>
+          <th>Nombre en los PDF</th>
+          <th>Nivel</th>
+          <th>Tutor</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    this.groups.forEach((group, index) => {
+      const row = document.createElement('tr');
+      row.dataset.code = group.code;
+
+      const orderCell = document.createElement('td');
+      orderCell.className = 'group-manager-order';
+      orderCell.appendChild(this._createMoveButton('↑', 'Subir', index, -1));
+      orderCell.appendChild(this._createMoveButton('↓', 'Bajar', index, 1));
+      row.appendChild(orderCell);
+
+      const codeCell = document.createElement('td');
+      codeCell.textContent = group.code;
+      codeCell.title = group.name || '';
+      row.appendChild(codeCell);
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'group-manager-name';
+      nameInput.value = group.display_name;
+      nameInput.placeholder = group.name || group.code;
+      nameInput.addEventListener('input', () => { group.display_name = nameInput.value; });
+      row.appendChild(this._wrapInCell(nameInput));
+
+      const levelInput = document.createElement('input');
+      levelInput.type = 'text';
+      levelInput.className = 'group-manager-level';
+      levelInput.value = group.level;
+      levelInput.setAttribute('list', 'group-level-options');
+      levelInput.addEventListener('input', () => { group.level = levelInput.value; });
+      row.appendChild(this._wrapInCell(levelInput));
+
+      const tutorSelect = document.createElement('select');
+      tutorSelect.className = 'group-manager-tutor';
+      tutorSelect.innerHTML = '<option value="">Sin tutor</option>';
+      this.teachers.forEach(teacher => {
+        const option = document.createElement('option');
+        option.value = String(teacher.id);
+        option.textContent = [teacher.last_name1, teacher.last_name2].filter(Boolean).join(' ') + `, ${teacher.first_name}`;
+        tutorSelect.appendChild(option);
+      });
+      tutorSelect.value = group.tutor_id ? String(group.tutor_id) : '';
+      tutorSelect.addEventListener('change', () => {
+        group.tutor_id = tutorSelect.value ? parseInt(tutorSelect.value, 10) : null;
+      });
+      row.appendChild(this._wrapInCell(tutorSelect));
+
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    this.container.appendChild(table);
+  }
+
+  /**
+   * Move a group one position up or down
+   * @param {number} index - Position of the group
+   * @param {number} offset - -1 (up) or 1 (down)
+   */
+  moveGroup(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.groups.length) return;
+
+    [this.groups[index], this.groups[target]] = [this.groups[target], this.groups[index]];
+    this.render();
+  }
+
+  /**
+   * Fill the level, name and order of every group from its code
+   * (tutors are kept)
+   */
+  async handleDerive() {
+    const result = await window.electronAPI.deriveGroupMetadata(
+      this.groups.map(group => ({ code: group.code, name: group.name }))
+    );
+
+    if (!result.success) {
+      this._setStatus(result.error || 'No se pudieron calcular los datos de los grupos');
+      return;
+    }
+
+    const derived = new Map(result.groups.map(group => [group.code, group]));
+    this.groups.forEach(group => {
+      const values = derived.get(group.code);
+      group.level = values.level || '';
+      group.display_name = values.display_name || '';
+    });
+    this.groups.sort((a, b) =>
+      derived.get(a.code).display_order - derived.get(b.code).display_order || a.code.localeCompare(b.code)
+    );
+
+    this.render();
+    this._setStatus('Datos calculados a partir de los códigos. Revísalos y pulsa Guardar.');
+  }
+
+  /**
+   * Save the groups in the order shown
+   */
+  async handleSave() {
+    if (this.isSaving) return;
+    this.isSaving = true;
+    if (this.saveBtn) this.saveBtn.disabled = true;
+
+    try {
+      const result = await window.electronAPI.updateGroups(this.groups.map(group => ({
+        code: group.code,
+        level: group.level,
+        display_name: group.display_name,
+        tutor_id: group.tutor_id
+      })));
+
+      if (!result.success) {
+        this._setStatus(result.error || 'Error al guardar los grupos');
+        return;
+      }
+
+      this._resolve(true);
+      this.close();
+    } catch (error) {
+      console.error('[GroupManagerModal] Error saving groups:', error);
+      this._setStatus('Error al guardar los grupos: ' + error.message);
+    } finally {
+      this.isSaving = false;
+      if (this.saveBtn) this.saveBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Override close to treat it as cancel when nothing was saved
+   */
+  close() {
+    super.close();
+    this._resolve(false);
+  }
+
+  /**
+   * @private
+   */
+  _resolve(saved) {
+    if (this.resolvePromise) {
+      this.resolvePromise(saved);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _createMoveButton(label, title, index, offset) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small btn-secondary';
+    button.textContent = label;
+    button.title = title;
+    const target = index + offset;
+    button.disabled = target < 0 || target >= this.groups.length;
+    button.addEventListener('click', () => this.moveGroup(index, offset));
+    return button;
+  }
+
+  /**
+   * @private
+   */
+  _wrapInCell(element) {
+    const cell = document.createElement('td');
+    cell.appendChild(element);
+    return cell;
+  }
+
+  /**
+   * Show a status line under the table
+   * @private
+   */
+  _setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError(message) {
+    console.error('[GroupManagerModal]', message);
+    alert(message);
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[GroupManagerModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GroupManagerModal };
+  } else if (typeof window !== 'undefined') {
+    global.GroupManagerModal = GroupManagerModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,324 @@
+/**
+ * ImageCropModal - Modal for adjusting the 3:4 crop of a photo
+ *
+ * Shows the photo with its crop (proposed around the face when it was
+ * captured, or centred) as a frame that can be dragged and resized. The
+ * ratios used to propose crops (face size and eye line) are project
+ * settings and can be changed here to propose the crop again.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  // Width / height of the crop
+  const CROP_ASPECT = 3 / 4;
+
+  const SOURCE_LABELS = {
+    face: 'Recorte propuesto a partir de la cara detectada',
+    center: 'Recorte centrado (no se detectó ninguna cara)',
+    manual: 'Recorte ajustado a mano'
+  };
+
+  class ImageCropModal extends BaseModal {
+  constructor() {
+    super('image-crop-modal');
+
+    this.stage = null;
+    this.imageElement = null;
+    this.cropBox = null;
+    this.sizeInput = null;
+    this.headRatioInput = null;
+    this.eyeLineInput = null;
+    this.sourceElement = null;
+    this.statusElement = null;
+    this.proposeBtn = null;
+    this.cancelBtn = null;
+    this.saveBtn = null;
+
+    this.imagePath = null;
+    this.image = null; // { width, height }
+    this.crop = null; // { left, top, width, height } in image pixels
+    this.face = null;
+    this.drag = null;
+    this.isSaving = false;
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.stage = this.modal.querySelector('#image-crop-stage');
+    this.imageElement = this.modal.querySelector('#image-crop-image');
+    this.cropBox = this.modal.querySelector('#image-crop-box');
+    this.sizeInput = this.modal.querySelector('#image-crop-size');
+    this.headRatioInput = this.modal.querySelector('#image-crop-head-ratio');
+    this.eyeLineInput = this.modal.querySelector('#image-crop-eye-line');
+    this.sourceElement = this.modal.querySelector('#image-crop-source');
+    this.statusElement = this.modal.querySelector('#image-crop-status');
+    this.proposeBtn = this.modal.querySelector('#image-crop-propose-btn');
+    this.cancelBtn = this.modal.querySelector('#image-crop-cancel-btn');
+    this.saveBtn = this.modal.querySelector('#image-crop-save-btn');
+
+    this.addEventListener(this.sizeInput, 'input', () => this.resizeCrop(parseInt(this.sizeInput.value, 10)));
+    this.addEventListener(this.cropBox, 'mousedown', (event) => this.startDrag(event));
+    this.addEventListener(document, 'mousemove', (event) => this.moveDrag(event));
+    this.addEventListener(document, 'mouseup', () => { this.drag = null; });
+    this.addEventListener(this.proposeBtn, 'click', () => this.handlePropose());
+    this.addEventListener(this.cancelBtn, 'click', () => this.close());
+    this.addEventListener(this.saveBtn, 'click', () => this.handleSave());
+
+    this._log('ImageCropModal initialized');
+  }
+
+  /**
+   * Load the crop of a photo and open the modal
+   * @param {string} imagePath - Photo (absolute path in imports)
+   * @returns {Promise<boolean>} Whether the crop was saved
+   */
+  async show(imagePath) {
+    const result = await window.electronAPI.getImageCrop(imagePath);
+    if (!result.success) {
+      this._showError('No se pudo cargar el recorte: ' + result.error);
+      return false;
+    }
+
+    this.imagePath = imagePath;
+    this.image = { width: result.image_width, height: result.image_height };
+    this.crop = { ...result.crop };
+    this.face = result.face;
+
+    if (this.headRatioInput) this.headRatioInput.value = Math.round(result.settings.headRatio * 100);
+    if (this.eyeLineInput) this.eyeLineInput.value = Math.round(result.settings.eyeLineRatio * 100);
+    if (this.imageElement) this.imageElement.src = `file://${imagePath}`;
+    this._setSource(result.source);
+
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this._setStatus('');
+      this.render();
+      this.open();
+    });
+  }
+
+  /**
+   * Largest crop width that fits in the photo
+   * @returns {number}
+   */
+  getMaxCropWidth() {
+    return Math.min(this.image.width, this.image.height * CROP_ASPECT);
+  }
+
+  /**
+   * Place the crop frame over the photo (in % so it follows the photo size)
+   */
+  render() {
+    if (!this.crop || !this.cropBox) return;
+
+    const { left, top, width, height } = this.crop;
+    this.cropBox.style.left = `${(left / this.image.width) * 100}%`;
+    this.cropBox.style.top = `${(top / this.image.height) * 100}%`;
+    this.cropBox.style.width = `${(width / this.image.width) * 100}%`;
+    this.cropBox.style.height = `${(height / this.image.height) * 100}%`;
+
+    if (this.sizeInput) {
+      this.sizeInput.value = String(Math.round((width / this.getMaxCropWidth()) * 100));
+    }
+  }
+
+  /**
+   * Resize the crop keeping its centre
+   * @param {number} percent - Width as % of the largest crop
+   */
+  resizeCrop(percent) {
+    if (!this.crop || !Number.isFinite(percent)) return;
+
+    const width = Math.max(1, Math.round(this.getMaxCropWidth() * Math.min(Math.max(percent, 10), 100) / 100));
+    const height = Math.round(width / CROP_ASPECT);
+    const centerX = this.crop.left + this.crop.width / 2;
+    const centerY = this.crop.top + this.crop.height / 2;
+
+    this._setCrop({ left: centerX - width / 2, top: centerY - height / 2, width, height });
+    this._setSource('manual');
+  }
+
+  /**
+   * Move the crop by an offset in photo pixels
+   * @param {number} dx
+   * @param {number} dy
+   */
+  moveCrop(dx, dy) {
+    if (!this.crop) return;
+
+    this._setCrop({ ...this.crop, left: this.crop.left + dx, top: this.crop.top + dy });
+    this._setSource('manual');
+  }
+
+  /**
+   * @private
+   */
+  startDrag(event) {
+    event.preventDefault();
+    this.drag = { x: event.clientX, y: event.clientY };
+  }
+
+  /**
+   * @private
+   */
+  moveDrag(event) {
+    if (!this.drag || !this.stage || !this.stage.clientWidth) return;
+
+    // Screen pixels -> photo pixels
+    const scale = this.image.width / this.stage.clientWidth;
+    this.moveCrop((event.clientX - this.drag.x) * scale, (event.clientY - this.drag.y) * scale);
+    this.drag = { x: event.clientX, y: event.clientY };
+  }
+
+  /**
+   * Save the ratios and propose the crop again from the face of the photo
+   */
+  async handlePropose() {
+    const settingsResult = await window.electronAPI.saveCropSettings({
+      headRatio: parseFloat(this.headRatioInput.value) / 100,
+      eyeLineRatio: parseFloat(this.eyeLineInput.value) / 100
+    });
+    if (!settingsResult.success) {
+      this._setStatus(settingsResult.error || 'No se pudieron guardar las proporciones');
+      return;
+    }
+
+    const result = await window.electronAPI.proposeFaceCrop(this.image, this.face);
+    if (!result.success) {
+      this._setStatus(result.error || 'No se pudo proponer el recorte');
+      return;
+    }
+
+    this.crop = { ...result.crop };
+    this.render();
+    this._setSource(result.source);
+    this._setStatus('Revisa el recorte y pulsa Guardar.');
+  }
+
+  /**
+   * Save the crop
+   */
+  async handleSave() {
+    if (this.isSaving) return;
+    this.isSaving = true;
+    if (this.saveBtn) this.saveBtn.disabled = true;
+
+    try {
+      const result = await window.electronAPI.saveImageCrop(this.imagePath, this.crop);
+      if (!result.success) {
+        this._setStatus(result.error || 'Error al guardar el recorte');
+        return;
+      }
+
+      this._resolve(true);
+      this.close();
+    } catch (error) {
+      console.error('[ImageCropModal] Error saving crop:', error);
+      this._setStatus('Error al guardar el recorte: ' + error.message);
+    } finally {
+      this.isSaving = false;
+      if (this.saveBtn) this.saveBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Override close to treat it as cancel when nothing was saved
+   */
+  close() {
+    super.close();
+    this.drag = null;
+    this._resolve(false);
+  }
+
+  /**
+   * Keep the crop inside the photo and redraw it
+   * @private
+   */
+  _setCrop({ left, top, width, height }) {
+    this.crop = {
+      left: Math.round(Math.min(Math.max(left, 0), this.image.width - width)),
+      top: Math.round(Math.min(Math.max(top, 0), this.image.height - height)),
+      width,
+      height
+    };
+    this.render();
+  }
+
+  /**
+   * @private
+   */
+  _resolve(saved) {
+    if (this.resolvePromise) {
+      this.resolvePromise(saved);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setSource(source) {
+    if (this.sourceElement) {
+      this.sourceElement.textContent = SOURCE_LABELS[source] || '';
+    }
+  }
+
+  /**
+   * Show a status line under the photo
+   * @private
+   */
+  _setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError(message) {
+    console.error('[ImageCropModal]', message);
+    alert(message);
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[ImageCropModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImageCropModal };
+  } else if (typeof window !== 'undefined') {
+    global.ImageCropModal = ImageCropModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
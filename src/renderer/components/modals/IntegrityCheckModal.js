@@ -0,0 +1,248 @@
+/**
+ * IntegrityCheckModal - Modal showing the result of the project integrity check
+ *
+ * Lists the inconsistencies found by category and offers the safe
+ * repairs (unlink missing files, move orphans to ingest, purge tags).
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  // Items listed per category; the rest are only counted
+  const MAX_ITEMS_SHOWN = 50;
+
+  class IntegrityCheckModal extends BaseModal {
+  constructor() {
+    super('integrity-check-modal', {
+      defaultButtonSelector: '#integrity-check-close-btn'
+    });
+
+    this.container = null;
+    this.statusElement = null;
+    this.recheckBtn = null;
+    this.closeBtn = null;
+
+    this.report = null;
+    this.repairedCount = 0;
+    this.isRepairing = false;
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.container = this.modal.querySelector('#integrity-check-container');
+    this.statusElement = this.modal.querySelector('#integrity-check-status');
+    this.recheckBtn = this.modal.querySelector('#integrity-check-recheck-btn');
+    this.closeBtn = this.modal.querySelector('#integrity-check-close-btn');
+
+    this.addEventListener(this.recheckBtn, 'click', () => this.runCheck());
+    this.addEventListener(this.closeBtn, 'click', () => this.close());
+
+    this._log('IntegrityCheckModal initialized');
+  }
+
+  /**
+   * Check the project and show the result
+   * @returns {Promise<number>} Number of items repaired while the modal was open
+   */
+  show() {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.repairedCount = 0;
+      this._setStatus('');
+      this.open();
+      this.runCheck();
+    });
+  }
+
+  /**
+   * Run the integrity check and render the report
+   */
+  async runCheck() {
+    this.report = null;
+    this._renderMessage('Verificando el proyecto...');
+    if (this.recheckBtn) this.recheckBtn.disabled = true;
+
+    try {
+      const result = await window.electronAPI.checkProjectIntegrity();
+
+      if (!result.success) {
+        this._renderMessage(result.error || 'Error al verificar el proyecto');
+        return;
+      }
+
+      this.report = result.report;
+      this.render();
+    } catch (error) {
+      console.error('[IntegrityCheckModal] Error checking project:', error);
+      this._renderMessage('Error al verificar el proyecto: ' + error.message);
+    } finally {
+      if (this.recheckBtn) this.recheckBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Render the report grouped by category
+   */
+  render() {
+    if (!this.container || !this.report) return;
+
+    this.container.innerHTML = '';
+
+    this.report.warnings.forEach(warning => {
+      const element = document.createElement('p');
+      element.className = 'integrity-check-warning';
+      element.textContent = `⚠ ${warning}`;
+      this.container.appendChild(element);
+    });
+
+    const categories = this.report.categories.filter(category => category.items.length > 0);
+
+    if (categories.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'integrity-check-empty';
+      empty.textContent = 'No se han encontrado problemas en el proyecto';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    categories.forEach(category => {
+      const section = document.createElement('section');
+      section.className = 'integrity-check-category';
+      section.dataset.category = category.id;
+
+      const header = document.createElement('div');
+      header.className = 'integrity-check-header';
+
+      const title = document.createElement('h3');
+      title.textContent = `${category.label} (${category.items.length})`;
+      header.appendChild(title);
+
+      if (category.repairLabel) {
+        const repairBtn = document.createElement('button');
+        repairBtn.className = 'btn btn-small btn-secondary';
+        repairBtn.textContent = category.repairLabel;
+        repairBtn.addEventListener('click', () => this.handleRepair(category));
+        header.appendChild(repairBtn);
+      }
+
+      section.appendChild(header);
+
+      const list = document.createElement('ul');
+      category.items.slice(0, MAX_ITEMS_SHOWN).forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = item.description;
+        list.appendChild(entry);
+      });
+      if (category.items.length > MAX_ITEMS_SHOWN) {
+        const more = document.createElement('li');
+        more.className = 'integrity-check-more';
+        more.textContent = `... y ${category.items.length - MAX_ITEMS_SHOWN} más`;
+        list.appendChild(more);
+      }
+      section.appendChild(list);
+
+      this.container.appendChild(section);
+    });
+  }
+
+  /**
+   * Repair every issue of a category and check the project again
+   * @param {Object} category - Category of the report
+   */
+  async handleRepair(category) {
+    if (this.isRepairing) return;
+    this.isRepairing = true;
+
+    try {
+      const result = await window.electronAPI.repairProjectIntegrity(category.id);
+
+      if (result.success) {
+        this.repairedCount += result.repaired;
+        this._setStatus(`${category.label}: ${result.repaired} elemento${result.repaired !== 1 ? 's' : ''} reparado${result.repaired !== 1 ? 's' : ''}`);
+        await this.runCheck();
+      } else {
+        this._setStatus(result.error || 'Error al reparar');
+      }
+    } catch (error) {
+      console.error('[IntegrityCheckModal] Error repairing:', error);
+      this._setStatus('Error al reparar: ' + error.message);
+    } finally {
+      this.isRepairing = false;
+    }
+  }
+
+  /**
+   * Override close to report the repairs made
+   */
+  close() {
+    super.close();
+
+    if (this.resolvePromise) {
+      this.resolvePromise(this.repairedCount);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * Show a message instead of the report
+   * @private
+   */
+  _renderMessage(message) {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    const empty = document.createElement('p');
+    empty.className = 'integrity-check-empty';
+    empty.textContent = message;
+    this.container.appendChild(empty);
+  }
+
+  /**
+   * Show a status line under the report
+   * @private
+   */
+  _setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[IntegrityCheckModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IntegrityCheckModal };
+  } else if (typeof window !== 'undefined') {
+    global.IntegrityCheckModal = IntegrityCheckModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
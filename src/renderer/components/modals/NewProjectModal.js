@@ -1,7 +1,11 @@
 /**
  * NewProjectModal - Modal for creating a new project
  *
- * Allows user to select project folder and XML file.
+ * Allows user to select project folder and users file (XML, CSV or XLSX;
+ * spreadsheets go through the column mapping step and XML files through
+ * the validation report).
+ * Optionally seeds the new academic year with photos, tags and payment
+ * flags of the users that were already in a previous year's project.
  * Uses BaseModal lifecycle and project service.
  *
  * @extends BaseModal
@@ -20,12 +24,25 @@
     ({ store } = require('../../core/store'));
   }
 
+  // Roster files that need a column mapping
+  const SPREADSHEET_EXTENSIONS = ['csv', 'xlsx'];
+
   class NewProjectModal extends BaseModal {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {ColumnMappingModal} [options.columnMappingModal] - Modal for CSV/XLSX column mapping
+   * @param {XMLValidationModal} [options.xmlValidationModal] - Modal for the XML validation report
+   * @param {DuplicateResolutionModal} [options.duplicateResolutionModal] - Modal for repeated identifiers
+   */
+  constructor(options = {}) {
     super('new-project-modal', {
       defaultButtonSelector: '#create-project-btn'
     });
 
+    this.columnMappingModal = options.columnMappingModal || null;
+    this.xmlValidationModal = options.xmlValidationModal || null;
+    this.duplicateResolutionModal = options.duplicateResolutionModal || null;
+
     // Form elements
     this.projectFolderInput = null;
     this.xmlFileInput = null;
@@ -33,10 +50,31 @@
     this.selectXmlBtn = null;
     this.createBtn = null;
     this.cancelBtn = null;
+    this.fromPreviousCheckbox = null;
+    this.previousProjectGroup = null;
+    this.previousProjectInput = null;
+    this.selectPreviousBtn = null;
+
+    // Previous year panels
+    this.formSection = null;
+    this.carryOverPanel = null;
+    this.carryOverSummary = null;
+    this.carryOverCheckboxes = [];
+    this.carryOverConfirmBtn = null;
+    this.carryOverSkipBtn = null;
+    this.reportPanel = null;
+    this.reportContent = null;
+    this.reportCloseBtn = null;
 
     // State
     this.selectedFolder = null;
     this.selectedXmlFile = null;
+    this.selectedMapping = null;
+    this.selectedValidOnly = false;
+    this.selectedDuplicateResolutions = [];
+    this.selectedPreviousProject = null;
+    this.projectCreated = false;
+    this.stepResolve = null;
   }
 
   /**
@@ -54,12 +92,31 @@
     this.selectXmlBtn = this.modal.querySelector('#select-xml-btn');
     this.createBtn = this.modal.querySelector('#create-project-btn');
     this.cancelBtn = this.modal.querySelector('#cancel-new-project-btn');
+    this.fromPreviousCheckbox = this.modal.querySelector('#new-project-from-previous');
+    this.previousProjectGroup = this.modal.querySelector('#previous-project-group');
+    this.previousProjectInput = this.modal.querySelector('#previous-project-folder');
+    this.selectPreviousBtn = this.modal.querySelector('#select-previous-project-btn');
+
+    this.formSection = this.modal.querySelector('#new-project-form');
+    this.carryOverPanel = this.modal.querySelector('#carry-over-panel');
+    this.carryOverSummary = this.modal.querySelector('#carry-over-summary');
+    this.carryOverCheckboxes = Array.from(this.modal.querySelectorAll('#carry-over-panel input[data-category]'));
+    this.carryOverConfirmBtn = this.modal.querySelector('#carry-over-confirm-btn');
+    this.carryOverSkipBtn = this.modal.querySelector('#carry-over-skip-btn');
+    this.reportPanel = this.modal.querySelector('#carry-over-report');
+    this.reportContent = this.modal.querySelector('#carry-over-report-content');
+    this.reportCloseBtn = this.modal.querySelector('#carry-over-close-btn');
 
     // Setup event listeners
     this.addEventListener(this.selectFolderBtn, 'click', () => this.handleSelectFolder());
     this.addEventListener(this.selectXmlBtn, 'click', () => this.handleSelectXml());
     this.addEventListener(this.createBtn, 'click', () => this.handleCreate());
     this.addEventListener(this.cancelBtn, 'click', () => this.handleCancel());
+    this.addEventListener(this.fromPreviousCheckbox, 'change', () => this._updatePreviousProjectVisibility());
+    this.addEventListener(this.selectPreviousBtn, 'click', () => this.handleSelectPreviousProject());
+    this.addEventListener(this.carryOverConfirmBtn, 'click', () => this._resolveStep(this._getSelectedCategories()));
+    this.addEventListener(this.carryOverSkipBtn, 'click', () => this._resolveStep(null));
+    this.addEventListener(this.reportCloseBtn, 'click', () => this._resolveStep(true));
 
     this._log('NewProjectModal initialized');
   }
@@ -89,12 +146,14 @@
    */
   async handleSelectFolder() {
     try {
-      const result = await window.electronAPI.selectFolder();
+      const result = await window.electronAPI.showOpenDialog({
+        properties: ['openDirectory']
+      });
 
-      if (result.success && result.path) {
-        this.selectedFolder = result.path;
-        this.projectFolderInput.value = result.path;
-        this._log('Folder selected:', result.path);
+      if (!result.canceled && result.filePaths.length > 0) {
+        this.selectedFolder = result.filePaths[0];
+        this.projectFolderInput.value = this.selectedFolder;
+        this._log('Folder selected: ' + this.selectedFolder);
       }
     } catch (error) {
       console.error('[NewProjectModal] Error selecting folder:', error);
@@ -103,20 +162,85 @@
   }
 
   /**
-   * Handle XML file selection
+   * Handle users file selection (XML, or CSV/XLSX with a column mapping)
    */
   async handleSelectXml() {
     try {
-      const result = await window.electronAPI.selectXmlFile();
+      const result = await window.electronAPI.showOpenDialog({
+        properties: ['openFile'],
+        filters: [
+          { name: 'Archivos de usuarios', extensions: ['xml', ...SPREADSHEET_EXTENSIONS] },
+          { name: 'XML Files', extensions: ['xml'] },
+          { name: 'CSV / Excel', extensions: SPREADSHEET_EXTENSIONS }
+        ]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return;
+      }
 
-      if (result.success && result.path) {
-        this.selectedXmlFile = result.path;
-        this.xmlFileInput.value = result.path;
-        this._log('XML file selected:', result.path);
+      const filePath = result.filePaths[0];
+      let mapping = null;
+      let validOnly = false;
+
+      if (this._isSpreadsheet(filePath)) {
+        if (!this.columnMappingModal) {
+          this._showError('No se pueden importar archivos CSV o Excel');
+          return;
+        }
+        mapping = await this.columnMappingModal.show(filePath);
+        if (!mapping) {
+          this._log('Column mapping cancelled');
+          return;
+        }
+      } else if (this.xmlValidationModal) {
+        const validation = await this.xmlValidationModal.show(filePath);
+        if (!validation) {
+          this._log('Import aborted after XML validation');
+          return;
+        }
+        validOnly = validation.validOnly;
       }
+
+      let duplicateResolutions = [];
+      if (this.duplicateResolutionModal) {
+        duplicateResolutions = await this.duplicateResolutionModal.show({ filePath, mapping, validOnly });
+        if (!duplicateResolutions) {
+          this._log('Import aborted while resolving duplicates');
+          return;
+        }
+      }
+
+      this.selectedXmlFile = filePath;
+      this.selectedMapping = mapping;
+      this.selectedValidOnly = validOnly;
+      this.selectedDuplicateResolutions = duplicateResolutions;
+      this.xmlFileInput.value = this.selectedXmlFile;
+      this._log('Users file selected: ' + this.selectedXmlFile);
     } catch (error) {
-      console.error('[NewProjectModal] Error selecting XML:', error);
-      this._showError('Error al seleccionar archivo XML');
+      console.error('[NewProjectModal] Error selecting users file:', error);
+      this._showError('Error al seleccionar el archivo de usuarios');
+    }
+  }
+
+  /**
+   * Handle selection of the previous year's project folder
+   */
+  async handleSelectPreviousProject() {
+    try {
+      const result = await window.electronAPI.showOpenDialog({
+        properties: ['openDirectory'],
+        title: 'Seleccionar el proyecto del curso anterior'
+      });
+
+      if (!result.canceled && result.filePaths.length > 0) {
+        this.selectedPreviousProject = result.filePaths[0];
+        this.previousProjectInput.value = this.selectedPreviousProject;
+        this._log('Previous project selected: ' + this.selectedPreviousProject);
+      }
+    } catch (error) {
+      console.error('[NewProjectModal] Error selecting previous project:', error);
+      this._showError('Error al seleccionar el proyecto anterior');
     }
   }
 
@@ -131,7 +255,18 @@
     }
 
     if (!this.selectedXmlFile) {
-      this._showError('Por favor, selecciona el archivo XML');
+      this._showError('Por favor, selecciona el archivo de usuarios');
+      return;
+    }
+
+    const previousProject = this._isFromPrevious() ? this.selectedPreviousProject : null;
+    if (this._isFromPrevious() && !previousProject) {
+      this._showError('Por favor, selecciona el proyecto del curso anterior');
+      return;
+    }
+
+    if (previousProject && previousProject === this.selectedFolder) {
+      this._showError('El proyecto anterior no puede estar en la carpeta del nuevo proyecto');
       return;
     }
 
@@ -144,20 +279,24 @@
 
       const result = await window.electronAPI.createProject({
         folderPath: this.selectedFolder,
-        xmlFilePath: this.selectedXmlFile
+        xmlPath: this.selectedXmlFile,
+        mapping: this.selectedMapping,
+        ...(this.selectedValidOnly ? { validOnly: true } : {}),
+        ...(this.selectedDuplicateResolutions.length > 0 ? { duplicateResolutions: this.selectedDuplicateResolutions } : {})
       });
 
       if (result.success) {
         this._log('Project created successfully');
+        this.projectCreated = true;
 
         // Update store
         store.setState({
           project: {
             isOpen: true,
-            folderPath: result.project.folderPath,
-            xmlFilePath: result.project.xmlFilePath,
-            ingestFolderPath: result.project.ingestFolderPath,
-            importsFolderPath: result.project.importsFolderPath
+            folderPath: this.selectedFolder,
+            xmlFilePath: this.selectedXmlFile,
+            ingestFolderPath: null,
+            importsFolderPath: null
           },
           users: {
             allUsers: result.users || [],
@@ -172,6 +311,10 @@
           }
         });
 
+        if (previousProject) {
+          result.carryOverReport = await this._carryOverFromPrevious(previousProject);
+        }
+
         // Resolve promise with result
         if (this.resolvePromise) {
           const resolve = this.resolvePromise;
@@ -216,6 +359,13 @@
   close() {
     super.close();
 
+    // Closing during the previous year steps skips them; the project
+    // already exists, so handleCreate() resolves with the result
+    this._resolveStep(null);
+    if (this.projectCreated) {
+      return;
+    }
+
     // If closed without creating, resolve as null (cancelled)
     if (this.resolvePromise) {
       this.resolvePromise(null);
@@ -229,9 +379,19 @@
   resetForm() {
     this.selectedFolder = null;
     this.selectedXmlFile = null;
+    this.selectedMapping = null;
+    this.selectedValidOnly = false;
+    this.selectedDuplicateResolutions = [];
+    this.selectedPreviousProject = null;
+    this.projectCreated = false;
+    this.stepResolve = null;
 
     if (this.projectFolderInput) this.projectFolderInput.value = '';
     if (this.xmlFileInput) this.xmlFileInput.value = '';
+    if (this.previousProjectInput) this.previousProjectInput.value = '';
+    if (this.fromPreviousCheckbox) this.fromPreviousCheckbox.checked = false;
+    this._updatePreviousProjectVisibility();
+    this._showStep('form');
 
     if (this.createBtn) {
       this.createBtn.disabled = false;
@@ -239,6 +399,190 @@
     }
   }
 
+  /**
+   * Analyze the previous project, let the user choose what to carry over
+   * and show the resulting report
+   * @param {string} previousProject - Previous year's project folder
+   * @returns {Promise<Object|null>} Carry-over report or null if skipped
+   * @private
+   */
+  async _carryOverFromPrevious(previousProject) {
+    try {
+      const analysis = await window.electronAPI.analyzePreviousProject(previousProject);
+      if (!analysis.success) {
+        this._showError('No se pudo leer el proyecto anterior: ' + analysis.error);
+        return null;
+      }
+
+      this._renderAnalysis(analysis);
+      this._showStep('carry-over');
+
+      const categories = await this._waitForStep();
+      if (!categories) {
+        this._log('Carry-over skipped');
+        return null;
+      }
+
+      this.carryOverConfirmBtn.disabled = true;
+      this.carryOverConfirmBtn.textContent = 'Trayendo...';
+
+      const result = await window.electronAPI.carryOverPreviousProject({
+        previousProjectPath: previousProject,
+        categories
+      });
+
+      if (!result.success) {
+        this._showError('Error al traer los datos del curso anterior: ' + result.error);
+        return null;
+      }
+
+      this._renderReport(result.report);
+      this._showStep('report');
+      await this._waitForStep();
+
+      return result.report;
+    } catch (error) {
+      console.error('[NewProjectModal] Error carrying over previous project:', error);
+      this._showError('Error al traer los datos del curso anterior: ' + error.message);
+      return null;
+    } finally {
+      this.carryOverConfirmBtn.disabled = false;
+      this.carryOverConfirmBtn.textContent = 'Traer datos';
+    }
+  }
+
+  /**
+   * Fill the carry-over panel with the analysis counts
+   * @private
+   */
+  _renderAnalysis(analysis) {
+    if (this.carryOverSummary) {
+      this.carryOverSummary.textContent =
+        `${analysis.matched} usuarios coinciden con el curso anterior, ` +
+        `${analysis.newUsers} son nuevos y ${analysis.leftUsers} ya no están.`;
+    }
+
+    this.carryOverCheckboxes.forEach(checkbox => {
+      const category = checkbox.dataset.category;
+      const count = analysis.counts[category] || 0;
+      const countElement = this.modal.querySelector(`[data-count="${category}"]`);
+
+      if (countElement) {
+        countElement.textContent = `(${count})`;
+      }
+      checkbox.disabled = count === 0;
+      if (count === 0) {
+        checkbox.checked = false;
+      }
+    });
+  }
+
+  /**
+   * Fill the report panel with carried, new and left users
+   * @private
+   */
+  _renderReport(report) {
+    if (!this.reportContent) return;
+
+    this.reportContent.innerHTML = '';
+
+    const addSection = (title, items, formatItem) => {
+      const heading = document.createElement('h3');
+      heading.textContent = `${title} (${items.length})`;
+      this.reportContent.appendChild(heading);
+
+      if (items.length === 0) return;
+
+      const list = document.createElement('ul');
+      items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = formatItem(item);
+        list.appendChild(entry);
+      });
+      this.reportContent.appendChild(list);
+    };
+
+    const describe = (user) => user.group ? `${user.name} (${user.group})` : user.name;
+
+    addSection('Datos traídos', report.carried, user => `${describe(user)}: ${user.items.join(', ')}`);
+    if (report.missingPhotos.length > 0) {
+      addSection('Fotos no encontradas', report.missingPhotos, user => `${describe(user)}: ${user.imagePath}`);
+    }
+    addSection('Usuarios nuevos', report.newUsers, describe);
+    addSection('Usuarios que ya no están', report.leftUsers, describe);
+  }
+
+  /**
+   * Selected carry-over categories
+   * @private
+   */
+  _getSelectedCategories() {
+    const categories = {};
+    this.carryOverCheckboxes.forEach(checkbox => {
+      categories[checkbox.dataset.category] = checkbox.checked && !checkbox.disabled;
+    });
+    return categories;
+  }
+
+  /**
+   * Wait until the user answers the current step
+   * @private
+   */
+  _waitForStep() {
+    return new Promise((resolve) => {
+      this.stepResolve = resolve;
+    });
+  }
+
+  /**
+   * Answer the current step
+   * @private
+   */
+  _resolveStep(value) {
+    const resolve = this.stepResolve;
+    this.stepResolve = null;
+    if (resolve) {
+      resolve(value);
+    }
+  }
+
+  /**
+   * Show one of the modal steps: 'form', 'carry-over' or 'report'
+   * @private
+   */
+  _showStep(step) {
+    if (this.formSection) this.formSection.style.display = step === 'form' ? '' : 'none';
+    if (this.carryOverPanel) this.carryOverPanel.style.display = step === 'carry-over' ? '' : 'none';
+    if (this.reportPanel) this.reportPanel.style.display = step === 'report' ? '' : 'none';
+  }
+
+  /**
+   * Whether a users file needs the column mapping step
+   * @private
+   */
+  _isSpreadsheet(filePath) {
+    const ext = filePath.split('.').pop().toLowerCase();
+    return SPREADSHEET_EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Whether the project is seeded from a previous year's project
+   * @private
+   */
+  _isFromPrevious() {
+    return Boolean(this.fromPreviousCheckbox && this.fromPreviousCheckbox.checked);
+  }
+
+  /**
+   * Show the previous project picker only when needed
+   * @private
+   */
+  _updatePreviousProjectVisibility() {
+    if (this.previousProjectGroup) {
+      this.previousProjectGroup.style.display = this._isFromPrevious() ? '' : 'none';
+    }
+  }
+
   /**
    * Show error message
    * @private
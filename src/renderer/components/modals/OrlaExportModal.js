@@ -2,7 +2,9 @@
  * Orla Export Modal
  *
  * Modal for configuring orla (class photo grid) PDF export options.
- * Allows user to choose between captured photos or repository photos.
+ * Allows user to choose between captured photos or repository photos,
+ * to export every group or only the groups of a level, and to edit the
+ * page title and the text under each photo ({placeholders}).
  *
  * @module components/modals/OrlaExportModal
  */
@@ -24,6 +26,13 @@
       // Quality select
       this.qualitySelect = null;
 
+      // Groups to export (all or one level)
+      this.levelSelect = null;
+
+      // Text templates
+      this.titleInput = null;
+      this.labelInput = null;
+
       // Buttons
       this.confirmBtn = null;
       this.cancelBtn = null;
@@ -46,6 +55,13 @@
       // Get quality select
       this.qualitySelect = document.getElementById('orla-export-quality');
 
+      // Get level select (optional)
+      this.levelSelect = document.getElementById('orla-export-level');
+
+      // Get text templates (optional)
+      this.titleInput = document.getElementById('orla-export-title');
+      this.labelInput = document.getElementById('orla-export-label');
+
       // Get buttons
       this.confirmBtn = document.getElementById('orla-export-confirm');
       this.cancelBtn = document.getElementById('orla-export-cancel');
@@ -62,21 +78,41 @@
 
     /**
      * Show modal and return selected options
+     * @param {Object} [config]
+     * @param {string[]} [config.levels] - Levels of the project groups
      * @returns {Promise<Object|null>} Selected options or null if cancelled
      */
-    show() {
+    show({ levels = [] } = {}) {
       return new Promise((resolve) => {
         this.resolver = resolve;
 
         // Reset to defaults
         this.capturedRadio.checked = true;
         this.qualitySelect.value = '80'; // Default to high quality
+        this.populateLevels(levels);
 
         // Show modal using base class
         super.open();
       });
     }
 
+    /**
+     * Fill the level select ("Todos los grupos" plus one option per level)
+     * @param {string[]} levels - Levels of the project groups
+     */
+    populateLevels(levels) {
+      if (!this.levelSelect) return;
+
+      this.levelSelect.innerHTML = '<option value="">Todos los grupos</option>';
+      levels.forEach(level => {
+        const option = document.createElement('option');
+        option.value = level;
+        option.textContent = `Grupos de ${level}`;
+        this.levelSelect.appendChild(option);
+      });
+      this.levelSelect.value = '';
+    }
+
     /**
      * Handle confirm button click
      */
@@ -89,6 +125,18 @@
         imageQuality
       };
 
+      if (this.levelSelect && this.levelSelect.value) {
+        options.level = this.levelSelect.value;
+      }
+
+      // Empty templates fall back to the default texts in the main process
+      if (this.titleInput && this.titleInput.value.trim()) {
+        options.titleTemplate = this.titleInput.value.trim();
+      }
+      if (this.labelInput && this.labelInput.value.trim()) {
+        options.labelTemplate = this.labelInput.value.trim();
+      }
+
       if (this.resolver) {
         this.resolver(options);
         this.resolver = null;
@@ -0,0 +1,375 @@
+/**
+ * UpdateReviewModal - Modal for reviewing the changes of an XML update
+ *
+ * Lists every added, removed, changed and restored (back from Eliminados)
+ * user with the fields that differ. Each change can be approved or kept out of the update, the list
+ * can be filtered by kind of change and exported as CSV.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  const CHANGE_LABELS = {
+    add: 'Alta',
+    update: 'Cambio',
+    restore: 'Recuperación',
+    delete: 'Baja'
+  };
+
+  // Filters of the list: kind of change or category of the changed fields
+  const FILTERS = {
+    all: () => true,
+    add: (entry) => entry.change === 'add',
+    delete: (entry) => entry.change === 'delete',
+    update: (entry) => entry.change === 'update',
+    restore: (entry) => entry.change === 'restore',
+    group: (entry) => entry.categories.includes('group'),
+    name: (entry) => entry.categories.includes('name'),
+    identifier: (entry) => entry.categories.includes('identifier'),
+    attributes: (entry) => entry.categories.includes('attributes')
+  };
+
+  class UpdateReviewModal extends BaseModal {
+  constructor() {
+    // No default button: Enter must not apply the update
+    super('update-review-modal');
+
+    this.summaryElement = null;
+    this.filterSelect = null;
+    this.selectAllBtn = null;
+    this.selectNoneBtn = null;
+    this.container = null;
+    this.statusElement = null;
+    this.exportBtn = null;
+    this.applyBtn = null;
+    this.cancelBtn = null;
+
+    this.entries = [];
+    this.approvedKeys = new Set();
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.summaryElement = this.modal.querySelector('#update-review-summary');
+    this.filterSelect = this.modal.querySelector('#update-review-filter');
+    this.selectAllBtn = this.modal.querySelector('#update-review-select-all-btn');
+    this.selectNoneBtn = this.modal.querySelector('#update-review-select-none-btn');
+    this.container = this.modal.querySelector('#update-review-container');
+    this.statusElement = this.modal.querySelector('#update-review-status');
+    this.exportBtn = this.modal.querySelector('#update-review-export-btn');
+    this.applyBtn = this.modal.querySelector('#update-review-apply-btn');
+    this.cancelBtn = this.modal.querySelector('#update-review-cancel-btn');
+
+    this.addEventListener(this.filterSelect, 'change', () => this.render());
+    this.addEventListener(this.selectAllBtn, 'click', () => this.setVisibleApproved(true));
+    this.addEventListener(this.selectNoneBtn, 'click', () => this.setVisibleApproved(false));
+    this.addEventListener(this.exportBtn, 'click', () => this.handleExport());
+    this.addEventListener(this.applyBtn, 'click', () => this.handleApply());
+    this.addEventListener(this.cancelBtn, 'click', () => this.close());
+
+    this._log('UpdateReviewModal initialized');
+  }
+
+  /**
+   * Show the changes of an XML update
+   * @param {Object} updateResult - Result of updateXML()
+   * @returns {Promise<string[]|null>} Keys of the approved changes, or null if cancelled
+   */
+  show(updateResult) {
+    this.entries = updateResult.diff || [];
+    this.approvedKeys = new Set(this.entries.map(entry => entry.key));
+
+    if (this.summaryElement) {
+      this.summaryElement.textContent = this._buildSummary(updateResult.changes);
+    }
+    if (this.filterSelect) this.filterSelect.value = 'all';
+    this._setStatus('');
+    this.render();
+
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+
+  /**
+   * Changes shown with the current filter
+   * @returns {Object[]}
+   */
+  getVisibleEntries() {
+    const filter = FILTERS[this.filterSelect ? this.filterSelect.value : 'all'] || FILTERS.all;
+    return this.entries.filter(filter);
+  }
+
+  /**
+   * Render the table of changes
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    const entries = this.getVisibleEntries();
+
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'update-review-empty';
+      empty.textContent = this.entries.length === 0
+        ? 'No hay cambios en los usuarios'
+        : 'No hay cambios de este tipo';
+      this.container.appendChild(empty);
+      this._updateApplyButton();
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'update-review-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th></th>
+          <th>Cambio</th>
+          <th>Usuario</th>
+          <th>Grupo</th>
+          <th>Detalle</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      row.className = `update-review-${entry.change}`;
+
+      const checkCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.key = entry.key;
+      checkbox.checked = this.approvedKeys.has(entry.key);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.approvedKeys.add(entry.key);
+        } else {
+          this.approvedKeys.delete(entry.key);
+        }
+        this._updateApplyButton();
+      });
+      checkCell.appendChild(checkbox);
+      row.appendChild(checkCell);
+
+      const values = [
+        CHANGE_LABELS[entry.change],
+        entry.identifier ? `${entry.name} (${entry.identifier})` : entry.name,
+        this._formatGroup(entry)
+      ];
+      values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      const detailCell = document.createElement('td');
+      this._describeEntry(entry).forEach(line => {
+        const item = document.createElement('div');
+        item.textContent = line;
+        detailCell.appendChild(item);
+      });
+      row.appendChild(detailCell);
+
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    this.container.appendChild(table);
+    this._updateApplyButton();
+  }
+
+  /**
+   * Approve or discard every change shown with the current filter
+   * @param {boolean} approved - Whether the changes are approved
+   */
+  setVisibleApproved(approved) {
+    this.getVisibleEntries().forEach(entry => {
+      if (approved) {
+        this.approvedKeys.add(entry.key);
+      } else {
+        this.approvedKeys.delete(entry.key);
+      }
+    });
+    this.render();
+  }
+
+  /**
+   * Export the changes as CSV for the school office
+   */
+  async handleExport() {
+    try {
+      const dialogResult = await window.electronAPI.showOpenDialog({
+        title: 'Seleccionar carpeta de exportación',
+        buttonLabel: 'Exportar',
+        properties: ['openDirectory', 'createDirectory']
+      });
+
+      if (!dialogResult || dialogResult.canceled || !dialogResult.filePaths || dialogResult.filePaths.length === 0) {
+        return; // User cancelled
+      }
+
+      const result = await window.electronAPI.exportUpdateDiff({
+        exportPath: dialogResult.filePaths[0],
+        entries: this.entries,
+        approvedKeys: Array.from(this.approvedKeys)
+      });
+
+      if (result.success) {
+        this._setStatus(`Se ha generado el archivo ${result.fileName}`);
+      } else {
+        this._setStatus(result.error || 'Error al exportar los cambios');
+      }
+    } catch (error) {
+      console.error('[UpdateReviewModal] Error exporting changes:', error);
+      this._setStatus('Error al exportar los cambios: ' + error.message);
+    }
+  }
+
+  /**
+   * Resolve with the approved changes
+   */
+  handleApply() {
+    const approvedKeys = this.entries
+      .filter(entry => this.approvedKeys.has(entry.key))
+      .map(entry => entry.key);
+
+    const resolve = this.resolvePromise;
+    this.resolvePromise = null;
+    this.close();
+    if (resolve) {
+      resolve(approvedKeys);
+    }
+  }
+
+  /**
+   * Override close to resolve as cancelled
+   */
+  close() {
+    super.close();
+
+    if (this.resolvePromise) {
+      this.resolvePromise(null);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * Summary line with the counts of the analysis
+   * @private
+   */
+  _buildSummary(changes) {
+    let summary = `${changes.toAdd} altas, ${changes.toUpdate} cambios y ${changes.toDelete} bajas`;
+    if (changes.toRestore) {
+      summary += `. ${changes.toRestore} usuarios vuelven de ¡Eliminados!`;
+    }
+    if (changes.unchanged) {
+      summary += `. ${changes.unchanged} usuarios sin cambios`;
+    }
+    if (changes.manuallyManaged) {
+      summary += `. ${changes.manuallyManaged} gestionados manualmente no se modificarán`;
+    }
+    return summary;
+  }
+
+  /**
+   * Group column: current group, new group or the move between them
+   * @private
+   */
+  _formatGroup(entry) {
+    if (entry.change === 'add') return entry.groupAfter || '';
+    if (entry.change === 'delete' || entry.groupBefore === entry.groupAfter) return entry.groupBefore || '';
+    return `${entry.groupBefore || ''} → ${entry.groupAfter || ''}`;
+  }
+
+  /**
+   * Detail lines of a change
+   * @private
+   */
+  _describeEntry(entry) {
+    if (entry.change === 'add') {
+      return ['Usuario nuevo'];
+    }
+    if (entry.change === 'delete') {
+      return [entry.hasImage ? 'Con foto: se moverá a ¡Eliminados!' : 'Sin foto: se eliminará'];
+    }
+
+    const lines = entry.fields.map(field =>
+      `${field.label}: ${field.before || '(vacío)'} → ${field.after || '(vacío)'}`
+    );
+    if (entry.change === 'restore') {
+      lines.unshift(entry.hasImage
+        ? 'Estaba en ¡Eliminados!: se recupera con su foto, etiquetas y pagos'
+        : 'Estaba en ¡Eliminados!: se recupera con sus datos');
+    }
+    if (entry.attributesChanged) {
+      lines.push('Datos adicionales actualizados');
+    }
+    return lines;
+  }
+
+  /**
+   * Show the number of approved changes in the apply button
+   * @private
+   */
+  _updateApplyButton() {
+    if (!this.applyBtn) return;
+
+    const count = this.entries.filter(entry => this.approvedKeys.has(entry.key)).length;
+    this.applyBtn.textContent = `Aplicar ${count} cambio${count !== 1 ? 's' : ''}`;
+    this.applyBtn.disabled = count === 0 && this.entries.length > 0;
+  }
+
+  /**
+   * Show a status line under the table
+   * @private
+   */
+  _setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[UpdateReviewModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UpdateReviewModal };
+  } else if (typeof window !== 'undefined') {
+    global.UpdateReviewModal = UpdateReviewModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,465 @@
+/**
+ * UserFormModal - Modal for creating, editing and deleting users by hand
+ *
+ * Validates the form with utils/validators and saves through IPC.
+ * Identifier uniqueness and group existence are checked again in the main process.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Dependencies: BaseModal, validators (loaded via script tags in browser, or via require in Node.js)
+  let BaseModal, validators;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+    validators = window.validators;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+    validators = require('../../utils/validators');
+  }
+
+  // Default group for each user type (mirrors the XML import rules)
+  const DEFAULT_GROUPS = {
+    student: 'SIN_GRUPO',
+    teacher: 'DOCENTES',
+    non_teaching_staff: 'NO_DOCENTES'
+  };
+
+  const DNI_PATTERN = /^[0-9]{8}[A-Z]$/;
+
+  class UserFormModal extends BaseModal {
+  constructor() {
+    super('user-form-modal', {
+      defaultButtonSelector: '#user-form-save-btn'
+    });
+
+    // Form elements
+    this.titleElement = null;
+    this.typeSelect = null;
+    this.firstNameInput = null;
+    this.lastName1Input = null;
+    this.lastName2Input = null;
+    this.birthDateInput = null;
+    this.documentInput = null;
+    this.niaInput = null;
+    this.niaGroup = null;
+    this.groupSelect = null;
+    this.manuallyManagedCheckbox = null;
+    this.attributesElement = null;
+    this.errorElement = null;
+    this.saveBtn = null;
+    this.deleteBtn = null;
+    this.cancelBtn = null;
+
+    // State
+    this.user = null;
+    this.groups = [];
+    this.deleteArmed = false;
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    // Find elements
+    this.titleElement = this.modal.querySelector('#user-form-title');
+    this.typeSelect = this.modal.querySelector('#user-form-type');
+    this.firstNameInput = this.modal.querySelector('#user-form-first-name');
+    this.lastName1Input = this.modal.querySelector('#user-form-last-name1');
+    this.lastName2Input = this.modal.querySelector('#user-form-last-name2');
+    this.birthDateInput = this.modal.querySelector('#user-form-birth-date');
+    this.documentInput = this.modal.querySelector('#user-form-document');
+    this.niaInput = this.modal.querySelector('#user-form-nia');
+    this.niaGroup = this.modal.querySelector('#user-form-nia-group');
+    this.groupSelect = this.modal.querySelector('#user-form-group');
+    this.manuallyManagedCheckbox = this.modal.querySelector('#user-form-manually-managed');
+    this.attributesElement = this.modal.querySelector('#user-form-attributes');
+    this.errorElement = this.modal.querySelector('#user-form-error');
+    this.saveBtn = this.modal.querySelector('#user-form-save-btn');
+    this.deleteBtn = this.modal.querySelector('#user-form-delete-btn');
+    this.cancelBtn = this.modal.querySelector('#user-form-cancel-btn');
+
+    // Setup event listeners
+    this.addEventListener(this.typeSelect, 'change', () => this.handleTypeChange());
+    this.addEventListener(this.saveBtn, 'click', () => this.handleSave());
+    this.addEventListener(this.deleteBtn, 'click', () => this.handleDelete());
+    this.addEventListener(this.cancelBtn, 'click', () => this.handleCancel());
+
+    this._log('UserFormModal initialized');
+  }
+
+  /**
+   * Show user form
+   * @param {Object} options
+   * @param {Object|null} options.user - User to edit, or null to create a new one
+   * @param {Array<{code: string, name: string}>} options.groups - Available groups
+   * @returns {Promise<{action: string, user: Object|null}|null>} Resolves with the
+   *   performed action ('created', 'updated' or 'deleted') or null if cancelled
+   */
+  show({ user = null, groups = [] } = {}) {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.user = user;
+      this.groups = groups;
+
+      this.resetForm();
+      this.open();
+
+      if (user) {
+        this.loadAttributes();
+      }
+
+      setTimeout(() => {
+        if (this.firstNameInput) {
+          this.firstNameInput.focus();
+        }
+      }, 100);
+    });
+  }
+
+  /**
+   * Fill the form for the current user (or defaults for a new one)
+   */
+  resetForm() {
+    const user = this.user || {};
+    const type = user.type || 'student';
+    const isEdit = !!this.user;
+
+    this.deleteArmed = false;
+    this._hideError();
+
+    if (this.titleElement) {
+      this.titleElement.textContent = isEdit ? 'Editar Usuario' : 'Nuevo Usuario';
+    }
+
+    this._populateGroups();
+
+    if (this.typeSelect) this.typeSelect.value = type;
+    if (this.firstNameInput) this.firstNameInput.value = user.first_name || '';
+    if (this.lastName1Input) this.lastName1Input.value = user.last_name1 || '';
+    if (this.lastName2Input) this.lastName2Input.value = user.last_name2 || '';
+    if (this.birthDateInput) this.birthDateInput.value = user.birth_date || '';
+    if (this.documentInput) this.documentInput.value = user.document || '';
+    if (this.niaInput) this.niaInput.value = user.nia || '';
+    if (this.groupSelect) this.groupSelect.value = user.group_code || DEFAULT_GROUPS[type];
+    if (this.manuallyManagedCheckbox) {
+      // New and edited users are protected from XML updates unless unchecked
+      this.manuallyManagedCheckbox.checked = true;
+    }
+
+    if (this.deleteBtn) {
+      this.deleteBtn.style.display = isEdit ? '' : 'none';
+      this.deleteBtn.textContent = 'Eliminar';
+    }
+    if (this.saveBtn) {
+      this.saveBtn.disabled = false;
+      this.saveBtn.textContent = 'Guardar';
+    }
+
+    this._updateNiaVisibility(type);
+    this._renderAttributes({});
+  }
+
+  /**
+   * Load the extra XML attributes of the edited user (read-only)
+   * @returns {Promise<void>}
+   */
+  async loadAttributes() {
+    if (!this.attributesElement || !this.user) return;
+
+    const userId = this.user.id;
+
+    try {
+      const result = await window.electronAPI.getUserAttributes(userId);
+
+      // The modal may have been reopened for another user meanwhile
+      if (!this.user || this.user.id !== userId) return;
+
+      if (result.success) {
+        this._renderAttributes(result.attributes || {});
+      } else {
+        this._log('Error loading attributes: ' + result.error, 'error');
+      }
+    } catch (error) {
+      this._log('Error loading attributes: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Switch NIA field and default group when the user type changes
+   */
+  handleTypeChange() {
+    const type = this.typeSelect.value;
+    this._updateNiaVisibility(type);
+
+    // Only replace the group if it was one of the type defaults
+    const defaults = Object.values(DEFAULT_GROUPS);
+    if (this.groupSelect && (!this.groupSelect.value || defaults.includes(this.groupSelect.value))) {
+      this.groupSelect.value = DEFAULT_GROUPS[type];
+    }
+  }
+
+  /**
+   * Read form values
+   * @returns {Object} User data
+   */
+  getFormData() {
+    const value = (input) => (input ? input.value.trim() : '');
+    const type = this.typeSelect ? this.typeSelect.value : 'student';
+
+    return {
+      type,
+      first_name: value(this.firstNameInput),
+      last_name1: value(this.lastName1Input),
+      last_name2: value(this.lastName2Input),
+      birth_date: value(this.birthDateInput),
+      document: value(this.documentInput).toUpperCase(),
+      nia: type === 'student' ? value(this.niaInput) : '',
+      group_code: this.groupSelect ? this.groupSelect.value : '',
+      manually_managed: this.manuallyManagedCheckbox ? this.manuallyManagedCheckbox.checked : true
+    };
+  }
+
+  /**
+   * Validate user data
+   * @param {Object} data - User data from getFormData()
+   * @returns {string|null} Error message or null if valid
+   */
+  validate(data) {
+    const required = validators.validateRequiredFields(data, ['first_name', 'last_name1']);
+    if (!required.valid) {
+      return required.missing.includes('first_name')
+        ? 'El nombre es obligatorio'
+        : 'El primer apellido es obligatorio';
+    }
+
+    if (data.type === 'student') {
+      if (!data.nia) {
+        return 'El NIA es obligatorio para los alumnos';
+      }
+      if (!validators.isValidNIA(data.nia)) {
+        return 'El NIA debe tener entre 8 y 10 dígitos';
+      }
+    } else if (!data.document) {
+      return 'El documento es obligatorio para docentes y no docentes';
+    }
+
+    // Only DNIs can be checked; NIE and passports are accepted as typed
+    if (data.document && DNI_PATTERN.test(data.document) && !validators.isValidDNI(data.document)) {
+      return 'La letra del DNI no es correcta';
+    }
+
+    if (data.birth_date && !validators.isValidSpanishDate(data.birth_date)) {
+      return 'La fecha de nacimiento debe tener el formato DD/MM/AAAA';
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle save button
+   */
+  async handleSave() {
+    const data = this.getFormData();
+    const validationError = this.validate(data);
+
+    if (validationError) {
+      this._showError(validationError);
+      return;
+    }
+
+    this.saveBtn.disabled = true;
+    this.saveBtn.textContent = 'Guardando...';
+
+    try {
+      const isEdit = !!this.user;
+      const result = isEdit
+        ? await window.electronAPI.updateUser(this.user.id, data)
+        : await window.electronAPI.createUser(data);
+
+      if (result.success) {
+        this._log(isEdit ? 'User updated' : 'User created');
+        this._resolve({ action: isEdit ? 'updated' : 'created', user: result.user });
+      } else {
+        this._showError(result.error || 'Error al guardar el usuario');
+      }
+    } catch (error) {
+      console.error('[UserFormModal] Error saving user:', error);
+      this._showError('Error al guardar el usuario: ' + error.message);
+    } finally {
+      if (this.saveBtn) {
+        this.saveBtn.disabled = false;
+        this.saveBtn.textContent = 'Guardar';
+      }
+    }
+  }
+
+  /**
+   * Handle delete button (first click asks for confirmation)
+   */
+  async handleDelete() {
+    if (!this.user) return;
+
+    if (!this.deleteArmed) {
+      this.deleteArmed = true;
+      this.deleteBtn.textContent = 'Confirmar eliminación';
+      this._showError('El usuario se eliminará del proyecto. Pulsa de nuevo para confirmar.');
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.deleteUser(this.user.id);
+
+      if (result.success) {
+        this._log('User deleted');
+        this._resolve({ action: 'deleted', user: this.user });
+      } else {
+        this._showError(result.error || 'Error al eliminar el usuario');
+      }
+    } catch (error) {
+      console.error('[UserFormModal] Error deleting user:', error);
+      this._showError('Error al eliminar el usuario: ' + error.message);
+    }
+  }
+
+  /**
+   * Handle cancel button
+   */
+  handleCancel() {
+    this._log('User form cancelled');
+    this.close();
+  }
+
+  /**
+   * Override close to handle cancellation
+   */
+  close() {
+    super.close();
+
+    // If closed without action, resolve as null (cancelled)
+    if (this.resolvePromise) {
+      this.resolvePromise(null);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * Close and resolve with a result
+   * @private
+   */
+  _resolve(result) {
+    const resolve = this.resolvePromise;
+    this.resolvePromise = null;
+    this.close();
+    if (resolve) {
+      resolve(result);
+    }
+  }
+
+  /**
+   * Fill the group select
+   * @private
+   */
+  _populateGroups() {
+    if (!this.groupSelect) return;
+
+    this.groupSelect.innerHTML = '';
+    this.groups.forEach(group => {
+      const option = document.createElement('option');
+      option.value = group.code;
+      option.textContent = group.name && group.name !== group.code
+        ? `${group.code} - ${group.name}`
+        : group.code;
+      this.groupSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * List the extra XML attributes, hiding the section when there are none
+   * @private
+   */
+  _renderAttributes(attributes) {
+    if (!this.attributesElement) return;
+
+    const names = Object.keys(attributes);
+    this.attributesElement.innerHTML = '';
+    this.attributesElement.style.display = names.length > 0 ? '' : 'none';
+
+    if (names.length === 0) return;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Datos adicionales del XML';
+    this.attributesElement.appendChild(title);
+
+    const list = document.createElement('dl');
+    names.forEach(name => {
+      const term = document.createElement('dt');
+      term.textContent = name;
+      const value = document.createElement('dd');
+      value.textContent = attributes[name];
+      list.appendChild(term);
+      list.appendChild(value);
+    });
+    this.attributesElement.appendChild(list);
+  }
+
+  /**
+   * Show NIA field only for students
+   * @private
+   */
+  _updateNiaVisibility(type) {
+    if (this.niaGroup) {
+      this.niaGroup.style.display = type === 'student' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Show error message inside the modal
+   * @private
+   */
+  _showError(message) {
+    if (this.errorElement) {
+      this.errorElement.textContent = message;
+      this.errorElement.style.display = 'block';
+    }
+  }
+
+  /**
+   * Hide error message
+   * @private
+   */
+  _hideError() {
+    if (this.errorElement) {
+      this.errorElement.textContent = '';
+      this.errorElement.style.display = 'none';
+    }
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[UserFormModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UserFormModal };
+  } else if (typeof window !== 'undefined') {
+    global.UserFormModal = UserFormModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
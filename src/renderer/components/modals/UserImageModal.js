@@ -8,6 +8,8 @@
  * - Shows user's full name in title
  * - Displays captured or repository image
  * - Labels repository images with "- Depósito"
+ * - Photo history strip for captured images: preview earlier photos, make
+ *   one the current photo again, discard it or add a note
  * - Simple close functionality
  */
 
@@ -22,8 +24,21 @@
     ({ BaseModal } = require('../../core/BaseModal'));
   }
 
+  const SOURCE_LABELS = {
+    camera: 'Cámara',
+    ingest: 'Carpeta de entrada',
+    import_with_id: 'Importada con ID',
+    previous_year: 'Curso anterior'
+  };
+
+  const STATUS_LABELS = {
+    current: 'Actual',
+    archived: 'Archivada',
+    rejected: 'Descartada'
+  };
+
   class UserImageModal extends BaseModal {
-    constructor(modalId = 'user-image-modal') {
+    constructor(modalId = 'user-image-modal', config = {}) {
       super(modalId, {
         defaultButtonSelector: '#user-image-close-btn'
       });
@@ -32,6 +47,20 @@
       this.titleElement = document.getElementById('user-image-modal-title');
       this.imageElement = document.getElementById('user-image-preview');
       this.closeBtn = document.getElementById('user-image-close-btn');
+      this.historyElement = document.getElementById('user-image-history');
+      this.historyStrip = document.getElementById('user-image-history-strip');
+      this.historyInfo = document.getElementById('user-image-history-info');
+      this.noteInput = document.getElementById('user-image-note');
+      this.rejectBtn = document.getElementById('user-image-reject-btn');
+      this.setCurrentBtn = document.getElementById('user-image-set-current-btn');
+
+      // Callbacks
+      this.onImagesChanged = config.onImagesChanged || (async (user, change) => {}); // Called after the history is modified
+
+      // State
+      this.user = null;
+      this.images = [];
+      this.selectedImage = null;
 
       this.init();
     }
@@ -45,6 +74,17 @@
       // Setup close button
       this.closeBtn.addEventListener('click', () => this.close());
 
+      // Setup photo history actions
+      if (this.setCurrentBtn) {
+        this.setCurrentBtn.addEventListener('click', () => this.handleSetCurrent());
+      }
+      if (this.rejectBtn) {
+        this.rejectBtn.addEventListener('click', () => this.handleReject());
+      }
+      if (this.noteInput) {
+        this.noteInput.addEventListener('change', () => this.handleNoteChange());
+      }
+
       console.log('[UserImageModal] Initialized');
     }
 
@@ -69,6 +109,217 @@
       this.modal.classList.add('show');
 
       console.log(`[UserImageModal] Showing ${imageType} image for ${user.first_name}`);
+
+      // Photo history only applies to captured images
+      this.user = user;
+      this.images = [];
+      this.selectedImage = null;
+      this.renderHistory();
+
+      if (imageType === 'captured') {
+        return this.loadHistory(user);
+      }
+    }
+
+    /**
+     * Load the photo history of a user
+     * @param {Object} user - User object
+     */
+    async loadHistory(user) {
+      if (!this.historyElement || !window.electronAPI || !window.electronAPI.getUserImages) {
+        return;
+      }
+
+      try {
+        const result = await window.electronAPI.getUserImages(user.id);
+
+        // The modal may have been reopened for another user meanwhile
+        if (this.user !== user) return;
+
+        if (!result.success) {
+          console.error('[UserImageModal] Error loading photo history:', result.error);
+          return;
+        }
+
+        this.images = result.images || [];
+        this.selectedImage = this.images.find(image => image.status === 'current') || null;
+        this.renderHistory();
+      } catch (error) {
+        console.error('[UserImageModal] Error loading photo history:', error);
+      }
+    }
+
+    /**
+     * Render the photo history strip (hidden when the user has no history)
+     */
+    renderHistory() {
+      if (!this.historyElement) return;
+
+      const hasHistory = this.images.length > 0;
+      this.historyElement.style.display = hasHistory ? 'block' : 'none';
+      const content = this.modal && this.modal.querySelector ? this.modal.querySelector('.modal-image-preview') : null;
+      if (content) {
+        content.classList.toggle('has-history', hasHistory);
+      }
+
+      if (!this.historyStrip) return;
+      this.historyStrip.innerHTML = '';
+
+      this.images.forEach(image => {
+        const item = document.createElement('div');
+        item.className = 'user-image-history-item';
+        item.classList.add(image.status);
+        item.classList.toggle('missing', !image.exists);
+        item.classList.toggle('selected', image === this.selectedImage);
+        item.title = this.describeImage(image);
+
+        const thumbnail = document.createElement('img');
+        thumbnail.src = `file://${image.image_path}`;
+        thumbnail.alt = STATUS_LABELS[image.status] || image.status;
+        item.appendChild(thumbnail);
+
+        const label = document.createElement('span');
+        label.textContent = this.formatDate(image.captured_at || image.linked_at, false);
+        item.appendChild(label);
+
+        item.addEventListener('click', () => this.selectImage(image));
+        this.historyStrip.appendChild(item);
+      });
+
+      this.updateHistoryDetails();
+    }
+
+    /**
+     * Preview a photo of the history
+     * @param {Object} image - Photo history entry
+     */
+    selectImage(image) {
+      this.selectedImage = image;
+
+      if (this.imageElement) {
+        this.imageElement.src = `file://${image.image_path}`;
+      }
+
+      this.renderHistory();
+    }
+
+    /**
+     * Update info text, note and buttons for the selected photo
+     */
+    updateHistoryDetails(message = null) {
+      const image = this.selectedImage;
+
+      if (this.historyInfo) {
+        this.historyInfo.textContent = message || (image ? this.describeImage(image) : '');
+      }
+      if (this.noteInput) {
+        this.noteInput.value = image && image.note ? image.note : '';
+        this.noteInput.disabled = !image;
+      }
+      if (this.setCurrentBtn) {
+        this.setCurrentBtn.disabled = !image || image.status === 'current' || !image.exists;
+      }
+      if (this.rejectBtn) {
+        this.rejectBtn.disabled = !image || image.status === 'rejected';
+      }
+    }
+
+    /**
+     * Make the selected photo the user's current photo
+     */
+    async handleSetCurrent() {
+      const image = this.selectedImage;
+      if (!image || !this.user) return;
+
+      const result = await window.electronAPI.setCurrentUserImage(image.id);
+      if (!result.success) {
+        this.updateHistoryDetails('Error: ' + result.error);
+        return;
+      }
+
+      await this.onImagesChanged(this.user, {
+        type: 'current',
+        image,
+        previousImagePath: result.previousImagePath
+      });
+      await this.reloadHistory(image.id);
+    }
+
+    /**
+     * Mark the selected photo as discarded
+     */
+    async handleReject() {
+      const image = this.selectedImage;
+      if (!image || !this.user) return;
+
+      const result = await window.electronAPI.updateUserImage(image.id, { status: 'rejected' });
+      if (!result.success) {
+        this.updateHistoryDetails('Error: ' + result.error);
+        return;
+      }
+
+      await this.onImagesChanged(this.user, { type: 'status', image });
+      await this.reloadHistory(image.id);
+    }
+
+    /**
+     * Save the note of the selected photo
+     */
+    async handleNoteChange() {
+      const image = this.selectedImage;
+      if (!image || !this.noteInput) return;
+
+      const note = this.noteInput.value.trim();
+      const result = await window.electronAPI.updateUserImage(image.id, { note });
+      if (!result.success) {
+        this.updateHistoryDetails('Error: ' + result.error);
+        return;
+      }
+
+      image.note = note || null;
+      this.updateHistoryDetails();
+    }
+
+    /**
+     * Reload the history keeping the same photo selected
+     * @param {number} selectedId - Photo history entry to select
+     */
+    async reloadHistory(selectedId) {
+      await this.loadHistory(this.user);
+
+      const selected = this.images.find(image => image.id === selectedId);
+      if (selected) {
+        this.selectImage(selected);
+      }
+    }
+
+    /**
+     * Describe a photo of the history (capture date, source and status)
+     * @param {Object} image - Photo history entry
+     * @returns {string}
+     */
+    describeImage(image) {
+      const parts = [
+        `Capturada: ${image.captured_at ? this.formatDate(image.captured_at, true) : 'fecha desconocida'}`,
+        `Origen: ${SOURCE_LABELS[image.source] || 'Desconocido'}`,
+        `Estado: ${STATUS_LABELS[image.status] || image.status}`
+      ];
+      if (!image.exists) {
+        parts.push('Archivo no encontrado');
+      }
+      return parts.join(' · ');
+    }
+
+    /**
+     * Format an ISO date for display
+     * @param {string} value - ISO date
+     * @param {boolean} withTime - Include time
+     * @returns {string}
+     */
+    formatDate(value, withTime) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return value || '';
+      return withTime ? date.toLocaleString('es-ES') : date.toLocaleDateString('es-ES');
     }
 
     /**
@@ -109,6 +360,10 @@
      * Close modal
      */
     close() {
+      this.user = null;
+      this.images = [];
+      this.selectedImage = null;
+
       if (this.modal) {
         this.modal.classList.remove('show');
         console.log('[UserImageModal] Closed');
@@ -0,0 +1,255 @@
+/**
+ * XMLProfilesModal - Modal for managing the XML mapping profiles
+ *
+ * Lists the profiles that ship with the app and the ones added by the
+ * user. A profile tells the import where the users and groups are in the
+ * XML export of a school management system; the profile of each file is
+ * detected automatically. Profiles can be exported as JSON to use them as
+ * a template, and new ones are added from a JSON file.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  class XMLProfilesModal extends BaseModal {
+  constructor() {
+    super('xml-profiles-modal', {
+      defaultButtonSelector: '#xml-profiles-close-btn'
+    });
+
+    this.container = null;
+    this.statusElement = null;
+    this.importBtn = null;
+    this.closeBtn = null;
+
+    this.builtInProfiles = [];
+    this.customProfiles = [];
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.container = this.modal.querySelector('#xml-profiles-container');
+    this.statusElement = this.modal.querySelector('#xml-profiles-status');
+    this.importBtn = this.modal.querySelector('#xml-profiles-import-btn');
+    this.closeBtn = this.modal.querySelector('#xml-profiles-close-btn');
+
+    this.addEventListener(this.importBtn, 'click', () => this.handleImport());
+    this.addEventListener(this.closeBtn, 'click', () => this.close());
+
+    this._log('XMLProfilesModal initialized');
+  }
+
+  /**
+   * Load the profiles and open the modal
+   */
+  async show() {
+    const result = await window.electronAPI.getXmlProfiles();
+    if (!result.success) {
+      this._showError('No se pudieron cargar los perfiles de XML: ' + result.error);
+      return;
+    }
+
+    this.builtInProfiles = result.builtIn;
+    this.customProfiles = result.custom;
+    this._setStatus('');
+    this.render();
+    this.open();
+  }
+
+  /**
+   * Render the table of profiles
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'update-review-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Perfil</th>
+          <th>Elemento raíz</th>
+          <th>Origen</th>
+          <th></th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    const profiles = [
+      ...this.customProfiles.map(profile => ({ profile, builtIn: false })),
+      ...this.builtInProfiles.map(profile => ({ profile, builtIn: true }))
+    ];
+
+    profiles.forEach(({ profile, builtIn }) => {
+      const row = document.createElement('tr');
+
+      [profile.name, `<${profile.root}>`, builtIn ? 'Incluido' : 'Añadido'].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'xml-profiles-actions';
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'btn btn-small btn-secondary';
+      exportBtn.textContent = 'Exportar';
+      exportBtn.dataset.exportId = profile.id;
+      exportBtn.addEventListener('click', () => this.handleExport(profile.id));
+      actionsCell.appendChild(exportBtn);
+
+      if (!builtIn) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-small btn-danger';
+        deleteBtn.textContent = 'Eliminar';
+        deleteBtn.dataset.deleteId = profile.id;
+        deleteBtn.addEventListener('click', () => this.handleDelete(profile.id));
+        actionsCell.appendChild(deleteBtn);
+      }
+
+      row.appendChild(actionsCell);
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    this.container.appendChild(table);
+  }
+
+  /**
+   * Add a profile from a JSON file
+   */
+  async handleImport() {
+    try {
+      const dialogResult = await window.electronAPI.showOpenDialog({
+        title: 'Seleccionar perfil de XML',
+        properties: ['openFile'],
+        filters: [{ name: 'Perfil de XML', extensions: ['json'] }]
+      });
+
+      if (!dialogResult || dialogResult.canceled || !dialogResult.filePaths || dialogResult.filePaths.length === 0) {
+        return; // User cancelled
+      }
+
+      const result = await window.electronAPI.importXmlProfile(dialogResult.filePaths[0]);
+      if (!result.success) {
+        this._setStatus('No se pudo añadir el perfil: ' + result.error);
+        return;
+      }
+
+      this.customProfiles = result.custom;
+      this.render();
+      this._setStatus(`Perfil "${result.profile.name}" añadido`);
+    } catch (error) {
+      console.error('[XMLProfilesModal] Error importing profile:', error);
+      this._setStatus('Error al añadir el perfil: ' + error.message);
+    }
+  }
+
+  /**
+   * Save a profile as JSON
+   * @param {string} id - Profile id
+   */
+  async handleExport(id) {
+    try {
+      const dialogResult = await window.electronAPI.showOpenDialog({
+        title: 'Seleccionar carpeta de exportación',
+        buttonLabel: 'Exportar',
+        properties: ['openDirectory', 'createDirectory']
+      });
+
+      if (!dialogResult || dialogResult.canceled || !dialogResult.filePaths || dialogResult.filePaths.length === 0) {
+        return; // User cancelled
+      }
+
+      const result = await window.electronAPI.exportXmlProfile({
+        exportPath: dialogResult.filePaths[0],
+        id
+      });
+
+      if (result.success) {
+        this._setStatus(`Se ha generado el archivo ${result.fileName}`);
+      } else {
+        this._setStatus(result.error || 'Error al exportar el perfil');
+      }
+    } catch (error) {
+      console.error('[XMLProfilesModal] Error exporting profile:', error);
+      this._setStatus('Error al exportar el perfil: ' + error.message);
+    }
+  }
+
+  /**
+   * Delete a profile added by the user
+   * @param {string} id - Profile id
+   */
+  async handleDelete(id) {
+    const result = await window.electronAPI.deleteXmlProfile(id);
+    if (!result.success) {
+      this._setStatus(result.error || 'No se pudo eliminar el perfil');
+      return;
+    }
+
+    this.customProfiles = result.custom;
+    this.render();
+    this._setStatus('Perfil eliminado');
+  }
+
+  /**
+   * Show a status line under the table
+   * @private
+   */
+  _setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError(message) {
+    console.error('[XMLProfilesModal]', message);
+    alert(message);
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[XMLProfilesModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { XMLProfilesModal };
+  } else if (typeof window !== 'undefined') {
+    global.XMLProfilesModal = XMLProfilesModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,195 @@
+/**
+ * XMLValidationModal - Modal for the validation report of an XML roster
+ *
+ * Validates the XML before it is imported and, when there are problems,
+ * lists each one with its line and element. The user can abort, fix the
+ * file and try again, or import only the elements without problems.
+ *
+ * @extends BaseModal
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import BaseModal
+  let BaseModal;
+  if (typeof window !== 'undefined' && window.BaseModal) {
+    BaseModal = window.BaseModal;
+  } else if (typeof require !== 'undefined') {
+    ({ BaseModal } = require('../../core/BaseModal'));
+  }
+
+  class XMLValidationModal extends BaseModal {
+  constructor() {
+    // No default button: Enter must not import a file with errors
+    super('xml-validation-modal');
+
+    this.summaryElement = null;
+    this.container = null;
+    this.importBtn = null;
+    this.cancelBtn = null;
+
+    this.resolvePromise = null;
+  }
+
+  /**
+   * Initialize modal
+   */
+  init() {
+    super.init();
+
+    if (!this.modal) return;
+
+    this.summaryElement = this.modal.querySelector('#xml-validation-summary');
+    this.container = this.modal.querySelector('#xml-validation-container');
+    this.importBtn = this.modal.querySelector('#xml-validation-import-btn');
+    this.cancelBtn = this.modal.querySelector('#xml-validation-cancel-btn');
+
+    this.addEventListener(this.importBtn, 'click', () => this.handleImportValid());
+    this.addEventListener(this.cancelBtn, 'click', () => this.close());
+
+    this._log('XMLValidationModal initialized');
+  }
+
+  /**
+   * Validate an XML roster and, if it has problems, ask how to go on
+   * @param {string} filePath - XML file
+   * @returns {Promise<{validOnly: boolean}|null>} Whether to import only the
+   *   valid elements, or null if the import is aborted
+   */
+  async show(filePath) {
+    const result = await window.electronAPI.validateRosterXML(filePath);
+
+    if (!result.success) {
+      this._showError('No se pudo validar el archivo: ' + result.error);
+      return null;
+    }
+
+    const report = result.report;
+    if (!report.fatal && report.issues.length === 0) {
+      return { validOnly: false };
+    }
+
+    this._render(report);
+
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+
+  /**
+   * Resolve to import only the valid elements
+   */
+  handleImportValid() {
+    const resolve = this.resolvePromise;
+    this.resolvePromise = null;
+    this.close();
+    if (resolve) {
+      resolve({ validOnly: true });
+    }
+  }
+
+  /**
+   * Override close to resolve as aborted
+   */
+  close() {
+    super.close();
+
+    if (this.resolvePromise) {
+      this.resolvePromise(null);
+      this.resolvePromise = null;
+    }
+  }
+
+  /**
+   * Fill the summary and the table of problems
+   * @private
+   */
+  _render(report) {
+    if (this.summaryElement) {
+      if (report.fatal) {
+        this.summaryElement.textContent = `No se puede importar el archivo. ${report.fatal.message}`;
+      } else {
+        const validCount = report.elementCount - report.invalidCount;
+        this.summaryElement.textContent =
+          `Formato: ${report.profile.name}. ` +
+          `Se han encontrado ${report.issues.length} problemas en ${report.invalidCount} de ${report.elementCount} elementos. ` +
+          `Puedes cancelar, corregir el archivo y volver a intentarlo, o importar solo los ${validCount} elementos válidos.`;
+      }
+    }
+
+    if (this.importBtn) {
+      this.importBtn.style.display = report.fatal ? 'none' : '';
+    }
+
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    if (report.issues.length === 0) {
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'update-review-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Línea</th>
+          <th>Elemento</th>
+          <th>Problema</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    report.issues.forEach(issue => {
+      const row = document.createElement('tr');
+      const element = issue.element ? `<${issue.element}>` : '';
+      const values = [
+        issue.line || '',
+        issue.name ? `${element} ${issue.name}` : element,
+        issue.message
+      ];
+      values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    this.container.appendChild(table);
+  }
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError(message) {
+    console.error('[XMLValidationModal]', message);
+    alert(message);
+  }
+
+  /**
+   * Internal logging
+   * @private
+   */
+  _log(message, level = 'info') {
+    const prefix = '[XMLValidationModal]';
+    if (level === 'error') {
+      console.error(prefix, message);
+    } else {
+      console.log(prefix, message);
+    }
+  }
+}
+
+  // Export (for tests and browser)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { XMLValidationModal };
+  } else if (typeof window !== 'undefined') {
+    global.XMLValidationModal = XMLValidationModal;
+  }
+})(typeof window !== 'undefined' ? window : global);
@@ -9,6 +9,8 @@ const { ConfirmModal } = require('./ConfirmModal');
 const { InfoModal } = require('./InfoModal');
 const { ExportOptionsModal } = require('./ExportOptionsModal');
 const { AddTagModal } = require('./AddTagModal');
+const { UserFormModal } = require('./UserFormModal');
+const { AuditHistoryModal } = require('./AuditHistoryModal');
 
 module.exports = {
   // Modals
@@ -16,5 +18,7 @@ module.exports = {
   ConfirmModal,
   InfoModal,
   ExportOptionsModal,
-  AddTagModal
+  AddTagModal,
+  UserFormModal,
+  AuditHistoryModal
 };
@@ -47,6 +47,12 @@ class BaseModal {
   handleEnterKey(event) {
     // Only handle Enter key if this modal is open
     if (event.key === 'Enter' && this.isOpen && this.defaultButtonSelector) {
+      // With stacked modals, only the one on top (last in the page) reacts
+      const openModals = document.querySelectorAll('.modal.show');
+      if (openModals.length > 0 && openModals[openModals.length - 1] !== this.modal) {
+        return;
+      }
+
       const button = this.modal.querySelector(this.defaultButtonSelector);
       if (button && !button.disabled) {
         event.preventDefault();
@@ -4,6 +4,9 @@ let currentGroups = [];
 let selectedGroupCode = '';
 let imageObserver = null;
 
+// Value of the level options in the group filter ("level:ESO")
+const LEVEL_FILTER_PREFIX = 'level:';
+
 // DOM Elements
 const gridContainer = document.getElementById('grid-container');
 const loadingElement = document.getElementById('loading');
@@ -62,20 +65,42 @@ async function loadGroups() {
 // Populate group filter dropdown
 function populateGroupFilter() {
   groupFilter.innerHTML = '<option value="">Todos los grupos</option>';
+
+  // Levels first, so a whole level can be shown at once
+  const levels = [...new Set(currentGroups.map(group => group.level).filter(Boolean))];
+  let groupParent = groupFilter;
+  if (levels.length > 0) {
+    const levelGroup = document.createElement('optgroup');
+    levelGroup.label = 'Niveles';
+    levels.forEach(level => {
+      const option = document.createElement('option');
+      option.value = `${LEVEL_FILTER_PREFIX}${level}`;
+      option.textContent = `Todo ${level}`;
+      levelGroup.appendChild(option);
+    });
+    groupFilter.appendChild(levelGroup);
+
+    groupParent = document.createElement('optgroup');
+    groupParent.label = 'Grupos';
+    groupFilter.appendChild(groupParent);
+  }
+
   currentGroups.forEach(group => {
     const option = document.createElement('option');
     option.value = group.code;
-    option.textContent = `${group.code} - ${group.name}`;
-    groupFilter.appendChild(option);
+    option.textContent = `${group.code} - ${group.display_name || group.name}`;
+    groupParent.appendChild(option);
   });
 }
 
 // Load users from main process
 async function loadUsers() {
   try {
-    // Build filters based on selected group
+    // Build filters based on selected group (or whole level)
     const filters = {};
-    if (selectedGroupCode) {
+    if (selectedGroupCode.startsWith(LEVEL_FILTER_PREFIX)) {
+      filters.level = selectedGroupCode.slice(LEVEL_FILTER_PREFIX.length);
+    } else if (selectedGroupCode) {
       filters.group = selectedGroupCode;
     }
 
@@ -147,6 +172,16 @@ function createGridItem(user) {
     };
 
     imageContainer.appendChild(img);
+
+    // Problems found when the photo arrived: retake it
+    const issues = user.image_quality_issues || [];
+    if (issues.length > 0) {
+      const qualityBadge = document.createElement('div');
+      qualityBadge.className = 'grid-item-quality';
+      qualityBadge.textContent = issues.length === 1 ? issues[0] : `${issues.length} problemas de calidad`;
+      qualityBadge.title = issues.join('\n');
+      imageContainer.appendChild(qualityBadge);
+    }
   } else {
     // User has no image - show placeholder
     imageContainer.innerHTML = createPlaceholderSVG();
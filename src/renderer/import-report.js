@@ -0,0 +1,392 @@
+/**
+ * Import Report Window - Renderer Process
+ * Shows the reports of the project creation and XML updates, section by
+ * section, with sortable tables, links to the users and CSV/PDF export
+ */
+
+(function() {
+  'use strict';
+
+  // DOM elements
+  const loadingEl = document.getElementById('loading');
+  const errorEl = document.getElementById('error');
+  const errorMessageEl = document.getElementById('error-message');
+  const emptyEl = document.getElementById('empty');
+  const emptyTitleEl = document.getElementById('empty-title');
+  const emptyTextEl = document.getElementById('empty-text');
+  const reportWrapperEl = document.getElementById('report-wrapper');
+  const summaryEl = document.getElementById('report-summary');
+  const statusEl = document.getElementById('report-status');
+  const sectionsEl = document.getElementById('report-sections');
+  const subtitleEl = document.getElementById('subtitle');
+  const reportSelect = document.getElementById('report-select');
+
+  // Report shown and sort order of each of its sections
+  let currentReport = null;
+  let sortState = {};
+
+  /**
+   * Initialize the window
+   */
+  async function init() {
+    try {
+      reportSelect.addEventListener('change', () => loadReport(Number(reportSelect.value)));
+
+      // Report chosen by the main process (after an import or from the menu)
+      window.electronAPI.onImportReportSelected((reportId) => loadReports(reportId));
+
+      await loadReports();
+    } catch (error) {
+      console.error('Error initializing import report window:', error);
+      showError('Error al inicializar la ventana: ' + error.message);
+    }
+  }
+
+  /**
+   * Load the list of reports and show one of them
+   * @param {number|null} [reportId] - Report to show (the newest one if not given)
+   */
+  async function loadReports(reportId = null) {
+    try {
+      showLoading();
+
+      const result = await window.electronAPI.getImportReports();
+      if (!result.success) {
+        showError(result.error || 'Error desconocido al cargar los informes');
+        return;
+      }
+
+      const reports = result.reports || [];
+      if (reports.length === 0) {
+        reportSelect.style.display = 'none';
+        showEmpty('No hay informes', 'Los informes se guardan al crear el proyecto y al actualizar el archivo de usuarios');
+        return;
+      }
+
+      reportSelect.innerHTML = '';
+      reports.forEach(report => {
+        const option = document.createElement('option');
+        option.value = report.id;
+        option.textContent = `${formatDateTime(report.created_at)} - ${report.kindLabel}`;
+        reportSelect.appendChild(option);
+      });
+      reportSelect.style.display = '';
+
+      const selected = reports.some(report => report.id === reportId) ? reportId : reports[0].id;
+      reportSelect.value = selected;
+      await loadReport(selected);
+    } catch (error) {
+      console.error('Error loading import reports:', error);
+      showError('Error al cargar los informes: ' + error.message);
+    }
+  }
+
+  /**
+   * Load and render a report
+   * @param {number} reportId - Report ID
+   */
+  async function loadReport(reportId) {
+    try {
+      const result = await window.electronAPI.getImportReport(reportId);
+      if (!result.success) {
+        showError(result.error || 'Error desconocido al cargar el informe');
+        return;
+      }
+
+      currentReport = result.report;
+      sortState = {};
+      renderReport();
+    } catch (error) {
+      console.error('Error loading import report:', error);
+      showError('Error al cargar el informe: ' + error.message);
+    }
+  }
+
+  /**
+   * Render the summary and the sections of the current report
+   */
+  function renderReport() {
+    const report = currentReport;
+    subtitleEl.textContent = `${report.kindLabel} del ${formatDateTime(report.created_at)}${report.source_file ? ` - ${report.source_file}` : ''}`;
+
+    summaryEl.innerHTML = '';
+    report.summary.forEach(({ label, value }) => {
+      const item = document.createElement('div');
+      item.className = 'summary-item';
+      const valueEl = document.createElement('strong');
+      valueEl.textContent = value;
+      item.appendChild(valueEl);
+      item.appendChild(document.createTextNode(label));
+      summaryEl.appendChild(item);
+    });
+
+    setStatus('');
+    sectionsEl.innerHTML = '';
+    if (report.sections.length === 0) {
+      const noIssues = document.createElement('p');
+      noIssues.className = 'empty-state-text';
+      noIssues.textContent = 'Sin incidencias: no hay usuarios que revisar en este informe.';
+      sectionsEl.appendChild(noIssues);
+    }
+
+    report.sections.forEach(section => {
+      sectionsEl.appendChild(createSection(section));
+    });
+
+    showReport();
+  }
+
+  /**
+   * Create the block of a section: title, export buttons and table
+   * @param {Object} section - {id, title, description, columns, rows}
+   * @returns {HTMLElement}
+   */
+  function createSection(section) {
+    const container = document.createElement('section');
+    container.className = 'report-section';
+    container.dataset.section = section.id;
+
+    const header = document.createElement('div');
+    header.className = 'section-header';
+    const titles = document.createElement('div');
+    const title = document.createElement('h2');
+    title.textContent = `${section.title} (${section.rows.length})`;
+    const description = document.createElement('p');
+    description.textContent = section.description;
+    titles.appendChild(title);
+    titles.appendChild(description);
+    header.appendChild(titles);
+
+    const actions = document.createElement('div');
+    actions.className = 'section-actions';
+    [['csv', 'Exportar CSV'], ['pdf', 'Exportar PDF']].forEach(([format, label]) => {
+      const button = document.createElement('button');
+      button.className = 'btn btn-small btn-secondary';
+      button.textContent = label;
+      button.addEventListener('click', () => handleExport(section, format));
+      actions.appendChild(button);
+    });
+    header.appendChild(actions);
+    container.appendChild(header);
+
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'table-container';
+    const table = document.createElement('table');
+    tableContainer.appendChild(table);
+    container.appendChild(tableContainer);
+
+    renderTable(table, section);
+    return container;
+  }
+
+  /**
+   * Render the table of a section in its current sort order
+   * @param {HTMLTableElement} table - Table element
+   * @param {Object} section - Section of the report
+   */
+  function renderTable(table, section) {
+    const sort = sortState[section.id] || null;
+    const hasLinks = section.rows.some(row => row.user_id);
+
+    table.innerHTML = '';
+    const headRow = document.createElement('tr');
+    section.columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column.label;
+      if (sort && sort.key === column.key) {
+        th.className = sort.ascending ? 'sort-asc' : 'sort-desc';
+      }
+      th.addEventListener('click', () => {
+        const ascending = !(sort && sort.key === column.key && sort.ascending);
+        sortState[section.id] = { key: column.key, ascending };
+        renderTable(table, section);
+      });
+      headRow.appendChild(th);
+    });
+    if (hasLinks) {
+      headRow.appendChild(document.createElement('th'));
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const rows = sort ? sortRows(section.rows, sort.key, sort.ascending) : section.rows;
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+      section.columns.forEach(column => {
+        const td = document.createElement('td');
+        const value = row[column.key];
+        td.textContent = value === null || value === undefined || value === '' ? '-' : value;
+        tr.appendChild(td);
+      });
+
+      if (hasLinks) {
+        const linkCell = document.createElement('td');
+        if (row.user_id) {
+          const link = document.createElement('button');
+          link.className = 'user-link';
+          link.textContent = 'Ver usuario';
+          link.addEventListener('click', () => handleShowUser(row.user_id));
+          linkCell.appendChild(link);
+        }
+        tr.appendChild(linkCell);
+      }
+
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+  }
+
+  /**
+   * Sort rows by a column (numbers as numbers, text in Spanish order)
+   * @param {Object[]} rows - Rows of a section
+   * @param {string} key - Column key
+   * @param {boolean} ascending - Sort direction
+   * @returns {Object[]} New sorted array
+   */
+  function sortRows(rows, key, ascending) {
+    const direction = ascending ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      const valueA = a[key];
+      const valueB = b[key];
+      if (valueA === valueB) return 0;
+      if (valueA === null || valueA === undefined || valueA === '') return 1;
+      if (valueB === null || valueB === undefined || valueB === '') return -1;
+      if (typeof valueA === 'number' && typeof valueB === 'number') {
+        return (valueA - valueB) * direction;
+      }
+      return String(valueA).localeCompare(String(valueB), 'es', { numeric: true, sensitivity: 'base' }) * direction;
+    });
+  }
+
+  /**
+   * Select the user in the main window
+   * @param {number} userId - User ID
+   */
+  async function handleShowUser(userId) {
+    const result = await window.electronAPI.showUserInMainWindow(userId);
+    if (!result.success) {
+      setStatus(result.error || 'No se pudo mostrar el usuario');
+    }
+  }
+
+  /**
+   * Export a section of the current report
+   * @param {Object} section - Section of the report
+   * @param {string} format - 'csv' or 'pdf'
+   */
+  async function handleExport(section, format) {
+    try {
+      const dialogResult = await window.electronAPI.showOpenDialog({
+        title: 'Seleccionar carpeta de exportación',
+        buttonLabel: 'Exportar',
+        properties: ['openDirectory', 'createDirectory']
+      });
+
+      if (!dialogResult || dialogResult.canceled || !dialogResult.filePaths || dialogResult.filePaths.length === 0) {
+        return; // User cancelled
+      }
+
+      const result = await window.electronAPI.exportImportReportSection({
+        exportPath: dialogResult.filePaths[0],
+        reportId: currentReport.id,
+        sectionId: section.id,
+        format
+      });
+
+      if (result.success) {
+        setStatus(`Se ha generado el archivo ${result.fileName}`);
+      } else {
+        setStatus(result.error || 'Error al exportar la sección');
+      }
+    } catch (error) {
+      console.error('Error exporting report section:', error);
+      setStatus('Error al exportar la sección: ' + error.message);
+    }
+  }
+
+  /**
+   * Format datetime from ISO to Spanish format with time
+   * @param {string} dateStr - ISO date string
+   * @returns {string}
+   */
+  function formatDateTime(dateStr) {
+    if (!dateStr) return '-';
+
+    try {
+      const date = new Date(dateStr);
+      const day = String(date.getDate()).padStart(2, '0');
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const year = date.getFullYear();
+      const hours = String(date.getHours()).padStart(2, '0');
+      const minutes = String(date.getMinutes()).padStart(2, '0');
+      return `${day}/${month}/${year} ${hours}:${minutes}`;
+    } catch (error) {
+      return dateStr;
+    }
+  }
+
+  /**
+   * Show a status line above the sections
+   * @param {string} message - Status message (empty to hide it)
+   */
+  function setStatus(message) {
+    statusEl.textContent = message;
+    statusEl.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Show loading state
+   */
+  function showLoading() {
+    loadingEl.style.display = 'flex';
+    errorEl.style.display = 'none';
+    emptyEl.style.display = 'none';
+    reportWrapperEl.style.display = 'none';
+  }
+
+  /**
+   * Show error state
+   * @param {string} message - Error message
+   */
+  function showError(message) {
+    loadingEl.style.display = 'none';
+    errorEl.style.display = 'flex';
+    emptyEl.style.display = 'none';
+    reportWrapperEl.style.display = 'none';
+    errorMessageEl.textContent = message;
+  }
+
+  /**
+   * Show empty state
+   * @param {string} title - Title of the message
+   * @param {string} text - Explanation
+   */
+  function showEmpty(title, text) {
+    loadingEl.style.display = 'none';
+    errorEl.style.display = 'none';
+    emptyEl.style.display = 'flex';
+    reportWrapperEl.style.display = 'none';
+    emptyTitleEl.textContent = title;
+    emptyTextEl.textContent = text;
+  }
+
+  /**
+   * Show the report
+   */
+  function showReport() {
+    loadingEl.style.display = 'none';
+    errorEl.style.display = 'none';
+    emptyEl.style.display = 'none';
+    reportWrapperEl.style.display = 'block';
+  }
+
+  // Initialize on DOM load
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -1,5 +1,5 @@
 // Architecture modules are loaded via script tags in index.html
-// Available globals: store, BaseModal, NewProjectModal, ConfirmModal, InfoModal, UserImageModal, UserRowRenderer, VirtualScrollManager, ImageGridManager, ExportManager, OrlaExportManager, ExportOptionsModal, InventoryExportOptionsModal, AddTagModal, ImageTagsManager, SelectionModeManager, DragDropManager, ProgressManager, LazyImageManager, KeyboardNavigationManager, MenuEventManager, UserDataManager, ProjectManager
+// Available globals: store, BaseModal, NewProjectModal, ColumnMappingModal, ConfirmModal, InfoModal, UserImageModal, UserRowRenderer, VirtualScrollManager, ImageGridManager, ExportManager, OrlaExportManager, ExportOptionsModal, InventoryExportOptionsModal, BackupOptionsModal, AddTagModal, UserFormModal, AuditHistoryModal, IntegrityCheckModal, UpdateReviewModal, XMLValidationModal, XMLProfilesModal, GroupManagerModal, ImageCropModal, DuplicateResolutionModal, ImageTagsManager, SelectionModeManager, DragDropManager, ProgressManager, RosterUpdateBanner, LazyImageManager, UndoManager, KeyboardNavigationManager, MenuEventManager, UserDataManager, ProjectManager
 
 // Component instances
 let userRowRenderer = null;
@@ -10,7 +10,9 @@ let imageTagsManager = null;
 let selectionModeManager = null;
 let dragDropManager = null;
 let progressManager = null;
+let rosterUpdateBanner = null;
 let lazyImageManager = null;
+let undoManager = null;
 let keyboardNavigationManager = null;
 let menuEventManager = null;
 let userDataManager = null;
@@ -25,6 +27,7 @@ let projectOpen = false;
 let showDuplicatesOnly = false;
 let showCardPrintRequestsOnly = false;
 let showPublicationRequestsOnly = false;
+let showQualityIssuesOnly = false;
 let showCapturedPhotos = true;
 let showRepositoryPhotos = false;  // Default to false to avoid blocking on Google Drive
 let showRepositoryIndicators = false;  // Default to false to avoid blocking on Google Drive
@@ -62,6 +65,9 @@ const cardPrintAlert = document.getElementById('card-print-alert');
 const cardPrintCount = document.getElementById('card-print-count');
 const publicationAlert = document.getElementById('publication-alert');
 const publicationCount = document.getElementById('publication-count');
+const qualityAlert = document.getElementById('quality-alert');
+const qualityCount = document.getElementById('quality-count');
+const imageQualityWarning = document.getElementById('image-quality-warning');
 const imagePreviewContainer = document.getElementById('image-preview-container');
 const currentImage = document.getElementById('current-image');
 const prevImageBtn = document.getElementById('prev-image');
@@ -74,11 +80,22 @@ const progressModal = document.getElementById('progress-modal');
 
 // Modal instances (new architecture)
 let newProjectModalInstance = null;
+let columnMappingModalInstance = null;
+let xmlValidationModalInstance = null;
+let duplicateResolutionModalInstance = null;
+let xmlProfilesModalInstance = null;
+let groupManagerModalInstance = null;
+let imageCropModalInstance = null;
 let confirmModalInstance = null;
 let infoModalInstance = null;
 let exportOptionsModalInstance = null;
 let inventoryExportOptionsModalInstance = null;
+let backupOptionsModalInstance = null;
 let addTagModalInstance = null;
+let userFormModalInstance = null;
+let auditHistoryModalInstance = null;
+let integrityCheckModalInstance = null;
+let updateReviewModalInstance = null;
 let userImageModalInstance = null;
 let orlaExportModalInstance = null;
 
@@ -114,9 +131,15 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize progress manager
   initializeProgressManager();
 
+  // Initialize source roster notice
+  initializeRosterUpdateBanner();
+
   // Initialize lazy image manager
   initializeLazyImageManager();
 
+  // Initialize undo manager
+  initializeUndoManager();
+
   // Initialize keyboard navigation manager
   initializeKeyboardNavigationManager();
 
@@ -138,7 +161,28 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Initialize modal instances
 function initializeModals() {
-  newProjectModalInstance = new NewProjectModal();
+  columnMappingModalInstance = new ColumnMappingModal();
+  columnMappingModalInstance.init();
+
+  xmlValidationModalInstance = new XMLValidationModal();
+  xmlValidationModalInstance.init();
+
+  duplicateResolutionModalInstance = new DuplicateResolutionModal();
+  duplicateResolutionModalInstance.init();
+
+  xmlProfilesModalInstance = new XMLProfilesModal();
+  xmlProfilesModalInstance.init();
+
+  groupManagerModalInstance = new GroupManagerModal();
+  groupManagerModalInstance.init();
+  imageCropModalInstance = new ImageCropModal();
+  imageCropModalInstance.init();
+
+  newProjectModalInstance = new NewProjectModal({
+    columnMappingModal: columnMappingModalInstance,
+    xmlValidationModal: xmlValidationModalInstance,
+    duplicateResolutionModal: duplicateResolutionModalInstance
+  });
   newProjectModalInstance.init();
 
   confirmModalInstance = new ConfirmModal();
@@ -153,10 +197,27 @@ function initializeModals() {
   inventoryExportOptionsModalInstance = new InventoryExportOptionsModal();
   inventoryExportOptionsModalInstance.init();
 
+  backupOptionsModalInstance = new BackupOptionsModal();
+  backupOptionsModalInstance.init();
+
   addTagModalInstance = new AddTagModal();
   addTagModalInstance.init();
 
-  userImageModalInstance = new UserImageModal();
+  userFormModalInstance = new UserFormModal();
+  userFormModalInstance.init();
+
+  auditHistoryModalInstance = new AuditHistoryModal();
+  auditHistoryModalInstance.init();
+
+  integrityCheckModalInstance = new IntegrityCheckModal();
+  integrityCheckModalInstance.init();
+
+  updateReviewModalInstance = new UpdateReviewModal();
+  updateReviewModalInstance.init();
+
+  userImageModalInstance = new UserImageModal('user-image-modal', {
+    onImagesChanged: handleUserImagesChanged
+  });
   // UserImageModal initializes itself in constructor
 
   orlaExportModalInstance = new OrlaExportModal();
@@ -207,8 +268,9 @@ function initializeImageGridManager() {
     currentImage: currentImage,
     getImages: () => window.electronAPI.getImages(),
     onImageChange: async (imagePath) => {
-      // Load and display tags for current image
+      // Load and display tags and quality warnings for current image
       await loadImageTags();
+      await loadImageQuality(imagePath);
       // Update link button state
       updateLinkButtonState();
     }
@@ -306,6 +368,8 @@ function initializeSelectionModeManager() {
     onRequestPublication: handleRequestPublication,
     onUnpayOrla: handleUnpayOrla,
     onUnprintReceipt: handleUnprintReceipt,
+    onEditUser: handleEditUser,
+    onShowHistory: handleShowUserHistory,
     selectedUserInfo: selectedUserInfo,
     tableHeader: document.querySelector('.user-table thead tr')
   });
@@ -317,7 +381,13 @@ function initializeDragDropManager() {
   dragDropManager = new DragDropManager({
     dropZone: document.querySelector('.image-container'),
     showInfoModal: showInfoModal,
-    moveImageToIngest: (path) => window.electronAPI.moveImageToIngest(path)
+    moveImageToIngest: async (path) => {
+      const result = await window.electronAPI.moveImageToIngest(path);
+      if (result.success && undoManager) {
+        undoManager.record({ type: 'ingest', filename: result.filename });
+      }
+      return result;
+    }
   });
 
   dragDropManager.enable();
@@ -333,15 +403,51 @@ function initializeProgressManager() {
   progressManager.setupListener();
 }
 
+// Initialize source roster notice
+function initializeRosterUpdateBanner() {
+  rosterUpdateBanner = new RosterUpdateBanner({
+    electronAPI: window.electronAPI,
+    onReview: async (filePath) => {
+      if (projectManager) {
+        await projectManager.handleUpdateXML(filePath);
+      }
+    }
+  });
+
+  rosterUpdateBanner.init();
+}
+
 // Initialize lazy image manager
 function initializeLazyImageManager() {
   lazyImageManager = new LazyImageManager();
   lazyImageManager.init();
 }
 
+// Initialize undo manager
+function initializeUndoManager() {
+  undoManager = new UndoManager({
+    electronAPI: window.electronAPI,
+    onChange: async (entry) => {
+      if (entry.type === 'ingest') {
+        await loadImages();
+        return;
+      }
+
+      await loadUsers(getCurrentFilters());
+
+      // Keep the selection pointing at the refreshed record
+      if (selectedUser) {
+        selectedUser = currentUsers.find(u => u.id === selectedUser.id) || selectedUser;
+      }
+    }
+  });
+}
+
 // Initialize keyboard navigation manager
 function initializeKeyboardNavigationManager() {
   keyboardNavigationManager = new KeyboardNavigationManager({
+    onUndo: handleUndo,
+    onRedo: handleRedo,
     onNavigateUserPrev: () => navigateUsers(-1),
     onNavigateUserNext: () => navigateUsers(1),
     onNavigateImagePrev: () => {
@@ -357,9 +463,20 @@ function initializeKeyboardNavigationManager() {
     isModalOpen: () => {
       return (
         (newProjectModalInstance && newProjectModalInstance.modal && newProjectModalInstance.modal.classList.contains('show')) ||
+        (columnMappingModalInstance && columnMappingModalInstance.isModalOpen()) ||
+        (xmlValidationModalInstance && xmlValidationModalInstance.isModalOpen()) ||
+        (duplicateResolutionModalInstance && duplicateResolutionModalInstance.isModalOpen()) ||
+        (xmlProfilesModalInstance && xmlProfilesModalInstance.isModalOpen()) ||
+        (groupManagerModalInstance && groupManagerModalInstance.isModalOpen()) ||
+        (imageCropModalInstance && imageCropModalInstance.isModalOpen()) ||
         (confirmModalInstance && confirmModalInstance.modal && confirmModalInstance.modal.classList.contains('show')) ||
         (progressModal && progressModal.classList.contains('show')) ||
-        (infoModalInstance && infoModalInstance.modal && infoModalInstance.modal.classList.contains('show'))
+        (infoModalInstance && infoModalInstance.modal && infoModalInstance.modal.classList.contains('show')) ||
+        (userFormModalInstance && userFormModalInstance.isModalOpen()) ||
+        (backupOptionsModalInstance && backupOptionsModalInstance.isModalOpen()) ||
+        (auditHistoryModalInstance && auditHistoryModalInstance.isModalOpen()) ||
+        (integrityCheckModalInstance && integrityCheckModalInstance.isModalOpen()) ||
+        (updateReviewModalInstance && updateReviewModalInstance.isModalOpen())
       );
     },
     hasImages: () => imageGridManager && imageGridManager.getImageCount() > 0
@@ -384,13 +501,21 @@ function initializeMenuEventManager() {
       showPublicationRequestsOnly = value;
       updateAlertBadges(); // Update badge visibility when filter changes
     },
+    setShowQualityIssuesOnly: (value) => {
+      showQualityIssuesOnly = value;
+      updateAlertBadges(); // Update badge visibility when filter changes
+    },
     setShowCapturedPhotos: (value) => { showCapturedPhotos = value; },
     setShowRepositoryPhotos: (value) => { showRepositoryPhotos = value; },
     setShowRepositoryIndicators: (value) => { showRepositoryIndicators = value; },
     setIsLoadingRepositoryPhotos: (value) => { isLoadingRepositoryPhotos = value; },
     setIsLoadingRepositoryIndicators: (value) => { isLoadingRepositoryIndicators = value; },
     setRepositorySyncCompleted: (value) => { repositorySyncCompleted = value; },
-    setProjectOpen: (value) => { projectOpen = value; },
+    setProjectOpen: (value) => {
+      projectOpen = value;
+      // Undo history belongs to the project session
+      if (undoManager) undoManager.clear();
+    },
 
     // State getters
     getCurrentUsers: () => currentUsers,
@@ -401,9 +526,15 @@ function initializeMenuEventManager() {
     onNewProject: openNewProjectModal,
     onOpenProject: handleOpenProject,
     onCloseProject: handleCloseProject,
+    onBackupProject: handleBackupProject,
+    onRestoreBackup: handleRestoreBackup,
     onProjectLoaded: loadProjectData,
     onLinkImage: handleLinkImage,
     onDeletePhoto: handleDeletePhoto,
+    onAdjustPhotoCrop: handleAdjustPhotoCrop,
+    onNewUser: handleNewUser,
+    onEditUser: () => handleEditUser(),
+    onShowUserHistory: () => handleShowUserHistory(),
     onImportImagesId: handleImportImagesId,
     onExportCSV: handleExportCSV,
     onExportInventoryCSV: handleExportInventoryCSV,
@@ -413,7 +544,11 @@ function initializeMenuEventManager() {
     onExportOrlaPDF: handleExportOrlaPDF,
     onExportPaidOrlaPDF: handleExportPaidOrlaPDF,
     onExportPaidUsersCSV: handleExportPaidUsersCSV,
+    onExportAuditLog: handleExportAuditLog,
     onUpdateXML: handleUpdateXML,
+    onCheckIntegrity: handleCheckIntegrity,
+    onXmlProfiles: handleXmlProfiles,
+    onManageGroups: handleManageGroups,
     onAddImageTag: handleAddImageTag,
     onShowTaggedImages: handleShowTaggedImages,
 
@@ -484,11 +619,18 @@ function initializeUserDataManager() {
 function initializeProjectManager() {
   projectManager = new ProjectManager({
     // State setters
-    setProjectOpen: (value) => { projectOpen = value; },
+    setProjectOpen: (value) => {
+      projectOpen = value;
+      // Undo history belongs to the project session
+      if (undoManager) undoManager.clear();
+    },
     setCurrentUsers: (users) => { currentUsers = users; },
     setAllUsers: (users) => { allUsers = users; },
     setCurrentGroups: (groups) => { currentGroups = groups; },
-    setSelectedUser: (user) => { selectedUser = user; },
+    setSelectedUser: (user) => {
+      selectedUser = user;
+      updateCaptureTarget();
+    },
 
     // State getters
     getProjectOpen: () => projectOpen,
@@ -513,6 +655,11 @@ function initializeProjectManager() {
 
     // Modal instances
     newProjectModal: newProjectModalInstance,
+    columnMappingModal: columnMappingModalInstance,
+    xmlValidationModal: xmlValidationModalInstance,
+    duplicateResolutionModal: duplicateResolutionModalInstance,
+    updateReviewModal: updateReviewModalInstance,
+    rosterUpdateBanner,
 
     // IPC API
     electronAPI: window.electronAPI
@@ -555,6 +702,42 @@ function initializeEventListeners() {
     }
   });
 
+  // Listen for "Ver usuario" links in the import report window
+  window.electronAPI.onShowUser(async (userId) => {
+    // Clear search and group filter if they hide the user
+    if (!displayedUsers.some(user => user.id === userId)) {
+      searchInput.value = '';
+      toggleClearButton();
+      lastFilterValue = '';
+      groupFilter.value = '';
+      await window.electronAPI.setSelectedGroupFilter('');
+      await filterUsers();
+    }
+
+    if (!showUserRow(userId)) {
+      showInfoModal('Aviso', 'El usuario no se encuentra en la lista actual');
+    }
+  });
+
+  // Listen for captures linked from the camera window (capture for selected user)
+  window.electronAPI.onCameraCaptureLinked(async ({ userId, imagePath, previousImagePath }) => {
+    const user = currentUsers.find(u => u.id === userId) || (selectedUser && selectedUser.id === userId ? selectedUser : null);
+    if (user) {
+      recordUndo({ type: 'image', user, before: previousImagePath, after: imagePath });
+    }
+
+    await loadUsers(getCurrentFilters());
+    if (imageGridManager) {
+      await imageGridManager.loadImages(true);
+    }
+
+    // Shoot-next loop: move on to the next user of the group without a photo
+    const nextUser = UserDataManager.findNextUserWithoutPhoto(displayedUsers, userId);
+    if (nextUser) {
+      showUserRow(nextUser.id);
+    }
+  });
+
   // Listen for card print requests filter toggle from menu
   window.electronAPI.onMenuToggleCardPrintRequests((enabled) => {
     showCardPrintRequestsOnly = enabled;
@@ -562,6 +745,7 @@ function initializeEventListeners() {
     if (enabled) {
       showDuplicatesOnly = false;
       showPublicationRequestsOnly = false;
+      showQualityIssuesOnly = false;
     }
     updateAlertBadges(); // Update badge visibility based on filter state
     displayUsers(currentUsers, allUsers);
@@ -574,6 +758,20 @@ function initializeEventListeners() {
     if (enabled) {
       showDuplicatesOnly = false;
       showCardPrintRequestsOnly = false;
+      showQualityIssuesOnly = false;
+    }
+    updateAlertBadges(); // Update badge visibility based on filter state
+    displayUsers(currentUsers, allUsers);
+  });
+
+  // Listen for quality issues filter toggle from menu
+  window.electronAPI.onMenuToggleQualityIssues((enabled) => {
+    showQualityIssuesOnly = enabled;
+    // Exclusive filter: disable others when this is enabled
+    if (enabled) {
+      showDuplicatesOnly = false;
+      showCardPrintRequestsOnly = false;
+      showPublicationRequestsOnly = false;
     }
     updateAlertBadges(); // Update badge visibility based on filter state
     displayUsers(currentUsers, allUsers);
@@ -599,6 +797,15 @@ function initializeEventListeners() {
     });
   }
 
+  if (qualityAlert) {
+    qualityAlert.addEventListener('click', () => {
+      const newValue = !showQualityIssuesOnly;
+      if (menuEventManager) {
+        menuEventManager.triggerQualityIssuesFilter(newValue);
+      }
+    });
+  }
+
   if (duplicatesAlert) {
     duplicatesAlert.addEventListener('click', () => {
       const newValue = !showDuplicatesOnly;
@@ -789,6 +996,9 @@ async function displayUsers(users, allUsers = null) {
       const userId = user.type === 'student' ? user.nia : user.document;
       return userId && publicationRequests.has(userId);
     });
+  } else if (showQualityIssuesOnly) {
+    // Show only users whose photo has quality problems, to retake it
+    usersToDisplay = users.filter(user => user.image_path && user.image_quality_issues && user.image_quality_issues.length > 0);
   }
 
   // Store displayed users and image count for virtual scrolling
@@ -801,6 +1011,9 @@ async function displayUsers(users, allUsers = null) {
   if (virtualScrollManager) {
     virtualScrollManager.setItems(displayedUsers);
   }
+
+  // The photo status of the selected user may have changed
+  updateCaptureTarget();
 }
 
 // Create a user row element (uses UserRowRenderer)
@@ -848,6 +1061,46 @@ function selectUserRow(row, user) {
 
   // Enable link button if image is selected
   updateLinkButtonState();
+
+  updateCaptureTarget();
+}
+
+/**
+ * Scroll to a displayed user and select it
+ * @param {number} userId - User ID
+ * @returns {boolean} False if the user is not in the current list
+ */
+function showUserRow(userId) {
+  const index = displayedUsers.findIndex(user => user.id === userId);
+  if (index === -1) {
+    return false;
+  }
+
+  virtualScrollManager.scrollToIndex(index);
+  virtualScrollManager.render(true);
+
+  const row = document.querySelector(`.user-table tbody tr[data-user-id="${userId}"]`);
+  if (row) {
+    selectUserRow(row, displayedUsers[index]);
+  }
+  return true;
+}
+
+/**
+ * Send the selected user to the camera window (capture for selected user)
+ */
+function updateCaptureTarget() {
+  const user = selectedUser && (currentUsers.find(u => u.id === selectedUser.id) || selectedUser);
+  const target = user
+    ? {
+        id: user.id,
+        name: `${user.first_name} ${user.last_name1} ${user.last_name2 || ''}`.trim(),
+        group_code: user.group_code,
+        has_image: !!user.image_path
+      }
+    : null;
+
+  window.electronAPI.setCaptureTarget(target);
 }
 
 function updateUserCount() {
@@ -907,6 +1160,20 @@ function updateAlertBadges() {
     publicationAlert.style.display = shouldShowPublication ? 'flex' : 'none';
   }
 
+  // Photos with quality problems in the current list
+  const qualityCountValue = currentUsers.filter(user =>
+    user.image_path && user.image_quality_issues && user.image_quality_issues.length > 0
+  ).length;
+
+  if (qualityCount) {
+    qualityCount.textContent = qualityCountValue;
+  }
+  if (qualityAlert) {
+    // Show badge if: (count > 0) OR (count is 0 but filter is active)
+    const shouldShowQuality = qualityCountValue > 0 || (qualityCountValue === 0 && showQualityIssuesOnly);
+    qualityAlert.style.display = shouldShowQuality ? 'flex' : 'none';
+  }
+
   if (duplicatesCount) {
     duplicatesCount.textContent = duplicatesCountValue;
   }
@@ -960,8 +1227,8 @@ function getCurrentFilters() {
   if (searchTerm) {
     filters.search = searchTerm;
   } else if (selectedGroup) {
-    // Only apply group filter if there's no search term
-    filters.group = selectedGroup;
+    // Only apply group filter if there's no search term (a group or a whole level)
+    Object.assign(filters, UserDataManager.getGroupFilterCriteria(selectedGroup));
   }
 
   return filters;
@@ -1111,6 +1378,13 @@ async function handleLinkImage() {
   }
 
   const imagePath = imageGridManager.getCurrentImagePath();
+  const user = selectedUser;
+  const recordLink = (linkResult) => recordUndo({
+    type: 'image',
+    user,
+    before: linkResult.previousImagePath || null,
+    after: imagePath
+  });
 
   const result = await window.electronAPI.linkImageToUser({
     userId: selectedUser.id,
@@ -1118,6 +1392,7 @@ async function handleLinkImage() {
   });
 
   if (result.success) {
+    recordLink(result);
     await loadUsers(getCurrentFilters());
   } else if (result.imageAlreadyAssigned) {
     // Image is already assigned to other user(s)
@@ -1132,6 +1407,7 @@ async function handleLinkImage() {
       });
 
       if (confirmResult.success) {
+        recordLink(confirmResult);
         await loadUsers(getCurrentFilters());
       } else {
         showInfoModal('Error', 'Error al enlazar la imagen: ' + confirmResult.error);
@@ -1149,6 +1425,7 @@ async function handleLinkImage() {
       });
 
       if (confirmResult.success) {
+        recordLink(confirmResult);
         await loadUsers(getCurrentFilters());
       } else {
         showInfoModal('Error', 'Error al enlazar la imagen: ' + confirmResult.error);
@@ -1192,6 +1469,8 @@ async function handlePayOrla() {
     const result = await window.electronAPI.markOrlaPaid(selectedUser.id, newStatus);
 
     if (result.success) {
+      recordUndo({ type: 'orla_paid', user: selectedUser, before: currentStatus, after: newStatus });
+
       // Update the user's paid status in the current data
       selectedUser.orla_paid = newStatus ? 1 : 0;
 
@@ -1270,6 +1549,8 @@ async function handlePrintReceipt() {
     const result = await window.electronAPI.markReceiptPrinted(selectedUser.id, true);
 
     if (result.success) {
+      recordUndo({ type: 'receipt_printed', user: selectedUser, before: false, after: true });
+
       // Update the user's printed status in the current data
       selectedUser.receipt_printed = 1;
 
@@ -1321,6 +1602,8 @@ async function handleUnpayOrla(userId) {
     const result = await window.electronAPI.markOrlaPaid(userId, false);
 
     if (result.success) {
+      recordUndo({ type: 'orla_paid', user, before: true, after: false });
+
       // Update the user's paid status in all arrays
       user.orla_paid = 0;
 
@@ -1375,6 +1658,8 @@ async function handleUnprintReceipt(userId) {
     const result = await window.electronAPI.markReceiptPrinted(userId, false);
 
     if (result.success) {
+      recordUndo({ type: 'receipt_printed', user, before: true, after: false });
+
       // Update the user's printed status in all arrays
       user.receipt_printed = 0;
 
@@ -1435,6 +1720,8 @@ async function handleDeletePhoto() {
     const result = await window.electronAPI.unlinkImageFromUser(selectedUser.id);
 
     if (result.success) {
+      recordUndo({ type: 'image', user: selectedUser, before: result.previousImagePath, after: null });
+
       await loadUsers(getCurrentFilters());
       // Update selected user reference
       const updatedUser = currentUsers.find(u => u.id === selectedUser.id);
@@ -1447,6 +1734,100 @@ async function handleDeletePhoto() {
   }
 }
 
+// Adjust the 3:4 crop of the photo of the selected user (ImageCropModal)
+async function handleAdjustPhotoCrop() {
+  if (!selectedUser) {
+    showInfoModal('Aviso', 'Debes seleccionar un usuario');
+    return;
+  }
+
+  if (!selectedUser.image_path) {
+    showInfoModal('Aviso', 'El usuario seleccionado no tiene una fotografía vinculada');
+    return;
+  }
+
+  await imageCropModalInstance.show(selectedUser.image_path);
+}
+
+// Undo/redo (UndoManager)
+function recordUndo({ type, user, before, after }) {
+  if (!undoManager) return;
+
+  undoManager.record({
+    type,
+    userId: user.id,
+    userName: `${user.first_name} ${user.last_name1}`,
+    before,
+    after
+  });
+}
+
+async function handleUndo() {
+  if (!undoManager || !projectOpen) return;
+
+  const result = await undoManager.undo();
+  if (result && !result.success) {
+    showInfoModal('Error', `No se pudo deshacer ${undoManager.describe(result.entry)}: ${result.error}`);
+  }
+}
+
+async function handleRedo() {
+  if (!undoManager || !projectOpen) return;
+
+  const result = await undoManager.redo();
+  if (result && !result.success) {
+    showInfoModal('Error', `No se pudo rehacer ${undoManager.describe(result.entry)}: ${result.error}`);
+  }
+}
+
+// Manual user management (UserFormModal)
+async function handleNewUser() {
+  if (!projectOpen) {
+    showInfoModal('Aviso', 'Debes abrir o crear un proyecto primero');
+    return;
+  }
+
+  await showUserForm(null);
+}
+
+async function handleEditUser(user = selectedUser) {
+  if (!user) {
+    showInfoModal('Aviso', 'Debes seleccionar un usuario');
+    return;
+  }
+
+  await showUserForm(user);
+}
+
+async function showUserForm(user) {
+  const result = await userFormModalInstance.show({ user, groups: currentGroups });
+  if (!result) return;
+
+  await loadUsers(getCurrentFilters());
+
+  if (result.action === 'deleted') {
+    if (selectedUser && selectedUser.id === result.user.id) {
+      selectedUser = null;
+      selectedUserInfo.textContent = '-';
+      updateLinkButtonState();
+      updateCaptureTarget();
+    }
+  } else if (selectedUser && result.user && selectedUser.id === result.user.id) {
+    // Keep the selection pointing at the refreshed record
+    selectedUser = currentUsers.find(u => u.id === result.user.id) || null;
+  }
+}
+
+// Change history of a user (AuditHistoryModal)
+async function handleShowUserHistory(user = selectedUser) {
+  if (!user) {
+    showInfoModal('Aviso', 'Debes seleccionar un usuario');
+    return;
+  }
+
+  await auditHistoryModalInstance.show(user);
+}
+
 // Confirmation modal - using promise-based ConfirmModal class
 async function showConfirmationModal(message) {
   const confirmed = await confirmModalInstance.show(message);
@@ -1639,6 +2020,201 @@ async function handleExportPaidUsersCSV() {
   }
 }
 
+// Handle audit log CSV export (whole project)
+async function handleExportAuditLog() {
+  if (!projectOpen) {
+    showInfoModal('Aviso', 'Debes abrir o crear un proyecto primero');
+    return;
+  }
+
+  try {
+    // Ask user to select export folder
+    const dialogResult = await window.electronAPI.showOpenDialog({
+      title: 'Seleccionar carpeta de exportación',
+      buttonLabel: 'Exportar',
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (!dialogResult || dialogResult.canceled || !dialogResult.filePaths || dialogResult.filePaths.length === 0) {
+      return; // User cancelled
+    }
+
+    const result = await window.electronAPI.exportAuditLog({
+      exportPath: dialogResult.filePaths[0]
+    });
+
+    if (result.success) {
+      showInfoModal(
+        'Exportación Completada',
+        `Se ha generado el archivo ${result.fileName} correctamente con ${result.count} registro${result.count !== 1 ? 's' : ''}.`
+      );
+    } else {
+      showInfoModal('Error', result.error || 'Error desconocido al exportar el historial');
+    }
+  } catch (error) {
+    console.error('[handleExportAuditLog] Error:', error);
+    showInfoModal('Error', error.message || 'Error al exportar el historial de cambios');
+  }
+}
+
+// Manage the XML mapping profiles (XMLProfilesModal)
+async function handleXmlProfiles() {
+  await xmlProfilesModalInstance.show();
+}
+
+// Edit levels, order, display names and tutors of the groups (GroupManagerModal)
+async function handleManageGroups() {
+  if (!projectOpen) {
+    showInfoModal('Aviso', 'Debes abrir o crear un proyecto primero');
+    return;
+  }
+
+  const saved = await groupManagerModalInstance.show();
+
+  // The group filter shows the new order, names and levels
+  if (saved) {
+    await loadGroups();
+    await filterUsers();
+  }
+}
+
+// Check the project for inconsistencies (IntegrityCheckModal)
+async function handleCheckIntegrity() {
+  if (!projectOpen) {
+    showInfoModal('Aviso', 'Debes abrir o crear un proyecto primero');
+    return;
+  }
+
+  const repaired = await integrityCheckModalInstance.show();
+
+  // Repairs change links, images and tags: refresh everything shown
+  if (repaired > 0) {
+    await loadUsers(getCurrentFilters());
+    await loadImages();
+    await loadImageTags();
+  }
+}
+
+// Create a .ucbackup file of the open project
+async function handleBackupProject() {
+  if (!projectOpen) {
+    showInfoModal('Aviso', 'Debes abrir o crear un proyecto primero');
+    return;
+  }
+
+  const options = await backupOptionsModalInstance.show();
+  if (!options) {
+    return; // User cancelled
+  }
+
+  try {
+    const dialogResult = await window.electronAPI.showOpenDialog({
+      title: 'Seleccionar carpeta para la copia de seguridad',
+      buttonLabel: 'Guardar copia',
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (!dialogResult || dialogResult.canceled || !dialogResult.filePaths || dialogResult.filePaths.length === 0) {
+      return; // User cancelled
+    }
+
+    showProgressModal('Creando copia de seguridad', 'Preparando archivos...');
+
+    const result = await window.electronAPI.backupProject({
+      exportPath: dialogResult.filePaths[0],
+      includeImages: options.includeImages
+    });
+
+    closeProgressModal();
+
+    if (result.success) {
+      showInfoModal(
+        'Copia de Seguridad Creada',
+        `Se ha generado el archivo ${result.fileName} (${(result.size / (1024 * 1024)).toFixed(1)} MB) con ${result.fileCount} archivo${result.fileCount !== 1 ? 's' : ''}.`
+      );
+    } else {
+      showInfoModal('Error', result.error || 'Error desconocido al crear la copia de seguridad');
+    }
+  } catch (error) {
+    console.error('[handleBackupProject] Error:', error);
+    closeProgressModal();
+    showInfoModal('Error', error.message || 'Error al crear la copia de seguridad');
+  }
+}
+
+// Restore a .ucbackup file into a project folder
+async function handleRestoreBackup() {
+  try {
+    const fileResult = await window.electronAPI.showOpenDialog({
+      title: 'Seleccionar copia de seguridad',
+      properties: ['openFile'],
+      filters: [{ name: 'Copia de seguridad', extensions: ['ucbackup'] }]
+    });
+
+    if (!fileResult || fileResult.canceled || !fileResult.filePaths || fileResult.filePaths.length === 0) {
+      return; // User cancelled
+    }
+
+    const folderResult = await window.electronAPI.showOpenDialog({
+      title: 'Seleccionar carpeta donde restaurar el proyecto',
+      buttonLabel: 'Restaurar aquí',
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (!folderResult || folderResult.canceled || !folderResult.filePaths || folderResult.filePaths.length === 0) {
+      return; // User cancelled
+    }
+
+    const restoreData = {
+      backupPath: fileResult.filePaths[0],
+      targetPath: folderResult.filePaths[0]
+    };
+
+    showProgressModal('Restaurando copia de seguridad', 'Verificando archivos...');
+    let result = await window.electronAPI.restoreBackup(restoreData);
+    closeProgressModal();
+
+    if (result.needsConfirmation) {
+      const confirmed = await showConfirmationModal(
+        'La carpeta seleccionada ya contiene un proyecto. ¿Quieres reemplazar sus datos por los de la copia de seguridad? Sus imágenes solo se reemplazan si la copia incluye imágenes.'
+      );
+      if (!confirmed) {
+        return;
+      }
+
+      showProgressModal('Restaurando copia de seguridad', 'Verificando archivos...');
+      result = await window.electronAPI.restoreBackup({ ...restoreData, overwrite: true });
+      closeProgressModal();
+    }
+
+    if (!result.success) {
+      showInfoModal('Error', result.error || 'Error desconocido al restaurar la copia de seguridad');
+      return;
+    }
+
+    let message = 'La copia de seguridad se ha restaurado correctamente.';
+    if (!result.includeImages) {
+      message += ' La copia no incluía imágenes.';
+    }
+    if (result.repositoryPath) {
+      message += ` Comprueba que el depósito de imágenes (${result.repositoryPath}) sigue siendo accesible.`;
+    }
+    message += ' ¿Quieres abrir el proyecto restaurado?';
+
+    const openRestored = await showConfirmationModal(message);
+    if (openRestored && projectManager) {
+      if (projectOpen) {
+        await projectManager.closeProject();
+      }
+      await projectManager.openProjectFolder(result.projectPath);
+    }
+  } catch (error) {
+    console.error('[handleRestoreBackup] Error:', error);
+    closeProgressModal();
+    showInfoModal('Error', error.message || 'Error al restaurar la copia de seguridad');
+  }
+}
+
 // Detect available cameras
 async function detectAvailableCameras() {
   try {
@@ -1697,6 +2273,23 @@ async function loadImageTags() {
   }
 }
 
+// Show the quality problems found in the current image when it arrived
+async function loadImageQuality(imagePath) {
+  if (!imageQualityWarning) return;
+
+  imageQualityWarning.style.display = 'none';
+  if (!imagePath) return;
+
+  const result = await window.electronAPI.getImageQuality(imagePath);
+  // Ignore the answer if the user already moved to another image
+  if (imageGridManager && imageGridManager.getCurrentImagePath() !== imagePath) return;
+
+  if (result.success && result.quality && result.quality.issues.length > 0) {
+    imageQualityWarning.textContent = result.quality.issues.join(' · ');
+    imageQualityWarning.style.display = 'block';
+  }
+}
+
 async function handleShowTaggedImages() {
   if (imageTagsManager) {
     await imageTagsManager.showTaggedImages();
@@ -1821,6 +2414,24 @@ function showUserImageModal(user, imageType = 'captured') {
   }
 }
 
+// Photo history changed from the image modal: refresh the list
+async function handleUserImagesChanged(user, change) {
+  if (change.type === 'current') {
+    recordUndo({
+      type: 'image',
+      user,
+      before: change.previousImagePath || null,
+      after: change.image.relative_path
+    });
+  }
+
+  await loadUsers(getCurrentFilters());
+
+  if (selectedUser) {
+    selectedUser = currentUsers.find(u => u.id === selectedUser.id) || selectedUser;
+  }
+}
+
 // Initialize lazy loading with IntersectionObserver (delegated to LazyImageManager)
 function initLazyLoading() {
   if (lazyImageManager) {
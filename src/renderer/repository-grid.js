@@ -6,6 +6,9 @@ let imageObserver = null;
 let isSyncing = false;  // Track if repository is currently syncing
 let initialSyncCompleted = false;  // Track if initial mirror sync has completed
 
+// Value of the level options in the group filter ("level:ESO")
+const LEVEL_FILTER_PREFIX = 'level:';
+
 // DOM Elements
 const gridContainer = document.getElementById('grid-container');
 const loadingElement = document.getElementById('loading');
@@ -152,20 +155,42 @@ async function loadGroups() {
 // Populate group filter dropdown
 function populateGroupFilter() {
   groupFilter.innerHTML = '<option value="">Todos los grupos</option>';
+
+  // Levels first, so a whole level can be shown at once
+  const levels = [...new Set(currentGroups.map(group => group.level).filter(Boolean))];
+  let groupParent = groupFilter;
+  if (levels.length > 0) {
+    const levelGroup = document.createElement('optgroup');
+    levelGroup.label = 'Niveles';
+    levels.forEach(level => {
+      const option = document.createElement('option');
+      option.value = `${LEVEL_FILTER_PREFIX}${level}`;
+      option.textContent = `Todo ${level}`;
+      levelGroup.appendChild(option);
+    });
+    groupFilter.appendChild(levelGroup);
+
+    groupParent = document.createElement('optgroup');
+    groupParent.label = 'Grupos';
+    groupFilter.appendChild(groupParent);
+  }
+
   currentGroups.forEach(group => {
     const option = document.createElement('option');
     option.value = group.code;
-    option.textContent = `${group.code} - ${group.name}`;
-    groupFilter.appendChild(option);
+    option.textContent = `${group.code} - ${group.display_name || group.name}`;
+    groupParent.appendChild(option);
   });
 }
 
 // Load users from main process (WITHOUT repository images)
 async function loadUsers() {
   try {
-    // Build filters based on selected group
+    // Build filters based on selected group (or whole level)
     const filters = {};
-    if (selectedGroupCode) {
+    if (selectedGroupCode.startsWith(LEVEL_FILTER_PREFIX)) {
+      filters.level = selectedGroupCode.slice(LEVEL_FILTER_PREFIX.length);
+    } else if (selectedGroupCode) {
       filters.group = selectedGroupCode;
     }
 
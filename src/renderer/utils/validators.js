@@ -204,21 +204,26 @@ function isValidNIA(nia) {
 }
 
 // Export all functions
+const validators = {
+  isValidEmail,
+  isValidDNI,
+  isValidISODate,
+  isValidSpanishDate,
+  isValidImageFile,
+  isValidJPGFile,
+  isValidFileSize,
+  validateRequiredFields,
+  validateUser,
+  validateGroup,
+  validateProject,
+  sanitizeInput,
+  isValidSearchTerm,
+  isValidNIA
+};
+
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    isValidEmail,
-    isValidDNI,
-    isValidISODate,
-    isValidSpanishDate,
-    isValidImageFile,
-    isValidJPGFile,
-    isValidFileSize,
-    validateRequiredFields,
-    validateUser,
-    validateGroup,
-    validateProject,
-    sanitizeInput,
-    isValidSearchTerm,
-    isValidNIA
-  };
+  module.exports = validators;
+} else if (typeof window !== 'undefined') {
+  // Browser global export
+  window.validators = validators;
 }
@@ -0,0 +1,33 @@
+-- Project database as created by the first releases (no schema_version,
+-- no payment or receipt columns).
+CREATE TABLE groups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL
+);
+
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name1 TEXT NOT NULL,
+  last_name2 TEXT,
+  birth_date TEXT,
+  document TEXT,
+  nia TEXT,
+  group_code TEXT,
+  image_path TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (group_code) REFERENCES groups(code)
+);
+
+CREATE TABLE image_tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  image_path TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO groups (code, name) VALUES ('1ESO-A', '1º ESO A');
+INSERT INTO users (type, first_name, last_name1, last_name2, nia, group_code, image_path)
+  VALUES ('student', 'Lucía', 'García', 'López', '10000001', '1ESO-A', '20240915101500.jpg');
@@ -0,0 +1,41 @@
+-- Project database as created by 1.3.x: orla_paid already added by the old
+-- ad-hoc ALTER TABLE, receipt_printed not yet present, no schema_version.
+CREATE TABLE groups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL
+);
+
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name1 TEXT NOT NULL,
+  last_name2 TEXT,
+  birth_date TEXT,
+  document TEXT,
+  nia TEXT,
+  group_code TEXT,
+  image_path TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  orla_paid INTEGER DEFAULT 0,
+  FOREIGN KEY (group_code) REFERENCES groups(code)
+);
+
+CREATE TABLE image_tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  image_path TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE project_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO groups (code, name) VALUES ('2BACH-B', '2º Bachillerato B');
+INSERT INTO users (type, first_name, last_name1, nia, group_code, orla_paid)
+  VALUES ('student', 'Marc', 'Ferrer', '10000002', '2BACH-B', 1);
+INSERT INTO project_settings (key, value) VALUES ('imageRepositoryPath', '/srv/deposito');
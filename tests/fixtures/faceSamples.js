@@ -0,0 +1,17 @@
+/**
+ * Face photos for the tests of the face detector, crops and photo quality
+ *
+ * Cut and resized from the sample photos of @vladmandic/face-api (MIT):
+ * - faces/portrait.jpg: one face with its eyes open (580x700)
+ * - faces/group.jpg: three faces (1280 px wide, larger than the size used for the search)
+ */
+const path = require('path');
+
+const FACES_DIR = path.join(__dirname, 'faces');
+
+module.exports = {
+  PORTRAIT: path.join(FACES_DIR, 'portrait.jpg'),
+  GROUP_PHOTO: path.join(FACES_DIR, 'group.jpg'),
+  // Loading the face models takes a while the first time
+  FACE_MODELS_TIMEOUT: 30000
+};
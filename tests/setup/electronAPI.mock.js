@@ -19,6 +19,19 @@ class ElectronAPIMock extends EventEmitter {
       path: folderPath
     }));
 
+    this.analyzePreviousProject = jest.fn(async (previousProjectPath) => ({
+      success: true,
+      matched: 0,
+      newUsers: 0,
+      leftUsers: 0,
+      counts: { photos: 0, tags: 0, orla_paid: 0, receipt_printed: 0 }
+    }));
+
+    this.carryOverPreviousProject = jest.fn(async (data) => ({
+      success: true,
+      report: { carried: [], unchanged: 0, missingPhotos: [], newUsers: [], leftUsers: [] }
+    }));
+
     // === USER MANAGEMENT ===
     this.getUsers = jest.fn(async (filters = {}, options = {}) => ({
       success: true,
@@ -33,6 +46,40 @@ class ElectronAPIMock extends EventEmitter {
       ]
     }));
 
+    this.updateGroups = jest.fn(async (groups) => ({
+      success: true,
+      groups
+    }));
+
+    this.deriveGroupMetadata = jest.fn(async (groups) => ({
+      success: true,
+      groups: groups.map(group => ({ code: group.code, level: null, display_order: 8000, display_name: group.name }))
+    }));
+
+    this.createUser = jest.fn(async (userData) => ({
+      success: true,
+      user: { id: 1, ...userData }
+    }));
+
+    this.updateUser = jest.fn(async (userId, userData) => ({
+      success: true,
+      user: { id: userId, ...userData }
+    }));
+
+    this.deleteUser = jest.fn(async (userId) => ({
+      success: true
+    }));
+
+    this.getUserAttributes = jest.fn(async (userId) => ({
+      success: true,
+      attributes: {}
+    }));
+
+    this.getAuditLog = jest.fn(async (userId) => ({
+      success: true,
+      entries: []
+    }));
+
     this.loadRepositoryImages = jest.fn(async (users) => ({
       success: true,
       repositoryData: {}
@@ -44,7 +91,7 @@ class ElectronAPIMock extends EventEmitter {
       images: []
     }));
 
-    this.saveCapturedImage = jest.fn(async (imageData) => ({
+    this.saveCapturedImage = jest.fn(async (imageData, options) => ({
       success: true,
       path: '/fake/images/20250101120000.jpg'
     }));
@@ -61,10 +108,61 @@ class ElectronAPIMock extends EventEmitter {
       success: true
     }));
 
+    this.getUserImages = jest.fn(async (userId) => ({
+      success: true,
+      images: []
+    }));
+
+    this.setCurrentUserImage = jest.fn(async (imageId) => ({
+      success: true,
+      previousImagePath: null
+    }));
+
+    this.updateUserImage = jest.fn(async (imageId, updates) => ({
+      success: true
+    }));
+
+    this.getImageCrop = jest.fn(async (imagePath) => ({
+      success: true,
+      image_path: '20250101120000.jpg',
+      crop: { left: 370, top: 0, width: 540, height: 720 },
+      image_width: 1280,
+      image_height: 720,
+      face: null,
+      source: 'center',
+      stored: true,
+      settings: { headRatio: 0.5, eyeLineRatio: 0.42 }
+    }));
+
+    this.getImageQuality = jest.fn(async (imagePath) => ({
+      success: true,
+      quality: null
+    }));
+
+    this.saveImageCrop = jest.fn(async (imagePath, crop) => ({
+      success: true,
+      crop
+    }));
+
+    this.saveCropSettings = jest.fn(async (settings) => ({
+      success: true,
+      settings
+    }));
+
     this.moveImageToIngest = jest.fn(async (imagePath) => ({
       success: true
     }));
 
+    this.removeImageFromIngest = jest.fn(async (filename) => ({
+      success: true,
+      undoPath: `/fake/project/.undo/1700000000000_${filename}`
+    }));
+
+    this.restoreImageToIngest = jest.fn(async (undoPath) => ({
+      success: true,
+      filename: undoPath.split('/').pop().replace(/^\d+_/, '')
+    }));
+
     // === EXPORT / IMPORT ===
     this.importImagesWithId = jest.fn(async (folderPath) => ({
       success: true,
@@ -100,6 +198,36 @@ class ElectronAPIMock extends EventEmitter {
       }
     }));
 
+    this.exportAuditLog = jest.fn(async (data) => ({
+      success: true,
+      fileName: 'Historial_auditoria.csv',
+      count: 0
+    }));
+
+    this.exportUpdateDiff = jest.fn(async (data) => ({
+      success: true,
+      fileName: 'Cambios_actualizacion.csv'
+    }));
+
+    this.exportImportReportSection = jest.fn(async (data) => ({
+      success: true,
+      fileName: 'Informe_Importacion_2025-01-01_Sin_grupo.csv'
+    }));
+
+    this.backupProject = jest.fn(async (data) => ({
+      success: true,
+      fileName: 'Proyecto_20250101_1200.ucbackup',
+      fileCount: 1,
+      size: 1024
+    }));
+
+    this.restoreBackup = jest.fn(async (data) => ({
+      success: true,
+      projectPath: data.targetPath,
+      includeImages: false,
+      repositoryPath: null
+    }));
+
     // === DIALOGS ===
     this.showOpenDialog = jest.fn(async (options) => ({
       canceled: false,
@@ -118,9 +246,67 @@ class ElectronAPIMock extends EventEmitter {
       cameraId: 'default'
     }));
 
+    this.proposeFaceCrop = jest.fn(async (image, face) => ({
+      success: true,
+      crop: { left: 0, top: 0, width: 3, height: 4 },
+      source: 'center'
+    }));
+
+    this.getCameraOverlay = jest.fn(async (cameraId) => ({
+      success: true,
+      settings: {
+        preset: 'school_card',
+        guides: { faceOval: true, eyeLine: true, cropMarks: true, centerCross: false },
+        level: false
+      },
+      presets: [
+        { id: 'dni', label: 'DNI' },
+        { id: 'school_card', label: 'Carnet escolar' },
+        { id: 'orla', label: 'Orla' }
+      ]
+    }));
+
+    this.saveCameraOverlay = jest.fn(async (cameraId, settings) => ({
+      success: true,
+      settings
+    }));
+
+    this.getOverlayLayout = jest.fn(async (frame, preset, face) => ({
+      success: true,
+      layout: null,
+      level: null
+    }));
+
+    this.setCaptureTarget = jest.fn(async (target) => ({
+      success: true
+    }));
+
+    this.getCaptureTarget = jest.fn(async () => ({
+      success: true,
+      target: null
+    }));
+
+    this.getBurstSettings = jest.fn(async () => ({
+      success: true,
+      settings: { enabled: false, frameCount: 5, criterion: 'balanced' }
+    }));
+
+    this.saveBurstSettings = jest.fn(async (settings) => ({
+      success: true,
+      settings
+    }));
+
+    this.scoreBurstFrames = jest.fn(async (frames, criterion) => ({
+      success: true,
+      frames: frames.map(() => ({ score: 1, qualityIssues: [] })),
+      bestIndex: 0,
+      faceScored: true
+    }));
+
     // === XML UPDATE ===
-    this.updateXML = jest.fn(async (xmlPath) => ({
+    this.updateXML = jest.fn(async (xmlPath, mapping, validOnly, duplicateResolutions) => ({
       success: true,
+      sessionId: 'update-session',
       changes: {
         toAdd: 0,
         toUpdate: 0,
@@ -128,10 +314,49 @@ class ElectronAPIMock extends EventEmitter {
         toDeleteWithImage: 0,
         toDeleteWithoutImage: 0
       },
-      groups: [],
-      newUsersMap: {},
-      deletedUsers: [],
-      currentUsers: []
+      diff: []
+    }));
+
+    this.discardUpdateXML = jest.fn(async (sessionId) => ({ success: true }));
+
+    this.findRosterDuplicates = jest.fn(async (data) => ({
+      success: true,
+      duplicates: []
+    }));
+
+    // === IMPORT REPORTS ===
+    this.getImportReports = jest.fn(async () => ({
+      success: true,
+      reports: []
+    }));
+
+    this.getImportReport = jest.fn(async (reportId) => ({
+      success: false,
+      error: 'El informe no existe'
+    }));
+
+    this.showUserInMainWindow = jest.fn(async (userId) => ({ success: true }));
+
+    this.validateRosterXML = jest.fn(async (xmlPath) => ({
+      success: true,
+      report: {
+        fatal: null,
+        profile: { id: 'centro', name: 'Formato estándar (<centro>)' },
+        issues: [],
+        elementCount: 0,
+        invalidCount: 0,
+        exclude: { groups: [], students: [], teachers: [], nonTeachingStaff: [] },
+        skippedKeys: []
+      }
+    }));
+
+    this.readRosterFile = jest.fn(async (filePath) => ({
+      success: true,
+      headers: [],
+      preview: [],
+      rowCount: 0,
+      fields: [],
+      suggestedMapping: { columns: {}, defaultType: 'student' }
     }));
 
     this.confirmUpdateXML = jest.fn(async (data) => ({
@@ -144,6 +369,16 @@ class ElectronAPIMock extends EventEmitter {
       }
     }));
 
+    this.checkProjectIntegrity = jest.fn(async () => ({
+      success: true,
+      report: { checkedAt: new Date().toISOString(), categories: [], warnings: [], total: 0 }
+    }));
+
+    this.repairProjectIntegrity = jest.fn(async (category) => ({
+      success: true,
+      repaired: 0
+    }));
+
     // === CONFIGURATION ===
     this.getImageRepositoryPath = jest.fn(async () => ({
       success: true,
@@ -163,6 +398,43 @@ class ElectronAPIMock extends EventEmitter {
       success: true
     }));
 
+    this.getRosterProfiles = jest.fn(async () => ({
+      success: true,
+      profiles: {}
+    }));
+
+    this.saveRosterProfile = jest.fn(async (name, mapping) => ({
+      success: true,
+      profiles: { [name]: mapping }
+    }));
+
+    this.deleteRosterProfile = jest.fn(async (name) => ({
+      success: true,
+      profiles: {}
+    }));
+
+    this.getXmlProfiles = jest.fn(async () => ({
+      success: true,
+      builtIn: [],
+      custom: []
+    }));
+
+    this.importXmlProfile = jest.fn(async (filePath) => ({
+      success: true,
+      profile: {},
+      custom: []
+    }));
+
+    this.deleteXmlProfile = jest.fn(async (id) => ({
+      success: true,
+      custom: []
+    }));
+
+    this.exportXmlProfile = jest.fn(async (data) => ({
+      success: true,
+      fileName: `${data.id}.json`
+    }));
+
     // === IMAGE TAGS ===
     this.addImageTag = jest.fn(async (data) => ({
       success: true
@@ -253,6 +525,14 @@ class ElectronAPIMock extends EventEmitter {
     return this._registerEvent('change-camera', callback);
   }
 
+  onCaptureTargetChanged(callback) {
+    return this._registerEvent('capture-target-changed', callback);
+  }
+
+  onCameraCaptureLinked(callback) {
+    return this._registerEvent('camera-capture-linked', callback);
+  }
+
   // Menu events - Image operations
   onMenuLinkImage(callback) {
     return this._registerEvent('menu-link-image', callback);
@@ -262,6 +542,23 @@ class ElectronAPIMock extends EventEmitter {
     return this._registerEvent('menu-delete-photo', callback);
   }
 
+  // Menu events - User editing
+  onMenuNewUser(callback) {
+    return this._registerEvent('menu-new-user', callback);
+  }
+
+  onMenuEditUser(callback) {
+    return this._registerEvent('menu-edit-user', callback);
+  }
+
+  onMenuShowUserHistory(callback) {
+    return this._registerEvent('menu-show-user-history', callback);
+  }
+
+  onMenuAdjustPhotoCrop(callback) {
+    return this._registerEvent('menu-adjust-photo-crop', callback);
+  }
+
   // Menu events - Display toggles
   onMenuToggleDuplicates(callback) {
     return this._registerEvent('menu-toggle-duplicates', callback);
@@ -308,11 +605,39 @@ class ElectronAPIMock extends EventEmitter {
     return this._registerEvent('menu-export-to-repository', callback);
   }
 
+  onMenuExportAuditLog(callback) {
+    return this._registerEvent('menu-export-audit-log', callback);
+  }
+
+  onMenuBackupProject(callback) {
+    return this._registerEvent('menu-backup-project', callback);
+  }
+
+  onMenuRestoreBackup(callback) {
+    return this._registerEvent('menu-restore-backup', callback);
+  }
+
   // Menu events - XML
   onMenuUpdateXML(callback) {
     return this._registerEvent('menu-update-xml', callback);
   }
 
+  onRosterUpdateAvailable(callback) {
+    return this._registerEvent('roster-update-available', callback);
+  }
+
+  onMenuCheckIntegrity(callback) {
+    return this._registerEvent('menu-check-integrity', callback);
+  }
+
+  onMenuXmlProfiles(callback) {
+    return this._registerEvent('menu-xml-profiles', callback);
+  }
+
+  onMenuManageGroups(callback) {
+    return this._registerEvent('menu-manage-groups', callback);
+  }
+
   // Menu events - Tags
   onMenuAddImageTag(callback) {
     return this._registerEvent('menu-add-image-tag', callback);
@@ -327,6 +652,14 @@ class ElectronAPIMock extends EventEmitter {
     return this._registerEvent('group-filter-changed', callback);
   }
 
+  onImportReportSelected(callback) {
+    return this._registerEvent('import-report-selected', callback);
+  }
+
+  onShowUser(callback) {
+    return this._registerEvent('show-user', callback);
+  }
+
   // Legacy para compatibilidad
   onEvent(event, listener) {
     this.on(event, listener);
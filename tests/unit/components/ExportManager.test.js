@@ -517,7 +517,8 @@ describe('ExportManager', () => {
         copyOriginal: true,
         resizeEnabled: false,
         boxSize: null,
-        maxSizeKB: null
+        maxSizeKB: null,
+        applyCrop: false
       });
     });
 
@@ -533,7 +534,8 @@ describe('ExportManager', () => {
         copyOriginal: false,
         resizeEnabled: true,
         boxSize: 1024,
-        maxSizeKB: 600
+        maxSizeKB: 600,
+        applyCrop: false
       });
     });
   });
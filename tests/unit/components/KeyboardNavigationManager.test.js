@@ -15,7 +15,9 @@ describe('KeyboardNavigationManager', () => {
       onNavigateUserPrev: jest.fn(),
       onNavigateUserNext: jest.fn(),
       onNavigateImagePrev: jest.fn(),
-      onNavigateImageNext: jest.fn()
+      onNavigateImageNext: jest.fn(),
+      onUndo: jest.fn(),
+      onRedo: jest.fn()
     };
 
     // Mock state getters
@@ -245,6 +247,61 @@ describe('KeyboardNavigationManager', () => {
     });
   });
 
+  describe('Undo/redo shortcuts', () => {
+    beforeEach(() => {
+      manager.enable();
+    });
+
+    test('should undo on Ctrl+Z', () => {
+      const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true });
+      const preventDefaultSpy = jest.spyOn(event, 'preventDefault');
+
+      manager.handleKeyDown(event);
+
+      expect(preventDefaultSpy).toHaveBeenCalled();
+      expect(mockCallbacks.onUndo).toHaveBeenCalled();
+      expect(mockCallbacks.onRedo).not.toHaveBeenCalled();
+    });
+
+    test('should redo on Ctrl+Y and Ctrl+Shift+Z', () => {
+      manager.handleKeyDown(new KeyboardEvent('keydown', { key: 'y', ctrlKey: true }));
+      manager.handleKeyDown(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true }));
+
+      expect(mockCallbacks.onRedo).toHaveBeenCalledTimes(2);
+      expect(mockCallbacks.onUndo).not.toHaveBeenCalled();
+    });
+
+    test('should accept Cmd on macOS', () => {
+      manager.handleKeyDown(new KeyboardEvent('keydown', { key: 'z', metaKey: true }));
+
+      expect(mockCallbacks.onUndo).toHaveBeenCalled();
+    });
+
+    test('should ignore Z without modifier', () => {
+      manager.handleKeyDown(new KeyboardEvent('keydown', { key: 'z' }));
+
+      expect(mockCallbacks.onUndo).not.toHaveBeenCalled();
+    });
+
+    test('should leave Ctrl+Z to text inputs', () => {
+      const input = document.createElement('input');
+      const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true });
+      Object.defineProperty(event, 'target', { value: input, enumerable: true });
+
+      manager.handleKeyDown(event);
+
+      expect(mockCallbacks.onUndo).not.toHaveBeenCalled();
+    });
+
+    test('should not undo when modal is open', () => {
+      mockGetters.isModalOpen.mockReturnValue(true);
+
+      manager.handleKeyDown(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+
+      expect(mockCallbacks.onUndo).not.toHaveBeenCalled();
+    });
+  });
+
   describe('isTypingInInput()', () => {
     test('should return true for INPUT elements', () => {
       const input = document.createElement('input');
@@ -15,9 +15,15 @@ describe('MenuEventManager', () => {
       onInitialDisplayPreferences: jest.fn(),
       onMenuNewProject: jest.fn(),
       onMenuOpenProject: jest.fn(),
+      onMenuBackupProject: jest.fn(),
+      onMenuRestoreBackup: jest.fn(),
       onProjectOpened: jest.fn(),
       onMenuLinkImage: jest.fn(),
       onMenuDeletePhoto: jest.fn(),
+      onMenuNewUser: jest.fn(),
+      onMenuEditUser: jest.fn(),
+      onMenuShowUserHistory: jest.fn(),
+      onMenuAdjustPhotoCrop: jest.fn(),
       onMenuToggleDuplicates: jest.fn(),
       onMenuToggleCapturedPhotos: jest.fn(),
       onMenuToggleRepositoryPhotos: jest.fn(),
@@ -28,6 +34,8 @@ describe('MenuEventManager', () => {
       onMenuExportImagesName: jest.fn(),
       onMenuExportToRepository: jest.fn(),
       onMenuUpdateXML: jest.fn(),
+      onMenuCheckIntegrity: jest.fn(),
+      onMenuXmlProfiles: jest.fn(),
       onMenuAddImageTag: jest.fn(),
       onMenuShowTaggedImages: jest.fn(),
       onMenuToggleAdditionalActions: jest.fn()
@@ -56,6 +64,8 @@ describe('MenuEventManager', () => {
       onExportImagesName: jest.fn(),
       onExportToRepository: jest.fn(),
       onUpdateXML: jest.fn(),
+      onCheckIntegrity: jest.fn(),
+      onXmlProfiles: jest.fn(),
       onAddImageTag: jest.fn(),
       onShowTaggedImages: jest.fn(),
       onDisplayUsers: jest.fn(),
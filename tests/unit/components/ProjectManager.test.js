@@ -17,7 +17,8 @@ describe('ProjectManager', () => {
       openProject: jest.fn(),
       getSelectedGroupFilter: jest.fn(),
       updateXML: jest.fn(),
-      confirmUpdateXML: jest.fn()
+      confirmUpdateXML: jest.fn(),
+      discardUpdateXML: jest.fn()
     };
 
     // Mock new project modal
@@ -316,8 +317,12 @@ describe('ProjectManager', () => {
 
       expect(mockElectronAPI.showOpenDialog).toHaveBeenCalledWith({
         properties: ['openFile'],
-        filters: [{ name: 'XML Files', extensions: ['xml'] }],
-        title: 'Seleccionar nuevo archivo XML'
+        filters: [
+          { name: 'Archivos de usuarios', extensions: ['xml', 'csv', 'xlsx'] },
+          { name: 'XML Files', extensions: ['xml'] },
+          { name: 'CSV / Excel', extensions: ['csv', 'xlsx'] }
+        ],
+        title: 'Seleccionar nuevo archivo de usuarios'
       });
     });
 
@@ -339,10 +344,8 @@ describe('ProjectManager', () => {
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
         changes: { toAdd: 5, toUpdate: 3, toDelete: 2, toDeleteWithImage: 1, toDeleteWithoutImage: 1 },
-        groups: [],
-        newUsersMap: {},
-        deletedUsers: [],
-        currentUsers: []
+        sessionId: 'session-1',
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(false); // User cancels
 
@@ -352,7 +355,7 @@ describe('ProjectManager', () => {
         'Actualizando XML',
         'Analizando cambios...'
       );
-      expect(mockElectronAPI.updateXML).toHaveBeenCalledWith('/path/to/new.xml');
+      expect(mockElectronAPI.updateXML).toHaveBeenCalledWith('/path/to/new.xml', null, false, []);
       expect(mockConfig.onCloseProgressModal).toHaveBeenCalled();
     });
 
@@ -385,10 +388,8 @@ describe('ProjectManager', () => {
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
         changes: { toAdd: 5, toUpdate: 3, toDelete: 2, toDeleteWithImage: 1, toDeleteWithoutImage: 1 },
-        groups: [],
-        newUsersMap: {},
-        deletedUsers: [],
-        currentUsers: []
+        sessionId: 'session-1',
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(false);
 
@@ -412,16 +413,15 @@ describe('ProjectManager', () => {
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
         changes: { toAdd: 5, toUpdate: 3, toDelete: 2, toDeleteWithImage: 0, toDeleteWithoutImage: 2 },
-        groups: [],
-        newUsersMap: {},
-        deletedUsers: [],
-        currentUsers: []
+        sessionId: 'session-1',
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(false);
 
       await manager.handleUpdateXML();
 
       expect(mockElectronAPI.confirmUpdateXML).not.toHaveBeenCalled();
+      expect(mockElectronAPI.discardUpdateXML).toHaveBeenCalledWith('session-1');
     });
 
     test('should apply changes if user confirms', async () => {
@@ -430,16 +430,11 @@ describe('ProjectManager', () => {
         canceled: false,
         filePaths: ['/path/to/new.xml']
       });
-      const updateData = {
-        groups: ['G1'],
-        newUsersMap: { 1: { name: 'User1' } },
-        deletedUsers: [2],
-        currentUsers: [{ id: 3 }]
-      };
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
+        sessionId: 'session-1',
         changes: { toAdd: 1, toUpdate: 0, toDelete: 1, toDeleteWithImage: 0, toDeleteWithoutImage: 1 },
-        ...updateData
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(true);
       mockElectronAPI.confirmUpdateXML.mockResolvedValue({
@@ -454,7 +449,7 @@ describe('ProjectManager', () => {
         'Actualizando XML',
         'Aplicando cambios...'
       );
-      expect(mockElectronAPI.confirmUpdateXML).toHaveBeenCalledWith(updateData);
+      expect(mockElectronAPI.confirmUpdateXML).toHaveBeenCalledWith({ sessionId: 'session-1' });
       expect(mockConfig.onCloseProgressModal).toHaveBeenCalled();
     });
 
@@ -467,10 +462,8 @@ describe('ProjectManager', () => {
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
         changes: { toAdd: 1, toUpdate: 0, toDelete: 0, toDeleteWithImage: 0, toDeleteWithoutImage: 0 },
-        groups: [],
-        newUsersMap: {},
-        deletedUsers: [],
-        currentUsers: []
+        sessionId: 'session-1',
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(true);
       mockElectronAPI.confirmUpdateXML.mockResolvedValue({
@@ -495,10 +488,8 @@ describe('ProjectManager', () => {
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
         changes: { toAdd: 2, toUpdate: 1, toDelete: 1, toDeleteWithImage: 1, toDeleteWithoutImage: 0 },
-        groups: [],
-        newUsersMap: {},
-        deletedUsers: [],
-        currentUsers: []
+        sessionId: 'session-1',
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(true);
       mockElectronAPI.confirmUpdateXML.mockResolvedValue({
@@ -528,10 +519,8 @@ describe('ProjectManager', () => {
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
         changes: { toAdd: 1, toUpdate: 0, toDelete: 0, toDeleteWithImage: 0, toDeleteWithoutImage: 0 },
-        groups: [],
-        newUsersMap: {},
-        deletedUsers: [],
-        currentUsers: []
+        sessionId: 'session-1',
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(true);
       mockElectronAPI.confirmUpdateXML.mockResolvedValue({
@@ -607,10 +596,8 @@ describe('ProjectManager', () => {
       mockElectronAPI.updateXML.mockResolvedValue({
         success: true,
         changes: { toAdd: 0, toUpdate: 0, toDelete: 0, toDeleteWithImage: 0, toDeleteWithoutImage: 0 },
-        groups: [],
-        newUsersMap: {},
-        deletedUsers: [],
-        currentUsers: []
+        sessionId: 'session-1',
+        diff: []
       });
       mockConfig.onShowConfirmModal.mockResolvedValue(false);
 
@@ -0,0 +1,121 @@
+/**
+ * Tests for RosterUpdateBanner
+ */
+
+const { RosterUpdateBanner } = require('../../../src/renderer/components/RosterUpdateBanner');
+
+describe('RosterUpdateBanner', () => {
+  let banner;
+  let mockDOM;
+  let mockElectronAPI;
+  let onReview;
+
+  const update = {
+    filePath: '/exportaciones/alumnos.xml',
+    fileName: 'alumnos.xml',
+    changes: { toAdd: 3, toUpdate: 2, toRestore: 0, toDelete: 1 },
+    invalidCount: 0,
+    error: null
+  };
+
+  beforeEach(() => {
+    // Mock DOM elements
+    mockDOM = {
+      banner: { style: { display: 'none' } },
+      messageElement: { textContent: '' },
+      reviewBtn: { addEventListener: jest.fn() },
+      dismissBtn: { addEventListener: jest.fn() }
+    };
+
+    // Mock Electron API
+    mockElectronAPI = {
+      onRosterUpdateAvailable: jest.fn()
+    };
+
+    onReview = jest.fn();
+
+    banner = new RosterUpdateBanner({
+      ...mockDOM,
+      electronAPI: mockElectronAPI,
+      onReview
+    });
+  });
+
+  describe('init', () => {
+    test('should listen to the changes found by the main process', () => {
+      banner.init();
+
+      expect(mockElectronAPI.onRosterUpdateAvailable).toHaveBeenCalledWith(expect.any(Function));
+
+      const listener = mockElectronAPI.onRosterUpdateAvailable.mock.calls[0][0];
+      listener(update);
+      expect(banner.isVisible()).toBe(true);
+    });
+
+    test('should work without electronAPI', () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const standalone = new RosterUpdateBanner({ ...mockDOM, electronAPI: null });
+
+      expect(() => standalone.init()).not.toThrow();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('buildMessage', () => {
+    test('should list the changes with their counts', () => {
+      expect(banner.buildMessage(update)).toBe('Ha cambiado alumnos.xml: 3 altas, 2 cambios y 1 baja');
+    });
+
+    test('should use the singular and leave out empty counts', () => {
+      const message = banner.buildMessage({
+        ...update,
+        changes: { toAdd: 0, toUpdate: 1, toRestore: 1, toDelete: 0 }
+      });
+
+      expect(message).toBe('Ha cambiado alumnos.xml: 1 cambio y 1 recuperación');
+    });
+
+    test('should mention the invalid elements', () => {
+      expect(banner.buildMessage({ ...update, invalidCount: 2 }))
+        .toBe('Ha cambiado alumnos.xml: 3 altas, 2 cambios y 1 baja (2 elementos no válidos)');
+    });
+
+    test('should report a file that could not be analyzed', () => {
+      expect(banner.buildMessage({ ...update, changes: null, error: 'Formato no válido' }))
+        .toBe('Ha cambiado alumnos.xml, pero no se ha podido analizar: Formato no válido');
+    });
+  });
+
+  describe('show and hide', () => {
+    test('should show the banner with the message', () => {
+      banner.show(update);
+
+      expect(mockDOM.banner.style.display).toBe('flex');
+      expect(mockDOM.messageElement.textContent).toBe('Ha cambiado alumnos.xml: 3 altas, 2 cambios y 1 baja');
+    });
+
+    test('should hide the banner', () => {
+      banner.show(update);
+      banner.hide();
+
+      expect(mockDOM.banner.style.display).toBe('none');
+      expect(banner.isVisible()).toBe(false);
+    });
+  });
+
+  describe('handleReview', () => {
+    test('should open the update flow for the changed file', async () => {
+      banner.show(update);
+      await banner.handleReview();
+
+      expect(onReview).toHaveBeenCalledWith('/exportaciones/alumnos.xml');
+      expect(banner.isVisible()).toBe(false);
+    });
+
+    test('should do nothing when hidden', async () => {
+      await banner.handleReview();
+
+      expect(onReview).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for UndoManager
+ */
+
+const { UndoManager } = require('../../../src/renderer/components/UndoManager');
+
+describe('UndoManager', () => {
+  let manager;
+  let mockElectronAPI;
+  let onChange;
+
+  beforeEach(() => {
+    mockElectronAPI = {
+      confirmLinkImage: jest.fn(async () => ({ success: true })),
+      unlinkImageFromUser: jest.fn(async () => ({ success: true })),
+      markOrlaPaid: jest.fn(async () => ({ success: true })),
+      markReceiptPrinted: jest.fn(async () => ({ success: true })),
+      removeImageFromIngest: jest.fn(async (filename) => ({
+        success: true,
+        undoPath: `/project/.undo/1700000000000_${filename}`
+      })),
+      restoreImageToIngest: jest.fn(async () => ({ success: true, filename: 'foto_1.jpg' }))
+    };
+    onChange = jest.fn();
+
+    manager = new UndoManager({ electronAPI: mockElectronAPI, onChange });
+  });
+
+  describe('Initialization', () => {
+    test('should start with empty stacks', () => {
+      expect(manager.canUndo()).toBe(false);
+      expect(manager.canRedo()).toBe(false);
+    });
+
+    test('should return null when there is nothing to undo or redo', async () => {
+      await expect(manager.undo()).resolves.toBeNull();
+      await expect(manager.redo()).resolves.toBeNull();
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Photo links', () => {
+    test('should unlink a new link on undo and link it again on redo', async () => {
+      manager.record({ type: 'image', userId: 3, before: null, after: '/project/imports/a.jpg' });
+
+      const undoResult = await manager.undo();
+      expect(undoResult.success).toBe(true);
+      expect(mockElectronAPI.unlinkImageFromUser).toHaveBeenCalledWith(3);
+      expect(onChange).toHaveBeenCalledWith(undoResult.entry, 'undo');
+
+      await manager.redo();
+      expect(mockElectronAPI.confirmLinkImage).toHaveBeenCalledWith({ userId: 3, imagePath: '/project/imports/a.jpg' });
+      expect(manager.canUndo()).toBe(true);
+      expect(manager.canRedo()).toBe(false);
+    });
+
+    test('should restore the previous photo when undoing a replacement', async () => {
+      manager.record({ type: 'image', userId: 3, before: '/project/imports/old.jpg', after: '/project/imports/new.jpg' });
+
+      await manager.undo();
+
+      expect(mockElectronAPI.confirmLinkImage).toHaveBeenCalledWith({ userId: 3, imagePath: '/project/imports/old.jpg' });
+      expect(mockElectronAPI.unlinkImageFromUser).not.toHaveBeenCalled();
+    });
+
+    test('should relink the photo when undoing an unlink', async () => {
+      manager.record({ type: 'image', userId: 3, before: '/project/imports/a.jpg', after: null });
+
+      await manager.undo();
+      expect(mockElectronAPI.confirmLinkImage).toHaveBeenCalledWith({ userId: 3, imagePath: '/project/imports/a.jpg' });
+
+      await manager.redo();
+      expect(mockElectronAPI.unlinkImageFromUser).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('Payment and receipt flags', () => {
+    test('should restore the previous orla status', async () => {
+      manager.record({ type: 'orla_paid', userId: 5, before: false, after: true });
+
+      await manager.undo();
+      expect(mockElectronAPI.markOrlaPaid).toHaveBeenLastCalledWith(5, false);
+
+      await manager.redo();
+      expect(mockElectronAPI.markOrlaPaid).toHaveBeenLastCalledWith(5, true);
+    });
+
+    test('should restore the previous receipt status', async () => {
+      manager.record({ type: 'receipt_printed', userId: 5, before: true, after: false });
+
+      await manager.undo();
+
+      expect(mockElectronAPI.markReceiptPrinted).toHaveBeenCalledWith(5, true);
+    });
+
+    test('should undo operations in reverse order', async () => {
+      manager.record({ type: 'orla_paid', userId: 5, before: false, after: true });
+      manager.record({ type: 'receipt_printed', userId: 5, before: false, after: true });
+
+      await manager.undo();
+      await manager.undo();
+
+      expect(mockElectronAPI.markReceiptPrinted.mock.invocationCallOrder[0])
+        .toBeLessThan(mockElectronAPI.markOrlaPaid.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('Ingest images', () => {
+    test('should move the image out on undo and back to ingest on redo', async () => {
+      manager.record({ type: 'ingest', filename: 'foto.jpg' });
+
+      await manager.undo();
+      expect(mockElectronAPI.removeImageFromIngest).toHaveBeenCalledWith('foto.jpg');
+
+      await manager.redo();
+      expect(mockElectronAPI.restoreImageToIngest).toHaveBeenCalledWith('/project/.undo/1700000000000_foto.jpg');
+
+      // The image may come back with a different name
+      await manager.undo();
+      expect(mockElectronAPI.removeImageFromIngest).toHaveBeenLastCalledWith('foto_1.jpg');
+    });
+  });
+
+  describe('Stack handling', () => {
+    test('should clear redo stack when a new operation is recorded', async () => {
+      manager.record({ type: 'orla_paid', userId: 1, before: false, after: true });
+      await manager.undo();
+      expect(manager.canRedo()).toBe(true);
+
+      manager.record({ type: 'orla_paid', userId: 2, before: false, after: true });
+
+      expect(manager.canRedo()).toBe(false);
+    });
+
+    test('should keep at most maxEntries operations', async () => {
+      manager = new UndoManager({ electronAPI: mockElectronAPI, maxEntries: 2 });
+      manager.record({ type: 'orla_paid', userId: 1, before: false, after: true });
+      manager.record({ type: 'orla_paid', userId: 2, before: false, after: true });
+      manager.record({ type: 'orla_paid', userId: 3, before: false, after: true });
+
+      await manager.undo();
+      await manager.undo();
+
+      expect(manager.canUndo()).toBe(false);
+      expect(mockElectronAPI.markOrlaPaid.mock.calls.map(call => call[0])).toEqual([3, 2]);
+    });
+
+    test('should keep the entry when the main process fails', async () => {
+      mockElectronAPI.removeImageFromIngest.mockResolvedValueOnce({
+        success: false,
+        error: 'La imagen está vinculada a Lucía García. Desvincúlala antes de deshacer'
+      });
+      manager.record({ type: 'ingest', filename: 'foto.jpg' });
+
+      const result = await manager.undo();
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch('Desvincúlala');
+      expect(manager.canUndo()).toBe(true);
+      expect(manager.canRedo()).toBe(false);
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('should forget everything on clear', () => {
+      manager.record({ type: 'orla_paid', userId: 1, before: false, after: true });
+
+      manager.clear();
+
+      expect(manager.canUndo()).toBe(false);
+      expect(manager.canRedo()).toBe(false);
+    });
+  });
+
+  describe('describe()', () => {
+    test('should describe operations in Spanish', () => {
+      expect(manager.describe({ type: 'image', userName: 'Lucía García', before: null, after: 'a.jpg' }))
+        .toBe('vincular la foto de Lucía García');
+      expect(manager.describe({ type: 'image', before: 'a.jpg', after: null }))
+        .toBe('eliminar la foto vinculada');
+      expect(manager.describe({ type: 'orla_paid', userName: 'Ana Pérez', before: false, after: true }))
+        .toBe('marcar la orla de Ana Pérez como pagada');
+      expect(manager.describe({ type: 'ingest', filename: 'foto.jpg' }))
+        .toBe('añadir la imagen foto.jpg');
+    });
+  });
+});
@@ -170,6 +170,61 @@ describe('UserDataManager', () => {
 
       expect(mockConfig.groupFilter.options.length).toBe(2); // Only "Todos" + new group
     });
+
+    test('should offer the levels of the groups before the groups', () => {
+      manager.populateGroupFilter([
+        { code: '1ESO-A', name: '1ESO-A', display_name: '1º ESO A', level: 'ESO' },
+        { code: '2ESO-A', name: '2ESO-A', display_name: '2º ESO A', level: 'ESO' },
+        { code: 'DOCENTES', name: 'Docentes', level: null }
+      ]);
+
+      const options = Array.from(mockConfig.groupFilter.options);
+      expect(options.map(option => option.value)).toEqual(['', 'level:ESO', '1ESO-A', '2ESO-A', 'DOCENTES']);
+      expect(options[1].textContent).toBe('Todo ESO');
+      expect(options[2].textContent).toBe('1ESO-A - 1º ESO A');
+    });
+
+    test('should keep the selected value when the groups are reloaded', () => {
+      const groups = [{ code: 'G1', name: 'Group 1', level: 'ESO' }, { code: 'G2', name: 'Group 2', level: 'ESO' }];
+      manager.populateGroupFilter(groups);
+      mockConfig.groupFilter.value = 'level:ESO';
+
+      manager.populateGroupFilter(groups);
+
+      expect(mockConfig.groupFilter.value).toBe('level:ESO');
+    });
+  });
+
+  describe('getGroupFilterCriteria()', () => {
+    test('should turn the selected value into group or level filters', () => {
+      expect(UserDataManager.getGroupFilterCriteria('')).toEqual({});
+      expect(UserDataManager.getGroupFilterCriteria('1ESO-A')).toEqual({ group: '1ESO-A' });
+      expect(UserDataManager.getGroupFilterCriteria('level:Bachillerato')).toEqual({ level: 'Bachillerato' });
+    });
+  });
+
+  describe('findNextUserWithoutPhoto()', () => {
+    const users = [
+      { id: 1, group_code: '1ESO-A', image_path: null },
+      { id: 2, group_code: '1ESO-A', image_path: 'a.jpg' },
+      { id: 3, group_code: '1ESO-B', image_path: null },
+      { id: 4, group_code: '1ESO-A', image_path: null },
+      { id: 5, group_code: '1ESO-A', image_path: 'b.jpg' }
+    ];
+
+    test('should skip users with a photo and users of other groups', () => {
+      expect(UserDataManager.findNextUserWithoutPhoto(users, 1).id).toBe(4);
+    });
+
+    test('should wrap around to the start of the list', () => {
+      expect(UserDataManager.findNextUserWithoutPhoto(users, 4).id).toBe(1);
+      expect(UserDataManager.findNextUserWithoutPhoto(users, 5).id).toBe(1);
+    });
+
+    test('should return null when the rest of the group has a photo', () => {
+      expect(UserDataManager.findNextUserWithoutPhoto(users, 3)).toBeNull();
+      expect(UserDataManager.findNextUserWithoutPhoto(users, 99)).toBeNull();
+    });
   });
 
   describe('loadUsers()', () => {
@@ -149,6 +149,20 @@ describe('UserRowRenderer', () => {
       expect(photoWrapper.classList.contains('duplicate-image')).toBe(false);
     });
 
+    test('should show quality warning with the problems of the photo', () => {
+      const user = { ...mockUser, image_quality_issues: ['Foto desenfocada', 'Foto oscura'] };
+      const row = renderer.createRow(user);
+
+      const indicator = row.querySelector('.quality-indicator');
+      expect(indicator).toBeTruthy();
+      expect(indicator.querySelector('title').textContent).toBe('Foto desenfocada\nFoto oscura');
+    });
+
+    test('should not show quality warning for photos without problems', () => {
+      expect(renderer.createRow({ ...mockUser, image_quality_issues: [] }).querySelector('.quality-indicator')).toBeNull();
+      expect(renderer.createRow(mockUser).querySelector('.quality-indicator')).toBeNull();
+    });
+
     test('should show checkbox in selection mode', () => {
       renderer.updateConfig({ selectionMode: true });
       const row = renderer.createRow(mockUser);
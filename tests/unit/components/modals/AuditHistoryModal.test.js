@@ -0,0 +1,124 @@
+/**
+ * Tests for AuditHistoryModal
+ */
+
+const { AuditHistoryModal } = require('../../../../src/renderer/components/modals/AuditHistoryModal');
+
+const USER = {
+  id: 7,
+  type: 'student',
+  first_name: 'Lucía',
+  last_name1: 'García',
+  last_name2: 'López',
+  nia: '10000001'
+};
+
+const ENTRIES = [
+  {
+    id: 2,
+    action: 'mark_orla_paid',
+    action_label: 'Orla pagada',
+    created_at: '2025-01-10T09:00:00.000Z',
+    before_text: 'No',
+    after_text: 'Sí',
+    details: null,
+    actor: 'secretaria@PC-01'
+  },
+  {
+    id: 1,
+    action: 'link_image',
+    action_label: 'Foto vinculada',
+    created_at: '2025-01-09T12:30:00.000Z',
+    before_text: '',
+    after_text: '20250109123000.jpg',
+    details: null,
+    actor: 'fotografo@PC-02'
+  }
+];
+
+describe('AuditHistoryModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'audit-history-modal';
+    mockElement.innerHTML = `
+      <h2 id="audit-history-title"></h2>
+      <div id="audit-history-container"></div>
+      <p id="audit-history-status" style="display: none;"></p>
+      <button id="audit-history-export-btn">Exportar CSV</button>
+      <button id="audit-history-close-btn">Cerrar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+
+    modal = new AuditHistoryModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  describe('show', () => {
+    test('should load and list the history of the user', async () => {
+      window.electronAPI.getAuditLog.mockResolvedValueOnce({ success: true, entries: ENTRIES });
+
+      await modal.show(USER);
+
+      expect(window.electronAPI.getAuditLog).toHaveBeenCalledWith(7);
+      expect(modal.isOpen).toBe(true);
+      expect(modal.titleElement.textContent).toBe('Historial - Lucía García López');
+
+      const rows = mockElement.querySelectorAll('tbody tr');
+      expect(rows).toHaveLength(2);
+      expect(rows[0].children[1].textContent).toBe('Orla pagada');
+      expect(rows[0].children[2].textContent).toBe('No');
+      expect(rows[0].children[3].textContent).toBe('Sí');
+      expect(rows[1].children[4].textContent).toBe('fotografo@PC-02');
+    });
+
+    test('should show a message when there are no entries', async () => {
+      await modal.show(USER);
+
+      expect(mockElement.querySelector('table')).toBeNull();
+      expect(modal.container.textContent).toBe('No hay cambios registrados para este usuario');
+    });
+
+    test('should show the error returned by the main process', async () => {
+      window.electronAPI.getAuditLog.mockResolvedValueOnce({ success: false, error: 'No hay ningún proyecto abierto' });
+
+      await modal.show(USER);
+
+      expect(modal.container.textContent).toBe('No hay ningún proyecto abierto');
+    });
+  });
+
+  describe('export', () => {
+    test('should export the history of the user to the chosen folder', async () => {
+      await modal.show(USER);
+
+      await modal.handleExport();
+
+      expect(window.electronAPI.exportAuditLog).toHaveBeenCalledWith({
+        exportPath: '/fake/path/folder',
+        userId: 7
+      });
+      expect(modal.statusElement.textContent).toBe('Se ha generado el archivo Historial_auditoria.csv');
+    });
+
+    test('should do nothing when the folder dialog is cancelled', async () => {
+      window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: true, filePaths: [] });
+      await modal.show(USER);
+
+      await modal.handleExport();
+
+      expect(window.electronAPI.exportAuditLog).not.toHaveBeenCalled();
+    });
+  });
+});
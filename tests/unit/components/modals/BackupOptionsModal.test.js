@@ -0,0 +1,58 @@
+/**
+ * Tests for BackupOptionsModal
+ */
+
+const { BackupOptionsModal } = require('../../../../src/renderer/components/modals/BackupOptionsModal');
+
+describe('BackupOptionsModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'backup-options-modal';
+    mockElement.innerHTML = `
+      <input type="checkbox" id="backup-include-images">
+      <button id="backup-confirm-btn">Crear copia</button>
+      <button id="backup-cancel-btn">Cancelar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    modal = new BackupOptionsModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  test('should include images by default', async () => {
+    const promise = modal.show();
+
+    expect(modal.isOpen).toBe(true);
+    modal.confirmBtn.click();
+
+    await expect(promise).resolves.toEqual({ includeImages: true });
+    expect(modal.isOpen).toBe(false);
+  });
+
+  test('should return the chosen option', async () => {
+    const promise = modal.show();
+
+    modal.includeImagesCheckbox.checked = false;
+    modal.confirmBtn.click();
+
+    await expect(promise).resolves.toEqual({ includeImages: false });
+  });
+
+  test('should resolve with null when cancelled', async () => {
+    const promise = modal.show();
+
+    modal.cancelBtn.click();
+
+    await expect(promise).resolves.toBeNull();
+  });
+});
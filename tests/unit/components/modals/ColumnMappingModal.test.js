@@ -0,0 +1,129 @@
+/**
+ * Tests for ColumnMappingModal
+ */
+
+const { ColumnMappingModal } = require('../../../../src/renderer/components/modals/ColumnMappingModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const FIELDS = [
+  { key: 'first_name', label: 'Nombre', required: true },
+  { key: 'last_name1', label: 'Primer apellido', required: true },
+  { key: 'document', label: 'Documento', required: false },
+  { key: 'nia', label: 'NIA', required: false },
+  { key: 'group_code', label: 'Grupo', required: false }
+];
+
+describe('ColumnMappingModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'column-mapping-modal';
+    mockElement.innerHTML = `
+      <p id="column-mapping-summary"></p>
+      <select id="column-mapping-profile"></select>
+      <button id="column-mapping-delete-profile-btn">Eliminar</button>
+      <div id="column-mapping-fields"></div>
+      <select id="column-mapping-default-type">
+        <option value="student">Alumno</option>
+        <option value="teacher">Docente</option>
+        <option value="non_teaching_staff">No docente</option>
+      </select>
+      <table id="column-mapping-preview"></table>
+      <input id="column-mapping-profile-name">
+      <button id="column-mapping-save-profile-btn">Guardar perfil</button>
+      <p id="column-mapping-error" style="display: none;"></p>
+      <button id="column-mapping-confirm-btn">Continuar</button>
+      <button id="column-mapping-cancel-btn">Cancelar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+    window.electronAPI.readRosterFile.mockResolvedValue({
+      success: true,
+      headers: ['Alumno', 'Apellido', 'Código', 'Clase'],
+      preview: [['Lucía', 'García', '123', '1ESO-A']],
+      rowCount: 1,
+      fields: FIELDS,
+      suggestedMapping: { columns: { last_name1: 'Apellido', group_code: 'Clase' }, defaultType: 'student' }
+    });
+    window.electronAPI.getRosterProfiles.mockResolvedValue({ success: true, profiles: {} });
+
+    modal = new ColumnMappingModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  const selectColumn = (field, header) => {
+    mockElement.querySelector(`select[data-field="${field}"]`).value = header;
+  };
+
+  test('should prefill the suggested columns and show the preview', async () => {
+    const promise = modal.show('/datos/alumnos.csv');
+    await flushPromises();
+
+    expect(window.electronAPI.readRosterFile).toHaveBeenCalledWith('/datos/alumnos.csv');
+    expect(modal.getMapping().columns).toEqual({ last_name1: 'Apellido', group_code: 'Clase' });
+    expect(modal.previewTable.textContent).toContain('García');
+
+    modal.close();
+    await expect(promise).resolves.toBeNull();
+  });
+
+  test('should not confirm until the user can be identified', async () => {
+    const promise = modal.show('/datos/alumnos.csv');
+    await flushPromises();
+
+    selectColumn('first_name', 'Alumno');
+    modal.confirmBtn.click();
+    expect(modal.errorElement.textContent).toBe('Falta asignar la columna de NIA o la de documento');
+
+    selectColumn('nia', 'Código');
+    modal.defaultTypeSelect.value = 'teacher';
+    modal.confirmBtn.click();
+
+    await expect(promise).resolves.toEqual({
+      columns: { first_name: 'Alumno', last_name1: 'Apellido', nia: 'Código', group_code: 'Clase' },
+      defaultType: 'teacher'
+    });
+  });
+
+  test('should save the mapping as a profile and apply saved profiles', async () => {
+    const saved = { columns: { first_name: 'Alumno', last_name1: 'Apellido', nia: 'Código', document: 'DNI' }, defaultType: 'student' };
+    window.electronAPI.getRosterProfiles.mockResolvedValueOnce({ success: true, profiles: { Ítaca: saved } });
+
+    const promise = modal.show('/datos/alumnos.csv');
+    await flushPromises();
+
+    modal.profileSelect.value = 'Ítaca';
+    modal.profileSelect.dispatchEvent(new Event('change'));
+
+    expect(modal.getMapping().columns).toEqual({ first_name: 'Alumno', last_name1: 'Apellido', nia: 'Código' });
+    expect(modal.errorElement.textContent).toContain('DNI');
+
+    modal.profileNameInput.value = 'Ítaca 2';
+    await modal.handleSaveProfile();
+
+    expect(window.electronAPI.saveRosterProfile).toHaveBeenCalledWith('Ítaca 2', {
+      columns: { first_name: 'Alumno', last_name1: 'Apellido', nia: 'Código' },
+      defaultType: 'student'
+    });
+    expect(modal.profileSelect.value).toBe('Ítaca 2');
+
+    modal.close();
+    await promise;
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for DuplicateResolutionModal
+ */
+
+const { DuplicateResolutionModal } = require('../../../../src/renderer/components/modals/DuplicateResolutionModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const buildDuplicate = (overrides = {}) => ({
+  key: 'student_10000001',
+  type: 'student',
+  signature: 'firma',
+  occurrences: [
+    { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: null, attributes: {} },
+    { first_name: 'Lucia', last_name1: 'García', nia: '10000001', group_code: '1ESO-A', attributes: { email: 'lucia@example.com' } }
+  ],
+  ...overrides
+});
+
+describe('DuplicateResolutionModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'duplicate-resolution-modal';
+    mockElement.innerHTML = `
+      <p id="duplicate-resolution-summary"></p>
+      <div id="duplicate-resolution-container"></div>
+      <p id="duplicate-resolution-status" style="display: none;"></p>
+      <button id="duplicate-resolution-apply-btn">Continuar</button>
+      <button id="duplicate-resolution-cancel-btn">Cancelar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+
+    modal = new DuplicateResolutionModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  test('should not open when every duplicate is already decided', async () => {
+    const resolution = { key: 'student_10000001', signature: 'firma', action: 'keep', occurrence: 1 };
+    window.electronAPI.findRosterDuplicates.mockResolvedValueOnce({
+      success: true,
+      duplicates: [buildDuplicate({ resolution })]
+    });
+
+    const result = await modal.show({ filePath: '/datos/alumnos.xml', useSaved: true });
+
+    expect(result).toEqual([resolution]);
+    expect(window.electronAPI.findRosterDuplicates).toHaveBeenCalledWith({
+      filePath: '/datos/alumnos.xml',
+      mapping: null,
+      validOnly: false,
+      useSaved: true
+    });
+    expect(modal.isModalOpen()).toBe(false);
+  });
+
+  test('should keep by default the first occurrence with a group', async () => {
+    window.electronAPI.findRosterDuplicates.mockResolvedValueOnce({ success: true, duplicates: [buildDuplicate()] });
+
+    const promise = modal.show({ filePath: '/datos/alumnos.xml' });
+    await flushPromises();
+
+    expect(modal.isModalOpen()).toBe(true);
+    expect(modal.container.querySelector('[data-occurrence="1"]').checked).toBe(true);
+
+    modal.container.querySelector('[data-occurrence="0"]').click();
+    modal.applyBtn.click();
+
+    await expect(promise).resolves.toEqual([
+      { key: 'student_10000001', signature: 'firma', action: 'keep', occurrence: 0 }
+    ]);
+  });
+
+  test('should compose the merged user from the chosen fields', async () => {
+    window.electronAPI.findRosterDuplicates.mockResolvedValueOnce({ success: true, duplicates: [buildDuplicate()] });
+
+    const promise = modal.show({ filePath: '/datos/alumnos.xml' });
+    await flushPromises();
+
+    const actionSelect = modal.container.querySelector('.duplicate-resolution-action');
+    actionSelect.value = 'merge';
+    actionSelect.dispatchEvent(new Event('change'));
+
+    modal.container.querySelectorAll('[data-field="first_name"]')[0].click();
+    modal.applyBtn.click();
+
+    const [resolution] = await promise;
+    expect(resolution.action).toBe('merge');
+    expect(resolution.user.first_name).toBe('Lucía');
+    expect(resolution.user.group_code).toBe('1ESO-A');
+    expect(resolution.user.attributes).toEqual({ email: 'lucia@example.com' });
+  });
+
+  test('should not accept a split with repeated types', async () => {
+    window.electronAPI.findRosterDuplicates.mockResolvedValueOnce({ success: true, duplicates: [buildDuplicate()] });
+
+    const promise = modal.show({ filePath: '/datos/alumnos.xml' });
+    await flushPromises();
+
+    const actionSelect = modal.container.querySelector('.duplicate-resolution-action');
+    actionSelect.value = 'split';
+    actionSelect.dispatchEvent(new Event('change'));
+    modal.applyBtn.click();
+
+    expect(modal.statusElement.textContent).toContain('tipo distinto');
+    expect(modal.isModalOpen()).toBe(true);
+
+    modal.cancelBtn.click();
+    await expect(promise).resolves.toBeNull();
+  });
+});
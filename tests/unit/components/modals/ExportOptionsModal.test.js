@@ -19,6 +19,7 @@ describe('ExportOptionsModal', () => {
         <input type="number" id="export-box-size" value="800">
         <input type="number" id="export-max-size" value="500">
       </div>
+      <input type="checkbox" id="export-apply-crop">
       <button id="export-confirm-btn">Exportar</button>
       <button id="export-cancel-btn">Cancelar</button>
     `;
@@ -165,6 +166,12 @@ describe('ExportOptionsModal', () => {
       });
     });
 
+    test('should include the crop option', () => {
+      modal.applyCropCheckbox.checked = true;
+
+      expect(modal.getExportOptions().applyCrop).toBe(true);
+    });
+
     test('should use default values if inputs are invalid', () => {
       modal.resizeRadio.checked = true;
       modal.boxSizeInput.value = '';
@@ -191,7 +198,8 @@ describe('ExportOptionsModal', () => {
       const result = await promise;
       expect(result).toEqual({
         mode: 'copy',
-        resize: null
+        resize: null,
+        applyCrop: false
       });
     });
 
@@ -0,0 +1,131 @@
+/**
+ * Tests for GroupManagerModal
+ */
+
+const { GroupManagerModal } = require('../../../../src/renderer/components/modals/GroupManagerModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const GROUPS = [
+  { code: '1ESO-A', name: '1º ESO A', level: 'ESO', display_order: 3101, display_name: '1º ESO A', tutor_id: null },
+  { code: '1BACH-A', name: '1º BACH A', level: 'Bachillerato', display_order: 4101, display_name: '1º Bachillerato A', tutor_id: 7 }
+];
+const TEACHERS = [{ id: 7, type: 'teacher', first_name: 'Marta', last_name1: 'López', last_name2: 'Gil' }];
+
+describe('GroupManagerModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'group-manager-modal';
+    mockElement.innerHTML = `
+      <div id="group-manager-container"></div>
+      <p id="group-manager-status" style="display: none;"></p>
+      <button id="group-manager-derive-btn">Recalcular desde los códigos</button>
+      <button id="group-manager-cancel-btn">Cancelar</button>
+      <button id="group-manager-save-btn">Guardar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+    window.electronAPI.getGroups.mockResolvedValue({ success: true, groups: GROUPS });
+    window.electronAPI.getUsers.mockResolvedValue({ success: true, users: TEACHERS });
+
+    modal = new GroupManagerModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  const rows = () => Array.from(modal.container.querySelectorAll('tbody tr'));
+
+  test('should list the groups with their level, name and tutor', async () => {
+    modal.show();
+    await flushPromises();
+
+    expect(window.electronAPI.getUsers).toHaveBeenCalledWith({ type: 'teacher' }, expect.any(Object));
+    expect(rows().map(row => row.dataset.code)).toEqual(['1ESO-A', '1BACH-A']);
+
+    const bach = rows()[1];
+    expect(bach.querySelector('.group-manager-name').value).toBe('1º Bachillerato A');
+    expect(bach.querySelector('.group-manager-level').value).toBe('Bachillerato');
+    expect(bach.querySelector('.group-manager-tutor').value).toBe('7');
+    expect(bach.querySelector('.group-manager-tutor').textContent).toContain('López Gil, Marta');
+    expect(modal.isModalOpen()).toBe(true);
+  });
+
+  test('should save the groups in the order shown', async () => {
+    const shown = modal.show();
+    await flushPromises();
+
+    modal.moveGroup(1, -1);
+    const level = rows()[1].querySelector('.group-manager-level');
+    level.value = 'Secundaria';
+    level.dispatchEvent(new Event('input'));
+
+    modal.saveBtn.click();
+    await flushPromises();
+
+    expect(window.electronAPI.updateGroups).toHaveBeenCalledWith([
+      { code: '1BACH-A', level: 'Bachillerato', display_name: '1º Bachillerato A', tutor_id: 7 },
+      { code: '1ESO-A', level: 'Secundaria', display_name: '1º ESO A', tutor_id: null }
+    ]);
+    await expect(shown).resolves.toBe(true);
+  });
+
+  test('should keep the modal open when saving fails', async () => {
+    window.electronAPI.updateGroups.mockResolvedValueOnce({ success: false, error: 'El tutor del grupo 1ESO-A no es un docente del proyecto' });
+
+    modal.show();
+    await flushPromises();
+    modal.saveBtn.click();
+    await flushPromises();
+
+    expect(modal.isModalOpen()).toBe(true);
+    expect(modal.statusElement.textContent).toBe('El tutor del grupo 1ESO-A no es un docente del proyecto');
+  });
+
+  test('should fill the groups from their codes keeping the tutors', async () => {
+    window.electronAPI.deriveGroupMetadata.mockResolvedValueOnce({
+      success: true,
+      groups: [
+        { code: '1ESO-A', level: 'ESO', display_order: 3101, display_name: '1º ESO A' },
+        { code: '1BACH-A', level: 'Bachillerato', display_order: 4101, display_name: '1º Bachillerato A' }
+      ]
+    });
+
+    modal.show();
+    await flushPromises();
+    modal.moveGroup(1, -1);
+    rows()[0].querySelector('.group-manager-name').value = 'Otro nombre';
+    modal.groups[0].display_name = 'Otro nombre';
+
+    modal.deriveBtn.click();
+    await flushPromises();
+
+    expect(rows().map(row => row.dataset.code)).toEqual(['1ESO-A', '1BACH-A']);
+    expect(rows()[1].querySelector('.group-manager-name').value).toBe('1º Bachillerato A');
+    expect(rows()[1].querySelector('.group-manager-tutor').value).toBe('7');
+  });
+
+  test('should resolve false when cancelled', async () => {
+    const shown = modal.show();
+    await flushPromises();
+
+    modal.cancelBtn.click();
+
+    await expect(shown).resolves.toBe(false);
+    expect(window.electronAPI.updateGroups).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for ImageCropModal
+ */
+
+const { ImageCropModal } = require('../../../../src/renderer/components/modals/ImageCropModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const IMAGE_PATH = '/project/imports/20250101120000.jpg';
+
+describe('ImageCropModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'image-crop-modal';
+    mockElement.innerHTML = `
+      <div id="image-crop-stage">
+        <img id="image-crop-image">
+        <div id="image-crop-box"></div>
+      </div>
+      <p id="image-crop-source"></p>
+      <input type="range" id="image-crop-size" min="10" max="100">
+      <input type="number" id="image-crop-head-ratio">
+      <input type="number" id="image-crop-eye-line">
+      <p id="image-crop-status" style="display: none;"></p>
+      <button id="image-crop-propose-btn">Proponer de nuevo</button>
+      <button id="image-crop-cancel-btn">Cancelar</button>
+      <button id="image-crop-save-btn">Guardar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+
+    modal = new ImageCropModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  test('should show the photo with its crop and the project ratios', async () => {
+    modal.show(IMAGE_PATH);
+    await flushPromises();
+
+    expect(window.electronAPI.getImageCrop).toHaveBeenCalledWith(IMAGE_PATH);
+    expect(modal.imageElement.getAttribute('src')).toBe(`file://${IMAGE_PATH}`);
+    expect(modal.cropBox.style.left).toBe(`${(370 / 1280) * 100}%`);
+    expect(modal.cropBox.style.height).toBe('100%');
+    expect(modal.sizeInput.value).toBe('100');
+    expect(modal.headRatioInput.value).toBe('50');
+    expect(modal.eyeLineInput.value).toBe('42');
+    expect(modal.sourceElement.textContent).toContain('centrado');
+    expect(modal.isModalOpen()).toBe(true);
+  });
+
+  test('should resize the crop around its centre and keep it inside the photo', async () => {
+    modal.show(IMAGE_PATH);
+    await flushPromises();
+
+    modal.resizeCrop(50);
+    expect(modal.crop).toEqual({ left: 505, top: 180, width: 270, height: 360 });
+
+    modal.moveCrop(-1000, 1000);
+    expect(modal.crop).toEqual({ left: 0, top: 360, width: 270, height: 360 });
+    expect(modal.sourceElement.textContent).toContain('a mano');
+  });
+
+  test('should save the crop and resolve true', async () => {
+    const shown = modal.show(IMAGE_PATH);
+    await flushPromises();
+
+    modal.resizeCrop(50);
+    modal.saveBtn.click();
+    await flushPromises();
+
+    expect(window.electronAPI.saveImageCrop).toHaveBeenCalledWith(IMAGE_PATH, { left: 505, top: 180, width: 270, height: 360 });
+    await expect(shown).resolves.toBe(true);
+    expect(modal.isModalOpen()).toBe(false);
+  });
+
+  test('should keep the modal open when saving fails', async () => {
+    window.electronAPI.saveImageCrop.mockResolvedValueOnce({ success: false, error: 'El recorte no es válido' });
+    modal.show(IMAGE_PATH);
+    await flushPromises();
+
+    modal.saveBtn.click();
+    await flushPromises();
+
+    expect(modal.statusElement.textContent).toBe('El recorte no es válido');
+    expect(modal.isModalOpen()).toBe(true);
+  });
+
+  test('should save the ratios and propose the crop again', async () => {
+    window.electronAPI.proposeFaceCrop.mockResolvedValueOnce({
+      success: true,
+      crop: { left: 520, top: 126, width: 240, height: 320 },
+      source: 'face'
+    });
+    modal.show(IMAGE_PATH);
+    await flushPromises();
+
+    modal.headRatioInput.value = '60';
+    modal.proposeBtn.click();
+    await flushPromises();
+
+    expect(window.electronAPI.saveCropSettings).toHaveBeenCalledWith({ headRatio: 0.6, eyeLineRatio: 0.42 });
+    expect(window.electronAPI.proposeFaceCrop).toHaveBeenCalledWith({ width: 1280, height: 720 }, null);
+    expect(modal.crop).toEqual({ left: 520, top: 126, width: 240, height: 320 });
+    expect(modal.sourceElement.textContent).toContain('cara detectada');
+  });
+
+  test('should resolve false when cancelled', async () => {
+    const shown = modal.show(IMAGE_PATH);
+    await flushPromises();
+
+    modal.cancelBtn.click();
+
+    await expect(shown).resolves.toBe(false);
+    expect(window.electronAPI.saveImageCrop).not.toHaveBeenCalled();
+  });
+});
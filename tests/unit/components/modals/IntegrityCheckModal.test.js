@@ -0,0 +1,108 @@
+/**
+ * Tests for IntegrityCheckModal
+ */
+
+const { IntegrityCheckModal } = require('../../../../src/renderer/components/modals/IntegrityCheckModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const buildReport = (orphans) => ({
+  checkedAt: '2025-01-10T09:00:00.000Z',
+  warnings: [],
+  total: orphans.length + 1,
+  categories: [
+    {
+      id: 'orphan_images',
+      label: 'Fotos de imports sin usuario',
+      repairLabel: 'Mover a ingest',
+      items: orphans.map(file => ({ imagePath: file, description: file }))
+    },
+    {
+      id: 'shared_images',
+      label: 'Fotos vinculadas a varios usuarios',
+      repairLabel: null,
+      items: [{ imagePath: 'a.jpg', description: 'a.jpg: Lucía García, Pablo Ruiz' }]
+    },
+    { id: 'dangling_tags', label: 'Etiquetas de fotos que ya no existen', repairLabel: 'Eliminar etiquetas', items: [] }
+  ]
+});
+
+describe('IntegrityCheckModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'integrity-check-modal';
+    mockElement.innerHTML = `
+      <div id="integrity-check-container"></div>
+      <p id="integrity-check-status" style="display: none;"></p>
+      <button id="integrity-check-recheck-btn">Volver a verificar</button>
+      <button id="integrity-check-close-btn">Cerrar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+
+    modal = new IntegrityCheckModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  test('should list only the categories with issues', async () => {
+    window.electronAPI.checkProjectIntegrity.mockResolvedValueOnce({ success: true, report: buildReport(['x.jpg']) });
+
+    modal.show();
+    await flushPromises();
+
+    const sections = modal.container.querySelectorAll('.integrity-check-category');
+    expect(Array.from(sections).map(section => section.dataset.category)).toEqual(['orphan_images', 'shared_images']);
+    expect(sections[0].querySelector('button').textContent).toBe('Mover a ingest');
+    expect(sections[1].querySelector('button')).toBeNull();
+    expect(sections[1].textContent).toContain('a.jpg: Lucía García, Pablo Ruiz');
+  });
+
+  test('should report a clean project', async () => {
+    window.electronAPI.checkProjectIntegrity.mockResolvedValueOnce({
+      success: true,
+      report: { checkedAt: '', warnings: [], total: 0, categories: [] }
+    });
+
+    modal.show();
+    await flushPromises();
+
+    expect(modal.container.textContent).toBe('No se han encontrado problemas en el proyecto');
+  });
+
+  test('should repair a category, check again and return the repaired count', async () => {
+    window.electronAPI.checkProjectIntegrity
+      .mockResolvedValueOnce({ success: true, report: buildReport(['x.jpg', 'y.jpg']) })
+      .mockResolvedValueOnce({ success: true, report: buildReport([]) });
+    window.electronAPI.repairProjectIntegrity.mockResolvedValueOnce({ success: true, repaired: 2 });
+
+    const promise = modal.show();
+    await flushPromises();
+
+    modal.container.querySelector('[data-category="orphan_images"] button').click();
+    await flushPromises();
+
+    expect(window.electronAPI.repairProjectIntegrity).toHaveBeenCalledWith('orphan_images');
+    expect(window.electronAPI.checkProjectIntegrity).toHaveBeenCalledTimes(2);
+    expect(modal.container.querySelector('[data-category="orphan_images"]')).toBeNull();
+    expect(modal.statusElement.textContent).toBe('Fotos de imports sin usuario: 2 elementos reparados');
+
+    modal.closeBtn.click();
+    await expect(promise).resolves.toBe(2);
+  });
+});
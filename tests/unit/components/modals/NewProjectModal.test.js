@@ -0,0 +1,213 @@
+/**
+ * Tests for NewProjectModal
+ */
+
+const { NewProjectModal } = require('../../../../src/renderer/components/modals/NewProjectModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('NewProjectModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'new-project-modal';
+    mockElement.innerHTML = `
+      <div id="new-project-form">
+        <input id="project-folder">
+        <button id="select-folder-btn">Seleccionar</button>
+        <input id="xml-file">
+        <button id="select-xml-btn">Seleccionar</button>
+        <input type="checkbox" id="new-project-from-previous">
+        <div id="previous-project-group" style="display: none;">
+          <input id="previous-project-folder">
+          <button id="select-previous-project-btn">Seleccionar</button>
+        </div>
+        <button id="create-project-btn">Crear</button>
+        <button id="cancel-new-project-btn">Cancelar</button>
+      </div>
+      <div id="carry-over-panel" style="display: none;">
+        <p id="carry-over-summary"></p>
+        <input type="checkbox" id="carry-over-photos" data-category="photos" checked>
+        <span data-count="photos"></span>
+        <input type="checkbox" id="carry-over-tags" data-category="tags" checked>
+        <span data-count="tags"></span>
+        <input type="checkbox" id="carry-over-orla-paid" data-category="orla_paid">
+        <span data-count="orla_paid"></span>
+        <input type="checkbox" id="carry-over-receipt-printed" data-category="receipt_printed">
+        <span data-count="receipt_printed"></span>
+        <button id="carry-over-confirm-btn">Traer datos</button>
+        <button id="carry-over-skip-btn">Omitir</button>
+      </div>
+      <div id="carry-over-report" style="display: none;">
+        <div id="carry-over-report-content"></div>
+        <button id="carry-over-close-btn">Aceptar</button>
+      </div>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+    window.electronAPI.showOpenDialog.mockResolvedValue({ canceled: false, filePaths: ['/proyectos/Curso2526'] });
+
+    modal = new NewProjectModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  async function fillForm() {
+    await modal.handleSelectFolder();
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/datos/alumnos.xml'] });
+    await modal.handleSelectXml();
+  }
+
+  test('should create the project with the selected folder and XML', async () => {
+    const promise = modal.show();
+    await fillForm();
+
+    await modal.handleCreate();
+
+    expect(window.electronAPI.createProject).toHaveBeenCalledWith({
+      folderPath: '/proyectos/Curso2526',
+      xmlPath: '/datos/alumnos.xml',
+      mapping: null
+    });
+    expect(window.electronAPI.analyzePreviousProject).not.toHaveBeenCalled();
+    await expect(promise).resolves.toEqual(expect.objectContaining({ success: true }));
+  });
+
+  test('should ask for the column mapping of a spreadsheet and send it', async () => {
+    const mapping = { columns: { first_name: 'Nombre', last_name1: 'Apellido1', nia: 'NIA' }, defaultType: 'student' };
+    const columnMappingModal = { show: jest.fn().mockResolvedValueOnce(mapping).mockResolvedValueOnce(null) };
+    modal.destroy();
+    modal = new NewProjectModal({ columnMappingModal });
+    modal.init();
+
+    const promise = modal.show();
+    await modal.handleSelectFolder();
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/datos/alumnos.xlsx'] });
+    await modal.handleSelectXml();
+
+    expect(columnMappingModal.show).toHaveBeenCalledWith('/datos/alumnos.xlsx');
+    expect(modal.xmlFileInput.value).toBe('/datos/alumnos.xlsx');
+
+    // Cancelling the mapping of another file keeps the previous selection
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/datos/otro.csv'] });
+    await modal.handleSelectXml();
+    expect(modal.xmlFileInput.value).toBe('/datos/alumnos.xlsx');
+
+    await modal.handleCreate();
+
+    expect(window.electronAPI.createProject).toHaveBeenCalledWith({
+      folderPath: '/proyectos/Curso2526',
+      xmlPath: '/datos/alumnos.xlsx',
+      mapping
+    });
+    await expect(promise).resolves.toEqual(expect.objectContaining({ success: true }));
+  });
+
+  test('should validate an XML file and import only its valid users when asked', async () => {
+    const xmlValidationModal = { show: jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce({ validOnly: true }) };
+    modal.destroy();
+    modal = new NewProjectModal({ xmlValidationModal });
+    modal.init();
+
+    const promise = modal.show();
+    await modal.handleSelectFolder();
+
+    // Aborting on the validation report leaves the file unselected
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/datos/alumnos.xml'] });
+    await modal.handleSelectXml();
+    expect(xmlValidationModal.show).toHaveBeenCalledWith('/datos/alumnos.xml');
+    expect(modal.xmlFileInput.value).toBe('');
+
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/datos/alumnos.xml'] });
+    await modal.handleSelectXml();
+    await modal.handleCreate();
+
+    expect(window.electronAPI.createProject).toHaveBeenCalledWith({
+      folderPath: '/proyectos/Curso2526',
+      xmlPath: '/datos/alumnos.xml',
+      mapping: null,
+      validOnly: true
+    });
+    await expect(promise).resolves.toEqual(expect.objectContaining({ success: true }));
+  });
+
+  test('should carry over the chosen data from the previous project', async () => {
+    window.electronAPI.analyzePreviousProject.mockResolvedValueOnce({
+      success: true,
+      matched: 2,
+      newUsers: 1,
+      leftUsers: 1,
+      counts: { photos: 2, tags: 0, orla_paid: 1, receipt_printed: 0 }
+    });
+    const report = {
+      carried: [{ name: 'Lucía García', group: '2ESO-A', items: ['foto', 'orla pagada'] }],
+      unchanged: 1,
+      missingPhotos: [],
+      newUsers: [{ name: 'Ana Sanz', group: '1ESO-A' }],
+      leftUsers: [{ name: 'Pablo Ruiz', group: '1ESO-A' }]
+    };
+    window.electronAPI.carryOverPreviousProject.mockResolvedValueOnce({ success: true, report });
+
+    const promise = modal.show();
+    await fillForm();
+    modal.fromPreviousCheckbox.checked = true;
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/proyectos/Curso2425'] });
+    await modal.handleSelectPreviousProject();
+
+    const creating = modal.handleCreate();
+    await flushPromises();
+
+    expect(window.electronAPI.analyzePreviousProject).toHaveBeenCalledWith('/proyectos/Curso2425');
+    expect(modal.carryOverPanel.style.display).toBe('');
+    expect(modal.carryOverSummary.textContent).toContain('2 usuarios coinciden');
+    // Categories with nothing to carry over cannot be chosen
+    expect(mockElement.querySelector('#carry-over-tags').disabled).toBe(true);
+
+    mockElement.querySelector('#carry-over-orla-paid').checked = true;
+    modal.carryOverConfirmBtn.click();
+    await flushPromises();
+
+    expect(window.electronAPI.carryOverPreviousProject).toHaveBeenCalledWith({
+      previousProjectPath: '/proyectos/Curso2425',
+      categories: { photos: true, tags: false, orla_paid: true, receipt_printed: false }
+    });
+    expect(modal.reportPanel.style.display).toBe('');
+    expect(modal.reportContent.textContent).toContain('Lucía García (2ESO-A): foto, orla pagada');
+    expect(modal.reportContent.textContent).toContain('Usuarios que ya no están (1)');
+
+    modal.reportCloseBtn.click();
+    await creating;
+
+    await expect(promise).resolves.toEqual(expect.objectContaining({ success: true, carryOverReport: report }));
+  });
+
+  test('should still open the new project when the carry-over is skipped', async () => {
+    const promise = modal.show();
+    await fillForm();
+    modal.fromPreviousCheckbox.checked = true;
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/proyectos/Curso2425'] });
+    await modal.handleSelectPreviousProject();
+
+    const creating = modal.handleCreate();
+    await flushPromises();
+    modal.close();
+    await creating;
+
+    expect(window.electronAPI.carryOverPreviousProject).not.toHaveBeenCalled();
+    await expect(promise).resolves.toEqual(expect.objectContaining({ success: true, carryOverReport: null }));
+  });
+});
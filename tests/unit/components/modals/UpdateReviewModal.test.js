@@ -0,0 +1,155 @@
+/**
+ * Tests for UpdateReviewModal
+ */
+
+const { UpdateReviewModal } = require('../../../../src/renderer/components/modals/UpdateReviewModal');
+
+const buildUpdateResult = () => ({
+  success: true,
+  changes: { toAdd: 1, toUpdate: 2, toDelete: 1, unchanged: 10, manuallyManaged: 0 },
+  diff: [
+    {
+      key: 'student_123', change: 'update', name: 'Lucia García', identifier: '123',
+      groupBefore: '1ESO-A', groupAfter: '2ESO-A', hasImage: true, attributesChanged: false,
+      categories: ['name', 'group'],
+      fields: [
+        { key: 'first_name', label: 'Nombre', before: 'Lucia', after: 'Lucía' },
+        { key: 'group_code', label: 'Grupo', before: '1ESO-A', after: '2ESO-A' }
+      ]
+    },
+    {
+      key: 'student_124', change: 'update', name: 'Pablo Ruiz', identifier: '124',
+      groupBefore: '1ESO-A', groupAfter: '1ESO-A', hasImage: false, attributesChanged: false,
+      categories: ['name'],
+      fields: [{ key: 'last_name2', label: 'Segundo apellido', before: '', after: 'Sanz' }]
+    },
+    {
+      key: 'student_200', change: 'add', name: 'Sara Vidal', identifier: '200',
+      groupBefore: null, groupAfter: '1ESO-A', hasImage: false, attributesChanged: false, categories: [], fields: []
+    },
+    {
+      key: 'student_125', change: 'delete', name: 'Ana Sanz', identifier: '125',
+      groupBefore: '2ESO-A', groupAfter: null, hasImage: true, attributesChanged: false, categories: [], fields: []
+    }
+  ]
+});
+
+describe('UpdateReviewModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'update-review-modal';
+    mockElement.innerHTML = `
+      <p id="update-review-summary"></p>
+      <select id="update-review-filter">
+        <option value="all">Todos</option>
+        <option value="add">Altas</option>
+        <option value="delete">Bajas</option>
+        <option value="update">Modificados</option>
+        <option value="restore">Recuperados</option>
+        <option value="group">Grupo</option>
+        <option value="name">Nombre</option>
+        <option value="identifier">NIA</option>
+        <option value="attributes">Datos adicionales</option>
+      </select>
+      <button id="update-review-select-all-btn">Marcar visibles</button>
+      <button id="update-review-select-none-btn">Desmarcar visibles</button>
+      <div id="update-review-container"></div>
+      <p id="update-review-status" style="display: none;"></p>
+      <button id="update-review-export-btn">Exportar CSV</button>
+      <button id="update-review-apply-btn">Aplicar cambios</button>
+      <button id="update-review-cancel-btn">Cancelar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+
+    modal = new UpdateReviewModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  test('should list every change with its field diffs', () => {
+    modal.show(buildUpdateResult());
+
+    const rows = modal.container.querySelectorAll('tbody tr');
+    expect(rows).toHaveLength(4);
+    expect(rows[0].textContent).toContain('Nombre: Lucia → Lucía');
+    expect(rows[0].textContent).toContain('1ESO-A → 2ESO-A');
+    expect(rows[3].textContent).toContain('se moverá a ¡Eliminados!');
+    expect(modal.summaryElement.textContent).toContain('10 usuarios sin cambios');
+    expect(modal.applyBtn.textContent).toBe('Aplicar 4 cambios');
+  });
+
+  test('should apply only the approved changes', async () => {
+    const promise = modal.show(buildUpdateResult());
+
+    // Discard everything but the group changes
+    modal.setVisibleApproved(false);
+    modal.filterSelect.value = 'group';
+    modal.filterSelect.dispatchEvent(new Event('change'));
+    expect(modal.container.querySelectorAll('tbody tr')).toHaveLength(1);
+    modal.setVisibleApproved(true);
+
+    // And approve the new student from the full list
+    modal.filterSelect.value = 'all';
+    modal.filterSelect.dispatchEvent(new Event('change'));
+    const checkbox = modal.container.querySelector('input[data-key="student_200"]');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change'));
+
+    expect(modal.applyBtn.textContent).toBe('Aplicar 2 cambios');
+    modal.applyBtn.click();
+
+    await expect(promise).resolves.toEqual(['student_123', 'student_200']);
+  });
+
+  test('should export the changes with the current approval', async () => {
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/exportaciones'] });
+    const promise = modal.show(buildUpdateResult());
+    modal.container.querySelector('input[data-key="student_125"]').click();
+
+    await modal.handleExport();
+
+    expect(window.electronAPI.exportUpdateDiff).toHaveBeenCalledWith({
+      exportPath: '/exportaciones',
+      entries: expect.any(Array),
+      approvedKeys: ['student_123', 'student_124', 'student_200']
+    });
+    expect(modal.statusElement.textContent).toContain('Cambios_actualizacion.csv');
+
+    modal.cancelBtn.click();
+    await expect(promise).resolves.toBeNull();
+  });
+
+  test('should list the users back from Eliminados as restorations', () => {
+    const updateResult = buildUpdateResult();
+    updateResult.changes.toRestore = 1;
+    updateResult.diff.push({
+      key: 'student_126', change: 'restore', name: 'Eva Gil', identifier: '126',
+      groupBefore: 'ELIMINADOS', groupAfter: '2ESO-B', hasImage: true, attributesChanged: false,
+      categories: ['group'],
+      fields: [{ key: 'group_code', label: 'Grupo', before: 'ELIMINADOS', after: '2ESO-B' }]
+    });
+    modal.show(updateResult);
+
+    modal.filterSelect.value = 'restore';
+    modal.filterSelect.dispatchEvent(new Event('change'));
+
+    const rows = modal.container.querySelectorAll('tbody tr');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].className).toBe('update-review-restore');
+    expect(rows[0].textContent).toContain('Recuperación');
+    expect(rows[0].textContent).toContain('se recupera con su foto, etiquetas y pagos');
+    expect(rows[0].textContent).toContain('ELIMINADOS → 2ESO-B');
+    expect(modal.summaryElement.textContent).toContain('1 usuarios vuelven de ¡Eliminados!');
+  });
+});
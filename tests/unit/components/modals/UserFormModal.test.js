@@ -0,0 +1,267 @@
+/**
+ * Tests for UserFormModal
+ */
+
+const { UserFormModal } = require('../../../../src/renderer/components/modals/UserFormModal');
+
+const GROUPS = [
+  { code: '1ESO-A', name: '1º ESO A' },
+  { code: 'DOCENTES', name: 'Docentes' },
+  { code: 'NO_DOCENTES', name: 'No Docentes' },
+  { code: 'SIN_GRUPO', name: '⚠ Sin grupo' }
+];
+
+const STUDENT = {
+  id: 7,
+  type: 'student',
+  first_name: 'Lucía',
+  last_name1: 'García',
+  last_name2: 'López',
+  birth_date: '15/03/2010',
+  document: '12345678Z',
+  nia: '10000001',
+  group_code: '1ESO-A'
+};
+
+describe('UserFormModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'user-form-modal';
+    mockElement.innerHTML = `
+      <h2 id="user-form-title"></h2>
+      <select id="user-form-type">
+        <option value="student">Alumno</option>
+        <option value="teacher">Docente</option>
+        <option value="non_teaching_staff">No docente</option>
+      </select>
+      <input id="user-form-first-name">
+      <input id="user-form-last-name1">
+      <input id="user-form-last-name2">
+      <input id="user-form-document">
+      <div id="user-form-nia-group"><input id="user-form-nia"></div>
+      <input id="user-form-birth-date">
+      <select id="user-form-group"></select>
+      <input type="checkbox" id="user-form-manually-managed">
+      <div id="user-form-attributes" style="display: none;"></div>
+      <p id="user-form-error" style="display: none;"></p>
+      <button id="user-form-delete-btn">Eliminar</button>
+      <button id="user-form-save-btn">Guardar</button>
+      <button id="user-form-cancel-btn">Cancelar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+
+    modal = new UserFormModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  const fill = (values) => {
+    Object.entries(values).forEach(([id, value]) => {
+      mockElement.querySelector(`#user-form-${id}`).value = value;
+    });
+  };
+
+  describe('show', () => {
+    test('should open an empty form for a new user', () => {
+      modal.show({ groups: GROUPS });
+
+      expect(modal.isOpen).toBe(true);
+      expect(modal.titleElement.textContent).toBe('Nuevo Usuario');
+      expect(modal.firstNameInput.value).toBe('');
+      expect(modal.groupSelect.options).toHaveLength(GROUPS.length);
+      expect(modal.groupSelect.value).toBe('SIN_GRUPO');
+      expect(modal.deleteBtn.style.display).toBe('none');
+      expect(modal.manuallyManagedCheckbox.checked).toBe(true);
+    });
+
+    test('should fill the form when editing a user', () => {
+      modal.show({ user: STUDENT, groups: GROUPS });
+
+      expect(modal.titleElement.textContent).toBe('Editar Usuario');
+      expect(modal.firstNameInput.value).toBe('Lucía');
+      expect(modal.niaInput.value).toBe('10000001');
+      expect(modal.groupSelect.value).toBe('1ESO-A');
+      expect(modal.deleteBtn.style.display).toBe('');
+    });
+
+    test('should list the extra XML attributes of the user', async () => {
+      window.electronAPI.getUserAttributes.mockResolvedValue({
+        success: true,
+        attributes: { email: 'lucia@example.com', tutor: 'Ana Pérez' }
+      });
+
+      modal.show({ user: STUDENT, groups: GROUPS });
+      await modal.loadAttributes();
+
+      expect(window.electronAPI.getUserAttributes).toHaveBeenCalledWith(7);
+      expect(modal.attributesElement.style.display).toBe('');
+      expect(Array.from(mockElement.querySelectorAll('dt')).map(dt => dt.textContent)).toEqual(['email', 'tutor']);
+      expect(mockElement.querySelector('dd').textContent).toBe('lucia@example.com');
+    });
+
+    test('should hide the attributes section for new users', () => {
+      modal.show({ groups: GROUPS });
+
+      expect(window.electronAPI.getUserAttributes).not.toHaveBeenCalled();
+      expect(modal.attributesElement.style.display).toBe('none');
+    });
+  });
+
+  describe('type change', () => {
+    test('should hide NIA and switch to the default group for teachers', () => {
+      modal.show({ groups: GROUPS });
+
+      modal.typeSelect.value = 'teacher';
+      modal.handleTypeChange();
+
+      expect(modal.niaGroup.style.display).toBe('none');
+      expect(modal.groupSelect.value).toBe('DOCENTES');
+    });
+
+    test('should keep a group chosen by hand', () => {
+      modal.show({ user: STUDENT, groups: GROUPS });
+
+      modal.typeSelect.value = 'teacher';
+      modal.handleTypeChange();
+
+      expect(modal.groupSelect.value).toBe('1ESO-A');
+    });
+  });
+
+  describe('validate', () => {
+    const base = {
+      type: 'student',
+      first_name: 'Ana',
+      last_name1: 'Pérez',
+      last_name2: '',
+      birth_date: '',
+      document: '',
+      nia: '10000002',
+      group_code: 'SIN_GRUPO'
+    };
+
+    test('should accept a valid student', () => {
+      expect(modal.validate(base)).toBeNull();
+    });
+
+    test('should require first name and first surname', () => {
+      expect(modal.validate({ ...base, first_name: '' })).toBe('El nombre es obligatorio');
+      expect(modal.validate({ ...base, last_name1: '' })).toBe('El primer apellido es obligatorio');
+    });
+
+    test('should require a valid NIA for students', () => {
+      expect(modal.validate({ ...base, nia: '' })).toMatch('NIA es obligatorio');
+      expect(modal.validate({ ...base, nia: '12AB' })).toMatch('entre 8 y 10 dígitos');
+    });
+
+    test('should require a document for staff', () => {
+      expect(modal.validate({ ...base, type: 'teacher', nia: '' })).toMatch('documento es obligatorio');
+    });
+
+    test('should check the DNI letter but accept other documents', () => {
+      expect(modal.validate({ ...base, document: '12345678A' })).toBe('La letra del DNI no es correcta');
+      expect(modal.validate({ ...base, document: '12345678Z' })).toBeNull();
+      expect(modal.validate({ ...base, document: 'X1234567L' })).toBeNull();
+    });
+
+    test('should validate the birth date format', () => {
+      expect(modal.validate({ ...base, birth_date: '2010-03-15' })).toMatch('DD/MM/AAAA');
+      expect(modal.validate({ ...base, birth_date: '15/03/2010' })).toBeNull();
+    });
+  });
+
+  describe('save', () => {
+    test('should show the validation error and not call IPC', async () => {
+      modal.show({ groups: GROUPS });
+
+      await modal.handleSave();
+
+      expect(modal.errorElement.style.display).toBe('block');
+      expect(modal.errorElement.textContent).toBe('El nombre es obligatorio');
+      expect(window.electronAPI.createUser).not.toHaveBeenCalled();
+    });
+
+    test('should create a new user and resolve with the result', async () => {
+      const promise = modal.show({ groups: GROUPS });
+      fill({ 'first-name': ' Ana ', 'last-name1': 'Pérez', nia: '10000002', document: '12345678z' });
+
+      await modal.handleSave();
+      const result = await promise;
+
+      expect(window.electronAPI.createUser).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'student',
+        first_name: 'Ana',
+        document: '12345678Z',
+        nia: '10000002',
+        group_code: 'SIN_GRUPO',
+        manually_managed: true
+      }));
+      expect(result.action).toBe('created');
+      expect(modal.isOpen).toBe(false);
+    });
+
+    test('should update an existing user', async () => {
+      const promise = modal.show({ user: STUDENT, groups: GROUPS });
+      fill({ 'last-name2': 'Martínez' });
+
+      await modal.handleSave();
+      const result = await promise;
+
+      expect(window.electronAPI.updateUser).toHaveBeenCalledWith(7, expect.objectContaining({
+        last_name2: 'Martínez'
+      }));
+      expect(result.action).toBe('updated');
+    });
+
+    test('should keep the modal open when the main process rejects the data', async () => {
+      window.electronAPI.createUser.mockResolvedValueOnce({
+        success: false,
+        error: 'El NIA 10000002 ya está asignado a Ana Pérez'
+      });
+      modal.show({ groups: GROUPS });
+      fill({ 'first-name': 'Otra', 'last-name1': 'Persona', nia: '10000002' });
+
+      await modal.handleSave();
+
+      expect(modal.isOpen).toBe(true);
+      expect(modal.errorElement.textContent).toBe('El NIA 10000002 ya está asignado a Ana Pérez');
+    });
+  });
+
+  describe('delete', () => {
+    test('should ask for confirmation before deleting', async () => {
+      const promise = modal.show({ user: STUDENT, groups: GROUPS });
+
+      await modal.handleDelete();
+      expect(window.electronAPI.deleteUser).not.toHaveBeenCalled();
+      expect(modal.deleteBtn.textContent).toBe('Confirmar eliminación');
+
+      await modal.handleDelete();
+      const result = await promise;
+
+      expect(window.electronAPI.deleteUser).toHaveBeenCalledWith(7);
+      expect(result).toEqual({ action: 'deleted', user: STUDENT });
+    });
+  });
+
+  describe('cancel', () => {
+    test('should resolve with null', async () => {
+      const promise = modal.show({ groups: GROUPS });
+
+      modal.handleCancel();
+
+      await expect(promise).resolves.toBeNull();
+    });
+  });
+});
@@ -335,3 +335,151 @@ describe('UserImageModal', () => {
     });
   });
 });
+
+describe('UserImageModal photo history', () => {
+  let modal;
+  let onImagesChanged;
+
+  const USER = { id: 7, first_name: 'Lucía', last_name1: 'García', image_path: '/project/imports/b.jpg' };
+
+  const IMAGES = [
+    {
+      id: 2,
+      image_path: '/project/imports/b.jpg',
+      relative_path: 'b.jpg',
+      source: 'camera',
+      status: 'current',
+      note: null,
+      captured_at: '2025-01-10T09:00:00.000Z',
+      linked_at: '2025-01-10T09:01:00.000Z',
+      exists: true
+    },
+    {
+      id: 1,
+      image_path: '/project/imports/a.jpg',
+      relative_path: 'a.jpg',
+      source: 'ingest',
+      status: 'archived',
+      note: 'Primera foto',
+      captured_at: null,
+      linked_at: '2025-01-09T12:30:00.000Z',
+      exists: true
+    }
+  ];
+
+  beforeEach(() => {
+    // Restore the real lookup replaced by the tests above
+    delete document.getElementById;
+
+    document.body.innerHTML = `
+      <div id="user-image-modal" class="modal">
+        <div class="modal-content modal-image-preview">
+          <h2 id="user-image-modal-title"></h2>
+          <img id="user-image-preview" src="">
+          <div id="user-image-history" style="display: none;">
+            <div id="user-image-history-strip"></div>
+            <p id="user-image-history-info"></p>
+            <input type="text" id="user-image-note">
+            <button id="user-image-reject-btn">Descartar</button>
+            <button id="user-image-set-current-btn">Usar como foto actual</button>
+          </div>
+          <button id="user-image-close-btn">Cerrar</button>
+        </div>
+      </div>
+    `;
+
+    window.electronAPI.resetAllMocks();
+    window.electronAPI.getUserImages.mockResolvedValue({
+      success: true,
+      images: IMAGES.map(image => ({ ...image }))
+    });
+    window.electronAPI.setCurrentUserImage.mockResolvedValue({ success: true, previousImagePath: 'b.jpg' });
+
+    onImagesChanged = jest.fn();
+    modal = new UserImageModal('user-image-modal', { onImagesChanged });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should list the photos of the user with the current one selected', async () => {
+    await modal.show(USER);
+
+    expect(window.electronAPI.getUserImages).toHaveBeenCalledWith(7);
+    expect(modal.historyElement.style.display).toBe('block');
+
+    const items = modal.historyStrip.querySelectorAll('.user-image-history-item');
+    expect(items).toHaveLength(2);
+    expect(items[0].classList.contains('current')).toBe(true);
+    expect(items[0].classList.contains('selected')).toBe(true);
+    expect(modal.historyInfo.textContent).toContain('Origen: Cámara');
+    expect(modal.setCurrentBtn.disabled).toBe(true);
+  });
+
+  test('should not load the history for repository images', async () => {
+    await modal.show(USER, 'repository');
+
+    expect(window.electronAPI.getUserImages).not.toHaveBeenCalled();
+    expect(modal.historyElement.style.display).toBe('none');
+  });
+
+  test('should preview an earlier photo when clicked', async () => {
+    await modal.show(USER);
+
+    modal.historyStrip.querySelectorAll('.user-image-history-item')[1].click();
+
+    expect(modal.imageElement.src).toBe('file:///project/imports/a.jpg');
+    expect(modal.noteInput.value).toBe('Primera foto');
+    expect(modal.historyInfo.textContent).toContain('fecha desconocida');
+    expect(modal.setCurrentBtn.disabled).toBe(false);
+  });
+
+  test('should make the selected photo current and notify the change', async () => {
+    await modal.show(USER);
+    modal.selectImage(modal.images[1]);
+
+    await modal.handleSetCurrent();
+
+    expect(window.electronAPI.setCurrentUserImage).toHaveBeenCalledWith(1);
+    expect(onImagesChanged).toHaveBeenCalledWith(USER, {
+      type: 'current',
+      image: expect.objectContaining({ id: 1, relative_path: 'a.jpg' }),
+      previousImagePath: 'b.jpg'
+    });
+    expect(window.electronAPI.getUserImages).toHaveBeenCalledTimes(2);
+  });
+
+  test('should show the error when the photo cannot be made current', async () => {
+    window.electronAPI.setCurrentUserImage.mockResolvedValueOnce({
+      success: false,
+      error: 'El archivo a.jpg ya no está en la carpeta de imágenes'
+    });
+    await modal.show(USER);
+    modal.selectImage(modal.images[1]);
+
+    await modal.handleSetCurrent();
+
+    expect(modal.historyInfo.textContent).toBe('Error: El archivo a.jpg ya no está en la carpeta de imágenes');
+    expect(onImagesChanged).not.toHaveBeenCalled();
+  });
+
+  test('should discard the selected photo', async () => {
+    await modal.show(USER);
+
+    await modal.handleReject();
+
+    expect(window.electronAPI.updateUserImage).toHaveBeenCalledWith(2, { status: 'rejected' });
+    expect(onImagesChanged).toHaveBeenCalledWith(USER, { type: 'status', image: expect.objectContaining({ id: 2 }) });
+  });
+
+  test('should save the note when it changes', async () => {
+    await modal.show(USER);
+
+    modal.noteInput.value = '  Sin gafas  ';
+    await modal.handleNoteChange();
+
+    expect(window.electronAPI.updateUserImage).toHaveBeenCalledWith(2, { note: 'Sin gafas' });
+    expect(modal.selectedImage.note).toBe('Sin gafas');
+  });
+});
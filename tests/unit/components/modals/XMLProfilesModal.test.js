@@ -0,0 +1,83 @@
+/**
+ * Tests for XMLProfilesModal
+ */
+
+const { XMLProfilesModal } = require('../../../../src/renderer/components/modals/XMLProfilesModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const BUILT_IN = { id: 'centro', name: 'Formato estándar (<centro>)', root: 'centro', builtIn: true };
+const CUSTOM = { id: 'gestor', name: 'Otro gestor', root: 'exportacion' };
+
+describe('XMLProfilesModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'xml-profiles-modal';
+    mockElement.innerHTML = `
+      <div id="xml-profiles-container"></div>
+      <p id="xml-profiles-status" style="display: none;"></p>
+      <button id="xml-profiles-import-btn">Añadir perfil...</button>
+      <button id="xml-profiles-close-btn">Cerrar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+    window.electronAPI.getXmlProfiles.mockResolvedValue({ success: true, builtIn: [BUILT_IN], custom: [CUSTOM] });
+
+    modal = new XMLProfilesModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  test('should list custom and built-in profiles', async () => {
+    await modal.show();
+
+    const rows = modal.container.querySelectorAll('tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain('Otro gestor');
+    expect(rows[0].textContent).toContain('Añadido');
+    expect(rows[1].textContent).toContain('<centro>');
+    expect(rows[1].textContent).toContain('Incluido');
+    expect(modal.container.querySelector('[data-delete-id="centro"]')).toBeNull();
+    expect(modal.isModalOpen()).toBe(true);
+  });
+
+  test('should add a profile from a JSON file', async () => {
+    const added = { id: 'nuevo', name: 'Nuevo gestor', root: 'datos' };
+    window.electronAPI.showOpenDialog.mockResolvedValueOnce({ canceled: false, filePaths: ['/perfiles/nuevo.json'] });
+    window.electronAPI.importXmlProfile.mockResolvedValueOnce({ success: true, profile: added, custom: [CUSTOM, added] });
+
+    await modal.show();
+    modal.importBtn.click();
+    await flushPromises();
+
+    expect(window.electronAPI.importXmlProfile).toHaveBeenCalledWith('/perfiles/nuevo.json');
+    expect(modal.container.querySelectorAll('tbody tr')).toHaveLength(3);
+    expect(modal.statusElement.textContent).toBe('Perfil "Nuevo gestor" añadido');
+  });
+
+  test('should delete a custom profile', async () => {
+    window.electronAPI.deleteXmlProfile.mockResolvedValueOnce({ success: true, custom: [] });
+
+    await modal.show();
+    modal.container.querySelector('[data-delete-id="gestor"]').click();
+    await flushPromises();
+
+    expect(window.electronAPI.deleteXmlProfile).toHaveBeenCalledWith('gestor');
+    expect(modal.container.querySelectorAll('tbody tr')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for XMLValidationModal
+ */
+
+const { XMLValidationModal } = require('../../../../src/renderer/components/modals/XMLValidationModal');
+
+// Let pending electronAPI calls settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const buildReport = (overrides = {}) => ({
+  fatal: null,
+  issues: [
+    { line: 10, element: 'alumno', name: 'Pablo Ruiz', message: 'Falta el atributo obligatorio "NIA"' },
+    { line: 11, element: 'alumno', name: 'Ana Sanz', message: 'El grupo "3ESO-B" no está definido en el archivo' }
+  ],
+  elementCount: 7,
+  invalidCount: 2,
+  profile: { id: 'centro', name: 'Formato estándar (<centro>)' },
+  exclude: { groups: [], students: [1, 2], teachers: [], nonTeachingStaff: [] },
+  skippedKeys: ['student_123'],
+  ...overrides
+});
+
+describe('XMLValidationModal', () => {
+  let modal;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockElement.id = 'xml-validation-modal';
+    mockElement.innerHTML = `
+      <p id="xml-validation-summary"></p>
+      <div id="xml-validation-container"></div>
+      <button id="xml-validation-import-btn">Importar solo los válidos</button>
+      <button id="xml-validation-cancel-btn">Cancelar</button>
+    `;
+    document.body.appendChild(mockElement);
+
+    window.electronAPI.resetAllMocks();
+
+    modal = new XMLValidationModal();
+    modal.init();
+  });
+
+  afterEach(() => {
+    if (modal) {
+      modal.destroy();
+    }
+    document.body.innerHTML = '';
+  });
+
+  test('should go on without opening when the file has no problems', async () => {
+    await expect(modal.show('/datos/alumnos.xml')).resolves.toEqual({ validOnly: false });
+
+    expect(window.electronAPI.validateRosterXML).toHaveBeenCalledWith('/datos/alumnos.xml');
+    expect(modal.isModalOpen()).toBe(false);
+  });
+
+  test('should list the problems and import only the valid elements', async () => {
+    window.electronAPI.validateRosterXML.mockResolvedValueOnce({ success: true, report: buildReport() });
+
+    const promise = modal.show('/datos/alumnos.xml');
+    await flushPromises();
+
+    const rows = modal.container.querySelectorAll('tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain('10');
+    expect(rows[0].textContent).toContain('<alumno> Pablo Ruiz');
+    expect(modal.summaryElement.textContent).toContain('solo los 5 elementos válidos');
+
+    modal.importBtn.click();
+    await expect(promise).resolves.toEqual({ validOnly: true });
+  });
+
+  test('should only allow aborting when the XML cannot be read', async () => {
+    window.electronAPI.validateRosterXML.mockResolvedValueOnce({
+      success: true,
+      report: buildReport({ fatal: { line: 4, message: 'El XML no está bien formado (línea 4, columna 1)' }, issues: [] })
+    });
+
+    const promise = modal.show('/datos/alumnos.xml');
+    await flushPromises();
+
+    expect(modal.summaryElement.textContent).toContain('línea 4');
+    expect(modal.importBtn.style.display).toBe('none');
+
+    modal.cancelBtn.click();
+    await expect(promise).resolves.toBeNull();
+  });
+});
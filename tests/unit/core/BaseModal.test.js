@@ -343,4 +343,35 @@ describe('BaseModal', () => {
       expect(modal.isModalOpen()).toBe(false);
     });
   });
+
+  describe('handleEnterKey', () => {
+    test('should only click the default button of the modal on top', () => {
+      mockElement.className = 'modal';
+      mockElement.innerHTML = '<button id="bottom-btn"></button>';
+      const topElement = document.createElement('div');
+      topElement.id = 'top-modal';
+      topElement.className = 'modal';
+      topElement.innerHTML = '<button id="top-btn"></button>';
+      document.body.appendChild(topElement);
+
+      const bottom = new BaseModal('test-modal', { defaultButtonSelector: '#bottom-btn' });
+      const top = new BaseModal('top-modal', { defaultButtonSelector: '#top-btn' });
+      const bottomClick = jest.fn();
+      const topClick = jest.fn();
+      mockElement.querySelector('#bottom-btn').addEventListener('click', bottomClick);
+      topElement.querySelector('#top-btn').addEventListener('click', topClick);
+      bottom.init();
+      top.init();
+      bottom.open();
+      top.open();
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+      expect(topClick).toHaveBeenCalledTimes(1);
+      expect(bottomClick).not.toHaveBeenCalled();
+
+      top.destroy();
+      bottom.destroy();
+    });
+  });
 });
@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Audit log Tests
+ *
+ * Tests for the audit_log table, AuditLogger and the CSV/readable formatting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  AuditLogger,
+  diffUserFields,
+  formatAuditValue,
+  describeAuditEntry,
+  buildAuditCSV
+} = require('../../../src/main/utils/auditLog');
+
+describe('AuditLogger', () => {
+  let tempDir;
+  let dbManager;
+  let state;
+  let logger;
+  let audit;
+  let student;
+
+  beforeAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+    await dbManager.initialize();
+
+    await dbManager.importUsers({
+      groups: [{ code: '1ESO-A', name: '1º ESO A' }],
+      students: [
+        { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: '1ESO-A' }
+      ],
+      teachers: [],
+      nonTeachingStaff: []
+    });
+    [student] = await dbManager.getUsers({ type: 'student' });
+
+    state = { dbManager };
+    logger = { error: jest.fn() };
+    audit = new AuditLogger(state, logger);
+  });
+
+  afterEach(() => {
+    dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should store action, user snapshot and before/after values', async () => {
+    await audit.record('link_image', { user: student, before: null, after: 'foto.jpg' });
+
+    const [entry] = await dbManager.getAuditLog();
+    expect(entry).toMatchObject({
+      action: 'link_image',
+      user_id: student.id,
+      user_identifier: '10000001',
+      user_name: 'Lucía García',
+      before_value: 'null',
+      after_value: '"foto.jpg"',
+      actor: audit.actor
+    });
+    expect(new Date(entry.created_at).toISOString()).toBe(entry.created_at);
+  });
+
+  test('should filter entries by user and return newest first', async () => {
+    await audit.record('mark_orla_paid', { user: student, before: false, after: true });
+    await audit.record('mark_receipt_printed', { user: student, before: false, after: true });
+    await audit.record('mark_card_printed', { identifier: '99999999' });
+
+    const userEntries = await dbManager.getAuditLog({ userId: student.id });
+    expect(userEntries.map(e => e.action)).toEqual(['mark_receipt_printed', 'mark_orla_paid']);
+
+    const all = await dbManager.getAuditLog();
+    expect(all).toHaveLength(3);
+    expect(all[0].user_identifier).toBe('99999999');
+  });
+
+  test('should keep the entries after the user is deleted', async () => {
+    await audit.record('delete_user', { user: student });
+    await dbManager.deleteUser(student.id);
+
+    const [entry] = await dbManager.getAuditLog({ userId: student.id });
+    expect(entry.user_name).toBe('Lucía García');
+  });
+
+  test('should not throw when the entry cannot be written', async () => {
+    dbManager.addAuditEntry = jest.fn().mockRejectedValue(new Error('SQLITE_BUSY'));
+
+    await expect(audit.record('link_image', { user: student })).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  test('should do nothing without an open project', async () => {
+    state.dbManager = null;
+
+    await expect(audit.record('link_image', { user: student })).resolves.toBeUndefined();
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('audit log formatting', () => {
+  test('should only report the fields that changed', () => {
+    const changes = diffUserFields(
+      { first_name: 'Lucía', nia: 10000001, group_code: '1ESO-A' },
+      { first_name: 'Lucía', nia: '10000001', group_code: '2ESO-B' }
+    );
+
+    expect(changes).toEqual({
+      before: { group_code: '1ESO-A' },
+      after: { group_code: '2ESO-B' }
+    });
+    expect(diffUserFields({ first_name: 'Ana' }, { first_name: 'Ana' })).toBeNull();
+  });
+
+  test('should format stored values as readable text', () => {
+    expect(formatAuditValue(null)).toBe('');
+    expect(formatAuditValue('true')).toBe('Sí');
+    expect(formatAuditValue('false')).toBe('No');
+    expect(formatAuditValue('"foto.jpg"')).toBe('foto.jpg');
+    expect(formatAuditValue('{"group_code":"1ESO-A","last_name2":null}')).toBe('Grupo: 1ESO-A; Apellido2: -');
+  });
+
+  test('should add the action label', () => {
+    const entry = describeAuditEntry({ action: 'mark_orla_paid', before_value: 'false', after_value: 'true' });
+
+    expect(entry.action_label).toBe('Orla pagada');
+    expect(entry.before_text).toBe('No');
+    expect(entry.after_text).toBe('Sí');
+  });
+
+  test('should build CSV escaping commas and quotes', () => {
+    const csv = buildAuditCSV([{
+      created_at: '2025-01-10T09:00:00.000Z',
+      action: 'xml_update_user',
+      user_id: 3,
+      user_identifier: '10000001',
+      user_name: 'Lucía García',
+      before_value: '{"first_name":"Lucia","group_code":"1ESO-A"}',
+      after_value: '{"first_name":"Lucía","group_code":"2ESO-B"}',
+      details: 'Archivo "alumnos.xml"',
+      actor: 'secretaria@PC-01'
+    }]);
+
+    const [header, row] = csv.split('\n');
+    expect(header).toBe('Fecha,Acción,ID usuario,Identificador,Nombre,Valor anterior,Valor nuevo,Detalles,Equipo');
+    expect(row).toBe(
+      '2025-01-10T09:00:00.000Z,Cambio por XML,3,10000001,Lucía García,' +
+      'Nombre: Lucia; Grupo: 1ESO-A,Nombre: Lucía; Grupo: 2ESO-B,"Archivo ""alumnos.xml""",secretaria@PC-01'
+    );
+  });
+});
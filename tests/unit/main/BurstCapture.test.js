@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Burst capture Tests
+ *
+ * Tests for the burst settings of a project and the choice of the best frame
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  DEFAULT_BURST_SETTINGS,
+  validateBurstSettings,
+  scoreBurstFrames,
+  pickBestFrame,
+  loadBurstSettings,
+  saveBurstSettings
+} = require('../../../src/main/utils/burstCapture');
+
+// Measures of a frame as given by analyzeImage
+function frame(sharpness, faceCount = 1, eyesFound = true) {
+  return { metrics: { sharpness, faceCount }, eyesFound };
+}
+
+describe('Burst capture', () => {
+  describe('validateBurstSettings', () => {
+    test('should use the defaults for missing values', () => {
+      expect(validateBurstSettings()).toEqual(DEFAULT_BURST_SETTINGS);
+      expect(validateBurstSettings({ enabled: true, frameCount: '7' })).toEqual({
+        enabled: true,
+        frameCount: 7,
+        criterion: 'balanced'
+      });
+    });
+
+    test('should reject bursts too short or too long', () => {
+      expect(() => validateBurstSettings({ frameCount: 1 })).toThrow('entre 2 y 10 fotogramas');
+      expect(() => validateBurstSettings({ frameCount: 11 })).toThrow('entre 2 y 10 fotogramas');
+      expect(() => validateBurstSettings({ frameCount: 2.5 })).toThrow('entre 2 y 10 fotogramas');
+    });
+
+    test('should reject unknown criteria', () => {
+      expect(() => validateBurstSettings({ criterion: 'random' })).toThrow('Criterio de selección desconocido');
+    });
+  });
+
+  describe('scoreBurstFrames', () => {
+    test('should prefer the sharpest frame by sharpness', () => {
+      const scores = scoreBurstFrames([frame(50), frame(200), frame(100, 0)], 'sharpness');
+
+      expect(scores).toEqual([0.25, 1, 0.5]);
+      expect(pickBestFrame(scores)).toBe(1);
+    });
+
+    test('should prefer one face with its eyes found by face', () => {
+      const frames = [frame(200, 0), frame(150, 1, false), frame(100, 1, true), frame(120, 2)];
+
+      expect(pickBestFrame(scoreBurstFrames(frames, 'face'))).toBe(2);
+    });
+
+    test('should prefer open eyes when the detector measured them', () => {
+      const frames = [
+        { metrics: { sharpness: 200, faceCount: 1, eyeOpenness: 0.12 }, eyesFound: true },
+        { metrics: { sharpness: 160, faceCount: 1, eyeOpenness: 0.31 }, eyesFound: false }
+      ];
+
+      expect(scoreBurstFrames(frames, 'face')).toEqual([0.51, 1.008]);
+      expect(pickBestFrame(scoreBurstFrames(frames, 'balanced'))).toBe(1);
+    });
+
+    test('should break ties between faces by sharpness', () => {
+      const frames = [frame(100, 1, true), frame(180, 1, true)];
+
+      expect(pickBestFrame(scoreBurstFrames(frames, 'face'))).toBe(1);
+    });
+
+    test('should weigh sharpness and face when balanced', () => {
+      const frames = [frame(200, 1, false), frame(160, 1, true), frame(200, 0)];
+
+      expect(scoreBurstFrames(frames, 'balanced')).toEqual([0.75, 0.9, 0.5]);
+    });
+
+    test('should rely on sharpness alone without a face detector', () => {
+      const frames = [frame(80, null), frame(120, null)];
+
+      expect(scoreBurstFrames(frames, 'face')).toEqual([1.007, 1.01]);
+      expect(pickBestFrame(scoreBurstFrames(frames, 'balanced'))).toBe(1);
+    });
+
+    test('should keep the first frame on ties and give -1 for an empty burst', () => {
+      expect(pickBestFrame([0.5, 0.5])).toBe(0);
+      expect(pickBestFrame([])).toBe(-1);
+    });
+  });
+
+  describe('stored settings', () => {
+    let tempDir;
+    let dbManager;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-capture-test-'));
+      dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+      await dbManager.initialize();
+    });
+
+    afterEach(() => {
+      dbManager.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should save and load the settings of the project', async () => {
+      expect(await loadBurstSettings(dbManager)).toEqual(DEFAULT_BURST_SETTINGS);
+
+      await saveBurstSettings(dbManager, { enabled: true, frameCount: 3, criterion: 'face' });
+
+      expect(await loadBurstSettings(dbManager)).toEqual({ enabled: true, frameCount: 3, criterion: 'face' });
+    });
+
+    test('should not save invalid settings', async () => {
+      await expect(saveBurstSettings(dbManager, { frameCount: 20 })).rejects.toThrow('fotogramas');
+      expect(await loadBurstSettings(dbManager)).toEqual(DEFAULT_BURST_SETTINGS);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Camera overlays Tests
+ *
+ * Tests for the composition guides of the camera preview: settings, position
+ * of the guides of each preset and the check of the face position
+ */
+
+const {
+  OVERLAY_PRESETS,
+  DEFAULT_OVERLAY_SETTINGS,
+  validateOverlaySettings,
+  computeOverlayLayout,
+  checkFaceLevel
+} = require('../../../src/main/utils/cameraOverlays');
+
+const FRAME = { width: 1280, height: 720 };
+
+describe('Camera overlays', () => {
+  describe('validateOverlaySettings', () => {
+    test('should use the defaults for missing values', () => {
+      expect(validateOverlaySettings()).toEqual(DEFAULT_OVERLAY_SETTINGS);
+      expect(validateOverlaySettings({ preset: 'orla', guides: { centerCross: 1 }, level: true })).toEqual({
+        preset: 'orla',
+        guides: { faceOval: true, eyeLine: true, cropMarks: true, centerCross: true },
+        level: true
+      });
+    });
+
+    test('should ignore unknown guides and reject unknown presets', () => {
+      expect(validateOverlaySettings({ guides: { grid: true } }).guides).toEqual(DEFAULT_OVERLAY_SETTINGS.guides);
+      expect(() => validateOverlaySettings({ preset: 'passport' })).toThrow('Plantilla de guías desconocida');
+    });
+
+    test('should not share the default guides between results', () => {
+      validateOverlaySettings().guides.faceOval = false;
+
+      expect(DEFAULT_OVERLAY_SETTINGS.guides.faceOval).toBe(true);
+    });
+  });
+
+  describe('computeOverlayLayout', () => {
+    test('should place the guides in the 3:4 box centred on the frame', () => {
+      const layout = computeOverlayLayout(FRAME, 'school_card');
+
+      expect(layout.box).toEqual({ left: 370, top: 0, width: 540, height: 720 });
+      expect(layout.center).toEqual({ x: 640, y: 360 });
+      expect(layout.eyeLineY).toBeCloseTo(302.4);
+      expect(layout.oval.cx).toBe(640);
+      expect(layout.oval.cy).toBeCloseTo(342);
+      expect(layout.oval.ry).toBeCloseTo(198);
+      expect(layout.oval.rx).toBeCloseTo(148.5);
+    });
+
+    test('should give each preset its own face size', () => {
+      const ovals = Object.keys(OVERLAY_PRESETS).map(preset => computeOverlayLayout(FRAME, preset).oval.ry);
+
+      expect(ovals[0]).toBeGreaterThan(ovals[1]);
+      expect(ovals[1]).toBeGreaterThan(ovals[2]);
+    });
+
+    test('should follow a rotated frame', () => {
+      const layout = computeOverlayLayout({ width: 720, height: 1280 }, 'dni');
+
+      expect(layout.box).toEqual({ left: 0, top: 160, width: 720, height: 960 });
+      expect(layout.eyeLineY).toBeCloseTo(160 + 960 * 0.45);
+    });
+
+    test('should fall back to the default preset', () => {
+      expect(computeOverlayLayout(FRAME, 'unknown')).toEqual(computeOverlayLayout(FRAME, 'school_card'));
+    });
+  });
+
+  describe('checkFaceLevel', () => {
+    const layout = computeOverlayLayout(FRAME, 'school_card');
+
+    test('should take a face on the guides as centred', () => {
+      const level = checkFaceLevel({ x: 580, y: 250, width: 120, height: 150, eyeY: 305 }, layout);
+
+      expect(level.centred).toBe(true);
+      expect(level.hints).toEqual([]);
+    });
+
+    test('should tell where an off-centre face is', () => {
+      const level = checkFaceLevel({ x: 480, y: 300, width: 120, height: 150, eyeY: 400 }, layout);
+
+      expect(level.centred).toBe(false);
+      expect(level.offsetX).toBeCloseTo(-0.185, 3);
+      expect(level.hints).toEqual(['Cara desplazada a la izquierda', 'Ojos por debajo de la línea']);
+    });
+
+    test('should estimate the eyes from the face box without landmarks', () => {
+      const level = checkFaceLevel({ x: 680, y: 100, width: 120, height: 150 }, layout);
+
+      expect(level.hints).toEqual(['Cara desplazada a la derecha', 'Ojos por encima de la línea']);
+    });
+  });
+});
@@ -0,0 +1,414 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * DatabaseManager Tests
+ *
+ * Tests for project database queries against a temporary SQLite file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  normalizeUserData,
+  validateUserData,
+  describeIdentifierConflict
+} = require('../../../src/main/utils/userValidation');
+
+describe('DatabaseManager', () => {
+  let tempDir;
+  let dbManager;
+
+  beforeAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'database-manager-'));
+    dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+    await dbManager.initialize();
+
+    await dbManager.importUsers({
+      groups: [{ code: '1ESO-A', name: '1º ESO A' }],
+      students: [
+        { first_name: 'Lucía', last_name1: 'García', nia: '10000001', document: '12345678Z', group_code: '1ESO-A' }
+      ],
+      teachers: [
+        { first_name: 'Marta', last_name1: 'Ruiz', document: '87654321X' }
+      ],
+      nonTeachingStaff: []
+    });
+  });
+
+  afterEach(() => {
+    dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Manual users', () => {
+    test('should create a manually managed user', async () => {
+      const userId = await dbManager.createUser(normalizeUserData({
+        type: 'student',
+        first_name: 'Ana',
+        last_name1: 'Pérez',
+        nia: '10000002',
+        group_code: '1ESO-A'
+      }));
+
+      const user = await dbManager.getUserById(userId);
+      expect(user).toMatchObject({
+        first_name: 'Ana',
+        nia: '10000002',
+        group_code: '1ESO-A',
+        manually_managed: 1
+      });
+    });
+
+    test('should update the manual flag and type', async () => {
+      const [teacher] = await dbManager.getUsers({ type: 'teacher' });
+
+      await dbManager.updateUser(teacher.id, { type: 'non_teaching_staff', manually_managed: true });
+
+      const updated = await dbManager.getUserById(teacher.id);
+      expect(updated.type).toBe('non_teaching_staff');
+      expect(updated.manually_managed).toBe(1);
+    });
+
+    test('should report users sharing a NIA or document', async () => {
+      const byNia = await dbManager.findIdentifierConflicts({ nia: '10000001' });
+      expect(byNia).toHaveLength(1);
+
+      const byDocument = await dbManager.findIdentifierConflicts({ document: '87654321x' });
+      expect(byDocument.map(u => u.first_name)).toEqual(['Marta']);
+    });
+
+    test('should ignore the user being edited', async () => {
+      const [student] = await dbManager.getUsers({ type: 'student' });
+
+      const conflicts = await dbManager.findIdentifierConflicts(
+        { nia: '10000001', document: '12345678Z' },
+        student.id
+      );
+
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should know which groups exist', async () => {
+      expect(await dbManager.groupExists('1ESO-A')).toBe(true);
+      expect(await dbManager.groupExists('DOCENTES')).toBe(true);
+      expect(await dbManager.groupExists('2ESO-Z')).toBe(false);
+    });
+  });
+
+  describe('Photo history', () => {
+    let student;
+
+    beforeEach(async () => {
+      [student] = await dbManager.getUsers({ type: 'student' });
+    });
+
+    test('should keep previous photos archived when linking a new one', async () => {
+      await dbManager.linkImageToUser(student.id, 'a.jpg', { source: 'camera', capturedAt: '2025-01-09T12:30:00.000Z' });
+      await dbManager.linkImageToUser(student.id, 'b.jpg', { source: 'ingest' });
+
+      const images = await dbManager.getUserImages(student.id);
+      expect(images.map(i => [i.image_path, i.status, i.source])).toEqual([
+        ['b.jpg', 'current', 'ingest'],
+        ['a.jpg', 'archived', 'camera']
+      ]);
+      expect(images[1].captured_at).toBe('2025-01-09T12:30:00.000Z');
+      expect((await dbManager.getUserById(student.id)).image_path).toBe('b.jpg');
+    });
+
+    test('should make an earlier photo current again', async () => {
+      await dbManager.linkImageToUser(student.id, 'a.jpg', { source: 'camera' });
+      await dbManager.linkImageToUser(student.id, 'b.jpg', { source: 'ingest' });
+
+      await dbManager.linkImageToUser(student.id, 'a.jpg');
+
+      const images = await dbManager.getUserImages(student.id);
+      expect(images).toHaveLength(2);
+      expect(images.find(i => i.image_path === 'a.jpg')).toMatchObject({ status: 'current', source: 'camera' });
+      expect(images.find(i => i.image_path === 'b.jpg').status).toBe('archived');
+      expect((await dbManager.getUserById(student.id)).image_path).toBe('a.jpg');
+    });
+
+    test('should archive the current photo on unlink', async () => {
+      await dbManager.linkImageToUser(student.id, 'a.jpg');
+
+      await dbManager.unlinkImageFromUser(student.id);
+
+      const [image] = await dbManager.getUserImages(student.id);
+      expect(image.status).toBe('archived');
+      expect((await dbManager.getUserById(student.id)).image_path).toBeNull();
+    });
+
+    test('should leave the user without photo when the current one is rejected', async () => {
+      await dbManager.linkImageToUser(student.id, 'a.jpg');
+      const [image] = await dbManager.getUserImages(student.id);
+
+      await dbManager.updateUserImage(image.id, { status: 'rejected', note: 'Sale movida' });
+
+      expect(await dbManager.getUserImageById(image.id)).toMatchObject({ status: 'rejected', note: 'Sale movida' });
+      expect((await dbManager.getUserById(student.id)).image_path).toBeNull();
+    });
+
+    test('should refuse unknown statuses', async () => {
+      await dbManager.linkImageToUser(student.id, 'a.jpg');
+      const [image] = await dbManager.getUserImages(student.id);
+
+      await expect(dbManager.updateUserImage(image.id, { status: 'deleted' })).rejects.toThrow('Estado de foto no válido');
+      expect(await dbManager.getUserImageById(image.id)).toMatchObject({ status: 'current' });
+    });
+
+    test('should delete the history with the user', async () => {
+      await dbManager.linkImageToUser(student.id, 'a.jpg');
+
+      await dbManager.deleteUser(student.id);
+
+      expect(await dbManager.getUserImages(student.id)).toEqual([]);
+    });
+  });
+
+  describe('Search', () => {
+    const names = (users) => users.map(u => `${u.first_name} ${u.last_name1}`);
+
+    beforeEach(async () => {
+      await dbManager.createUser(normalizeUserData({
+        type: 'student',
+        first_name: 'José',
+        last_name1: 'García',
+        last_name2: 'López',
+        nia: '10000002',
+        document: '11111111-H',
+        group_code: '1ESO-A'
+      }));
+    });
+
+    test('should ignore accents and case', async () => {
+      const users = await dbManager.getUsers({ search: 'jose garcia' });
+
+      expect(names(users)).toEqual(['José García']);
+    });
+
+    test('should match word prefixes across first name and surnames', async () => {
+      expect(names(await dbManager.getUsers({ search: 'garc lop' }))).toEqual(['José García']);
+      expect(names(await dbManager.getUsers({ search: 'García' }))).toHaveLength(2);
+    });
+
+    test('should match NIA and document prefixes', async () => {
+      expect(names(await dbManager.getUsers({ search: '1000000' }))).toHaveLength(2);
+      expect(names(await dbManager.getUsers({ search: '8765' }))).toEqual(['Marta Ruiz']);
+      expect(names(await dbManager.getUsers({ search: '11111111H' }))).toEqual(['José García']);
+      expect(names(await dbManager.getUsers({ search: '11111111-h' }))).toEqual(['José García']);
+    });
+
+    test('should rank better matches first', async () => {
+      await dbManager.createUser(normalizeUserData({
+        type: 'teacher',
+        first_name: 'Ana',
+        last_name1: 'García',
+        last_name2: 'García',
+        document: '99999999R'
+      }));
+
+      const users = await dbManager.getUsers({ search: 'garcia' });
+
+      expect(names(users)).toHaveLength(3);
+      expect(users[0].first_name).toBe('Ana');
+    });
+
+    test('should keep the index in sync with edits and deletes', async () => {
+      const [teacher] = await dbManager.getUsers({ type: 'teacher' });
+
+      await dbManager.updateUser(teacher.id, { last_name1: 'Muñoz' });
+      expect(await dbManager.getUsers({ search: 'ruiz' })).toEqual([]);
+      expect(names(await dbManager.getUsers({ search: 'munoz' }))).toEqual(['Marta Muñoz']);
+
+      await dbManager.deleteUser(teacher.id);
+      expect(await dbManager.getUsers({ search: 'marta' })).toEqual([]);
+    });
+
+    test('should combine search with the type filter', async () => {
+      const users = await dbManager.getUsers({ search: 'garcia', type: 'teacher' });
+
+      expect(users).toEqual([]);
+    });
+
+    test('should ignore searches without letters or digits', async () => {
+      const users = await dbManager.getUsers({ search: '"*-' });
+
+      expect(users).toHaveLength(3);
+    });
+  });
+
+  describe('Extra attributes', () => {
+    test('should store the attributes of imported users', async () => {
+      await dbManager.importUsers({
+        groups: [],
+        students: [{
+          first_name: 'Pablo',
+          last_name1: 'Sanz',
+          nia: '10000003',
+          group_code: '1ESO-A',
+          attributes: { telefono: '0612345678', tutor: 'Ana Pérez' }
+        }],
+        teachers: [],
+        nonTeachingStaff: []
+      });
+      const user = await dbManager.getUserByNIA('10000003');
+
+      expect(await dbManager.getUserAttributes(user.id)).toEqual({ telefono: '0612345678', tutor: 'Ana Pérez' });
+      expect(await dbManager.getUserAttributeNames()).toEqual(['telefono', 'tutor']);
+    });
+
+    test('should replace the attributes of a user', async () => {
+      const [student] = await dbManager.getUsers({ type: 'student' });
+
+      await dbManager.setUserAttributes(student.id, { email: 'lucia@example.com', tutor: 'Ana Pérez' });
+      await dbManager.setUserAttributes(student.id, { email: 'lucia@example.org' });
+
+      expect(await dbManager.getUserAttributes(student.id)).toEqual({ email: 'lucia@example.org' });
+      const all = await dbManager.getAllUserAttributes();
+      expect(all.get(student.id)).toEqual({ email: 'lucia@example.org' });
+    });
+
+    test('should remove the attributes when the user is deleted', async () => {
+      const [student] = await dbManager.getUsers({ type: 'student' });
+      await dbManager.setUserAttributes(student.id, { email: 'lucia@example.com' });
+
+      await dbManager.deleteUser(student.id);
+
+      expect(await dbManager.getUserAttributes(student.id)).toEqual({});
+    });
+  });
+
+  describe('Batch import', () => {
+    async function* records(items) {
+      for (const item of items) {
+        yield item;
+      }
+    }
+
+    test('should import records in batches and keep the first duplicate with a group', async () => {
+      const progress = [];
+      const report = await dbManager.importUserRecords(records([
+        { section: 'groups', data: { code: '2ESO-A', name: '2º ESO A' } },
+        { section: 'students', data: { first_name: 'Pablo', last_name1: 'Sanz', nia: '10000003', group_code: null, attributes: { email: 'pablo@example.com' } } },
+        { section: 'students', data: { first_name: 'Pablo', last_name1: 'Sanz Gil', nia: '10000003', group_code: '2ESO-A', attributes: { tutor: 'Ana Pérez' } } },
+        { section: 'students', data: { first_name: 'Sin', last_name1: 'NIA', group_code: '2ESO-A' } },
+        { section: 'nonTeachingStaff', data: { first_name: 'Rosa', last_name1: 'Gil', document: '11111111H' } }
+      ]), { batchSize: 2, onProgress: (imported) => progress.push(imported) });
+
+      expect(report.imported).toBe(2);
+      expect(report.counts).toEqual({ groups: 1, students: 3, teachers: 0, nonTeachingStaff: 1 });
+      expect(report.withoutIdentifier).toHaveLength(1);
+      expect(report.duplicates).toEqual([expect.objectContaining({
+        identifier: 'NIA: 10000003',
+        allNames: 'Pablo Sanz, Pablo Sanz Gil',
+        group: '2ESO-A',
+        occurrencesCount: 2
+      })]);
+      expect(progress).toEqual([1, 1, 2]);
+
+      const student = await dbManager.getUserByNIA('10000003');
+      expect(student).toEqual(expect.objectContaining({ last_name1: 'Sanz Gil', group_code: '2ESO-A' }));
+      expect(await dbManager.getUserAttributes(student.id)).toEqual({ tutor: 'Ana Pérez' });
+      expect(await dbManager.getUserByDocument('11111111H')).toEqual(expect.objectContaining({ group_code: 'NO_DOCENTES' }));
+    });
+  });
+
+  describe('Image crops', () => {
+    test('should store, replace and delete the crop of an image', async () => {
+      const image = { width: 1280, height: 720 };
+      const face = { x: 560, y: 200, width: 160, height: 200 };
+
+      await dbManager.setImageCrop('20250101120000.jpg', {
+        crop: { left: 460, top: 90, width: 360, height: 480 },
+        image,
+        face,
+        source: 'face'
+      });
+      expect(await dbManager.getImageCrop('20250101120000.jpg')).toEqual(expect.objectContaining({
+        crop: { left: 460, top: 90, width: 360, height: 480 },
+        image_width: 1280,
+        image_height: 720,
+        face,
+        source: 'face'
+      }));
+
+      await dbManager.setImageCrop('20250101120000.jpg', {
+        crop: { left: 400, top: 0, width: 540, height: 720 },
+        image,
+        source: 'manual'
+      });
+      const crops = await dbManager.getImageCrops(['20250101120000.jpg', 'missing.jpg']);
+      expect([...crops.keys()]).toEqual(['20250101120000.jpg']);
+      expect(crops.get('20250101120000.jpg')).toEqual(expect.objectContaining({ face: null, source: 'manual' }));
+
+      await dbManager.deleteImageCrop('20250101120000.jpg');
+      expect(await dbManager.getImageCrop('20250101120000.jpg')).toBeNull();
+    });
+  });
+});
+
+describe('userValidation', () => {
+  test('should normalize empty values and default the group by type', () => {
+    const user = normalizeUserData({
+      type: 'teacher',
+      first_name: '  Marta ',
+      last_name1: 'Ruiz',
+      last_name2: '',
+      document: '87654321x',
+      nia: '123'
+    });
+
+    expect(user).toMatchObject({
+      first_name: 'Marta',
+      last_name2: null,
+      document: '87654321X',
+      nia: null,
+      group_code: 'DOCENTES',
+      manually_managed: 1
+    });
+  });
+
+  test('should keep the manual flag off only when explicitly disabled', () => {
+    expect(normalizeUserData({ manually_managed: false }).manually_managed).toBe(0);
+    expect(normalizeUserData({}).manually_managed).toBe(1);
+  });
+
+  test('should require identifiers by user type', () => {
+    expect(validateUserData(normalizeUserData({ first_name: 'A', last_name1: 'B' })))
+      .toBe('El NIA es obligatorio para los alumnos');
+    expect(validateUserData(normalizeUserData({ type: 'teacher', first_name: 'A', last_name1: 'B' })))
+      .toBe('El documento es obligatorio para docentes y no docentes');
+    expect(validateUserData(normalizeUserData({ type: 'alien', first_name: 'A', last_name1: 'B' })))
+      .toMatch('Tipo de usuario no válido');
+  });
+
+  test('should check the NIA, DNI and birth date formats', () => {
+    const student = { first_name: 'A', last_name1: 'B', nia: '10000001' };
+    expect(validateUserData(normalizeUserData(student))).toBeNull();
+    expect(validateUserData(normalizeUserData({ ...student, nia: '123' })))
+      .toBe('El NIA debe tener entre 8 y 10 dígitos');
+    expect(validateUserData(normalizeUserData({ ...student, document: '12345678a' })))
+      .toBe('La letra del DNI no es correcta');
+    expect(validateUserData(normalizeUserData({ ...student, document: 'X1234567L', birth_date: '01/02/2010' }))).toBeNull();
+    expect(validateUserData(normalizeUserData({ ...student, birth_date: '31/02/2010' })))
+      .toBe('La fecha de nacimiento debe tener el formato DD/MM/AAAA');
+  });
+
+  test('should describe identifier conflicts', () => {
+    const user = normalizeUserData({ first_name: 'Ana', last_name1: 'Pérez', nia: '10000001' });
+    const message = describeIdentifierConflict(user, [
+      { first_name: 'Lucía', last_name1: 'García', nia: '10000001' }
+    ]);
+
+    expect(message).toBe('El NIA 10000001 ya está asignado a Lucía García');
+    expect(describeIdentifierConflict(user, [])).toBeNull();
+  });
+});
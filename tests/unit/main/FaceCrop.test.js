@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Face crop Tests
+ *
+ * Tests for the 3:4 crops proposed around the detected face (or centred),
+ * the crops adjusted by hand and their use when exporting images
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  DEFAULT_CROP_SETTINGS,
+  validateCropSettings,
+  centerCrop,
+  computeFaceCrop,
+  proposeCrop,
+  normalizeCrop,
+  loadCropSettings,
+  saveCropSettings
+} = require('../../../src/main/utils/faceCrop');
+const { storeProposedCrop, getImageCropInfo, openCroppedImage } = require('../../../src/main/imageCrops');
+const { PORTRAIT, FACE_MODELS_TIMEOUT } = require('../../fixtures/faceSamples');
+
+const IMAGE = { width: 1280, height: 720 };
+
+jest.setTimeout(FACE_MODELS_TIMEOUT);
+
+describe('Face crop', () => {
+  describe('centerCrop', () => {
+    test('should take the largest centred 3:4 crop of a landscape image', () => {
+      expect(centerCrop(IMAGE)).toEqual({ left: 370, top: 0, width: 540, height: 720 });
+    });
+
+    test('should take the whole width of a narrow portrait image', () => {
+      expect(centerCrop({ width: 600, height: 1000 })).toEqual({ left: 0, top: 100, width: 600, height: 800 });
+    });
+  });
+
+  describe('computeFaceCrop', () => {
+    test('should size the crop from the face and place the eyes on the eye line', () => {
+      const face = { x: 580, y: 200, width: 120, height: 160, eyeY: 260 };
+
+      // 160 / 0.5 = 320 high, 240 wide, eyes at 42% of 320 = 134.4
+      expect(computeFaceCrop(face, IMAGE)).toEqual({ left: 520, top: 126, width: 240, height: 320 });
+    });
+
+    test('should guess the eye line when the detector gives no landmarks', () => {
+      const face = { x: 580, y: 200, width: 120, height: 160 };
+
+      expect(computeFaceCrop(face, IMAGE).top).toBe(Math.round(200 + 160 * 0.4 - 320 * 0.42));
+    });
+
+    test('should keep the crop inside the image', () => {
+      const crop = computeFaceCrop({ x: 0, y: 0, width: 200, height: 500 }, IMAGE);
+
+      expect(crop).toEqual({ left: 0, top: 0, width: 540, height: 720 });
+    });
+
+    test('should use the ratios of the settings', () => {
+      const face = { x: 580, y: 200, width: 120, height: 160, eyeY: 260 };
+
+      expect(computeFaceCrop(face, IMAGE, { headRatio: 0.4, eyeLineRatio: 0.5 }).height).toBe(400);
+    });
+  });
+
+  describe('proposeCrop', () => {
+    test('should use the face when there is one', () => {
+      expect(proposeCrop(IMAGE, { x: 580, y: 200, width: 120, height: 160 }).source).toBe('face');
+    });
+
+    test('should centre the crop without a valid face', () => {
+      expect(proposeCrop(IMAGE, null)).toEqual({ crop: centerCrop(IMAGE), source: 'center' });
+      expect(proposeCrop(IMAGE, { x: 10, y: 10, width: 0, height: 0 }).source).toBe('center');
+    });
+  });
+
+  describe('normalizeCrop', () => {
+    test('should make the height follow the width and keep the crop inside the image', () => {
+      expect(normalizeCrop({ left: 1200, top: -20, width: 300, height: 10 }, IMAGE))
+        .toEqual({ left: 980, top: 0, width: 300, height: 400 });
+    });
+
+    test('should reject crops without a size', () => {
+      expect(() => normalizeCrop({ left: 0, top: 0, width: 0 }, IMAGE)).toThrow('El recorte no es válido');
+      expect(() => normalizeCrop(null, IMAGE)).toThrow('El recorte no es válido');
+    });
+  });
+
+  describe('validateCropSettings', () => {
+    test('should complete missing values with the defaults', () => {
+      expect(validateCropSettings({ headRatio: 0.6 })).toEqual({ headRatio: 0.6, eyeLineRatio: DEFAULT_CROP_SETTINGS.eyeLineRatio });
+    });
+
+    test('should reject values out of range', () => {
+      expect(() => validateCropSettings({ headRatio: 0.9 })).toThrow('La proporción de la cara debe estar entre el 30% y el 80%');
+      expect(() => validateCropSettings({ eyeLineRatio: 'x' })).toThrow('La línea de los ojos');
+    });
+  });
+
+  describe('stored crops', () => {
+    let tempDir;
+    let dbManager;
+    let imagePath;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'face-crop-test-'));
+      dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+      await dbManager.initialize();
+
+      imagePath = path.join(tempDir, '20250101120000.jpg');
+      await sharp({ create: { width: 1280, height: 720, channels: 3, background: '#808080' } })
+        .jpeg()
+        .toFile(imagePath);
+    });
+
+    afterEach(() => {
+      dbManager.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should save the settings of the project', async () => {
+      expect(await loadCropSettings(dbManager)).toEqual(DEFAULT_CROP_SETTINGS);
+
+      await saveCropSettings(dbManager, { headRatio: 0.55, eyeLineRatio: 0.4 });
+
+      expect(await loadCropSettings(dbManager)).toEqual({ headRatio: 0.55, eyeLineRatio: 0.4 });
+    });
+
+    test('should store the crop proposed for a captured face', async () => {
+      const face = { x: 580, y: 200, width: 120, height: 160, eyeY: 260 };
+
+      const row = await storeProposedCrop(dbManager, imagePath, { face, faceCount: 1 });
+
+      expect(row.crop).toEqual({ left: 520, top: 126, width: 240, height: 320 });
+      expect(row.source).toBe('face');
+      expect(row.face).toEqual(face);
+      expect((await getImageCropInfo(dbManager, imagePath)).stored).toBe(true);
+    });
+
+    test('should find the face of an ingested image', async () => {
+      const photoPath = path.join(tempDir, '20250101120500.jpg');
+      fs.copyFileSync(PORTRAIT, photoPath);
+
+      const row = await storeProposedCrop(dbManager, photoPath);
+
+      expect(row.source).toBe('face');
+      expect(row.face.x).toBeGreaterThan(100);
+      expect(row.face.x + row.face.width).toBeLessThan(450);
+      expect(row.crop.left).toBeLessThanOrEqual(row.face.x);
+      expect(row.crop.left + row.crop.width).toBeGreaterThanOrEqual(row.face.x + row.face.width);
+    });
+
+    test('should propose a centred crop for images without a stored crop', async () => {
+      const info = await getImageCropInfo(dbManager, imagePath);
+
+      expect(info).toMatchObject({ crop: centerCrop(IMAGE), source: 'center', stored: false });
+      expect(await dbManager.getImageCrop('20250101120000.jpg')).toBeNull();
+    });
+
+    test('should apply the crop when opening the image for export', async () => {
+      const row = await storeProposedCrop(dbManager, imagePath);
+
+      const { info } = await openCroppedImage(imagePath, row).jpeg().toBuffer({ resolveWithObject: true });
+
+      expect(info.width).toBe(540);
+      expect(info.height).toBe(720);
+    });
+  });
+});
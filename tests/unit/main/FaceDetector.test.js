@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Face detector Tests
+ *
+ * Tests for the faces found in the main process with the bundled models
+ */
+
+const sharp = require('sharp');
+const { eyeAspectRatio, detectFaces, detectImageFaces, tryDetectImageFaces } = require('../../../src/main/faceDetector');
+const { PORTRAIT, GROUP_PHOTO, FACE_MODELS_TIMEOUT } = require('../../fixtures/faceSamples');
+
+jest.setTimeout(FACE_MODELS_TIMEOUT);
+
+describe('Face detector', () => {
+  test('should measure how open an eye is from its landmarks', () => {
+    const eye = height => [
+      { x: 0, y: 0 }, { x: 10, y: -height }, { x: 20, y: -height },
+      { x: 30, y: 0 }, { x: 20, y: height }, { x: 10, y: height }
+    ];
+
+    expect(eyeAspectRatio(eye(5))).toBeCloseTo(1 / 3);
+    expect(eyeAspectRatio(eye(0))).toBe(0);
+    expect(eyeAspectRatio(Array(6).fill({ x: 4, y: 4 }))).toBe(0);
+  });
+
+  test('should find the face of a portrait and its eyes', async () => {
+    const { face, faceCount } = await detectImageFaces(PORTRAIT);
+
+    expect(faceCount).toBe(1);
+    expect(face.x).toBeGreaterThan(100);
+    expect(face.width).toBeGreaterThan(150);
+    expect(face.eyeY).toBeGreaterThan(face.y);
+    expect(face.eyeY).toBeLessThan(face.y + face.height / 2);
+    expect(face.eyeOpenness).toBeGreaterThan(0.25);
+  });
+
+  test('should give the faces of a group photo in image pixels, largest first', async () => {
+    const faces = await detectFaces(GROUP_PHOTO);
+
+    expect(faces).toHaveLength(3);
+    expect(faces[0].width * faces[0].height).toBeGreaterThanOrEqual(faces[1].width * faces[1].height);
+    // The photo is 1280 px wide: boxes are not in the size used for the search
+    expect(Math.max(...faces.map(face => face.x))).toBeGreaterThan(700);
+  });
+
+  test('should find no face in an image without people', async () => {
+    const flat = await sharp({ create: { width: 1280, height: 720, channels: 3, background: '#808080' } })
+      .jpeg()
+      .toBuffer();
+
+    expect(await detectImageFaces(flat)).toEqual({ face: null, faceCount: 0 });
+  });
+
+  test('should give no detection for files that are not images', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(await tryDetectImageFaces(Buffer.from('not an image'))).toEqual({ face: null, faceCount: null });
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Folder watcher Tests
+ *
+ * Tests for the files moved from ingest to imports and what is kept about them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FolderWatcher = require('../../../src/main/folderWatcher');
+
+describe('FolderWatcher', () => {
+  let tempDir;
+  let watcher;
+
+  beforeAll(() => {
+    // The watcher waits for the size of new files to settle
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'folder-watcher-test-'));
+    fs.mkdirSync(path.join(tempDir, 'ingest'));
+    fs.mkdirSync(path.join(tempDir, 'imports'));
+    watcher = new FolderWatcher(path.join(tempDir, 'ingest'), path.join(tempDir, 'imports'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Write a file to ingest and process it as the watcher does when it appears
+  async function ingest(filename) {
+    const filePath = path.join(tempDir, 'ingest', filename);
+    fs.writeFileSync(filePath, 'jpeg');
+    await watcher.handleNewFile(filePath);
+    return watcher.getImportedName(filename);
+  }
+
+  test('should give the faces of a capture once', async () => {
+    const detection = { face: { x: 10, y: 20, width: 100, height: 120 }, faceCount: 1 };
+    watcher.expectCameraCapture('capture.jpg', detection);
+
+    const imported = await ingest('capture.jpg');
+
+    expect(watcher.getImageSource(imported)).toBe('camera');
+    expect(watcher.getCaptureDetection(imported)).toEqual(detection);
+    expect(watcher.getCaptureDetection(imported)).toBeNull();
+    expect(watcher.captureDetections.size).toBe(0);
+    expect(watcher.cameraCaptures.size).toBe(0);
+  });
+
+  test('should give no capture faces for ingested files', async () => {
+    const imported = await ingest('photo.jpg');
+
+    expect(watcher.getImageSource(imported)).toBe('ingest');
+    expect(watcher.getCaptureDetection(imported)).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Group metadata Tests
+ *
+ * Tests for the level, order and display name derived from the group codes
+ * and for their storage and use as a filter in the project database
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  deriveGroupMetadata,
+  spreadDisplayOrders,
+  buildGroupUpdates,
+  getGroupPlaceholders,
+  sortGroupCodes
+} = require('../../../src/main/utils/groupMetadata');
+
+describe('Group metadata', () => {
+  describe('deriveGroupMetadata', () => {
+    test('should read course, stage and class from common codes', () => {
+      expect(deriveGroupMetadata('1ESO-A', '1ESO-A')).toEqual({ level: 'ESO', display_order: 3101, display_name: '1º ESO A' });
+      expect(deriveGroupMetadata('2º BACH B')).toEqual({ level: 'Bachillerato', display_order: 4202, display_name: '2º Bachillerato B' });
+      expect(deriveGroupMetadata('ESO3C')).toEqual({ level: 'ESO', display_order: 3303, display_name: '3º ESO C' });
+      expect(deriveGroupMetadata('1CFGM-SMR')).toEqual({ level: 'FP', display_order: 5100, display_name: '1º CFGM SMR' });
+    });
+
+    test('should sort Bachillerato after ESO', () => {
+      const codes = ['BACH-TEC', '2BACH-A', '1ESO-B', 'DOCENTES', '1ESO-A', '4ESO-A'];
+      const sorted = [...codes].sort((a, b) => deriveGroupMetadata(a).display_order - deriveGroupMetadata(b).display_order);
+
+      expect(sorted).toEqual(['1ESO-A', '1ESO-B', '4ESO-A', '2BACH-A', 'BACH-TEC', 'DOCENTES']);
+    });
+
+    test('should keep the roster name of codes without a known pattern', () => {
+      expect(deriveGroupMetadata('AULA-TEA', 'Aula TEA')).toEqual({ level: null, display_order: 8000, display_name: 'Aula TEA' });
+      expect(deriveGroupMetadata('ELIMINADOS', '⚠ Eliminados')).toEqual(expect.objectContaining({ level: null, display_order: 9004 }));
+    });
+  });
+
+  test('should reuse the current orders keeping the new one strictly increasing', () => {
+    expect(spreadDisplayOrders([3102, 3101, 4101])).toEqual([3101, 3102, 4101]);
+    expect(spreadDisplayOrders([8000, 8000, null])).toEqual([8000, 8001, 8002]);
+  });
+
+  test('should reject tutors that are not teachers and changed group lists', () => {
+    const current = [{ code: '1ESO-A', display_order: 3101 }, { code: '1ESO-B', display_order: 3102 }];
+
+    expect(() => buildGroupUpdates([{ code: '1ESO-A' }], current, [])).toThrow('Los grupos del proyecto han cambiado');
+    expect(() => buildGroupUpdates(
+      [{ code: '1ESO-B', tutor_id: 5 }, { code: '1ESO-A' }],
+      current,
+      [7]
+    )).toThrow('El tutor del grupo 1ESO-B no es un docente del proyecto');
+
+    expect(buildGroupUpdates(
+      [{ code: '1ESO-B', level: ' ESO ', display_name: '', tutor_id: '7' }, { code: '1ESO-A', level: 'ESO' }],
+      current,
+      [7]
+    )).toEqual([
+      { code: '1ESO-B', level: 'ESO', display_order: 3101, display_name: null, tutor_id: 7 },
+      { code: '1ESO-A', level: 'ESO', display_order: 3102, display_name: null, tutor_id: null }
+    ]);
+  });
+
+  test('should sort group codes and fill the group placeholders', () => {
+    const groups = [
+      { code: '1ESO-A', name: '1ESO-A', display_name: '1º ESO A', level: 'ESO', tutor_name: 'Marta López' },
+      { code: '2BACH-A', name: '2BACH-A', display_name: null, level: 'Bachillerato', tutor_name: null }
+    ];
+
+    expect(sortGroupCodes(['OTRO', '2BACH-A', '1ESO-A'], groups)).toEqual(['1ESO-A', '2BACH-A', 'OTRO']);
+    expect(getGroupPlaceholders(groups[0], '1ESO-A')).toEqual({ nombre_grupo: '1º ESO A', nivel: 'ESO', tutor_grupo: 'Marta López' });
+    expect(getGroupPlaceholders(groups[1], '2BACH-A').nombre_grupo).toBe('2BACH-A');
+    expect(getGroupPlaceholders(undefined, 'OTRO')).toEqual({ nombre_grupo: 'OTRO', nivel: '', tutor_grupo: '' });
+  });
+
+  describe('database', () => {
+    let tempDir;
+    let dbManager;
+
+    beforeAll(() => {
+      jest.useRealTimers();
+    });
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'group-metadata-'));
+      dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+      await dbManager.initialize();
+      await dbManager.importUsers({
+        groups: [
+          { code: '2BACH-A', name: '2º Bachillerato A' },
+          { code: '1ESO-A', name: '1ESO-A' }
+        ],
+        students: [
+          { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: '1ESO-A' },
+          { first_name: 'Mario', last_name1: 'Pérez', nia: '10000002', group_code: '2BACH-A' }
+        ],
+        teachers: [{ first_name: 'Marta', last_name1: 'López', document: '11111111A' }],
+        nonTeachingStaff: []
+      });
+    });
+
+    afterEach(() => {
+      dbManager.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should fill the metadata of imported groups and list them in display order', async () => {
+      const groups = await dbManager.getGroups();
+
+      expect(groups.map(group => group.code)).toEqual(['1ESO-A', '2BACH-A', 'DOCENTES', 'NO_DOCENTES', 'SIN_GRUPO']);
+      expect(groups[0]).toEqual(expect.objectContaining({ level: 'ESO', display_name: '1º ESO A', tutor_id: null }));
+    });
+
+    test('should filter users by level', async () => {
+      const users = await dbManager.getUsers({ level: 'Bachillerato' });
+
+      expect(users.map(user => user.nia)).toEqual(['10000002']);
+    });
+
+    test('should save the tutor and clear it when the teacher is deleted', async () => {
+      const [teacher] = await dbManager.getUsers({ type: 'teacher' });
+      const groups = await dbManager.getGroups();
+      await dbManager.updateGroups(buildGroupUpdates(
+        groups.map(group => ({ ...group, tutor_id: group.code === '1ESO-A' ? teacher.id : null })),
+        groups,
+        [teacher.id]
+      ));
+
+      let eso = (await dbManager.getGroups()).find(group => group.code === '1ESO-A');
+      expect(eso.tutor_name).toBe('Marta López');
+
+      await dbManager.deleteUser(teacher.id);
+      eso = (await dbManager.getGroups()).find(group => group.code === '1ESO-A');
+      expect(eso.tutor_id).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Import reports Tests
+ *
+ * Tests for the report sections, their storage in the project database and
+ * the CSV export of a section
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  buildImportReport,
+  buildUpdateReport,
+  linkReportUsers,
+  hasReportIssues,
+  describeReportSections,
+  buildReportSectionCSV
+} = require('../../../src/main/utils/importReports');
+
+describe('Import reports', () => {
+  let tempDir;
+  let dbManager;
+
+  beforeAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-reports-'));
+    dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+    await dbManager.initialize();
+  });
+
+  afterEach(() => {
+    dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const importRoster = () => dbManager.importUsers({
+    groups: [{ code: '1ESO-A', name: '1º ESO A' }],
+    students: [
+      { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: '1ESO-A' },
+      { first_name: 'Lucía', last_name1: 'García', nia: '10000001' },
+      { first_name: 'Mario', last_name1: 'Pérez', nia: '10000002' },
+      { first_name: 'Sin', last_name1: 'Nia', group_code: '1ESO-A' }
+    ],
+    teachers: [],
+    nonTeachingStaff: []
+  });
+
+  test('should link the rows of an import report to the users of the project', async () => {
+    const importReport = await importRoster();
+    const users = await dbManager.getUsers({});
+    const report = linkReportUsers(buildImportReport({ sourceFile: 'alumnos.xml', importReport }), users);
+
+    const lucia = users.find(user => user.nia === '10000001');
+    const mario = users.find(user => user.nia === '10000002');
+
+    expect(report.sections.without_identifier).toHaveLength(1);
+    expect(report.sections.without_identifier[0].user_id).toBeUndefined();
+    expect(report.sections.without_group[0]).toEqual(expect.objectContaining({ user_id: mario.id, name: 'Mario Pérez' }));
+    expect(report.sections.duplicates[0]).toEqual(expect.objectContaining({ user_id: lucia.id, occurrences: 2 }));
+    expect(report.sections.duplicates[0].key).toBeUndefined();
+    expect(hasReportIssues(report)).toBe(true);
+  });
+
+  test('should not flag an import without issues', () => {
+    const report = buildImportReport({
+      sourceFile: 'alumnos.xml',
+      importReport: { imported: 3, counts: { groups: 1 }, withoutIdentifier: [], withoutGroup: [], duplicates: [] }
+    });
+
+    expect(hasReportIssues(report)).toBe(false);
+    expect(report.summary).toEqual([
+      { label: 'Usuarios importados', value: 3 },
+      { label: 'Grupos', value: 1 }
+    ]);
+  });
+
+  test('should save a report and read it back grouped by section', async () => {
+    const importReport = await importRoster();
+    const users = await dbManager.getUsers({});
+    const reportId = await dbManager.saveImportReport(
+      linkReportUsers(buildImportReport({ sourceFile: 'alumnos.xml', importReport }), users)
+    );
+
+    const reports = await dbManager.getImportReports();
+    expect(reports).toHaveLength(1);
+    expect(reports[0]).toEqual(expect.objectContaining({ id: reportId, kind: 'import', source_file: 'alumnos.xml' }));
+    expect(reports[0].summary[0]).toEqual({ label: 'Usuarios importados', value: 2 });
+
+    const saved = await dbManager.getImportReport(reportId);
+    expect(Object.keys(saved.sections).sort()).toEqual(['duplicates', 'without_group', 'without_identifier']);
+    expect(saved.sections.without_identifier[0]).toEqual(expect.objectContaining({ user_id: null, reason: 'Sin NIA' }));
+
+    await dbManager.deleteImportReport(reportId);
+    expect(await dbManager.getImportReport(reportId)).toBeNull();
+  });
+
+  test('should list the newest report first', async () => {
+    const first = await dbManager.saveImportReport({ kind: 'import', summary: [], sections: {} });
+    const second = await dbManager.saveImportReport({ kind: 'update', summary: [], sections: {} });
+
+    const reports = await dbManager.getImportReports();
+    expect(reports.map(report => report.id)).toEqual([second, first]);
+  });
+
+  test('should describe only the sections with rows, in display order', () => {
+    const report = buildUpdateReport({
+      sourceFile: 'alumnos.xml',
+      results: { added: 1, updated: 0, movedToDeleted: 1, permanentlyDeleted: 0, manuallyManaged: 0, notApplied: 0 },
+      added: [{ key: 'student_10000003', type: 'student', name: 'Ana Ruiz', identifier: 'NIA: 10000003', groupAfter: '1ESO-A' }],
+      updated: [],
+      movedToDeleted: [{ id: 7, type: 'student', first_name: 'Mario', last_name1: 'Pérez', nia: '10000002', group_code: '1ESO-A' }],
+      deleted: [],
+      usersWithoutGroup: []
+    });
+
+    const sections = describeReportSections(report);
+    expect(sections.map(section => section.id)).toEqual(['added', 'moved_to_deleted']);
+    expect(sections[1].title).toBe('Movidos a Eliminados');
+    expect(sections[1].rows[0]).toEqual(expect.objectContaining({ user_id: 7, group: 'ELIMINADOS', type: 'Alumno' }));
+  });
+
+  test('should build the CSV of a section with escaped fields', () => {
+    const csv = buildReportSectionCSV({
+      columns: [{ key: 'name', label: 'Nombre' }, { key: 'fields', label: 'Campos cambiados' }],
+      rows: [{ name: 'Ana "Anita" Ruiz', fields: 'Nombre, Grupo' }, { name: 'Mario Pérez', fields: null }]
+    });
+
+    expect(csv).toBe('Nombre,Campos cambiados\n"Ana ""Anita"" Ruiz","Nombre, Grupo"\nMario Pérez,');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Integrity check Tests
+ *
+ * Tests for finding and repairing inconsistencies between the database,
+ * the project folders and the image repository
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const { checkProjectIntegrity, repairIntegrityIssues } = require('../../../src/main/utils/integrityCheck');
+
+const getItems = (report, category) =>
+  report.categories.find(item => item.id === category).items.map(item => item.imagePath);
+
+describe('integrityCheck', () => {
+  let tempDir;
+  let projectPath;
+  let dbManager;
+  let users;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'integrity-check-'));
+    projectPath = path.join(tempDir, 'Proyecto');
+    ['data', 'imports', 'ingest'].forEach(folder => {
+      fs.mkdirSync(path.join(projectPath, folder), { recursive: true });
+    });
+
+    dbManager = new DatabaseManager(path.join(projectPath, 'data', 'users.db'));
+    await dbManager.initialize();
+    await dbManager.importUsers({
+      groups: [{ code: '1ESO-A', name: '1º ESO A' }],
+      students: [
+        { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: '1ESO-A' },
+        { first_name: 'Pablo', last_name1: 'Ruiz', nia: '10000002', group_code: '1ESO-A' },
+        { first_name: 'Ana', last_name1: 'Sanz', nia: '10000003', group_code: '1ESO-A' }
+      ],
+      teachers: [],
+      nonTeachingStaff: []
+    });
+    users = await dbManager.getUsers();
+    const [lucia, pablo, ana] = ['Lucía', 'Pablo', 'Ana'].map(name => users.find(user => user.first_name === name));
+
+    ['compartida.jpg', 'huerfana.jpg', 'archivada.jpg'].forEach(file => {
+      fs.writeFileSync(path.join(projectPath, 'imports', file), file);
+    });
+    fs.writeFileSync(path.join(projectPath, 'ingest', 'atascada.jpg'), 'ingest');
+
+    // Ana's archived photo is kept in her history: it is not an orphan
+    await dbManager.linkImageToUser(ana.id, 'archivada.jpg');
+    await dbManager.unlinkImageFromUser(ana.id);
+    await dbManager.linkImageToUser(lucia.id, 'compartida.jpg');
+    await dbManager.linkImageToUser(pablo.id, 'compartida.jpg');
+    await dbManager.linkImageToUser(ana.id, 'borrada.jpg');
+    await dbManager.addImageTag('borrada.jpg', 'orla');
+    await dbManager.addImageTag('compartida.jpg', 'carnet');
+  });
+
+  afterEach(() => {
+    dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should report every inconsistency by category', async () => {
+    const report = await checkProjectIntegrity({ dbManager, projectPath });
+
+    expect(getItems(report, 'missing_images')).toEqual(['borrada.jpg']);
+    expect(getItems(report, 'orphan_images')).toEqual(['huerfana.jpg']);
+    expect(getItems(report, 'dangling_tags')).toEqual(['borrada.jpg']);
+    expect(getItems(report, 'shared_images')).toEqual(['compartida.jpg']);
+    expect(getItems(report, 'pending_ingest')).toEqual(['atascada.jpg']);
+    expect(report.total).toBe(5);
+    expect(report.warnings).toEqual([]);
+  });
+
+  test('should compare the repository with the users and the local mirror', async () => {
+    const repositoryPath = path.join(tempDir, 'deposito');
+    fs.mkdirSync(repositoryPath);
+    ['10000001.jpg', '99999999.jpg'].forEach(file => {
+      fs.writeFileSync(path.join(repositoryPath, file), file);
+    });
+    const mirror = {
+      getStats: () => ({ isSyncing: false }),
+      getAllFiles: () => ['10000001.jpg', '10000002.jpg']
+    };
+
+    const report = await checkProjectIntegrity({ dbManager, projectPath, repositoryPath, mirror });
+
+    expect(getItems(report, 'repository_unknown')).toEqual(['99999999.jpg']);
+    expect(getItems(report, 'repository_unsynced')).toEqual(['99999999.jpg']);
+    expect(getItems(report, 'repository_stale')).toEqual(['10000002.jpg']);
+
+    const unreachable = await checkProjectIntegrity({ dbManager, projectPath, repositoryPath: path.join(tempDir, 'red') });
+    expect(unreachable.warnings[0]).toContain('No se encuentra la carpeta del depósito de imágenes');
+  });
+
+  test('should apply the safe repairs', async () => {
+    const audit = { record: jest.fn() };
+
+    await expect(repairIntegrityIssues({ dbManager, projectPath, category: 'missing_images', audit })).resolves.toBe(1);
+    await expect(repairIntegrityIssues({ dbManager, projectPath, category: 'orphan_images' })).resolves.toBe(1);
+    await expect(repairIntegrityIssues({ dbManager, projectPath, category: 'dangling_tags' })).resolves.toBe(1);
+
+    const ana = (await dbManager.getUsers()).find(user => user.first_name === 'Ana');
+    expect(ana.image_path).toBeNull();
+    expect(audit.record).toHaveBeenCalledWith('unlink_image', expect.objectContaining({ before: 'borrada.jpg', after: null }));
+    expect(fs.existsSync(path.join(projectPath, 'ingest', 'huerfana.jpg'))).toBe(true);
+    expect(await dbManager.getImageTags('borrada.jpg')).toEqual([]);
+
+    const report = await checkProjectIntegrity({ dbManager, projectPath });
+    ['missing_images', 'orphan_images', 'dangling_tags'].forEach(category => {
+      expect(getItems(report, category)).toEqual([]);
+    });
+    // Shared photos are only reported
+    expect(getItems(report, 'shared_images')).toEqual(['compartida.jpg']);
+  });
+
+  test('should refuse categories without a safe repair', async () => {
+    await expect(repairIntegrityIssues({ dbManager, projectPath, category: 'shared_images' }))
+      .rejects.toThrow('No hay una reparación automática para la categoría shared_images');
+  });
+});
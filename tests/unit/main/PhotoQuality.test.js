@@ -0,0 +1,245 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Photo quality Tests
+ *
+ * Tests for the measures of sharpness and exposure, the problems found in a
+ * photo and their storage in the project database
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  laplacianVariance,
+  measureExposure,
+  evaluatePhotoQuality,
+  describeQualityIssues
+} = require('../../../src/main/utils/photoQuality');
+const { analyzeImage, storeImageQuality, processNewImport } = require('../../../src/main/imageQuality');
+const { PORTRAIT, FACE_MODELS_TIMEOUT } = require('../../fixtures/faceSamples');
+
+const GOOD_METRICS = {
+  sharpness: 250,
+  brightness: 130,
+  darkRatio: 0.05,
+  brightRatio: 0.02,
+  width: 1280,
+  height: 720,
+  faceCount: null,
+  faceRatio: null,
+  eyeOpenness: null
+};
+
+jest.setTimeout(FACE_MODELS_TIMEOUT);
+
+// Greyscale checkerboard (squares of `square` px) as a JPEG
+async function createCheckerboard({ width = 1280, height = 720, square = 8, low = 60, high = 190, blur = 0 } = {}) {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = (Math.floor(x / square) + Math.floor(y / square)) % 2 ? high : low;
+    }
+  }
+
+  let image = sharp(pixels, { raw: { width, height, channels: 1 } });
+  if (blur) image = image.blur(blur);
+  return image.jpeg().toBuffer();
+}
+
+describe('Photo quality', () => {
+  describe('laplacianVariance', () => {
+    test('should be zero for a flat image and high for sharp edges', () => {
+      const flat = new Uint8Array(25).fill(128);
+      const edges = new Uint8Array(25).map((value, index) => (index % 2 ? 255 : 0));
+
+      expect(laplacianVariance(flat, 5, 5)).toBe(0);
+      expect(laplacianVariance(edges, 5, 5)).toBeGreaterThan(1000);
+    });
+
+    test('should be zero for images too small to measure', () => {
+      expect(laplacianVariance(new Uint8Array(4), 2, 2)).toBe(0);
+    });
+  });
+
+  describe('measureExposure', () => {
+    test('should give the mean luminance and the share of nearly black and white pixels', () => {
+      expect(measureExposure(Uint8Array.from([0, 20, 128, 250]))).toEqual({
+        brightness: 99.5,
+        darkRatio: 0.5,
+        brightRatio: 0.25
+      });
+    });
+  });
+
+  describe('evaluatePhotoQuality', () => {
+    test('should find no problems in a good photo', () => {
+      expect(evaluatePhotoQuality(GOOD_METRICS)).toEqual([]);
+    });
+
+    test('should flag blurry, dark and overexposed photos', () => {
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, sharpness: 10 })).toEqual(['blurry']);
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, brightness: 40 })).toEqual(['dark']);
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, darkRatio: 0.6 })).toEqual(['dark']);
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, brightRatio: 0.3 })).toEqual(['overexposed']);
+    });
+
+    test('should flag images too small for the 3:4 crop', () => {
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, width: 640, height: 480 })).toEqual(['low_resolution']);
+    });
+
+    test('should check the faces only when a detector was used', () => {
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, faceCount: 0 })).toEqual(['no_face']);
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, faceCount: 2, faceRatio: 0.4 })).toEqual(['multiple_faces']);
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, faceCount: 1, faceRatio: 0.1 })).toEqual(['small_face']);
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, faceCount: 1, faceRatio: 0.4 })).toEqual([]);
+    });
+
+    test('should flag closed eyes when they were measured', () => {
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, faceCount: 1, faceRatio: 0.4, eyeOpenness: 0.12 })).toEqual(['eyes_closed']);
+      expect(evaluatePhotoQuality({ ...GOOD_METRICS, faceCount: 1, faceRatio: 0.4, eyeOpenness: 0.3 })).toEqual([]);
+    });
+
+    test('should describe the problems in Spanish', () => {
+      expect(describeQualityIssues(['blurry', 'no_face'])).toEqual(['Foto desenfocada', 'No se detecta ninguna cara']);
+      expect(describeQualityIssues(null)).toEqual([]);
+    });
+  });
+
+  describe('analyzeImage', () => {
+    test('should find no problems in a sharp, well exposed image', async () => {
+      const analysis = await analyzeImage(await createCheckerboard());
+
+      expect(analysis.issues).toEqual([]);
+      expect(analysis.metrics).toMatchObject({ width: 1280, height: 720, faceCount: null, faceRatio: null });
+      expect(analysis.metrics.sharpness).toBeGreaterThan(60);
+    });
+
+    test('should flag a blurry image', async () => {
+      const analysis = await analyzeImage(await createCheckerboard({ blur: 10 }));
+
+      expect(analysis.issues).toContain('blurry');
+    });
+
+    test('should flag a dark image', async () => {
+      const analysis = await analyzeImage(await createCheckerboard({ low: 5, high: 50 }));
+
+      expect(analysis.issues).toContain('dark');
+    });
+
+    test('should measure the face found by the camera window', async () => {
+      const face = { x: 580, y: 200, width: 120, height: 144 };
+
+      const analysis = await analyzeImage(await createCheckerboard(), { face, faceCount: 1 });
+
+      expect(analysis.metrics.faceCount).toBe(1);
+      expect(analysis.metrics.faceRatio).toBe(0.2);
+      expect(analysis.issues).toEqual([]);
+    });
+  });
+
+  describe('stored analysis', () => {
+    let tempDir;
+    let dbManager;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-quality-test-'));
+      dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+      await dbManager.initialize();
+    });
+
+    afterEach(() => {
+      dbManager.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should store the measures and problems of a new image', async () => {
+      const imagePath = path.join(tempDir, '20250101120000.jpg');
+      fs.writeFileSync(imagePath, await createCheckerboard({ blur: 10 }));
+
+      await storeImageQuality(dbManager, imagePath, { face: null, faceCount: 0 });
+
+      const stored = await dbManager.getImageQuality('20250101120000.jpg');
+      expect(stored.issues).toEqual(['blurry', 'no_face']);
+      expect(stored.face_count).toBe(0);
+      expect(stored.image_width).toBe(1280);
+
+      const qualities = await dbManager.getImageQualities(['20250101120000.jpg', 'missing.jpg']);
+      expect([...qualities.keys()]).toEqual(['20250101120000.jpg']);
+      expect(await dbManager.getImageQuality('missing.jpg')).toBeNull();
+
+      await dbManager.deleteImageQuality('20250101120000.jpg');
+      expect(await dbManager.getImageQuality('20250101120000.jpg')).toBeNull();
+    });
+
+    test('should find the face of an ingested photo and check its eyes', async () => {
+      const imagePath = path.join(tempDir, '20250101120100.jpg');
+      fs.copyFileSync(PORTRAIT, imagePath);
+
+      const { issues } = await storeImageQuality(dbManager, imagePath);
+
+      const stored = await dbManager.getImageQuality('20250101120100.jpg');
+      expect(stored.face_count).toBe(1);
+      expect(stored.face_ratio).toBeGreaterThan(0.2);
+      expect(stored.eye_openness).toBeGreaterThan(0.2);
+      expect(issues).not.toEqual(expect.arrayContaining(['no_face', 'multiple_faces', 'small_face', 'eyes_closed']));
+    });
+
+    test('should flag an ingested photo with closed eyes', async () => {
+      const imagePath = path.join(tempDir, '20250101120200.jpg');
+      fs.writeFileSync(imagePath, await createCheckerboard());
+
+      // The sample photos have no blink: the detector gives one
+      let storeBlinkQuality;
+      jest.isolateModules(() => {
+        jest.doMock('../../../src/main/faceDetector', () => ({
+          tryDetectImageFaces: jest.fn().mockResolvedValue({
+            face: { x: 500, y: 100, width: 280, height: 340, eyeY: 230, eyeOpenness: 0.12 },
+            faceCount: 1
+          })
+        }));
+        storeBlinkQuality = require('../../../src/main/imageQuality').storeImageQuality;
+      });
+      jest.dontMock('../../../src/main/faceDetector');
+
+      const { issues } = await storeBlinkQuality(dbManager, imagePath);
+
+      const stored = await dbManager.getImageQuality('20250101120200.jpg');
+      expect(issues).toEqual(['eyes_closed']);
+      expect(stored.face_count).toBe(1);
+      expect(stored.eye_openness).toBe(0.12);
+    });
+
+    test('should propose the crop and store the quality of an added capture with its faces', async () => {
+      const imagePath = path.join(tempDir, '20250101120400.jpg');
+      fs.writeFileSync(imagePath, await createCheckerboard());
+      const face = { x: 500, y: 100, width: 280, height: 340, eyeY: 230, eyeOpenness: 0.3 };
+      const folderWatcher = { getCaptureDetection: jest.fn().mockReturnValue({ face, faceCount: 1 }) };
+      const logger = { error: jest.fn() };
+
+      await processNewImport(dbManager, imagePath, folderWatcher, logger);
+
+      expect(folderWatcher.getCaptureDetection).toHaveBeenCalledWith('20250101120400.jpg');
+      expect((await dbManager.getImageCrop('20250101120400.jpg')).face).toEqual(expect.objectContaining({ x: 500, width: 280 }));
+      const stored = await dbManager.getImageQuality('20250101120400.jpg');
+      expect(stored.face_count).toBe(1);
+      expect(stored.eye_openness).toBe(0.3);
+      expect(logger.error).not.toHaveBeenCalled();
+    });
+
+    test('should flag an ingested photo without faces', async () => {
+      const imagePath = path.join(tempDir, '20250101120300.jpg');
+      fs.writeFileSync(imagePath, await createCheckerboard());
+
+      await storeImageQuality(dbManager, imagePath);
+
+      const stored = await dbManager.getImageQuality('20250101120300.jpg');
+      expect(stored.issues).toEqual(['no_face']);
+      expect(stored.eye_openness).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Previous year Tests
+ *
+ * Tests for seeding a new academic year project from the previous one
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  getUserKey,
+  matchUsers,
+  readPreviousProject,
+  countCarryOver,
+  carryOverFromPreviousProject
+} = require('../../../src/main/utils/previousYear');
+
+async function createProject(projectPath, users) {
+  ['data', 'imports', 'ingest'].forEach(folder => {
+    fs.mkdirSync(path.join(projectPath, folder), { recursive: true });
+  });
+
+  const dbManager = new DatabaseManager(path.join(projectPath, 'data', 'users.db'));
+  await dbManager.initialize();
+  await dbManager.importUsers({
+    groups: [{ code: '1ESO-A', name: '1º ESO A' }, { code: '2ESO-A', name: '2º ESO A' }],
+    students: users.filter(user => user.nia),
+    teachers: users.filter(user => user.document),
+    nonTeachingStaff: []
+  });
+  return dbManager;
+}
+
+describe('previousYear', () => {
+  let tempDir;
+  let previousPath;
+  let projectPath;
+  let previousDb;
+  let dbManager;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'previous-year-'));
+    previousPath = path.join(tempDir, 'Curso2425');
+    projectPath = path.join(tempDir, 'Curso2526');
+
+    previousDb = await createProject(previousPath, [
+      { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: '1ESO-A' },
+      { first_name: 'Pablo', last_name1: 'Ruiz', nia: '10000002', group_code: '1ESO-A' },
+      { first_name: 'Marta', last_name1: 'López', document: '12345678z', group_code: '1ESO-A' }
+    ]);
+    dbManager = await createProject(projectPath, [
+      { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: '2ESO-A' },
+      { first_name: 'Ana', last_name1: 'Sanz', nia: '10000003', group_code: '1ESO-A' },
+      { first_name: 'Marta', last_name1: 'López', document: '12345678Z', group_code: '2ESO-A' }
+    ]);
+
+    const previousUsers = await previousDb.getUsers();
+    const lucia = previousUsers.find(user => user.first_name === 'Lucía');
+    const marta = previousUsers.find(user => user.first_name === 'Marta');
+    fs.writeFileSync(path.join(previousPath, 'imports', 'lucia.jpg'), 'lucia');
+    await previousDb.linkImageToUser(lucia.id, 'lucia.jpg');
+    await previousDb.addImageTag('lucia.jpg', 'orla');
+    await previousDb.markOrlaPaid(lucia.id, true);
+    await previousDb.linkImageToUser(marta.id, 'perdida.jpg');
+  });
+
+  afterEach(() => {
+    previousDb.close();
+    dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should match users by NIA or document', async () => {
+    expect(getUserKey({ type: 'student', nia: ' 10000001 ' })).toBe('student_10000001');
+    expect(getUserKey({ type: 'teacher', document: '' })).toBeNull();
+
+    const { users: previousUsers } = await readPreviousProject(previousPath);
+    const { matches, newUsers, leftUsers } = matchUsers(await dbManager.getUsers(), previousUsers);
+
+    expect(matches.map(({ user }) => user.first_name).sort()).toEqual(['Lucía', 'Marta']);
+    expect(newUsers.map(user => user.first_name)).toEqual(['Ana']);
+    expect(leftUsers.map(user => user.first_name)).toEqual(['Pablo']);
+  });
+
+  test('should count only photos that still exist', async () => {
+    const { users: previousUsers, tagsByImage } = await readPreviousProject(previousPath);
+    const { matches } = matchUsers(await dbManager.getUsers(), previousUsers);
+
+    expect(countCarryOver(previousPath, matches, tagsByImage))
+      .toEqual({ photos: 1, tags: 1, orla_paid: 1, receipt_printed: 0 });
+  });
+
+  test('should copy the chosen data into the new project', async () => {
+    fs.writeFileSync(path.join(projectPath, 'imports', 'lucia.jpg'), 'otra foto');
+
+    const report = await carryOverFromPreviousProject({
+      dbManager,
+      projectPath,
+      previousProjectPath: previousPath,
+      categories: { photos: true, tags: true, orla_paid: true }
+    });
+
+    expect(report.carried).toEqual([
+      { name: 'Lucía García', group: '2ESO-A', items: ['foto', '1 etiqueta', 'orla pagada'] }
+    ]);
+    expect(report.missingPhotos).toEqual([{ name: 'Marta López', group: '2ESO-A', imagePath: 'perdida.jpg' }]);
+    expect(report.newUsers).toEqual([{ name: 'Ana Sanz', group: '1ESO-A' }]);
+    expect(report.leftUsers).toEqual([{ name: 'Pablo Ruiz', group: '1ESO-A' }]);
+
+    // Existing files of the new project are never overwritten
+    const lucia = (await dbManager.getUsers()).find(user => user.first_name === 'Lucía');
+    expect(lucia.image_path).toBe('lucia_1.jpg');
+    expect(lucia.orla_paid).toBe(1);
+    expect(fs.readFileSync(path.join(projectPath, 'imports', 'lucia_1.jpg'), 'utf8')).toBe('lucia');
+    expect(fs.readFileSync(path.join(projectPath, 'imports', 'lucia.jpg'), 'utf8')).toBe('otra foto');
+    expect((await dbManager.getImageTags('lucia_1.jpg')).map(row => row.tag)).toEqual(['orla']);
+
+    const [history] = await dbManager.getUserImages(lucia.id);
+    expect(history.source).toBe('previous_year');
+  });
+
+  test('should reject folders that are not projects', async () => {
+    await expect(readPreviousProject(tempDir))
+      .rejects.toThrow('No se encontró la base de datos del proyecto anterior');
+  });
+});
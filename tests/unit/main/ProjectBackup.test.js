@@ -0,0 +1,287 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Project backup Tests
+ *
+ * Tests for creating and restoring .ucbackup archives
+ */
+
+// archiver keeps the timer functions it finds when loaded: use the real ones
+jest.useRealTimers();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const archiver = require('archiver');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  getBackupFileName,
+  createProjectBackup,
+  restoreProjectBackup
+} = require('../../../src/main/utils/projectBackup');
+
+// Write a .ucbackup by hand, to simulate damaged or foreign archives
+function writeArchive(archivePath, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(archivePath);
+    const archive = archiver('tar', { gzip: true });
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    entries.forEach(({ name, content }) => archive.append(content, { name }));
+    archive.finalize();
+  });
+}
+
+// Write a single-file tar.gz without the path normalization archiver applies
+function rawTarEntry({ name, content = '', type = '0', linkName = '' }) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0);
+  header.write('0000644\0', 100);
+  header.write(content.length.toString(8).padStart(11, '0') + '\0', 124);
+  header.write(type, 156);
+  header.write(linkName, 157);
+  header.write('ustar\0', 257);
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+  const data = Buffer.alloc(Math.ceil(content.length / 512) * 512);
+  data.write(content);
+  return Buffer.concat([header, data]);
+}
+
+// Write a tar archive entry by entry, with names and types archiver refuses to write
+function writeRawArchive(archivePath, entries, { truncate = false } = {}) {
+  const tarData = Buffer.concat([...entries.map(rawTarEntry), Buffer.alloc(1024)]);
+  fs.writeFileSync(archivePath, zlib.gzipSync(truncate ? tarData.subarray(0, 700) : tarData));
+}
+
+describe('projectBackup', () => {
+  let tempDir;
+  let projectPath;
+  let dbManager;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-backup-'));
+    projectPath = path.join(tempDir, 'Curso2425');
+    ['data', 'imports', 'ingest'].forEach(folder => {
+      fs.mkdirSync(path.join(projectPath, folder), { recursive: true });
+    });
+    fs.writeFileSync(path.join(projectPath, 'imports', '20250110093000.jpg'), 'jpeg data');
+    fs.writeFileSync(path.join(projectPath, 'app.log'), '[INFO] Logger initialized\n');
+
+    dbManager = new DatabaseManager(path.join(projectPath, 'data', 'users.db'));
+    await dbManager.initialize();
+    await dbManager.importUsers({
+      groups: [{ code: '1ESO-A', name: '1º ESO A' }],
+      students: [{ first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: '1ESO-A' }],
+      teachers: [],
+      nonTeachingStaff: []
+    });
+  });
+
+  afterEach(() => {
+    dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should name backups after the project and date', () => {
+    expect(getBackupFileName('/proyectos/Curso2425', new Date(2025, 0, 10, 9, 5)))
+      .toBe('Curso2425_20250110_0905.ucbackup');
+  });
+
+  test('should restore the database, logs and images of the backup', async () => {
+    const backupPath = path.join(tempDir, 'copia.ucbackup');
+    const manifest = await createProjectBackup({
+      projectPath,
+      dbManager,
+      outputPath: backupPath,
+      includeImages: true,
+      repositoryPath: '/deposito/fotos'
+    });
+
+    expect(manifest.files.map(file => file.path).sort())
+      .toEqual(['app.log', 'data/users.db', 'imports/20250110093000.jpg']);
+    expect(manifest.repositoryPath).toBe('/deposito/fotos');
+
+    // Changes after the backup must not be restored
+    const [student] = await dbManager.getUsers();
+    await dbManager.deleteUser(student.id);
+
+    const restoredPath = path.join(tempDir, 'Restaurado');
+    await restoreProjectBackup({ backupPath, targetPath: restoredPath });
+
+    expect(fs.readFileSync(path.join(restoredPath, 'imports', '20250110093000.jpg'), 'utf8')).toBe('jpeg data');
+    expect(fs.existsSync(path.join(restoredPath, 'ingest'))).toBe(true);
+    expect(fs.readdirSync(restoredPath).filter(name => name.startsWith('.'))).toEqual([]);
+
+    const restoredDb = new DatabaseManager(path.join(restoredPath, 'data', 'users.db'));
+    await restoredDb.initialize();
+    try {
+      const users = await restoredDb.getUsers();
+      expect(users.map(user => user.first_name)).toEqual(['Lucía']);
+    } finally {
+      restoredDb.close();
+    }
+  });
+
+  test('should leave images out when not requested', async () => {
+    const backupPath = path.join(tempDir, 'copia.ucbackup');
+    const manifest = await createProjectBackup({ projectPath, dbManager, outputPath: backupPath });
+
+    expect(manifest.includeImages).toBe(false);
+    expect(manifest.files.map(file => file.path)).not.toContain('imports/20250110093000.jpg');
+  });
+
+  test('should keep the photos of a project when the backup has no images', async () => {
+    const backupPath = path.join(tempDir, 'copia.ucbackup');
+    await createProjectBackup({ projectPath, dbManager, outputPath: backupPath });
+
+    const existingPath = path.join(tempDir, 'Existente');
+    ['data', 'imports', 'ingest'].forEach(folder => {
+      fs.mkdirSync(path.join(existingPath, folder), { recursive: true });
+    });
+    fs.writeFileSync(path.join(existingPath, 'data', 'users.db'), 'old database');
+    fs.writeFileSync(path.join(existingPath, 'imports', '20250301100000.jpg'), 'photo');
+    fs.writeFileSync(path.join(existingPath, 'ingest', '20250301100500.jpg'), 'pending photo');
+
+    await restoreProjectBackup({ backupPath, targetPath: existingPath });
+
+    expect(fs.readFileSync(path.join(existingPath, 'imports', '20250301100000.jpg'), 'utf8')).toBe('photo');
+    expect(fs.readFileSync(path.join(existingPath, 'ingest', '20250301100500.jpg'), 'utf8')).toBe('pending photo');
+    expect(fs.readFileSync(path.join(existingPath, 'data', 'users.db'), 'utf8')).not.toBe('old database');
+    expect(fs.readdirSync(existingPath).filter(name => name.startsWith('.'))).toEqual([]);
+  });
+
+  test('should leave the project as it was when a restored entry cannot be moved in', async () => {
+    const backupPath = path.join(tempDir, 'copia.ucbackup');
+    await createProjectBackup({ projectPath, dbManager, outputPath: backupPath, includeImages: true });
+
+    const existingPath = path.join(tempDir, 'Existente');
+    ['data', 'imports'].forEach(folder => {
+      fs.mkdirSync(path.join(existingPath, folder), { recursive: true });
+    });
+    fs.writeFileSync(path.join(existingPath, 'data', 'users.db'), 'old database');
+    fs.writeFileSync(path.join(existingPath, 'imports', '20250301100000.jpg'), 'photo');
+
+    // Moving the restored images in fails
+    const renameSync = fs.renameSync;
+    const spy = jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      if (to === path.join(existingPath, 'imports') && from.includes('.ucrestore-')) {
+        throw new Error('EBUSY');
+      }
+      return renameSync(from, to);
+    });
+
+    try {
+      await expect(restoreProjectBackup({ backupPath, targetPath: existingPath })).rejects.toThrow('EBUSY');
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(fs.readFileSync(path.join(existingPath, 'data', 'users.db'), 'utf8')).toBe('old database');
+    expect(fs.readdirSync(path.join(existingPath, 'imports'))).toEqual(['20250301100000.jpg']);
+    expect(fs.readdirSync(existingPath).filter(name => name.startsWith('.'))).toEqual([]);
+  });
+
+  test('should reject files that do not match the manifest', async () => {
+    const backupPath = path.join(tempDir, 'dañada.ucbackup');
+    await writeArchive(backupPath, [
+      {
+        name: 'manifest.json',
+        content: JSON.stringify({
+          format: 'ucbackup',
+          formatVersion: 1,
+          files: [{ path: 'data/users.db', size: 4, sha256: '0'.repeat(64) }]
+        })
+      },
+      { name: 'data/users.db', content: 'fake' }
+    ]);
+
+    const restoredPath = path.join(tempDir, 'Restaurado');
+    await expect(restoreProjectBackup({ backupPath, targetPath: restoredPath }))
+      .rejects.toThrow('La copia de seguridad está dañada: 1 archivo no coincide con el manifiesto (data/users.db)');
+    expect(fs.readdirSync(restoredPath)).toEqual([]);
+  });
+
+  test('should reject archives without a manifest or with paths outside the project', async () => {
+    const foreignPath = path.join(tempDir, 'otro.ucbackup');
+    await writeArchive(foreignPath, [{ name: 'notas.txt', content: 'hola' }]);
+    await expect(restoreProjectBackup({ backupPath: foreignPath, targetPath: path.join(tempDir, 'A') }))
+      .rejects.toThrow('El archivo no es una copia de seguridad válida');
+
+    const unsafePath = path.join(tempDir, 'peligrosa.ucbackup');
+    writeRawArchive(unsafePath, [{ name: '../../fuera.txt', content: 'hola' }]);
+    await expect(restoreProjectBackup({ backupPath: unsafePath, targetPath: path.join(tempDir, 'B') }))
+      .rejects.toThrow('ruta no válida');
+    expect(fs.existsSync(path.join(tempDir, 'fuera.txt'))).toBe(false);
+
+    const plainPath = path.join(tempDir, 'texto.ucbackup');
+    fs.writeFileSync(plainPath, 'no es un archivo comprimido');
+    await expect(restoreProjectBackup({ backupPath: plainPath, targetPath: path.join(tempDir, 'C') }))
+      .rejects.toThrow('El archivo no es una copia de seguridad válida');
+  });
+
+  test('should reject absolute paths', async () => {
+    const outsidePath = path.join(tempDir, 'absoluta.txt');
+    const backupPath = path.join(tempDir, 'absoluta.ucbackup');
+    writeRawArchive(backupPath, [{ name: outsidePath, content: 'hola' }]);
+
+    await expect(restoreProjectBackup({ backupPath, targetPath: path.join(tempDir, 'A') }))
+      .rejects.toThrow('ruta no válida');
+    expect(fs.existsSync(outsidePath)).toBe(false);
+  });
+
+  test('should reject manifests that list files outside the backup', async () => {
+    for (const listedPath of ['../../secreto.txt', path.join(tempDir, 'secreto.txt')]) {
+      const backupPath = path.join(tempDir, 'manifiesto.ucbackup');
+      await writeArchive(backupPath, [
+        {
+          name: 'manifest.json',
+          content: JSON.stringify({
+            format: 'ucbackup',
+            formatVersion: 1,
+            files: [
+              { path: 'data/users.db', size: 4, sha256: '0'.repeat(64) },
+              { path: listedPath, size: 4, sha256: '0'.repeat(64) }
+            ]
+          })
+        },
+        { name: 'data/users.db', content: 'fake' }
+      ]);
+
+      await expect(restoreProjectBackup({ backupPath, targetPath: path.join(tempDir, 'Restaurado') }))
+        .rejects.toThrow(`La copia de seguridad contiene una ruta no válida: ${listedPath}`);
+    }
+  });
+
+  test('should not extract links, so files cannot be written through them', async () => {
+    const outsideDir = path.join(tempDir, 'fuera');
+    fs.mkdirSync(outsideDir);
+    const backupPath = path.join(tempDir, 'enlaces.ucbackup');
+    writeRawArchive(backupPath, [
+      { name: 'imports', type: '2', linkName: outsideDir },
+      { name: 'imports/20250110093000.jpg', content: 'jpeg data' },
+      { name: 'app.log', type: '1', linkName: path.join(projectPath, 'app.log') }
+    ]);
+    const targetPath = path.join(tempDir, 'A');
+
+    await expect(restoreProjectBackup({ backupPath, targetPath }))
+      .rejects.toThrow('El archivo no es una copia de seguridad válida');
+    expect(fs.readdirSync(outsideDir)).toEqual([]);
+    expect(fs.readdirSync(targetPath)).toEqual([]);
+  });
+
+  test('should reject truncated archives', async () => {
+    const backupPath = path.join(tempDir, 'cortada.ucbackup');
+    writeRawArchive(backupPath, [{ name: 'manifest.json', content: 'x'.repeat(2000) }], { truncate: true });
+
+    await expect(restoreProjectBackup({ backupPath, targetPath: path.join(tempDir, 'A') }))
+      .rejects.toThrow('La copia de seguridad está incompleta');
+  });
+});
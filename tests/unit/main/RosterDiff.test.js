@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Roster diff Tests
+ *
+ * Tests for the field-level comparison shown before applying an XML update
+ */
+
+const { buildRosterDiff, summarizeRosterDiff, buildRosterDiffCSV, getRosterKey } = require('../../../src/main/utils/rosterDiff');
+const { attributesEqual } = require('../../../src/main/utils/userAttributes');
+
+const toMap = (users) => new Map(users.map(user => [getRosterKey(user), user]));
+
+describe('rosterDiff', () => {
+  const currentUsers = [
+    { id: 1, type: 'student', first_name: 'Lucia', last_name1: 'García', last_name2: null, birth_date: '01/02/2010', document: '', nia: 123, group_code: '1ESO-A', image_path: 'a.jpg' },
+    { id: 2, type: 'student', first_name: 'Pablo', last_name1: 'Ruiz', last_name2: 'Sanz', birth_date: null, document: '12345678Z', nia: 124, group_code: '1ESO-A' },
+    { id: 3, type: 'teacher', first_name: 'Marta', last_name1: 'López', last_name2: '', birth_date: null, document: '11111111A', nia: null, group_code: 'DOCENTES' },
+    { id: 4, type: 'student', first_name: 'Ana', last_name1: 'Sanz', last_name2: '', birth_date: null, document: '', nia: 125, group_code: '2ESO-A', image_path: 'b.jpg' },
+    { id: 5, type: 'student', first_name: 'Eva', last_name1: 'Gil', last_name2: '', birth_date: null, document: '', nia: 126, group_code: '2ESO-A' },
+    { id: 6, type: 'student', first_name: 'Luis', last_name1: 'Mora', last_name2: '', birth_date: null, document: '', nia: 127, group_code: '2ESO-A', manually_managed: 1 }
+  ];
+
+  const newUsers = [
+    // Name spelling and group move
+    { type: 'student', first_name: 'Lucía', last_name1: 'García', last_name2: '', birth_date: '01/02/2010', document: '', nia: '123', group_code: '2ESO-A', attributes: {} },
+    // New NIA, matched by document
+    { type: 'student', first_name: 'Pablo', last_name1: 'Ruiz', last_name2: 'Sanz', birth_date: null, document: '12345678Z', nia: '900', group_code: '1ESO-A', attributes: {} },
+    // Teacher without group stays in DOCENTES
+    { type: 'teacher', first_name: 'Marta', last_name1: 'López', last_name2: '', birth_date: null, document: '11111111A', group_code: null, attributes: {} },
+    // New student
+    { type: 'student', first_name: 'Sara', last_name1: 'Vidal', last_name2: '', birth_date: null, document: '', nia: '200', group_code: '1ESO-A', attributes: {} }
+  ];
+
+  test('lists additions, removals and field changes', () => {
+    const diff = buildRosterDiff({ currentUsers, newUsersMap: toMap(newUsers), attributesEqual });
+    const byKey = new Map(diff.entries.map(entry => [entry.key, entry]));
+
+    expect(diff.unchanged).toBe(1);
+    expect(diff.manuallyManaged.map(user => user.id)).toEqual([6]);
+
+    const lucia = byKey.get('student_123');
+    expect(lucia.change).toBe('update');
+    expect(lucia.fields.map(field => [field.key, field.before, field.after])).toEqual([
+      ['first_name', 'Lucia', 'Lucía'],
+      ['group_code', '1ESO-A', '2ESO-A']
+    ]);
+    expect(lucia.categories).toEqual(['name', 'group']);
+
+    const pablo = byKey.get('student_900');
+    expect(pablo).toEqual(expect.objectContaining({ change: 'update', userId: 2, categories: ['identifier'] }));
+    expect(byKey.has('student_124')).toBe(false);
+
+    expect(byKey.get('student_200')).toEqual(expect.objectContaining({ change: 'add', groupAfter: '1ESO-A' }));
+    expect(byKey.get('student_125')).toEqual(expect.objectContaining({ change: 'delete', userId: 4, hasImage: true }));
+    expect(byKey.get('student_126')).toEqual(expect.objectContaining({ change: 'delete', hasImage: false }));
+  });
+
+  test('detects changes in the extra attributes', () => {
+    const attributes = new Map([[3, { email: 'marta@centro.es' }]]);
+    const teacher = { ...newUsers[2], attributes: { email: 'marta.lopez@centro.es' } };
+
+    const diff = buildRosterDiff({
+      currentUsers: [currentUsers[2]],
+      newUsersMap: toMap([teacher]),
+      currentAttributes: attributes,
+      attributesEqual
+    });
+
+    expect(diff.entries).toHaveLength(1);
+    expect(diff.entries[0]).toEqual(expect.objectContaining({ fields: [], attributesChanged: true, categories: ['attributes'] }));
+  });
+
+  test('lists users back from Eliminados as restorations of the same record', () => {
+    const deletedUser = { ...currentUsers[3], group_code: 'ELIMINADOS' };
+    const returning = { type: 'student', first_name: 'Ana', last_name1: 'Sanz', last_name2: '', birth_date: null, document: '', nia: '125', group_code: '3ESO-A', attributes: {} };
+
+    const diff = buildRosterDiff({ currentUsers: [deletedUser], newUsersMap: toMap([returning]), attributesEqual });
+
+    expect(diff.entries).toHaveLength(1);
+    expect(diff.entries[0]).toEqual(expect.objectContaining({
+      change: 'restore',
+      userId: 4,
+      hasImage: true,
+      groupBefore: 'ELIMINADOS',
+      groupAfter: '3ESO-A'
+    }));
+
+    const csv = buildRosterDiffCSV(diff.entries).split('\n');
+    expect(csv).toContain('Recuperación,Alumno,125,Ana Sanz,ELIMINADOS,3ESO-A,Grupo,ELIMINADOS,3ESO-A,Sí');
+  });
+
+  test('matches teachers and staff by document whatever their type', () => {
+    const staff = { ...newUsers[2], type: 'non_teaching_staff' };
+
+    const diff = buildRosterDiff({ currentUsers: [currentUsers[2]], newUsersMap: toMap([staff]), attributesEqual });
+
+    expect(diff.entries).toEqual([expect.objectContaining({ change: 'update', userId: 3, fields: [expect.objectContaining({ key: 'group_code' })] })]);
+  });
+
+  test('does not match by document a student whose NIA is still in the roster', () => {
+    const sibling = { ...newUsers[1], first_name: 'Pedro', nia: '901' };
+    const pablo = { ...newUsers[1], nia: '124' };
+
+    const diff = buildRosterDiff({ currentUsers: [currentUsers[1]], newUsersMap: toMap([pablo, sibling]), attributesEqual });
+
+    expect(diff.unchanged).toBe(1);
+    expect(diff.entries).toEqual([expect.objectContaining({ key: 'student_901', change: 'add' })]);
+  });
+
+  test('compares large rosters', () => {
+    const count = 20000;
+    const students = Array.from({ length: count }, (_, i) => ({
+      id: i + 1, type: 'student', first_name: 'Alumno', last_name1: String(i), last_name2: '', birth_date: null, document: '', nia: 100000 + i, group_code: '1ESO-A'
+    }));
+    const roster = students.map(({ id, ...user }) => ({ ...user, nia: String(user.nia), attributes: {} }));
+    roster[0].group_code = '2ESO-A';
+
+    const diff = buildRosterDiff({ currentUsers: students, newUsersMap: toMap(roster), attributesEqual });
+
+    expect(diff.unchanged).toBe(count - 1);
+    expect(diff.entries).toEqual([expect.objectContaining({ key: 'student_100000', change: 'update' })]);
+  });
+
+  test('counts the changes of a diff for the update summary', () => {
+    const diff = buildRosterDiff({ currentUsers, newUsersMap: toMap(newUsers), attributesEqual });
+
+    expect(summarizeRosterDiff(diff)).toEqual({
+      toAdd: 1,
+      toUpdate: 2,
+      toRestore: 0,
+      toDelete: 2,
+      toDeleteWithImage: 1,
+      toDeleteWithoutImage: 1,
+      unchanged: 1,
+      manuallyManaged: 1
+    });
+  });
+
+  test('exports one CSV row per changed field with the approval', () => {
+    const diff = buildRosterDiff({ currentUsers, newUsersMap: toMap(newUsers), attributesEqual });
+
+    const csv = buildRosterDiffCSV(diff.entries, ['student_123']).split('\n');
+
+    expect(csv[0]).toBe('Cambio,Tipo,Identificador,Nombre,Grupo actual,Grupo nuevo,Campo,Valor actual,Valor nuevo,Aprobado');
+    expect(csv).toContain('Cambio,Alumno,123,Lucia García,1ESO-A,2ESO-A,Nombre,Lucia,Lucía,Sí');
+    expect(csv).toContain('Cambio,Alumno,123,Lucia García,1ESO-A,2ESO-A,Grupo,1ESO-A,2ESO-A,Sí');
+    expect(csv).toContain('Baja,Alumno,125,Ana Sanz,2ESO-A,,,Con foto: se mueve a ¡Eliminados!,,No');
+    expect(csv).toContain('Alta,Alumno,200,Sara Vidal,,1ESO-A,,,,No');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Roster duplicates Tests
+ *
+ * Tests for finding repeated identifiers in a roster and applying the
+ * decisions taken for them
+ */
+
+const {
+  findRosterDuplicates,
+  validateResolution,
+  prepareResolutions,
+  applyDuplicateResolutions,
+  loadDuplicateResolutions,
+  saveDuplicateResolutions,
+  attachSavedResolutions
+} = require('../../../src/main/utils/rosterDuplicates');
+
+const STUDENT_A = { first_name: 'Lucía', last_name1: 'García', nia: '10000001', group_code: null, attributes: { email: 'lucia@example.com' } };
+const STUDENT_B = { first_name: 'Lucia', last_name1: 'García', nia: '10000001', group_code: '1ESO-A', document: '12345678A', attributes: {} };
+const TEACHER = { first_name: 'Ana', last_name1: 'Pérez', document: '87654321B', attributes: {} };
+
+const ROSTER = [
+  { section: 'groups', data: { code: '1ESO-A', name: '1º ESO A' } },
+  { section: 'students', data: STUDENT_A },
+  { section: 'teachers', data: TEACHER },
+  { section: 'students', data: STUDENT_B }
+];
+
+async function* toRecords(list) {
+  yield* list;
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('rosterDuplicates', () => {
+  test('should find identifiers that appear more than once', async () => {
+    const duplicates = await findRosterDuplicates(() => toRecords(ROSTER));
+
+    expect(duplicates).toHaveLength(1);
+    expect(duplicates[0].key).toBe('student_10000001');
+    expect(duplicates[0].type).toBe('student');
+    expect(duplicates[0].occurrences).toEqual([STUDENT_A, STUDENT_B]);
+  });
+
+  test('should read the roster again only when an identifier repeats', async () => {
+    const openRecords = jest.fn(() => toRecords(ROSTER.slice(0, 3)));
+    expect(await findRosterDuplicates(openRecords)).toEqual([]);
+    expect(openRecords).toHaveBeenCalledTimes(1);
+
+    openRecords.mockImplementation(() => toRecords(ROSTER));
+    expect(await findRosterDuplicates(openRecords)).toHaveLength(1);
+    expect(openRecords).toHaveBeenCalledTimes(3);
+  });
+
+  test('should keep only the chosen occurrence', async () => {
+    const [duplicate] = await findRosterDuplicates(() => toRecords(ROSTER));
+    const records = await collect(applyDuplicateResolutions(toRecords(ROSTER), [
+      { key: duplicate.key, signature: duplicate.signature, action: 'keep', occurrence: 0 }
+    ]));
+
+    expect(records.map(record => record.data)).toEqual([ROSTER[0].data, STUDENT_A, TEACHER]);
+  });
+
+  test('should import the merged user in place of the first occurrence', async () => {
+    const [duplicate] = await findRosterDuplicates(() => toRecords(ROSTER));
+    const user = { ...STUDENT_A, group_code: '1ESO-A' };
+    const records = await collect(applyDuplicateResolutions(toRecords(ROSTER), [
+      { key: duplicate.key, signature: duplicate.signature, action: 'merge', fields: { group_code: 1 }, user }
+    ]));
+
+    expect(records).toHaveLength(3);
+    expect(records[1]).toEqual({ section: 'students', data: { ...STUDENT_A, group_code: '1ESO-A' } });
+  });
+
+  test('should import every occurrence with its own type when splitting', async () => {
+    const [duplicate] = await findRosterDuplicates(() => toRecords(ROSTER));
+    const records = await collect(applyDuplicateResolutions(toRecords(ROSTER), [
+      { key: duplicate.key, signature: duplicate.signature, action: 'split', types: ['student', 'teacher'] }
+    ]));
+
+    expect(records).toHaveLength(4);
+    expect(records[3].section).toBe('teachers');
+    expect(records[3].data.nia).toBeUndefined();
+    expect(records[3].data.group_code).toBeUndefined();
+    expect(records[3].data.document).toBe('12345678A');
+  });
+
+  test('should reject decisions that cannot be applied', async () => {
+    const [duplicate] = await findRosterDuplicates(() => toRecords(ROSTER));
+    const decide = (decision) => validateResolution({ key: duplicate.key, signature: duplicate.signature, ...decision }, duplicate);
+
+    expect(decide({ action: 'keep', occurrence: 1 })).toBeNull();
+    expect(decide({ action: 'keep' })).toContain('Falta');
+    expect(decide({ action: 'keep', occurrence: 2 })).toContain('Falta');
+    expect(decide({ action: 'merge', fields: { group_code: 1 } })).toBeNull();
+    expect(decide({ action: 'merge', fields: { group_code: 5 } })).toContain('no válidos');
+    expect(decide({ action: 'split', types: ['teacher', 'teacher'] })).toContain('tipos distintos');
+    expect(decide({ action: 'split', types: ['student'] })).toContain('Falta el tipo');
+    expect(decide({ action: 'split', types: ['teacher', 'student'] })).toContain('La aparición 1');
+    expect(decide({ action: 'borrar' })).toContain('desconocida');
+    expect(validateResolution({ key: duplicate.key, signature: '[]', action: 'keep', occurrence: 0 }, duplicate)).toContain('han cambiado');
+    expect(validateResolution({ key: 'student_1', signature: '[]', action: 'keep', occurrence: 0 })).toContain('han cambiado');
+  });
+
+  test('should rebuild the merged user from the occurrences instead of taking it from the renderer', async () => {
+    const duplicates = await findRosterDuplicates(() => toRecords(ROSTER));
+    const [resolution] = prepareResolutions([{
+      key: duplicates[0].key,
+      signature: duplicates[0].signature,
+      action: 'merge',
+      fields: { group_code: 1 },
+      user: { ...STUDENT_A, first_name: 'Otra' }
+    }], duplicates);
+
+    expect(resolution.user).toEqual(expect.objectContaining({ first_name: 'Lucía', group_code: '1ESO-A', attributes: STUDENT_A.attributes }));
+    expect(() => prepareResolutions([{ key: 'student_1', signature: '[]', action: 'keep', occurrence: 0 }], duplicates)).toThrow('han cambiado');
+  });
+
+  test('should reuse saved decisions only while the occurrences do not change', async () => {
+    const settings = {};
+    const dbManager = {
+      getProjectSetting: async (key) => settings[key] || null,
+      setProjectSetting: async (key, value) => { settings[key] = value; }
+    };
+
+    const [duplicate] = await findRosterDuplicates(() => toRecords(ROSTER));
+    await saveDuplicateResolutions(dbManager, [
+      { key: duplicate.key, signature: duplicate.signature, action: 'merge', fields: { first_name: 0, group_code: 1 }, user: {} }
+    ]);
+    const saved = await loadDuplicateResolutions(dbManager);
+
+    const [attached] = attachSavedResolutions([duplicate], saved);
+    expect(attached.resolution.user.first_name).toBe('Lucía');
+    expect(attached.resolution.user.group_code).toBe('1ESO-A');
+
+    const changedRoster = [...ROSTER.slice(0, 3), { section: 'students', data: { ...STUDENT_B, group_code: '2ESO-A' } }];
+    const [changed] = attachSavedResolutions(await findRosterDuplicates(() => toRecords(changedRoster)), saved);
+    expect(changed.resolution).toBeUndefined();
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Roster parser Tests
+ *
+ * Tests for importing users from CSV and XLSX files with a column mapping
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { parseCSV, readSpreadsheet } = require('../../../src/main/spreadsheetReader');
+const {
+  suggestColumnMapping,
+  createRosterParser,
+  isSpreadsheetRoster
+} = require('../../../src/main/rosterParser');
+const XMLUserParser = require('../../../src/main/xmlParser');
+
+/**
+ * Build a zip archive with deflated entries (CRCs are left at 0; the reader does not check them)
+ * @param {Object} files - Name -> content
+ * @param {Object} [declaredSizes] - Name -> size written in the headers instead of the real one
+ */
+function buildZip(files, declaredSizes = {}) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = zlib.deflateRawSync(Buffer.from(content, 'utf8'));
+    const size = declaredSizes[name] ?? Buffer.byteLength(content, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function buildWorkbook() {
+  return buildZip({
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8"?>
+      <workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+        <sheets><sheet name="Alumnado" sheetId="1" r:id="rId1"/></sheets>
+      </workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8"?>
+      <Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>`,
+    'xl/sharedStrings.xml': `<?xml version="1.0" encoding="UTF-8"?>
+      <sst><si><t>NIA</t></si><si><t>Nombre</t></si><si><t>Apellido1</t></si>
+      <si><t>Fecha de nacimiento</t></si><si><t>Grupo</t></si>
+      <si><t>Lucía</t></si><si><r><t>Gar</t></r><r><t>cía</t></r></si><si><t>1ESO-A</t></si></sst>`,
+    'xl/styles.xml': `<?xml version="1.0" encoding="UTF-8"?>
+      <styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>`,
+    'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8"?>
+      <worksheet><sheetData>
+        <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c><c r="E1" t="s"><v>4</v></c></row>
+        <row r="2"><c r="A2"><v>10000001</v></c><c r="B2" t="s"><v>5</v></c><c r="C2" t="s"><v>6</v></c><c r="D2" s="1"><v>40179</v></c><c r="E2" t="s"><v>7</v></c></row>
+        <row r="3"><c r="A3"><v>10000002</v></c><c r="B3" t="inlineStr"><is><t>Pablo</t></is></c><c r="C3" t="inlineStr"><is><t>Ruiz</t></is></c><c r="E3" t="s"><v>7</v></c></row>
+      </sheetData></worksheet>`
+  });
+}
+
+describe('roster import', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    // yauzl reads XLSX workbooks on later ticks of the event loop
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('parseCSV handles quoted fields, doubled quotes and CRLF', () => {
+    const rows = parseCSV('Nombre;Observaciones\r\n"Ana";"Dice ""hola""; y se va"\r\nPablo;"Dos\nlíneas"\r\n');
+
+    expect(rows).toEqual([
+      ['Nombre', 'Observaciones'],
+      ['Ana', 'Dice "hola"; y se va'],
+      ['Pablo', 'Dos\nlíneas']
+    ]);
+  });
+
+  test('reads Latin-1 CSV files saved by Excel and suggests the column mapping', async () => {
+    const filePath = path.join(tempDir, 'alumnos.csv');
+    fs.writeFileSync(filePath, Buffer.from('NIA;Nombre;Primer apellido;Segundo Apellido;Curso\n123;Lucía;García;Peña;1ESO-A\n', 'latin1'));
+
+    const { headers, rows } = await readSpreadsheet(filePath);
+
+    expect(rows).toEqual([['123', 'Lucía', 'García', 'Peña', '1ESO-A']]);
+    expect(suggestColumnMapping(headers)).toEqual({
+      columns: {
+        first_name: 'Nombre',
+        last_name1: 'Primer apellido',
+        last_name2: 'Segundo Apellido',
+        nia: 'NIA',
+        group_code: 'Curso'
+      },
+      defaultType: 'student'
+    });
+  });
+
+  test('reads the first sheet of an XLSX workbook with shared strings and dates', async () => {
+    const filePath = path.join(tempDir, 'alumnos.xlsx');
+    fs.writeFileSync(filePath, buildWorkbook());
+
+    const { headers, rows } = await readSpreadsheet(filePath);
+
+    expect(headers).toEqual(['NIA', 'Nombre', 'Apellido1', 'Fecha de nacimiento', 'Grupo']);
+    expect(rows).toEqual([
+      ['10000001', 'Lucía', 'García', '01/01/2010', '1ESO-A'],
+      ['10000002', 'Pablo', 'Ruiz', '', '1ESO-A']
+    ]);
+  });
+
+  test('rejects files that are not XLSX workbooks', async () => {
+    const filePath = path.join(tempDir, 'alumnos.xlsx');
+    fs.writeFileSync(filePath, 'NIA;Nombre\n123;Lucía\n');
+
+    await expect(readSpreadsheet(filePath)).rejects.toThrow('El archivo no es un libro de Excel (.xlsx) válido');
+  });
+
+  test('refuses workbooks with parts too big to inflate', async () => {
+    const filePath = path.join(tempDir, 'alumnos.xlsx');
+    fs.writeFileSync(filePath, buildZip(
+      { 'xl/workbook.xml': '<workbook/>', 'xl/sharedStrings.xml': '<sst/>' },
+      { 'xl/sharedStrings.xml': 60 * 1024 * 1024 }
+    ));
+
+    await expect(readSpreadsheet(filePath)).rejects.toThrow('El libro de Excel es demasiado grande');
+  });
+
+  test('rejects parts that inflate to more than they declare', async () => {
+    const filePath = path.join(tempDir, 'alumnos.xlsx');
+    fs.writeFileSync(filePath, buildZip(
+      { 'xl/workbook.xml': '<workbook/>', 'xl/sharedStrings.xml': `<sst>${' '.repeat(1024 * 1024)}</sst>` },
+      { 'xl/sharedStrings.xml': 1024 }
+    ));
+
+    await expect(readSpreadsheet(filePath)).rejects.toThrow('El archivo no es un libro de Excel (.xlsx) válido');
+  });
+
+  test('builds the same shape as the XML parser from a mapped CSV', async () => {
+    const filePath = path.join(tempDir, 'personal.csv');
+    fs.writeFileSync(filePath, [
+      'Tipo,Nombre,Apellido 1,DNI,NIA,Grupo,Nombre grupo,Email',
+      'Alumno,Lucía,García,,123,1ESO-A,1º ESO A,lucia@centro.es',
+      'Profesor,Marta,López,11111111A,,,,',
+      'PAS,Juan,Sanz,22222222B,,,,juan@centro.es',
+      ',Pablo,Ruiz,,124,1ESO-A,,'
+    ].join('\n'));
+
+    const { headers } = await readSpreadsheet(filePath);
+    const mapping = suggestColumnMapping(headers);
+    const result = await createRosterParser(filePath, mapping).parse();
+
+    expect(result.groups).toEqual([{ code: '1ESO-A', name: '1º ESO A' }]);
+    expect(result.students).toHaveLength(2);
+    expect(result.students[0]).toEqual({
+      first_name: 'Lucía',
+      last_name1: 'García',
+      last_name2: '',
+      birth_date: null,
+      document: '',
+      nia: '123',
+      group_code: '1ESO-A',
+      attributes: { Email: 'lucia@centro.es' }
+    });
+    expect(result.teachers.map(user => user.document)).toEqual(['11111111A']);
+    expect(result.nonTeachingStaff.map(user => user.document)).toEqual(['22222222B']);
+  });
+
+  test('requires a valid mapping for spreadsheets but not for XML', async () => {
+    const filePath = path.join(tempDir, 'alumnos.csv');
+    fs.writeFileSync(filePath, 'Nombre;Apellido1\nLucía;García\n');
+
+    expect(isSpreadsheetRoster(filePath)).toBe(true);
+    expect(createRosterParser(path.join(tempDir, 'alumnos.xml'))).toBeInstanceOf(XMLUserParser);
+    expect(() => createRosterParser(filePath)).toThrow('Falta la asignación de columnas');
+    expect(() => createRosterParser(path.join(tempDir, 'alumnos.ods'))).toThrow('no soportado');
+
+    await expect(createRosterParser(filePath, suggestColumnMapping(['Nombre', 'Apellido1'])).parse())
+      .rejects.toThrow('Falta asignar la columna de NIA o la de documento');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Roster source Tests
+ *
+ * Tests for the source roster remembered by a project and the lookup of the
+ * newest export in a drop folder
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../../src/main/database');
+const {
+  hashFile,
+  isRosterFile,
+  findNewestRosterFile,
+  loadRosterSource,
+  rememberRosterFile
+} = require('../../../src/main/utils/rosterSource');
+
+describe('Roster source', () => {
+  let tempDir;
+  let dbManager;
+
+  beforeAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-source-'));
+    dbManager = new DatabaseManager(path.join(tempDir, 'test.db'));
+    await dbManager.initialize();
+  });
+
+  afterEach(() => {
+    dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content, modified) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    if (modified) {
+      fs.utimesSync(filePath, modified, modified);
+    }
+    return filePath;
+  };
+
+  test('should recognise roster files by extension', () => {
+    expect(isRosterFile('/exportaciones/alumnos.XML')).toBe(true);
+    expect(isRosterFile('alumnos.csv')).toBe(true);
+    expect(isRosterFile('alumnos.xlsx')).toBe(true);
+    expect(isRosterFile('alumnos.pdf')).toBe(false);
+  });
+
+  test('should find the newest roster file of a folder', () => {
+    writeFile('antiguo.xml', '<a/>', new Date('2024-09-01'));
+    const newest = writeFile('nuevo.csv', 'nia', new Date('2024-10-01'));
+    writeFile('notas.txt', 'texto', new Date('2024-11-01'));
+
+    expect(findNewestRosterFile(tempDir)).toBe(newest);
+    expect(findNewestRosterFile(path.join(tempDir, 'no-existe'))).toBeNull();
+  });
+
+  test('should change the hash when the file changes', async () => {
+    const filePath = writeFile('alumnos.xml', '<a/>');
+    const before = await hashFile(filePath);
+    fs.writeFileSync(filePath, '<b/>');
+
+    expect(await hashFile(filePath)).not.toBe(before);
+  });
+
+  test('should remember the applied file as the source', async () => {
+    const filePath = writeFile('alumnos.csv', 'nia');
+    const mapping = { nia: 'nia' };
+
+    expect(await loadRosterSource(dbManager)).toBeNull();
+    await rememberRosterFile(dbManager, filePath, mapping);
+
+    expect(await loadRosterSource(dbManager)).toEqual({
+      path: filePath,
+      folder: false,
+      mapping,
+      hash: await hashFile(filePath)
+    });
+  });
+
+  test('should keep the drop folder when the applied file is inside it', async () => {
+    await dbManager.setProjectSetting('roster_source', JSON.stringify({ path: tempDir, folder: true, mapping: null, hash: null }));
+    const filePath = writeFile('alumnos.xml', '<a/>');
+
+    await rememberRosterFile(dbManager, filePath, null);
+
+    const source = await loadRosterSource(dbManager);
+    expect(source).toEqual(expect.objectContaining({ path: tempDir, folder: true }));
+    expect(source.hash).toBe(await hashFile(filePath));
+  });
+});
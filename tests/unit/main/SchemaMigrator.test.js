@@ -0,0 +1,243 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * SchemaMigrator Tests
+ *
+ * Tests for versioned schema migrations, including legacy databases created
+ * before the schema_version table existed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const SchemaMigrator = require('../../../src/main/schemaMigrator');
+const DatabaseManager = require('../../../src/main/database');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'databases');
+
+function openDatabase(dbPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) reject(err);
+      else resolve(db);
+    });
+  });
+}
+
+function closeDatabase(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function all(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+async function loadFixture(dbPath, fixtureName) {
+  const db = await openDatabase(dbPath);
+  await exec(db, fs.readFileSync(path.join(FIXTURES_DIR, fixtureName), 'utf8'));
+  return db;
+}
+
+async function columnNames(db, table) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  return columns.map(col => col.name);
+}
+
+describe('SchemaMigrator', () => {
+  let tempDir;
+  let dbPath;
+  let db;
+
+  beforeAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-migrator-'));
+    dbPath = path.join(tempDir, 'test.db');
+    db = null;
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await closeDatabase(db);
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Migration definitions', () => {
+    test('should reject non-consecutive versions', () => {
+      const up = async () => {};
+      expect(() => new SchemaMigrator(null, [
+        { version: 1, name: 'a', up },
+        { version: 3, name: 'c', up }
+      ])).toThrow('se esperaba la versión 2');
+    });
+
+    test('should reject migrations without up()', () => {
+      expect(() => new SchemaMigrator(null, [{ version: 1, name: 'a' }]))
+        .toThrow('no define up()');
+    });
+
+    test('should expose the latest version of the bundled migrations', () => {
+      const migrator = new SchemaMigrator(null);
+      expect(migrator.getLatestVersion()).toBe(migrator.migrations.length);
+    });
+  });
+
+  describe('Fresh database', () => {
+    test('should create the full schema and record every migration', async () => {
+      db = await openDatabase(dbPath);
+      const migrator = new SchemaMigrator(db);
+
+      const result = await migrator.migrate();
+
+      expect(result.from).toBe(0);
+      expect(result.to).toBe(migrator.getLatestVersion());
+      expect(result.applied).toHaveLength(migrator.getLatestVersion());
+
+      const userColumns = await columnNames(db, 'users');
+      expect(userColumns).toEqual(expect.arrayContaining(['orla_paid', 'receipt_printed']));
+
+      const versions = await all(db, 'SELECT version FROM schema_version ORDER BY version');
+      expect(versions.map(v => v.version)).toEqual(
+        migrator.migrations.map(m => m.version)
+      );
+    });
+
+    test('should be a no-op when already up to date', async () => {
+      db = await openDatabase(dbPath);
+      await new SchemaMigrator(db).migrate();
+
+      const result = await new SchemaMigrator(db).migrate();
+
+      expect(result.applied).toEqual([]);
+      expect(result.from).toBe(result.to);
+    });
+  });
+
+  describe('Legacy databases', () => {
+    test('should adopt a 1.0 database and add the missing columns', async () => {
+      db = await loadFixture(dbPath, 'legacy-v1.0.sql');
+
+      const result = await new SchemaMigrator(db).migrate();
+
+      expect(result.from).toBe(0);
+      const userColumns = await columnNames(db, 'users');
+      expect(userColumns).toEqual(expect.arrayContaining(['orla_paid', 'receipt_printed']));
+
+      const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table'");
+      expect(tables.map(t => t.name)).toContain('project_settings');
+
+      const users = await all(db, 'SELECT first_name, orla_paid, receipt_printed FROM users');
+      expect(users).toEqual([{ first_name: 'Lucía', orla_paid: 0, receipt_printed: 0 }]);
+
+      // Existing users are added to the search index
+      const indexed = await all(db, "SELECT rowid FROM users_fts WHERE users_fts MATCH 'lucia'");
+      expect(indexed).toHaveLength(1);
+    });
+
+    test('should keep existing data when adopting a 1.3 database', async () => {
+      db = await loadFixture(dbPath, 'legacy-v1.3.sql');
+
+      await new SchemaMigrator(db).migrate();
+
+      const users = await all(db, 'SELECT nia, orla_paid, receipt_printed FROM users');
+      expect(users).toEqual([{ nia: '10000002', orla_paid: 1, receipt_printed: 0 }]);
+
+      const settings = await all(db, 'SELECT key, value FROM project_settings');
+      expect(settings).toEqual([{ key: 'imageRepositoryPath', value: '/srv/deposito' }]);
+    });
+
+    test('should add linked photos to the photo history', async () => {
+      db = await loadFixture(dbPath, 'legacy-v1.3.sql');
+      await exec(db, "UPDATE users SET image_path = '20240915100000.jpg'");
+
+      await new SchemaMigrator(db).migrate();
+
+      const images = await all(db, 'SELECT image_path, status, source FROM user_images');
+      expect(images).toEqual([{ image_path: '20240915100000.jpg', status: 'current', source: null }]);
+    });
+  });
+
+  describe('Failures', () => {
+    test('should refuse a database created by a newer version', async () => {
+      db = await openDatabase(dbPath);
+      const migrator = new SchemaMigrator(db);
+      await migrator.migrate();
+      await exec(db, "INSERT INTO schema_version (version, name, applied_at) VALUES (999, 'future', datetime('now'))");
+
+      await expect(new SchemaMigrator(db).migrate()).rejects.toMatchObject({
+        code: 'SCHEMA_TOO_NEW'
+      });
+    });
+
+    test('should roll back a failing migration and keep the previous version', async () => {
+      db = await openDatabase(dbPath);
+      const migrations = [
+        {
+          version: 1,
+          name: 'create_items',
+          up: async (schema) => {
+            await schema.run('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+          }
+        },
+        {
+          version: 2,
+          name: 'broken',
+          up: async (schema) => {
+            await schema.run('CREATE TABLE half_done (id INTEGER)');
+            await schema.run('THIS IS NOT SQL');
+          }
+        }
+      ];
+
+      await expect(new SchemaMigrator(db, migrations).migrate())
+        .rejects.toThrow('Error al aplicar la migración 2 (broken)');
+
+      const migrator = new SchemaMigrator(db, migrations);
+      expect(await migrator.getCurrentVersion()).toBe(1);
+
+      const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table'");
+      expect(tables.map(t => t.name)).not.toContain('half_done');
+    });
+  });
+
+  describe('DatabaseManager integration', () => {
+    test('should migrate on initialize and report the schema version', async () => {
+      const dbManager = new DatabaseManager(dbPath);
+      await dbManager.initialize();
+
+      expect(dbManager.migrationResult.from).toBe(0);
+      expect(await dbManager.getSchemaVersion()).toBe(dbManager.migrationResult.to);
+
+      dbManager.close();
+    });
+
+    test('should not keep a connection open when the schema is too new', async () => {
+      db = await openDatabase(dbPath);
+      await exec(db, "CREATE TABLE schema_version (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL); INSERT INTO schema_version VALUES (999, 'future', datetime('now'));");
+
+      const dbManager = new DatabaseManager(dbPath);
+      await expect(dbManager.initialize()).rejects.toMatchObject({ code: 'SCHEMA_TOO_NEW' });
+      expect(dbManager.db).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * User attributes Tests
+ *
+ * Tests for the helpers that use extra XML attributes in exports
+ */
+
+const {
+  getUserAttribute,
+  attributesEqual,
+  fillUserTemplate
+} = require('../../../src/main/utils/userAttributes');
+
+const USER = {
+  first_name: 'Lucía',
+  last_name1: 'García',
+  last_name2: null,
+  group_code: '1ESO-A',
+  nia: '10000001'
+};
+
+describe('userAttributes', () => {
+  test('should read the first alias that has a value', () => {
+    const attributes = { telefono1: '', movil: '600111222', domicilio: 'C/ Mayor 1' };
+
+    expect(getUserAttribute(attributes, 'telefono')).toBe('');
+    expect(getUserAttribute(attributes, 'telefono2')).toBe('600111222');
+    expect(getUserAttribute(attributes, 'direccion')).toBe('C/ Mayor 1');
+    expect(getUserAttribute({}, 'departamento', '1')).toBe('1');
+    expect(getUserAttribute(undefined, 'email')).toBe('');
+  });
+
+  test('should compare attributes ignoring their order', () => {
+    expect(attributesEqual({ a: '1', b: '2' }, { b: '2', a: '1' })).toBe(true);
+    expect(attributesEqual({ a: '1' }, { a: '1', b: '2' })).toBe(false);
+    expect(attributesEqual(undefined, {})).toBe(true);
+  });
+
+  test('should fill user fields and attributes in templates', () => {
+    expect(fillUserTemplate('{apellido1} {apellido2}, {nombre}', USER)).toBe('García, Lucía');
+    expect(fillUserTemplate('Orla - {grupo} ({tutor})', USER, { tutor: 'Ana Pérez' })).toBe('Orla - 1ESO-A (Ana Pérez)');
+    expect(fillUserTemplate('{nombre} {email}', USER)).toBe('Lucía');
+  });
+});
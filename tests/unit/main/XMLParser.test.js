@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * XMLUserParser Tests
+ *
+ * Tests for reading XML rosters element by element
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XMLUserParser = require('../../../src/main/xmlParser');
+
+describe('XMLUserParser', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xml-parser-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('yields every element in document order across read chunks', async () => {
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<!-- <alumno nombre="Comentado"/> -->\n<centro>\n';
+    xml += '  <grupos><grupo codigo="1ESO-A" nombre="1º ESO &amp; PMAR"/></grupos>\n  <alumnos>\n';
+    for (let i = 0; i < 3000; i++) {
+      xml += `    <alumno nombre="Alumno ${i}" apellido1="Pérez > García" NIA="${10000000 + i}" grupo="1ESO-A"\n            email="alumno${i}@example.com"/>\n`;
+    }
+    xml += '  </alumnos>\n  <docentes>\n    <docente nombre="Marta" apellido1="López" documento="12345678Z"></docente>\n  </docentes>\n</centro>\n';
+    const xmlPath = path.join(tempDir, 'alumnos.xml');
+    fs.writeFileSync(xmlPath, xml, 'utf8');
+
+    const progress = [];
+    const records = [];
+    for await (const record of new XMLUserParser(xmlPath).records({ onProgress: (fraction) => progress.push(fraction) })) {
+      records.push(record);
+    }
+
+    expect(records).toHaveLength(3002);
+    expect(records[0]).toEqual({ section: 'groups', data: { code: '1ESO-A', name: '1º ESO & PMAR' } });
+    expect(records[1].data).toEqual(expect.objectContaining({
+      first_name: 'Alumno 0',
+      last_name1: 'Pérez > García',
+      nia: 10000000,
+      attributes: { email: 'alumno0@example.com' }
+    }));
+    expect(records[3000].data.first_name).toBe('Alumno 2999');
+    expect(records[3001]).toEqual({ section: 'teachers', data: expect.objectContaining({ document: '12345678Z' }) });
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+
+  test('reports the line of a malformed element', async () => {
+    const xmlPath = path.join(tempDir, 'alumnos.xml');
+    fs.writeFileSync(xmlPath, '<centro>\n<alumnos>\n<alumno nombre="Ana" NIA="12345678">\n</alumnos>\n</centro>\n', 'utf8');
+
+    await expect(new XMLUserParser(xmlPath).parse()).rejects.toThrow('XML mal formado en la línea 4');
+  });
+});
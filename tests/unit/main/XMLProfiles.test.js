@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * XML mapping profiles Tests
+ *
+ * Tests for the validation and detection of the profiles used to read XML rosters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getBuiltInProfiles, validateXmlProfile, detectXmlProfile } = require('../../../src/main/xmlProfiles');
+const { validateRosterXMLFile } = require('../../../src/main/xmlValidator');
+const XMLUserParser = require('../../../src/main/xmlParser');
+
+const CUSTOM_PROFILE = {
+  id: 'gestor-catala',
+  name: 'Gestor (català)',
+  root: 'centro',
+  groups: { path: 'cursos/curs', fields: { code: 'id', name: 'descripcio' } },
+  students: {
+    path: 'estudiants/estudiant',
+    fields: { first_name: 'nom', last_name1: 'cognom1', nia: 'nia', group_code: 'curs' }
+  }
+};
+
+const CUSTOM_ROSTER = `<?xml version="1.0" encoding="UTF-8"?>
+<centro>
+  <cursos>
+    <curs id="1ESO-A" descripcio="1r ESO A"/>
+  </cursos>
+  <estudiants>
+    <estudiant nom="Jordi" cognom1="Puig" nia="12345678" curs="1ESO-A"/>
+    <estudiant nom="Laia" cognom1="Vila" curs="1ESO-A"/>
+  </estudiants>
+</centro>
+`;
+
+describe('xmlProfiles', () => {
+  test('built-in profiles are valid', () => {
+    const profiles = getBuiltInProfiles();
+
+    expect(profiles.map(profile => profile.id)).toContain('centro');
+    profiles.forEach(profile => expect(validateXmlProfile(profile)).toBeNull());
+  });
+
+  test('rejects incomplete profiles', () => {
+    expect(validateXmlProfile([])).toBe('El perfil no es un objeto JSON');
+    expect(validateXmlProfile({ ...CUSTOM_PROFILE, root: '' })).toContain('"root"');
+    expect(validateXmlProfile({ ...CUSTOM_PROFILE, students: undefined })).toBe('El perfil no define alumnos, docentes ni no docentes');
+    expect(validateXmlProfile({
+      ...CUSTOM_PROFILE,
+      students: { path: 'estudiants/estudiant', fields: { first_name: 'nom' } }
+    })).toBe('Falta el atributo de "nia" en "students"');
+    expect(validateXmlProfile({
+      ...CUSTOM_PROFILE,
+      students: { ...CUSTOM_PROFILE.students, fields: { ...CUSTOM_PROFILE.students.fields, email: 'correu' } }
+    })).toBe('Campo desconocido en "students": email');
+  });
+
+  test('detects the profile whose elements appear in the file', () => {
+    const profiles = [CUSTOM_PROFILE, ...getBuiltInProfiles()];
+
+    expect(detectXmlProfile(CUSTOM_ROSTER, profiles).id).toBe('gestor-catala');
+    expect(detectXmlProfile('<centro><alumnos><alumno nombre="Ana" NIA="1"/></alumnos></centro>', profiles).id).toBe('centro');
+    expect(detectXmlProfile('<escuela/>', profiles)).toBeNull();
+  });
+
+  describe('custom profile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xml-profiles-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('validates and parses a file in another format', async () => {
+      const xmlPath = path.join(tempDir, 'alumnes.xml');
+      fs.writeFileSync(xmlPath, CUSTOM_ROSTER, 'utf8');
+
+      const report = await validateRosterXMLFile(xmlPath, [CUSTOM_PROFILE]);
+      expect(report.profile).toEqual({ id: 'gestor-catala', name: 'Gestor (català)' });
+      expect(report.issues.map(issue => [issue.line, issue.element, issue.message])).toEqual([
+        [8, 'estudiant', 'Falta el atributo obligatorio "nia"']
+      ]);
+
+      const users = await new XMLUserParser(xmlPath, [CUSTOM_PROFILE]).parse({ exclude: report.exclude });
+      expect(users.groups).toEqual([{ code: '1ESO-A', name: '1r ESO A' }]);
+      expect(users.students).toEqual([
+        expect.objectContaining({ first_name: 'Jordi', last_name1: 'Puig', nia: 12345678, group_code: '1ESO-A' })
+      ]);
+      expect(users.teachers).toEqual([]);
+    });
+
+    test('reads the file with the profile found by the validation', async () => {
+      const xmlPath = path.join(tempDir, 'alumnes.xml');
+      fs.writeFileSync(xmlPath, CUSTOM_ROSTER, 'utf8');
+
+      const parser = new XMLUserParser(xmlPath, [CUSTOM_PROFILE]);
+      const users = await parser.parse({ profileId: 'centro' });
+
+      expect(parser.profile.id).toBe('centro');
+      expect(users.students).toEqual([]);
+    });
+
+    test('reports files without a matching profile', async () => {
+      const xmlPath = path.join(tempDir, 'escuela.xml');
+      fs.writeFileSync(xmlPath, '<escuela><alumnos/></escuela>', 'utf8');
+
+      const report = await validateRosterXMLFile(xmlPath);
+
+      expect(report.fatal.message).toContain('<escuela>');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * XML validator Tests
+ *
+ * Tests for the line-numbered report shown before importing an XML roster
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateRosterXMLFile } = require('../../../src/main/xmlValidator');
+const XMLUserParser = require('../../../src/main/xmlParser');
+
+const ROSTER = `<?xml version="1.0" encoding="UTF-8"?>
+<centro>
+  <!-- <alumno nombre="Comentado"/> -->
+  <grupos>
+    <grupo codigo="1ESO-A" nombre="1º ESO A"/>
+    <grupo codigo="2ESO-A"/>
+  </grupos>
+  <alumnos>
+    <alumno nombre="Lucía" apellido1="García" NIA="12345678" grupo="1ESO-A" fecha_nac="01/02/2010"/>
+    <alumno nombre="Pablo" apellido1="Ruiz" grupo="1ESO-A"/>
+    <alumno nombre="Ana" apellido1="Sanz" NIA="123" fecha_nac="31/02/2010" grupo="3ESO-B"/>
+    <alumno nombre="Eva"
+            apellido1="Gil" NIA="87654321" documento="12345678A"/>
+  </alumnos>
+  <docentes>
+    <docente nombre="Marta" apellido1="López" documento="12345678Z"/>
+  </docentes>
+</centro>
+`;
+
+describe('xmlValidator', () => {
+  let tempDir;
+
+  // Validate a roster written to a new file
+  const validate = (content, profiles) => {
+    const xmlPath = path.join(fs.mkdtempSync(path.join(tempDir, 'roster-')), 'alumnos.xml');
+    fs.writeFileSync(xmlPath, content);
+    return validateRosterXMLFile(xmlPath, profiles);
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xml-validator-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('reports every problem with its line and element', async () => {
+    const report = await validate(ROSTER);
+
+    expect(report.fatal).toBeNull();
+    expect(report.elementCount).toBe(7);
+    expect(report.invalidCount).toBe(4);
+    expect(report.issues.map(issue => [issue.line, issue.element, issue.message])).toEqual([
+      [6, 'grupo', 'Falta el atributo obligatorio "nombre"'],
+      [10, 'alumno', 'Falta el atributo obligatorio "NIA"'],
+      [11, 'alumno', 'NIA no válido "123": debe tener entre 8 y 10 dígitos'],
+      [11, 'alumno', 'Fecha de nacimiento no válida "31/02/2010": debe ser una fecha DD/MM/AAAA'],
+      [11, 'alumno', 'El grupo "3ESO-B" no está definido en el archivo'],
+      [12, 'alumno', 'La letra del DNI "12345678A" no es correcta']
+    ]);
+    expect(report.issues[1].name).toBe('Pablo Ruiz');
+    expect(report.profile).toEqual({ id: 'centro', name: 'Formato estándar (<centro>)' });
+    expect(report.exclude).toEqual({ groups: [1], students: [1, 2, 3], teachers: [], nonTeachingStaff: [] });
+    expect(report.skippedKeys).toEqual(['student_123', 'student_87654321']);
+  });
+
+  test('accepts groups defined after their users', async () => {
+    const report = await validate(`<centro>
+  <alumnos>
+    <alumno nombre="Ana" apellido1="Sanz" NIA="12345678" grupo="1ESO-A"/>
+    <alumno nombre="Bea" apellido1="Mora" NIA="87654321" grupo="2ESO-B"/>
+  </alumnos>
+  <grupos>
+    <grupo codigo="1ESO-A" nombre="1º ESO A"/>
+  </grupos>
+</centro>
+`);
+
+    expect(report.issues.map(issue => [issue.line, issue.message])).toEqual([
+      [4, 'El grupo "2ESO-B" no está definido en el archivo']
+    ]);
+    expect(report.exclude.students).toEqual([1]);
+  });
+
+  test('reports malformed XML and encoding problems', async () => {
+    const malformed = await validate('<centro>\n<alumnos>\n<alumno nombre="Ana">\n</alumnos>\n</centro>');
+    expect(malformed.fatal.line).toBe(4);
+    expect(malformed.fatal.message).toContain('línea 4');
+
+    const repeated = await validate('<centro>\n<alumnos>\n<alumno nombre="Ana" nombre="Eva"/>\n</alumnos>\n</centro>');
+    expect(repeated.fatal.line).toBe(3);
+
+    const latin1 = Buffer.concat([
+      Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?>\n<centro>\n<alumnos>\n<alumno nombre="Jos'),
+      Buffer.from([0xE9]),
+      Buffer.from('" apellido1="Pérez" NIA="12345678"/>\n</alumnos>\n<!-- Revisi'),
+      Buffer.from([0xF3]),
+      Buffer.from('n -->\n</centro>\n')
+    ]);
+    const report = await validate(latin1);
+    expect(report.fatal).toBeNull();
+    expect(report.issues).toHaveLength(2);
+    expect(report.issues[0]).toEqual(expect.objectContaining({ line: 4, element: 'alumno' }));
+    expect(report.issues[0].message).toContain('ISO-8859-1');
+    expect(report.issues[1]).toEqual(expect.objectContaining({ line: 6, element: null }));
+    expect(report.exclude.students).toEqual([0]);
+
+    expect((await validate(Buffer.from([0xFF, 0xFE, 0x3C, 0x00]))).fatal.message).toContain('UTF-16');
+  });
+
+  test('reports the tags it cannot read instead of skipping them', async () => {
+    const report = await validate('<centro>\n<alumnos>\n<alumno nombre="Ana" apellido1="Sanz" NIA="12345678"/>\n<alumno-ñ/>\n</alumnos>\n</centro>');
+    expect(report.fatal.line).toBe(4);
+    expect(report.fatal.message).toContain('<alumno-ñ/>');
+  });
+
+  test('reuses the report while the file does not change', async () => {
+    const xmlPath = path.join(tempDir, 'alumnos.xml');
+    fs.writeFileSync(xmlPath, ROSTER, 'utf8');
+
+    const report = await validateRosterXMLFile(xmlPath);
+    expect(await validateRosterXMLFile(xmlPath)).toBe(report);
+
+    fs.writeFileSync(xmlPath, ROSTER.replace('NIA="123"', 'NIA="12345679"'), 'utf8');
+    fs.utimesSync(xmlPath, new Date(), new Date(Date.now() + 60000));
+    const updated = await validateRosterXMLFile(xmlPath);
+    expect(updated).not.toBe(report);
+    expect(updated.exclude.students).toEqual([1, 2, 3]);
+    expect(updated.issues.some(issue => issue.message.includes('NIA no válido'))).toBe(false);
+  });
+
+  describe('valid subset', () => {
+    test('parses only the elements without problems', async () => {
+      const xmlPath = path.join(tempDir, 'alumnos.xml');
+      fs.writeFileSync(xmlPath, ROSTER, 'utf8');
+
+      const report = await validateRosterXMLFile(xmlPath);
+      const users = await new XMLUserParser(xmlPath).parse({ exclude: report.exclude });
+
+      expect(users.groups.map(group => group.code)).toEqual(['1ESO-A']);
+      expect(users.students.map(student => student.first_name)).toEqual(['Lucía']);
+      expect(users.teachers).toHaveLength(1);
+    });
+
+    test('counts elements with non-ASCII attribute names like the parser', async () => {
+      const xmlPath = path.join(tempDir, 'alumnos.xml');
+      fs.writeFileSync(xmlPath, `<centro>
+  <alumnos>
+    <alumno nombre="Lola" apellido1="Vidal" NIA="11111111" teléfono="600"/>
+    <alumno nombre="Bea" apellido1="Mora" NIA="12"/>
+    <alumno nombre="Ana" apellido1="Sanz" NIA="22222222"/>
+  </alumnos>
+</centro>
+`, 'utf8');
+
+      const report = await validateRosterXMLFile(xmlPath);
+      expect(report.elementCount).toBe(3);
+      expect(report.exclude.students).toEqual([1]);
+
+      const users = await new XMLUserParser(xmlPath).parse({ exclude: report.exclude });
+      expect(users.students.map(student => student.first_name)).toEqual(['Lola', 'Ana']);
+      expect(users.students[0].attributes).toEqual({ teléfono: '600' });
+    });
+  });
+});